@@ -2,6 +2,7 @@
 'use strict';
 
 const Admin = require('../models/Admin');
+const { isTwoFactorRequiredForAdmin } = require('../utils/auth/twoFactor');
 
 module.exports = async function requireAdmin(req, res, next) {
   function wantsJsonRequest() {
@@ -29,7 +30,7 @@ module.exports = async function requireAdmin(req, res, next) {
     }
 
     const admin = await Admin.findById(sessionAdmin._id)
-      .select('fullName email username role permissions isActive')
+      .select('fullName email username role permissions isActive twoFactor.enabled')
       .lean();
 
     if (!admin || admin.isActive !== true) {
@@ -60,6 +61,21 @@ module.exports = async function requireAdmin(req, res, next) {
       at: req.session.admin?.at || Date.now(),
     };
 
+    // Money-moving roles must finish 2FA enrollment before anything else.
+    const twoFactorPending =
+      isTwoFactorRequiredForAdmin(admin.role) && admin.twoFactor?.enabled !== true;
+
+    if (twoFactorPending && !/^\/admin\/(2fa|logout)(\/|\?|$)/.test(req.originalUrl)) {
+      if (wantsJsonRequest()) {
+        return res
+          .status(403)
+          .json({ ok: false, message: 'Two-factor authentication setup is required.' });
+      }
+
+      if (req.flash) req.flash('warning', 'Set up two-factor authentication to continue.');
+      return res.redirect('/admin/2fa');
+    }
+
     return next();
   } catch (err) {
     console.error('❌ requireAdmin middleware error:', err);
@@ -0,0 +1,65 @@
+// middleware/requireAdminReauth.js
+'use strict';
+
+const Admin = require('../models/Admin');
+const {
+  TWO_FACTOR_SECRET_FIELDS,
+  verifySecondFactor,
+  markReauthenticated,
+  isRecentlyReauthenticated,
+  logTwoFactorEvent,
+} = require('../utils/auth/twoFactor');
+
+/**
+ * Sensitive admin actions (e.g. payout confirm) need a fresh 2FA code in
+ * `req.body.twoFactorCode` unless the admin re-authenticated within the
+ * last few minutes. Use after requireAdmin.
+ */
+module.exports = function requireAdminReauth(fallbackUrl = '/admin/dashboard') {
+  return async function (req, res, next) {
+    const redirectBack = () => res.redirect(fallbackUrl);
+
+    try {
+      if (isRecentlyReauthenticated(req, 'admin')) return next();
+
+      const admin = await Admin.findById(req.session?.admin?._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+      if (!admin?.twoFactor?.enabled) {
+        req.flash('error', 'Set up two-factor authentication before doing this.');
+        return res.redirect('/admin/2fa');
+      }
+
+      try {
+        const result = await verifySecondFactor(admin, req.body?.twoFactorCode);
+
+        markReauthenticated(req, 'admin');
+
+        await logTwoFactorEvent(req, {
+          kind: 'admin',
+          account: admin,
+          event: 'reauth',
+          meta: { path: req.originalUrl, method: result.method },
+        });
+
+        return next();
+      } catch (err) {
+        if (!err?.status || err.status >= 500) throw err;
+
+        await logTwoFactorEvent(req, {
+          kind: 'admin',
+          account: admin,
+          event: 'reauth',
+          status: 'failure',
+          meta: { path: req.originalUrl, reason: err.code },
+        });
+
+        req.flash('error', 'Enter a valid authentication code to confirm this action.');
+        return redirectBack();
+      }
+    } catch (err) {
+      console.error('❌ requireAdminReauth middleware error:', err);
+      req.flash('error', 'Could not verify your authentication code.');
+      return redirectBack();
+    }
+  };
+};
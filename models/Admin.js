@@ -3,6 +3,7 @@
 
 const mongoose = require('mongoose');
 const { ADMIN_ROLES, getPermissionsForRole } = require('../utils/adminRoles');
+const { twoFactorSchema } = require('../utils/auth/twoFactor');
 
 const adminSchema = new mongoose.Schema(
   {
@@ -58,6 +59,11 @@ const adminSchema = new mongoose.Schema(
       default: false,
     },
 
+    twoFactor: {
+      type: twoFactorSchema,
+      default: () => ({}),
+    },
+
     lastLoginAt: {
       type: Date,
       default: null,
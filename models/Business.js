@@ -2,6 +2,11 @@
 'use strict';
 
 const mongoose = require('mongoose');
+const { twoFactorSchema } = require('../utils/auth/twoFactor');
+const {
+  PAYOUT_SCHEDULES,
+  DEFAULT_PAYOUT_SCHEDULE,
+} = require('../utils/payouts/payoutScheduleRules');
 
 function isValidEmail(v) {
   const s = String(v || '').trim();
@@ -48,6 +53,21 @@ const payoutsSchema = new mongoose.Schema(
     },
     enabled: { type: Boolean, default: false, index: true },
     updatedAt: { type: Date, default: null },
+
+    // Seller's payout preference (utils/payouts/payoutScheduleRules.js).
+    schedule: {
+      type: String,
+      enum: PAYOUT_SCHEDULES,
+      default: DEFAULT_PAYOUT_SCHEDULE,
+    },
+    // Never pay out less than this (cents, payout currency). 0 = any amount.
+    minimumCents: { type: Number, default: 0, min: 0 },
+
+    // Set when a payout including this seller is confirmed.
+    lastPayoutAt: { type: Date, default: null },
+
+    // On-demand withdrawal of the whole available balance; cleared once paid.
+    withdrawalRequestedAt: { type: Date, default: null, index: true },
   },
   { _id: false },
 );
@@ -170,6 +190,14 @@ const businessSchema = new mongoose.Schema(
     emailVerificationExpires: { type: Date, default: null },
     verificationEmailSentAt: { type: Date, default: null },
 
+    // optional TOTP second login step
+    twoFactor: { type: twoFactorSchema, default: () => ({}) },
+
+    // Promotions and abandoned-cart reminders; off until the business opts in.
+    emailPreferences: {
+      marketing: { type: Boolean, default: false },
+    },
+
     welcomeEmailSentAt: { type: Date, default: null, index: true },
     officialNumberVerifiedEmailSentAt: { type: Date, default: null, index: true },
     officialNumberRejectedEmailSentAt: { type: Date, default: null, index: true },
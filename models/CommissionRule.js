@@ -0,0 +1,89 @@
+// models/CommissionRule.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+// Which sales a rule covers. Precedence when several match the same line
+// (most specific first) lives in utils/payouts/commissionRules.js.
+const COMMISSION_SCOPES = ['SELLER', 'NEW_SELLER', 'TYPE', 'CATEGORY'];
+
+function getBaseCurrency() {
+  return (
+    String(process.env.BASE_CURRENCY || '')
+      .trim()
+      .toUpperCase() || 'USD'
+  );
+}
+
+/*
+ * Platform commission override. Without a matching active rule a sale
+ * pays the global PLATFORM_FEE_BPS; with one, the rule's rate and
+ * per-item minimum apply and the rule is recorded on the EARNING row.
+ */
+const commissionRuleSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 80 },
+
+    scope: { type: String, enum: COMMISSION_SCOPES, required: true, index: true },
+
+    // SELLER only.
+    business: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Business',
+      default: null,
+      index: true,
+    },
+
+    // CATEGORY / TYPE only: Product.category or Product.type value.
+    category: { type: String, trim: true, lowercase: true, default: '' },
+    productType: { type: String, trim: true, lowercase: true, default: '' },
+
+    // NEW_SELLER only: days since the seller was verified (or signed up).
+    newSellerDays: { type: Number, min: 1, max: 365, default: null },
+
+    // 0 = no commission (promotional period).
+    feeBps: { type: Number, required: true, min: 0, max: 5000 },
+
+    // Minimum commission per unit sold, in `currency` ("" = none).
+    // Never more than the line itself.
+    minFeePerItem: { type: String, trim: true, default: '' },
+    currency: { type: String, trim: true, uppercase: true, default: getBaseCurrency },
+
+    startsAt: { type: Date, default: null },
+    endsAt: { type: Date, default: null },
+
+    isActive: { type: Boolean, default: true, index: true },
+
+    createdByAdmin: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+  },
+  { timestamps: true },
+);
+
+commissionRuleSchema.index({ isActive: 1, scope: 1 });
+
+commissionRuleSchema.pre('validate', function () {
+  if (this.scope === 'SELLER' && !this.business) {
+    this.invalidate('business', 'Seller rules must name a seller.');
+  }
+
+  if (this.scope === 'CATEGORY' && !this.category) {
+    this.invalidate('category', 'Category rules must name a category.');
+  }
+
+  if (this.scope === 'TYPE' && !this.productType) {
+    this.invalidate('productType', 'Product type rules must name a product type.');
+  }
+
+  if (this.scope === 'NEW_SELLER' && !this.newSellerDays) {
+    this.invalidate('newSellerDays', 'New seller rules need a number of days.');
+  }
+
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'The end date must be after the start date.');
+  }
+});
+
+commissionRuleSchema.statics.COMMISSION_SCOPES = COMMISSION_SCOPES;
+
+module.exports =
+  mongoose.models.CommissionRule || mongoose.model('CommissionRule', commissionRuleSchema);
@@ -0,0 +1,89 @@
+// models/Coupon.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const COUPON_TYPES = ['PERCENT', 'FIXED'];
+
+// PLATFORM: Kasyora absorbs the discount, seller earnings are unchanged.
+// SELLER:   the discount comes out of the scoped seller's earnings.
+const COUPON_FUNDING = ['PLATFORM', 'SELLER'];
+
+function getBaseCurrency() {
+  return String(process.env.BASE_CURRENCY || '').trim().toUpperCase() || 'USD';
+}
+
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      uppercase: true,
+      maxlength: 40,
+    },
+
+    description: { type: String, trim: true, maxlength: 200, default: '' },
+
+    type: { type: String, enum: COUPON_TYPES, required: true },
+
+    // PERCENT: 0-100. FIXED: money amount in BASE_CURRENCY (VAT-exclusive).
+    value: { type: Number, required: true, min: 0 },
+
+    // PERCENT only: optional cap on the discount (VAT-exclusive, "" = no cap).
+    maxDiscount: { type: String, trim: true, default: '' },
+
+    // Minimum VAT-exclusive basket of eligible lines ("0.00" = no minimum).
+    minBasket: { type: String, trim: true, default: '0.00' },
+
+    currency: { type: String, trim: true, uppercase: true, default: getBaseCurrency },
+
+    startsAt: { type: Date, default: null },
+    endsAt: { type: Date, default: null },
+
+    // null = unlimited
+    maxUses: { type: Number, min: 1, default: null },
+    maxUsesPerUser: { type: Number, min: 1, default: null },
+
+    // Incremented atomically when a checkout reserves the coupon.
+    usedCount: { type: Number, min: 0, default: 0 },
+
+    fundedBy: { type: String, enum: COUPON_FUNDING, default: 'PLATFORM' },
+
+    // When set, the coupon only discounts this seller's lines.
+    // Required for SELLER funded coupons.
+    sellerBusiness: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Business',
+      default: null,
+      index: true,
+    },
+
+    isActive: { type: Boolean, default: true, index: true },
+
+    createdByAdmin: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+  },
+  { timestamps: true }
+);
+
+couponSchema.index({ isActive: 1, endsAt: 1 });
+
+couponSchema.pre('validate', function () {
+  if (this.fundedBy === 'SELLER' && !this.sellerBusiness) {
+    this.invalidate('sellerBusiness', 'Seller funded coupons must be scoped to a seller.');
+  }
+
+  if (this.type === 'PERCENT' && this.value > 100) {
+    this.invalidate('value', 'A percentage coupon cannot exceed 100%.');
+  }
+
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'The end date must be after the start date.');
+  }
+});
+
+couponSchema.statics.COUPON_TYPES = COUPON_TYPES;
+couponSchema.statics.COUPON_FUNDING = COUPON_FUNDING;
+
+module.exports = mongoose.models.Coupon || mongoose.model('Coupon', couponSchema);
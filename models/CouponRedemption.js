@@ -0,0 +1,44 @@
+// models/CouponRedemption.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+// RESERVED: counted against the limits while PayPal captures the payment.
+// REDEEMED: the order was paid.
+// RELEASED: the capture failed, usage was given back.
+const REDEMPTION_STATUSES = ['RESERVED', 'REDEEMED', 'RELEASED'];
+
+function getBaseCurrency() {
+  return String(process.env.BASE_CURRENCY || '').trim().toUpperCase() || 'USD';
+}
+
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', required: true, index: true },
+    code: { type: String, trim: true, uppercase: true, required: true },
+
+    // One redemption per PayPal order keeps capture retries idempotent.
+    paypalOrderId: { type: String, trim: true, required: true, unique: true },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null, index: true },
+
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+    businessBuyer: { type: mongoose.Schema.Types.ObjectId, ref: 'Business', default: null, index: true },
+
+    // VAT-exclusive discount applied to the order.
+    discount: { type: String, trim: true, default: '0.00' },
+    currency: { type: String, trim: true, uppercase: true, default: getBaseCurrency },
+
+    status: { type: String, enum: REDEMPTION_STATUSES, default: 'RESERVED', index: true },
+    releasedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+couponRedemptionSchema.index({ coupon: 1, userId: 1, status: 1 });
+couponRedemptionSchema.index({ coupon: 1, businessBuyer: 1, status: 1 });
+
+couponRedemptionSchema.statics.REDEMPTION_STATUSES = REDEMPTION_STATUSES;
+
+module.exports =
+  mongoose.models.CouponRedemption ||
+  mongoose.model('CouponRedemption', couponRedemptionSchema);
@@ -3,6 +3,7 @@
 
 //const { mongoose } = require('../db');
 const mongoose = require('mongoose');
+const { autoMatchExpiry } = require('../utils/matching/autoMatchPolicy');
 
 const { Schema } = mongoose;
 
@@ -44,6 +45,10 @@ const demandSchema = new Schema(
 
     // Notes (you slice in EJS)
     notes: { type: String, trim: true },
+
+    // Automatic re-matching (utils/matching/autoMatch.js): buyer opt-out + window
+    autoMatch: { type: Boolean, default: true },
+    autoMatchExpiresAt: { type: Date, default: () => autoMatchExpiry() },
   },
   { timestamps: true },
 );
@@ -2,6 +2,7 @@
 'use strict';
 //const { mongoose } = require('../db');
 const mongoose = require('mongoose');
+const { autoMatchExpiry } = require('../utils/matching/autoMatchPolicy');
 
 const { Schema } = mongoose;
 
@@ -38,6 +39,10 @@ const DemandedProductSchema = new Schema(
     // optional metadata
     notes: { type: String, trim: true, maxlength: 2000 },
     status: { type: String, enum: ['Open', 'Matched', 'Closed'], default: 'Open', index: true },
+
+    // automatic re-matching (utils/matching/autoMatch.js): buyer opt-out + window
+    autoMatch: { type: Boolean, default: true },
+    autoMatchExpiresAt: { type: Date, default: () => autoMatchExpiry() },
   },
   {
     timestamps: true,
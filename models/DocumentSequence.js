@@ -0,0 +1,111 @@
+// models/DocumentSequence.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+/*
+ * Sequential counters for legal document numbers (invoices, credit notes).
+ * One row per sequence key; `seq` is the last number handed out.
+ *
+ * Tax documents must not leave gaps, so they take numbers with claim():
+ * `pending` holds numbers claimed for a document that is not saved yet
+ * (a parallel call for the same document gets the same number) and `free`
+ * holds numbers whose create failed or lost a race, for reuse.
+ */
+const documentSequenceSchema = new mongoose.Schema(
+  {
+    _id: { type: String, trim: true },
+    seq: { type: Number, default: 0, min: 0 },
+    pending: [
+      {
+        _id: false,
+        key: { type: String, required: true },
+        seq: { type: Number, required: true },
+        at: { type: Date, default: null },
+      },
+    ],
+    free: [{ type: Number }],
+  },
+  { timestamps: true, versionKey: false },
+);
+
+documentSequenceSchema.statics.next = async function next(key) {
+  const row = await this.findOneAndUpdate(
+    { _id: String(key) },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true },
+  ).lean();
+
+  return row.seq;
+};
+
+/**
+ * Number for the document identified by `claimKey`, in one atomic update:
+ * the pending claim for that key if there is one, else the lowest freed
+ * number, else the next one. Call settle() once the document is saved.
+ */
+documentSequenceSchema.statics.claim = async function claim(key, claimKey) {
+  const id = String(claimKey);
+  const has = { $in: [id, '$pending.key'] };
+  const hasFree = { $gt: [{ $size: '$free' }, 0] };
+
+  const row = await this.findOneAndUpdate(
+    { _id: String(key) },
+    [
+      {
+        $set: {
+          seq: { $ifNull: ['$seq', 0] },
+          pending: { $ifNull: ['$pending', []] },
+          free: { $ifNull: ['$free', []] },
+        },
+      },
+      {
+        $set: {
+          claimed: {
+            $cond: [has, null, { $cond: [hasFree, { $min: '$free' }, { $add: ['$seq', 1] }] }],
+          },
+        },
+      },
+      {
+        $set: {
+          seq: { $cond: [{ $or: [has, hasFree] }, '$seq', '$claimed'] },
+          free: {
+            $cond: [
+              { $or: [has, { $not: [hasFree] }] },
+              '$free',
+              { $filter: { input: '$free', cond: { $ne: ['$$this', '$claimed'] } } },
+            ],
+          },
+          pending: {
+            $cond: [
+              has,
+              '$pending',
+              { $concatArrays: ['$pending', [{ key: id, seq: '$claimed', at: '$$NOW' }]] },
+            ],
+          },
+        },
+      },
+      { $unset: 'claimed' },
+    ],
+    { new: true, upsert: true },
+  ).lean();
+
+  return row.pending.find((p) => p.key === id).seq;
+};
+
+/**
+ * Ends the claim for `claimKey`. Pass `unusedSeq` when no document took
+ * the number, so the next claim reuses it instead of leaving a gap.
+ */
+documentSequenceSchema.statics.settle = function settle(key, claimKey, unusedSeq = null) {
+  return this.updateOne(
+    { _id: String(key), 'pending.key': String(claimKey) },
+    {
+      $pull: { pending: { key: String(claimKey) } },
+      ...(unusedSeq != null ? { $push: { free: unusedSeq } } : {}),
+    },
+  );
+};
+
+module.exports =
+  mongoose.models.DocumentSequence || mongoose.model('DocumentSequence', documentSequenceSchema);
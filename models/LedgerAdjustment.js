@@ -0,0 +1,80 @@
+// models/LedgerAdjustment.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const ADJUSTMENT_DIRECTIONS = ['CREDIT', 'DEBIT'];
+const ADJUSTMENT_STATUSES = ['PENDING', 'APPROVED', 'REJECTED', 'CANCELLED'];
+
+function getBaseCurrency() {
+  return (
+    String(process.env.BASE_CURRENCY || '')
+      .trim()
+      .toUpperCase() || 'USD'
+  );
+}
+
+const adminRefSchema = new mongoose.Schema(
+  {
+    adminId: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+    name: { type: String, trim: true, default: '' },
+    email: { type: String, trim: true, lowercase: true, default: '' },
+    role: { type: String, trim: true, default: '' },
+  },
+  { _id: false },
+);
+
+/*
+ * A manual credit or debit against a seller's balance. One payout admin
+ * requests it, a different one approves it; only then is the ADJUSTMENT
+ * row written to SellerBalanceLedger (see ledgerAdjustmentService.js).
+ */
+const ledgerAdjustmentSchema = new mongoose.Schema(
+  {
+    businessId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Business',
+      required: true,
+      index: true,
+    },
+
+    direction: { type: String, enum: ADJUSTMENT_DIRECTIONS, required: true },
+
+    // Always positive; `direction` gives the sign on the ledger.
+    amountCents: { type: Number, required: true, min: 1 },
+    currency: { type: String, trim: true, uppercase: true, default: getBaseCurrency },
+
+    reason: { type: String, required: true, trim: true, minlength: 10, maxlength: 500 },
+
+    // Optional order the fix relates to; shown on seller statements.
+    orderRef: { type: String, trim: true, default: '' },
+
+    status: {
+      type: String,
+      enum: ADJUSTMENT_STATUSES,
+      default: 'PENDING',
+      index: true,
+    },
+
+    requestedBy: { type: adminRefSchema, required: true },
+
+    reviewedBy: { type: adminRefSchema, default: null },
+    reviewedAt: { type: Date, default: null },
+    reviewNote: { type: String, trim: true, default: '' },
+
+    ledgerEntryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SellerBalanceLedger',
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+ledgerAdjustmentSchema.index({ status: 1, createdAt: -1 });
+
+ledgerAdjustmentSchema.statics.ADJUSTMENT_DIRECTIONS = ADJUSTMENT_DIRECTIONS;
+ledgerAdjustmentSchema.statics.ADJUSTMENT_STATUSES = ADJUSTMENT_STATUSES;
+
+module.exports =
+  mongoose.models.LedgerAdjustment || mongoose.model('LedgerAdjustment', ledgerAdjustmentSchema);
@@ -3,14 +3,54 @@
 
 const mongoose = require('mongoose');
 
+const {
+  SHIPPING_TERMS,
+  QUOTE_STATUSES,
+  QUOTE_SIDES,
+  QUOTE_ACTIONS,
+} = require('../utils/matching/quoteNegotiation');
+
 const { Schema } = mongoose;
 
+// One step of the RFQ negotiation (utils/matching/quoteNegotiation.js).
+// Terms are copied onto accept revisions so the agreed price stands alone.
+const QuoteRevisionSchema = new Schema(
+  {
+    revision: { type: Number, required: true },
+    side: { type: String, enum: QUOTE_SIDES, required: true },
+    action: { type: String, enum: QUOTE_ACTIONS, required: true },
+
+    unitPrice: { type: Number, min: 0 },
+    quantity: { type: Number, min: 1 },
+    total: { type: Number, min: 0 },
+    leadTimeDays: { type: Number, min: 0 },
+    validUntil: { type: Date },
+    shippingTerms: { type: String, enum: Object.keys(SHIPPING_TERMS) },
+    supplierProduct: { type: Schema.Types.ObjectId, ref: 'SupplierProduct' },
+
+    message: { type: String, default: '' },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: false },
+);
+
 const MatchedDemandSchema = new Schema(
   {
     demandId: { type: Schema.Types.ObjectId, ref: 'DemandedProduct', index: true }, // or "Demand"
     buyerId: { type: Schema.Types.ObjectId, ref: 'Business', index: true },
     supplierId: { type: Schema.Types.ObjectId, ref: 'Business', index: true },
-    productId: { type: Schema.Types.ObjectId, ref: 'Product', index: true },
+    // a retail Product or a wholesale SupplierProduct (older rows have no productModel)
+    productId: {
+      type: Schema.Types.ObjectId,
+      ref: function () {
+        return this.productModel || 'Product';
+      },
+      index: true,
+    },
+    productModel: { type: String, enum: ['Product', 'SupplierProduct'], default: 'Product' },
+
+    // "manual" = buyer pressed Find Matches, "auto" = background re-matcher
+    source: { type: String, enum: ['manual', 'auto'], default: 'manual' },
 
     // status the supplier sets: "pending" | "accepted" | "rejected"
     status: {
@@ -20,7 +60,7 @@ const MatchedDemandSchema = new Schema(
       index: true,
     },
 
-    // numeric score (100 for type-only now)
+    // weighted 0–100 score (utils/matching/matchScoring.js)
     score: { type: Number, default: 0, index: true },
 
     // snapshot for resilience
@@ -32,10 +72,30 @@ const MatchedDemandSchema = new Schema(
       productType: String,
       productPrice: Number,
       productLocation: String,
+
+      // why the match scored what it did, one row per factor
+      scoreBreakdown: [
+        {
+          _id: false,
+          factor: String,
+          label: String,
+          weight: Number,
+          points: Number,
+          detail: String,
+        },
+      ],
+      scoredAt: Date,
     },
 
     // supplier response
     supplierMessage: { type: String, default: '' },
+
+    // request-for-quote negotiation, oldest revision first
+    quoteStatus: { type: String, enum: QUOTE_STATUSES, default: 'none', index: true },
+    quotes: { type: [QuoteRevisionSchema], default: [] },
+
+    // wholesale request created from the accepted quote
+    supplyRequestId: { type: Schema.Types.ObjectId, ref: 'SupplyRequest', default: null },
   },
   { timestamps: true },
 );
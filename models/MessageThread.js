@@ -0,0 +1,108 @@
+// models/MessageThread.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+/*
+ * One conversation between a buyer (User or buying Business) and the seller
+ * Business, about either an Internal order or a single product.
+ *
+ * threadKey keeps it to one thread per buyer/seller/subject, e.g.
+ *   order:<orderObjectId>:seller:<businessId>:user:<userId>
+ *   product:<customId>:seller:<businessId>:business:<businessId>
+ */
+const THREAD_KINDS = ['order', 'product'];
+
+const PARTIES = ['buyer', 'seller'];
+
+const attachmentSchema = new mongoose.Schema(
+  {
+    // S3 object key; downloads go through short-lived signed URLs
+    key: { type: String, required: true, trim: true },
+    name: { type: String, trim: true, default: '' },
+    contentType: { type: String, trim: true, default: '' },
+    size: { type: Number, default: 0 },
+  },
+  { _id: true },
+);
+
+const threadMessageSchema = new mongoose.Schema(
+  {
+    authorType: { type: String, enum: PARTIES, required: true },
+    authorId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    authorName: { type: String, trim: true, default: '' },
+
+    body: { type: String, trim: true, default: '', maxlength: 5000 },
+    attachments: { type: [attachmentSchema], default: [] },
+
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: true },
+);
+
+// Per-party counters so inbox badges never have to scan messages
+const partyDatesSchema = new mongoose.Schema(
+  {
+    buyer: { type: Date, default: null },
+    seller: { type: Date, default: null },
+  },
+  { _id: false },
+);
+
+const messageThreadSchema = new mongoose.Schema(
+  {
+    threadKey: { type: String, required: true, unique: true, trim: true },
+
+    kind: { type: String, enum: THREAD_KINDS, required: true, index: true },
+
+    // kind = order
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null, index: true },
+    orderRef: { type: String, trim: true, default: '', index: true },
+
+    // kind = product (and the ordered item for order threads)
+    productId: { type: String, trim: true, default: '', index: true }, // Product.customId
+    productName: { type: String, trim: true, default: '' },
+
+    // user | business
+    buyer: {
+      type: { type: String, enum: ['user', 'business'], required: true },
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+      businessId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Business',
+        default: null,
+        index: true,
+      },
+      name: { type: String, trim: true, default: '' },
+      email: { type: String, trim: true, lowercase: true, default: '' },
+    },
+
+    seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Business', required: true, index: true },
+    sellerName: { type: String, trim: true, default: '' },
+
+    messages: { type: [threadMessageSchema], default: [] },
+
+    unread: {
+      buyer: { type: Number, default: 0, min: 0 },
+      seller: { type: Number, default: 0, min: 0 },
+    },
+
+    lastReadAt: { type: partyDatesSchema, default: () => ({}) },
+    // Email fallback: at most one email per unread streak
+    lastEmailedAt: { type: partyDatesSchema, default: () => ({}) },
+
+    lastMessageAt: { type: Date, default: Date.now, index: true },
+    lastMessageBy: { type: String, enum: PARTIES, default: 'buyer' },
+  },
+  { timestamps: true },
+);
+
+messageThreadSchema.index({ 'buyer.userId': 1, lastMessageAt: -1 });
+messageThreadSchema.index({ 'buyer.businessId': 1, lastMessageAt: -1 });
+messageThreadSchema.index({ seller: 1, lastMessageAt: -1 });
+
+messageThreadSchema.statics.THREAD_KINDS = THREAD_KINDS;
+messageThreadSchema.statics.PARTIES = PARTIES;
+
+module.exports =
+  mongoose.models.MessageThread || mongoose.model('MessageThread', messageThreadSchema);
@@ -4,27 +4,50 @@
 //const { mongoose } = require('../db');
 const mongoose = require('mongoose');
 
+const {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CATEGORIES,
+  RECIPIENT_TYPES,
+} = require('../utils/notifications/notificationTypes');
+
 const { Schema } = mongoose;
 
 const NotificationSchema = new Schema(
   {
-    // who should see it
-    buyerId: { type: Schema.Types.ObjectId, ref: 'Business', index: true, required: true },
+    // who should see it (exactly one recipient id matches recipientType)
+    recipientType: { type: String, enum: RECIPIENT_TYPES, required: true },
+    recipientUser: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    recipientBusiness: { type: Schema.Types.ObjectId, ref: 'Business', default: null },
+    recipientAdmin: { type: Schema.Types.ObjectId, ref: 'Admin', default: null },
+
+    // legacy: match notifications written before recipients were generalised
+    buyerId: { type: Schema.Types.ObjectId, ref: 'Business', index: true, default: null },
 
     // context
     type: {
       type: String,
-      enum: ['match.accepted', 'match.rejected', 'match.pending'],
+      enum: Object.keys(NOTIFICATION_TYPES),
       required: true,
     },
+    category: { type: String, enum: Object.keys(NOTIFICATION_CATEGORIES), index: true },
+
     matchId: { type: Schema.Types.ObjectId, ref: 'MatchedDemand', index: true },
     demandId: { type: Schema.Types.ObjectId, ref: 'DemandedProduct' }, // or "Demand"
     productId: { type: Schema.Types.ObjectId, ref: 'Product' },
     supplierId: { type: Schema.Types.ObjectId, ref: 'Business' },
+    orderId: { type: Schema.Types.ObjectId, ref: 'Order' },
 
     // display
     title: { type: String, required: true }, // short title
     message: { type: String, default: '' }, // optional detail
+    link: { type: String, default: '' }, // where the notification leads
+
+    // channels actually used (after recipient preferences)
+    inApp: { type: Boolean, default: true },
+    emailedAt: { type: Date, default: null },
+
+    // one notification per event, e.g. "order.placed:<orderId>:<businessId>"
+    dedupeKey: { type: String, default: undefined },
 
     // status
     readAt: { type: Date, default: null, index: true },
@@ -32,7 +55,11 @@ const NotificationSchema = new Schema(
   { timestamps: true },
 );
 
-// Useful compound index for inbox lists
+// Useful compound indexes for inbox lists
+NotificationSchema.index({ recipientUser: 1, createdAt: -1 });
+NotificationSchema.index({ recipientBusiness: 1, createdAt: -1 });
+NotificationSchema.index({ recipientAdmin: 1, createdAt: -1 });
 NotificationSchema.index({ buyerId: 1, createdAt: -1 });
+NotificationSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
 
 module.exports = mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,43 @@
+// models/NotificationPreference.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const {
+  NOTIFICATION_CATEGORIES,
+  RECIPIENT_TYPES,
+} = require('../utils/notifications/notificationTypes');
+
+const { Schema } = mongoose;
+
+const channelSchema = new Schema(
+  {
+    inApp: { type: Boolean },
+    email: { type: Boolean },
+  },
+  { _id: false },
+);
+
+// Only the categories a recipient changed are stored; the rest use defaults.
+const channelsShape = Object.fromEntries(
+  Object.keys(NOTIFICATION_CATEGORIES).map((category) => [
+    category,
+    { type: channelSchema, default: undefined },
+  ]),
+);
+
+const NotificationPreferenceSchema = new Schema(
+  {
+    recipientType: { type: String, enum: RECIPIENT_TYPES, required: true },
+    recipientId: { type: Schema.Types.ObjectId, required: true },
+
+    channels: channelsShape,
+  },
+  { timestamps: true },
+);
+
+NotificationPreferenceSchema.index({ recipientType: 1, recipientId: 1 }, { unique: true });
+
+module.exports =
+  mongoose.models.NotificationPreference ||
+  mongoose.model('NotificationPreference', NotificationPreferenceSchema);
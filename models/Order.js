@@ -66,6 +66,9 @@ const OrderItemSchema = new Schema(
     // ✅ GROSS unit price snapshot (used for receipts/UI)
     priceGross: MoneySchema,
 
+    // ✅ NET coupon discount for the whole line (absent when no coupon applied)
+    discount: MoneySchema,
+
     quantity: { type: Number, min: 1, default: 1 },
     imageUrl: String,
 
@@ -145,6 +148,10 @@ const BreakdownSchema = new Schema(
 
     shipping:
       BreakdownMoneySchema,
+
+    // VAT-exclusive coupon discount (taxTotal is already after discount)
+    discount:
+      BreakdownMoneySchema,
   },
   {
     _id:
@@ -152,6 +159,20 @@ const BreakdownSchema = new Schema(
   },
 );
 
+// Coupon snapshot frozen at checkout (the Coupon itself may change later)
+const OrderCouponSchema = new Schema(
+  {
+    couponId: { type: Schema.Types.ObjectId, ref: 'Coupon' },
+    code: { type: String, trim: true, uppercase: true },
+    type: { type: String, enum: ['PERCENT', 'FIXED'] },
+    value: Number,
+    fundedBy: { type: String, enum: ['PLATFORM', 'SELLER'], default: 'PLATFORM' },
+    sellerBusiness: { type: Schema.Types.ObjectId, ref: 'Business', default: null },
+    discount: MoneySchema,
+  },
+  { _id: false },
+);
+
 /*
  * Authoritative Internal tax-treatment snapshot
  * =============================================
@@ -772,6 +793,8 @@ const OrderSchema = new Schema(
     breakdown:
       BreakdownSchema,
 
+    coupon: { type: OrderCouponSchema, default: undefined },
+
     /*
      * Permanent authoritative Internal VAT evidence.
      *
@@ -827,6 +850,10 @@ const OrderSchema = new Schema(
       {
         productId: { type: String }, // Product.customId
         quantity: { type: Number, min: 1, default: 1 },
+        variants: {
+          size: { type: String, trim: true },
+          color: { type: String, trim: true },
+        },
       },
     ],
 
@@ -848,6 +875,7 @@ OrderSchema.index({ paymentStatus: 1, createdAt: -1 });
 OrderSchema.index({ 'items.productId': 1, createdAt: -1 });
 OrderSchema.index({ businessBuyer: 1, createdAt: -1 });
 OrderSchema.index({ 'paypal.captureId': 1, createdAt: -1 });
+OrderSchema.index({ 'coupon.couponId': 1, createdAt: -1 }, { sparse: true });
 OrderSchema.index({ 'captures.captureId': 1, createdAt: -1 });
 OrderSchema.index({ 'items.refundStatus': 1, 'items.refundedAt': -1 });
 
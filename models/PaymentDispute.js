@@ -0,0 +1,124 @@
+// models/PaymentDispute.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const DISPUTE_DEPARTMENTS = ['internal', 'cj'];
+// Our view of the case; PayPal's own status is kept in `paypalStatus`.
+const DISPUTE_OUTCOMES = ['OPEN', 'WON', 'LOST', 'CLOSED'];
+const DISPUTE_HOLD_STATES = ['NONE', 'HELD', 'RELEASED', 'DEBITED'];
+
+const moneySchema = new mongoose.Schema(
+  {
+    value: { type: String, trim: true, default: '0.00' },
+    currency: { type: String, trim: true, uppercase: true, default: '' },
+  },
+  { _id: false },
+);
+
+const ledgerShareSchema = new mongoose.Schema(
+  {
+    businessId: { type: mongoose.Schema.Types.ObjectId, ref: 'Business', required: true },
+    currency: { type: String, trim: true, uppercase: true, required: true },
+    amountCents: { type: Number, required: true, min: 0 },
+  },
+  { _id: false },
+);
+
+const paypalMessageSchema = new mongoose.Schema(
+  {
+    postedBy: { type: String, trim: true, default: '' },
+    postedAt: { type: Date, default: null },
+    content: { type: String, trim: true, default: '', maxlength: 4000 },
+  },
+  { _id: false },
+);
+
+const evidenceSubmissionSchema = new mongoose.Schema(
+  {
+    submittedAt: { type: Date, default: Date.now },
+    adminId: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+    adminName: { type: String, trim: true, default: '' },
+
+    evidenceTypes: { type: [String], default: [] },
+    trackingNumbers: { type: [String], default: [] },
+    includedDeliveryEvents: { type: Number, default: 0 },
+    includedMessages: { type: Number, default: 0 },
+    note: { type: String, trim: true, default: '', maxlength: 2000 },
+    files: {
+      type: [
+        new mongoose.Schema(
+          {
+            name: { type: String, trim: true, default: '' },
+            contentType: { type: String, trim: true, default: '' },
+            size: { type: Number, default: 0 },
+          },
+          { _id: false },
+        ),
+      ],
+      default: [],
+    },
+
+    ok: { type: Boolean, default: false },
+    error: { type: String, trim: true, default: '' },
+  },
+  { _id: true },
+);
+
+/*
+ * A PayPal dispute (inquiry, claim or chargeback) on one of our
+ * captures, kept in sync from CUSTOMER.DISPUTE.* webhooks. While it is
+ * open the related seller earnings are held in SellerBalanceLedger;
+ * the hold is released when it closes and turned into a debit if lost.
+ */
+const paymentDisputeSchema = new mongoose.Schema(
+  {
+    disputeId: { type: String, required: true, trim: true },
+
+    department: { type: String, enum: DISPUTE_DEPARTMENTS, default: 'internal', index: true },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null, index: true },
+    cjOrder: { type: mongoose.Schema.Types.ObjectId, ref: 'CjOrder', default: null, index: true },
+    // Order.orderId or CjOrder.cjOrderNumber, for display and search
+    orderRef: { type: String, trim: true, default: '' },
+    captureId: { type: String, trim: true, default: '', index: true },
+
+    paypalStatus: { type: String, trim: true, uppercase: true, default: '' },
+    outcome: { type: String, enum: DISPUTE_OUTCOMES, default: 'OPEN', index: true },
+    outcomeCode: { type: String, trim: true, uppercase: true, default: '' },
+    reason: { type: String, trim: true, uppercase: true, default: '' },
+    stage: { type: String, trim: true, uppercase: true, default: '' },
+    channel: { type: String, trim: true, uppercase: true, default: '' },
+
+    amount: { type: moneySchema, default: () => ({}) },
+    refundedAmount: { type: moneySchema, default: () => ({}) },
+
+    sellerResponseDueAt: { type: Date, default: null, index: true },
+    openedAt: { type: Date, default: null },
+    paypalUpdatedAt: { type: Date, default: null },
+    resolvedAt: { type: Date, default: null },
+
+    messages: { type: [paypalMessageSchema], default: [] },
+
+    // Seller earnings held while open, and what was debited if lost.
+    holdState: { type: String, enum: DISPUTE_HOLD_STATES, default: 'NONE' },
+    holds: { type: [ledgerShareSchema], default: [] },
+    debits: { type: [ledgerShareSchema], default: [] },
+
+    evidence: { type: [evidenceSubmissionSchema], default: [] },
+
+    // Webhook event ids already applied (latest first, capped).
+    eventIds: { type: [String], default: [] },
+    lastEventType: { type: String, trim: true, default: '' },
+    lastError: { type: String, trim: true, default: '' },
+  },
+  { timestamps: true },
+);
+
+paymentDisputeSchema.index({ disputeId: 1 }, { unique: true });
+paymentDisputeSchema.index({ outcome: 1, sellerResponseDueAt: 1 });
+
+paymentDisputeSchema.statics.DISPUTE_OUTCOMES = DISPUTE_OUTCOMES;
+paymentDisputeSchema.statics.DISPUTE_HOLD_STATES = DISPUTE_HOLD_STATES;
+
+module.exports =
+  mongoose.models.PaymentDispute || mongoose.model('PaymentDispute', paymentDisputeSchema);
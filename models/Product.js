@@ -3,6 +3,13 @@
 
 const mongoose = require('mongoose');
 const ProductStockHistory = require('./ProductStockHistory');
+const {
+  hasVariantMatrix,
+  normalizeVariantMatrix,
+  sumVariantStock,
+  findProductVariant,
+  diffVariantStock,
+} = require('../utils/inventory/productVariants');
 
 // ==========================
 // 📦 Shipping / Physical data
@@ -65,6 +72,31 @@ const ProductColorImageSchema = new mongoose.Schema(
   { _id: false },
 );
 
+// ==========================
+// 🎨 Size × color stock matrix
+// ==========================
+const ProductVariantSchema = new mongoose.Schema(
+  {
+    size: { type: String, trim: true, default: '' },
+    color: { type: String, trim: true, default: '' },
+    sku: { type: String, trim: true, default: '', maxlength: 64 },
+
+    // VAT-exclusive price for this combination; null uses Product.price
+    price: {
+      type: Number,
+      default: null,
+      min: [0, 'Variant price must be a positive number'],
+    },
+
+    stock: {
+      type: Number,
+      default: 0,
+      min: [0, 'Variant stock cannot be negative'],
+    },
+  },
+  { _id: false },
+);
+
 const productSchema = new mongoose.Schema(
   {
     // Human-friendly id separate from _id
@@ -187,6 +219,12 @@ const productSchema = new mongoose.Schema(
       default: [],
     },
 
+    // Per size/color stock. When non-empty, stock is the sum of these.
+    variants: {
+      type: [ProductVariantSchema],
+      default: [],
+    },
+
     // Classification / attributes
     category: {
       type: String,
@@ -307,6 +345,13 @@ const productSchema = new mongoose.Schema(
       min: [0, 'Wholesale cost price cannot be negative'],
     },
 
+    // true when the seller paid the supplier up front for this stock
+    // (paid supply request), so retail sales do not credit the supplier again.
+    wholesalePrepaid: {
+      type: Boolean,
+      default: false,
+    },
+
     importedAt: {
       type: Date,
       default: null,
@@ -461,6 +506,18 @@ productSchema.pre('save', function (next) {
     }
   });
 
+  // Drop matrix rows for sizes/colors that were removed and keep stock in sync
+  if (hasVariantMatrix(this)) {
+    this.variants = normalizeVariantMatrix(this.variants, {
+      sizes: this.sizes,
+      colors: this.colors,
+    });
+
+    if (this.variants.length) {
+      this.stock = sumVariantStock(this.variants);
+    }
+  }
+
   next();
 });
 
@@ -479,7 +536,14 @@ productSchema.methods.isVariantAvailable = function (size, color) {
     available = available && this.colors.includes(color);
   }
 
-  return available && this.stock > 0;
+  if (!available) return false;
+
+  if (hasVariantMatrix(this)) {
+    const variant = findProductVariant(this, { size, color });
+    return !!variant && Number(variant.stock || 0) > 0;
+  }
+
+  return this.stock > 0;
 };
 
 productSchema.methods.getColorImage = function (color) {
@@ -522,6 +586,13 @@ productSchema.methods.toFrontendJSON = function () {
     sizes: this.sizes,
     colors: this.colors,
     colorImages: this.colorImages || [],
+    variants: (this.variants || []).map((v) => ({
+      size: v.size,
+      color: v.color,
+      sku: v.sku,
+      price: v.price,
+      stock: v.stock,
+    })),
     category: this.category,
     type: this.type,
     isNew: this.isNewItem,
@@ -561,6 +632,30 @@ productSchema.statics.findWithVariants = function () {
 
 /* ========= STOCK HISTORY ========= */
 
+async function writeVariantStockHistory(doc, changes, reason = 'manual-update', prevStock = 0) {
+  try {
+    if (!doc?.business || !doc?._id || !changes.length) return;
+
+    await ProductStockHistory.insertMany(
+      changes.map((change) => ({
+        business: doc.business,
+        product: doc._id,
+        productCustomId: String(doc.customId || '').trim(),
+        productName: String(doc.name || '').trim(),
+        variant: { size: change.size, color: change.color, sku: change.sku },
+        stockBefore: change.stockBefore,
+        stockAfter: change.stockAfter,
+        delta: change.delta,
+        productStockBefore: Math.max(0, Number(prevStock || 0)),
+        productStockAfter: Math.max(0, Number(doc.stock || 0)),
+        reason,
+      })),
+    );
+  } catch (err) {
+    console.error('❌ Failed to write variant stock history:', err);
+  }
+}
+
 async function writeStockHistory(doc, prevStock, nextStock, reason = 'manual-update') {
   try {
     const before = Number(prevStock || 0);
@@ -591,12 +686,14 @@ productSchema.pre('save', async function (next) {
     // true only when the DB document is being created for the first time
     if (this.isNew) {
       this._previousStock = 0;
+      this._previousVariants = [];
       this._stockHistoryReason = 'create';
       return next();
     }
 
-    const existing = await this.constructor.findById(this._id).select('stock').lean();
+    const existing = await this.constructor.findById(this._id).select('stock variants').lean();
     this._previousStock = Number(existing?.stock || 0);
+    this._previousVariants = Array.isArray(existing?.variants) ? existing.variants : [];
     this._stockHistoryReason = 'manual-update';
 
     return next();
@@ -610,6 +707,19 @@ productSchema.post('save', async function (doc) {
     const prevStock = Number(doc._previousStock || 0);
     const nextStock = Number(doc.stock || 0);
     const reason = doc._stockHistoryReason || 'manual-update';
+    const prevVariants = doc._previousVariants || [];
+
+    // One row per changed variant while a matrix is kept before and after
+    // (or on create); switching the matrix on/off is logged as a product total.
+    if (hasVariantMatrix(doc) && (prevVariants.length || reason === 'create')) {
+      await writeVariantStockHistory(
+        doc,
+        diffVariantStock(prevVariants, doc.variants),
+        reason,
+        prevStock,
+      );
+      return;
+    }
 
     await writeStockHistory(doc, prevStock, nextStock, reason);
   } catch (err) {
@@ -655,6 +765,22 @@ productSchema.index({ category: 1, role: 1 });
 // NEW
 productSchema.index({ isNewItem: 1, isOnSale: 1, isPopular: 1 });
 
+// Storefront search (utils/search): relevance ranked, English stemming.
+productSchema.index(
+  {
+    name: 'text',
+    keywords: 'text',
+    type: 'text',
+    manufacturer: 'text',
+    description: 'text',
+  },
+  {
+    name: 'product_text_search',
+    weights: { name: 10, keywords: 6, type: 4, manufacturer: 3, description: 1 },
+    default_language: 'english',
+  }
+);
+
 // Virtual for backwards compatibility with code/templates that use product.isNew
 productSchema
   .virtual('isNew')
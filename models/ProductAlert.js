@@ -0,0 +1,62 @@
+// models/ProductAlert.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const ALERT_SOURCES = ['internal', 'cj'];
+const ALERT_SUBSCRIBER_TYPES = ['user', 'business', 'guest'];
+const ALERT_ORIGINS = ['wishlist', 'product_page'];
+
+/*
+ * One back-in-stock / price-drop subscription per subscriber and product.
+ * Wishlist owners get one automatically; guests leave an email on the
+ * product page. `seen` holds what the subscriber was last told (or saw
+ * when subscribing), so only real changes trigger an alert.
+ */
+const productAlertSchema = new mongoose.Schema(
+  {
+    source: { type: String, enum: ALERT_SOURCES, required: true },
+
+    // Internal Product _id, or CjProduct.cjProductId.
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', default: null },
+    cjProductId: { type: String, trim: true, default: '' },
+    productKey: { type: String, required: true },
+
+    subscriberType: { type: String, enum: ALERT_SUBSCRIBER_TYPES, required: true },
+    subscriberId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    email: { type: String, trim: true, lowercase: true, default: '' },
+    // "user:<id>", "business:<id>" or "guest:<email>"
+    subscriberKey: { type: String, required: true },
+
+    origin: { type: String, enum: ALERT_ORIGINS, default: 'product_page' },
+
+    backInStock: { type: Boolean, default: true },
+    priceDrop: { type: Boolean, default: true },
+
+    seen: {
+      price: { type: Number, default: null },
+      currency: { type: String, trim: true, default: '' },
+      inStock: { type: Boolean, default: null },
+    },
+
+    lastAlertedAt: {
+      backInStock: { type: Date, default: null },
+      priceDrop: { type: Date, default: null },
+    },
+    alertCount: { type: Number, default: 0, min: 0 },
+
+    unsubscribeToken: { type: String, required: true },
+    unsubscribedAt: { type: Date, default: null },
+  },
+  { timestamps: true },
+);
+
+productAlertSchema.index({ source: 1, productKey: 1, subscriberKey: 1 }, { unique: true });
+productAlertSchema.index({ source: 1, productKey: 1, unsubscribedAt: 1 });
+productAlertSchema.index({ unsubscribeToken: 1 }, { unique: true });
+productAlertSchema.index({ subscriberType: 1, subscriberId: 1 });
+
+productAlertSchema.statics.ALERT_SOURCES = ALERT_SOURCES;
+productAlertSchema.statics.ALERT_SUBSCRIBER_TYPES = ALERT_SUBSCRIBER_TYPES;
+
+module.exports = mongoose.models.ProductAlert || mongoose.model('ProductAlert', productAlertSchema);
@@ -32,6 +32,13 @@ const productStockHistorySchema = new mongoose.Schema(
       default: '',
     },
 
+    // Set when the row tracks one size/color of a product with a variant matrix.
+    variant: {
+      size: { type: String, trim: true, default: '' },
+      color: { type: String, trim: true, default: '' },
+      sku: { type: String, trim: true, default: '' },
+    },
+
     stockBefore: {
       type: Number,
       required: true,
@@ -49,9 +56,21 @@ const productStockHistorySchema = new mongoose.Schema(
       required: true,
     },
 
+    // Product.stock around this change; only set on variant rows, where
+    // stockBefore/stockAfter are the variant's own stock.
+    productStockBefore: {
+      type: Number,
+      default: null,
+    },
+
+    productStockAfter: {
+      type: Number,
+      default: null,
+    },
+
     reason: {
       type: String,
-      enum: ['create', 'manual-update'],
+      enum: ['create', 'manual-update', 'return-restock', 'sale', 'refund-restock'],
       default: 'manual-update',
       index: true,
     },
@@ -61,6 +80,7 @@ const productStockHistorySchema = new mongoose.Schema(
 
 productStockHistorySchema.index({ business: 1, createdAt: -1 });
 productStockHistorySchema.index({ product: 1, createdAt: -1 });
+productStockHistorySchema.index({ createdAt: -1 });
 
 module.exports =
   mongoose.models.ProductStockHistory ||
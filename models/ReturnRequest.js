@@ -0,0 +1,188 @@
+// models/ReturnRequest.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const RETURN_STATUSES = [
+  'REQUESTED',
+  'APPROVED',
+  'REJECTED',
+  'LABEL_ISSUED',
+  'RECEIVED',
+  'REFUNDED',
+  'REFUND_FAILED',
+  'CANCELLED',
+];
+
+// Requests in these states still "hold" item quantity, so the buyer cannot
+// open a second return for the same units.
+const OPEN_RETURN_STATUSES = ['REQUESTED', 'APPROVED', 'LABEL_ISSUED', 'RECEIVED', 'REFUND_FAILED'];
+
+const RETURN_REASONS = [
+  'DAMAGED',
+  'DEFECTIVE',
+  'WRONG_ITEM',
+  'NOT_AS_DESCRIBED',
+  'NO_LONGER_NEEDED',
+  'OTHER',
+];
+
+function getBaseCurrency() {
+  return String(process.env.BASE_CURRENCY || '').trim().toUpperCase() || 'USD';
+}
+
+const returnHistorySchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: RETURN_STATUSES, required: true },
+    at: { type: Date, default: Date.now },
+
+    // buyer | seller | admin | system
+    actorType: { type: String, trim: true, default: 'system' },
+    actorId: { type: mongoose.Schema.Types.ObjectId, default: null },
+
+    note: { type: String, trim: true, default: '' },
+  },
+  { _id: false }
+);
+
+const returnLabelSchema = new mongoose.Schema(
+  {
+    provider: { type: String, enum: ['SHIPPO', 'COURIER_GUY', ''], default: '' },
+    carrier: { type: String, trim: true, default: '' },
+    service: { type: String, trim: true, default: '' },
+
+    trackingNumber: { type: String, trim: true, default: '', index: true },
+    trackingUrl: { type: String, trim: true, default: '' },
+    labelUrl: { type: String, trim: true, default: '' },
+
+    shipmentId: { type: String, trim: true, default: '' },
+    transactionId: { type: String, trim: true, default: '' },
+
+    createdAt: { type: Date, default: null },
+
+    // Short safe error for seller UI when label purchase fails.
+    lastError: { type: String, trim: true, default: '' },
+  },
+  { _id: false }
+);
+
+const returnRefundSchema = new mongoose.Schema(
+  {
+    refundId: { type: String, trim: true, default: '', index: true },
+    status: { type: String, trim: true, default: '' },
+
+    // Gross amount string, same shape as Order.refunds[].amount
+    amount: { type: String, trim: true, default: '' },
+    currency: { type: String, trim: true, uppercase: true, default: getBaseCurrency },
+
+    refundedAt: { type: Date, default: null },
+    lastError: { type: String, trim: true, default: '' },
+
+    // Result from debitSellerFromReturn (kept for support/debugging)
+    ledger: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  { _id: false }
+);
+
+const returnRequestSchema = new mongoose.Schema(
+  {
+    rmaNumber: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      unique: true,
+    },
+
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+      index: true,
+    },
+
+    // Order.orderId (PayPal order id) snapshot for support lookups
+    orderPublicId: { type: String, trim: true, default: '', index: true },
+
+    // Who asked for the return (personal user or business buyer)
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+    businessBuyer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Business',
+      default: null,
+      index: true,
+    },
+
+    // Seller that owns the product listing and handles the return
+    sellerBusiness: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Business',
+      required: true,
+      index: true,
+    },
+
+    // Order item snapshot (Order.items has no _id, so we keep the index too)
+    item: {
+      itemIndex: { type: Number, required: true, min: 0 },
+      productId: { type: String, trim: true, required: true }, // Product.customId
+      name: { type: String, trim: true, default: '' },
+      imageUrl: { type: String, trim: true, default: '' },
+      variants: {
+        size: { type: String, trim: true },
+        color: { type: String, trim: true },
+      },
+
+      // GROSS unit price the buyer paid (what we refund per unit)
+      unitPrice: { type: String, trim: true, default: '0.00' },
+      currency: { type: String, trim: true, uppercase: true, default: getBaseCurrency },
+    },
+
+    quantity: { type: Number, required: true, min: 1 },
+
+    reason: { type: String, enum: RETURN_REASONS, required: true },
+    details: { type: String, trim: true, maxlength: 2000, default: '' },
+
+    status: {
+      type: String,
+      enum: RETURN_STATUSES,
+      default: 'REQUESTED',
+      index: true,
+    },
+
+    sellerNote: { type: String, trim: true, maxlength: 1000, default: '' },
+
+    returnLabel: { type: returnLabelSchema, default: () => ({}) },
+
+    receivedAt: { type: Date, default: null },
+
+    // Idempotency guard: stock is put back at most once per return
+    restocked: { type: Boolean, default: false },
+    restockedAt: { type: Date, default: null },
+
+    refund: { type: returnRefundSchema, default: () => ({}) },
+
+    history: { type: [returnHistorySchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+returnRequestSchema.index({ sellerBusiness: 1, status: 1, createdAt: -1 });
+returnRequestSchema.index({ order: 1, 'item.itemIndex': 1, status: 1 });
+
+returnRequestSchema.statics.RETURN_STATUSES = RETURN_STATUSES;
+returnRequestSchema.statics.OPEN_RETURN_STATUSES = OPEN_RETURN_STATUSES;
+returnRequestSchema.statics.RETURN_REASONS = RETURN_REASONS;
+
+returnRequestSchema.methods.pushHistory = function pushHistory(status, actor = {}, note = '') {
+  this.status = status;
+  this.history.push({
+    status,
+    at: new Date(),
+    actorType: actor.type || 'system',
+    actorId: actor.id || null,
+    note: String(note || '').trim().slice(0, 500),
+  });
+};
+
+module.exports =
+  mongoose.models.ReturnRequest || mongoose.model('ReturnRequest', returnRequestSchema);
@@ -0,0 +1,70 @@
+// models/SavedCart.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const SAVED_CART_DEPARTMENTS = ['internal', 'cj'];
+const SAVED_CART_OWNER_TYPES = ['user', 'business'];
+const SAVED_CART_STATUSES = ['open', 'converted', 'recovered', 'cleared'];
+
+/*
+ * Server-side copy of a signed-in shopper's session cart, one document
+ * per shopping cycle. The cycle stays "open" until the cart is paid for
+ * ("converted", or "recovered" when a reminder email brought the shopper
+ * back) or emptied ("cleared"); the next item added starts a new one.
+ */
+const savedCartSchema = new mongoose.Schema(
+  {
+    ownerType: { type: String, enum: SAVED_CART_OWNER_TYPES, required: true },
+    ownerId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    // "user:<id>" or "business:<id>"
+    ownerKey: { type: String, required: true },
+
+    department: { type: String, enum: SAVED_CART_DEPARTMENTS, required: true },
+    status: { type: String, enum: SAVED_CART_STATUSES, default: 'open' },
+
+    // Session cart lines exactly as routes/cart.js or utils/cj/cjCart.js store them.
+    items: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    fingerprint: { type: String, default: '' },
+    itemCount: { type: Number, default: 0, min: 0 },
+    subtotal: { type: Number, default: 0, min: 0 },
+    currency: { type: String, trim: true, uppercase: true, default: '' },
+
+    lastActivityAt: { type: Date, required: true },
+
+    // Reminder sequence: `reminderStep` counts the schedule steps used up,
+    // `remindersSent` only the ones that were actually emailed.
+    reminderStep: { type: Number, default: 0, min: 0 },
+    nextReminderAt: { type: Date, default: null },
+    remindersSent: { type: Number, default: 0, min: 0 },
+    firstReminderAt: { type: Date, default: null },
+    lastReminderAt: { type: Date, default: null },
+
+    recoveryToken: { type: String, required: true },
+    restoredAt: { type: Date, default: null },
+    restoreCount: { type: Number, default: 0, min: 0 },
+
+    order: {
+      orderId: { type: String, trim: true, default: '' },
+      amount: { type: Number, default: null },
+      currency: { type: String, trim: true, uppercase: true, default: '' },
+      paidAt: { type: Date, default: null },
+    },
+    closedAt: { type: Date, default: null },
+  },
+  { timestamps: true },
+);
+
+savedCartSchema.index(
+  { ownerKey: 1, department: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } },
+);
+savedCartSchema.index({ status: 1, nextReminderAt: 1 });
+savedCartSchema.index({ recoveryToken: 1 }, { unique: true });
+savedCartSchema.index({ firstReminderAt: -1 });
+savedCartSchema.index({ status: 1, closedAt: -1 });
+
+savedCartSchema.statics.SAVED_CART_DEPARTMENTS = SAVED_CART_DEPARTMENTS;
+savedCartSchema.statics.SAVED_CART_STATUSES = SAVED_CART_STATUSES;
+
+module.exports = mongoose.models.SavedCart || mongoose.model('SavedCart', savedCartSchema);
@@ -0,0 +1,37 @@
+// models/SearchQuery.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const SEARCH_DEPARTMENTS = ['internal', 'cj'];
+
+// One row per normalized storefront search, per department.
+const searchQuerySchema = new mongoose.Schema(
+  {
+    department: { type: String, enum: SEARCH_DEPARTMENTS, required: true },
+    query: { type: String, trim: true, required: true, maxlength: 120 },
+
+    searchCount: { type: Number, default: 0, min: 0 },
+    zeroResultCount: { type: Number, default: 0, min: 0 },
+    lastResultCount: { type: Number, default: 0, min: 0 },
+
+    firstSearchedAt: { type: Date, default: null },
+    lastSearchedAt: { type: Date, default: null, index: true },
+
+    // Hidden queries are still counted but never offered as suggestions.
+    hidden: { type: Boolean, default: false },
+    hiddenAt: { type: Date, default: null },
+    hiddenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+  },
+  { timestamps: true }
+);
+
+// Also serves the prefix lookups behind the typeahead.
+searchQuerySchema.index({ department: 1, query: 1 }, { unique: true });
+searchQuerySchema.index({ department: 1, searchCount: -1 });
+searchQuerySchema.index({ department: 1, lastResultCount: 1, zeroResultCount: -1 });
+
+searchQuerySchema.statics.SEARCH_DEPARTMENTS = SEARCH_DEPARTMENTS;
+
+module.exports =
+  mongoose.models.SearchQuery || mongoose.model('SearchQuery', searchQuerySchema);
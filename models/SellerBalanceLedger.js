@@ -10,7 +10,20 @@ function getBaseCurrency() {
 const sellerBalanceLedgerSchema = new mongoose.Schema(
   {
     businessId: { type: mongoose.Schema.Types.ObjectId, ref: 'Business', required: true, index: true },
-    type: { type: String, enum: ['EARNING', 'REFUND_DEBIT', 'ADJUSTMENT', 'PAYOUT_DEBIT'], required: true },
+    type: {
+      type: String,
+      enum: [
+        'EARNING',
+        'REFUND_DEBIT',
+        'ADJUSTMENT',
+        'PAYOUT_DEBIT',
+        // PayPal disputes: earnings held while open (-), released when closed (+), debited if lost (-)
+        'DISPUTE_HOLD',
+        'DISPUTE_RELEASE',
+        'DISPUTE_DEBIT',
+      ],
+      required: true,
+    },
     amountCents: { type: Number, required: true }, // + for earning, - for debits
     currency: {
       type: String,
@@ -42,4 +55,10 @@ sellerBalanceLedgerSchema.index(
 // ✅ Helpful for your “eligible now” queries (matured earnings)
 sellerBalanceLedgerSchema.index({ businessId: 1, currency: 1, type: 1, availableAt: 1 });
 
+// Per-order lookups (refund debits, disputes, the platform fees metric).
+sellerBalanceLedgerSchema.index({ orderId: 1, type: 1 });
+
+// Monthly statements walk one business and currency by date.
+sellerBalanceLedgerSchema.index({ businessId: 1, currency: 1, createdAt: 1 });
+
 module.exports = mongoose.model('SellerBalanceLedger', sellerBalanceLedgerSchema);
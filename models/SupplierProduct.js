@@ -3,6 +3,7 @@
 
 const mongoose = require('mongoose');
 const SupplierProductStockHistory = require('./SupplierProductStockHistory');
+const { validatePriceTiers } = require('../utils/wholesale/priceTiers');
 
 const SupplierProductColorImageSchema = new mongoose.Schema(
   {
@@ -12,6 +13,23 @@ const SupplierProductColorImageSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Quantity break: orders of minQuantity or more pay unitPrice per unit.
+const SupplierProductPriceTierSchema = new mongoose.Schema(
+  {
+    minQuantity: {
+      type: Number,
+      required: true,
+      min: [2, 'Price tier quantity must be at least 2'],
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+      min: [0, 'Price tier price cannot be negative'],
+    },
+  },
+  { _id: false }
+);
+
 const SupplierProductShippingSchema = new mongoose.Schema(
   {
     weight: {
@@ -88,6 +106,12 @@ const supplierProductSchema = new mongoose.Schema(
       min: [1, 'Minimum order quantity must be at least 1'],
     },
 
+    // Sorted by minQuantity; wholesalePrice applies below the first tier.
+    priceTiers: {
+      type: [SupplierProductPriceTierSchema],
+      default: [],
+    },
+
     availableQuantity: {
       type: Number,
       default: 0,
@@ -218,6 +242,19 @@ const supplierProductSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+supplierProductSchema.pre('validate', function supplierPriceTiersValidate() {
+  if (!this.priceTiers?.length) return;
+
+  this.priceTiers.sort((a, b) => a.minQuantity - b.minQuantity);
+
+  const message = validatePriceTiers(this.priceTiers, {
+    wholesalePrice: this.wholesalePrice,
+    minimumOrderQuantity: this.minimumOrderQuantity,
+  });
+
+  if (message) this.invalidate('priceTiers', message);
+});
+
 /* =========================================================
  * SUPPLIER PRODUCT STOCK HISTORY
  *
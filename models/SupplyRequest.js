@@ -3,6 +3,9 @@
 
 const mongoose = require('mongoose');
 
+const { PAYMENT_STATUSES } = require('../utils/wholesale/supplyRequestPayment');
+const { FULFILLMENT_STAGES, SUPPLY_CARRIERS } = require('../utils/wholesale/supplyFulfillment');
+
 const supplyRequestSchema = new mongoose.Schema(
   {
     seller: {
@@ -32,6 +35,35 @@ const supplyRequestSchema = new mongoose.Schema(
       min: [1, 'Requested quantity must be at least 1'],
     },
 
+    // Unit price quoted for requestedQuantity (includes any quantity break).
+    // null on requests created before price tiers; use the product price.
+    unitPrice: {
+      type: Number,
+      min: [0, 'Unit price cannot be negative'],
+      default: null,
+    },
+
+    // Set when the request came from an accepted RFQ quote on a demand
+    // match; unitPrice and requestedQuantity are the agreed terms.
+    matchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MatchedDemand',
+      default: null,
+    },
+
+    quoteRevision: {
+      type: Number,
+      default: null,
+    },
+
+    // Supplier lead time when the request was made (or the quoted one),
+    // used for the expected arrival date. null falls back to the product.
+    leadTimeDays: {
+      type: Number,
+      min: [0, 'Lead time cannot be negative'],
+      default: null,
+    },
+
     message: {
       type: String,
       trim: true,
@@ -100,12 +132,90 @@ const supplyRequestSchema = new mongoose.Schema(
       default: null,
     },
 
+    // ==========================
+    // 💳 Wholesale payment (PayPal)
+    // ==========================
+    // The seller pays the supplier after approval; importing needs
+    // payment.status === 'paid'. amountCents/refundedCents are in
+    // `currency` (BASE_CURRENCY), paypalAmount is what PayPal charged.
+    payment: {
+      status: {
+        type: String,
+        enum: PAYMENT_STATUSES,
+        default: 'unpaid',
+        index: true,
+      },
+      amountCents: { type: Number, default: 0, min: 0 },
+      currency: { type: String, trim: true, uppercase: true, default: '' },
+      paypalOrderId: { type: String, trim: true, default: '' },
+      captureId: { type: String, trim: true, default: '' },
+      paypalAmount: {
+        valueCents: { type: Number, default: 0, min: 0 },
+        currency: { type: String, trim: true, uppercase: true, default: '' },
+        fxRate: { type: Number, default: 1 },
+      },
+      captureStartedAt: { type: Date, default: null },
+      paidAt: { type: Date, default: null },
+      refundedCents: { type: Number, default: 0, min: 0 },
+      refundedQuantity: { type: Number, default: 0, min: 0 },
+      paypalRefundedCents: { type: Number, default: 0, min: 0 },
+      refunds: [
+        {
+          _id: false,
+          refundId: { type: String, trim: true },
+          status: { type: String, trim: true },
+          amountCents: { type: Number, default: 0 },
+          paypalAmountCents: { type: Number, default: 0 },
+          quantity: { type: Number, default: 0 },
+          reason: { type: String, trim: true, default: '' },
+          createdAt: { type: Date, default: Date.now },
+        },
+      ],
+      lastError: { type: String, trim: true, default: '' },
+    },
+
+    // ==========================
+    // 🚚 Supplier fulfillment
+    // ==========================
+    // The supplier packs and ships a paid request; the seller confirms
+    // what arrived. Only receivedQuantity can be imported into Product.
+    fulfillment: {
+      stage: {
+        type: String,
+        enum: FULFILLMENT_STAGES,
+        default: 'awaiting',
+        index: true,
+      },
+      packedAt: { type: Date, default: null },
+      shippedAt: { type: Date, default: null },
+      shippedQuantity: { type: Number, default: 0, min: 0 },
+      carrier: {
+        type: String,
+        enum: ['', ...Object.keys(SUPPLY_CARRIERS)],
+        default: '',
+      },
+      carrierLabel: { type: String, trim: true, default: '' },
+      trackingNumber: { type: String, trim: true, default: '' },
+      receivedQuantity: { type: Number, default: 0, min: 0 },
+      deliveredAt: { type: Date, default: null },
+      closedShortAt: { type: Date, default: null },
+      // Last carrier tracking lookup (Shippo or Courier Guy).
+      tracking: {
+        status: { type: String, trim: true, default: '' },
+        lastEvent: { type: String, trim: true, default: '' },
+        estimatedDelivery: { type: Date, default: null },
+        carrierDeliveredAt: { type: Date, default: null },
+        checkedAt: { type: Date, default: null },
+        lastError: { type: String, trim: true, default: '' },
+      },
+    },
+
     // ==========================
     // 🏭 Wholesale import tracking
     // ==========================
     // When a seller imports an approved request into Product,
-    // we store the imported seller product here so this request
-    // cannot be imported twice by mistake.
+    // we store the imported seller product here. importedQuantity
+    // grows with each import and never exceeds the received quantity.
     importedProduct: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Product',
@@ -168,6 +278,12 @@ supplyRequestSchema.index(
   { name: 'seller_supplier_product_status_idx' }
 );
 
+// One supply request per accepted quote.
+supplyRequestSchema.index(
+  { matchId: 1 },
+  { unique: true, partialFilterExpression: { matchId: { $type: 'objectId' } } }
+);
+
 supplyRequestSchema.index({ supplier: 1, status: 1, createdAt: -1 });
 supplyRequestSchema.index({ seller: 1, status: 1, createdAt: -1 });
 
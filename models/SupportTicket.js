@@ -0,0 +1,100 @@
+// models/SupportTicket.js
+'use strict';
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+/*
+ * OPEN               -> waiting for support
+ * AWAITING_CUSTOMER  -> support replied, waiting for the requester
+ * RESOLVED           -> support considers it done; a requester reply reopens it
+ * CLOSED             -> final, no more replies
+ */
+const TICKET_STATUSES = ['OPEN', 'AWAITING_CUSTOMER', 'RESOLVED', 'CLOSED'];
+
+const TICKET_CATEGORIES = ['ORDER', 'PAYMENT', 'SHIPPING', 'RETURN', 'ACCOUNT', 'OTHER'];
+
+// contact_form -> public /contact form, account -> logged-in "My tickets" page
+const TICKET_SOURCES = ['contact_form', 'account'];
+
+const ticketMessageSchema = new mongoose.Schema(
+  {
+    // requester | admin
+    authorType: { type: String, enum: ['requester', 'admin'], required: true },
+    authorId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    authorName: { type: String, trim: true, default: '' },
+
+    body: { type: String, trim: true, required: true, maxlength: 5000 },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: true },
+);
+
+const supportTicketSchema = new mongoose.Schema(
+  {
+    // TKT-000001
+    ticketNumber: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      unique: true,
+    },
+
+    source: { type: String, enum: TICKET_SOURCES, default: 'contact_form' },
+
+    subject: { type: String, trim: true, required: true, maxlength: 200 },
+    category: { type: String, enum: TICKET_CATEGORIES, default: 'OTHER', index: true },
+
+    status: { type: String, enum: TICKET_STATUSES, default: 'OPEN', index: true },
+
+    // guest | user | business
+    requester: {
+      type: { type: String, enum: ['guest', 'user', 'business'], default: 'guest' },
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+      businessId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Business',
+        default: null,
+        index: true,
+      },
+      name: { type: String, trim: true, default: '' },
+      email: { type: String, trim: true, lowercase: true, required: true, index: true },
+      phone: { type: String, trim: true, default: '' },
+      businessRole: { type: String, trim: true, default: '' },
+    },
+
+    // Linked Internal order (only when the requester could be matched to it)
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null, index: true },
+    // What the requester typed (PayPal order id, receipt number...)
+    orderRef: { type: String, trim: true, default: '' },
+
+    assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null, index: true },
+    assignedToName: { type: String, trim: true, default: '' },
+
+    messages: { type: [ticketMessageSchema], default: [] },
+
+    lastMessageAt: { type: Date, default: Date.now, index: true },
+    lastMessageBy: { type: String, enum: ['requester', 'admin'], default: 'requester' },
+
+    resolvedAt: { type: Date, default: null },
+    closedAt: { type: Date, default: null },
+
+    // Lets guests open their ticket from the emailed link without an account.
+    accessToken: {
+      type: String,
+      select: false,
+      default: () => crypto.randomBytes(24).toString('hex'),
+    },
+  },
+  { timestamps: true },
+);
+
+supportTicketSchema.index({ status: 1, lastMessageAt: -1 });
+supportTicketSchema.index({ assignedTo: 1, status: 1, lastMessageAt: -1 });
+
+supportTicketSchema.statics.TICKET_STATUSES = TICKET_STATUSES;
+supportTicketSchema.statics.TICKET_CATEGORIES = TICKET_CATEGORIES;
+
+module.exports =
+  mongoose.models.SupportTicket || mongoose.model('SupportTicket', supportTicketSchema);
@@ -0,0 +1,112 @@
+// models/TaxDocument.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const TAX_DOCUMENT_KINDS = ['INVOICE', 'CREDIT_NOTE'];
+const TAX_DOCUMENT_DEPARTMENTS = ['INTERNAL', 'CJ'];
+
+/*
+ * Issued invoices and credit notes.
+ *
+ * Everything printed on the PDF is frozen here when the document is
+ * issued, so re-downloading it later always produces the same document
+ * even if the order, the tax settings or the company details change.
+ * Money is kept as "0.00" strings like Order.
+ */
+
+const PartySchema = new mongoose.Schema(
+  {
+    name: { type: String, trim: true, default: '' },
+    email: { type: String, trim: true, default: '' },
+    vatNumber: { type: String, trim: true, default: '' },
+    registrationNumber: { type: String, trim: true, default: '' },
+    addressLines: { type: [String], default: [] },
+  },
+  { _id: false },
+);
+
+const TaxDocumentLineSchema = new mongoose.Schema(
+  {
+    description: { type: String, trim: true, required: true },
+    sku: { type: String, trim: true, default: '' },
+    quantity: { type: Number, min: 0, default: 1 },
+    unitPriceExVat: { type: String, default: '0.00' },
+    discountExVat: { type: String, default: '0.00' },
+    lineTotalExVat: { type: String, default: '0.00' },
+  },
+  { _id: false },
+);
+
+const taxDocumentSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: TAX_DOCUMENT_KINDS, required: true, index: true },
+
+    // INV-000001 / CN-000001
+    number: { type: String, required: true, unique: true, trim: true },
+
+    // "Tax Invoice", "Invoice" or "Credit Note"
+    title: { type: String, trim: true, required: true },
+
+    department: { type: String, enum: TAX_DOCUMENT_DEPARTMENTS, required: true, index: true },
+
+    orderModel: { type: String, enum: ['Order', 'CjOrder'], required: true },
+    order: { type: mongoose.Schema.Types.ObjectId, refPath: 'orderModel', required: true },
+
+    // Order.orderId or CjOrder.cjOrderNumber, as shown to the buyer
+    orderRef: { type: String, trim: true, default: '', index: true },
+    orderDate: { type: Date, default: null },
+
+    // Credit notes only
+    invoice: { type: mongoose.Schema.Types.ObjectId, ref: 'TaxDocument', default: null },
+    invoiceNumber: { type: String, trim: true, default: '' },
+    refundId: { type: String, trim: true, default: '' },
+    reason: { type: String, trim: true, default: '', maxlength: 500 },
+
+    issuedAt: { type: Date, default: Date.now, index: true },
+
+    currency: { type: String, trim: true, uppercase: true, required: true },
+
+    supplier: { type: PartySchema, default: () => ({}) },
+    customer: { type: PartySchema, default: () => ({}) },
+
+    lines: { type: [TaxDocumentLineSchema], default: [] },
+
+    totals: {
+      subtotalExVat: { type: String, default: '0.00' },
+      discountExVat: { type: String, default: '0.00' },
+      shipping: { type: String, default: '0.00' },
+      vat: { type: String, default: '0.00' },
+      total: { type: String, default: '0.00' },
+    },
+
+    vatRate: { type: Number, min: 0, max: 1, default: 0 },
+
+    // Copy of the order's taxTreatment (Internal orders only)
+    taxTreatment: {
+      treatmentCode: { type: String, trim: true, default: '' },
+      label: { type: String, trim: true, default: '' },
+      destinationCountryCode: { type: String, trim: true, default: '' },
+      jurisdiction: { type: String, trim: true, default: '' },
+      reason: { type: String, trim: true, default: '' },
+    },
+
+    notes: { type: [String], default: [] },
+  },
+  { timestamps: true },
+);
+
+// One invoice per order, one credit note per refund.
+taxDocumentSchema.index(
+  { orderModel: 1, order: 1 },
+  { unique: true, partialFilterExpression: { kind: 'INVOICE' } },
+);
+
+taxDocumentSchema.index(
+  { orderModel: 1, order: 1, refundId: 1 },
+  { unique: true, partialFilterExpression: { kind: 'CREDIT_NOTE' } },
+);
+
+taxDocumentSchema.statics.KINDS = TAX_DOCUMENT_KINDS;
+
+module.exports = mongoose.models.TaxDocument || mongoose.model('TaxDocument', taxDocumentSchema);
@@ -0,0 +1,108 @@
+// public/admin-ui/js/admin-cart-recovery-metric.js
+'use strict';
+
+(function () {
+  const recoveredRevenueEl = document.getElementById('admin-cart-recovery-revenue');
+  const recoveredCartsEl = document.getElementById('admin-cart-recovery-recovered');
+  const remindedCartsEl = document.getElementById('admin-cart-recovery-reminded');
+  const abandonedCartsEl = document.getElementById('admin-cart-recovery-abandoned');
+  const recoveryBarEl = document.getElementById('admin-cart-recovery-bar');
+  const recoveryMetaEl = document.getElementById('admin-cart-recovery-meta');
+
+  if (
+    !recoveredRevenueEl ||
+    !recoveredCartsEl ||
+    !remindedCartsEl ||
+    !abandonedCartsEl ||
+    !recoveryBarEl ||
+    !recoveryMetaEl
+  ) {
+    return;
+  }
+
+  function formatMoney(amount, currency) {
+    const numeric = Number(amount || 0);
+    const safeAmount = Number.isFinite(numeric) ? numeric : 0;
+
+    const resolvedCurrency =
+      String(currency || '').trim().toUpperCase() || 'USD';
+
+    try {
+      const formatted = new Intl.NumberFormat(undefined, {
+        style: 'currency',
+        currency: resolvedCurrency,
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+      }).format(safeAmount);
+
+      if (resolvedCurrency === 'ZAR') {
+        return formatted.replace(/^ZAR\s?/, 'R');
+      }
+
+      return formatted;
+    } catch {
+      return `${resolvedCurrency} ${safeAmount.toFixed(2)}`;
+    }
+  }
+
+  function setProgressBar(percent) {
+    const safePercent = Math.max(0, Math.min(100, Number(percent || 0)));
+
+    recoveryBarEl.style.width = `${safePercent}%`;
+    recoveryBarEl.setAttribute('aria-valuenow', String(Math.round(safePercent)));
+  }
+
+  async function loadCartRecoveryMetric() {
+    try {
+      recoveredRevenueEl.textContent = 'Loading...';
+      recoveredCartsEl.textContent = '0';
+      remindedCartsEl.textContent = '0';
+      abandonedCartsEl.textContent = '0';
+      recoveryMetaEl.textContent = 'Loading last 30 days...';
+      setProgressBar(0);
+
+      const response = await fetch('/api/admin/cart-recovery-metric', {
+        method: 'GET',
+        credentials: 'same-origin',
+        headers: {
+          Accept: 'application/json',
+        },
+      });
+
+      const payload = await response.json().catch(() => ({}));
+
+      if (!response.ok || !payload.ok) {
+        throw new Error(payload.message || 'Failed to load Recovered Carts metric');
+      }
+
+      const currency =
+        String(payload.currency || '').trim().toUpperCase() || 'USD';
+
+      const recoveryRate = Number(payload.recoveryRate || 0);
+      const windowDays = Number(payload.windowDays || 30);
+      const otherCurrencyCarts = Number(payload.otherCurrencyCarts || 0);
+
+      recoveredRevenueEl.textContent = formatMoney(payload.recoveredRevenue, currency);
+      recoveredCartsEl.textContent = String(Number(payload.recoveredCarts || 0));
+      remindedCartsEl.textContent = String(Number(payload.remindedCarts || 0));
+      abandonedCartsEl.textContent = String(Number(payload.abandonedCarts || 0));
+
+      recoveryMetaEl.textContent =
+        `Last ${windowDays} days • ${recoveryRate.toFixed(2)}% of reminded carts recovered` +
+        (otherCurrencyCarts > 0 ? ` • ${otherCurrencyCarts} paid in other currencies` : '');
+
+      setProgressBar(recoveryRate);
+    } catch (error) {
+      console.error('❌ admin cart recovery metric frontend error:', error);
+
+      recoveredRevenueEl.textContent = 'Failed';
+      recoveredCartsEl.textContent = '0';
+      remindedCartsEl.textContent = '0';
+      abandonedCartsEl.textContent = '0';
+      recoveryMetaEl.textContent = 'Could not load Recovered Carts';
+      setProgressBar(0);
+    }
+  }
+
+  document.addEventListener('DOMContentLoaded', loadCartRecoveryMetric);
+})();
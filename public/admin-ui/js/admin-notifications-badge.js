@@ -0,0 +1,34 @@
+// public/admin-ui/js/admin-notifications-badge.js
+'use strict';
+
+async function loadAdminNotificationsBadge() {
+  const badgeEl = document.getElementById('adminNotificationsBadge');
+  if (!badgeEl) return;
+
+  try {
+    const response = await fetch('/notifications/api/unread-count', {
+      method: 'GET',
+      credentials: 'same-origin',
+      headers: {
+        Accept: 'application/json'
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const payload = await response.json();
+    const count = Number(payload?.count || 0);
+
+    badgeEl.textContent = count > 99 ? '99+' : String(count);
+    badgeEl.classList.toggle('d-none', count < 1);
+  } catch (err) {
+    console.error('Admin notifications badge error:', err);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  loadAdminNotificationsBadge();
+  setInterval(loadAdminNotificationsBadge, 60000);
+});
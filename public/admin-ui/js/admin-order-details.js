@@ -312,6 +312,20 @@
               >
                 Open Receipt
               </a>
+              ${
+                order?.invoiceUrl
+                  ? `<a href="${escapeHtml(order.invoiceUrl)}" class="btn btn-outline-brand-purple w-100 mt-2">
+                Download Invoice
+              </a>`
+                  : ''
+              }
+              ${(Array.isArray(order?.creditNotes) ? order.creditNotes : [])
+                .map(
+                  (note) => `<a href="${escapeHtml(note.url)}" class="btn btn-outline-secondary w-100 mt-2">
+                Credit Note ${escapeHtml(note.number)} (${escapeHtml(note.currency)} ${escapeHtml(note.total)})
+              </a>`,
+                )
+                .join('')}
             </div>
           </div>
         </div>
@@ -92,8 +92,17 @@
       platformFeesRateEl.textContent = `${averagePlatformFeePercent.toFixed(2)}%`;
       platformFeesBaseEl.textContent = formatMoney(feeBaseSales, currency);
 
-      platformFeesMetaEl.textContent =
-        `Last ${windowDays} days • Commission after refunds`;
+      const commissionRules = Array.isArray(payload.commissionRules)
+        ? payload.commissionRules.filter((r) => r.scope !== 'PLATFORM_DEFAULT')
+        : [];
+
+      platformFeesMetaEl.textContent = commissionRules.length
+        ? `Last ${windowDays} days • Commission after refunds • ${commissionRules.length} commission rule(s) applied`
+        : `Last ${windowDays} days • Commission after refunds`;
+
+      platformFeesMetaEl.title = commissionRules
+        .map((r) => `${r.name} (${Number(r.feePercent || 0).toFixed(2)}%): ${formatMoney(r.fees, currency)} on ${r.lines} line(s)`)
+        .join('\n');
 
       setProgressBar(progressPercent);
     } catch (error) {
@@ -0,0 +1,170 @@
+// public/electro/js/store-search-suggest.js
+/*
+ * Typeahead for the store header search inputs marked with
+ * data-search-suggest. Suggestions come from /api/search/suggest, which
+ * uses the shopper's current store department.
+ *
+ * Pressing Enter without a highlighted suggestion is left to each page's
+ * own search handler.
+ */
+document.addEventListener('DOMContentLoaded', () => {
+  const inputs = Array.from(document.querySelectorAll('input[data-search-suggest]'));
+  if (!inputs.length) return;
+
+  const MIN_LENGTH = 2;
+  const DEBOUNCE_MS = 200;
+
+  function attach(input) {
+    const host = input.closest('.position-relative') || input.parentElement;
+    const menu = document.createElement('div');
+    menu.className = 'dropdown-menu shadow w-100 mt-1 py-2 text-start';
+    menu.setAttribute('role', 'listbox');
+    menu.style.zIndex = '1080';
+    host.appendChild(menu);
+
+    input.setAttribute('autocomplete', 'off');
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-expanded', 'false');
+
+    let timer = null;
+    let controller = null;
+    let items = [];
+    let active = -1;
+
+    function close() {
+      menu.classList.remove('show');
+      menu.replaceChildren();
+      input.setAttribute('aria-expanded', 'false');
+      items = [];
+      active = -1;
+    }
+
+    function highlight(index) {
+      items.forEach((item, i) => item.classList.toggle('active', i === index));
+      active = index;
+    }
+
+    function addHeader(text) {
+      const header = document.createElement('h6');
+      header.className = 'dropdown-header';
+      header.textContent = text;
+      menu.appendChild(header);
+    }
+
+    function addItem(label, url, image) {
+      const link = document.createElement('a');
+      link.className = 'dropdown-item d-flex align-items-center gap-2 text-wrap';
+      link.href = url;
+      link.setAttribute('role', 'option');
+
+      if (image) {
+        const img = document.createElement('img');
+        img.src = image;
+        img.alt = '';
+        img.width = 32;
+        img.height = 32;
+        img.className = 'rounded object-fit-cover flex-shrink-0';
+        link.appendChild(img);
+      }
+
+      const text = document.createElement('span');
+      text.textContent = label;
+      link.appendChild(text);
+
+      link.addEventListener('mouseenter', () => highlight(items.indexOf(link)));
+      menu.appendChild(link);
+      items.push(link);
+    }
+
+    function render(data) {
+      close();
+
+      const queries = data.queries || [];
+      const categories = data.categories || [];
+      const products = data.products || [];
+
+      if (queries.length) {
+        addHeader('Popular searches');
+        queries.forEach((q) => addItem(q.query, q.url));
+      }
+
+      if (categories.length) {
+        addHeader('Categories');
+        categories.forEach((c) => addItem(c.label, c.url));
+      }
+
+      if (products.length) {
+        addHeader('Products');
+        products.forEach((p) => addItem(p.name, p.url, p.image));
+      }
+
+      if (!items.length) return;
+
+      menu.classList.add('show');
+      input.setAttribute('aria-expanded', 'true');
+    }
+
+    async function fetchSuggestions(query) {
+      if (controller) controller.abort();
+      controller = new AbortController();
+
+      try {
+        const response = await fetch(`/api/search/suggest?q=${encodeURIComponent(query)}`, {
+          headers: { Accept: 'application/json' },
+          credentials: 'same-origin',
+          signal: controller.signal,
+        });
+
+        if (!response.ok) return close();
+
+        const data = await response.json();
+
+        // Ignore answers for text the shopper has since changed.
+        if (data.ok && String(input.value || '').trim() === query) render(data);
+      } catch (err) {
+        if (err.name !== 'AbortError') close();
+      }
+    }
+
+    input.addEventListener('input', () => {
+      clearTimeout(timer);
+      const query = String(input.value || '').trim();
+
+      if (query.length < MIN_LENGTH) {
+        if (controller) controller.abort();
+        return close();
+      }
+
+      timer = setTimeout(() => fetchSuggestions(query), DEBOUNCE_MS);
+    });
+
+    // Capture phase, so a chosen suggestion wins over the page's Enter handler.
+    document.addEventListener(
+      'keydown',
+      (event) => {
+        if (event.target !== input || !menu.classList.contains('show')) return;
+
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+          event.preventDefault();
+          const step = event.key === 'ArrowDown' ? 1 : -1;
+          highlight((active + step + items.length) % items.length);
+        } else if (event.key === 'Enter' && active >= 0) {
+          event.preventDefault();
+          event.stopPropagation();
+          window.location.href = items[active].href;
+        } else if (event.key === 'Escape') {
+          close();
+        }
+      },
+      true,
+    );
+
+    input.addEventListener('blur', () => {
+      // Let a click on a suggestion land first.
+      setTimeout(close, 150);
+    });
+  }
+
+  inputs.forEach(attach);
+});
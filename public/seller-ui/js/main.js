@@ -350,6 +350,19 @@ async function loadSellerEarnings() {
     paidEarningsEl.textContent = formatCurrency(paidEarnings, currency);
     eligibilityEl.textContent = formatCurrency(eligibility, currency);
 
+    const commissionEl = document.getElementById('seller-commission');
+    const commission = payload?.commission?.current;
+
+    if (commissionEl && commission) {
+      const until = commission.endsAt
+        ? ` until ${new Date(commission.endsAt).toLocaleDateString()}`
+        : '';
+      commissionEl.textContent = `${Number(commission.feePercent || 0).toFixed(2)}% (${commission.name})${until}`;
+      commissionEl.title = (payload.commission.rules || [])
+        .map((r) => `${r.name}: ${formatCurrency(r.fees, currency)} on ${r.lines} sale(s)`)
+        .join('\n');
+    }
+
     const chartLabels = Array.isArray(payload?.chart?.labels)
       ? payload.chart.labels
       : ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
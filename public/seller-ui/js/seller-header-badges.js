@@ -0,0 +1,43 @@
+// public/seller-ui/js/seller-header-badges.js
+'use strict';
+
+const SELLER_HEADER_BADGES = [
+  { id: 'sellerNotificationsBadge', url: '/notifications/api/unread-count' },
+  { id: 'sellerMessagesBadge', url: '/messages/api/unread-count' }
+];
+
+async function loadSellerHeaderBadge({ id, url }) {
+  const badgeEl = document.getElementById(id);
+  if (!badgeEl) return;
+
+  try {
+    const response = await fetch(url, {
+      method: 'GET',
+      credentials: 'same-origin',
+      headers: {
+        Accept: 'application/json'
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const payload = await response.json();
+    const count = Number(payload?.count || 0);
+
+    badgeEl.textContent = count > 99 ? '99+' : String(count);
+    badgeEl.classList.toggle('d-none', count < 1);
+  } catch (err) {
+    console.error(`Seller header badge error (${id}):`, err);
+  }
+}
+
+function loadSellerHeaderBadges() {
+  SELLER_HEADER_BADGES.forEach(loadSellerHeaderBadge);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  loadSellerHeaderBadges();
+  setInterval(loadSellerHeaderBadges, 60000);
+});
@@ -0,0 +1,209 @@
+// public/seller-ui/js/seller-returns-card.js
+'use strict';
+
+function escapeHtml(value) {
+  return String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const RETURN_STATUS_BADGES = {
+  REQUESTED: 'bg-warning text-dark',
+  APPROVED: 'bg-info text-dark',
+  LABEL_ISSUED: 'bg-primary',
+  RECEIVED: 'bg-secondary',
+  REFUND_FAILED: 'bg-danger',
+  REFUNDED: 'bg-success',
+  REJECTED: 'bg-dark',
+  CANCELLED: 'bg-light text-dark',
+};
+
+function returnStatusLabel(status) {
+  return String(status || '')
+    .replace(/_/g, ' ')
+    .toLowerCase()
+    .replace(/^./, (c) => c.toUpperCase());
+}
+
+function buildReturnActions(ret) {
+  const id = escapeHtml(ret.id);
+
+  if (ret.status === 'REQUESTED') {
+    return `
+      <button type="button" class="btn btn-sm btn-success" data-return-action="approve" data-return-id="${id}">Approve</button>
+      <button type="button" class="btn btn-sm btn-outline-danger" data-return-action="reject" data-return-id="${id}">Reject</button>
+    `;
+  }
+
+  if (ret.status === 'APPROVED') {
+    return `
+      <button type="button" class="btn btn-sm btn-primary" data-return-action="approve" data-return-id="${id}">Retry label</button>
+      <button type="button" class="btn btn-sm btn-success" data-return-action="receive" data-return-id="${id}">Received</button>
+    `;
+  }
+
+  if (ret.status === 'LABEL_ISSUED') {
+    return `
+      <button type="button" class="btn btn-sm btn-success" data-return-action="receive" data-return-id="${id}">Received</button>
+    `;
+  }
+
+  if (ret.status === 'RECEIVED' || ret.status === 'REFUND_FAILED') {
+    return `
+      <button type="button" class="btn btn-sm btn-warning" data-return-action="receive" data-return-id="${id}">Retry refund</button>
+    `;
+  }
+
+  return '';
+}
+
+function buildReturnItem(ret) {
+  const name = escapeHtml(ret?.item?.name || 'Item');
+  const status = String(ret?.status || '');
+  const badgeClass = RETURN_STATUS_BADGES[status] || 'bg-secondary';
+  const error = ret?.refund?.lastError || ret?.returnLabel?.lastError || '';
+  const labelUrl = String(ret?.returnLabel?.labelUrl || '').trim();
+
+  return `
+    <div class="border rounded p-2">
+      <div class="d-flex justify-content-between align-items-start gap-2">
+        <div class="overflow-hidden">
+          <div class="fw-semibold text-truncate">${name} × ${Number(ret?.quantity || 1)}</div>
+          <div class="small text-body-secondary">
+            ${escapeHtml(ret.rmaNumber)} · ${escapeHtml(returnStatusLabel(ret.reason))}
+          </div>
+          ${ret.details ? `<div class="small mt-1">${escapeHtml(ret.details)}</div>` : ''}
+          ${
+            ret?.returnLabel?.trackingNumber
+              ? `<div class="small text-body-secondary">Tracking: ${escapeHtml(ret.returnLabel.trackingNumber)}</div>`
+              : ''
+          }
+          ${
+            status !== 'REFUNDED' && error
+              ? `<div class="small text-danger">${escapeHtml(error)}</div>`
+              : ''
+          }
+        </div>
+        <span class="badge ${badgeClass} flex-shrink-0">${escapeHtml(returnStatusLabel(status))}</span>
+      </div>
+
+      <div class="d-flex flex-wrap gap-2 mt-2">
+        ${labelUrl ? `<a href="${escapeHtml(labelUrl)}" target="_blank" rel="noopener" class="btn btn-sm btn-outline-primary">Label</a>` : ''}
+        ${buildReturnActions(ret)}
+      </div>
+    </div>
+  `;
+}
+
+async function postSellerReturnAction(returnId, action, body) {
+  const response = await fetch(`/api/seller/returns/${encodeURIComponent(returnId)}/${action}`, {
+    method: 'POST',
+    credentials: 'same-origin',
+    headers: {
+      Accept: 'application/json',
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body || {})
+  });
+
+  const payload = await response.json().catch(() => ({}));
+
+  if (!response.ok || !payload.ok) {
+    throw new Error(payload.message || `HTTP ${response.status}`);
+  }
+
+  return payload;
+}
+
+async function handleSellerReturnAction(button) {
+  const returnId = button.getAttribute('data-return-id');
+  const action = button.getAttribute('data-return-action');
+  const body = {};
+
+  if (action === 'reject') {
+    const note = window.prompt('Why are you rejecting this return? The buyer will see this note.');
+    if (!note) return;
+    body.note = note;
+  }
+
+  if (action === 'receive') {
+    if (!window.confirm('Confirm the item arrived? The buyer will be refunded.')) return;
+    body.restock = window.confirm('Put the returned units back into stock?');
+  }
+
+  button.disabled = true;
+
+  try {
+    await postSellerReturnAction(returnId, action, body);
+  } catch (error) {
+    console.error('❌ Seller return action failed:', error);
+    window.alert(error.message || 'Action failed');
+  }
+
+  await loadSellerReturnsCard();
+}
+
+async function loadSellerReturnsCard() {
+  const listEl = document.getElementById('seller-returns-list');
+  if (!listEl) return;
+
+  try {
+    const response = await fetch('/api/seller/returns?limit=10', {
+      method: 'GET',
+      credentials: 'same-origin',
+      headers: {
+        Accept: 'application/json'
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const payload = await response.json();
+
+    if (!payload.ok) {
+      throw new Error(payload.message || 'Failed to load returns');
+    }
+
+    const returns = Array.isArray(payload?.returns) ? payload.returns : [];
+    const countEl = document.getElementById('seller-returns-open-count');
+    if (countEl) countEl.textContent = String(Number(payload?.stats?.openCount || 0));
+
+    if (returns.length === 0) {
+      listEl.innerHTML = `
+        <div class="text-center py-3">
+          <div class="fw-semibold text-success">No return requests</div>
+          <div class="small text-body-secondary">Buyer returns will show up here.</div>
+        </div>
+      `;
+      return;
+    }
+
+    listEl.innerHTML = returns.map(buildReturnItem).join('');
+  } catch (error) {
+    console.error('❌ Failed to load seller returns card:', error);
+
+    listEl.innerHTML = `
+      <div class="text-danger small">
+        Failed to load returns.
+      </div>
+    `;
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const listEl = document.getElementById('seller-returns-list');
+
+  if (listEl) {
+    listEl.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-return-action]');
+      if (button) handleSellerReturnAction(button);
+    });
+  }
+
+  loadSellerReturnsCard();
+});
@@ -10,6 +10,21 @@ const requireAdminRole = require('../middleware/requireAdminRole');
 const Admin = require('../models/Admin');
 const { ADMIN_ROLES, getPermissionsForRole } = require('../utils/adminRoles');
 const { logAdminAction } = require('../utils/logAdminAction');
+const {
+  TWO_FACTOR_SECRET_FIELDS,
+  isTwoFactorRequiredForAdmin,
+  enrollmentDetails,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  startPendingLogin,
+  readPendingLogin,
+  clearPendingLogin,
+  markReauthenticated,
+  logTwoFactorEvent,
+  auditedTwoFactorStep,
+} = require('../utils/auth/twoFactor');
 
 /* -------------------------------------------
    Helpers
@@ -75,6 +90,64 @@ function clearAttempt(req) {
   attemptsByKey.delete(key);
 }
 
+/* -------------------------------------------
+   Signs the admin in once every factor passed
+------------------------------------------- */
+async function establishAdminSession(req, res, admin, { meta = null, warning = '' } = {}) {
+  admin.lastLoginAt = new Date();
+  admin.lastLoginIp = String(req.ip || '').trim();
+  await admin.save();
+
+  req.session.regenerate(async (err) => {
+    if (err) {
+      console.error('Session regenerate error:', err);
+      req.flash('error', 'Session error. Please try again.');
+      return res.redirect('/admin/login');
+    }
+
+    req.session.admin = {
+      _id: String(admin._id),
+      fullName: String(admin.fullName || '').trim(),
+      name: String(admin.fullName || '').trim(),
+      email: String(admin.email || '').trim().toLowerCase(),
+      username: String(admin.username || '').trim().toLowerCase(),
+      role: String(admin.role || '').trim(),
+      permissions: Array.isArray(admin.permissions) ? admin.permissions : [],
+      at: Date.now(),
+    };
+
+    // the code just entered also counts as a fresh re-authentication
+    if (admin.twoFactor?.enabled) markReauthenticated(req, 'admin');
+
+    await logAdminAction(req, {
+      adminId: admin._id,
+      adminIdentifier: admin.username,
+      adminName: admin.fullName,
+      adminEmail: admin.email,
+      adminRole: admin.role,
+      action: 'admin.login',
+      entityType: 'admin_auth',
+      status: 'success',
+      meta,
+    });
+
+    const mustEnroll = isTwoFactorRequiredForAdmin(admin.role) && !admin.twoFactor?.enabled;
+
+    if (warning) req.flash('warning', warning);
+
+    if (mustEnroll) {
+      req.flash('warning', 'Your role requires two-factor authentication. Please set it up now.');
+    } else {
+      req.flash('success', `Welcome back, ${admin.fullName}!`);
+    }
+
+    req.session.save((err2) => {
+      if (err2) console.error('Session save error:', err2);
+      return res.redirect(mustEnroll ? '/admin/2fa' : '/admin/dashboard');
+    });
+  });
+}
+
 /* -------------------------------------------
    /admin -> /admin/dashboard
 ------------------------------------------- */
@@ -163,46 +236,26 @@ router.post('/login', adminLoginThrottle, async (req, res) => {
 
     clearAttempt(req);
 
-    admin.lastLoginAt = new Date();
-    admin.lastLoginIp = String(req.ip || '').trim();
-    await admin.save();
+    if (admin.twoFactor?.enabled) {
+      return req.session.regenerate(async (err) => {
+        if (err) {
+          console.error('Session regenerate error:', err);
+          req.flash('error', 'Session error. Please try again.');
+          return res.redirect('/admin/login');
+        }
 
-    req.session.regenerate(async (err) => {
-      if (err) {
-        console.error('Session regenerate error:', err);
-        req.flash('error', 'Session error. Please try again.');
-        return res.redirect('/admin/login');
-      }
+        startPendingLogin(req, 'admin', admin._id);
 
-      req.session.admin = {
-        _id: String(admin._id),
-        fullName: String(admin.fullName || '').trim(),
-        name: String(admin.fullName || '').trim(),
-        email: String(admin.email || '').trim().toLowerCase(),
-        username: String(admin.username || '').trim().toLowerCase(),
-        role: String(admin.role || '').trim(),
-        permissions: Array.isArray(admin.permissions) ? admin.permissions : [],
-        at: Date.now(),
-      };
+        await logTwoFactorEvent(req, { kind: 'admin', account: admin, event: 'challenge' });
 
-      await logAdminAction(req, {
-        adminId: admin._id,
-        adminIdentifier: admin.username,
-        adminName: admin.fullName,
-        adminEmail: admin.email,
-        adminRole: admin.role,
-        action: 'admin.login',
-        entityType: 'admin_auth',
-        status: 'success',
+        req.session.save((err2) => {
+          if (err2) console.error('Session save error:', err2);
+          return res.redirect('/admin/2fa/verify');
+        });
       });
+    }
 
-      req.flash('success', `Welcome back, ${admin.fullName}!`);
-
-      req.session.save((err2) => {
-        if (err2) console.error('Session save error:', err2);
-        return res.redirect('/admin/dashboard');
-      });
-    });
+    return establishAdminSession(req, res, admin);
   } catch (e) {
     console.error('Admin login error:', e);
     bumpAttempt(req);
@@ -705,6 +758,249 @@ router.get('/me', requireAdmin, (req, res) => {
   });
 });
 
+/* -------------------------------------------
+   Two-factor authentication (TOTP)
+------------------------------------------- */
+function redirectWithTwoFactorError(req, res, err, fallbackMessage, redirectTo) {
+  if (!err?.status || err.status >= 500) console.error('❌ Admin 2FA error:', err);
+  req.flash('error', err?.status ? err.message : fallbackMessage);
+  return res.redirect(redirectTo);
+}
+
+async function loadAdminWithTwoFactor(id) {
+  return Admin.findById(id).select(TWO_FACTOR_SECRET_FIELDS);
+}
+
+// GET /admin/2fa/verify — second login step
+router.get('/2fa/verify', (req, res) => {
+  if (!readPendingLogin(req, 'admin')) {
+    req.flash('error', 'Please log in first.');
+    return res.redirect('/admin/login');
+  }
+
+  return res.render('two-factor/verify', {
+    title: '🔐 Two-Factor Verification',
+    formAction: '/admin/2fa/verify',
+    cancelUrl: '/admin/login',
+    themeCss: themeCssFromSession(req),
+    nonce: res.locals.nonce,
+    success: req.flash('success'),
+    error: req.flash('error'),
+    info: req.flash('info'),
+    warning: req.flash('warning'),
+  });
+});
+
+// POST /admin/2fa/verify
+router.post('/2fa/verify', adminLoginThrottle, async (req, res) => {
+  const pendingId = readPendingLogin(req, 'admin');
+
+  if (!pendingId) {
+    req.flash('error', 'Your login step expired. Please log in again.');
+    return res.redirect('/admin/login');
+  }
+
+  try {
+    const admin = await loadAdminWithTwoFactor(pendingId);
+
+    if (!admin || admin.isActive !== true) {
+      clearPendingLogin(req);
+      req.flash('error', '❌ Invalid credentials. Please try again.');
+      return res.redirect('/admin/login');
+    }
+
+    let result;
+    try {
+      result = await auditedTwoFactorStep(
+        req,
+        { kind: 'admin', account: admin, event: 'verify' },
+        () => verifySecondFactor(admin, req.body?.code),
+      );
+    } catch (err) {
+      if (!err?.status || err.status >= 500) throw err;
+
+      bumpAttempt(req);
+      req.flash('error', '❌ Invalid authentication code.');
+      return res.redirect('/admin/2fa/verify');
+    }
+
+    clearAttempt(req);
+    clearPendingLogin(req);
+
+    await logTwoFactorEvent(req, {
+      kind: 'admin',
+      account: admin,
+      event: 'verify',
+      meta: result,
+    });
+
+    return establishAdminSession(req, res, admin, {
+      meta: { twoFactor: result.method },
+      warning:
+        result.method === 'recovery_code'
+          ? `You signed in with a recovery code. ${result.recoveryCodesLeft} left — consider generating new ones.`
+          : '',
+    });
+  } catch (err) {
+    return redirectWithTwoFactorError(
+      req,
+      res,
+      err,
+      'Verification failed. Please try again.',
+      '/admin/2fa/verify',
+    );
+  }
+});
+
+// GET /admin/2fa — status, enrollment and recovery codes
+router.get('/2fa', requireAdmin, async (req, res) => {
+  try {
+    const admin = await loadAdminWithTwoFactor(req.admin._id);
+    const enabled = admin.twoFactor?.enabled === true;
+
+    const enrollment = enabled ? null : await enrollmentDetails(admin, admin.email);
+
+    if (enrollment?.created) {
+      await logTwoFactorEvent(req, { kind: 'admin', account: admin, event: 'enroll.start' });
+    }
+
+    return res.render('two-factor/settings', {
+      title: '🔐 Two-Factor Authentication',
+      basePath: '/admin/2fa',
+      backUrl: '/admin/dashboard',
+      required: isTwoFactorRequiredForAdmin(admin.role),
+      enabled,
+      enabledAt: admin.twoFactor?.enabledAt || null,
+      recoveryCodesLeft: (admin.twoFactor?.recoveryCodes || []).length,
+      enrollment,
+      themeCss: themeCssFromSession(req),
+      nonce: res.locals.nonce,
+      success: req.flash('success'),
+      error: req.flash('error'),
+      info: req.flash('info'),
+      warning: req.flash('warning'),
+    });
+  } catch (err) {
+    return redirectWithTwoFactorError(
+      req,
+      res,
+      err,
+      'Could not load two-factor settings.',
+      '/admin/dashboard',
+    );
+  }
+});
+
+// POST /admin/2fa/enable — confirm the first code
+router.post('/2fa/enable', requireAdmin, async (req, res) => {
+  try {
+    const admin = await loadAdminWithTwoFactor(req.admin._id);
+
+    const recoveryCodes = await auditedTwoFactorStep(
+      req,
+      { kind: 'admin', account: admin, event: 'enable' },
+      () => confirmEnrollment(admin, req.body?.code),
+    );
+
+    markReauthenticated(req, 'admin');
+
+    await logTwoFactorEvent(req, { kind: 'admin', account: admin, event: 'enable' });
+
+    return res.render('two-factor/recovery-codes', {
+      title: '🔐 Recovery Codes',
+      recoveryCodes,
+      continueUrl: '/admin/dashboard',
+      themeCss: themeCssFromSession(req),
+      nonce: res.locals.nonce,
+      success: ['Two-factor authentication is now enabled.'],
+      error: [],
+      info: [],
+      warning: [],
+    });
+  } catch (err) {
+    return redirectWithTwoFactorError(
+      req,
+      res,
+      err,
+      'Could not enable two-factor authentication.',
+      '/admin/2fa',
+    );
+  }
+});
+
+// POST /admin/2fa/recovery-codes — replace all recovery codes
+router.post('/2fa/recovery-codes', requireAdmin, async (req, res) => {
+  try {
+    const admin = await loadAdminWithTwoFactor(req.admin._id);
+
+    await auditedTwoFactorStep(
+      req,
+      { kind: 'admin', account: admin, event: 'recovery_codes.regenerate' },
+      () => verifySecondFactor(admin, req.body?.code),
+    );
+
+    const recoveryCodes = await regenerateRecoveryCodes(admin);
+    markReauthenticated(req, 'admin');
+
+    await logTwoFactorEvent(req, {
+      kind: 'admin',
+      account: admin,
+      event: 'recovery_codes.regenerate',
+    });
+
+    return res.render('two-factor/recovery-codes', {
+      title: '🔐 Recovery Codes',
+      recoveryCodes,
+      continueUrl: '/admin/2fa',
+      themeCss: themeCssFromSession(req),
+      nonce: res.locals.nonce,
+      success: ['New recovery codes generated. The old ones no longer work.'],
+      error: [],
+      info: [],
+      warning: [],
+    });
+  } catch (err) {
+    return redirectWithTwoFactorError(
+      req,
+      res,
+      err,
+      'Could not generate recovery codes.',
+      '/admin/2fa',
+    );
+  }
+});
+
+// POST /admin/2fa/disable — only for roles where 2FA is optional
+router.post('/2fa/disable', requireAdmin, async (req, res) => {
+  try {
+    const admin = await loadAdminWithTwoFactor(req.admin._id);
+
+    if (isTwoFactorRequiredForAdmin(admin.role)) {
+      req.flash('error', 'Two-factor authentication is mandatory for your role.');
+      return res.redirect('/admin/2fa');
+    }
+
+    await auditedTwoFactorStep(req, { kind: 'admin', account: admin, event: 'disable' }, () =>
+      verifySecondFactor(admin, req.body?.code),
+    );
+
+    await disableTwoFactor(admin);
+
+    await logTwoFactorEvent(req, { kind: 'admin', account: admin, event: 'disable' });
+
+    req.flash('success', 'Two-factor authentication disabled.');
+    return res.redirect('/admin/2fa');
+  } catch (err) {
+    return redirectWithTwoFactorError(
+      req,
+      res,
+      err,
+      'Could not disable two-factor authentication.',
+      '/admin/2fa',
+    );
+  }
+});
+
 /* -------------------------------------------
    Logout
 ------------------------------------------- */
@@ -9,6 +9,7 @@ const requireAdmin = require('../middleware/requireAdmin');
 const requireAdminRole = require('../middleware/requireAdminRole');
 const requireAdminPermission = require('../middleware/requireAdminPermission');
 const { logAdminAction } = require('../utils/logAdminAction');
+const { notifySafely } = require('../utils/notify');
 
 const {
   sendOfficialNumberVerifiedEmail,
@@ -281,6 +282,15 @@ router.post(
         req.flash('warning', 'Approved, but email could not be sent (check SendGrid/SMTP env).');
       }
 
+      await notifySafely({
+        recipientType: 'business',
+        recipientId: updated._id,
+        type: 'verification.approved',
+        title: 'Your business has been verified',
+        message: 'Verified businesses can sell and use wholesale features.',
+        link: '/business/dashboard',
+      });
+
       await logAdminAction(req, {
         action: 'verification.business.approve',
         entityType: 'business',
@@ -379,6 +389,15 @@ router.post(
         req.flash('warning', 'Rejected, but email could not be sent (check SendGrid/SMTP env).');
       }
 
+      await notifySafely({
+        recipientType: 'business',
+        recipientId: updated._id,
+        type: 'verification.rejected',
+        title: 'Your business verification was rejected',
+        message: reason,
+        link: '/business/dashboard',
+      });
+
       await logAdminAction(req, {
         action: 'verification.business.reject',
         entityType: 'business',
@@ -0,0 +1,90 @@
+// routes/adminCartRecoveryMetricApi.js
+'use strict';
+
+const express = require('express');
+
+const requireAdmin = require('../middleware/requireAdmin');
+const SavedCart = require('../models/SavedCart');
+const { reminderScheduleHours } = require('../utils/cartRecovery/cartRecovery');
+
+const router = express.Router();
+
+const BASE_CURRENCY =
+  String(process.env.BASE_CURRENCY || '').trim().toUpperCase() || 'USD';
+
+function roundMoney(value) {
+  return Number(Number(value || 0).toFixed(2));
+}
+
+function roundPercent(value) {
+  return Number(Number(value || 0).toFixed(2));
+}
+
+// GET /api/admin/cart-recovery-metric
+router.get('/cart-recovery-metric', requireAdmin, async (req, res) => {
+  try {
+    const start = new Date();
+    start.setDate(start.getDate() - 29);
+    start.setHours(0, 0, 0, 0);
+
+    const idleSince = new Date(Date.now() - reminderScheduleHours()[0] * 60 * 60 * 1000);
+
+    const [remindedCarts, recoveredRows, abandonedCarts] = await Promise.all([
+      SavedCart.countDocuments({ firstReminderAt: { $gte: start } }),
+
+      SavedCart.aggregate([
+        {
+          $match: {
+            status: 'recovered',
+            closedAt: { $gte: start },
+          },
+        },
+        {
+          $group: {
+            _id: '$order.currency',
+            carts: { $sum: 1 },
+            revenue: { $sum: { $ifNull: ['$order.amount', 0] } },
+          },
+        },
+      ]),
+
+      SavedCart.countDocuments({
+        status: 'open',
+        itemCount: { $gt: 0 },
+        lastActivityAt: { $lte: idleSince },
+      }),
+    ]);
+
+    const recoveredCarts = recoveredRows.reduce((sum, row) => sum + row.carts, 0);
+    const baseRow = recoveredRows.find((row) => row._id === BASE_CURRENCY);
+
+    // Orders paid in another currency are counted, not added to the revenue.
+    const otherCurrencyCarts = recoveredRows
+      .filter((row) => row._id !== BASE_CURRENCY)
+      .reduce((sum, row) => sum + row.carts, 0);
+
+    return res.json({
+      ok: true,
+      currency: BASE_CURRENCY,
+      windowDays: 30,
+      label: 'Recovered Carts',
+      description: 'Abandoned carts paid for after a reminder email.',
+
+      recoveredRevenue: roundMoney(baseRow?.revenue),
+      recoveredCarts,
+      remindedCarts,
+      recoveryRate: remindedCarts > 0 ? roundPercent((recoveredCarts / remindedCarts) * 100) : 0,
+      abandonedCarts,
+      otherCurrencyCarts,
+    });
+  } catch (err) {
+    console.error('❌ admin cart recovery metric error:', err);
+
+    return res.status(500).json({
+      ok: false,
+      message: 'Failed to load Recovered Carts metric',
+    });
+  }
+});
+
+module.exports = router;
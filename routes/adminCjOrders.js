@@ -25,6 +25,14 @@ const { normalizeBuyerTaxId, validateCjBuyerTaxId } = require('../utils/cj/taxId
 
 const { normalizeCjIossNumber } = require('../utils/cj/iossCountries');
 
+const {
+  isInvoiceable,
+  ensureInvoiceForOrder,
+  listCreditNotesForOrder,
+  findCreditNoteForOrder,
+  sendTaxDocumentPdf,
+} = require('../utils/invoices/taxDocumentService');
+
 const router = express.Router();
 
 /*
@@ -1522,6 +1530,8 @@ router.get('/admin/cj/orders/:orderId', async (req, res) => {
       active: 'admin-cj-orders',
       fullWidthPage: true,
       order,
+      invoiceAvailable: isInvoiceable(order),
+      creditNotes: await listCreditNotesForOrder(order),
     });
   } catch (error) {
     console.error('[CJ orders admin] Detail failed:', error?.stack || error);
@@ -1532,6 +1542,58 @@ router.get('/admin/cj/orders/:orderId', async (req, res) => {
   }
 });
 
+router.get('/admin/cj/orders/:orderId/invoice.pdf', async (req, res) => {
+  const orderId = safeString(req.params.orderId, 100);
+
+  try {
+    const order = mongoose.Types.ObjectId.isValid(orderId)
+      ? await CjOrder.findOne({ _id: orderId, department: 'CJ' }).select('+deliveryAddress.taxId')
+      : null;
+
+    const invoice = order ? await ensureInvoiceForOrder(order) : null;
+
+    if (!invoice) {
+      req.flash('error', 'No invoice is available for this CJ order.');
+
+      return res.redirect(order ? `/admin/cj/orders/${orderId}` : '/admin/cj/orders');
+    }
+
+    return sendTaxDocumentPdf(res, invoice);
+  } catch (error) {
+    console.error('[CJ orders admin] Invoice download failed:', error?.stack || error);
+
+    req.flash('error', 'The invoice could not be generated.');
+
+    return res.redirect('/admin/cj/orders');
+  }
+});
+
+router.get('/admin/cj/orders/:orderId/credit-notes/:number.pdf', async (req, res) => {
+  const orderId = safeString(req.params.orderId, 100);
+
+  try {
+    const order = mongoose.Types.ObjectId.isValid(orderId)
+      ? await CjOrder.findOne({ _id: orderId, department: 'CJ' }).select('cjOrderNumber').lean()
+      : null;
+
+    const creditNote = order ? await findCreditNoteForOrder(order, req.params.number) : null;
+
+    if (!creditNote) {
+      req.flash('error', 'Credit note not found.');
+
+      return res.redirect(order ? `/admin/cj/orders/${orderId}` : '/admin/cj/orders');
+    }
+
+    return sendTaxDocumentPdf(res, creditNote);
+  } catch (error) {
+    console.error('[CJ orders admin] Credit note download failed:', error?.stack || error);
+
+    req.flash('error', 'The credit note could not be generated.');
+
+    return res.redirect('/admin/cj/orders');
+  }
+});
+
 router.post('/admin/cj/orders/run-auto-create', async (req, res) => {
   try {
     const result = await runAutoCreateCjOrders({
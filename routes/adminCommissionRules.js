@@ -0,0 +1,355 @@
+// routes/adminCommissionRules.js
+'use strict';
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+const requireAdmin = require('../middleware/requireAdmin');
+const requireAdminRole = require('../middleware/requireAdminRole');
+const requireAdminPermission = require('../middleware/requireAdminPermission');
+const { logAdminAction } = require('../utils/logAdminAction');
+
+const CommissionRule = require('../models/CommissionRule');
+const SellerBalanceLedger = require('../models/SellerBalanceLedger');
+const Business = require('../models/Business');
+const { CATEGORIES } = require('../utils/category');
+const { PRODUCT_TYPES } = require('../utils/productType');
+const { SCOPE_PRECEDENCE, clampFeeBps } = require('../utils/payouts/commissionRules');
+const { moneyToCents, centsToMoneyString } = require('../utils/money');
+
+const guards = [
+  requireAdmin,
+  requireAdminRole(['super_admin', 'payout_admin']),
+  requireAdminPermission('payouts.commission.manage'),
+];
+
+function themeCssFromSession(req) {
+  const theme = req.session?.theme || 'light';
+  return theme === 'dark' ? '/css/dark.css' : '/css/light.css';
+}
+
+function defaultFeeBps() {
+  return clampFeeBps(process.env.PLATFORM_FEE_BPS || 1000, 1000);
+}
+
+function optionalMoney(value) {
+  const s = String(value ?? '').trim();
+  if (!s) return '';
+  const cents = moneyToCents(s);
+  return Number.isFinite(cents) && cents > 0 ? centsToMoneyString(cents) : '';
+}
+
+function optionalInt(value) {
+  const n = Number.parseInt(String(value ?? '').trim(), 10);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function optionalDate(value) {
+  const s = String(value ?? '').trim();
+  if (!s) return null;
+  // datetime-local has no zone; the form labels these as UTC.
+  const d = new Date(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(s) ? `${s}:00Z` : s);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+// The form takes a percentage (e.g. 7.5); rules store basis points.
+function percentToBps(value) {
+  const s = String(value ?? '').trim();
+  if (!s) return NaN;
+  const n = Number(s);
+  return Number.isFinite(n) ? Math.round(n * 100) : NaN;
+}
+
+function normalizePayload(body) {
+  const scope = String(body.scope || '')
+    .trim()
+    .toUpperCase();
+
+  return {
+    name: String(body.name || '').trim(),
+    scope: CommissionRule.COMMISSION_SCOPES.includes(scope) ? scope : '',
+    sellerEmail:
+      scope === 'SELLER'
+        ? String(body.sellerEmail || '')
+            .trim()
+            .toLowerCase()
+        : '',
+    category:
+      scope === 'CATEGORY'
+        ? String(body.category || '')
+            .trim()
+            .toLowerCase()
+        : '',
+    productType:
+      scope === 'TYPE'
+        ? String(body.productType || '')
+            .trim()
+            .toLowerCase()
+        : '',
+    newSellerDays: scope === 'NEW_SELLER' ? optionalInt(body.newSellerDays) : null,
+    feeBps: percentToBps(body.feePercent),
+    minFeePerItem: optionalMoney(body.minFeePerItem),
+    startsAt: optionalDate(body.startsAt),
+    endsAt: optionalDate(body.endsAt),
+    isActive: String(body.isActive || '') === 'on',
+  };
+}
+
+function ruleSnapshot(rule) {
+  if (!rule) return null;
+
+  return {
+    name: rule.name || '',
+    scope: rule.scope || '',
+    business: rule.business ? String(rule.business?._id || rule.business) : null,
+    category: rule.category || '',
+    productType: rule.productType || '',
+    newSellerDays: rule.newSellerDays ?? null,
+    feeBps: Number(rule.feeBps || 0),
+    minFeePerItem: rule.minFeePerItem || '',
+    currency: rule.currency || '',
+    startsAt: rule.startsAt || null,
+    endsAt: rule.endsAt || null,
+    isActive: !!rule.isActive,
+  };
+}
+
+function renderForm(req, res, { rule, sellerEmail, isNew }) {
+  return res.render('admin/commission/edit', {
+    title: isNew ? 'New Commission Rule' : `Edit Commission Rule ${rule?.name || ''}`,
+    themeCss: themeCssFromSession(req),
+    nonce: res.locals.nonce,
+    rule,
+    sellerEmail: sellerEmail || '',
+    isNew,
+    scopes: SCOPE_PRECEDENCE,
+    categories: CATEGORIES,
+    productTypes: PRODUCT_TYPES,
+    defaultFeeBps: defaultFeeBps(),
+    success: req.flash('success'),
+    error: req.flash('error'),
+    info: req.flash('info'),
+    warning: req.flash('warning'),
+  });
+}
+
+/* LIST */
+router.get('/commission-rules', ...guards, async (req, res) => {
+  try {
+    const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
+    const [rules, usage] = await Promise.all([
+      CommissionRule.find({})
+        .sort({ scope: 1, createdAt: -1 })
+        .populate('business', 'name email')
+        .lean(),
+      SellerBalanceLedger.aggregate([
+        {
+          $match: {
+            type: 'EARNING',
+            createdAt: { $gte: since },
+            'meta.commissionRule.id': { $exists: true },
+          },
+        },
+        {
+          $group: {
+            _id: '$meta.commissionRule.id',
+            lines: { $sum: 1 },
+            feeCents: { $sum: { $ifNull: ['$meta.feeCents', 0] } },
+          },
+        },
+      ]),
+    ]);
+
+    const usageById = new Map(usage.map((u) => [String(u._id || ''), u]));
+
+    return res.render('admin/commission/index', {
+      title: 'Commission Rules',
+      themeCss: themeCssFromSession(req),
+      nonce: res.locals.nonce,
+      rules: rules.sort(
+        (a, b) => SCOPE_PRECEDENCE.indexOf(a.scope) - SCOPE_PRECEDENCE.indexOf(b.scope),
+      ),
+      usageById,
+      defaultUsage: usageById.get('') || null,
+      defaultFeeBps: defaultFeeBps(),
+      success: req.flash('success'),
+      error: req.flash('error'),
+      info: req.flash('info'),
+      warning: req.flash('warning'),
+    });
+  } catch (err) {
+    console.error('❌ admin commission rules index error:', err);
+    req.flash('error', 'Could not load commission rules.');
+    return res.redirect('/admin/dashboard');
+  }
+});
+
+/* NEW */
+router.get('/commission-rules/new', ...guards, (req, res) => {
+  return renderForm(req, res, { rule: null, isNew: true });
+});
+
+/* EDIT */
+router.get('/commission-rules/:id/edit', ...guards, async (req, res) => {
+  try {
+    const rule = mongoose.isValidObjectId(req.params.id)
+      ? await CommissionRule.findById(req.params.id).populate('business', 'name email').lean()
+      : null;
+
+    if (!rule) {
+      req.flash('error', 'Commission rule not found.');
+      return res.redirect('/admin/commission-rules');
+    }
+
+    return renderForm(req, res, {
+      rule,
+      sellerEmail: rule.business?.email || '',
+      isNew: false,
+    });
+  } catch (err) {
+    console.error('❌ admin commission rule edit page error:', err);
+    req.flash('error', 'Could not load commission rule.');
+    return res.redirect('/admin/commission-rules');
+  }
+});
+
+/* CREATE / UPDATE */
+async function saveRule(req, res) {
+  const isNew = !req.params.id;
+  const back = isNew
+    ? '/admin/commission-rules/new'
+    : `/admin/commission-rules/${req.params.id}/edit`;
+
+  try {
+    const payload = normalizePayload(req.body);
+
+    if (!payload.name) {
+      req.flash('error', 'Please enter a rule name.');
+      return res.redirect(back);
+    }
+
+    if (!payload.scope) {
+      req.flash('error', 'Please choose what the rule applies to.');
+      return res.redirect(back);
+    }
+
+    if (!Number.isFinite(payload.feeBps) || payload.feeBps < 0 || payload.feeBps > 5000) {
+      req.flash('error', 'Commission must be between 0% and 50%.');
+      return res.redirect(back);
+    }
+
+    let business = null;
+    if (payload.scope === 'SELLER') {
+      business = payload.sellerEmail
+        ? await Business.findOne({ email: payload.sellerEmail, role: 'seller' })
+            .select('_id name email')
+            .lean()
+        : null;
+
+      if (!business) {
+        req.flash('error', 'No seller account found with that email.');
+        return res.redirect(back);
+      }
+    }
+
+    let rule = null;
+    if (!isNew) {
+      rule = mongoose.isValidObjectId(req.params.id)
+        ? await CommissionRule.findById(req.params.id)
+        : null;
+
+      if (!rule) {
+        req.flash('error', 'Commission rule not found.');
+        return res.redirect('/admin/commission-rules');
+      }
+    }
+
+    const before = ruleSnapshot(rule);
+    const { sellerEmail, ...fields } = payload;
+
+    if (isNew) {
+      rule = new CommissionRule({
+        ...fields,
+        business: business?._id || null,
+        createdByAdmin: req.session?.admin?._id || null,
+      });
+    } else {
+      rule.set({ ...fields, business: business?._id || null });
+    }
+
+    await rule.save();
+
+    await logAdminAction(req, {
+      action: isNew ? 'payouts.commission.create' : 'payouts.commission.update',
+      entityType: 'commission_rule',
+      entityId: String(rule._id),
+      status: 'success',
+      before,
+      after: ruleSnapshot(rule),
+      meta: { section: 'commission', name: rule.name, sellerEmail: sellerEmail || '' },
+    });
+
+    req.flash('success', `Commission rule "${rule.name}" saved successfully.`);
+    return res.redirect('/admin/commission-rules');
+  } catch (err) {
+    if (err?.name === 'ValidationError') {
+      req.flash(
+        'error',
+        Object.values(err.errors)
+          .map((e) => e.message)
+          .join(' '),
+      );
+      return res.redirect(back);
+    }
+
+    console.error('❌ save commission rule error:', err);
+    req.flash('error', 'Failed to save commission rule.');
+    return res.redirect(back);
+  }
+}
+
+router.post('/commission-rules', ...guards, saveRule);
+router.post('/commission-rules/:id', ...guards, saveRule);
+
+/* TOGGLE */
+router.post('/commission-rules/:id/toggle', ...guards, async (req, res) => {
+  try {
+    const rule = mongoose.isValidObjectId(req.params.id)
+      ? await CommissionRule.findById(req.params.id)
+      : null;
+
+    if (!rule) {
+      req.flash('error', 'Commission rule not found.');
+      return res.redirect('/admin/commission-rules');
+    }
+
+    const before = ruleSnapshot(rule);
+
+    rule.isActive = !rule.isActive;
+    await rule.save();
+
+    await logAdminAction(req, {
+      action: rule.isActive ? 'payouts.commission.activate' : 'payouts.commission.deactivate',
+      entityType: 'commission_rule',
+      entityId: String(rule._id),
+      status: 'success',
+      before,
+      after: ruleSnapshot(rule),
+      meta: { section: 'commission', name: rule.name },
+    });
+
+    req.flash(
+      'success',
+      `Commission rule "${rule.name}" ${rule.isActive ? 'activated' : 'deactivated'} successfully.`,
+    );
+    return res.redirect('/admin/commission-rules');
+  } catch (err) {
+    console.error('❌ toggle commission rule error:', err);
+    req.flash('error', 'Failed to toggle commission rule.');
+    return res.redirect('/admin/commission-rules');
+  }
+});
+
+module.exports = router;
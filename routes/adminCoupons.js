@@ -0,0 +1,301 @@
+// routes/adminCoupons.js
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const requireAdmin = require('../middleware/requireAdmin');
+const requireAdminRole = require('../middleware/requireAdminRole');
+const requireAdminPermission = require('../middleware/requireAdminPermission');
+const { logAdminAction } = require('../utils/logAdminAction');
+
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Business = require('../models/Business');
+const { normalizeCouponCode } = require('../utils/coupons/couponMath');
+const { moneyToCents, centsToMoneyString } = require('../utils/money');
+
+const guards = [
+  requireAdmin,
+  requireAdminRole(['super_admin', 'store_admin']),
+  requireAdminPermission('store.promotions.manage'),
+];
+
+function themeCssFromSession(req) {
+  const theme = req.session?.theme || 'light';
+  return theme === 'dark' ? '/css/dark.css' : '/css/light.css';
+}
+
+function optionalMoney(value) {
+  const s = String(value ?? '').trim();
+  if (!s) return '';
+  const cents = moneyToCents(s);
+  return Number.isFinite(cents) && cents > 0 ? centsToMoneyString(cents) : '';
+}
+
+function optionalInt(value) {
+  const n = Number.parseInt(String(value ?? '').trim(), 10);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function optionalDate(value) {
+  const s = String(value ?? '').trim();
+  if (!s) return null;
+  // datetime-local has no zone; the form labels these as UTC.
+  const d = new Date(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(s) ? `${s}:00Z` : s);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function normalizePayload(body) {
+  return {
+    code: normalizeCouponCode(body.code),
+    description: String(body.description || '').trim(),
+    type: String(body.type || '').trim().toUpperCase() === 'FIXED' ? 'FIXED' : 'PERCENT',
+    value: Number(body.value || 0),
+    maxDiscount: optionalMoney(body.maxDiscount),
+    minBasket: optionalMoney(body.minBasket) || '0.00',
+    startsAt: optionalDate(body.startsAt),
+    endsAt: optionalDate(body.endsAt),
+    maxUses: optionalInt(body.maxUses),
+    maxUsesPerUser: optionalInt(body.maxUsesPerUser),
+    fundedBy: String(body.fundedBy || '').trim().toUpperCase() === 'SELLER' ? 'SELLER' : 'PLATFORM',
+    sellerEmail: String(body.sellerEmail || '').trim().toLowerCase(),
+    isActive: String(body.isActive || '') === 'on',
+  };
+}
+
+function couponSnapshot(coupon) {
+  if (!coupon) return null;
+
+  return {
+    code: coupon.code || '',
+    type: coupon.type || '',
+    value: Number(coupon.value || 0),
+    maxDiscount: coupon.maxDiscount || '',
+    minBasket: coupon.minBasket || '0.00',
+    startsAt: coupon.startsAt || null,
+    endsAt: coupon.endsAt || null,
+    maxUses: coupon.maxUses ?? null,
+    maxUsesPerUser: coupon.maxUsesPerUser ?? null,
+    fundedBy: coupon.fundedBy || 'PLATFORM',
+    sellerBusiness: coupon.sellerBusiness ? String(coupon.sellerBusiness) : null,
+    isActive: !!coupon.isActive,
+  };
+}
+
+async function resolveSellerBusiness(email) {
+  if (!email) return null;
+
+  return Business.findOne({ email, role: 'seller' }).select('_id name email').lean();
+}
+
+function renderForm(req, res, { coupon, sellerEmail, isNew }) {
+  return res.render('admin/coupons/edit', {
+    title: isNew ? 'New Coupon' : `Edit Coupon ${coupon?.code || ''}`,
+    themeCss: themeCssFromSession(req),
+    nonce: res.locals.nonce,
+    coupon,
+    sellerEmail: sellerEmail || '',
+    isNew,
+    success: req.flash('success'),
+    error: req.flash('error'),
+    info: req.flash('info'),
+    warning: req.flash('warning'),
+  });
+}
+
+/* LIST */
+router.get('/coupons', ...guards, async (req, res) => {
+  try {
+    const coupons = await Coupon.find({})
+      .sort({ createdAt: -1 })
+      .populate('sellerBusiness', 'name email')
+      .lean();
+
+    const redeemed = await CouponRedemption.aggregate([
+      { $match: { status: 'REDEEMED' } },
+      { $group: { _id: '$coupon', orders: { $sum: 1 } } },
+    ]);
+
+    const redeemedById = new Map(redeemed.map((r) => [String(r._id), r.orders]));
+
+    return res.render('admin/coupons/index', {
+      title: 'Coupons',
+      themeCss: themeCssFromSession(req),
+      nonce: res.locals.nonce,
+      coupons: coupons.map((c) => ({ ...c, redeemedOrders: redeemedById.get(String(c._id)) || 0 })),
+      success: req.flash('success'),
+      error: req.flash('error'),
+      info: req.flash('info'),
+      warning: req.flash('warning'),
+    });
+  } catch (err) {
+    console.error('❌ admin coupons index error:', err);
+    req.flash('error', 'Could not load coupons.');
+    return res.redirect('/admin/dashboard');
+  }
+});
+
+/* NEW */
+router.get('/coupons/new', ...guards, (req, res) => {
+  return renderForm(req, res, { coupon: null, isNew: true });
+});
+
+/* EDIT */
+router.get('/coupons/:id/edit', ...guards, async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id)
+      .populate('sellerBusiness', 'name email')
+      .lean();
+
+    if (!coupon) {
+      req.flash('error', 'Coupon not found.');
+      return res.redirect('/admin/coupons');
+    }
+
+    return renderForm(req, res, {
+      coupon,
+      sellerEmail: coupon.sellerBusiness?.email || '',
+      isNew: false,
+    });
+  } catch (err) {
+    console.error('❌ admin coupon edit page error:', err);
+    req.flash('error', 'Could not load coupon.');
+    return res.redirect('/admin/coupons');
+  }
+});
+
+/* CREATE / UPDATE */
+async function saveCoupon(req, res) {
+  const isNew = !req.params.id;
+  const back = isNew ? '/admin/coupons/new' : `/admin/coupons/${req.params.id}/edit`;
+
+  try {
+    const payload = normalizePayload(req.body);
+
+    if (!payload.code) {
+      req.flash('error', 'Please enter a coupon code.');
+      return res.redirect(back);
+    }
+
+    if (!Number.isFinite(payload.value) || payload.value <= 0) {
+      req.flash('error', 'Please enter a discount value greater than zero.');
+      return res.redirect(back);
+    }
+
+    let sellerBusiness = null;
+    if (payload.sellerEmail) {
+      sellerBusiness = await resolveSellerBusiness(payload.sellerEmail);
+
+      if (!sellerBusiness) {
+        req.flash('error', 'No seller account found with that email.');
+        return res.redirect(back);
+      }
+    }
+
+    let coupon = isNew ? null : await Coupon.findById(req.params.id);
+    if (!isNew && !coupon) {
+      req.flash('error', 'Coupon not found.');
+      return res.redirect('/admin/coupons');
+    }
+
+    const before = couponSnapshot(coupon);
+    const { sellerEmail, ...fields } = payload;
+
+    if (isNew) {
+      coupon = new Coupon({
+        ...fields,
+        sellerBusiness: sellerBusiness?._id || null,
+        createdByAdmin: req.session?.admin?._id || null,
+      });
+    } else {
+      coupon.set({ ...fields, sellerBusiness: sellerBusiness?._id || null });
+    }
+
+    await coupon.save();
+
+    await logAdminAction(req, {
+      action: isNew ? 'store.coupon.create' : 'store.coupon.update',
+      entityType: 'coupon',
+      entityId: String(coupon._id),
+      status: 'success',
+      before,
+      after: couponSnapshot(coupon),
+      meta: {
+        section: 'coupons',
+        code: coupon.code,
+        sellerEmail: sellerEmail || '',
+      },
+    });
+
+    req.flash('success', `Coupon ${coupon.code} saved successfully.`);
+    return res.redirect('/admin/coupons');
+  } catch (err) {
+    if (err?.code === 11000) {
+      req.flash('error', 'A coupon with that code already exists.');
+      return res.redirect(back);
+    }
+
+    if (err?.name === 'ValidationError') {
+      req.flash('error', Object.values(err.errors).map((e) => e.message).join(' '));
+      return res.redirect(back);
+    }
+
+    console.error('❌ save coupon error:', err);
+    req.flash('error', 'Failed to save coupon.');
+    return res.redirect(back);
+  }
+}
+
+router.post('/coupons', ...guards, saveCoupon);
+router.post('/coupons/:id', ...guards, saveCoupon);
+
+/* TOGGLE */
+router.post('/coupons/:id/toggle', ...guards, async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      req.flash('error', 'Coupon not found.');
+      return res.redirect('/admin/coupons');
+    }
+
+    const before = couponSnapshot(coupon);
+
+    coupon.isActive = !coupon.isActive;
+    await coupon.save();
+
+    await logAdminAction(req, {
+      action: coupon.isActive ? 'store.coupon.activate' : 'store.coupon.deactivate',
+      entityType: 'coupon',
+      entityId: String(coupon._id),
+      status: 'success',
+      before,
+      after: couponSnapshot(coupon),
+      meta: { section: 'coupons', code: coupon.code },
+    });
+
+    req.flash(
+      'success',
+      `Coupon ${coupon.code} ${coupon.isActive ? 'activated' : 'deactivated'} successfully.`,
+    );
+    return res.redirect('/admin/coupons');
+  } catch (err) {
+    console.error('❌ toggle coupon error:', err);
+    req.flash('error', 'Failed to toggle coupon.');
+    return res.redirect('/admin/coupons');
+  }
+});
+
+router.use((err, req, res, _next) => {
+  console.error('❌ adminCoupons route error:', err.message);
+
+  req.flash('error', err.message || 'Unexpected server error.');
+
+  const back = req.get('referer');
+  if (back) return res.redirect(back);
+
+  return res.redirect('/admin/coupons');
+});
+
+module.exports = router;
@@ -0,0 +1,266 @@
+// routes/adminDisputes.js
+'use strict';
+
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const router = express.Router();
+
+const requireAdmin = require('../middleware/requireAdmin');
+const requireAdminRole = require('../middleware/requireAdminRole');
+const requireAdminPermission = require('../middleware/requireAdminPermission');
+const { logAdminAction } = require('../utils/logAdminAction');
+const { hasPermission } = require('../utils/adminRoles');
+
+const PaymentDispute = require('../models/PaymentDispute');
+const {
+  DISPUTE_ADMIN_ROLES,
+  collectDisputeEvidence,
+  submitDisputeEvidence,
+  refreshDisputeFromPaypal,
+} = require('../utils/disputes/disputeService');
+
+const readGuards = [
+  requireAdmin,
+  requireAdminRole(DISPUTE_ADMIN_ROLES),
+  requireAdminPermission('disputes.read'),
+];
+
+const respondGuards = [...readGuards, requireAdminPermission('disputes.respond')];
+
+// PayPal accepts JPG, GIF, PNG and PDF evidence, 10 MB per file.
+const MAX_EVIDENCE_FILES = 5;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024, files: MAX_EVIDENCE_FILES },
+  fileFilter: (_req, file, cb) => {
+    const ok = /^(image\/(png|jpe?g|gif)|application\/pdf)$/.test(file.mimetype);
+    if (!ok) return cb(new Error('Only PDF, PNG, JPG or GIF files can be sent to PayPal.'));
+    cb(null, true);
+  },
+});
+
+function themeCssFromSession(req) {
+  const theme = req.session?.theme || 'light';
+  return theme === 'dark' ? '/css/dark.css' : '/css/light.css';
+}
+
+function escapeRegex(value) {
+  return String(value || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function disputeBack(id) {
+  return `/admin/disputes/${encodeURIComponent(String(id))}`;
+}
+
+function disputeSnapshot(dispute) {
+  if (!dispute) return null;
+
+  return {
+    disputeId: dispute.disputeId,
+    paypalStatus: dispute.paypalStatus,
+    outcome: dispute.outcome,
+    holdState: dispute.holdState,
+    evidence: Array.isArray(dispute.evidence) ? dispute.evidence.length : 0,
+  };
+}
+
+async function loadDispute(req) {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return PaymentDispute.findById(req.params.id);
+}
+
+function evidenceUpload(req, res, next) {
+  upload.array('files', MAX_EVIDENCE_FILES)(req, res, (err) => {
+    if (!err) return next();
+
+    req.flash(
+      'error',
+      err.code === 'LIMIT_FILE_SIZE'
+        ? 'Each file must be 10 MB or smaller.'
+        : err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE'
+          ? `Attach at most ${MAX_EVIDENCE_FILES} files.`
+          : err.message || 'Upload failed.',
+    );
+    return res.redirect(disputeBack(req.params.id));
+  });
+}
+
+/* QUEUE */
+router.get('/disputes', ...readGuards, async (req, res) => {
+  try {
+    const outcome = String(req.query.outcome || 'OPEN').trim();
+    const department = String(req.query.department || '').trim();
+    const q = String(req.query.q || '')
+      .trim()
+      .slice(0, 120);
+
+    const filter = {};
+
+    if (PaymentDispute.DISPUTE_OUTCOMES.includes(outcome)) filter.outcome = outcome;
+    if (department === 'internal' || department === 'cj') filter.department = department;
+
+    if (q) {
+      const rx = new RegExp(escapeRegex(q), 'i');
+      filter.$or = [{ disputeId: rx }, { orderRef: rx }, { captureId: rx }];
+    }
+
+    // Open cases by response deadline, the rest by latest change.
+    const sort = outcome === 'OPEN' ? { sellerResponseDueAt: 1, createdAt: 1 } : { updatedAt: -1 };
+
+    const [disputes, counts] = await Promise.all([
+      PaymentDispute.find(filter)
+        .select(
+          'disputeId department orderRef captureId paypalStatus outcome reason stage amount sellerResponseDueAt holdState evidence.submittedAt evidence.ok updatedAt',
+        )
+        .sort(sort)
+        .limit(200)
+        .lean(),
+      PaymentDispute.aggregate([{ $group: { _id: '$outcome', count: { $sum: 1 } } }]),
+    ]);
+
+    return res.render('admin/disputes/index', {
+      title: 'PayPal Disputes',
+      themeCss: themeCssFromSession(req),
+      nonce: res.locals.nonce,
+      disputes,
+      counts: Object.fromEntries(counts.map((c) => [c._id, c.count])),
+      outcomes: PaymentDispute.DISPUTE_OUTCOMES,
+      filters: { outcome, department, q },
+      success: req.flash('success'),
+      error: req.flash('error'),
+      info: req.flash('info'),
+      warning: req.flash('warning'),
+    });
+  } catch (err) {
+    console.error('❌ admin disputes queue error:', err);
+    req.flash('error', 'Could not load disputes.');
+    return res.redirect('/admin/dashboard');
+  }
+});
+
+/* DISPUTE */
+router.get('/disputes/:id', ...readGuards, async (req, res) => {
+  try {
+    const dispute = mongoose.isValidObjectId(req.params.id)
+      ? await PaymentDispute.findById(req.params.id)
+          .populate('holds.businessId', 'name')
+          .populate('debits.businessId', 'name')
+          .lean()
+      : null;
+
+    if (!dispute) {
+      req.flash('error', 'Dispute not found.');
+      return res.redirect('/admin/disputes');
+    }
+
+    return res.render('admin/disputes/show', {
+      title: `Dispute ${dispute.disputeId}`,
+      themeCss: themeCssFromSession(req),
+      nonce: res.locals.nonce,
+      dispute,
+      evidence: await collectDisputeEvidence(dispute),
+      maxFiles: MAX_EVIDENCE_FILES,
+      canRespond: hasPermission(req.session?.admin, 'disputes.respond'),
+      success: req.flash('success'),
+      error: req.flash('error'),
+      info: req.flash('info'),
+      warning: req.flash('warning'),
+    });
+  } catch (err) {
+    console.error('❌ admin dispute error:', err);
+    req.flash('error', 'Could not load the dispute.');
+    return res.redirect('/admin/disputes');
+  }
+});
+
+/* EVIDENCE */
+router.post('/disputes/:id/evidence', ...respondGuards, evidenceUpload, async (req, res) => {
+  const back = disputeBack(req.params.id);
+
+  try {
+    const dispute = await loadDispute(req);
+
+    if (!dispute) {
+      req.flash('error', 'Dispute not found.');
+      return res.redirect('/admin/disputes');
+    }
+
+    const before = disputeSnapshot(dispute);
+
+    const record = await submitDisputeEvidence(dispute, {
+      admin: req.session.admin,
+      include: {
+        tracking: req.body.includeTracking === 'on',
+        deliveryEvents: req.body.includeDeliveryEvents === 'on',
+        messages: req.body.includeMessages === 'on',
+      },
+      note: req.body.note,
+      files: Array.isArray(req.files) ? req.files : [],
+    });
+
+    await logAdminAction(req, {
+      action: 'disputes.evidence.submit',
+      entityType: 'payment_dispute',
+      entityId: String(dispute._id),
+      status: 'success',
+      before,
+      after: disputeSnapshot(dispute),
+      meta: {
+        section: 'disputes',
+        disputeId: dispute.disputeId,
+        evidenceTypes: record.evidenceTypes,
+        files: record.files.length,
+      },
+    });
+
+    req.flash('success', `Evidence sent to PayPal for dispute ${dispute.disputeId}.`);
+    return res.redirect(back);
+  } catch (err) {
+    if (!err?.status || err.status >= 500) console.error('❌ admin dispute evidence error:', err);
+    req.flash(
+      'error',
+      err?.status && err.status < 500
+        ? err.message
+        : `PayPal did not accept the evidence: ${err?.message || 'unknown error'}`,
+    );
+    return res.redirect(back);
+  }
+});
+
+/* REFRESH FROM PAYPAL */
+router.post('/disputes/:id/refresh', ...readGuards, async (req, res) => {
+  const back = disputeBack(req.params.id);
+
+  try {
+    const dispute = await loadDispute(req);
+
+    if (!dispute) {
+      req.flash('error', 'Dispute not found.');
+      return res.redirect('/admin/disputes');
+    }
+
+    const before = disputeSnapshot(dispute);
+    const out = await refreshDisputeFromPaypal(dispute);
+
+    await logAdminAction(req, {
+      action: 'disputes.refresh',
+      entityType: 'payment_dispute',
+      entityId: String(dispute._id),
+      status: 'success',
+      before,
+      after: disputeSnapshot(out.dispute),
+      meta: { section: 'disputes', disputeId: dispute.disputeId },
+    });
+
+    req.flash('success', `Dispute ${dispute.disputeId} refreshed from PayPal.`);
+    return res.redirect(back);
+  } catch (err) {
+    console.error('❌ admin dispute refresh error:', err);
+    req.flash('error', `Could not refresh from PayPal: ${err?.message || 'unknown error'}`);
+    return res.redirect(back);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,333 @@
+// routes/adminLedgerAdjustments.js
+'use strict';
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+const requireAdmin = require('../middleware/requireAdmin');
+const requireAdminRole = require('../middleware/requireAdminRole');
+const requireAdminPermission = require('../middleware/requireAdminPermission');
+const requireAdminReauth = require('../middleware/requireAdminReauth');
+const { logAdminAction } = require('../utils/logAdminAction');
+const { notifyAdmins } = require('../utils/notify');
+
+const Business = require('../models/Business');
+const LedgerAdjustment = require('../models/LedgerAdjustment');
+const { computeSellerAvailableCents } = require('../utils/payouts/computeSellerAvailableCents');
+const { normalizeAdjustmentInput, adminRef } = require('../utils/payouts/ledgerAdjustmentRules');
+const {
+  adjustmentSnapshot,
+  approveLedgerAdjustment,
+  rejectLedgerAdjustment,
+  cancelLedgerAdjustment,
+} = require('../utils/payouts/ledgerAdjustmentService');
+const { centsToMoneyString } = require('../utils/money');
+
+const PAYOUT_ROLES = ['super_admin', 'payout_admin'];
+const QUEUE_URL = '/admin/payouts/adjustments';
+
+const readGuards = [
+  requireAdmin,
+  requireAdminRole(PAYOUT_ROLES),
+  requireAdminPermission('payouts.read'),
+];
+
+// Requesting an adjustment is a reconciliation task; approving one moves
+// money, so it takes the same permission (and 2FA) as confirming a payout.
+const requestGuards = [
+  requireAdmin,
+  requireAdminRole(PAYOUT_ROLES),
+  requireAdminPermission('payouts.reconcile'),
+];
+
+const reviewGuards = [
+  requireAdmin,
+  requireAdminRole(PAYOUT_ROLES),
+  requireAdminPermission('payouts.approve'),
+];
+
+function themeCssFromSession(req) {
+  const theme = req.session?.theme || 'light';
+  return theme === 'dark' ? '/css/dark.css' : '/css/light.css';
+}
+
+function getBaseCurrency() {
+  return (
+    String(process.env.BASE_CURRENCY || '')
+      .trim()
+      .toUpperCase() || 'USD'
+  );
+}
+
+function wantsJson(req) {
+  return req.xhr || String(req.get('Accept') || '').includes('application/json');
+}
+
+function sessionAdmin(req) {
+  return req.admin || req.session?.admin || null;
+}
+
+function adjustmentText(adj) {
+  const sign = adj.direction === 'DEBIT' ? '-' : '+';
+  return `${sign}${adj.currency} ${centsToMoneyString(adj.amountCents)}`;
+}
+
+async function findSeller({ businessId, email }) {
+  const filter = { role: { $in: ['seller', 'supplier'] } };
+
+  if (businessId) {
+    if (!mongoose.isValidObjectId(businessId)) return null;
+    filter._id = businessId;
+  } else if (email) {
+    filter.email = String(email).trim().toLowerCase();
+  } else {
+    return null;
+  }
+
+  return Business.findOne(filter).select('_id name email role').lean();
+}
+
+// Current available balance per business+currency, for the queue.
+async function availableByKey(adjustments) {
+  const out = new Map();
+
+  for (const adj of adjustments) {
+    const key = `${adj.businessId?._id || adj.businessId}:${adj.currency}`;
+    if (out.has(key)) continue;
+
+    out.set(
+      key,
+      await computeSellerAvailableCents(adj.businessId?._id || adj.businessId, {
+        currency: adj.currency,
+      }),
+    );
+  }
+
+  return out;
+}
+
+/* QUEUE */
+router.get('/payouts/adjustments', ...readGuards, async (req, res) => {
+  try {
+    const [pending, recent] = await Promise.all([
+      LedgerAdjustment.find({ status: 'PENDING' })
+        .sort({ createdAt: 1 })
+        .populate('businessId', 'name email role')
+        .lean(),
+      LedgerAdjustment.find({ status: { $ne: 'PENDING' } })
+        .sort({ updatedAt: -1 })
+        .limit(50)
+        .populate('businessId', 'name email role')
+        .lean(),
+    ]);
+
+    if (wantsJson(req)) {
+      return res.json({
+        ok: true,
+        pending: pending.map(adjustmentSnapshot),
+        recent: recent.map(adjustmentSnapshot),
+      });
+    }
+
+    return res.render('admin/adjustments/index', {
+      title: 'Balance Adjustments',
+      themeCss: themeCssFromSession(req),
+      nonce: res.locals.nonce,
+      pending,
+      recent,
+      availableByKey: await availableByKey(pending),
+      currentAdminId: String(sessionAdmin(req)?._id || ''),
+      success: req.flash('success'),
+      error: req.flash('error'),
+      info: req.flash('info'),
+      warning: req.flash('warning'),
+    });
+  } catch (err) {
+    console.error('❌ admin ledger adjustments index error:', err);
+    if (wantsJson(req)) {
+      return res.status(500).json({ ok: false, message: 'Could not load adjustments.' });
+    }
+    req.flash('error', 'Could not load balance adjustments.');
+    return res.redirect('/admin/payouts');
+  }
+});
+
+/* NEW */
+router.get('/payouts/adjustments/new', ...requestGuards, async (req, res) => {
+  try {
+    const business = await findSeller({ businessId: String(req.query.businessId || '') });
+    const currency = getBaseCurrency();
+
+    return res.render('admin/adjustments/new', {
+      title: 'New Balance Adjustment',
+      themeCss: themeCssFromSession(req),
+      nonce: res.locals.nonce,
+      business,
+      availableCents: business
+        ? await computeSellerAvailableCents(business._id, { currency })
+        : null,
+      currency,
+      success: req.flash('success'),
+      error: req.flash('error'),
+      info: req.flash('info'),
+      warning: req.flash('warning'),
+    });
+  } catch (err) {
+    console.error('❌ admin ledger adjustment form error:', err);
+    req.flash('error', 'Could not load the adjustment form.');
+    return res.redirect(QUEUE_URL);
+  }
+});
+
+/* REQUEST */
+router.post('/payouts/adjustments', ...requestGuards, async (req, res) => {
+  const back = req.body.businessId
+    ? `${QUEUE_URL}/new?businessId=${encodeURIComponent(String(req.body.businessId))}`
+    : `${QUEUE_URL}/new`;
+
+  const fail = (status, message) => {
+    if (wantsJson(req)) return res.status(status).json({ ok: false, message });
+    req.flash('error', message);
+    return res.redirect(back);
+  };
+
+  try {
+    const { value, errors } = normalizeAdjustmentInput(req.body);
+    if (errors.length) return fail(400, errors.join(' '));
+
+    const business = await findSeller({
+      businessId: String(req.body.businessId || '').trim(),
+      email: req.body.sellerEmail,
+    });
+    if (!business) return fail(404, 'No seller or supplier account found.');
+
+    const adjustment = await LedgerAdjustment.create({
+      ...value,
+      businessId: business._id,
+      requestedBy: adminRef(sessionAdmin(req)),
+    });
+
+    await logAdminAction(req, {
+      action: 'payouts.adjustment.request',
+      entityType: 'ledger_adjustment',
+      entityId: String(adjustment._id),
+      status: 'success',
+      before: null,
+      after: adjustmentSnapshot(adjustment),
+      meta: { section: 'payouts', businessName: business.name || '' },
+    });
+
+    await notifyAdmins(PAYOUT_ROLES, {
+      type: 'payout.adjustment_requested',
+      title: `Balance adjustment for ${business.name || business.email} needs approval`,
+      message: `${adjustmentText(adjustment)} · ${adjustment.reason}`.slice(0, 300),
+      link: QUEUE_URL,
+      dedupeKey: `payout.adjustment_requested:${adjustment._id}`,
+    });
+
+    if (wantsJson(req)) {
+      return res.status(201).json({ ok: true, adjustment: adjustmentSnapshot(adjustment) });
+    }
+
+    req.flash(
+      'success',
+      `Adjustment of ${adjustmentText(adjustment)} for ${business.name} requested. Another payout admin must approve it.`,
+    );
+    return res.redirect(QUEUE_URL);
+  } catch (err) {
+    if (err?.name === 'ValidationError') {
+      return fail(
+        400,
+        Object.values(err.errors)
+          .map((e) => e.message)
+          .join(' '),
+      );
+    }
+
+    console.error('❌ request ledger adjustment error:', err);
+    return fail(500, 'Failed to request the adjustment.');
+  }
+});
+
+/* APPROVE / REJECT / CANCEL */
+function reviewHandler(kind, run) {
+  return async (req, res) => {
+    const id = String(req.params.id || '').trim();
+    const admin = sessionAdmin(req);
+
+    try {
+      const out = await run(id, admin, req.body?.note);
+
+      await logAdminAction(req, {
+        action: `payouts.adjustment.${kind}`,
+        entityType: 'ledger_adjustment',
+        entityId: id,
+        status: out.ok ? 'success' : 'failure',
+        before: adjustmentSnapshot(out.before || out.adjustment),
+        after: out.ok ? adjustmentSnapshot(out.adjustment) : null,
+        meta: {
+          section: 'payouts',
+          ...(out.ok ? {} : { reason: out.message }),
+          ...(out.entry ? { ledgerEntryId: String(out.entry._id) } : {}),
+        },
+      });
+
+      if (wantsJson(req)) {
+        return res
+          .status(out.ok ? 200 : 409)
+          .json({
+            ok: out.ok,
+            message: out.message,
+            adjustment: adjustmentSnapshot(out.adjustment),
+          });
+      }
+
+      if (!out.ok) {
+        req.flash('error', out.message);
+      } else {
+        const verb = { approve: 'approved', reject: 'rejected', cancel: 'cancelled' }[kind];
+        req.flash('success', `Adjustment of ${adjustmentText(out.adjustment)} ${verb}.`);
+      }
+
+      return res.redirect(QUEUE_URL);
+    } catch (err) {
+      console.error(`❌ ${kind} ledger adjustment error:`, err);
+
+      await logAdminAction(req, {
+        action: `payouts.adjustment.${kind}`,
+        entityType: 'ledger_adjustment',
+        entityId: id,
+        status: 'failure',
+        meta: { section: 'payouts', error: String(err?.message || err || '').slice(0, 500) },
+      });
+
+      if (wantsJson(req)) {
+        return res.status(500).json({ ok: false, message: `Failed to ${kind} the adjustment.` });
+      }
+      req.flash('error', `Failed to ${kind} the adjustment.`);
+      return res.redirect(QUEUE_URL);
+    }
+  };
+}
+
+router.post(
+  '/payouts/adjustments/:id/approve',
+  ...reviewGuards,
+  requireAdminReauth(QUEUE_URL),
+  reviewHandler('approve', approveLedgerAdjustment),
+);
+
+router.post(
+  '/payouts/adjustments/:id/reject',
+  ...reviewGuards,
+  reviewHandler('reject', rejectLedgerAdjustment),
+);
+
+router.post(
+  '/payouts/adjustments/:id/cancel',
+  ...requestGuards,
+  reviewHandler('cancel', cancelLedgerAdjustment),
+);
+
+module.exports = router;
@@ -0,0 +1,145 @@
+// routes/adminMessages.js
+'use strict';
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+const requireAdmin = require('../middleware/requireAdmin');
+const requireAdminRole = require('../middleware/requireAdminRole');
+const requireAdminPermission = require('../middleware/requireAdminPermission');
+const { logAdminAction } = require('../utils/logAdminAction');
+
+const MessageThread = require('../models/MessageThread');
+const { attachmentDownloadUrl } = require('../utils/messages/messageAttachments');
+
+// Read-only: support staff look at buyer/seller conversations to settle disputes.
+const readGuards = [
+  requireAdmin,
+  requireAdminRole(['super_admin', 'support_admin']),
+  requireAdminPermission('support.read'),
+];
+
+function themeCssFromSession(req) {
+  const theme = req.session?.theme || 'light';
+  return theme === 'dark' ? '/css/dark.css' : '/css/light.css';
+}
+
+function escapeRegex(value) {
+  return String(value || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/* THREADS */
+router.get('/messages/threads', ...readGuards, async (req, res) => {
+  try {
+    const kind = String(req.query.kind || '').trim();
+    const order = String(req.query.order || '')
+      .trim()
+      .slice(0, 120);
+    const q = String(req.query.q || '')
+      .trim()
+      .slice(0, 120);
+
+    const filter = {};
+
+    if (MessageThread.THREAD_KINDS.includes(kind)) filter.kind = kind;
+
+    if (order) {
+      filter.$or = [{ orderRef: order }];
+      if (mongoose.isValidObjectId(order)) filter.$or.push({ order });
+    } else if (q) {
+      const rx = new RegExp(escapeRegex(q), 'i');
+      filter.$or = [
+        { orderRef: rx },
+        { productId: rx },
+        { productName: rx },
+        { sellerName: rx },
+        { 'buyer.email': rx },
+        { 'buyer.name': rx },
+      ];
+    }
+
+    const threads = await MessageThread.find(filter)
+      .select('kind orderRef productId productName buyer sellerName lastMessageAt lastMessageBy')
+      .sort({ lastMessageAt: -1 })
+      .limit(200)
+      .lean();
+
+    return res.render('admin/messages/index', {
+      title: 'Buyer–Seller Messages',
+      themeCss: themeCssFromSession(req),
+      nonce: res.locals.nonce,
+      threads,
+      kinds: MessageThread.THREAD_KINDS,
+      filters: { kind, order, q },
+      success: req.flash('success'),
+      error: req.flash('error'),
+      info: req.flash('info'),
+      warning: req.flash('warning'),
+    });
+  } catch (err) {
+    console.error('❌ admin message threads error:', err);
+    req.flash('error', 'Could not load conversations.');
+    return res.redirect('/admin/dashboard');
+  }
+});
+
+/* THREAD */
+router.get('/messages/threads/:id', ...readGuards, async (req, res) => {
+  try {
+    const thread = mongoose.isValidObjectId(req.params.id)
+      ? await MessageThread.findById(req.params.id).populate('seller', '_id name email').lean()
+      : null;
+
+    if (!thread) {
+      req.flash('error', 'Conversation not found.');
+      return res.redirect('/admin/messages/threads');
+    }
+
+    // Private conversations: record who read them.
+    await logAdminAction(req, {
+      action: 'messages.thread.view',
+      entityType: 'message_thread',
+      entityId: String(thread._id),
+      status: 'success',
+      meta: { section: 'support', orderRef: thread.orderRef, productId: thread.productId },
+    });
+
+    return res.render('admin/messages/show', {
+      title: 'Conversation',
+      themeCss: themeCssFromSession(req),
+      nonce: res.locals.nonce,
+      thread,
+      success: req.flash('success'),
+      error: req.flash('error'),
+      info: req.flash('info'),
+      warning: req.flash('warning'),
+    });
+  } catch (err) {
+    console.error('❌ admin message thread error:', err);
+    req.flash('error', 'Could not load the conversation.');
+    return res.redirect('/admin/messages/threads');
+  }
+});
+
+/* ATTACHMENT */
+router.get('/messages/threads/:id/attachments/:attachmentId', ...readGuards, async (req, res) => {
+  try {
+    const thread = mongoose.isValidObjectId(req.params.id)
+      ? await MessageThread.findById(req.params.id).select('messages.attachments').lean()
+      : null;
+
+    const attachment = thread?.messages
+      .flatMap((m) => m.attachments || [])
+      .find((a) => String(a._id) === String(req.params.attachmentId));
+
+    if (!attachment) return res.status(404).send('Attachment not found');
+
+    return res.redirect(await attachmentDownloadUrl(attachment));
+  } catch (err) {
+    console.error('❌ admin message attachment error:', err);
+    return res.status(500).send('Could not open the attachment');
+  }
+});
+
+module.exports = router;
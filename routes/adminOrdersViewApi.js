@@ -11,6 +11,14 @@ const requireAdminPermission = require('../middleware/requireAdminPermission');
 const Order = require('../models/Order');
 const Business = require('../models/Business');
 
+const {
+  isInvoiceable,
+  ensureInvoiceForOrder,
+  listCreditNotesForOrder,
+  findCreditNoteForOrder,
+  sendTaxDocumentPdf,
+} = require('../utils/invoices/taxDocumentService');
+
 const router = express.Router();
 
 function safeStr(v, max = 300) {
@@ -387,6 +395,18 @@ router.get(
         : [],
 
       receiptUrl: `/payment/receipt/${encodeURIComponent(order.orderId || '')}`,
+
+      invoiceUrl: isInvoiceable(order)
+        ? `/api/admin/orders/${encodeURIComponent(String(order._id))}/invoice.pdf`
+        : null,
+
+      creditNotes: (await listCreditNotesForOrder(order)).map((note) => ({
+        number: note.number,
+        issuedAt: note.issuedAt || null,
+        total: note.totals?.total || '0.00',
+        currency: note.currency,
+        url: `/api/admin/orders/${encodeURIComponent(String(order._id))}/credit-notes/${encodeURIComponent(note.number)}.pdf`,
+      })),
     };
 
     return res.json({
@@ -402,4 +422,57 @@ router.get(
   }
 });
 
+/**
+ * GET /api/admin/orders/:id/invoice.pdf
+ * GET /api/admin/orders/:id/credit-notes/:number.pdf
+ * :id is the Mongo _id
+ */
+router.get(
+  '/orders/:id/invoice.pdf',
+  requireAdmin,
+  requireAdminRole(['super_admin', 'orders_admin']),
+  requireAdminPermission('orders.read'),
+  async (req, res) => {
+    try {
+      const id = safeStr(req.params.id, 160);
+      const order = mongoose.isValidObjectId(id) ? await Order.findById(id).lean() : null;
+      const invoice = order ? await ensureInvoiceForOrder(order) : null;
+
+      if (!invoice) {
+        return res.status(404).json({ ok: false, message: 'No invoice for this order' });
+      }
+
+      return sendTaxDocumentPdf(res, invoice);
+    } catch (error) {
+      console.error('❌ admin order invoice error:', error);
+      return res.status(500).json({ ok: false, message: 'Failed to generate invoice' });
+    }
+  },
+);
+
+router.get(
+  '/orders/:id/credit-notes/:number.pdf',
+  requireAdmin,
+  requireAdminRole(['super_admin', 'orders_admin']),
+  requireAdminPermission('orders.read'),
+  async (req, res) => {
+    try {
+      const id = safeStr(req.params.id, 160);
+      const order = mongoose.isValidObjectId(id)
+        ? await Order.findById(id).select('_id').lean()
+        : null;
+      const creditNote = order ? await findCreditNoteForOrder(order, req.params.number) : null;
+
+      if (!creditNote) {
+        return res.status(404).json({ ok: false, message: 'Credit note not found' });
+      }
+
+      return sendTaxDocumentPdf(res, creditNote);
+    } catch (error) {
+      console.error('❌ admin order credit note error:', error);
+      return res.status(500).json({ ok: false, message: 'Failed to generate credit note' });
+    }
+  },
+);
+
 module.exports = router;
\ No newline at end of file
@@ -8,7 +8,9 @@ const mongoose = require('mongoose');
 const requireAdmin = require('../middleware/requireAdmin');
 const requireAdminRole = require('../middleware/requireAdminRole');
 const requireAdminPermission = require('../middleware/requireAdminPermission');
+const requireAdminReauth = require('../middleware/requireAdminReauth');
 const { logAdminAction } = require('../utils/logAdminAction');
+const { notifyAdmins } = require('../utils/notify');
 
 const Business = require('../models/Business');
 const Payout = require('../models/Payout');
@@ -16,6 +18,11 @@ const SellerBalanceLedger = require('../models/SellerBalanceLedger');
 
 const { getSellerAvailableCents } = require('../utils/payouts/getSellerAvailableCents');
 const { runSyncPayoutById } = require('../utils/payouts/syncPayout');
+const {
+  PAYOUT_SCHEDULE_LABELS,
+  normalizePayoutSchedule,
+  payoutDecision,
+} = require('../utils/payouts/payoutScheduleRules');
 const {
   createPayoutBatch,
   getPayPalBase,
@@ -276,16 +283,26 @@ function requireCronSecret(req, res, next) {
  * Core payout preview/review logic
  * --------------------------- */
 
-async function buildEligiblePayoutItems({ minCents = 0, currency = getBaseCurrency() }) {
+/**
+ * Sellers to include in a review: the balance meets both `minCents` and the
+ * seller's own minimum. The auto-run (`source: 'cron'`) also waits until
+ * their schedule is due or they asked for a withdrawal.
+ */
+async function buildEligiblePayoutItems({
+  minCents = 0,
+  currency = getBaseCurrency(),
+  source = 'admin',
+}) {
   const cur = String(currency || getBaseCurrency()).trim().toUpperCase() || getBaseCurrency();
   const min = parseMinCents(minCents);
+  const now = new Date();
 
   const payoutBusinesses = await Business.find({
     role: { $in: ['seller', 'supplier'] },
     'payouts.enabled': true,
     'payouts.paypalEmail': { $exists: true, $ne: '' },
   })
-    .select('_id name role payouts.paypalEmail')
+    .select('_id name role payouts')
     .lean();
 
   const items = [];
@@ -294,8 +311,15 @@ async function buildEligiblePayoutItems({ minCents = 0, currency = getBaseCurren
   for (const business of payoutBusinesses) {
     const receiver = normEmail(business?.payouts?.paypalEmail);
     const available = await getSellerAvailableCents(business._id, cur);
+    const decision = payoutDecision({
+      payouts: business.payouts,
+      availableCents: available,
+      minCents: min,
+      now,
+      applySchedule: source === 'cron',
+    });
 
-    if (receiver && available >= min && available > 0) {
+    if (receiver && decision.eligible) {
       const amountCents = Number(available || 0);
 
       items.push({
@@ -306,6 +330,7 @@ async function buildEligiblePayoutItems({ minCents = 0, currency = getBaseCurren
         receiverMasked: maskEmail(receiver),
         amountCents,
         currency: cur,
+        reason: decision.reason,
       });
 
       totalCents += amountCents;
@@ -327,9 +352,14 @@ async function createPayoutReview({
   createdByAdminId = null,
   minCents = 0,
   note = 'Seller payout',
+  source = 'admin',
 }) {
   const noteClean = cleanNote(note);
-  const review = await buildEligiblePayoutItems({ minCents, currency: getBaseCurrency() });
+  const review = await buildEligiblePayoutItems({
+    minCents,
+    currency: getBaseCurrency(),
+    source,
+  });
 
   if (!review.items.length) {
     return {
@@ -377,6 +407,7 @@ async function createPayoutReview({
       meta: {
         paypalBase: getPayPalBase(),
         reviewCreatedAt: new Date(),
+        reviewSource: source,
         reviewMinCents: review.minCents,
         reviewItemCount: review.items.length,
         reviewRoles: [...new Set(review.items.map((item) => item.role || 'business'))],
@@ -387,6 +418,7 @@ async function createPayoutReview({
           receiverMasked: item.receiverMasked,
           amountCents: item.amountCents,
           currency: item.currency,
+          reason: item.reason,
         })),
       },
     });
@@ -430,6 +462,7 @@ async function createPayoutReview({
       section: 'payouts',
       minCents: review.minCents,
       note: noteClean,
+      source,
       fingerprint,
       count: review.items.length,
       totalCents: review.totalCents,
@@ -702,6 +735,18 @@ async function confirmPayoutReview({
     }
   }
 
+  // Restart each paid seller's schedule and close the withdrawal requests
+  // this payout covered (requests made after the review wait for the next one).
+  const paidBusinessIds = items.map((item) => item.businessId);
+  await Business.updateMany(
+    { _id: { $in: paidBusinessIds } },
+    { $set: { 'payouts.lastPayoutAt': new Date() } },
+  );
+  await Business.updateMany(
+    { _id: { $in: paidBusinessIds }, 'payouts.withdrawalRequestedAt': { $lte: existing.createdAt } },
+    { $set: { 'payouts.withdrawalRequestedAt': null } },
+  );
+
   let syncAttempted = false;
   let syncSuccess = false;
   let syncError = '';
@@ -779,9 +824,11 @@ router.get(
       );
 
       const sellers = await Business.find({ role: { $in: ['seller', 'supplier'] } })
-        .select('_id name role payouts.enabled payouts.paypalEmail')
+        .select('_id name role payouts')
         .lean();
 
+      const now = new Date();
+
       const preview = [];
       let previewEligibleCount = 0;
       let previewEligibleTotalCents = 0;
@@ -807,7 +854,14 @@ router.get(
           });
         }
 
-        const eligible = enabled && hasPaypal && availableCents > 0;
+        // `eligible` is what an admin review would pay; the reason shows
+        // whether the auto-run would include the seller too.
+        const eligible =
+          enabled &&
+          hasPaypal &&
+          payoutDecision({ payouts: seller.payouts, availableCents, applySchedule: false })
+            .eligible;
+        const decision = payoutDecision({ payouts: seller.payouts, availableCents, now });
 
         if (eligible) {
           previewEligibleCount += 1;
@@ -823,6 +877,10 @@ router.get(
           hasPaypal,
           availableCents: Number(availableCents || 0),
           eligible,
+          eligibleReason: decision.reason,
+          scheduleLabel: PAYOUT_SCHEDULE_LABELS[normalizePayoutSchedule(seller?.payouts?.schedule)],
+          minimumCents: Number(seller?.payouts?.minimumCents || 0),
+          withdrawalRequested: Boolean(seller?.payouts?.withdrawalRequestedAt),
         });
       }
 
@@ -957,6 +1015,7 @@ router.post(
   requireAdmin,
   requireAdminRole(['super_admin', 'payout_admin']),
   requireAdminPermission('payouts.approve'),
+  requireAdminReauth('/admin/payouts'),
   async (req, res) => {
     const payoutId = String(req.params.id || '').trim();
     const autoSync = parseBoolean(req.body.autoSync);
@@ -1208,12 +1267,62 @@ router.post(
  * AUTO payout routes
  * --------------------------- */
 
-router.post('/payouts/auto-run', requireCronSecret, async (_req, res) => {
-  return res.status(409).json({
-    ok: false,
-    message:
-      'Auto-run direct payout creation is disabled for production safety. Use review + confirm flow.',
-  });
+/**
+ * POST /admin/payouts/auto-run
+ * Prepares a payout review for sellers whose schedule is due or who asked
+ * for a withdrawal. Like the admin flow it never calls PayPal: an admin
+ * still confirms the review. Skips while another review is unconfirmed so
+ * two open reviews can never pay out the same balance.
+ */
+router.post('/payouts/auto-run', requireCronSecret, async (req, res) => {
+  const currency = getBaseCurrency();
+
+  try {
+    const open = await Payout.findOne({
+      currency,
+      approvalStatus: { $in: ['REVIEWED', 'CONFIRMED'] },
+      batchId: { $exists: false },
+    })
+      .select('_id')
+      .lean();
+
+    if (open) {
+      return res.json({
+        ok: true,
+        skippedReason: 'review-pending',
+        payoutId: String(open._id),
+      });
+    }
+
+    const out = await createPayoutReview({
+      req,
+      createdByAdminId: null,
+      minCents: parseMinCents(process.env.PAYOUTS_AUTO_MIN_CENTS),
+      note: 'Scheduled seller payout',
+      source: 'cron',
+    });
+
+    if (out.ok && out.payoutId && !out.duplicateReview) {
+      await notifyAdmins(['super_admin', 'payout_admin'], {
+        type: 'payout.review_ready',
+        title: `Scheduled payout ready to confirm (${out.count} businesses)`,
+        message: `${toMoneyString(out.totalCents)} ${currency}`,
+        link: '/admin/payouts',
+        dedupeKey: `payout.review_ready:${out.payoutId}`,
+      });
+    }
+
+    return res.status(out.ok ? 200 : 409).json(out);
+  } catch (err) {
+    console.error('[admin payouts auto-run] failed', {
+      message: String(err?.message || err),
+    });
+
+    return res.status(500).json({
+      ok: false,
+      message: String(err?.message || err),
+    });
+  }
 });
 
 router.post('/payouts/auto-sync-recent', requireCronSecret, async (_req, res) => {
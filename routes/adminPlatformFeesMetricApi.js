@@ -5,6 +5,7 @@ const express = require('express');
 
 const requireAdmin = require('../middleware/requireAdmin');
 const Order = require('../models/Order');
+const SellerBalanceLedger = require('../models/SellerBalanceLedger');
 
 const router = express.Router();
 
@@ -38,12 +39,48 @@ router.get('/platform-fees-metric', requireAdmin, async (req, res) => {
           createdAt: { $gte: start },
         },
       },
+      // Commission actually charged when sellers were credited (commission
+      // rules can differ per line). Orders credited before rules existed,
+      // or not credited yet, fall back to the order's platformFeeBps.
+      {
+        $lookup: {
+          from: SellerBalanceLedger.collection.name,
+          let: { oid: '$_id' },
+          pipeline: [
+            {
+              $match: {
+                $expr: {
+                  $and: [{ $eq: ['$orderId', '$$oid'] }, { $eq: ['$type', 'EARNING'] }],
+                },
+              },
+            },
+            {
+              $group: {
+                _id: null,
+                feeCents: { $sum: { $ifNull: ['$meta.feeCents', 0] } },
+                ruled: {
+                  $sum: { $cond: [{ $ifNull: ['$meta.commissionRule', false] }, 1, 0] },
+                },
+              },
+            },
+          ],
+          as: 'ledgerFees',
+        },
+      },
       {
         $project: {
           orderKey: {
             $ifNull: ['$orderId', { $toString: '$_id' }],
           },
 
+          ledgerFeeNum: {
+            $cond: [
+              { $gt: [{ $ifNull: [{ $first: '$ledgerFees.ruled' }, 0] }, 0] },
+              { $divide: [{ $first: '$ledgerFees.feeCents' }, 100] },
+              null,
+            ],
+          },
+
           statusU: {
             $toUpper: {
               $ifNull: ['$status', ''],
@@ -159,6 +196,7 @@ router.get('/platform-fees-metric', requireAdmin, async (req, res) => {
           isPaidLike: 1,
           isCancelledLike: 1,
           safePlatformFeeBps: 1,
+          ledgerFeeNum: 1,
 
           itemQty: {
             $convert: {
@@ -196,6 +234,7 @@ router.get('/platform-fees-metric', requireAdmin, async (req, res) => {
           isPaidLike: { $first: '$isPaidLike' },
           isCancelledLike: { $first: '$isCancelledLike' },
           safePlatformFeeBps: { $first: '$safePlatformFeeBps' },
+          ledgerFeeNum: { $first: '$ledgerFeeNum' },
 
           itemGrossSubtotal: {
             $sum: {
@@ -272,14 +311,42 @@ router.get('/platform-fees-metric', requireAdmin, async (req, res) => {
             $cond: [
               '$shouldCount',
               {
-                $multiply: [
+                $cond: [
+                  { $ne: ['$ledgerFeeNum', null] },
+                  // Ledger commission, reduced by the refunded share.
                   {
-                    $max: [
+                    $cond: [
+                      { $gt: ['$grossSalesOrderValue', 0] },
+                      {
+                        $multiply: [
+                          '$ledgerFeeNum',
+                          {
+                            $divide: [
+                              {
+                                $max: [
+                                  0,
+                                  { $subtract: ['$grossSalesOrderValue', '$safeRefundForOrder'] },
+                                ],
+                              },
+                              '$grossSalesOrderValue',
+                            ],
+                          },
+                        ],
+                      },
                       0,
-                      { $subtract: ['$grossSalesOrderValue', '$safeRefundForOrder'] },
                     ],
                   },
-                  { $divide: ['$safePlatformFeeBps', 10000] },
+                  {
+                    $multiply: [
+                      {
+                        $max: [
+                          0,
+                          { $subtract: ['$grossSalesOrderValue', '$safeRefundForOrder'] },
+                        ],
+                      },
+                      { $divide: ['$safePlatformFeeBps', 10000] },
+                    ],
+                  },
                 ],
               },
               0,
@@ -336,8 +403,40 @@ router.get('/platform-fees-metric', requireAdmin, async (req, res) => {
     };
 
     const ordersCounted = Number(row.ordersCounted || 0);
+    const feeBaseSales = Number(row.feeBaseSales || 0);
+
+    // Effective rate: with commission rules the order-level bps no longer
+    // tells the whole story, so divide what was earned by what it was earned on.
     const averagePlatformFeeBps =
-      ordersCounted > 0 ? Number(row.feeBpsTotal || 0) / ordersCounted : DEFAULT_PLATFORM_FEE_BPS;
+      feeBaseSales > 0
+        ? (Number(row.platformFeesEarned || 0) / feeBaseSales) * 10000
+        : ordersCounted > 0
+          ? Number(row.feeBpsTotal || 0) / ordersCounted
+          : DEFAULT_PLATFORM_FEE_BPS;
+
+    // Which commission rules produced the fees (from seller EARNING rows).
+    const byRule = await SellerBalanceLedger.aggregate([
+      {
+        $match: {
+          type: 'EARNING',
+          currency: BASE_CURRENCY,
+          createdAt: { $gte: start },
+          'meta.commissionRule': { $type: 'object' },
+        },
+      },
+      {
+        $group: {
+          _id: '$meta.commissionRule.id',
+          name: { $last: '$meta.commissionRule.name' },
+          scope: { $last: '$meta.commissionRule.scope' },
+          feeBps: { $last: '$meta.commissionRule.feeBps' },
+          lines: { $sum: 1 },
+          feeCents: { $sum: { $ifNull: ['$meta.feeCents', 0] } },
+        },
+      },
+      { $sort: { feeCents: -1 } },
+      { $limit: 10 },
+    ]);
 
     return res.json({
       ok: true,
@@ -352,6 +451,14 @@ router.get('/platform-fees-metric', requireAdmin, async (req, res) => {
       ordersCounted,
       averagePlatformFeeBps: Math.round(averagePlatformFeeBps),
       averagePlatformFeePercent: roundMoney(averagePlatformFeeBps / 100),
+      commissionRules: byRule.map((r) => ({
+        id: String(r._id || ''),
+        name: r.name || 'Platform default',
+        scope: r.scope || 'PLATFORM_DEFAULT',
+        feePercent: roundMoney(Number(r.feeBps || 0) / 100),
+        lines: Number(r.lines || 0),
+        fees: roundMoney(Number(r.feeCents || 0) / 100),
+      })),
     });
   } catch (err) {
     console.error('❌ admin platform fees metric error:', err);
@@ -0,0 +1,121 @@
+// routes/adminSearchInsights.js
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+const requireAdmin = require('../middleware/requireAdmin');
+const requireAdminRole = require('../middleware/requireAdminRole');
+const requireAdminPermission = require('../middleware/requireAdminPermission');
+const { logAdminAction } = require('../utils/logAdminAction');
+
+const SearchQuery = require('../models/SearchQuery');
+const { normalizeSuggestDepartment } = require('../utils/search/searchSuggestions');
+
+const adminGuards = [requireAdmin, requireAdminRole(['super_admin', 'store_admin'])];
+const readGuards = [...adminGuards, requireAdminPermission('store.read')];
+const manageGuards = [...adminGuards, requireAdminPermission('store.content.manage')];
+
+const PERIOD_DAYS = [7, 30, 90, 365];
+const LIST_LIMIT = 50;
+
+function themeCssFromSession(req) {
+  const theme = req.session?.theme || 'light';
+  return theme === 'dark' ? '/css/dark.css' : '/css/light.css';
+}
+
+function insightsUrl(department, days) {
+  return `/admin/search-insights?department=${department}&days=${days}`;
+}
+
+/* INDEX */
+router.get('/search-insights', ...readGuards, async (req, res) => {
+  const department = normalizeSuggestDepartment(req.query.department);
+  const requestedDays = Number.parseInt(req.query.days, 10);
+  const days = PERIOD_DAYS.includes(requestedDays) ? requestedDays : 30;
+
+  try {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const base = { department, lastSearchedAt: { $gte: since } };
+
+    const [topQueries, zeroResultQueries, hiddenQueries] = await Promise.all([
+      SearchQuery.find(base).sort({ searchCount: -1, lastSearchedAt: -1 }).limit(LIST_LIMIT).lean(),
+
+      // Still finding nothing the last time somebody searched for it.
+      SearchQuery.find({ ...base, lastResultCount: 0 })
+        .sort({ zeroResultCount: -1, lastSearchedAt: -1 })
+        .limit(LIST_LIMIT)
+        .lean(),
+
+      SearchQuery.find({ department, hidden: true }).sort({ hiddenAt: -1 }).limit(LIST_LIMIT).lean(),
+    ]);
+
+    return res.render('admin/search-insights/index', {
+      title: 'Search Insights',
+      themeCss: themeCssFromSession(req),
+      nonce: res.locals.nonce,
+      department,
+      days,
+      periodDays: PERIOD_DAYS,
+      topQueries,
+      zeroResultQueries,
+      hiddenQueries,
+      success: req.flash('success'),
+      error: req.flash('error'),
+      info: req.flash('info'),
+      warning: req.flash('warning'),
+    });
+  } catch (err) {
+    console.error('❌ admin search insights error:', err);
+    req.flash('error', 'Could not load search insights.');
+    return res.redirect('/admin/dashboard');
+  }
+});
+
+/* HIDE / SHOW AS SUGGESTION */
+router.post('/search-insights/:id/toggle-hidden', ...manageGuards, async (req, res) => {
+  const back = insightsUrl(
+    normalizeSuggestDepartment(req.body.department),
+    PERIOD_DAYS.includes(Number(req.body.days)) ? Number(req.body.days) : 30,
+  );
+
+  try {
+    const entry = await SearchQuery.findById(req.params.id);
+
+    if (!entry) {
+      req.flash('error', 'Search query not found.');
+      return res.redirect(back);
+    }
+
+    const wasHidden = entry.hidden === true;
+
+    entry.hidden = !wasHidden;
+    entry.hiddenAt = entry.hidden ? new Date() : null;
+    entry.hiddenBy = entry.hidden ? req.session.admin?._id || null : null;
+    await entry.save();
+
+    await logAdminAction(req, {
+      action: entry.hidden ? 'store.search_query.hide' : 'store.search_query.show',
+      entityType: 'search_query',
+      entityId: String(entry._id),
+      status: 'success',
+      before: { hidden: wasHidden },
+      after: { hidden: entry.hidden },
+      meta: { section: 'search-insights', department: entry.department, query: entry.query },
+    });
+
+    req.flash(
+      'success',
+      entry.hidden
+        ? `"${entry.query}" will no longer be suggested.`
+        : `"${entry.query}" can be suggested again.`,
+    );
+    return res.redirect(back);
+  } catch (err) {
+    console.error('❌ toggle search query error:', err);
+    req.flash('error', 'Failed to update the search query.');
+    return res.redirect(back);
+  }
+});
+
+module.exports = router;
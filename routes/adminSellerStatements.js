@@ -0,0 +1,157 @@
+// routes/adminSellerStatements.js
+'use strict';
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+const requireAdmin = require('../middleware/requireAdmin');
+const requireAdminRole = require('../middleware/requireAdminRole');
+const requireAdminPermission = require('../middleware/requireAdminPermission');
+const { logAdminAction } = require('../utils/logAdminAction');
+
+const Business = require('../models/Business');
+const {
+  loadSellerStatement,
+  loadStatementPeriods,
+} = require('../utils/payouts/sellerStatementService');
+const { sendSellerStatementFile } = require('../utils/payouts/sendSellerStatementFile');
+
+const guards = [
+  requireAdmin,
+  requireAdminRole(['super_admin', 'payout_admin']),
+  requireAdminPermission('payouts.read'),
+];
+
+function themeCssFromSession(req) {
+  const theme = req.session?.theme || 'light';
+  return theme === 'dark' ? '/css/dark.css' : '/css/light.css';
+}
+
+function escapeRegex(value) {
+  return String(value || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+async function loadBusiness(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Business.findById(id).select('_id name email role isVerified').lean();
+}
+
+/* FIND A BUSINESS */
+router.get('/statements', ...guards, async (req, res) => {
+  try {
+    const q = String(req.query.q || '')
+      .trim()
+      .slice(0, 120);
+
+    const filter = { role: { $in: ['seller', 'supplier'] } };
+    if (q) {
+      const rx = new RegExp(escapeRegex(q), 'i');
+      filter.$or = [{ name: rx }, { email: rx }];
+    }
+
+    const businesses = await Business.find(filter)
+      .select('_id name email role isVerified createdAt')
+      .sort(q ? { name: 1 } : { createdAt: -1 })
+      .limit(50)
+      .lean();
+
+    return res.render('admin/statements/index', {
+      title: 'Seller Statements',
+      themeCss: themeCssFromSession(req),
+      nonce: res.locals.nonce,
+      businesses,
+      q,
+      success: req.flash('success'),
+      error: req.flash('error'),
+      info: req.flash('info'),
+      warning: req.flash('warning'),
+    });
+  } catch (err) {
+    console.error('❌ admin statements index error:', err);
+    req.flash('error', 'Could not load businesses.');
+    return res.redirect('/admin/dashboard');
+  }
+});
+
+/* ONE BUSINESS */
+router.get('/statements/:businessId', ...guards, async (req, res) => {
+  try {
+    const business = await loadBusiness(req.params.businessId);
+
+    if (!business) {
+      req.flash('error', 'Business not found.');
+      return res.redirect('/admin/statements');
+    }
+
+    const [statement, periods] = await Promise.all([
+      loadSellerStatement(business._id, { month: req.query.month, currency: req.query.currency }),
+      loadStatementPeriods(business._id),
+    ]);
+
+    return res.render('admin/statements/show', {
+      title: `Statement ${business.name} ${statement.month.key}`,
+      themeCss: themeCssFromSession(req),
+      nonce: res.locals.nonce,
+      business,
+      statement,
+      months: periods.months,
+      currencies: periods.currencies,
+      success: req.flash('success'),
+      error: req.flash('error'),
+      info: req.flash('info'),
+      warning: req.flash('warning'),
+    });
+  } catch (err) {
+    console.error('❌ admin statement error:', err);
+    req.flash('error', 'Could not load the statement.');
+    return res.redirect('/admin/statements');
+  }
+});
+
+/* DOWNLOAD */
+router.get('/statements/:businessId/:month/:format', ...guards, async (req, res) => {
+  const back = `/admin/statements/${encodeURIComponent(String(req.params.businessId))}`;
+  const format = String(req.params.format || '').toLowerCase();
+
+  if (format !== 'csv' && format !== 'pdf') {
+    req.flash('error', 'Statements can be downloaded as CSV or PDF.');
+    return res.redirect(back);
+  }
+
+  try {
+    const business = await loadBusiness(req.params.businessId);
+
+    if (!business) {
+      req.flash('error', 'Business not found.');
+      return res.redirect('/admin/statements');
+    }
+
+    const statement = await loadSellerStatement(business._id, {
+      month: req.params.month,
+      currency: req.query.currency,
+    });
+
+    await logAdminAction(req, {
+      action: 'payouts.statement.export',
+      entityType: 'business',
+      entityId: String(business._id),
+      status: 'success',
+      meta: {
+        section: 'statements',
+        month: statement.month.key,
+        currency: statement.currency,
+        format,
+        lines: statement.lines.length,
+      },
+    });
+
+    return await sendSellerStatementFile(res, { business, statement, format });
+  } catch (err) {
+    console.error('❌ admin statement download error:', err);
+    req.flash('error', 'Could not download the statement.');
+    return res.redirect(back);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,276 @@
+// routes/adminSupport.js
+'use strict';
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+const requireAdmin = require('../middleware/requireAdmin');
+const requireAdminRole = require('../middleware/requireAdminRole');
+const requireAdminPermission = require('../middleware/requireAdminPermission');
+const { logAdminAction } = require('../utils/logAdminAction');
+
+const SupportTicket = require('../models/SupportTicket');
+const Admin = require('../models/Admin');
+const { addAdminReply, setTicketStatus, assignTicket } = require('../utils/support/ticketService');
+
+const readGuards = [
+  requireAdmin,
+  requireAdminRole(['super_admin', 'support_admin']),
+  requireAdminPermission('support.read'),
+];
+
+const replyGuards = [...readGuards, requireAdminPermission('support.reply')];
+
+function themeCssFromSession(req) {
+  const theme = req.session?.theme || 'light';
+  return theme === 'dark' ? '/css/dark.css' : '/css/light.css';
+}
+
+function escapeRegex(value) {
+  return String(value || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function ticketBack(id) {
+  return `/admin/support/tickets/${encodeURIComponent(String(id))}`;
+}
+
+function ticketSnapshot(ticket) {
+  if (!ticket) return null;
+
+  return {
+    ticketNumber: ticket.ticketNumber,
+    status: ticket.status,
+    assignedTo: ticket.assignedTo ? String(ticket.assignedTo) : null,
+    messages: Array.isArray(ticket.messages) ? ticket.messages.length : 0,
+  };
+}
+
+async function loadTicket(req) {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return SupportTicket.findById(req.params.id);
+}
+
+async function supportAdmins() {
+  return Admin.find({
+    role: { $in: ['super_admin', 'support_admin'] },
+    isActive: { $ne: false },
+  })
+    .select('_id fullName email role')
+    .sort({ fullName: 1 })
+    .lean();
+}
+
+/* INBOX */
+router.get('/support/tickets', ...readGuards, async (req, res) => {
+  try {
+    const status = String(req.query.status || 'active').trim();
+    const assigned = String(req.query.assigned || '').trim();
+    const q = String(req.query.q || '')
+      .trim()
+      .slice(0, 120);
+
+    const filter = {};
+
+    if (status === 'active') {
+      filter.status = { $in: ['OPEN', 'AWAITING_CUSTOMER'] };
+    } else if (SupportTicket.TICKET_STATUSES.includes(status)) {
+      filter.status = status;
+    }
+
+    if (assigned === 'me' && mongoose.isValidObjectId(req.session?.admin?._id)) {
+      filter.assignedTo = req.session.admin._id;
+    } else if (assigned === 'unassigned') {
+      filter.assignedTo = null;
+    }
+
+    if (q) {
+      const rx = new RegExp(escapeRegex(q), 'i');
+      filter.$or = [
+        { ticketNumber: rx },
+        { subject: rx },
+        { orderRef: rx },
+        { 'requester.email': rx },
+        { 'requester.name': rx },
+      ];
+    }
+
+    const [tickets, counts] = await Promise.all([
+      SupportTicket.find(filter)
+        .select(
+          'ticketNumber subject category status requester.name requester.email requester.type orderRef assignedToName lastMessageAt lastMessageBy',
+        )
+        .sort({ lastMessageAt: -1 })
+        .limit(200)
+        .lean(),
+      SupportTicket.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+    ]);
+
+    return res.render('admin/support/index', {
+      title: 'Support Tickets',
+      themeCss: themeCssFromSession(req),
+      nonce: res.locals.nonce,
+      tickets,
+      counts: Object.fromEntries(counts.map((c) => [c._id, c.count])),
+      statuses: SupportTicket.TICKET_STATUSES,
+      filters: { status, assigned, q },
+      success: req.flash('success'),
+      error: req.flash('error'),
+      info: req.flash('info'),
+      warning: req.flash('warning'),
+    });
+  } catch (err) {
+    console.error('❌ admin support inbox error:', err);
+    req.flash('error', 'Could not load support tickets.');
+    return res.redirect('/admin/dashboard');
+  }
+});
+
+/* TICKET */
+router.get('/support/tickets/:id', ...readGuards, async (req, res) => {
+  try {
+    const ticket = mongoose.isValidObjectId(req.params.id)
+      ? await SupportTicket.findById(req.params.id).populate('order', '_id orderId status').lean()
+      : null;
+
+    if (!ticket) {
+      req.flash('error', 'Ticket not found.');
+      return res.redirect('/admin/support/tickets');
+    }
+
+    return res.render('admin/support/show', {
+      title: `Ticket ${ticket.ticketNumber}`,
+      themeCss: themeCssFromSession(req),
+      nonce: res.locals.nonce,
+      ticket,
+      admins: await supportAdmins(),
+      statuses: SupportTicket.TICKET_STATUSES,
+      canReply: (req.session?.admin?.permissions || []).some(
+        (p) => p === '*' || p === 'support.reply',
+      ),
+      success: req.flash('success'),
+      error: req.flash('error'),
+      info: req.flash('info'),
+      warning: req.flash('warning'),
+    });
+  } catch (err) {
+    console.error('❌ admin support ticket error:', err);
+    req.flash('error', 'Could not load the ticket.');
+    return res.redirect('/admin/support/tickets');
+  }
+});
+
+/* REPLY */
+router.post('/support/tickets/:id/reply', ...replyGuards, async (req, res) => {
+  const back = ticketBack(req.params.id);
+
+  try {
+    const ticket = await loadTicket(req);
+
+    if (!ticket) {
+      req.flash('error', 'Ticket not found.');
+      return res.redirect('/admin/support/tickets');
+    }
+
+    const before = ticketSnapshot(ticket);
+
+    await addAdminReply(ticket, req.session.admin, {
+      message: req.body.message,
+      status: String(req.body.status || '').trim(),
+    });
+
+    await logAdminAction(req, {
+      action: 'support.ticket.reply',
+      entityType: 'support_ticket',
+      entityId: String(ticket._id),
+      status: 'success',
+      before,
+      after: ticketSnapshot(ticket),
+      meta: { section: 'support', ticketNumber: ticket.ticketNumber },
+    });
+
+    req.flash('success', `Reply sent to ${ticket.requester.email}.`);
+    return res.redirect(back);
+  } catch (err) {
+    if (!err?.status || err.status >= 500) console.error('❌ admin support reply error:', err);
+    req.flash('error', err?.status ? err.message : 'Failed to send the reply.');
+    return res.redirect(back);
+  }
+});
+
+/* STATUS */
+router.post('/support/tickets/:id/status', ...replyGuards, async (req, res) => {
+  const back = ticketBack(req.params.id);
+
+  try {
+    const ticket = await loadTicket(req);
+
+    if (!ticket) {
+      req.flash('error', 'Ticket not found.');
+      return res.redirect('/admin/support/tickets');
+    }
+
+    const before = ticketSnapshot(ticket);
+    await setTicketStatus(ticket, String(req.body.status || '').trim());
+
+    await logAdminAction(req, {
+      action: 'support.ticket.status',
+      entityType: 'support_ticket',
+      entityId: String(ticket._id),
+      status: 'success',
+      before,
+      after: ticketSnapshot(ticket),
+      meta: { section: 'support', ticketNumber: ticket.ticketNumber },
+    });
+
+    req.flash('success', `Ticket ${ticket.ticketNumber} updated.`);
+    return res.redirect(back);
+  } catch (err) {
+    if (!err?.status || err.status >= 500) console.error('❌ admin support status error:', err);
+    req.flash('error', err?.status ? err.message : 'Failed to update the ticket.');
+    return res.redirect(back);
+  }
+});
+
+/* ASSIGN */
+router.post('/support/tickets/:id/assign', ...replyGuards, async (req, res) => {
+  const back = ticketBack(req.params.id);
+
+  try {
+    const ticket = await loadTicket(req);
+
+    if (!ticket) {
+      req.flash('error', 'Ticket not found.');
+      return res.redirect('/admin/support/tickets');
+    }
+
+    const before = ticketSnapshot(ticket);
+    const wanted = String(req.body.adminId || '').trim();
+
+    await assignTicket(ticket, wanted === 'me' ? req.session.admin?._id : wanted);
+
+    await logAdminAction(req, {
+      action: 'support.ticket.assign',
+      entityType: 'support_ticket',
+      entityId: String(ticket._id),
+      status: 'success',
+      before,
+      after: ticketSnapshot(ticket),
+      meta: { section: 'support', ticketNumber: ticket.ticketNumber },
+    });
+
+    req.flash(
+      'success',
+      ticket.assignedTo
+        ? `Ticket ${ticket.ticketNumber} assigned to ${ticket.assignedToName}.`
+        : `Ticket ${ticket.ticketNumber} unassigned.`,
+    );
+    return res.redirect(back);
+  } catch (err) {
+    if (!err?.status || err.status >= 500) console.error('❌ admin support assign error:', err);
+    req.flash('error', err?.status ? err.message : 'Failed to assign the ticket.');
+    return res.redirect(back);
+  }
+});
+
+module.exports = router;
@@ -32,6 +32,21 @@ const Order = require('../models/Order');
 const router = express.Router();
 const Payout = require('../models/Payout');
 const { getSellerAvailableCents } = require('../utils/payouts/getSellerAvailableCents');
+const rateLimit = require('express-rate-limit');
+const {
+  TWO_FACTOR_SECRET_FIELDS,
+  enrollmentDetails,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  startPendingLogin,
+  readPendingLogin,
+  clearPendingLogin,
+  logTwoFactorEvent,
+  auditedTwoFactorStep,
+} = require('../utils/auth/twoFactor');
+const { mergeSavedCartsIntoSession } = require('../utils/cartRecovery/savedCartService');
 
 const BASE_CURRENCY =
   String(process.env.BASE_CURRENCY || '')
@@ -2927,6 +2942,109 @@ router.use(
   },
 );
 
+/* ----------------------------------------------------------
+ * Signs the business in once the password (and 2FA, when
+ * enabled) passed: verification check, then role dashboard.
+ * -------------------------------------------------------- */
+async function completeBusinessLogin(req, res, business) {
+  req.session.business = {
+    _id: business._id,
+    name: business.name,
+    email: business.email,
+    role: business.role,
+    isVerified: business.isVerified,
+  };
+
+  req.session.businessId = business._id.toString();
+
+  // Bring in the carts saved on the account (other devices, earlier visits)
+  try {
+    await mergeSavedCartsIntoSession(req);
+  } catch (err) {
+    console.warn('⚠️ Saved cart merge failed:', err?.message || err);
+  }
+
+  // If not verified: resend link + send to verify page
+  if (!business.isVerified) {
+    const lastSent = business.verificationEmailSentAt
+      ? new Date(business.verificationEmailSentAt).getTime()
+      : 0;
+
+    const cooldownMs = 60 * 1000;
+    if (lastSent && Date.now() - lastSent < cooldownMs) {
+      const secs = Math.ceil((cooldownMs - (Date.now() - lastSent)) / 1000);
+      req.flash(
+        'warning',
+        `Please wait ${secs}s before requesting another verification email.`,
+      );
+      return req.session.save(() => res.redirect('/business/verify-pending'));
+    }
+
+    const now = new Date();
+    let token = business.emailVerificationToken;
+    const expired =
+      !business.emailVerificationExpires ||
+      business.emailVerificationExpires.getTime() < Date.now();
+
+    if (!token || expired) {
+      token = crypto.randomBytes(32).toString('hex');
+      business.emailVerificationToken = token;
+      business.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    }
+    business.verificationEmailSentAt = now;
+    await business.save();
+
+    try {
+      await sendBusinessVerificationEmail(business, token, req);
+      req.flash(
+        'success',
+        `We sent a fresh verification link to ${business.email}. Please verify your email to access your dashboard.`,
+      );
+    } catch (mailErr) {
+      console.error('❌ Failed to send login verification email:', mailErr);
+      req.flash(
+        'error',
+        'We could not send a verification email right now. Please try again later or contact support.',
+      );
+    }
+
+    return req.session.save(() => res.redirect('/business/verify-pending'));
+  }
+
+  // Already verified
+  req.flash('success', `✅ Welcome back, ${business.name}!`);
+
+  // ✅ decide redirect target FIRST
+  let redirectTo = '/business/login';
+  switch (business.role) {
+    case 'seller':
+      redirectTo = '/business/dashboards/seller-dashboard';
+      break;
+    case 'supplier':
+      redirectTo = '/business/dashboards/supplier-dashboard';
+      break;
+    case 'buyer':
+      redirectTo = '/business/dashboards/buyer-dashboard';
+      break;
+    default:
+      req.flash('error', 'Invalid business role.');
+      redirectTo = '/business/login';
+      break;
+  }
+
+  // ✅ CRITICAL: SAVE session before redirect so MongoStore persists it
+  return req.session.save((err2) => {
+    if (err2) {
+      console.error('❌ session save error:', err2);
+      req.flash('error', 'Login failed. Try again.');
+      return res.redirect('/business/login');
+    }
+
+    console.log('✅ Business session saved OK:', req.session.business);
+    return res.redirect(redirectTo);
+  });
+}
+
 /* ----------------------------------------------------------
  * 🔐 GET: Business Login
  * -------------------------------------------------------- */
@@ -2998,95 +3116,17 @@ router.post(
         });
       }
 
-      req.session.business = {
-        _id: business._id,
-        name: business.name,
-        email: business.email,
-        role: business.role,
-        isVerified: business.isVerified,
-      };
-
-      req.session.businessId = business._id.toString();
-
-      // If not verified: resend link + send to verify page
-      if (!business.isVerified) {
-        const lastSent = business.verificationEmailSentAt
-          ? new Date(business.verificationEmailSentAt).getTime()
-          : 0;
-
-        const cooldownMs = 60 * 1000;
-        if (lastSent && Date.now() - lastSent < cooldownMs) {
-          const secs = Math.ceil((cooldownMs - (Date.now() - lastSent)) / 1000);
-          req.flash(
-            'warning',
-            `Please wait ${secs}s before requesting another verification email.`,
-          );
-          return req.session.save(() => res.redirect('/business/verify-pending'));
-        }
-
-        const now = new Date();
-        let token = business.emailVerificationToken;
-        const expired =
-          !business.emailVerificationExpires ||
-          business.emailVerificationExpires.getTime() < Date.now();
-
-        if (!token || expired) {
-          token = crypto.randomBytes(32).toString('hex');
-          business.emailVerificationToken = token;
-          business.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000);
-        }
-        business.verificationEmailSentAt = now;
-        await business.save();
-
-        try {
-          await sendBusinessVerificationEmail(business, token, req);
-          req.flash(
-            'success',
-            `We sent a fresh verification link to ${business.email}. Please verify your email to access your dashboard.`,
-          );
-        } catch (mailErr) {
-          console.error('❌ Failed to send login verification email:', mailErr);
-          req.flash(
-            'error',
-            'We could not send a verification email right now. Please try again later or contact support.',
-          );
-        }
+      if (business.twoFactor?.enabled) {
+        delete req.session.business;
+        delete req.session.businessId;
+        startPendingLogin(req, 'business', business._id);
 
-        return req.session.save(() => res.redirect('/business/verify-pending'));
-      }
+        await logTwoFactorEvent(req, { kind: 'business', account: business, event: 'challenge' });
 
-      // Already verified
-      req.flash('success', `✅ Welcome back, ${business.name}!`);
-
-      // ✅ decide redirect target FIRST
-      let redirectTo = '/business/login';
-      switch (business.role) {
-        case 'seller':
-          redirectTo = '/business/dashboards/seller-dashboard';
-          break;
-        case 'supplier':
-          redirectTo = '/business/dashboards/supplier-dashboard';
-          break;
-        case 'buyer':
-          redirectTo = '/business/dashboards/buyer-dashboard';
-          break;
-        default:
-          req.flash('error', 'Invalid business role.');
-          redirectTo = '/business/login';
-          break;
+        return req.session.save(() => res.redirect('/business/2fa/verify'));
       }
 
-      // ✅ CRITICAL: SAVE session before redirect so MongoStore persists it
-      return req.session.save((err2) => {
-        if (err2) {
-          console.error('❌ session save error:', err2);
-          req.flash('error', 'Login failed. Try again.');
-          return res.redirect('/business/login');
-        }
-
-        console.log('✅ Business session saved OK:', req.session.business);
-        return res.redirect(redirectTo);
-      });
+      return completeBusinessLogin(req, res, business);
     } catch (err) {
       console.error('❌ Login error:', err);
       req.flash('error', '❌ Login failed. Please try again later.');
@@ -3100,6 +3140,238 @@ router.post(
   },
 );
 
+/* ----------------------------------------------------------
+ * 🔐 Two-factor authentication (optional TOTP)
+ * -------------------------------------------------------- */
+const twoFactorVerifyLimiter = rateLimit({
+  windowMs: 10 * 60 * 1000,
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+function redirectWithTwoFactorError(req, res, err, fallbackMessage, redirectTo) {
+  if (!err?.status || err.status >= 500) console.error('❌ Business 2FA error:', err);
+  req.flash('error', err?.status ? err.message : fallbackMessage);
+  return res.redirect(redirectTo);
+}
+
+async function loadBusinessWithTwoFactor(id) {
+  return Business.findById(id).select(TWO_FACTOR_SECRET_FIELDS);
+}
+
+// GET /business/2fa/verify — second login step
+router.get('/2fa/verify', (req, res) => {
+  if (!readPendingLogin(req, 'business')) {
+    req.flash('error', 'Please log in first.');
+    return res.redirect('/business/login');
+  }
+
+  return res.render('two-factor/verify', {
+    title: '🔐 Two-Factor Verification',
+    formAction: '/business/2fa/verify',
+    cancelUrl: '/business/login',
+    themeCss: res.locals.themeCss,
+    nonce: res.locals.nonce,
+  });
+});
+
+// POST /business/2fa/verify
+router.post('/2fa/verify', twoFactorVerifyLimiter, async (req, res) => {
+  const pendingId = readPendingLogin(req, 'business');
+
+  if (!pendingId) {
+    req.flash('error', 'Your login step expired. Please log in again.');
+    return res.redirect('/business/login');
+  }
+
+  try {
+    const business = await loadBusinessWithTwoFactor(pendingId);
+
+    if (!business) {
+      clearPendingLogin(req);
+      req.flash('error', '❌ Invalid email or password.');
+      return res.redirect('/business/login');
+    }
+
+    let result;
+    try {
+      result = await auditedTwoFactorStep(
+        req,
+        { kind: 'business', account: business, event: 'verify' },
+        () => verifySecondFactor(business, req.body?.code),
+      );
+    } catch (err) {
+      if (!err?.status || err.status >= 500) throw err;
+      req.flash('error', '❌ Invalid authentication code.');
+      return res.redirect('/business/2fa/verify');
+    }
+
+    clearPendingLogin(req);
+
+    await logTwoFactorEvent(req, {
+      kind: 'business',
+      account: business,
+      event: 'verify',
+      meta: result,
+    });
+
+    if (result.method === 'recovery_code') {
+      req.flash(
+        'warning',
+        `You signed in with a recovery code. ${result.recoveryCodesLeft} left — consider generating new ones.`,
+      );
+    }
+
+    return completeBusinessLogin(req, res, business);
+  } catch (err) {
+    return redirectWithTwoFactorError(
+      req,
+      res,
+      err,
+      'Verification failed. Please try again.',
+      '/business/2fa/verify',
+    );
+  }
+});
+
+// GET /business/2fa — status, enrollment and recovery codes
+router.get('/2fa', requireBusiness, async (req, res) => {
+  try {
+    const business = await loadBusinessWithTwoFactor(req.business._id);
+    const enabled = business.twoFactor?.enabled === true;
+
+    const enrollment = enabled ? null : await enrollmentDetails(business, business.email);
+
+    if (enrollment?.created) {
+      await logTwoFactorEvent(req, { kind: 'business', account: business, event: 'enroll.start' });
+    }
+
+    return res.render('two-factor/settings', {
+      title: '🔐 Two-Factor Authentication',
+      active: 'business-profile',
+      business: req.session.business,
+      basePath: '/business/2fa',
+      backUrl: '/business/profile',
+      required: false,
+      enabled,
+      enabledAt: business.twoFactor?.enabledAt || null,
+      recoveryCodesLeft: (business.twoFactor?.recoveryCodes || []).length,
+      enrollment,
+      themeCss: res.locals.themeCss,
+      nonce: res.locals.nonce,
+    });
+  } catch (err) {
+    return redirectWithTwoFactorError(
+      req,
+      res,
+      err,
+      'Could not load two-factor settings.',
+      '/business/profile',
+    );
+  }
+});
+
+// POST /business/2fa/enable — confirm the first code
+router.post('/2fa/enable', requireBusiness, async (req, res) => {
+  try {
+    const business = await loadBusinessWithTwoFactor(req.business._id);
+
+    const recoveryCodes = await auditedTwoFactorStep(
+      req,
+      { kind: 'business', account: business, event: 'enable' },
+      () => confirmEnrollment(business, req.body?.code),
+    );
+
+    await logTwoFactorEvent(req, { kind: 'business', account: business, event: 'enable' });
+
+    return res.render('two-factor/recovery-codes', {
+      title: '🔐 Recovery Codes',
+      business: req.session.business,
+      recoveryCodes,
+      continueUrl: '/business/2fa',
+      themeCss: res.locals.themeCss,
+      nonce: res.locals.nonce,
+      success: ['Two-factor authentication is now enabled.'],
+    });
+  } catch (err) {
+    return redirectWithTwoFactorError(
+      req,
+      res,
+      err,
+      'Could not enable two-factor authentication.',
+      '/business/2fa',
+    );
+  }
+});
+
+// POST /business/2fa/recovery-codes — replace all recovery codes
+router.post('/2fa/recovery-codes', requireBusiness, async (req, res) => {
+  try {
+    const business = await loadBusinessWithTwoFactor(req.business._id);
+
+    await auditedTwoFactorStep(
+      req,
+      { kind: 'business', account: business, event: 'recovery_codes.regenerate' },
+      () => verifySecondFactor(business, req.body?.code),
+    );
+
+    const recoveryCodes = await regenerateRecoveryCodes(business);
+
+    await logTwoFactorEvent(req, {
+      kind: 'business',
+      account: business,
+      event: 'recovery_codes.regenerate',
+    });
+
+    return res.render('two-factor/recovery-codes', {
+      title: '🔐 Recovery Codes',
+      business: req.session.business,
+      recoveryCodes,
+      continueUrl: '/business/2fa',
+      themeCss: res.locals.themeCss,
+      nonce: res.locals.nonce,
+      success: ['New recovery codes generated. The old ones no longer work.'],
+    });
+  } catch (err) {
+    return redirectWithTwoFactorError(
+      req,
+      res,
+      err,
+      'Could not generate recovery codes.',
+      '/business/2fa',
+    );
+  }
+});
+
+// POST /business/2fa/disable
+router.post('/2fa/disable', requireBusiness, async (req, res) => {
+  try {
+    const business = await loadBusinessWithTwoFactor(req.business._id);
+
+    await auditedTwoFactorStep(
+      req,
+      { kind: 'business', account: business, event: 'disable' },
+      () => verifySecondFactor(business, req.body?.code),
+    );
+
+    await disableTwoFactor(business);
+
+    await logTwoFactorEvent(req, { kind: 'business', account: business, event: 'disable' });
+
+    req.flash('success', 'Two-factor authentication disabled.');
+    return res.redirect('/business/2fa');
+  } catch (err) {
+    return redirectWithTwoFactorError(
+      req,
+      res,
+      err,
+      'Could not disable two-factor authentication.',
+      '/business/2fa',
+    );
+  }
+});
+
 /* ----------------------------------------------------------
  * 🏦 Bank Details (GET)
  * -------------------------------------------------------- */
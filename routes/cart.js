@@ -2,6 +2,14 @@
 'use strict';
 const express = require('express');
 const Product = require('../models/Product');
+const { evaluateCoupon } = require('../utils/coupons/couponService');
+const { normalizeCouponCode } = require('../utils/coupons/couponMath');
+const {
+  hasVariantMatrix,
+  getAvailableStock,
+  getVariantUnitPrice,
+  variantLabel,
+} = require('../utils/inventory/productVariants');
 
 const router = express.Router();
 
@@ -292,16 +300,28 @@ async function findProductByPid(pid) {
   return p || null;
 }
 
-function productUnitPriceNumber(p) {
+function productUnitPriceNumber(p, variants = {}) {
+  // A size/color price override wins over the product price.
+  if (hasVariantMatrix(p)) return getVariantUnitPrice(p, variants);
   if (typeof p.priceCents === 'number') return Number((p.priceCents || 0) / 100);
   return Number(p.price || 0);
 }
 
-function normalizeCartItem(p, qty, variants = {}) {
-  const unitPriceExVat = round2(productUnitPriceNumber(p));
+// Per-variant stock for matrix products, Product.stock otherwise.
+function stockLimitMessage(product, variants, available) {
+  if (!hasVariantMatrix(product)) return `Only ${available} item(s) available in stock.`;
+
+  const label = variantLabel(normVariants(variants));
+  return available > 0
+    ? `Only ${available} item(s) available in ${label}.`
+    : `${label} is sold out.`;
+}
 
+function normalizeCartItem(p, qty, variants = {}) {
   const cleanVariants = normVariants(variants);
 
+  const unitPriceExVat = round2(productUnitPriceNumber(p, cleanVariants));
+
   const selectedColor = String(cleanVariants.color || '').trim();
 
   return {
@@ -399,13 +419,98 @@ function round2(n) {
   return Math.round(amount * 100) / 100;
 }
 
+/* ------------------------------------------------------------------
+ * Coupons
+ *
+ * Only the code lives in the session. The discount is worked out
+ * again on every read because cart contents, limits and validity
+ * windows can change. POST /payment/create-order re-validates it.
+ * ------------------------------------------------------------------ */
+function couponBuyerFromReq(req) {
+  return {
+    userId: req.user?._id || req.session?.user?._id || req.session?.userId || null,
+    businessBuyer: req.session?.business?._id || req.session?.businessId || null,
+  };
+}
+
+async function cartCouponSummary(req, cart) {
+  const code = normalizeCouponCode(cart?.couponCode);
+  if (!code) return null;
+
+  const result = await evaluateCoupon({
+    code,
+    items: cart.items,
+    buyer: couponBuyerFromReq(req),
+  });
+
+  return {
+    code,
+    valid: result.ok,
+    message: result.ok ? '' : result.message,
+    fundedBy: result.coupon?.fundedBy || null,
+    discount: round2((result.discountCents || 0) / 100),
+  };
+}
+
 /* ------------------------------------------------------------------
  * GET /api/cart
- * -> { items: [...] }
+ * -> { items: [...], coupon: { code, valid, message, discount } | null }
  * ------------------------------------------------------------------ */
-router.get('/', (req, res) => {
+router.get('/', async (req, res) => {
   const cart = ensureCart(req);
-  return res.json({ items: cart.items || [] });
+
+  let coupon = null;
+  try {
+    coupon = await cartCouponSummary(req, cart);
+  } catch (err) {
+    console.error('❌ GET /api/cart coupon error:', err);
+  }
+
+  return res.json({ items: cart.items || [], coupon });
+});
+
+/* ------------------------------------------------------------------
+ * POST /api/cart/coupon  { code }
+ * -> { ok, coupon }
+ * ------------------------------------------------------------------ */
+router.post('/coupon', express.json(), async (req, res) => {
+  try {
+    const cart = ensureCart(req);
+    const code = normalizeCouponCode(req.body?.code);
+
+    if (!cart.items.length) {
+      return res.status(422).json({ ok: false, code: 'CART_EMPTY', message: 'Your cart is empty.' });
+    }
+
+    const result = await evaluateCoupon({
+      code,
+      items: cart.items,
+      buyer: couponBuyerFromReq(req),
+    });
+
+    if (!result.ok) {
+      return res.status(422).json({ ok: false, code: result.code, message: result.message });
+    }
+
+    cart.couponCode = code;
+    req.session.cart = cart;
+
+    return res.json({ ok: true, coupon: await cartCouponSummary(req, cart) });
+  } catch (err) {
+    console.error('❌ POST /api/cart/coupon error:', err);
+    return res.status(500).json({ ok: false, message: 'Failed to apply coupon.' });
+  }
+});
+
+/* ------------------------------------------------------------------
+ * DELETE /api/cart/coupon
+ * ------------------------------------------------------------------ */
+router.delete('/coupon', (req, res) => {
+  const cart = ensureCart(req);
+  delete cart.couponCode;
+  req.session.cart = cart;
+
+  return res.json({ ok: true, coupon: null });
 });
 
 /* ------------------------------------------------------------------
@@ -476,6 +581,8 @@ router.get('/add', async (req, res) => {
       return res.redirect(back);
     }
 
+    const available = getAvailableStock(product, variantData);
+
     const cart = ensureCart(req);
 
     // Safety cleanup: if cart already has a second-hand lock, remove conflicting business items
@@ -546,8 +653,8 @@ router.get('/add', async (req, res) => {
       const currentQty = Number(cart.items[idx].quantity || 1);
       const nextQty = currentQty + qty;
 
-      if (typeof product.stock === 'number' && product.stock >= 0 && nextQty > product.stock) {
-        const msg = `Only ${product.stock} item(s) available in stock.`;
+      if (nextQty > available) {
+        const msg = stockLimitMessage(product, variantData, available);
 
         if (wantsJson(req)) return res.status(400).json({ success: false, message: msg });
         if (typeof req.flash === 'function') req.flash('error', msg);
@@ -557,8 +664,8 @@ router.get('/add', async (req, res) => {
 
       cart.items[idx].quantity = nextQty;
     } else {
-      if (typeof product.stock === 'number' && product.stock >= 0 && qty > product.stock) {
-        const msg = `Only ${product.stock} item(s) available in stock.`;
+      if (qty > available) {
+        const msg = stockLimitMessage(product, variantData, available);
 
         if (wantsJson(req)) return res.status(400).json({ success: false, message: msg });
         if (typeof req.flash === 'function') req.flash('error', msg);
@@ -719,6 +826,7 @@ router.post('/increase', express.json(), async (req, res) => {
       });
     }
 
+    const available = getAvailableStock(product, variants);
     const cart = ensureCart(req);
 
     // Safety cleanup: if cart already has a second-hand lock, remove conflicting business items
@@ -769,10 +877,10 @@ router.post('/increase', express.json(), async (req, res) => {
       const currentQty = Number(cart.items[idx].quantity || 1);
       const nextQty = currentQty + 1;
 
-      if (typeof product.stock === 'number' && product.stock >= 0 && nextQty > product.stock) {
+      if (nextQty > available) {
         return res.status(400).json({
           success: false,
-          message: `Only ${product.stock} item(s) available in stock.`,
+          message: stockLimitMessage(product, variants, available),
           items: cart.items,
         });
       }
@@ -796,10 +904,10 @@ router.post('/increase', express.json(), async (req, res) => {
         });
       }
 
-      if (typeof product.stock === 'number' && product.stock < 1) {
+      if (available < 1) {
         return res.status(400).json({
           success: false,
-          message: `Only ${product.stock} item(s) available in stock.`,
+          message: stockLimitMessage(product, variants, available),
           items: cart.items,
         });
       }
@@ -998,11 +1106,12 @@ router.patch('/item/:id', express.json(), async (req, res) => {
       }
 
       const nextQty = Math.max(1, Math.floor(quantity));
+      const available = getAvailableStock(product, variants);
 
-      if (typeof product.stock === 'number' && product.stock >= 0 && nextQty > product.stock) {
+      if (nextQty > available) {
         return res.status(400).json({
           success: false,
-          message: `Only ${product.stock} item(s) available in stock.`,
+          message: stockLimitMessage(product, variants, available),
           items: cart.items,
         });
       }
@@ -1016,10 +1125,13 @@ router.patch('/item/:id', express.json(), async (req, res) => {
         return res.status(404).json({ message: 'Item not found.', items: cart.items });
       }
 
-      if (typeof product.stock === 'number' && product.stock >= 0 && nextQty > product.stock) {
+      const lineVariants = cart.items[idx].variants || {};
+      const available = getAvailableStock(product, lineVariants);
+
+      if (nextQty > available) {
         return res.status(400).json({
           success: false,
-          message: `Only ${product.stock} item(s) available in stock.`,
+          message: stockLimitMessage(product, lineVariants, available),
           items: cart.items,
         });
       }
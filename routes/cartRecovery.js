@@ -0,0 +1,77 @@
+// routes/cartRecovery.js
+'use strict';
+
+const express = require('express');
+
+const {
+  restoreSavedCart,
+  unsubscribeCartReminders,
+} = require('../utils/cartRecovery/savedCartService');
+
+const router = express.Router();
+
+const RESTORE_ERRORS = {
+  NOT_FOUND: 'This cart link is no longer valid.',
+  CLEARED: 'That cart was emptied, so there is nothing to restore.',
+  ALREADY_ORDERED: 'You already checked out this cart. Thank you for your order!',
+};
+
+function themeCssFromSession(req) {
+  const theme = req.session?.theme || 'light';
+  return theme === 'dark' ? '/css/dark.css' : '/css/light.css';
+}
+
+/*
+ * GET /cart-recovery/restore/:token — "Return to my cart" in reminder
+ * emails. Works on any device, signed in or not.
+ */
+router.get('/restore/:token', async (req, res) => {
+  try {
+    const result = await restoreSavedCart(req, req.params.token);
+
+    if (!result.ok) {
+      if (typeof req.flash === 'function') req.flash('error', RESTORE_ERRORS[result.code]);
+      return res.redirect('/store');
+    }
+
+    if (typeof req.flash === 'function') req.flash('success', 'Your saved cart is back.');
+    return res.redirect(result.redirectTo);
+  } catch (err) {
+    console.error('❌ cart restore error:', err);
+    if (typeof req.flash === 'function') req.flash('error', 'Could not restore your cart.');
+    return res.redirect('/store');
+  }
+});
+
+/*
+ * GET /cart-recovery/unsubscribe/:token — footer link of reminder
+ * emails. Turns marketing emails off straight away.
+ */
+router.get('/unsubscribe/:token', async (req, res) => {
+  try {
+    const cart = await unsubscribeCartReminders(req.params.token);
+
+    return res.status(cart ? 200 : 404).render('cart-recovery/unsubscribe', {
+      title: 'Marketing emails',
+      themeCss: themeCssFromSession(req),
+      nonce: res.locals.nonce,
+      found: Boolean(cart),
+    });
+  } catch (err) {
+    console.error('❌ cart reminder unsubscribe error:', err);
+    return res.status(500).send('Could not update your email preferences. Please try again later.');
+  }
+});
+
+// RFC 8058 one-click unsubscribe, posted by mail clients.
+router.post('/unsubscribe/:token', async (req, res) => {
+  try {
+    const cart = await unsubscribeCartReminders(req.params.token);
+    return res.status(cart ? 200 : 404).send(cart ? 'Unsubscribed.' : 'Not found.');
+  } catch (err) {
+    console.error('❌ cart reminder one-click unsubscribe error:', err);
+    return res.status(500).send('Error.');
+  }
+});
+
+module.exports = router;
@@ -8,6 +8,14 @@ const mongoose = require('mongoose');
 const CjOrder = require('../models/CjOrder');
 
 const { sendCjOrderEventEmailsSafely } = require('../utils/cj/cjOrderEmailService');
+const { recordCartCheckout } = require('../utils/cartRecovery/savedCartService');
+
+const {
+  ensureInvoiceSafely,
+  findCreditNoteForOrder,
+  listCreditNotesForOrder,
+  sendTaxDocumentPdf,
+} = require('../utils/invoices/taxDocumentService');
 
 const { convertMoneyAmount, FX_PROVIDER } = require('../utils/fx/getFxRate');
 
@@ -931,6 +939,8 @@ async function finalizeCompletedCjPayment({ req, order, paypalResponse, capture
 
   await order.save();
 
+  await ensureInvoiceSafely(order);
+
   /*
    * Send the CJ order confirmation only after the completed
    * PayPal capture and paid CjOrder have been committed.
@@ -949,6 +959,14 @@ async function finalizeCompletedCjPayment({ req, order, paypalResponse, capture
     source: 'cj-payment-direct-capture',
   });
 
+  // Close the saved cart cycle (recovered when a reminder brought the buyer back)
+  await recordCartCheckout(req, {
+    department: 'cj',
+    orderId: order.cjOrderNumber,
+    amount: order.payableTotal?.value,
+    currency: order.payableTotal?.currency,
+  });
+
   req.session.cjCart = {
     source: 'CJ',
     items: [],
@@ -1448,6 +1466,8 @@ router.get('/cj/order/success/:cjOrderNumber', async (req, res) => {
       productSource: 'CJ',
       order,
       baseCurrency: order.currency || BASE_CURRENCY,
+      invoiceUrl: `/cj/order/${encodeURIComponent(order.cjOrderNumber)}/invoice.pdf`,
+      creditNotes: await listCreditNotesForOrder(order),
     });
   } catch (error) {
     console.error('[CJ payment] Success page failed:', error?.stack || error);
@@ -1458,6 +1478,64 @@ router.get('/cj/order/success/:cjOrderNumber', async (req, res) => {
   }
 });
 
+/*
+ * Paid CJ orders (including refunded ones) owned by the current session,
+ * for invoice and credit note downloads.
+ */
+async function findCjOrderForDocuments(req) {
+  const cjOrderNumber = safeString(req.params?.cjOrderNumber, 100);
+  const ownershipFilters = buildCjOrderOwnershipFilters(req, cjOrderNumber);
+
+  if (!cjOrderNumber || !ownershipFilters.length) return null;
+
+  return CjOrder.findOne({
+    cjOrderNumber,
+    department: 'CJ',
+    paymentStatus: { $in: ['COMPLETED', 'REFUNDED', 'PARTIALLY_REFUNDED'] },
+    $or: ownershipFilters,
+  });
+}
+
+/*
+ * GET /cj/order/:cjOrderNumber/invoice.pdf
+ */
+router.get('/cj/order/:cjOrderNumber/invoice.pdf', async (req, res) => {
+  try {
+    const order = await findCjOrderForDocuments(req);
+    const invoice = order ? await ensureInvoiceSafely(order) : null;
+
+    if (!invoice) {
+      return res.status(404).send('Invoice not found.');
+    }
+
+    return sendTaxDocumentPdf(res, invoice);
+  } catch (error) {
+    console.error('[CJ payment] Invoice download failed:', error?.stack || error);
+
+    return res.status(500).send('The invoice could not be generated.');
+  }
+});
+
+/*
+ * GET /cj/order/:cjOrderNumber/credit-notes/:number.pdf
+ */
+router.get('/cj/order/:cjOrderNumber/credit-notes/:number.pdf', async (req, res) => {
+  try {
+    const order = await findCjOrderForDocuments(req);
+    const creditNote = order ? await findCreditNoteForOrder(order, req.params.number) : null;
+
+    if (!creditNote) {
+      return res.status(404).send('Credit note not found.');
+    }
+
+    return sendTaxDocumentPdf(res, creditNote);
+  } catch (error) {
+    console.error('[CJ payment] Credit note download failed:', error?.stack || error);
+
+    return res.status(500).send('The credit note could not be generated.');
+  }
+});
+
 /*
  * GET /api/cj-payment/status/:cjOrderNumber
  *
@@ -9,6 +9,14 @@ const { verifyCjPaypalWebhook } = require('../utils/cj/verifyCjPaypalWebhook');
 
 const { sendCjOrderEventEmailsSafely } = require('../utils/cj/cjOrderEmailService');
 
+const {
+  ensureInvoiceSafely,
+  issueCreditNotesSafely,
+} = require('../utils/invoices/taxDocumentService');
+
+const { isDisputeEventType } = require('../utils/disputes/disputeRules');
+const { ingestDisputeEvent } = require('../utils/disputes/disputeService');
+
 const router = express.Router();
 
 function safeString(value, max = 2000) {
@@ -117,6 +125,29 @@ router.post('/paypal', async (req, res) => {
 
   const eventType = safeString(event?.event_type, 200).toUpperCase();
 
+  /*
+   * Disputes are stored against whichever order (CJ or Internal) the
+   * disputed capture paid for, so both webhooks share one handler.
+   */
+  if (isDisputeEventType(eventType)) {
+    try {
+      const out = await ingestDisputeEvent(event);
+
+      return res.status(200).json({
+        received: true,
+        eventType,
+        disputeId: out.dispute?.disputeId || null,
+        outcome: out.dispute?.outcome || null,
+      });
+    } catch (error) {
+      console.error('[CJ PayPal webhook] Dispute processing failed:', error?.stack || error);
+
+      return res.status(500).json({
+        received: false,
+      });
+    }
+  }
+
   const supportedEvents = new Set([
     'PAYMENT.CAPTURE.PENDING',
     'PAYMENT.CAPTURE.COMPLETED',
@@ -193,7 +224,13 @@ router.post('/paypal', async (req, res) => {
       });
     }
 
-    if (incomingCaptureId) {
+    /*
+     * For PAYMENT.CAPTURE.REFUNDED the resource is the refund itself,
+     * so its id is the refund id and must not replace the capture id.
+     */
+    const isRefundEvent = eventType === 'PAYMENT.CAPTURE.REFUNDED';
+
+    if (incomingCaptureId && !isRefundEvent) {
       order.paypal.captureId = incomingCaptureId;
     }
 
@@ -247,6 +284,24 @@ router.post('/paypal', async (req, res) => {
       order.supplierOrder.createStatus = 'NOT_CREATED';
       order.lastPaymentErrorCode = 'PAYPAL_CAPTURE_REFUNDED';
       order.lastPaymentErrorMessage = 'PayPal reported that the CJ payment capture was refunded.';
+
+      const alreadyRecorded = (order.refunds || []).some(
+        (refund) => refund.refundId === incomingCaptureId,
+      );
+
+      if (incomingCaptureId && !alreadyRecorded) {
+        order.refunds.push({
+          refundId: incomingCaptureId,
+          captureId: safeString(order.paypal?.captureId, 200),
+          status: incomingStatus,
+          amount: {
+            value: incomingAmount.toFixed(2),
+            currency: incomingCurrency || expectedCurrency,
+          },
+          reason: safeString(resource?.note_to_payer, 500),
+          source: 'cj-paypal-webhook',
+        });
+      }
     }
 
     if (eventType === 'CHECKOUT.ORDER.CANCELLED') {
@@ -271,6 +326,8 @@ router.post('/paypal', async (req, res) => {
     await order.save();
 
     if (eventType === 'PAYMENT.CAPTURE.COMPLETED') {
+      await ensureInvoiceSafely(order);
+
       await sendCjOrderEventEmailsSafely(order, 'PAYMENT_COMPLETED', {
         source: 'cj-paypal-webhook',
       });
@@ -280,6 +337,10 @@ router.post('/paypal', async (req, res) => {
       });
     }
 
+    if (isRefundEvent) {
+      await issueCreditNotesSafely(order);
+    }
+
     if (orderWasCancelled) {
       await sendCjOrderEventEmailsSafely(order, 'CANCELLED', {
         source: 'cj-paypal-webhook',
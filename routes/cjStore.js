@@ -8,6 +8,7 @@ const CjRating = require('../models/CjRating');
 const ShopHeaderImage = require('../models/ShopHeaderImage');
 
 const { ensureCjCart, publicCjCart } = require('../utils/cj/cjCart');
+const { takeCartNotices } = require('../utils/cartRecovery/savedCartService');
 
 const router = express.Router();
 
@@ -515,6 +516,9 @@ router.get('/cj/cart', async (req, res) => {
       cart,
       cartItems: cart.items,
 
+      // Price/stock changes found when a saved cart was merged or pulled in
+      cartNotices: takeCartNotices(req, 'cj'),
+
       itemCount: cart.itemCount,
 
       /*
@@ -3,6 +3,7 @@
 
 const express = require('express');
 const { sendMail } = require('../utils/mailer');
+const { createTicket } = require('../utils/support/ticketService');
 const router = express.Router();
 
 function dashboardPathFor(b) {
@@ -41,14 +42,60 @@ router.get('/', (req, res) => {
   return res.redirect(302, `/store/contact${qs}`);
 });
 
-// POST /contact -> process store contact form
-router.post('/', (req, res) => {
+function requesterFromSession(req) {
+  if (req.session?.user?._id) {
+    return { type: 'user', userId: req.session.user._id };
+  }
+  if (req.session?.business?._id) {
+    return { type: 'business', businessId: req.session.business._id };
+  }
+  return { type: 'guest' };
+}
+
+// Used only when the ticket cannot be saved, so the message is never lost.
+function mailSupportInboxFallback({ name, email, phone, businessRole, subject, message }) {
+  const supportTo = process.env.SUPPORT_INBOX || process.env.SMTP_FROM;
+
+  const text = [
+    `Subject: ${subject}`,
+    `Name: ${name}`,
+    `Email: ${email}`,
+    `Phone: ${phone}`,
+    `Business Role: ${businessRole}`,
+    '',
+    'Message:',
+    message,
+  ].join('\n');
+
+  const html =
+    `<p><strong>Subject:</strong> ${escHtml(subject)}</p>` +
+    `<p><strong>Name:</strong> ${escHtml(name)}</p>` +
+    `<p><strong>Email:</strong> ${escHtml(email)}</p>` +
+    `<p><strong>Phone:</strong> ${escHtml(phone)}</p>` +
+    `<p><strong>Business Role:</strong> ${escHtml(businessRole)}</p>` +
+    `<p><strong>Message:</strong><br>${escHtml(message).replace(/\n/g, '<br>')}</p>`;
+
+  return sendMail({
+    to: supportTo,
+    subject: `Store contact: ${subject}`,
+    text,
+    html,
+    replyTo: `${name} <${email}>`,
+    headers: {
+      'List-Unsubscribe': `<mailto:${supportTo}?subject=unsubscribe>`,
+    },
+  });
+}
+
+// POST /contact -> process store contact form (opens a support ticket)
+router.post('/', async (req, res) => {
   const name = safe(req.body.name);
   const email = safe(req.body.email);
   const phone = safe(req.body.phone);
   const businessRole = safe(req.body.businessRole);
   const subject = safe(req.body.subject);
   const message = safe(req.body.message);
+  const orderRef = safe(req.body.orderRef);
   const hp = safe(req.body.hp_field);
 
   const next = dashboardPathFor(req.session?.business);
@@ -67,66 +114,31 @@ router.post('/', (req, res) => {
     );
   }
 
-  const supportTo = process.env.SUPPORT_INBOX || process.env.SMTP_FROM;
-  const mailSubject = `Store contact: ${subject}`;
-
-  const text = [
-    `Subject: ${subject}`,
-    `Name: ${name}`,
-    `Email: ${email}`,
-    `Phone: ${phone}`,
-    `Business Role: ${businessRole}`,
-    '',
-    'Message:',
-    message,
-  ].join('\n');
-
-  const html =
-    `<p><strong>Subject:</strong> ${escHtml(subject)}</p>` +
-    `<p><strong>Name:</strong> ${escHtml(name)}</p>` +
-    `<p><strong>Email:</strong> ${escHtml(email)}</p>` +
-    `<p><strong>Phone:</strong> ${escHtml(phone)}</p>` +
-    `<p><strong>Business Role:</strong> ${escHtml(businessRole)}</p>` +
-    `<p><strong>Message:</strong><br>${escHtml(message).replace(/\n/g, '<br>')}</p>`;
+  try {
+    const ticket = await createTicket({
+      requester: { ...requesterFromSession(req), name, email, phone, businessRole },
+      subject,
+      message,
+      orderRef,
+      source: 'contact_form',
+    });
+
+    req.flash(
+      'success',
+      `✅ Your message was sent successfully. Your ticket number is ${ticket.ticketNumber}.`,
+    );
+  } catch (err) {
+    console.error('[contact] ticket create error:', err);
 
-  Promise.allSettled([
-    sendMail({
-      to: supportTo,
-      subject: mailSubject,
-      text,
-      html,
-      replyTo: `${name} <${email}>`,
-      headers: {
-        'List-Unsubscribe': `<mailto:${supportTo}?subject=unsubscribe>`,
+    mailSupportInboxFallback({ name, email, phone, businessRole, subject, message }).catch(
+      (mailErr) => {
+        console.error('[contact] background mail error:', mailErr);
       },
-    }),
-    ...(process.env.MAIL_ACK === '1' && email
-      ? [
-          sendMail({
-            to: email,
-            subject: 'We received your message (Kasyora Support)',
-            text:
-              `Hi ${name},\n\n` +
-              `Thanks for contacting Kasyora Support. Your message has been received.\n` +
-              `We’ll get back to you shortly.\n\n` +
-              `Subject: ${subject}\n` +
-              `Business Role: ${businessRole}\n\n` +
-              `— Kasyora Support`,
-            html:
-              `<p>Hi ${escHtml(name)},</p>` +
-              `<p>Thanks for contacting <strong>Kasyora Support</strong>. Your message has been received. We’ll get back to you shortly.</p>` +
-              `<p><strong>Subject:</strong> ${escHtml(subject)}<br>` +
-              `<strong>Business Role:</strong> ${escHtml(businessRole)}</p>` +
-              `<p>— Kasyora Support</p>`,
-            replyTo: process.env.SUPPORT_INBOX || undefined,
-          }),
-        ]
-      : []),
-  ]).catch((err) => {
-    console.error('[contact] background mail error:', err);
-  });
+    );
+
+    req.flash('success', '✅ Your message was sent successfully.');
+  }
 
-  req.flash('success', '✅ Your message was sent successfully.');
   return res.redirect(303, `/store/contact?sent=1${nextQs}#storeContactSection`);
 });
 
@@ -5,6 +5,12 @@ const router = express.Router();
 const requireBusiness = require('../middleware/requireBusiness');
 const requireVerifiedBusiness = require('../middleware/requireVerifiedBusiness');
 const DemandedProduct = require('../models/DemandedProduct');
+const { queueDemandRematch } = require('../utils/matching/autoMatch');
+const {
+  autoMatchExpiry,
+  autoMatchExpiresAt,
+  isAutoMatchOpen,
+} = require('../utils/matching/autoMatchPolicy');
 
 /**
  * Mounted at /demands:
@@ -12,6 +18,7 @@ const DemandedProduct = require('../models/DemandedProduct');
  *   GET  /demands/add        -> render add form
  *   POST /demands/add        -> create demand
  *   GET  /demands/mine       -> list current business's demands
+ *   POST /demands/:id/auto-match -> opt in/out of automatic re-matching
  *   GET  /demands/aggregate  -> aggregated view
  */
 
@@ -52,7 +59,7 @@ router.post('/add', requireBusiness, requireVerifiedBusiness, async (req, res) =
       return res.redirect('/demands/add');
     }
 
-    await DemandedProduct.create({
+    const demand = await DemandedProduct.create({
       business: b._id,
       requester: {
         businessName: String(requesterBusinessName).trim(),
@@ -67,8 +74,11 @@ router.post('/add', requireBusiness, requireVerifiedBusiness, async (req, res) =
       city: String(city || '').trim(),
       town: String(town || '').trim(),
       notes: (notes || '').trim(),
+      autoMatch: req.body.autoMatch === '1',
     });
 
+    queueDemandRematch('DemandedProduct', demand._id);
+
     req.flash('success', '✅ Demand submitted.');
     res.redirect('/demands/mine');
   } catch (err) {
@@ -89,6 +99,8 @@ router.get('/mine', requireBusiness, requireVerifiedBusiness, async (req, res) =
       title: 'My Demands',
       business,
       demands,
+      autoMatchExpiresAt,
+      isAutoMatchOpen,
       success: req.flash('success'),
       error: req.flash('error'),
       themeCss: res.locals.themeCss,
@@ -101,6 +113,43 @@ router.get('/mine', requireBusiness, requireVerifiedBusiness, async (req, res) =
   }
 });
 
+// Turning auto-matching back on starts a fresh window.
+router.post('/:id/auto-match', requireBusiness, requireVerifiedBusiness, async (req, res) => {
+  try {
+    const business = req.session.business;
+    const enabled = req.body.enabled === '1';
+
+    const update = enabled
+      ? { autoMatch: true, autoMatchExpiresAt: autoMatchExpiry() }
+      : { autoMatch: false };
+
+    const demand = await DemandedProduct.findOneAndUpdate(
+      { _id: req.params.id, business: business._id },
+      { $set: update },
+      { new: true },
+    ).lean();
+
+    if (!demand) {
+      req.flash('error', 'Demand not found.');
+      return res.redirect('/demands/mine');
+    }
+
+    if (enabled) queueDemandRematch('DemandedProduct', demand._id);
+
+    req.flash(
+      'success',
+      enabled
+        ? `Automatic matching is on until ${demand.autoMatchExpiresAt.toLocaleDateString()}.`
+        : 'Automatic matching is off for this demand.',
+    );
+    res.redirect('/demands/mine');
+  } catch (err) {
+    console.error('❌ Auto-match toggle error:', err);
+    req.flash('error', 'Failed to update automatic matching.');
+    res.redirect('/demands/mine');
+  }
+});
+
 router.get('/aggregate', requireBusiness, async (req, res) => {
   try {
     // ----- base data: all demands (lean for speed)
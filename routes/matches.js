@@ -6,13 +6,35 @@ const router = express.Router();
 const MatchedDemand = require('../models/MatchedDemand');
 const Demand = require('../models/Demand');
 const DemandedProduct = require('../models/DemandedProduct'); // fallback model
-const Product = require('../models/Product');
-const Notification = require('../models/Notification');
+const { runDemandMatching } = require('../utils/matching/runDemandMatching');
+const { notifySafely } = require('../utils/notify');
+const {
+  SHIPPING_TERMS,
+  latestOffer,
+  isOfferExpired,
+  allowedQuoteActions,
+} = require('../utils/matching/quoteNegotiation');
+const {
+  loadMatchForBusiness,
+  quoteableSupplierProducts,
+  submitQuoteAction,
+} = require('../utils/matching/quoteService');
 
 const requireBusiness = require('../middleware/requireBusiness');
 const requireRole = require('../middleware/requireRole');
 const { sendMail } = require('../utils/mailer');
 
+const BASE_CURRENCY =
+  String(process.env.BASE_CURRENCY || '')
+    .trim()
+    .toUpperCase() || 'USD';
+
+const QUOTE_VALIDITY_DAYS = 14;
+
+function matchListUrl(business) {
+  return business?.role === 'supplier' ? '/matches/supplier' : '/matches/buyer';
+}
+
 // Convert a plain text string into a minimal HTML (line breaks -> <br>)
 function textToHtml(s = '') {
   return `<p>${String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\n/g, '<br>')}</p>`;
@@ -50,9 +72,9 @@ router.use((req, _res, next) => {
 router.get('/_ping', (_req, res) => res.send('matches: ok'));
 
 /* ---------------------------------------------
- * Core: TYPE-ONLY matching
+ * Core: weighted matching (see utils/matching/matchScoring.js)
  * ------------------------------------------- */
-async function runMatchingTypeOnly(req, res) {
+async function runMatching(req, res) {
   try {
     const buyer = req.session.business;
     if (!buyer) {
@@ -102,70 +124,21 @@ async function runMatchingTypeOnly(req, res) {
       return res.redirect('/demands/my-demands');
     }
 
-    // Type-only
     const dTypeRaw = String(demand.productType || demand.type || '').trim();
     if (!dTypeRaw) {
       req.flash('error', "This demand has no 'type'. Set a type first to find matches.");
       return res.redirect('/demands/my-demands');
     }
 
-    // Case-insensitive EXACT match on Product.type
-    const esc = dTypeRaw.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const products = await Product.find({
-      type: { $regex: new RegExp('^' + esc + '$', 'i') },
-    })
-      .limit(1000)
-      .lean();
+    const { created, updated } = await runDemandMatching(demand, { buyerId: buyer._id });
 
-    let created = 0,
-      updated = 0;
-
-    for (const p of products) {
-      const supplierId = p.business || p.businessId; // tolerate both field names
-      if (!supplierId) {
-        continue;
-      }
-
-      const snapshot = {
-        demandTitle: demand.title || demand.productName || demand.type || dTypeRaw,
-        demandQuantity: demand.quantity,
-        demandLocation:
-          demand.location ||
-          [demand.country, demand.province, demand.city, demand.town].filter(Boolean).join(', '),
-        productName: p.name,
-        productType: p.type,
-        productPrice: p.price,
-        productLocation:
-          p.location || [p.country, p.province, p.city, p.town].filter(Boolean).join(', '),
-      };
-
-      const updateDoc = {
-        demandId: demand._id,
-        buyerId: buyer._id,
-        supplierId,
-        productId: p._id,
-        score: 100, // strict type-only
-        snapshot,
-      };
-
-      const resUpsert = await MatchedDemand.updateOne(
-        { demandId: demand._id, productId: p._id },
-        { $set: updateDoc, $setOnInsert: { status: 'pending' } },
-        { upsert: true },
-      );
-
-      // count inserts reliably across Mongoose versions
-      if (resUpsert.upsertedId || resUpsert.upsertedCount > 0) {
-        created++;
-      } else {
-        updated++;
-      }
-    }
-
-    req.flash('success', `Matched by type "${dTypeRaw}" — ${created} new, ${updated} updated.`);
+    req.flash(
+      'success',
+      `Scored matches for "${dTypeRaw}" — ${created} new, ${updated} updated. Best matches are listed first.`,
+    );
     return res.redirect(`/matches/buyer?demand=${demand._id}`);
   } catch (err) {
-    console.error('[matches.run type-only] error:', err);
+    console.error('[matches.run] error:', err);
     req.flash('error', 'Failed to run matching.');
     return res.redirect('/demands/my-demands');
   }
@@ -175,9 +148,9 @@ async function runMatchingTypeOnly(req, res) {
 router.get('/run/:demandId', requireBusiness, requireRole('buyer'), (req, res, next) => {
   console.log('role=', req.session?.business?.role || req.session?.business?.type);
   console.log('session id=', req.session.id);
-  return runMatchingTypeOnly(req, res, next);
+  return runMatching(req, res, next);
 });
-router.post('/run/:demandId', requireBusiness, requireRole('buyer'), runMatchingTypeOnly);
+router.post('/run/:demandId', requireBusiness, requireRole('buyer'), runMatching);
 
 /* ---------------------------------------------
  * Buyer view: matched products (with optional demand filter)
@@ -322,9 +295,11 @@ router.post('/:matchId/respond', requireBusiness, requireRole('supplier'), async
     const productName = match.snapshot?.productName || match.productId?.name || 'Product';
 
     // ✅ use _id if populated, or the raw ObjectId if not
-    await Notification.create({
-      buyerId: match.buyerId?._id || match.buyerId,
-      type: `match.${action}`, // enum: match.accepted | match.rejected | match.pending
+    await notifySafely({
+      recipientType: 'business',
+      recipientId: match.buyerId?._id || match.buyerId,
+      type: `match.${action}`, // match.accepted | match.rejected | match.pending
+      link: '/matches/buyer',
       matchId: match._id,
       demandId: match.demandId?._id || match.demandId,
       productId: match.productId?._id || match.productId,
@@ -371,6 +346,87 @@ Message: ${match.supplierMessage || '—'}`,
   }
 });
 
+/* ---------------------------------------------
+ * RFQ: supplier quotes, buyer counters or accepts.
+ * Both sides share one page; the side is decided
+ * by which business owns which end of the match.
+ * ------------------------------------------- */
+router.get('/:matchId/quote', requireBusiness, async (req, res) => {
+  try {
+    const business = req.session.business;
+    const loaded = await loadMatchForBusiness(req.params.matchId, business._id, { lean: true });
+
+    if (!loaded) {
+      req.flash('error', 'Match not found.');
+      return res.redirect(matchListUrl(business));
+    }
+
+    const { side } = loaded;
+    const match = await MatchedDemand.findById(loaded.match._id)
+      .populate('demandId')
+      .populate('productId')
+      .populate('buyerId', 'name email')
+      .populate('supplierId', 'name email')
+      .populate('quotes.supplierProduct', 'name unit')
+      .lean();
+
+    const offer = latestOffer(match);
+    const defaultValidUntil = new Date(Date.now() + QUOTE_VALIDITY_DAYS * 24 * 60 * 60 * 1000)
+      .toISOString()
+      .slice(0, 10);
+
+    res.render('matches/quote', {
+      title: 'Quote',
+      active: side === 'supplier' ? 'matches-supplier' : 'matches-buyer',
+      themeCss: res.locals.themeCss,
+      nonce: res.locals.nonce,
+      business,
+      match,
+      side,
+      offer,
+      offerExpired: offer ? isOfferExpired(offer) : false,
+      allowedActions: allowedQuoteActions(match, side),
+      supplierProducts: side === 'supplier' ? await quoteableSupplierProducts(business._id) : [],
+      shippingTerms: SHIPPING_TERMS,
+      defaultValidUntil,
+      baseCurrency: BASE_CURRENCY,
+      success: req.flash('success'),
+      error: req.flash('error'),
+    });
+  } catch (err) {
+    console.error('[matches.quote]', err);
+    req.flash('error', 'Could not load the quote.');
+    return res.redirect(matchListUrl(req.session.business));
+  }
+});
+
+const QUOTE_SUCCESS = {
+  quote: 'Quote sent to the buyer.',
+  counter: 'Counter-offer sent to the supplier.',
+  accept: 'Quote accepted. An approved supply request was created at the agreed price.',
+  decline: 'Quote declined.',
+};
+
+router.post('/:matchId/quote/:action', requireBusiness, async (req, res) => {
+  const backUrl = `/matches/${encodeURIComponent(req.params.matchId)}/quote`;
+
+  try {
+    const { revision } = await submitQuoteAction({
+      matchId: req.params.matchId,
+      business: req.session.business,
+      action: req.params.action,
+      body: req.body,
+    });
+
+    req.flash('success', QUOTE_SUCCESS[revision.action]);
+    return res.redirect(backUrl);
+  } catch (err) {
+    if (!err?.status || err.status >= 500) console.error('[matches.quote.action]', err);
+    req.flash('error', err?.status ? err.message : 'Failed to update the quote.');
+    return res.redirect(err?.status === 404 ? matchListUrl(req.session.business) : backUrl);
+  }
+});
+
 /* ---------------------------------------------
  * Buyer summary (JSON) — totals + per-demand
  * ------------------------------------------- */
@@ -0,0 +1,303 @@
+// routes/messages.js
+'use strict';
+
+const express = require('express');
+const mongoose = require('mongoose');
+
+const MessageThread = require('../models/MessageThread');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const requireAnySession = require('../middleware/requireAnySession');
+const {
+  partyForActor,
+  threadUrl,
+  addThreadMessage,
+  openOrderThread,
+  openProductThread,
+  markThreadRead,
+  threadFiltersForActor,
+  unreadMessageCount,
+} = require('../utils/messages/threadService');
+const {
+  MAX_ATTACHMENTS,
+  acceptAttachments,
+  attachmentDownloadUrl,
+} = require('../utils/messages/messageAttachments');
+
+const router = express.Router();
+
+function safe(v, max = 200) {
+  return String(v ?? '')
+    .trim()
+    .slice(0, max);
+}
+
+function themeCssFromSession(req) {
+  const theme = req.session?.theme || 'light';
+  return theme === 'dark' ? '/css/dark.css' : '/css/light.css';
+}
+
+function actorFromSession(req) {
+  return {
+    userId: req.session?.user?._id || null,
+    businessId: req.session?.business?._id || null,
+  };
+}
+
+// Same precedence as support tickets: a user session wins over a business one.
+function buyerFromSession(req) {
+  const user = req.session?.user;
+  if (user?._id) {
+    return { type: 'user', userId: user._id, name: user.name || '', email: user.email || '' };
+  }
+
+  const business = req.session?.business;
+  if (business?._id) {
+    return {
+      type: 'business',
+      businessId: business._id,
+      name: business.name || '',
+      email: business.email || '',
+    };
+  }
+
+  return null;
+}
+
+function authorFor(req, party) {
+  if (party === 'seller') {
+    const business = req.session.business;
+    return { _id: business._id, name: business.name || business.email || 'Seller' };
+  }
+
+  const buyer = buyerFromSession(req);
+  return { _id: buyer?.userId || buyer?.businessId, name: buyer?.name || buyer?.email || '' };
+}
+
+/**
+ * Loads a thread the session takes part in, with the session's party.
+ */
+async function findThreadForSession(req) {
+  if (!mongoose.isValidObjectId(req.params.id)) return { thread: null, party: null };
+
+  const thread = await MessageThread.findById(req.params.id);
+  const party = thread ? partyForActor(thread, actorFromSession(req)) : null;
+
+  return party ? { thread, party } : { thread: null, party: null };
+}
+
+/* INBOX */
+router.get('/', requireAnySession, async (req, res) => {
+  try {
+    const actor = actorFromSession(req);
+
+    const threads = await MessageThread.find({ $or: threadFiltersForActor(actor) })
+      .select(
+        'kind orderRef productId productName buyer seller sellerName unread lastMessageAt lastMessageBy',
+      )
+      .sort({ lastMessageAt: -1 })
+      .limit(100)
+      .lean();
+
+    return res.render('messages/index', {
+      title: 'Messages',
+      themeCss: themeCssFromSession(req),
+      nonce: res.locals.nonce,
+      user: req.session.user || null,
+      business: req.session.business || null,
+      threads: threads.map((t) => ({ ...t, party: partyForActor(t, actor) })),
+    });
+  } catch (err) {
+    console.error('❌ messages inbox error:', err);
+    req.flash('error', 'Could not load your messages.');
+    return res.redirect('/');
+  }
+});
+
+/* UNREAD COUNT (API for badge refresh) */
+router.get('/api/unread-count', async (req, res) => {
+  try {
+    const actor = actorFromSession(req);
+    if (!actor.userId && !actor.businessId) return res.json({ count: 0 });
+
+    return res.json({ count: await unreadMessageCount(actor) });
+  } catch (err) {
+    console.error('❌ messages unread count error:', err);
+    return res.json({ count: 0 });
+  }
+});
+
+/* COMPOSE (?order=<id>&item=<index> or ?product=<customId>) */
+router.get('/new', requireAnySession, async (req, res) => {
+  try {
+    const orderRef = safe(req.query.order, 120);
+    const productId = safe(req.query.product, 120);
+    const itemIndex = Number.parseInt(String(req.query.item ?? 0), 10) || 0;
+
+    let context = null;
+
+    if (orderRef) {
+      const idFilters = [{ orderId: orderRef }];
+      if (mongoose.isValidObjectId(orderRef)) idFilters.push({ _id: orderRef });
+
+      const buyer = buyerFromSession(req);
+      const ownerFilter =
+        buyer.type === 'business' ? { businessBuyer: buyer.businessId } : { userId: buyer.userId };
+
+      const order = await Order.findOne({ $and: [{ $or: idFilters }, ownerFilter] })
+        .select('_id orderId items')
+        .lean();
+      const item = order?.items?.[itemIndex];
+
+      if (item) {
+        context = {
+          kind: 'order',
+          orderRef: String(order.orderId || order._id),
+          itemIndex,
+          label: item.name || 'Order item',
+        };
+      }
+    } else if (productId) {
+      const product = await Product.findOne({ customId: productId }).select('customId name').lean();
+
+      if (product) {
+        context = { kind: 'product', productId: product.customId, label: product.name || '' };
+      }
+    }
+
+    if (!context) {
+      req.flash('error', 'Choose an order item or a product to message the seller about.');
+      return res.redirect('/messages');
+    }
+
+    return res.render('messages/new', {
+      title: 'Message the Seller',
+      themeCss: themeCssFromSession(req),
+      nonce: res.locals.nonce,
+      user: req.session.user || null,
+      business: req.session.business || null,
+      context,
+      maxAttachments: MAX_ATTACHMENTS,
+    });
+  } catch (err) {
+    console.error('❌ messages compose error:', err);
+    req.flash('error', 'Could not open the message form.');
+    return res.redirect('/messages');
+  }
+});
+
+/* START OR CONTINUE AN ORDER THREAD */
+router.post('/orders', requireAnySession, acceptAttachments(), async (req, res) => {
+  try {
+    const thread = await openOrderThread({
+      buyer: buyerFromSession(req),
+      orderRef: req.body.orderRef,
+      itemIndex: req.body.itemIndex,
+      message: req.body.message,
+      files: req.files,
+    });
+
+    req.flash('success', `Message sent to ${thread.sellerName || 'the seller'}.`);
+    return res.redirect(threadUrl(thread));
+  } catch (err) {
+    if (!err?.status || err.status >= 500) console.error('❌ order message error:', err);
+    req.flash('error', err?.status ? err.message : 'Could not send your message.');
+    return res.redirect(req.get('Referer') || '/messages');
+  }
+});
+
+/* START OR CONTINUE A PRODUCT THREAD */
+router.post('/products', requireAnySession, acceptAttachments(), async (req, res) => {
+  try {
+    const thread = await openProductThread({
+      buyer: buyerFromSession(req),
+      productId: req.body.productId,
+      message: req.body.message,
+      files: req.files,
+    });
+
+    req.flash('success', `Message sent to ${thread.sellerName || 'the seller'}.`);
+    return res.redirect(threadUrl(thread));
+  } catch (err) {
+    if (!err?.status || err.status >= 500) console.error('❌ product message error:', err);
+    req.flash('error', err?.status ? err.message : 'Could not send your message.');
+    return res.redirect(req.get('Referer') || '/messages');
+  }
+});
+
+/* THREAD */
+router.get('/:id', requireAnySession, async (req, res) => {
+  try {
+    const { thread, party } = await findThreadForSession(req);
+
+    if (!thread) {
+      req.flash('error', 'Conversation not found.');
+      return res.redirect('/messages');
+    }
+
+    await markThreadRead(thread, party);
+
+    return res.render('messages/thread', {
+      title:
+        thread.kind === 'order' ? `Order ${thread.orderRef}` : thread.productName || 'Messages',
+      themeCss: themeCssFromSession(req),
+      nonce: res.locals.nonce,
+      user: req.session.user || null,
+      business: req.session.business || null,
+      thread: thread.toObject(),
+      party,
+      maxAttachments: MAX_ATTACHMENTS,
+    });
+  } catch (err) {
+    console.error('❌ message thread view error:', err);
+    req.flash('error', 'Could not load the conversation.');
+    return res.redirect('/messages');
+  }
+});
+
+/* REPLY (buyer or seller) */
+router.post('/:id/replies', requireAnySession, acceptAttachments(), async (req, res) => {
+  const back = `/messages/${encodeURIComponent(req.params.id)}`;
+
+  try {
+    const { thread, party } = await findThreadForSession(req);
+
+    if (!thread) {
+      req.flash('error', 'Conversation not found.');
+      return res.redirect('/messages');
+    }
+
+    await addThreadMessage(thread, party, {
+      author: authorFor(req, party),
+      message: req.body.message,
+      files: req.files,
+    });
+
+    req.flash('success', 'Message sent.');
+    return res.redirect(back);
+  } catch (err) {
+    if (!err?.status || err.status >= 500) console.error('❌ message reply error:', err);
+    req.flash('error', err?.status ? err.message : 'Could not send your message.');
+    return res.redirect(back);
+  }
+});
+
+/* ATTACHMENT (redirects to a short-lived signed S3 URL) */
+router.get('/:id/attachments/:attachmentId', requireAnySession, async (req, res) => {
+  try {
+    const { thread } = await findThreadForSession(req);
+
+    const attachment = thread?.messages
+      .flatMap((m) => m.attachments || [])
+      .find((a) => String(a._id) === String(req.params.attachmentId));
+
+    if (!attachment) return res.status(404).send('Attachment not found');
+
+    return res.redirect(await attachmentDownloadUrl(attachment));
+  } catch (err) {
+    console.error('❌ message attachment error:', err);
+    return res.status(500).send('Could not open the attachment');
+  }
+});
+
+module.exports = router;
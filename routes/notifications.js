@@ -1,21 +1,87 @@
 'use strict';
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const User = require('../models/User');
+const Business = require('../models/Business');
+const {
+  NOTIFICATION_CATEGORIES,
+  resolveCategoryChannels,
+} = require('../utils/notifications/notificationTypes');
 
-// Helper: build recipient filter from session
+// Helper: every recipient the session speaks for (user, business and/or admin)
+function getRecipients(req) {
+  const recipients = [];
+  const userId = String(req.session?.user?._id || '');
+  const businessId = String(req.session?.business?._id || '');
+  const adminId = String(req.session?.admin?._id || '');
+
+  if (mongoose.isValidObjectId(userId)) {
+    recipients.push({ type: 'user', id: userId });
+  }
+  if (mongoose.isValidObjectId(businessId)) {
+    recipients.push({ type: 'business', id: businessId });
+  }
+  if (mongoose.isValidObjectId(adminId)) {
+    recipients.push({ type: 'admin', id: adminId });
+  }
+
+  return recipients;
+}
+
+// Helper: build recipient filter from session (null when signed out)
 function getRecipientFilter(req) {
-  const f = {};
-  if (req.session?.user?._id) {f.recipientUser = req.session.user._id;}
-  if (req.session?.business?._id) {f.recipientBusiness = req.session.business._id;}
-  return f;
+  const or = [];
+
+  for (const r of getRecipients(req)) {
+    if (r.type === 'user') {
+      or.push({ recipientUser: r.id });
+    }
+    if (r.type === 'admin') {
+      or.push({ recipientAdmin: r.id });
+    }
+    if (r.type === 'business') {
+      or.push({ recipientBusiness: r.id });
+      // match notifications created before recipients were generalised
+      or.push({ buyerId: r.id, recipientType: { $exists: false } });
+    }
+  }
+
+  return or.length ? { $or: or, inApp: { $ne: false } } : null;
+}
+
+// Accounts with a marketing-email opt-in (emailPreferences.marketing).
+const MARKETING_MODELS = { user: User, business: Business };
+
+async function marketingOptIns(recipients) {
+  const optIns = {};
+
+  for (const r of recipients) {
+    const Model = MARKETING_MODELS[r.type];
+    if (!Model) continue;
+    const doc = await Model.findById(r.id).select('emailPreferences').lean();
+    optIns[r.type] = doc?.emailPreferences?.marketing === true;
+  }
+
+  return optIns;
+}
+
+function themeCssFromSession(req) {
+  const theme = req.session?.theme || 'light';
+  return theme === 'dark' ? '/css/dark.css' : '/css/light.css';
+}
+
+function wantsJson(req) {
+  return req.xhr || String(req.get('Accept') || '').includes('application/json');
 }
 
 // LIST (page)
 router.get('/', async (req, res) => {
   try {
     const filter = getRecipientFilter(req);
-    if (!filter.recipientUser && !filter.recipientBusiness) {
+    if (!filter) {
       req.flash('error', 'Sign in to view notifications.');
       return res.redirect('/business/login');
     }
@@ -25,20 +91,19 @@ router.get('/', async (req, res) => {
     const skip = (page - 1) * limit;
 
     const [rows, total] = await Promise.all([
-      Notification.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      Notification.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
       Notification.countDocuments(filter),
     ]);
 
     const pages = Math.max(1, Math.ceil(total / limit));
-    const theme = req.session.theme || 'light';
-    const themeCss = theme === 'dark' ? '/css/dark.css' : '/css/light.css';
-    const nonce = res.locals.nonce || '';
 
     return res.render('notifications/index', {
       title: 'Notifications',
       active: 'notifications',
-      themeCss,
-      nonce,
+      themeCss: themeCssFromSession(req),
+      nonce: res.locals.nonce || '',
+      user: req.session.user || null,
+      business: req.session.business || null,
       notifications: rows,
       page,
       pages,
@@ -53,21 +118,128 @@ router.get('/', async (req, res) => {
   }
 });
 
-// MARK ONE READ
+// PREFERENCES (page)
+router.get('/preferences', async (req, res) => {
+  try {
+    const recipients = getRecipients(req);
+    if (!recipients.length) {
+      req.flash('error', 'Sign in to manage notifications.');
+      return res.redirect('/business/login');
+    }
+
+    const [saved, optIns] = await Promise.all([
+      NotificationPreference.find({
+        $or: recipients.map((r) => ({ recipientType: r.type, recipientId: r.id })),
+      }).lean(),
+      marketingOptIns(recipients),
+    ]);
+
+    const sections = recipients.map((r) => {
+      const channels = saved.find((p) => p.recipientType === r.type)?.channels || {};
+
+      return {
+        recipientType: r.type,
+        marketing: r.type in optIns ? optIns[r.type] : null,
+        categories: Object.entries(NOTIFICATION_CATEGORIES).map(([key, config]) => {
+          const effective = resolveCategoryChannels(channels, key);
+          return { key, label: config.label, emailChannel: config.emailChannel, ...effective };
+        }),
+      };
+    });
+
+    return res.render('notifications/preferences', {
+      title: 'Notification Preferences',
+      active: 'notifications',
+      themeCss: themeCssFromSession(req),
+      nonce: res.locals.nonce || '',
+      user: req.session.user || null,
+      business: req.session.business || null,
+      sections,
+      success: req.flash('success'),
+      error: req.flash('error'),
+    });
+  } catch (err) {
+    console.error(err);
+    req.flash('error', 'Failed to load notification preferences.');
+    return res.redirect('/notifications');
+  }
+});
+
+// SAVE PREFERENCES (checkboxes named "<recipientType>.<category>.<channel>")
+router.post('/preferences', async (req, res) => {
+  try {
+    const recipients = getRecipients(req);
+    if (!recipients.length) {
+      req.flash('error', 'Sign in to manage notifications.');
+      return res.redirect('/business/login');
+    }
+
+    for (const r of recipients) {
+      const channels = {};
+
+      for (const [key, config] of Object.entries(NOTIFICATION_CATEGORIES)) {
+        channels[key] = {
+          inApp: req.body[`${r.type}.${key}.inApp`] === 'on',
+          email: config.emailChannel ? req.body[`${r.type}.${key}.email`] === 'on' : false,
+        };
+      }
+
+      await NotificationPreference.updateOne(
+        { recipientType: r.type, recipientId: r.id },
+        { $set: { channels } },
+        { upsert: true },
+      );
+
+      if (MARKETING_MODELS[r.type]) {
+        await MARKETING_MODELS[r.type].updateOne(
+          { _id: r.id },
+          { $set: { 'emailPreferences.marketing': req.body[`${r.type}.marketing`] === 'on' } },
+        );
+      }
+    }
+
+    req.flash('success', 'Notification preferences saved.');
+    return res.redirect('/notifications/preferences');
+  } catch (err) {
+    console.error(err);
+    req.flash('error', 'Failed to save notification preferences.');
+    return res.redirect('/notifications/preferences');
+  }
+});
+
+// MARK ONE READ (JSON for badge scripts, redirect for the list form)
 router.post('/:id/read', async (req, res) => {
   try {
-    const filter = { _id: req.params.id, ...getRecipientFilter(req) };
-    const doc = await Notification.findOne(filter);
-    if (!doc) {return res.status(404).json({ ok: false, message: 'Not found' });}
-    if (!doc.isRead) {
-      doc.isRead = true;
+    const filter = getRecipientFilter(req);
+    const doc =
+      filter && mongoose.isValidObjectId(req.params.id)
+        ? await Notification.findOne({ _id: req.params.id, ...filter })
+        : null;
+
+    if (!doc) {
+      if (wantsJson(req)) {
+        return res.status(404).json({ ok: false, message: 'Not found' });
+      }
+      req.flash('error', 'Notification not found.');
+      return res.redirect('/notifications');
+    }
+
+    if (!doc.readAt) {
       doc.readAt = new Date();
       await doc.save();
     }
-    return res.json({ ok: true });
+
+    if (wantsJson(req)) {
+      return res.json({ ok: true });
+    }
+    return res.redirect(req.body.open === '1' && doc.link ? doc.link : '/notifications');
   } catch (err) {
     console.error(err);
-    return res.status(500).json({ ok: false, message: 'Server error' });
+    if (wantsJson(req)) {
+      return res.status(500).json({ ok: false, message: 'Server error' });
+    }
+    req.flash('error', 'Failed to update notification.');
+    return res.redirect('/notifications');
   }
 });
 
@@ -75,13 +247,10 @@ router.post('/:id/read', async (req, res) => {
 router.post('/read-all', async (req, res) => {
   try {
     const filter = getRecipientFilter(req);
-    if (!filter.recipientUser && !filter.recipientBusiness) {
+    if (!filter) {
       return res.status(401).json({ ok: false, message: 'Unauthorized' });
     }
-    await Notification.updateMany(
-      { ...filter, isRead: false },
-      { $set: { isRead: true, readAt: new Date() } },
-    );
+    await Notification.updateMany({ ...filter, readAt: null }, { $set: { readAt: new Date() } });
     req.flash('success', 'All notifications marked as read.');
     return res.redirect('/notifications');
   } catch (err) {
@@ -95,8 +264,10 @@ router.post('/read-all', async (req, res) => {
 router.get('/api/unread-count', async (req, res) => {
   try {
     const filter = getRecipientFilter(req);
-    if (!filter.recipientUser && !filter.recipientBusiness) {return res.json({ count: 0 });}
-    const count = await Notification.countDocuments({ ...filter, isRead: false });
+    if (!filter) {
+      return res.json({ count: 0 });
+    }
+    const count = await Notification.countDocuments({ ...filter, readAt: null });
     return res.json({ count });
   } catch (err) {
     console.error(err);
@@ -107,8 +278,11 @@ router.get('/api/unread-count', async (req, res) => {
 // DELETE ONE (optional)
 router.post('/:id/delete', async (req, res) => {
   try {
-    const filter = { _id: req.params.id, ...getRecipientFilter(req) };
-    const deleted = await Notification.findOneAndDelete(filter);
+    const filter = getRecipientFilter(req);
+    const deleted =
+      filter && mongoose.isValidObjectId(req.params.id)
+        ? await Notification.findOneAndDelete({ _id: req.params.id, ...filter })
+        : null;
     if (!deleted) {
       req.flash('error', 'Notification not found.');
     } else {
@@ -9,6 +9,13 @@ const { isValidObjectId } = require('mongoose');
 const Order = require('../models/Order');
 const Product = require('../models/Product'); // ✅ needed for seller ownership check
 const requireAnySession = require('../middleware/requireAnySession');
+const {
+  isInvoiceable,
+  ensureInvoiceSafely,
+  listCreditNotesForOrder,
+  findCreditNoteForOrder,
+  sendTaxDocumentPdf,
+} = require('../utils/invoices/taxDocumentService');
 
 const router = express.Router();
 
@@ -252,6 +259,98 @@ async function sellerBusinessView(req, order) {
   return { ok: true, items: filtered, sellerOnly: true, reason: 'Matched by product ownership' };
 }
 
+async function findOrderByParam(raw) {
+  let order = null;
+
+  // find by Mongo _id
+  if (isValidObjectId(raw)) {
+    order = await Order.findById(raw).lean();
+  }
+
+  // fallback: find by PayPal orderId
+  if (!order) {
+    order = await Order.findOne({ orderId: raw }).lean();
+  }
+
+  return order;
+}
+
+/* -------------------------------------------------------
+   Invoice / credit note access
+   - admin, the buyer user, and buyer/seller businesses with a full view
+   - a seller who only sees part of the order does not get the
+     buyer's invoice (it lists other sellers' items)
+-------------------------------------------------------- */
+async function canDownloadDocuments(req, order) {
+  if (req.session?.admin) return true;
+  if (req.session?.user) return userCanView(req, order);
+
+  const bizView = await sellerBusinessView(req, order);
+  if (!bizView.ok) return false;
+
+  const allItems = Array.isArray(order.items) ? order.items.length : 0;
+  return !bizView.sellerOnly || bizView.items.length === allItems;
+}
+
+async function documentLinks(req, order) {
+  if (!isInvoiceable(order) || !(await canDownloadDocuments(req, order))) {
+    return { invoiceUrl: null, creditNotes: [] };
+  }
+
+  const base = `/orderDetails/${encodeURIComponent(String(order._id))}`;
+  const notes = await listCreditNotesForOrder(order);
+
+  return {
+    invoiceUrl: `${base}/invoice.pdf`,
+    creditNotes: notes.map((note) => ({
+      number: note.number,
+      total: note.totals?.total || '0.00',
+      currency: note.currency,
+      url: `${base}/credit-notes/${encodeURIComponent(note.number)}.pdf`,
+    })),
+  };
+}
+
+/* -------------------------------------------------------
+   GET /orderDetails/:id/invoice.pdf
+   GET /orderDetails/:id/credit-notes/:number.pdf
+-------------------------------------------------------- */
+router.get('/:id/invoice.pdf', requireAnySession, async (req, res) => {
+  try {
+    const order = await findOrderByParam(String(req.params.id || '').trim());
+
+    if (!order || !(await canDownloadDocuments(req, order))) {
+      return deny(req, res, 'Invoice not available for this session');
+    }
+
+    const invoice = await ensureInvoiceSafely(order);
+    if (!invoice) return deny(req, res, 'Order has no invoice (not paid yet)');
+
+    return sendTaxDocumentPdf(res, invoice);
+  } catch (err) {
+    console.error('❌ /orderDetails/:id/invoice.pdf error:', err);
+    return deny(req, res, `Server error: ${String(err?.message || err)}`);
+  }
+});
+
+router.get('/:id/credit-notes/:number.pdf', requireAnySession, async (req, res) => {
+  try {
+    const order = await findOrderByParam(String(req.params.id || '').trim());
+
+    if (!order || !(await canDownloadDocuments(req, order))) {
+      return deny(req, res, 'Credit note not available for this session');
+    }
+
+    const creditNote = await findCreditNoteForOrder(order, req.params.number);
+    if (!creditNote) return deny(req, res, 'Credit note not found for this order');
+
+    return sendTaxDocumentPdf(res, creditNote);
+  } catch (err) {
+    console.error('❌ /orderDetails/:id/credit-notes error:', err);
+    return deny(req, res, `Server error: ${String(err?.message || err)}`);
+  }
+});
+
 /* -------------------------------------------------------
    GET /orderDetails/:id
    Router is mounted at /orderDetails
@@ -260,17 +359,7 @@ router.get('/:id', requireAnySession, async (req, res) => {
   try {
     const raw = String(req.params.id || '').trim();
 
-    let order = null;
-
-    // find by Mongo _id
-    if (isValidObjectId(raw)) {
-      order = await Order.findById(raw).lean();
-    }
-
-    // fallback: find by PayPal orderId
-    if (!order) {
-      order = await Order.findOne({ orderId: raw }).lean();
-    }
+    const order = await findOrderByParam(raw);
 
     if (!order) {
       return deny(req, res, `Order not found for id="${raw}" (no _id / orderId match)`);
@@ -287,6 +376,7 @@ router.get('/:id', requireAnySession, async (req, res) => {
         title: 'Order Details',
         nonce: res.locals?.nonce || '',
         order: o,
+        ...(await documentLinks(req, order)),
         success: req.flash?.('success') || [],
         error: req.flash?.('error') || [],
       });
@@ -307,6 +397,7 @@ router.get('/:id', requireAnySession, async (req, res) => {
         title: 'Order Details',
         nonce: res.locals?.nonce || '',
         order: o,
+        ...(await documentLinks(req, order)),
         success: req.flash?.('success') || [],
         error: req.flash?.('error') || [],
       });
@@ -331,6 +422,7 @@ router.get('/:id', requireAnySession, async (req, res) => {
       title: 'Order Details',
       nonce: res.locals?.nonce || '',
       order: o,
+      ...(await documentLinks(req, order)),
       success: req.flash?.('success') || [],
       error: req.flash?.('error') || [],
     });
@@ -13,6 +13,7 @@ const {
   sendOrderShippedEmail,
   sendOrderDeliveredEmail,
 } = require('../utils/emails/orderStatusEmail');
+const { notifySafely } = require('../utils/notify');
 
 let Order = null;
 try {
@@ -103,15 +104,42 @@ async function sendTrackingStatusEmailIfNeeded(order) {
     .toUpperCase();
 
   if (status === 'DELIVERED') {
+    await notifyBuyerOfTracking(order, 'delivered');
     await sendOrderDeliveredEmail(order);
     return;
   }
 
   if (isShippedLikeStatus(status)) {
+    await notifyBuyerOfTracking(order, 'shipped');
     await sendOrderShippedEmail(order);
   }
 }
 
+// In-app counterpart of the status emails; dedupeKey keeps re-syncs quiet.
+async function notifyBuyerOfTracking(order, status) {
+  const recipient = order.businessBuyer
+    ? { recipientType: 'business', recipientId: order.businessBuyer }
+    : order.userId
+      ? { recipientType: 'user', recipientId: order.userId }
+      : null;
+
+  if (!recipient) return;
+
+  const ref = order.orderId || String(order._id);
+
+  await notifySafely({
+    ...recipient,
+    type: `shipping.${status}`,
+    title: status === 'delivered' ? `Order ${ref} was delivered` : `Order ${ref} has shipped`,
+    message: order?.shippingTracking?.trackingNumber
+      ? `Tracking number: ${order.shippingTracking.trackingNumber}`
+      : '',
+    link: `/orders/tracking/${encodeURIComponent(ref)}`,
+    orderId: order._id,
+    dedupeKey: `shipping.${status}:${order._id}`,
+  });
+}
+
 async function findOrderByParam(param, lean = false) {
   const p = String(param || '').trim();
 
@@ -31,6 +31,25 @@ const {
 
 const { resolveInternalTaxTreatment } = require('../utils/tax/resolveInternalTaxTreatment');
 
+const {
+  evaluateCoupon,
+  couponSnapshot,
+  reserveCoupon,
+  releaseCouponReservation,
+  markCouponRedeemed,
+} = require('../utils/coupons/couponService');
+
+const { applyVariantStockDelta } = require('../utils/inventory/variantStock');
+const { recordCartCheckout } = require('../utils/cartRecovery/savedCartService');
+const {
+  ensureInvoiceSafely,
+  issueCreditNotesSafely,
+  isInvoiceable,
+  listCreditNotesForOrder,
+  findCreditNoteForOrder,
+  sendTaxDocumentPdf,
+} = require('../utils/invoices/taxDocumentService');
+
 // ======================================================
 // ✅ Admin guard (PROD SAFE)
 // ======================================================
@@ -1182,7 +1201,8 @@ async function normalizeShippoRates(shipmentJson, { targetCurrency = upperCcy }
 // ======================================================
 // ✅ Totals from VAT-exclusive Internal cart
 // ======================================================
-function computeTotalsFromSession(cart, delivery = 0, appliedVatRate = 0) {
+// `discount` is a VAT-exclusive coupon amount taken off the items before VAT.
+function computeTotalsFromSession(cart, delivery = 0, appliedVatRate = 0, discount = 0) {
   const itemsArr = Array.isArray(cart?.items) ? cart.items : [];
 
   const parsedVatRate = Number(appliedVatRate);
@@ -1251,23 +1271,35 @@ function computeTotalsFromSession(cart, delivery = 0, appliedVatRate = 0) {
 
   netItemsTotal = Number(netItemsTotal.toFixed(2));
 
+  const discountAmount = normalizeMoneyNumber(discount);
+
+  const safeDiscount =
+    discountAmount !== null && discountAmount > 0
+      ? Number(Math.min(discountAmount, netItemsTotal).toFixed(2))
+      : 0;
+
+  const discountedNet = Number((netItemsTotal - safeDiscount).toFixed(2));
+
   /*
-   * Apply VAT forward from the VAT-exclusive subtotal.
+   * Apply VAT forward from the VAT-exclusive subtotal after the
+   * coupon discount.
    */
-  const vat = Number((netItemsTotal * safeVatRate).toFixed(2));
+  const vat = Number((discountedNet * safeVatRate).toFixed(2));
 
   const deliveryAmount = normalizeMoneyNumber(delivery);
 
   const safeDelivery =
     deliveryAmount !== null && deliveryAmount >= 0 ? Number(deliveryAmount.toFixed(2)) : 0;
 
-  const grandTotal = Number((netItemsTotal + vat + safeDelivery).toFixed(2));
+  const grandTotal = Number((discountedNet + vat + safeDelivery).toFixed(2));
 
   return {
     items: ppItems,
 
     subTotal: netItemsTotal,
 
+    discountTotal: safeDiscount,
+
     vatRate: safeVatRate,
 
     vatTotal: vat,
@@ -1510,6 +1542,9 @@ async function reconcileRefundsForOrderDoc(orderDoc, captureId, { source = 'sync
 
   await orderDoc.save();
 
+  // ✅ one credit note per refund (idempotent, never blocks the refund)
+  if (newlyAdded > 0) await issueCreditNotesSafely(orderDoc);
+
   return {
     ok: true,
     orderId: String(orderDoc.orderId || orderDoc._id),
@@ -1536,9 +1571,16 @@ async function applyStockDelta(items, deltaSign /* -1 sale, +1 restore */) {
   const arr = Array.isArray(items) ? items : [];
   if (arr.length === 0) return { ok: true, changed: 0 };
 
+  // Size/color lines go back to their own variant stock first.
+  const variantOut = await applyVariantStockDelta(arr, deltaSign, {
+    reason: deltaSign > 0 ? 'refund-restock' : 'sale',
+  });
+
   const ops = [];
 
-  for (const it of arr) {
+  for (const [index, it] of arr.entries()) {
+    if (variantOut.handled.has(index)) continue;
+
     const key = String(it?.productId || it?.customId || it?.pid || it?.sku || '').trim(); // should be customId
     const qty = Number(it?.quantity || 1);
 
@@ -1553,10 +1595,10 @@ async function applyStockDelta(items, deltaSign /* -1 sale, +1 restore */) {
     });
   }
 
-  if (ops.length === 0) return { ok: true, changed: 0 };
+  if (ops.length === 0) return { ok: true, changed: variantOut.changed };
 
   const res = await Product.bulkWrite(ops, { ordered: false });
-  const changed = Number(res?.modifiedCount || 0);
+  const changed = Number(res?.modifiedCount || 0) + variantOut.changed;
 
   return { ok: true, changed };
 }
@@ -1568,6 +1610,10 @@ function buildStockAppliedItemsFromOrder(orderDoc) {
       productId: pickProductKeyFromItem(it),
       name: String(it?.name || '').slice(0, 120),
       quantity: Number(it?.quantity || 1),
+      variants: {
+        size: String(it?.variants?.size || '').trim(),
+        color: String(it?.variants?.color || '').trim(),
+      },
     }))
     .filter((x) => x.productId && Number.isFinite(x.quantity) && x.quantity > 0);
 }
@@ -1724,10 +1770,14 @@ async function applyInventoryOnPaidOrder(orderDoc) {
   const appliedItems = buildStockAppliedItemsFromOrder(orderDoc);
   if (appliedItems.length === 0) return { ok: false, reason: 'NO_ITEMS_TO_APPLY' };
 
+  // Variant matrix lines: decrement the size/color stock (and Product.stock)
+  // and log one stock history row per variant.
+  const variantOut = await applyVariantStockDelta(appliedItems, -1, { reason: 'sale' });
+
   const bulkOps = [];
   const soldOrdersSeen = new Set();
 
-  for (const item of appliedItems) {
+  for (const [index, item] of appliedItems.entries()) {
     const productId = String(item?.productId || '').trim();
     const quantity = Number(item?.quantity || 0);
 
@@ -1738,10 +1788,13 @@ async function applyInventoryOnPaidOrder(orderDoc) {
     soldOrdersSeen.add(productId);
 
     const inc = {
-      stock: -quantity,
       soldCount: quantity,
     };
 
+    if (!variantOut.handled.has(index)) {
+      inc.stock = -quantity;
+    }
+
     if (shouldIncSoldOrders) {
       inc.soldOrders = 1;
     }
@@ -1766,6 +1819,7 @@ async function applyInventoryOnPaidOrder(orderDoc) {
   orderDoc.inventoryAdjustedItems = appliedItems.map((x) => ({
     productId: x.productId,
     quantity: x.quantity,
+    variants: x.variants,
   }));
   await orderDoc.save();
 
@@ -2677,6 +2731,39 @@ router.post('/create-order', requireAllowedOriginJson, express.json(), async (re
       };
     });
 
+    /*
+     * Coupon
+     * ======
+     *
+     * The cart only stores the code. Re-validate it against the
+     * current cart and buyer and freeze the result for capture.
+     * lineDiscounts follow cart.items order, same as itemsBrief.
+     */
+    let pendingCoupon = null;
+
+    if (cart.couponCode) {
+      const couponResult = await evaluateCoupon({
+        code: cart.couponCode,
+        items: cart.items,
+        buyer: { userId: getUserId(req), businessBuyer: getBusinessId(req) },
+      });
+
+      if (!couponResult.ok) {
+        return res.status(409).json({
+          ok: false,
+          code: couponResult.code,
+          message: `${couponResult.message} Remove the coupon to continue.`,
+        });
+      }
+
+      pendingCoupon = couponSnapshot(couponResult.coupon, couponResult);
+
+      itemsBrief.forEach((item, i) => {
+        const lineDiscountCents = Number(pendingCoupon.lineDiscounts[i] || 0);
+        if (lineDiscountCents > 0) item.discount = Number((lineDiscountCents / 100).toFixed(2));
+      });
+    }
+
     const providerInput = String(req.body?.shippingProvider || req.body?.delivery || '')
       .trim()
       .toLowerCase();
@@ -2949,6 +3036,7 @@ router.post('/create-order', requireAllowedOriginJson, express.json(), async (re
     const {
       items: basePaypalItems,
       subTotal,
+      discountTotal,
       vatRate: appliedVatRate,
       vatTotal,
       delivery: del,
@@ -2974,6 +3062,8 @@ router.post('/create-order', requireAllowedOriginJson, express.json(), async (re
       deliveryDollars,
 
       authoritativeVatRate,
+
+      pendingCoupon ? pendingCoupon.discountCents / 100 : 0,
     );
 
     /*
@@ -3015,8 +3105,14 @@ router.post('/create-order', requireAllowedOriginJson, express.json(), async (re
     const paypalVatTotal = Number(convertedVat.value.toFixed(2));
     const paypalShippingTotal = Number(convertedShipping.value.toFixed(2));
 
+    let paypalDiscountTotal = 0;
+    if (discountTotal > 0) {
+      const convertedDiscount = await convertCheckoutAmountToPaypal(discountTotal);
+      paypalDiscountTotal = Math.min(paypalItemTotal, Number(convertedDiscount.value.toFixed(2)));
+    }
+
     const paypalGrandTotal = Number(
-      (paypalItemTotal + paypalVatTotal + paypalShippingTotal).toFixed(2),
+      (paypalItemTotal - paypalDiscountTotal + paypalVatTotal + paypalShippingTotal).toFixed(2),
     );
 
     if (!Number.isFinite(paypalGrandTotal) || paypalGrandTotal <= 0) {
@@ -3053,6 +3149,15 @@ router.post('/create-order', requireAllowedOriginJson, express.json(), async (re
                 currency_code: paypalCheckoutCcy,
                 value: paypalShippingTotal.toFixed(2),
               },
+
+              ...(paypalDiscountTotal > 0
+                ? {
+                    discount: {
+                      currency_code: paypalCheckoutCcy,
+                      value: paypalDiscountTotal.toFixed(2),
+                    },
+                  }
+                : {}),
             },
           },
 
@@ -3086,6 +3191,7 @@ router.post('/create-order', requireAllowedOriginJson, express.json(), async (re
           requestQuoteId,
           requestRateId,
           addr: shippingInput.address,
+          coupon: pendingCoupon ? `${pendingCoupon.code}:${pendingCoupon.discount}` : '',
           user: getUserId(req) || getBusinessId(req) || req.sessionID || 'guest',
         }),
       )
@@ -3165,6 +3271,8 @@ router.post('/create-order', requireAllowedOriginJson, express.json(), async (re
        */
       subTotal,
 
+      discountTotal,
+
       vatRate: appliedVatRate,
 
       vatTotal,
@@ -3173,6 +3281,11 @@ router.post('/create-order', requireAllowedOriginJson, express.json(), async (re
 
       currency: upperCcy,
 
+      /*
+       * Coupon frozen at order creation; reserved and recorded at capture.
+       */
+      coupon: pendingCoupon,
+
       /*
        * Authoritative Internal tax evidence.
        *
@@ -3210,6 +3323,7 @@ router.post('/create-order', requireAllowedOriginJson, express.json(), async (re
        */
       paypalAmount: {
         itemTotal: paypalItemTotal,
+        discount: paypalDiscountTotal,
         taxTotal: paypalVatTotal,
         shipping: paypalShippingTotal,
         grandTotal: paypalGrandTotal,
@@ -3242,6 +3356,10 @@ router.post('/create-order', requireAllowedOriginJson, express.json(), async (re
       totals: {
         subTotal,
 
+        discountTotal,
+
+        couponCode: pendingCoupon?.code || null,
+
         vatRate: appliedVatRate,
 
         vatTotal,
@@ -3266,6 +3384,45 @@ router.post('/create-order', requireAllowedOriginJson, express.json(), async (re
 // ======================================================
 // ✅ CAPTURE ORDER (PayPal)
 // ======================================================
+
+// 'captured', 'not_captured' or 'unknown' (PayPal could not be asked).
+// Used after a failed capture call: a timeout or an ORDER_ALREADY_CAPTURED
+// retry can still mean the payment went through.
+async function paypalOrderCaptureState(orderID) {
+  try {
+    const token = await getAccessToken();
+    const r = await fetchWithTimeout(
+      `${PP_API}/v2/checkout/orders/${encodeURIComponent(orderID)}`,
+      {
+        headers: { Authorization: `Bearer ${token}` },
+      },
+    );
+    if (r.status === 404) return 'not_captured';
+    if (!r.ok) return 'unknown';
+
+    const json = await r.json().catch(() => null);
+    const status = safeStr(json?.status, 50).toUpperCase();
+    if (!status) return 'unknown';
+
+    return status === 'COMPLETED' ? 'captured' : 'not_captured';
+  } catch {
+    return 'unknown';
+  }
+}
+
+// Gives the coupon use back only when PayPal confirms nothing was captured.
+async function releaseCouponUnlessCaptured(pending, orderID) {
+  if (!pending?.coupon?.couponId) return;
+
+  const state = await paypalOrderCaptureState(orderID);
+  if (state !== 'not_captured') {
+    console.warn('[coupon reservation kept]', { orderID, state });
+    return;
+  }
+
+  await releaseCouponReservation(orderID).catch(() => null);
+}
+
 router.post('/capture-order', requireAllowedOriginJson, express.json(), async (req, res) => {
   try {
     const orderID = safeStr(req.body?.orderID || req.query?.orderId, 128);
@@ -3295,20 +3452,44 @@ router.post('/capture-order', requireAllowedOriginJson, express.json(), async (r
       });
     }
 
-    const token = await getAccessToken();
+    // ✅ claim the coupon before money moves so usage limits hold under concurrency
+    if (pending.coupon?.couponId) {
+      const reservation = await reserveCoupon({
+        snapshot: pending.coupon,
+        paypalOrderId: orderID,
+        buyer: { userId: getUserId(req), businessBuyer: getBusinessId(req) },
+      });
 
-    const capRes = await fetchWithTimeout(
-      `${PP_API}/v2/checkout/orders/${encodeURIComponent(orderID)}/capture`,
-      {
-        method: 'POST',
-        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
-      },
-    );
+      if (!reservation.ok) {
+        return res.status(409).json({
+          ok: false,
+          code: reservation.code,
+          message: reservation.message,
+        });
+      }
+    }
+
+    let capRes;
+    try {
+      const token = await getAccessToken();
+
+      capRes = await fetchWithTimeout(
+        `${PP_API}/v2/checkout/orders/${encodeURIComponent(orderID)}/capture`,
+        {
+          method: 'POST',
+          headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        },
+      );
+    } catch (err) {
+      await releaseCouponUnlessCaptured(pending, orderID);
+      throw err;
+    }
 
     const capture = await capRes.json().catch(() => ({}));
 
     if (!capRes.ok) {
       console.error('PayPal capture error:', capture);
+      await releaseCouponUnlessCaptured(pending, orderID);
       return res.status(capRes.status).json({
         ok: false,
         code: 'PAYPAL_CAPTURE_FAILED',
@@ -3340,6 +3521,8 @@ router.post('/capture-order', requireAllowedOriginJson, express.json(), async (r
         captureStatus: captureStatus || null,
       });
 
+      await releaseCouponUnlessCaptured(pending, orderID);
+
       return res.status(409).json({
         ok: false,
         code: 'PAYPAL_CAPTURE_NOT_COMPLETED',
@@ -3515,6 +3698,19 @@ router.post('/capture-order', requireAllowedOriginJson, express.json(), async (r
               currency: upperCcy,
             },
 
+            /*
+             * VAT-exclusive coupon share for the whole line.
+             */
+            ...(normalizeMoneyNumber(item?.discount) > 0
+              ? {
+                  discount: {
+                    value: toMoney2(item.discount),
+
+                    currency: upperCcy,
+                  },
+                }
+              : {}),
+
             imageUrl: item?.imageUrl || '',
 
             variants: item?.variants || {},
@@ -3641,12 +3837,36 @@ router.post('/capture-order', requireAllowedOriginJson, express.json(), async (r
                     ? {
                         value: toMoney2(pending.deliveryPrice),
 
+                        currency: upperCcy,
+                      }
+                    : undefined,
+
+                discount:
+                  normalizeMoneyNumber(pending.discountTotal) > 0
+                    ? {
+                        value: toMoney2(pending.discountTotal),
+
                         currency: upperCcy,
                       }
                     : undefined,
               }
             : undefined,
 
+          coupon: pending?.coupon?.couponId
+            ? {
+                couponId: pending.coupon.couponId,
+                code: safeStr(pending.coupon.code, 40),
+                type: pending.coupon.type,
+                value: Number(pending.coupon.value || 0),
+                fundedBy: pending.coupon.fundedBy === 'SELLER' ? 'SELLER' : 'PLATFORM',
+                sellerBusiness: pending.coupon.sellerBusiness || null,
+                discount: {
+                  value: toMoney2(pending.coupon.discount),
+                  currency: upperCcy,
+                },
+              }
+            : undefined,
+
           /*
            * Permanent authoritative Internal VAT evidence
            * =============================================
@@ -3751,6 +3971,14 @@ router.post('/capture-order', requireAllowedOriginJson, express.json(), async (r
 
         await doc.save();
 
+        if (pending?.coupon?.couponId) {
+          try {
+            await markCouponRedeemed(orderID, doc);
+          } catch (e) {
+            console.error('⚠️ Could not mark coupon redeemed:', e?.message || e);
+          }
+        }
+
         if (!doc.customerConfirmationEmailSentAt) {
           try {
             await sendOrderConfirmationEmail(doc, publicBaseUrlFromReq(req));
@@ -3891,6 +4119,9 @@ router.post('/capture-order', requireAllowedOriginJson, express.json(), async (r
         } catch (invErr) {
           console.warn('⚠️ Inventory/stats exception:', invErr?.message || invErr);
         }
+
+        // ✅ issue the invoice number now so numbering follows payment order
+        await ensureInvoiceSafely(doc);
       }
     } catch (e) {
       console.error('❌ Failed to persist Order:', e?.message || e);
@@ -3922,6 +4153,14 @@ router.post('/capture-order', requireAllowedOriginJson, express.json(), async (r
       },
     };
 
+    // Close the saved cart cycle (recovered when a reminder brought the buyer back)
+    await recordCartCheckout(req, {
+      department: 'internal',
+      orderId: orderID,
+      amount: normalizeMoneyNumber(pending?.grandTotal),
+      currency: upperCcy,
+    });
+
     req.session.cart = { items: [] };
     req.session.pendingOrder = null;
     req.session.shippoSelectedRate = null;
@@ -4009,6 +4248,33 @@ router.get('/success', (req, res) => {
   });
 });
 
+// Who may open a receipt (and its invoice / credit notes):
+// the owner, a valid share token, or the guest's own checkout session.
+function receiptAccess(req, doc, wantedId) {
+  const tokenFromQuery = String(req.query.t || '').trim();
+  const expectedToken = makeReceiptToken(doc.orderId || wantedId);
+  const tokenOk = !!(expectedToken && tokenFromQuery && safeEq(tokenFromQuery, expectedToken));
+
+  const loggedIn = isAnyLoggedIn(req);
+  const ownerOk = loggedIn && docOwnedByRequester(req, doc);
+
+  // ✅ Guest checkout receipt access for the same browser/session only.
+  // This lets the guest view/print the receipt from the thank-you page
+  // without opening all receipts publicly.
+  const snap = req.session?.lastOrderSnapshot || null;
+  const docOrderId = String(doc?.orderId || wantedId || '').trim();
+  const sessionOk = !!snap && String(snap.id || '').trim() === docOrderId;
+
+  return {
+    tokenOk,
+    ownerOk,
+    sessionOk,
+    loggedIn,
+    allowed: tokenOk || ownerOk || sessionOk,
+    query: tokenOk ? `?t=${encodeURIComponent(tokenFromQuery)}` : '',
+  };
+}
+
 // ======================================================
 // ✅ RECEIPT (owner/admin OR valid token)
 // GET /payment/receipt/:id
@@ -4026,21 +4292,9 @@ router.get('/receipt/:id', async (req, res) => {
       return res.redirect('/payment/orders');
     }
 
-    const tokenFromQuery = String(req.query.t || '').trim();
-    const expectedToken = makeReceiptToken(doc.orderId || wantedId);
-    const tokenOk = expectedToken && tokenFromQuery && safeEq(tokenFromQuery, expectedToken);
-
-    const loggedIn = isAnyLoggedIn(req);
-    const ownerOk = loggedIn && docOwnedByRequester(req, doc);
-
-    // ✅ Guest checkout receipt access for the same browser/session only.
-    // This lets the guest view/print the receipt from the thank-you page
-    // without opening all receipts publicly.
-    const snap = req.session?.lastOrderSnapshot || null;
-    const docOrderId = String(doc?.orderId || wantedId || '').trim();
-    const sessionOk = !!snap && String(snap.id || '').trim() === docOrderId;
+    const { tokenOk, sessionOk, loggedIn, allowed, query } = receiptAccess(req, doc, wantedId);
 
-    if (!tokenOk && !ownerOk && !sessionOk) {
+    if (!allowed) {
       if (!loggedIn) {
         req.flash?.('error', 'Please login to view your receipt.');
         return res.redirect('/business/login');
@@ -4049,6 +4303,7 @@ router.get('/receipt/:id', async (req, res) => {
     }
 
     const supportPhone = getPublicSupportPhone();
+    const receiptBase = `/payment/receipt/${encodeURIComponent(doc.orderId || wantedId)}`;
 
     return res.render('receipt', {
       title: 'Receipt',
@@ -4067,6 +4322,15 @@ router.get('/receipt/:id', async (req, res) => {
 
       shareLink: doc?.orderId ? buildReceiptLink(doc.orderId) : null,
 
+      invoiceUrl: isInvoiceable(doc) ? `${receiptBase}/invoice.pdf${query}` : null,
+
+      creditNotes: (await listCreditNotesForOrder(doc)).map((note) => ({
+        number: note.number,
+        total: note.totals?.total || '0.00',
+        currency: note.currency,
+        url: `${receiptBase}/credit-notes/${encodeURIComponent(note.number)}.pdf${query}`,
+      })),
+
       /*
        * Public customer-support contacts
        * =================================
@@ -4092,6 +4356,49 @@ router.get('/receipt/:id', async (req, res) => {
   }
 });
 
+// ======================================================
+// ✅ INVOICE / CREDIT NOTE PDFs (same access as the receipt)
+// GET /payment/receipt/:id/invoice.pdf
+// GET /payment/receipt/:id/credit-notes/:number.pdf
+// ======================================================
+router.get('/receipt/:id/invoice.pdf', async (req, res) => {
+  try {
+    const wantedId = String(req.params.id || '').trim();
+    const doc = wantedId ? await findOrderByAnyId(wantedId) : null;
+
+    if (!doc || !receiptAccess(req, doc, wantedId).allowed) {
+      return res.status(404).send('Invoice not found.');
+    }
+
+    const invoice = await ensureInvoiceSafely(doc);
+    if (!invoice) return res.status(404).send('Invoice not found.');
+
+    return sendTaxDocumentPdf(res, invoice);
+  } catch (err) {
+    console.error('invoice download error:', err);
+    return res.status(500).send('Failed to generate invoice.');
+  }
+});
+
+router.get('/receipt/:id/credit-notes/:number.pdf', async (req, res) => {
+  try {
+    const wantedId = String(req.params.id || '').trim();
+    const doc = wantedId ? await findOrderByAnyId(wantedId) : null;
+
+    if (!doc || !receiptAccess(req, doc, wantedId).allowed) {
+      return res.status(404).send('Credit note not found.');
+    }
+
+    const creditNote = await findCreditNoteForOrder(doc, req.params.number);
+    if (!creditNote) return res.status(404).send('Credit note not found.');
+
+    return sendTaxDocumentPdf(res, creditNote);
+  } catch (err) {
+    console.error('credit note download error:', err);
+    return res.status(500).send('Failed to generate credit note.');
+  }
+});
+
 router.get('/cancel', (req, res) => {
   return res.render('payment-cancel', {
     title: 'Payment Cancelled',
@@ -4429,6 +4736,8 @@ router.post('/refund', requireAdmin, requireAllowedOriginJson, express.json(), a
 
         await orderDoc.save();
 
+        if (!duplicated) await issueCreditNotesSafely(orderDoc);
+
         // ✅ restore inventory ONLY on full refund (IDEMPOTENT)
         try {
           if (String(orderDoc.status || '').toUpperCase() === 'REFUNDED') {
@@ -19,6 +19,13 @@ try {
   Product = null;
 }
 
+let ReturnRequest = null;
+try {
+  ReturnRequest = require('../models/ReturnRequest');
+} catch {
+  ReturnRequest = null;
+}
+
 let debitSellersFromRefund = null;
 try {
   ({ debitSellersFromRefund } = require('../utils/payouts/debitSellersFromRefund'));
@@ -28,6 +35,11 @@ try {
 }
 
 const { verifyWebhookSignature } = require('../utils/paypal/verifyWebhookSignature');
+const { applyVariantStockDelta } = require('../utils/inventory/variantStock');
+const { issueCreditNotesSafely } = require('../utils/invoices/taxDocumentService');
+const { isDisputeEventType } = require('../utils/disputes/disputeRules');
+const { ingestDisputeEvent, hasDisputeForCapture } = require('../utils/disputes/disputeService');
+const { RETURN_REFUND_SUBMITTING } = require('../utils/returns/completeReturnRefund');
 
 let Payout = null;
 try {
@@ -67,6 +79,30 @@ function normalizeMoney(v) {
   return Number.isFinite(n) ? n : null;
 }
 
+/**
+ * True when the refund belongs to a return: completeReturnRefund books the
+ * order refund, the returned item and the seller debit itself. A refund
+ * still in flight has no refundId yet, so match it by amount.
+ */
+async function isReturnRefund(orderId, refundId, refundAmount) {
+  if (!ReturnRequest) return false;
+
+  const or = [];
+  if (refundId) or.push({ 'refund.refundId': refundId });
+
+  const amount = normalizeMoney(refundAmount);
+  if (amount != null) {
+    or.push({
+      'refund.refundId': '',
+      'refund.status': RETURN_REFUND_SUBMITTING,
+      'refund.amount': amount.toFixed(2),
+    });
+  }
+
+  if (!or.length) return false;
+  return !!(await ReturnRequest.exists({ order: orderId, $or: or }));
+}
+
 function sumRefunds(order) {
   try {
     const arr = Array.isArray(order?.refunds) ? order.refunds : [];
@@ -264,8 +300,12 @@ async function applyStockDelta(items, deltaSign /* +1 restore */) {
   const arr = Array.isArray(items) ? items : [];
   if (!arr.length) return { ok: true, changed: 0 };
 
+  const variantOut = await applyVariantStockDelta(arr, deltaSign, { reason: 'refund-restock' });
+
   const ops = [];
-  for (const it of arr) {
+  for (const [index, it] of arr.entries()) {
+    if (variantOut.handled.has(index)) continue;
+
     const key = pickProductKeyFromItem(it);
     const qty = Number(it?.quantity || 1);
 
@@ -280,10 +320,10 @@ async function applyStockDelta(items, deltaSign /* +1 restore */) {
     });
   }
 
-  if (!ops.length) return { ok: true, changed: 0 };
+  if (!ops.length) return { ok: true, changed: variantOut.changed };
 
   const res = await Product.bulkWrite(ops, { ordered: false });
-  return { ok: true, changed: Number(res?.modifiedCount || 0) };
+  return { ok: true, changed: Number(res?.modifiedCount || 0) + variantOut.changed };
 }
 
 function getWebhookItemQty(item) {
@@ -419,6 +459,7 @@ function buildStockItemsFromOrder(orderDoc) {
       .map((x) => ({
         productId: String(x?.productId || '').trim(),
         quantity: Number(x?.quantity || 1),
+        variants: x?.variants || {},
       }))
       .filter((x) => x.productId && Number.isFinite(x.quantity) && x.quantity > 0);
   }
@@ -428,6 +469,7 @@ function buildStockItemsFromOrder(orderDoc) {
     .map((it) => ({
       productId: pickProductKeyFromItem(it),
       quantity: Number(it?.quantity || 1),
+      variants: it?.variants || {},
     }))
     .filter((x) => x.productId && Number.isFinite(x.quantity) && x.quantity > 0);
 }
@@ -515,6 +557,33 @@ router.post(
       });
     }
 
+    // ---- Buyer disputes / chargebacks (Internal and CJ orders) ----
+    if (isDisputeEventType(eventType)) {
+      try {
+        const out = await ingestDisputeEvent(body);
+
+        return res.json({
+          ok: true,
+          handled: 'dispute',
+          eventType,
+          eventId,
+          disputeId: out.dispute?.disputeId || null,
+          outcome: out.dispute?.outcome || null,
+          duplicate: !!out.duplicate,
+          reason: out.reason,
+        });
+      } catch (err) {
+        // Ingestion is idempotent, so let PayPal retry.
+        console.error('[PAYPAL] dispute webhook failed:', {
+          eventType,
+          eventId,
+          message: String(err?.message || err),
+        });
+
+        return res.status(500).json({ ok: false, handled: 'dispute', eventType, eventId });
+      }
+    }
+
     // ---- Payout batch events: auto-sync local payout status/items ----
     if (isPayoutBatchEventType(eventType)) {
       try {
@@ -597,6 +666,22 @@ router.post(
       });
     }
 
+    const returnRefund =
+      eventType !== 'PAYMENT.CAPTURE.REVERSED' &&
+      (await isReturnRefund(order._id, refundId, refundAmount));
+
+    if (returnRefund) {
+      return res.json({
+        ok: true,
+        ignored: true,
+        reason: 'return-refund',
+        captureId,
+        refundId,
+        eventType,
+        eventId,
+      });
+    }
+
     order.refunds = Array.isArray(order.refunds) ? order.refunds : [];
 
     // ✅ Strong idempotency:
@@ -652,6 +737,8 @@ router.post(
 
     await order.save();
 
+    if (!already) await issueCreditNotesSafely(order);
+
     // ✅ Restore stock on FULL refund (idempotent)
     let inventoryRestore = null;
     try {
@@ -665,8 +752,18 @@ router.post(
       console.warn('⚠️ Inventory restore exception:', e?.message || String(e));
     }
 
+    // A reversal from a chargeback is debited by the dispute's outcome instead.
+    let reversedByDispute = false;
+    if (eventType === 'PAYMENT.CAPTURE.REVERSED') {
+      try {
+        reversedByDispute = await hasDisputeForCapture(captureId);
+      } catch (e) {
+        console.warn('⚠️ dispute lookup failed:', e?.message || String(e));
+      }
+    }
+
     // Optional: debit seller ledger (so seller balance + payouts drop immediately)
-    if (typeof debitSellersFromRefund === 'function') {
+    if (typeof debitSellersFromRefund === 'function' && !reversedByDispute) {
       try {
         await debitSellersFromRefund(order, {
           refundId,
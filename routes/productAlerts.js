@@ -0,0 +1,123 @@
+// routes/productAlerts.js
+'use strict';
+
+const express = require('express');
+
+const {
+  subscribeToProductAlert,
+  unsubscribeProductAlert,
+  resubscribeProductAlert,
+} = require('../utils/alerts/productAlertService');
+
+const router = express.Router();
+
+const SUBSCRIBE_ERRORS = {
+  NO_ALERT_SELECTED: 'Choose at least one alert.',
+  INVALID_EMAIL: 'Please enter a valid email address.',
+  INVALID_SUBSCRIBER: 'Please sign in again and retry.',
+  PRODUCT_NOT_FOUND: 'This product is no longer available.',
+};
+
+function themeCssFromSession(req) {
+  const theme = req.session?.theme || 'light';
+  return theme === 'dark' ? '/css/dark.css' : '/css/light.css';
+}
+
+// Signed-in shoppers subscribe their account; guests leave an email.
+function subscriberFromRequest(req) {
+  if (req.session?.user?._id) return { type: 'user', id: req.session.user._id };
+  if (req.session?.business?._id) return { type: 'business', id: req.session.business._id };
+  return { type: 'guest', email: req.body?.email };
+}
+
+function checked(value) {
+  return ['1', 'true', 'on', true].includes(value);
+}
+
+/**
+ * POST /alerts/subscribe
+ * Body: { source: 'internal'|'cj', productId, email?, backInStock, priceDrop }
+ * Back-in-stock / price-drop alerts from the product page.
+ */
+router.post('/subscribe', async (req, res) => {
+  try {
+    const result = await subscribeToProductAlert({
+      source: req.body?.source === 'cj' ? 'cj' : 'internal',
+      productRef: req.body?.productId,
+      subscriber: subscriberFromRequest(req),
+      origin: 'product_page',
+      backInStock: checked(req.body?.backInStock),
+      priceDrop: checked(req.body?.priceDrop),
+    });
+
+    if (!result.ok) {
+      return res
+        .status(result.code === 'PRODUCT_NOT_FOUND' ? 404 : 400)
+        .json({ ok: false, error: SUBSCRIBE_ERRORS[result.code] || 'Could not save your alert.' });
+    }
+
+    return res.json({
+      ok: true,
+      message:
+        result.alert.subscriberType === 'guest'
+          ? `We will email ${result.alert.email} about this product.`
+          : 'We will let you know about this product.',
+    });
+  } catch (err) {
+    console.error('❌ product alert subscribe error:', err);
+    return res.status(500).json({ ok: false, error: 'Could not save your alert.' });
+  }
+});
+
+/*
+ * GET /alerts/unsubscribe/:token — the link in every alert email.
+ * Unsubscribes straight away and offers to undo.
+ */
+router.get('/unsubscribe/:token', async (req, res) => {
+  try {
+    const alert = await unsubscribeProductAlert(req.params.token);
+
+    return res.status(alert ? 200 : 404).render('alerts/unsubscribe', {
+      title: 'Product alerts',
+      themeCss: themeCssFromSession(req),
+      nonce: res.locals.nonce,
+      alert,
+      token: alert ? req.params.token : '',
+      resubscribed: false,
+    });
+  } catch (err) {
+    console.error('❌ product alert unsubscribe error:', err);
+    return res.status(500).send('Could not update your alerts. Please try again later.');
+  }
+});
+
+// RFC 8058 one-click unsubscribe, posted by mail clients.
+router.post('/unsubscribe/:token', async (req, res) => {
+  try {
+    const alert = await unsubscribeProductAlert(req.params.token);
+    return res.status(alert ? 200 : 404).send(alert ? 'Unsubscribed.' : 'Not found.');
+  } catch (err) {
+    console.error('❌ product alert one-click unsubscribe error:', err);
+    return res.status(500).send('Error.');
+  }
+});
+
+router.post('/resubscribe/:token', async (req, res) => {
+  try {
+    const alert = await resubscribeProductAlert(req.params.token);
+
+    return res.status(alert ? 200 : 404).render('alerts/unsubscribe', {
+      title: 'Product alerts',
+      themeCss: themeCssFromSession(req),
+      nonce: res.locals.nonce,
+      alert,
+      token: alert ? req.params.token : '',
+      resubscribed: Boolean(alert),
+    });
+  } catch (err) {
+    console.error('❌ product alert resubscribe error:', err);
+    return res.status(500).send('Could not update your alerts. Please try again later.');
+  }
+});
+
+module.exports = router;
@@ -12,6 +12,7 @@ const Rating = require('../models/Rating');
 const currentActor = require('../middleware/currentActor');
 const { clampStars, stripHtml } = require('../utils/sanitize');
 const { recalcProductRating } = require('../utils/ratingUtils');
+const { notifySafely } = require('../utils/notify');
 
 const router = express.Router();
 
@@ -40,7 +41,7 @@ function backOr(req, fallback = '/') {
 async function getProductByCustomId(customId) {
   if (!customId) return null;
   return await Product.findOne({ customId: String(customId).trim() })
-    .select('_id customId name avgRating ratingsCount')
+    .select('_id customId name avgRating ratingsCount business')
     .lean();
 }
 async function productViewUrlByObjectId(productId) {
@@ -203,9 +204,23 @@ router.post('/ratings/submit/:customId', writeLimiter, currentActor(false), asyn
       status: 'published',
     };
 
-    await Rating.updateOne(query, { $set: payload }, { upsert: true });
+    const result = await Rating.updateOne(query, { $set: payload }, { upsert: true });
     await recalcProductRating(product._id);
 
+    // Only first ratings notify the seller; edits would be noise.
+    if (result.upsertedCount && product.business) {
+      await notifySafely({
+        recipientType: 'business',
+        recipientId: product.business,
+        type: 'rating.received',
+        title: `New ${stars}-star rating for ${product.name}`,
+        message: payload.title || '',
+        link: `/store/product/${product.customId}`,
+        productId: product._id,
+        dedupeKey: `rating.received:${result.upsertedId}`,
+      });
+    }
+
     req.flash('success', 'Thanks! Your rating has been saved.');
     return redirect303(res, fallbackUrl);
   } catch (err) {
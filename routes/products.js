@@ -24,6 +24,13 @@ const Business = require('../models/Business');
 const { TAX_COUNTRY_SOURCES } = require('../utils/tax/taxConfig');
 
 const { resolveInternalTaxTreatment } = require('../utils/tax/resolveInternalTaxTreatment');
+const {
+  hasVariantMatrix,
+  variantMatrixFromForm,
+  buildVariantGrid,
+} = require('../utils/inventory/productVariants');
+const { queueProductRematch } = require('../utils/matching/autoMatch');
+const { refundReturnedSupplyStock } = require('../utils/wholesale/supplyRequestPaymentService');
 
 const router = express.Router();
 
@@ -1851,6 +1858,8 @@ router.post(
         );
       }
 
+      queueProductRematch('Product', savedProduct._id);
+
       req.flash('success', '✅ Product added successfully!');
       return res.redirect('/products/all');
     } catch (err) {
@@ -2197,6 +2206,7 @@ router.get(
         title: `Edit: ${product.name}`,
         product,
         business,
+        variantGrid: buildVariantGrid(product),
         success: req.flash('success'),
         error: req.flash('error'),
         themeCss: res.locals.themeCss,
@@ -2263,6 +2273,14 @@ router.post(
           );
         }
 
+        if (hasVariantMatrix(product)) {
+          req.flash(
+            'warning',
+            `"${product.name}" tracks stock per size/color. Update the variant stock on the edit page.`,
+          );
+          return res.redirect(`/products/edit/${encodeURIComponent(product.customId)}`);
+        }
+
         const nextStock = Math.floor(numStock);
 
         const result = await Product.updateOne(
@@ -2379,6 +2397,14 @@ router.post(
         product.size = product.sizes[0];
       }
 
+      // ---------- VARIANT STOCK MATRIX ----------
+      // When on, Product.stock is recalculated from the rows on save.
+      if (req.body.variantStockEnabled !== undefined && !isWholesaleImportedProduct) {
+        product.variants = checkboxOn(req.body.variantStockEnabled)
+          ? variantMatrixFromForm(req.body, { sizes: product.sizes, colors: product.colors })
+          : [];
+      }
+
       // ---------- STATUS FLAGS ----------
       const isNewFlag = checkboxOn(req.body.isNew);
       product.isNewItem = isNewFlag;
@@ -2456,6 +2482,7 @@ router.post(
       ];
 
       await product.save();
+      queueProductRematch('Product', product._id);
 
       const keptProductImageUrls = getProductImageUrls(product);
       await deleteS3UrlsNotStillUsed(oldProductImageUrls, keptProductImageUrls);
@@ -2558,6 +2585,20 @@ router.get('/delete/:id', requireBusiness, requireVerifiedBusiness, async (req,
       });
     }
 
+    // ✅ Stock the seller paid for up front is refunded for the units handed back.
+    let returnRefund = null;
+    if (isWholesaleImportedProduct && product.wholesalePrepaid && sellerStockLeft > 0) {
+      returnRefund = await refundReturnedSupplyStock({
+        sellerId: business._id,
+        productId: product._id,
+        supplyRequestId: product.sourceSupplyRequest,
+        returnedQuantity: sellerStockLeft,
+      }).catch((err) => {
+        console.error('❌ Returned stock refund error:', err);
+        return { refundedCents: 0, failed: 1 };
+      });
+    }
+
     await Product.deleteOne({
       _id: product._id,
       business: business._id,
@@ -2574,6 +2615,20 @@ router.get('/delete/:id', requireBusiness, requireVerifiedBusiness, async (req,
         : '🗑️ Product deleted successfully!',
     );
 
+    if (returnRefund?.refundedCents > 0) {
+      req.flash(
+        'success',
+        `💸 ${returnRefund.currency} ${(returnRefund.refundedCents / 100).toFixed(2)} for the returned stock was refunded to your PayPal account.`,
+      );
+    }
+
+    if (returnRefund?.failed) {
+      req.flash(
+        'error',
+        '⚠️ The refund for the returned stock could not be completed. Please contact support.',
+      );
+    }
+
     return res.redirect('/products/all');
   } catch (err) {
     console.error('❌ Delete product error:', err);
@@ -0,0 +1,36 @@
+// routes/searchSuggestApi.js
+'use strict';
+
+const express = require('express');
+const { getSearchSuggestions } = require('../utils/search/searchSuggestionService');
+const { normalizeSuggestDepartment } = require('../utils/search/searchSuggestions');
+
+const router = express.Router();
+
+/**
+ * GET /api/search/suggest?q=&department=internal|cj
+ * Public typeahead for the store header search. Without `department`
+ * the shopper's current store department is used; the session is not
+ * changed.
+ */
+router.get('/search/suggest', async (req, res) => {
+  try {
+    const department = normalizeSuggestDepartment(
+      req.query.department,
+      req.session?.storeDepartment,
+    );
+
+    const suggestions = await getSearchSuggestions({
+      query: Array.isArray(req.query.q) ? req.query.q[0] : req.query.q,
+      department,
+    });
+
+    res.set('Cache-Control', 'private, max-age=30');
+    return res.json({ ok: true, ...suggestions });
+  } catch (err) {
+    console.error('❌ search suggest error:', err);
+    return res.status(500).json({ ok: false, error: 'Suggestions are unavailable right now.' });
+  }
+});
+
+module.exports = router;
@@ -9,7 +9,17 @@ const requireVerifiedBusiness = require('../middleware/requireVerifiedBusiness')
 
 const Business = require('../models/Business');
 const Payout = require('../models/Payout');
+const SellerBalanceLedger = require('../models/SellerBalanceLedger');
 const { getSellerAvailableCents } = require('../utils/payouts/getSellerAvailableCents');
+const {
+  pickCommissionRule,
+  describeCommissionRule,
+  clampFeeBps,
+} = require('../utils/payouts/commissionRules');
+const {
+  loadActiveCommissionRules,
+  loadSellerStartDates,
+} = require('../utils/payouts/commissionService');
 
 const router = express.Router();
 
@@ -24,6 +34,100 @@ function centsToAmount(cents) {
   return Number((Number(cents || 0) / 100).toFixed(2));
 }
 
+function bpsToPercent(bps) {
+  return Number((Number(bps || 0) / 100).toFixed(2));
+}
+
+const COMMISSION_WINDOW_DAYS = 30;
+
+// Commission actually charged on this seller's recent EARNING rows, per
+// applied rule, plus the seller-wide rule in force today (category and
+// product type rules vary per product and are reported per rule only).
+async function loadSellerCommission(businessId, businessObjectId, currency) {
+  const since = new Date(Date.now() - COMMISSION_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const now = new Date();
+
+  const [byRule, rules, startDates] = await Promise.all([
+    SellerBalanceLedger.aggregate([
+      {
+        $match: {
+          businessId: businessObjectId,
+          type: 'EARNING',
+          currency,
+          createdAt: { $gte: since },
+          'meta.payoutRole': { $ne: 'supplier' },
+        },
+      },
+      // $last below reports each rule as it was on the newest line.
+      { $sort: { createdAt: 1 } },
+      {
+        $group: {
+          _id: { $ifNull: ['$meta.commissionRule.id', ''] },
+          name: { $last: '$meta.commissionRule.name' },
+          scope: { $last: '$meta.commissionRule.scope' },
+          feeBps: { $last: { $ifNull: ['$meta.commissionRule.feeBps', '$meta.platformFeeBps'] } },
+          minFeePerItem: { $last: '$meta.commissionRule.minFeePerItem' },
+          lines: { $sum: 1 },
+          feeCents: { $sum: { $ifNull: ['$meta.feeCents', 0] } },
+          // Line gross: fee + net overstates it on prepaid imported lines.
+          grossCents: {
+            $sum: {
+              $ifNull: [
+                '$meta.grossCents',
+                { $add: [{ $ifNull: ['$meta.feeCents', 0] }, '$amountCents'] },
+              ],
+            },
+          },
+        },
+      },
+      { $sort: { feeCents: -1 } },
+    ]),
+    loadActiveCommissionRules(now),
+    loadSellerStartDates([businessId]),
+  ]);
+
+  const feeCents = byRule.reduce((sum, r) => sum + Number(r.feeCents || 0), 0);
+  const feeBaseCents = byRule.reduce((sum, r) => sum + Number(r.grossCents || 0), 0);
+
+  const sellerRule = pickCommissionRule(
+    rules.filter((r) => r.scope === 'SELLER' || r.scope === 'NEW_SELLER'),
+    { businessId: String(businessId), sellerSince: startDates.get(String(businessId)) || null },
+    now,
+  );
+
+  const current = describeCommissionRule(sellerRule, process.env.PLATFORM_FEE_BPS || 1000);
+  const sellerSince = startDates.get(String(businessId));
+  const promoEndsAt =
+    sellerRule?.scope === 'NEW_SELLER' && sellerSince
+      ? new Date(new Date(sellerSince).getTime() + sellerRule.newSellerDays * 24 * 60 * 60 * 1000)
+      : null;
+  const endsAt = [sellerRule?.endsAt, promoEndsAt]
+    .filter(Boolean)
+    .map((d) => new Date(d))
+    .sort((a, b) => a - b)[0];
+
+  return {
+    windowDays: COMMISSION_WINDOW_DAYS,
+    fees: centsToAmount(feeCents),
+    effectiveRatePercent: feeBaseCents > 0 ? bpsToPercent((feeCents * 10000) / feeBaseCents) : 0,
+    current: {
+      name: current.name,
+      scope: current.scope,
+      feePercent: bpsToPercent(clampFeeBps(current.feeBps)),
+      minFeePerItem: current.minFeePerItem,
+      endsAt: endsAt ? endsAt.toISOString() : null,
+    },
+    rules: byRule.map((r) => ({
+      name: r.name || 'Platform default',
+      scope: r.scope || 'PLATFORM_DEFAULT',
+      feePercent: bpsToPercent(r.feeBps),
+      minFeePerItem: r.minFeePerItem || '',
+      lines: Number(r.lines || 0),
+      fees: centsToAmount(r.feeCents),
+    })),
+  };
+}
+
 function startOfDay(d) {
   const x = new Date(d);
   x.setHours(0, 0, 0, 0);
@@ -88,7 +192,10 @@ router.get('/earnings', requireBusiness, requireVerifiedBusiness, async (req, re
 
     const currency = String(getBaseCurrency()).toUpperCase();
     const businessObjectId = new mongoose.Types.ObjectId(String(business._id));
-    const eligibilityCents = await getSellerAvailableCents(business._id, currency);
+    const [eligibilityCents, commission] = await Promise.all([
+      getSellerAvailableCents(business._id, currency),
+      loadSellerCommission(business._id, businessObjectId, currency),
+    ]);
 
     // Latest actually paid-out items for this seller only.
     // IMPORTANT:
@@ -206,6 +313,7 @@ router.get('/earnings', requireBusiness, requireVerifiedBusiness, async (req, re
         labels: chartLabels,
         data: chartDataCents.map(centsToAmount),
       },
+      commission,
       updatedAt: new Date().toISOString(),
     });
   } catch (err) {
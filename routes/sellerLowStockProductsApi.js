@@ -6,6 +6,10 @@ const mongoose = require('mongoose');
 
 const Product = require('../models/Product');
 const requireBusiness = require('../middleware/requireBusiness');
+const {
+  hasVariantMatrix,
+  summarizeVariantStock,
+} = require('../utils/inventory/productVariants');
 
 const router = express.Router();
 
@@ -34,18 +38,41 @@ router.get('/low-stock-products', requireBusiness, async (req, res) => {
 
     const LOW_STOCK_THRESHOLD = 20;
 
-    const lowStockProducts = await Product.find({
+    const candidates = await Product.find({
       business: business._id,
-      stock: { $gt: 0, $lte: LOW_STOCK_THRESHOLD },
+      $or: [
+        { stock: { $gt: 0, $lte: LOW_STOCK_THRESHOLD } },
+        { variants: { $elemMatch: { stock: { $gt: 0, $lte: LOW_STOCK_THRESHOLD } } } },
+      ],
     })
-      .select('customId name imageUrl stock category price')
+      .select('customId name imageUrl stock category price variants')
       .sort({ stock: 1, updatedAt: -1 })
       .lean();
 
+    // Products with a size/color matrix are judged per variant, so a
+    // product with plenty of "M" can still list a low "XL".
+    const lowStockProducts = candidates
+      .map(({ variants, ...product }) => {
+        if (!hasVariantMatrix({ variants })) return { ...product, lowStockVariants: [] };
+
+        const { lowStockVariants } = summarizeVariantStock(
+          { variants },
+          { threshold: LOW_STOCK_THRESHOLD },
+        );
+        return lowStockVariants.length ? { ...product, lowStockVariants } : null;
+      })
+      .filter(Boolean);
+
+    const lowStockVariantCount = lowStockProducts.reduce(
+      (sum, product) => sum + product.lowStockVariants.length,
+      0,
+    );
+
     return res.json({
       ok: true,
       stats: {
         lowStockCount: lowStockProducts.length,
+        lowStockVariantCount,
         lowStockThreshold: LOW_STOCK_THRESHOLD,
       },
       products: lowStockProducts,
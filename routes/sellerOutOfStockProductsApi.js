@@ -6,6 +6,10 @@ const mongoose = require('mongoose');
 
 const Product = require('../models/Product');
 const requireBusiness = require('../middleware/requireBusiness');
+const {
+  hasVariantMatrix,
+  summarizeVariantStock,
+} = require('../utils/inventory/productVariants');
 
 const router = express.Router();
 
@@ -32,18 +36,32 @@ router.get('/out-of-stock-products', requireBusiness, async (req, res) => {
       });
     }
 
-    const outOfStockProducts = await Product.find({
+    const candidates = await Product.find({
       business: business._id,
-      stock: { $lte: 0 },
+      $or: [{ stock: { $lte: 0 } }, { variants: { $elemMatch: { stock: { $lte: 0 } } } }],
     })
-      .select('customId name imageUrl stock category price')
+      .select('customId name imageUrl stock category price variants')
       .sort({ updatedAt: -1, name: 1 })
       .lean();
 
+    // A sold-out size/color is reported even while other variants are in stock.
+    const outOfStockProducts = candidates.map(({ variants, ...product }) => {
+      if (!hasVariantMatrix({ variants })) return { ...product, outOfStockVariants: [] };
+
+      const { outOfStockVariants } = summarizeVariantStock({ variants });
+      return { ...product, outOfStockVariants };
+    });
+
+    const outOfStockVariantCount = outOfStockProducts.reduce(
+      (sum, product) => sum + product.outOfStockVariants.length,
+      0,
+    );
+
     return res.json({
       ok: true,
       stats: {
         outOfStockCount: outOfStockProducts.length,
+        outOfStockVariantCount,
       },
       products: outOfStockProducts,
     });
@@ -0,0 +1,249 @@
+// routes/sellerPayouts.js
+'use strict';
+
+const express = require('express');
+
+const requireBusiness = require('../middleware/requireBusiness');
+const requireVerifiedBusiness = require('../middleware/requireVerifiedBusiness');
+const requireRole = require('../middleware/requireRole');
+const { notifyAdmins } = require('../utils/notify');
+
+const Business = require('../models/Business');
+const Payout = require('../models/Payout');
+const { getSellerAvailableCents } = require('../utils/payouts/getSellerAvailableCents');
+const {
+  PAYOUT_SCHEDULES,
+  PAYOUT_SCHEDULE_LABELS,
+  normalizePayoutSchedule,
+  nextScheduledPayoutAt,
+  payoutDecision,
+  withdrawalBlockReason,
+} = require('../utils/payouts/payoutScheduleRules');
+const { moneyToCents, centsToMoneyString } = require('../utils/money');
+
+const router = express.Router();
+
+const guards = [requireBusiness, requireVerifiedBusiness, requireRole('seller', 'supplier')];
+
+// 100,000.00; a higher floor would hold funds back indefinitely.
+const MAX_MINIMUM_CENTS = 10000000;
+
+function themeCssFromSession(req) {
+  const theme = req.session?.theme || 'light';
+  return theme === 'dark' ? '/css/dark.css' : '/css/light.css';
+}
+
+function getBaseCurrency() {
+  return (
+    String(process.env.BASE_CURRENCY || '')
+      .trim()
+      .toUpperCase() || 'USD'
+  );
+}
+
+function sessionBusinessId(req) {
+  return String(req.business?._id || req.session?.business?._id || '');
+}
+
+async function loadPayoutState(businessId) {
+  const currency = getBaseCurrency();
+
+  const [business, availableCents] = await Promise.all([
+    Business.findById(businessId).select('_id name email role payouts').lean(),
+    getSellerAvailableCents(businessId, currency),
+  ]);
+
+  return { business, currency, availableCents };
+}
+
+const IN_REVIEW_MESSAGE =
+  'Your balance is already in a payout being prepared. You can request a withdrawal once it is sent.';
+
+// Prepared but not yet sent to PayPal: the seller's balance is spoken for.
+function openReviewFor(businessId) {
+  return Payout.exists({
+    'items.businessId': businessId,
+    approvalStatus: { $in: ['REVIEWED', 'CONFIRMED'] },
+    batchId: { $exists: false },
+  });
+}
+
+async function recentPayoutItems(businessId) {
+  const payouts = await Payout.find({ 'items.businessId': businessId })
+    .sort({ createdAt: -1 })
+    .limit(10)
+    .select('items currency approvalStatus status batchId createdAt confirmedAt')
+    .lean();
+
+  return payouts.map((p) => {
+    const item = (p.items || []).find((i) => String(i.businessId) === String(businessId)) || {};
+
+    return {
+      createdAt: p.confirmedAt || p.createdAt,
+      amountCents: Number(item.amountCents || 0),
+      currency: item.currency || p.currency,
+      status: p.batchId ? item.status : p.approvalStatus,
+    };
+  });
+}
+
+/* SETTINGS PAGE */
+router.get('/payouts', ...guards, async (req, res) => {
+  try {
+    const businessId = sessionBusinessId(req);
+    const { business, currency, availableCents } = await loadPayoutState(businessId);
+
+    if (!business) {
+      req.flash('error', 'Business not found. Please log in again.');
+      return res.redirect('/business/login');
+    }
+
+    const payouts = business.payouts || {};
+    const [recent, inReview] = await Promise.all([
+      recentPayoutItems(business._id),
+      openReviewFor(business._id),
+    ]);
+
+    return res.render('payouts/index', {
+      title: 'Payouts',
+      active: 'payouts',
+      themeCss: themeCssFromSession(req),
+      nonce: res.locals.nonce,
+      business,
+      currency,
+      availableCents,
+      schedule: normalizePayoutSchedule(payouts.schedule),
+      schedules: PAYOUT_SCHEDULES,
+      scheduleLabels: PAYOUT_SCHEDULE_LABELS,
+      minimum: payouts.minimumCents ? centsToMoneyString(payouts.minimumCents) : '',
+      nextPayoutAt: nextScheduledPayoutAt(payouts),
+      decision: payoutDecision({ payouts, availableCents }),
+      withdrawalBlocked: inReview
+        ? IN_REVIEW_MESSAGE
+        : withdrawalBlockReason({ payouts, availableCents }),
+      withdrawalRequestedAt: payouts.withdrawalRequestedAt || null,
+      inReview: !!inReview,
+      recent,
+      success: req.flash('success'),
+      error: req.flash('error'),
+    });
+  } catch (err) {
+    console.error('❌ seller payouts page error:', err);
+    req.flash('error', 'Could not load your payout settings.');
+    return res.redirect('/business/dashboard');
+  }
+});
+
+/* SAVE SCHEDULE + MINIMUM */
+router.post('/payouts/settings', ...guards, async (req, res) => {
+  try {
+    const schedule = String(req.body.schedule || '')
+      .trim()
+      .toUpperCase();
+    if (!PAYOUT_SCHEDULES.includes(schedule)) {
+      req.flash('error', 'Please choose a payout schedule.');
+      return res.redirect('/business/payouts');
+    }
+
+    const minimumRaw = String(req.body.minimum ?? '').trim();
+    const minimumCents = minimumRaw ? moneyToCents(minimumRaw) : 0;
+    if (!Number.isFinite(minimumCents) || minimumCents < 0 || minimumCents > MAX_MINIMUM_CENTS) {
+      req.flash(
+        'error',
+        `Minimum payout must be between 0 and ${centsToMoneyString(MAX_MINIMUM_CENTS)}.`,
+      );
+      return res.redirect('/business/payouts');
+    }
+
+    await Business.updateOne(
+      { _id: sessionBusinessId(req) },
+      { $set: { 'payouts.schedule': schedule, 'payouts.minimumCents': minimumCents } },
+    );
+
+    req.flash('success', 'Payout settings saved.');
+    return res.redirect('/business/payouts');
+  } catch (err) {
+    console.error('❌ seller payout settings error:', err);
+    req.flash('error', 'Could not save your payout settings.');
+    return res.redirect('/business/payouts');
+  }
+});
+
+/* REQUEST WITHDRAWAL */
+router.post('/payouts/withdraw', ...guards, async (req, res) => {
+  try {
+    const businessId = sessionBusinessId(req);
+    const { business, currency, availableCents } = await loadPayoutState(businessId);
+
+    const blocked = business
+      ? withdrawalBlockReason({ payouts: business.payouts, availableCents })
+      : 'Business not found.';
+    if (blocked) {
+      req.flash('error', blocked);
+      return res.redirect('/business/payouts');
+    }
+
+    if (await openReviewFor(business._id)) {
+      req.flash('error', IN_REVIEW_MESSAGE);
+      return res.redirect('/business/payouts');
+    }
+
+    const out = await Business.updateOne(
+      { _id: business._id, 'payouts.withdrawalRequestedAt': null },
+      { $set: { 'payouts.withdrawalRequestedAt': new Date() } },
+    );
+
+    if (!out.modifiedCount) {
+      req.flash('error', 'You already have a withdrawal request in progress.');
+      return res.redirect('/business/payouts');
+    }
+
+    // No dedupeKey: the conditional update above lets one notification
+    // through per request.
+    await notifyAdmins(['super_admin', 'payout_admin'], {
+      type: 'payout.withdrawal_requested',
+      title: `${business.name || business.email} requested a withdrawal`,
+      message: `${currency} ${centsToMoneyString(availableCents)} available`,
+      link: '/admin/payouts',
+    });
+
+    req.flash(
+      'success',
+      `Withdrawal of ${currency} ${centsToMoneyString(availableCents)} requested. It will be included in the next payout run.`,
+    );
+    return res.redirect('/business/payouts');
+  } catch (err) {
+    console.error('❌ seller withdrawal request error:', err);
+    req.flash('error', 'Could not request a withdrawal.');
+    return res.redirect('/business/payouts');
+  }
+});
+
+/* CANCEL WITHDRAWAL */
+router.post('/payouts/withdraw/cancel', ...guards, async (req, res) => {
+  try {
+    const businessId = sessionBusinessId(req);
+
+    if (await openReviewFor(businessId)) {
+      req.flash(
+        'error',
+        'Your withdrawal is already being paid out and can no longer be cancelled.',
+      );
+      return res.redirect('/business/payouts');
+    }
+
+    await Business.updateOne(
+      { _id: businessId },
+      { $set: { 'payouts.withdrawalRequestedAt': null } },
+    );
+
+    req.flash('success', 'Withdrawal request cancelled.');
+    return res.redirect('/business/payouts');
+  } catch (err) {
+    console.error('❌ seller withdrawal cancel error:', err);
+    req.flash('error', 'Could not cancel the withdrawal request.');
+    return res.redirect('/business/payouts');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,218 @@
+// routes/sellerReturnsApi.js
+'use strict';
+
+const express = require('express');
+const mongoose = require('mongoose');
+
+const requireBusiness = require('../middleware/requireBusiness');
+const requireVerifiedBusiness = require('../middleware/requireVerifiedBusiness');
+
+const ReturnRequest = require('../models/ReturnRequest');
+const {
+  approveReturnRequest,
+  rejectReturnRequest,
+  receiveReturn,
+} = require('../utils/returns/returnService');
+
+const router = express.Router();
+
+function getBiz(req) {
+  return req.business || req.session?.business || null;
+}
+
+function requireSellerJson(req, res, next) {
+  const business = getBiz(req);
+
+  if (!business?._id || !mongoose.isValidObjectId(business._id)) {
+    return res.status(401).json({
+      ok: false,
+      message: 'Unauthorized',
+    });
+  }
+
+  if (String(business.role || '').trim() !== 'seller') {
+    return res.status(403).json({
+      ok: false,
+      message: 'Sellers only',
+    });
+  }
+
+  return next();
+}
+
+// Shape sent to the dashboard (no buyer ids, no raw ledger output)
+function shapeReturn(r) {
+  return {
+    id: String(r._id),
+    rmaNumber: r.rmaNumber,
+    orderId: r.orderPublicId,
+    status: r.status,
+    reason: r.reason,
+    details: r.details,
+    quantity: r.quantity,
+    item: {
+      productId: r.item?.productId || '',
+      name: r.item?.name || '',
+      imageUrl: r.item?.imageUrl || '',
+      variants: r.item?.variants || {},
+      unitPrice: r.item?.unitPrice || '0.00',
+      currency: r.item?.currency || '',
+    },
+    sellerNote: r.sellerNote || '',
+    returnLabel: {
+      provider: r.returnLabel?.provider || '',
+      carrier: r.returnLabel?.carrier || '',
+      trackingNumber: r.returnLabel?.trackingNumber || '',
+      trackingUrl: r.returnLabel?.trackingUrl || '',
+      labelUrl: r.returnLabel?.labelUrl || '',
+      lastError: r.returnLabel?.lastError || '',
+    },
+    refund: {
+      amount: r.refund?.amount || '',
+      currency: r.refund?.currency || '',
+      refundedAt: r.refund?.refundedAt || null,
+      lastError: r.refund?.lastError || '',
+    },
+    restocked: r.restocked === true,
+    createdAt: r.createdAt,
+    updatedAt: r.updatedAt,
+  };
+}
+
+async function loadSellerReturn(req, res) {
+  const business = getBiz(req);
+
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ ok: false, message: 'Return not found' });
+    return null;
+  }
+
+  const returnRequest = await ReturnRequest.findOne({
+    _id: req.params.id,
+    sellerBusiness: business._id,
+  });
+
+  if (!returnRequest) {
+    res.status(404).json({ ok: false, message: 'Return not found' });
+    return null;
+  }
+
+  return returnRequest;
+}
+
+function sendActionError(res, err, label) {
+  if (err?.status && err.status < 500) {
+    return res.status(err.status).json({ ok: false, code: err.code, message: err.message });
+  }
+
+  console.error(`❌ seller returns ${label} error:`, err);
+  return res.status(500).json({ ok: false, message: `Failed to ${label} return` });
+}
+
+// GET /api/seller/returns?status=REQUESTED
+router.get('/returns', requireBusiness, requireVerifiedBusiness, requireSellerJson, async (req, res) => {
+  try {
+    const business = getBiz(req);
+    const status = String(req.query.status || '').trim().toUpperCase();
+
+    const query = { sellerBusiness: business._id };
+    if (status && ReturnRequest.RETURN_STATUSES.includes(status)) query.status = status;
+
+    const limit = Math.max(1, Math.min(100, Number.parseInt(req.query.limit, 10) || 50));
+
+    const [rows, openCount] = await Promise.all([
+      ReturnRequest.find(query).sort({ createdAt: -1 }).limit(limit).lean(),
+      ReturnRequest.countDocuments({
+        sellerBusiness: business._id,
+        status: { $in: ['REQUESTED', 'APPROVED', 'LABEL_ISSUED', 'REFUND_FAILED'] },
+      }),
+    ]);
+
+    return res.json({
+      ok: true,
+      stats: { openCount },
+      returns: rows.map(shapeReturn),
+    });
+  } catch (error) {
+    console.error('❌ seller returns api error:', error);
+    return res.status(500).json({
+      ok: false,
+      message: 'Failed to load returns',
+    });
+  }
+});
+
+// POST /api/seller/returns/:id/approve  { note }
+router.post(
+  '/returns/:id/approve',
+  requireBusiness,
+  requireVerifiedBusiness,
+  requireSellerJson,
+  async (req, res) => {
+    try {
+      const returnRequest = await loadSellerReturn(req, res);
+      if (!returnRequest) return;
+
+      await approveReturnRequest(
+        returnRequest,
+        { type: 'seller', id: getBiz(req)._id },
+        req.body?.note,
+      );
+
+      return res.json({ ok: true, return: shapeReturn(returnRequest) });
+    } catch (err) {
+      return sendActionError(res, err, 'approve');
+    }
+  },
+);
+
+// POST /api/seller/returns/:id/reject  { note }
+router.post(
+  '/returns/:id/reject',
+  requireBusiness,
+  requireVerifiedBusiness,
+  requireSellerJson,
+  async (req, res) => {
+    try {
+      const returnRequest = await loadSellerReturn(req, res);
+      if (!returnRequest) return;
+
+      await rejectReturnRequest(
+        returnRequest,
+        { type: 'seller', id: getBiz(req)._id },
+        req.body?.note,
+      );
+
+      return res.json({ ok: true, return: shapeReturn(returnRequest) });
+    } catch (err) {
+      return sendActionError(res, err, 'reject');
+    }
+  },
+);
+
+// POST /api/seller/returns/:id/receive  { restock: true|false }
+// Marks the goods as received, refunds the buyer and restocks.
+router.post(
+  '/returns/:id/receive',
+  requireBusiness,
+  requireVerifiedBusiness,
+  requireSellerJson,
+  async (req, res) => {
+    try {
+      const returnRequest = await loadSellerReturn(req, res);
+      if (!returnRequest) return;
+
+      await receiveReturn(
+        returnRequest,
+        { type: 'seller', id: getBiz(req)._id },
+        { restock: req.body?.restock !== false && req.body?.restock !== 'false' },
+      );
+
+      return res.json({ ok: true, return: shapeReturn(returnRequest) });
+    } catch (err) {
+      return sendActionError(res, err, 'receive');
+    }
+  },
+);
+
+module.exports = router;
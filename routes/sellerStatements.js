@@ -0,0 +1,81 @@
+// routes/sellerStatements.js
+'use strict';
+
+const express = require('express');
+
+const requireBusiness = require('../middleware/requireBusiness');
+const requireVerifiedBusiness = require('../middleware/requireVerifiedBusiness');
+const requireRole = require('../middleware/requireRole');
+
+const {
+  loadSellerStatement,
+  loadStatementPeriods,
+} = require('../utils/payouts/sellerStatementService');
+const { sendSellerStatementFile } = require('../utils/payouts/sendSellerStatementFile');
+
+const router = express.Router();
+
+// Sellers and suppliers both have SellerBalanceLedger rows.
+const guards = [requireBusiness, requireVerifiedBusiness, requireRole('seller', 'supplier')];
+
+function themeCssFromSession(req) {
+  const theme = req.session?.theme || 'light';
+  return theme === 'dark' ? '/css/dark.css' : '/css/light.css';
+}
+
+function sessionBusiness(req) {
+  return req.business || req.session?.business || null;
+}
+
+/* STATEMENT PAGE */
+router.get('/statements', ...guards, async (req, res) => {
+  try {
+    const business = sessionBusiness(req);
+
+    const [statement, periods] = await Promise.all([
+      loadSellerStatement(business._id, { month: req.query.month, currency: req.query.currency }),
+      loadStatementPeriods(business._id),
+    ]);
+
+    return res.render('statements/index', {
+      title: `Statement ${statement.month.label}`,
+      active: 'statements',
+      themeCss: themeCssFromSession(req),
+      nonce: res.locals.nonce,
+      business,
+      statement,
+      months: periods.months,
+      currencies: periods.currencies,
+      error: req.flash('error'),
+    });
+  } catch (err) {
+    console.error('❌ seller statement error:', err);
+    req.flash('error', 'Could not load your statement.');
+    return res.redirect('/business/dashboard');
+  }
+});
+
+/* DOWNLOAD */
+router.get('/statements/:month/:format', ...guards, async (req, res) => {
+  const format = String(req.params.format || '').toLowerCase();
+  if (format !== 'csv' && format !== 'pdf') {
+    req.flash('error', 'Statements can be downloaded as CSV or PDF.');
+    return res.redirect('/business/statements');
+  }
+
+  try {
+    const business = sessionBusiness(req);
+    const statement = await loadSellerStatement(business._id, {
+      month: req.params.month,
+      currency: req.query.currency,
+    });
+
+    return await sendSellerStatementFile(res, { business, statement, format });
+  } catch (err) {
+    console.error('❌ seller statement download error:', err);
+    req.flash('error', 'Could not download your statement.');
+    return res.redirect('/business/statements');
+  }
+});
+
+module.exports = router;
@@ -101,6 +101,19 @@ const { CJ_KASYORA_VAT_RATE, TAX_COUNTRY_SOURCES } = require('../utils/tax/taxCo
 
 const { resolveInternalTaxTreatment } = require('../utils/tax/resolveInternalTaxTreatment');
 
+const {
+  parseShopSearchParams,
+  shopFilterQueryString,
+} = require('../utils/search/shopSearch');
+
+const { searchShopProducts } = require('../utils/search/shopSearchService');
+
+const { recordSearchQuery } = require('../utils/search/searchSuggestionService');
+
+const { isPlainShopSearch } = require('../utils/search/searchSuggestions');
+
+const { takeCartNotices } = require('../utils/cartRecovery/savedCartService');
+
 const BASE_CURRENCY =
   String(process.env.BASE_CURRENCY || '')
     .trim()
@@ -3392,6 +3405,15 @@ router.get('/store/shop', async (req, res) => {
         loadCjHomeMidBanners(),
       ]);
 
+      // Popular and zero-result search tracking (admin Search Insights).
+      if (isPlainShopSearch(req.query)) {
+        recordSearchQuery({
+          query: keyword,
+          department: 'cj',
+          resultCount: cjShopResult.totalProducts,
+        });
+      }
+
       /*
        * Resolve the same separate CJ left and right promo offers
        * already used by the CJ Store homepage.
@@ -3674,94 +3696,39 @@ router.get('/store/shop', async (req, res) => {
      * Preserve the existing internal seller/supplier
      * queries, pagination, ratings and marketing records.
      */
-    const shopQuery = {
-      stock: {
-        $gt: 0,
-      },
-    };
+    /*
+     * Full-text search with facets (utils/search).
+     *
+     * Sidebar prices are entered as shown to the shopper, so they are
+     * converted back with the same VAT and display-currency factor the
+     * view applies to Product.price.
+     */
+    const displayRate = Number(res.locals.displayRate);
 
-    if (category) {
-      shopQuery.category = category;
-    }
+    const shopPriceFactor =
+      (1 + Number(storefrontTaxContext.vatRate || 0)) *
+      (Number.isFinite(displayRate) && displayRate > 0 ? displayRate : 1);
 
-    if (keyword) {
-      const escapedKeyword = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-
-      const keywordRegex = new RegExp(escapedKeyword, 'i');
+    const shopSearchParams = parseShopSearchParams(req.query, {
+      priceFactor: shopPriceFactor,
+    });
 
-      shopQuery.$or = [
-        {
-          name: keywordRegex,
-        },
-        {
-          category: keywordRegex,
-        },
-        {
-          type: keywordRegex,
-        },
-        {
-          description: keywordRegex,
-        },
-        {
-          color: keywordRegex,
-        },
-        {
-          size: keywordRegex,
-        },
-        {
-          keywords: keywordRegex,
-        },
-      ];
-    }
+    const shopSearch = await searchShopProducts(shopSearchParams, {
+      page: requestedPage,
+      perPage,
+    });
 
-    let shopSort = {
-      createdAt: -1,
-      _id: -1,
-    };
+    const { totalProducts, totalPages, currentPage } = shopSearch;
 
-    if (selectedSort === 'popular') {
-      shopSort = {
-        soldCount: -1,
-        createdAt: -1,
-      };
-    } else if (selectedSort === 'newest') {
-      shopSort = {
-        createdAt: -1,
-        _id: -1,
-      };
-    } else if (selectedSort === 'rating') {
-      shopSort = {
-        avgRating: -1,
-        ratingsCount: -1,
-        createdAt: -1,
-      };
-    } else if (selectedSort === 'price_asc') {
-      shopSort = {
-        price: 1,
-        createdAt: -1,
-      };
-    } else if (selectedSort === 'price_desc') {
-      shopSort = {
-        price: -1,
-        createdAt: -1,
-      };
+    if (isPlainShopSearch(req.query)) {
+      recordSearchQuery({
+        query: shopSearchParams.keyword,
+        department: 'internal',
+        resultCount: totalProducts,
+      });
     }
 
-    const totalProducts = await Product.countDocuments(shopQuery);
-
-    const totalPages = Math.max(1, Math.ceil(totalProducts / perPage));
-
-    const safeRequestedPage = Number.isFinite(requestedPage) ? Math.floor(requestedPage) : 1;
-
-    const currentPage = Math.min(Math.max(safeRequestedPage, 1), totalPages);
-
-    const skip = (currentPage - 1) * perPage;
-
-    const shopProductsRaw = await Product.find(shopQuery)
-      .sort(shopSort)
-      .skip(skip)
-      .limit(perPage)
-      .lean();
+    const shopProductsRaw = shopSearch.products;
 
     const featuredSidebarRaw = await getFeaturedProducts(4);
 
@@ -3985,9 +3952,21 @@ router.get('/store/shop', async (req, res) => {
       shopHeaderImage,
 
       selectedKeyword: keyword,
-      selectedCategory: category,
+      selectedCategory: shopSearchParams.filters.category[0] || '',
       selectedSort,
 
+      /*
+       * Facet counts for the sidebar, the active filters and the
+       * query string that keeps them across pages and sorting.
+       */
+      shopFacets: shopSearch.facets,
+      shopFilters: shopSearchParams.filters,
+      shopDisplayPrice: shopSearchParams.displayPrice,
+      shopPriceFactor,
+      shopFilterQuery: shopFilterQueryString(shopSearchParams, { except: ['category'] }),
+      selectedCategories: shopSearchParams.filters.category,
+      correctedKeyword: shopSearch.correctedKeyword,
+
       currentPage,
       totalPages,
       totalProducts,
@@ -4227,9 +4206,9 @@ router.get('/store/product/:id', async (req, res) => {
   const storefrontTaxContext = resolveStorefrontTaxContext(req, 'internal');
 
   try {
+    // Sold-out products stay viewable so shoppers can ask for a back-in-stock alert.
     const rawProduct = await Product.findOne({
       customId: req.params.id,
-      stock: { $gt: 0 },
     }).lean();
 
     if (!rawProduct) {
@@ -4419,6 +4398,9 @@ router.get('/store/cart', async (req, res) => {
 
       cartItems,
 
+      // Price/stock changes found when a saved cart was merged or pulled in
+      cartNotices: takeCartNotices(req, 'internal'),
+
       cartSubtotal: Number(cartSubtotal.toFixed(2)),
 
       cartCount,
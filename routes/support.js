@@ -0,0 +1,221 @@
+// routes/support.js
+'use strict';
+
+const crypto = require('crypto');
+const express = require('express');
+const mongoose = require('mongoose');
+
+const SupportTicket = require('../models/SupportTicket');
+const Order = require('../models/Order');
+const requireAnySession = require('../middleware/requireAnySession');
+const { createTicket, addRequesterReply } = require('../utils/support/ticketService');
+
+const router = express.Router();
+
+function safe(v, max = 200) {
+  return String(v ?? '')
+    .trim()
+    .slice(0, max);
+}
+
+function themeCssFromSession(req) {
+  const theme = req.session?.theme || 'light';
+  return theme === 'dark' ? '/css/dark.css' : '/css/light.css';
+}
+
+function safeEq(a, b) {
+  const aa = Buffer.from(String(a || ''));
+  const bb = Buffer.from(String(b || ''));
+  if (aa.length !== bb.length) return false;
+  return crypto.timingSafeEqual(aa, bb);
+}
+
+function requesterFromSession(req) {
+  const user = req.session?.user;
+  if (user?._id) {
+    return { type: 'user', userId: user._id, name: user.name || '', email: user.email || '' };
+  }
+
+  const business = req.session?.business;
+  if (business?._id) {
+    return {
+      type: 'business',
+      businessId: business._id,
+      name: business.name || '',
+      email: business.email || '',
+      businessRole: business.role || '',
+    };
+  }
+
+  return null;
+}
+
+// Tickets the logged-in user and/or business opened.
+function ownerFilters(req) {
+  const filters = [];
+
+  const userId = String(req.session?.user?._id || '');
+  const businessId = String(req.session?.business?._id || '');
+
+  if (mongoose.isValidObjectId(userId)) filters.push({ 'requester.userId': userId });
+  if (mongoose.isValidObjectId(businessId)) filters.push({ 'requester.businessId': businessId });
+
+  return filters;
+}
+
+/**
+ * Loads a ticket the current request may see: the owner's session, or the
+ * guest access token from the emailed link (?t= or the reply form field).
+ */
+async function findAccessibleTicket(req) {
+  const ticketNumber = safe(req.params.number, 40).toUpperCase();
+  if (!ticketNumber) return { ticket: null, token: '' };
+
+  const ticket = await SupportTicket.findOne({ ticketNumber }).select('+accessToken');
+  if (!ticket) return { ticket: null, token: '' };
+
+  const token = safe(req.query?.t || req.body?.t, 100);
+  const tokenOk = !!token && !!ticket.accessToken && safeEq(token, ticket.accessToken);
+
+  const userId = String(req.session?.user?._id || '');
+  const businessId = String(req.session?.business?._id || '');
+
+  const ownerOk =
+    (userId && String(ticket.requester?.userId || '') === userId) ||
+    (businessId && String(ticket.requester?.businessId || '') === businessId);
+
+  if (!tokenOk && !ownerOk) return { ticket: null, token: '' };
+
+  return { ticket, token: tokenOk ? token : '' };
+}
+
+async function recentOrdersFor(req) {
+  const filters = [];
+
+  const userId = String(req.session?.user?._id || '');
+  const businessId = String(req.session?.business?._id || '');
+
+  if (mongoose.isValidObjectId(userId)) filters.push({ userId });
+  if (mongoose.isValidObjectId(businessId)) filters.push({ businessBuyer: businessId });
+
+  if (!filters.length) return [];
+
+  return Order.find({ $or: filters })
+    .select('_id orderId createdAt amount status')
+    .sort({ createdAt: -1 })
+    .limit(25)
+    .lean();
+}
+
+/* MY TICKETS */
+router.get('/tickets', requireAnySession, async (req, res) => {
+  try {
+    const [tickets, orders] = await Promise.all([
+      SupportTicket.find({ $or: ownerFilters(req) })
+        .select(
+          'ticketNumber subject category status orderRef lastMessageAt lastMessageBy createdAt',
+        )
+        .sort({ lastMessageAt: -1 })
+        .limit(100)
+        .lean(),
+      recentOrdersFor(req),
+    ]);
+
+    return res.render('support/tickets', {
+      title: 'My Support Tickets',
+      themeCss: themeCssFromSession(req),
+      nonce: res.locals.nonce,
+      user: req.session.user || null,
+      business: req.session.business || null,
+      tickets,
+      orders,
+      categories: SupportTicket.TICKET_CATEGORIES,
+      selectedOrder: safe(req.query.order, 120),
+    });
+  } catch (err) {
+    console.error('❌ support tickets list error:', err);
+    req.flash('error', 'Could not load your support tickets.');
+    return res.redirect('/store/contact');
+  }
+});
+
+/* OPEN A TICKET (logged in) */
+router.post('/tickets', requireAnySession, async (req, res) => {
+  try {
+    const requester = requesterFromSession(req);
+
+    const ticket = await createTicket({
+      requester,
+      subject: req.body.subject,
+      category: req.body.category,
+      message: req.body.message,
+      orderRef: req.body.orderRef,
+      source: 'account',
+    });
+
+    req.flash('success', `Ticket ${ticket.ticketNumber} opened. We will get back to you shortly.`);
+    return res.redirect(`/support/tickets/${encodeURIComponent(ticket.ticketNumber)}`);
+  } catch (err) {
+    if (!err?.status || err.status >= 500) console.error('❌ support ticket create error:', err);
+    req.flash('error', err?.status ? err.message : 'Could not open your ticket.');
+    return res.redirect('/support/tickets');
+  }
+});
+
+/* TICKET THREAD (owner or guest token) */
+router.get('/tickets/:number', async (req, res) => {
+  try {
+    const { ticket, token } = await findAccessibleTicket(req);
+
+    if (!ticket) {
+      req.flash('error', 'Ticket not found.');
+      return res.redirect(requesterFromSession(req) ? '/support/tickets' : '/store/contact');
+    }
+
+    const view = ticket.toObject();
+    delete view.accessToken;
+
+    return res.render('support/ticket', {
+      title: `Ticket ${ticket.ticketNumber}`,
+      themeCss: themeCssFromSession(req),
+      nonce: res.locals.nonce,
+      user: req.session.user || null,
+      business: req.session.business || null,
+      ticket: view,
+      token,
+    });
+  } catch (err) {
+    console.error('❌ support ticket view error:', err);
+    req.flash('error', 'Could not load the ticket.');
+    return res.redirect('/store/contact');
+  }
+});
+
+/* REQUESTER REPLY */
+router.post('/tickets/:number/replies', async (req, res) => {
+  let back = '/store/contact';
+
+  try {
+    const { ticket, token } = await findAccessibleTicket(req);
+
+    if (!ticket) {
+      req.flash('error', 'Ticket not found.');
+      return res.redirect(back);
+    }
+
+    back = `/support/tickets/${encodeURIComponent(ticket.ticketNumber)}${
+      token ? `?t=${encodeURIComponent(token)}` : ''
+    }`;
+
+    await addRequesterReply(ticket, { message: req.body.message });
+
+    req.flash('success', 'Your reply was sent.');
+    return res.redirect(back);
+  } catch (err) {
+    if (!err?.status || err.status >= 500) console.error('❌ support ticket reply error:', err);
+    req.flash('error', err?.status ? err.message : 'Could not send your reply.');
+    return res.redirect(back);
+  }
+});
+
+module.exports = router;
@@ -10,7 +10,19 @@ const User = require('../models/User');
 const Order = require('../models/Order');
 const { sendMail, _FROM } = require('../utils/mailer');
 const ResetToken = require('../models/ResetToken');
+const ReturnRequest = require('../models/ReturnRequest');
 const requireAdmin = require('../middleware/requireAdmin');
+const {
+  checkOrderReturnable,
+  getReturnableQuantity,
+  getReturnWindowDays,
+} = require('../utils/returns/returnPolicy');
+const {
+  findOpenReturnsForOrder,
+  createReturnRequest,
+  cancelReturnRequest,
+} = require('../utils/returns/returnService');
+const { mergeSavedCartsIntoSession } = require('../utils/cartRecovery/savedCartService');
 
 // Optional wishlist model (if you have it).
 let Wishlist = null;
@@ -69,6 +81,26 @@ function ensureVerifiedUser(req, res, next) {
   return res.redirect('/users/login');
 }
 
+/* -----------------------------------------------------
+   Helper: return (RMA) data for the order detail page
+----------------------------------------------------- */
+async function loadReturnContext(order) {
+  const [returns, openReturns] = await Promise.all([
+    ReturnRequest.find({ order: order._id }).sort({ createdAt: -1 }).lean(),
+    findOpenReturnsForOrder(order._id),
+  ]);
+
+  const items = Array.isArray(order.items) ? order.items : [];
+
+  return {
+    returns,
+    returnEligibility: checkOrderReturnable(order),
+    returnableByItem: items.map((_, i) => getReturnableQuantity(order, i, openReturns)),
+    returnReasons: ReturnRequest.RETURN_REASONS,
+    returnWindowDays: getReturnWindowDays(),
+  };
+}
+
 /* -----------------------------------------------------
    Helper: put user into session safely
    - preserves any logged-in business
@@ -79,16 +111,18 @@ function loginUserIntoSession(req, userDoc, remember, cb) {
   const keep = {
     business: req.session?.business || null,
     cart: req.session?.cart || null,
+    cjCart: req.session?.cjCart || null,
     returnTo: req.session?.returnTo || null,
     theme: req.session?.theme || null,
   };
 
-  req.session.regenerate((err) => {
+  req.session.regenerate(async (err) => {
     if (err) return cb(err);
 
     // Restore preserved data
     if (keep.business) req.session.business = keep.business;
     if (keep.cart) req.session.cart = keep.cart;
+    if (keep.cjCart) req.session.cjCart = keep.cjCart;
     if (keep.returnTo) req.session.returnTo = keep.returnTo;
     if (keep.theme) req.session.theme = keep.theme;
 
@@ -108,7 +142,12 @@ function loginUserIntoSession(req, userDoc, remember, cb) {
       req.session.cookie.expires = false;
     }
 
-    // ✅ Force-save the session before redirect
+    // ✅ Bring in the account's saved carts, then force-save the session before redirect
+    try {
+      await mergeSavedCartsIntoSession(req);
+    } catch (mergeErr) {
+      console.warn('[LOGIN] saved cart merge failed:', mergeErr?.message || mergeErr);
+    }
     req.session.save((saveErr) => cb(saveErr || null));
   });
 }
@@ -785,6 +824,7 @@ router.get('/orders/:id', ensureVerifiedUser, async (req, res) => {
     order,
     hasShipment, // Pass this flag to the template
     // You could also pass shippingTracking separately if you want, but the template can access it from order
+    ...(await loadReturnContext(order)),
   });
 });
 
@@ -817,9 +857,81 @@ router.get('/orders/by-order-id/:orderId', ensureVerifiedUser, async (req, res)
     business: req.session.business || null,
     order,
     hasShipment: !!(order.shippingTracking && order.shippingTracking.trackingNumber),
+    ...(await loadReturnContext(order)),
   });
 });
 
+/* =======================================================
+   RETURNS (RMA) — buyer side
+======================================================= */
+router.post('/orders/:id/returns', ensureVerifiedUser, async (req, res) => {
+  const uid = req.session.user._id;
+  const backUrl = `/users/orders/${encodeURIComponent(req.params.id)}`;
+
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      req.flash('error', 'Order not found.');
+      return res.redirect('/users/orders');
+    }
+
+    const order = await Order.findOne({ _id: req.params.id, userId: uid });
+    if (!order) {
+      req.flash('error', 'Order not found.');
+      return res.redirect('/users/orders');
+    }
+
+    const { itemIndex, quantity, reason, details } = req.body || {};
+
+    const returnRequest = await createReturnRequest({
+      order,
+      itemIndex,
+      quantity,
+      reason: String(reason || '').trim().toUpperCase(),
+      details,
+      actor: { type: 'buyer', id: uid },
+    });
+
+    req.flash('success', `Return ${returnRequest.rmaNumber} requested. The seller will review it shortly.`);
+    return res.redirect(backUrl);
+  } catch (err) {
+    if (!err?.status || err.status >= 500) console.error('Return request error:', err);
+    req.flash('error', err?.status ? err.message : 'Could not submit your return request.');
+    return res.redirect(backUrl);
+  }
+});
+
+router.post('/orders/:id/returns/:returnId/cancel', ensureVerifiedUser, async (req, res) => {
+  const uid = req.session.user._id;
+  const backUrl = `/users/orders/${encodeURIComponent(req.params.id)}`;
+
+  try {
+    if (!mongoose.isValidObjectId(req.params.id) || !mongoose.isValidObjectId(req.params.returnId)) {
+      req.flash('error', 'Return not found.');
+      return res.redirect('/users/orders');
+    }
+
+    const returnRequest = await ReturnRequest.findOne({
+      _id: req.params.returnId,
+      order: req.params.id,
+      userId: uid,
+    });
+
+    if (!returnRequest) {
+      req.flash('error', 'Return not found.');
+      return res.redirect(backUrl);
+    }
+
+    await cancelReturnRequest(returnRequest, { type: 'buyer', id: uid });
+
+    req.flash('success', `Return ${returnRequest.rmaNumber} cancelled.`);
+    return res.redirect(backUrl);
+  } catch (err) {
+    if (!err?.status || err.status >= 500) console.error('Return cancel error:', err);
+    req.flash('error', err?.status ? err.message : 'Could not cancel the return.');
+    return res.redirect(backUrl);
+  }
+});
+
 /* =======================================================
    PAYMENTS (derived from Orders)
 ======================================================= */
@@ -15,9 +15,30 @@ const Product = require('../models/Product');
 const Order = require('../models/Order');
 
 const requireBusiness = require('../middleware/requireBusiness');
+const { notifySafely } = require('../utils/notify');
+const { queueProductRematch } = require('../utils/matching/autoMatch');
+const { cancelSupplyRequest } = require('../utils/wholesale/supplyRequestPaymentService');
+const {
+  markSupplyRequestPacked,
+  markSupplyRequestShipped,
+  refreshSupplyRequestTracking,
+  receiveSupplyRequest,
+  closeSupplyRequestShort,
+} = require('../utils/wholesale/supplyFulfillmentService');
+const {
+  SUPPLY_CARRIERS,
+  expectedArrivalDate,
+} = require('../utils/wholesale/supplyFulfillment');
 const requireVerifiedBusiness = require('../middleware/requireVerifiedBusiness');
 const requireOfficialNumberVerified = require('../middleware/requireOfficialNumberVerified');
 
+const {
+  priceTiersFromForm,
+  validatePriceTiers,
+  resolveWholesaleUnitPrice,
+  buildPriceTierTable,
+} = require('../utils/wholesale/priceTiers');
+
 const router = express.Router();
 
 const BASE_CURRENCY =
@@ -825,6 +846,26 @@ router.post(
       });
     }
 
+    const priceTiers = priceTiersFromForm(req.body);
+    const priceTierError = validatePriceTiers(priceTiers, {
+      wholesalePrice: safeNumber(req.body.wholesalePrice),
+      minimumOrderQuantity: safeNumber(req.body.minimumOrderQuantity, 1),
+    });
+
+    if (priceTierError) {
+      return res.status(400).render('supplier-products/new', {
+        title: 'Add Wholesale Product',
+        active: 'supplier-products',
+        business,
+        form: req.body,
+        errors: [{ msg: priceTierError }],
+        themeCss: res.locals.themeCss,
+        nonce: res.locals.nonce,
+        baseCurrency: BASE_CURRENCY,
+        formatMoney: formatWholesaleMoney,
+      });
+    }
+
     let uploadedImageUrl = '';
     let uploadedColorImages = [];
 
@@ -896,7 +937,7 @@ router.post(
       const customId =
         cleanString(req.body.customId) || `SUP-${uuidv4().slice(0, 12).toUpperCase()}`;
 
-      await SupplierProduct.create({
+      const supplierProduct = await SupplierProduct.create({
         supplier: business._id,
         customId,
 
@@ -908,6 +949,7 @@ router.post(
 
         wholesalePrice: safeNumber(req.body.wholesalePrice),
         minimumOrderQuantity: safeNumber(req.body.minimumOrderQuantity, 1),
+        priceTiers,
         availableQuantity: safeNumber(req.body.availableQuantity, 0),
         unit: cleanString(req.body.unit) || 'units',
 
@@ -950,6 +992,8 @@ router.post(
         status: cleanString(req.body.status) || 'active',
       });
 
+      queueProductRematch('SupplierProduct', supplierProduct._id);
+
       req.flash('success', 'Wholesale product added successfully.');
       return res.redirect('/wholesale/supplier/products');
     } catch (err) {
@@ -1077,6 +1121,32 @@ router.post(
       });
     }
 
+    const priceTiers = priceTiersFromForm(req.body);
+    const priceTierError = validatePriceTiers(priceTiers, {
+      wholesalePrice: safeNumber(req.body.wholesalePrice),
+      minimumOrderQuantity: safeNumber(req.body.minimumOrderQuantity, 1),
+    });
+
+    if (priceTierError) {
+      const product = await SupplierProduct.findOne({
+        _id: id,
+        supplier: business._id,
+      }).lean();
+
+      return res.status(400).render('supplier-products/edit', {
+        title: 'Edit Wholesale Product',
+        active: 'supplier-products',
+        business,
+        product,
+        form: req.body,
+        errors: [{ msg: priceTierError }],
+        themeCss: res.locals.themeCss,
+        nonce: res.locals.nonce,
+        baseCurrency: BASE_CURRENCY,
+        formatMoney: formatWholesaleMoney,
+      });
+    }
+
     let newlyUploadedEditUrls = [];
 
     try {
@@ -1097,6 +1167,7 @@ router.post(
 
       existingProduct.wholesalePrice = safeNumber(req.body.wholesalePrice);
       existingProduct.minimumOrderQuantity = safeNumber(req.body.minimumOrderQuantity, 1);
+      existingProduct.priceTiers = priceTiers;
       existingProduct.availableQuantity = safeNumber(req.body.availableQuantity, 0);
       existingProduct.unit = cleanString(req.body.unit) || 'units';
 
@@ -1197,6 +1268,7 @@ router.post(
       }
 
       await existingProduct.save();
+      queueProductRematch('SupplierProduct', existingProduct._id);
 
       const keptProductImageUrls = getSupplierProductImageUrls(existingProduct);
       await deleteS3UrlsNotStillUsed(oldProductImageUrls, keptProductImageUrls);
@@ -1455,6 +1527,7 @@ router.get('/products/:id', async (req, res) => {
       title: product.name,
       active: 'wholesale',
       product,
+      priceTierTable: buildPriceTierTable(product),
       business: getBusiness(req),
       errors: [],
       form: {},
@@ -1525,6 +1598,7 @@ router.post(
           title: product.name,
           active: 'wholesale',
           product,
+          priceTierTable: buildPriceTierTable(product),
           business: seller,
           errors: errors.array(),
           form: req.body,
@@ -1546,6 +1620,7 @@ router.post(
           title: product.name,
           active: 'wholesale',
           product,
+          priceTierTable: buildPriceTierTable(product),
           business: seller,
           errors: [
             {
@@ -1564,11 +1639,13 @@ router.post(
         });
       }
 
-      await SupplyRequest.create({
+      const supplyRequest = await SupplyRequest.create({
         seller: seller._id,
         supplier: product.supplier._id,
         supplierProduct: product._id,
         requestedQuantity,
+        unitPrice: resolveWholesaleUnitPrice(product, requestedQuantity).unitPrice,
+        leadTimeDays: product.leadTimeDays,
         message: cleanString(req.body.message),
         contactName: cleanString(req.body.contactName) || seller.name,
         contactEmail: cleanString(req.body.contactEmail) || seller.email,
@@ -1578,6 +1655,16 @@ router.post(
         status: 'pending',
       });
 
+      await notifySafely({
+        recipientType: 'business',
+        recipientId: product.supplier._id,
+        type: 'supply_request.created',
+        title: `New supply request for ${product.name}`,
+        message: `${seller.name} requested ${requestedQuantity} unit(s).`,
+        link: '/wholesale/supplier/requests',
+        dedupeKey: `supply_request.created:${supplyRequest._id}`,
+      });
+
       req.flash('success', 'Supply request sent to the supplier.');
       return res.redirect('/wholesale/my-requests');
     } catch (err) {
@@ -1603,7 +1690,7 @@ router.get(
 
       const requests = await SupplyRequest.find({ seller: seller._id })
         .populate('supplier', 'name logoUrl country city email phone')
-        .populate('supplierProduct', 'name imageUrl wholesalePrice minimumOrderQuantity unit')
+        .populate('supplierProduct', 'name imageUrl wholesalePrice minimumOrderQuantity unit leadTimeDays')
         .sort({ createdAt: -1 })
         .lean();
 
@@ -1612,6 +1699,7 @@ router.get(
         active: 'my-supply-requests',
         business: seller,
         requests,
+        expectedArrival: expectedArrivalDate,
 
         // ✅ Makes layout.ejs use: container-fluid px-0
         fullWidthPage: true,
@@ -1629,6 +1717,151 @@ router.get(
   },
 );
 
+/* =========================================================
+ * SELLER: Cancel a request that has not been imported
+ * POST /wholesale/my-requests/:id/cancel
+ * Paid requests are refunded to the seller's PayPal account.
+ * ======================================================= */
+router.post(
+  '/my-requests/:id/cancel',
+  requireBusiness,
+  requireVerifiedBusiness,
+  requireRole('seller'),
+  async (req, res) => {
+    try {
+      const seller = getBusiness(req);
+
+      const { refund, needsReview } = await cancelSupplyRequest({
+        requestId: req.params.id,
+        sellerId: seller._id,
+      });
+
+      req.flash(
+        'success',
+        refund?.refundedCents
+          ? `Supply request cancelled. ${formatWholesaleMoney(refund.refundedCents / 100)} was refunded to your PayPal account.`
+          : needsReview
+            ? 'Supply request cancelled. Our team will refund the PayPal payment that is under review.'
+            : 'Supply request cancelled.',
+      );
+      return res.redirect('/wholesale/my-requests');
+    } catch (err) {
+      if (!err?.status || err.status >= 500) console.error('❌ Cancel supply request error:', err);
+      req.flash(
+        'error',
+        err?.status ? err.message : 'Could not cancel this supply request.',
+      );
+      return res.redirect('/wholesale/my-requests');
+    }
+  },
+);
+
+/* =========================================================
+ * SELLER: Confirm stock received from the supplier
+ * POST /wholesale/my-requests/:id/receive
+ * Received units become importable.
+ * ======================================================= */
+router.post(
+  '/my-requests/:id/receive',
+  requireBusiness,
+  requireVerifiedBusiness,
+  requireRole('seller'),
+  async (req, res) => {
+    try {
+      const seller = getBusiness(req);
+
+      const { request, units } = await receiveSupplyRequest({
+        requestId: req.params.id,
+        sellerId: seller._id,
+        quantity: req.body.receivedQuantity,
+      });
+
+      req.flash(
+        'success',
+        request.fulfillment.stage === 'delivered'
+          ? `${units} unit(s) received. The request is fully delivered and ready to import.`
+          : `${units} unit(s) received and ready to import. The rest is still on its way.`,
+      );
+      return res.redirect('/wholesale/my-requests');
+    } catch (err) {
+      if (!err?.status || err.status >= 500) console.error('❌ Receive supply request error:', err);
+      req.flash(
+        'error',
+        err?.status ? err.message : 'Could not record the received stock.',
+      );
+      return res.redirect('/wholesale/my-requests');
+    }
+  },
+);
+
+/* =========================================================
+ * SELLER: Accept a short delivery
+ * POST /wholesale/my-requests/:id/close-short
+ * Units that never arrived are refunded to the seller.
+ * ======================================================= */
+router.post(
+  '/my-requests/:id/close-short',
+  requireBusiness,
+  requireVerifiedBusiness,
+  requireRole('seller'),
+  async (req, res) => {
+    try {
+      const seller = getBusiness(req);
+
+      const { missing, refund } = await closeSupplyRequestShort({
+        requestId: req.params.id,
+        sellerId: seller._id,
+      });
+
+      req.flash(
+        'success',
+        refund?.refundedCents
+          ? `Request closed. ${formatWholesaleMoney(refund.refundedCents / 100)} for ${missing} missing unit(s) was refunded to your PayPal account.`
+          : 'Request closed with the quantity received.',
+      );
+      return res.redirect('/wholesale/my-requests');
+    } catch (err) {
+      if (!err?.status || err.status >= 500) console.error('❌ Close supply request short error:', err);
+      req.flash(
+        'error',
+        err?.status ? err.message : 'Could not close this supply request.',
+      );
+      return res.redirect('/wholesale/my-requests');
+    }
+  },
+);
+
+/* =========================================================
+ * SELLER: Refresh carrier tracking
+ * POST /wholesale/my-requests/:id/tracking
+ * ======================================================= */
+router.post(
+  '/my-requests/:id/tracking',
+  requireBusiness,
+  requireVerifiedBusiness,
+  requireRole('seller'),
+  async (req, res) => {
+    try {
+      const seller = getBusiness(req);
+
+      const { refreshed } = await refreshSupplyRequestTracking({
+        requestId: req.params.id,
+        businessId: seller._id,
+      });
+
+      req.flash(
+        refreshed ? 'success' : 'info',
+        refreshed ? 'Tracking updated.' : 'Tracking was checked a few minutes ago.',
+      );
+      return res.redirect('/wholesale/my-requests');
+    } catch (err) {
+      if (!err?.status || err.status >= 500) console.error('❌ Supply request tracking error:', err);
+      req.flash('error', err?.status ? err.message : 'Could not refresh tracking.');
+      return res.redirect('/wholesale/my-requests');
+    }
+  },
+);
+
 /* =========================================================
  * SUPPLIER: Incoming supply requests
  * GET /wholesale/supplier/requests
@@ -1647,7 +1880,7 @@ router.get(
           'seller',
           'name logoUrl officialNumber officialNumberType verification country city email phone'
         )
-        .populate('supplierProduct', 'name imageUrl wholesalePrice minimumOrderQuantity unit')
+        .populate('supplierProduct', 'name imageUrl wholesalePrice minimumOrderQuantity unit leadTimeDays')
         .sort({ createdAt: -1 })
         .lean();
 
@@ -1656,6 +1889,8 @@ router.get(
         active: 'supplier-requests',
         business: supplier,
         requests,
+        carriers: SUPPLY_CARRIERS,
+        expectedArrival: expectedArrivalDate,
 
         // ✅ Makes layout.ejs use: container-fluid px-0
         fullWidthPage: true,
@@ -1714,6 +1949,18 @@ router.post(
         return res.redirect('/wholesale/supplier/requests');
       }
 
+      await notifySafely({
+        recipientType: 'business',
+        recipientId: updated.seller,
+        type: 'supply_request.approved',
+        title: `Your supply request was approved by ${supplier.name}`,
+        message: [updated.supplierResponse, 'Pay for the request so the supplier can ship it.']
+          .filter(Boolean)
+          .join(' '),
+        link: '/wholesale/my-requests',
+        dedupeKey: `supply_request.approved:${updated._id}`,
+      });
+
       req.flash('success', 'Supply request approved.');
       return res.redirect('/wholesale/supplier/requests');
     } catch (err) {
@@ -1765,6 +2012,16 @@ router.post(
         return res.redirect('/wholesale/supplier/requests');
       }
 
+      await notifySafely({
+        recipientType: 'business',
+        recipientId: updated.seller,
+        type: 'supply_request.rejected',
+        title: `Your supply request was rejected by ${supplier.name}`,
+        message: updated.supplierResponse || '',
+        link: '/wholesale/my-requests',
+        dedupeKey: `supply_request.rejected:${updated._id}`,
+      });
+
       req.flash('success', 'Supply request rejected.');
       return res.redirect('/wholesale/supplier/requests');
     } catch (err) {
@@ -1775,6 +2032,97 @@ router.post(
   },
 );
 
+/* =========================================================
+ * SUPPLIER: Mark a paid request packed
+ * POST /wholesale/supplier/requests/:id/pack
+ * ======================================================= */
+router.post(
+  '/supplier/requests/:id/pack',
+  requireBusiness,
+  requireVerifiedBusiness,
+  requireRole('supplier'),
+  async (req, res) => {
+    try {
+      const supplier = getBusiness(req);
+
+      await markSupplyRequestPacked({
+        requestId: req.params.id,
+        supplierId: supplier._id,
+      });
+
+      req.flash('success', 'Request marked as packed.');
+      return res.redirect('/wholesale/supplier/requests');
+    } catch (err) {
+      if (!err?.status || err.status >= 500) console.error('❌ Pack supply request error:', err);
+      req.flash('error', err?.status ? err.message : 'Failed to mark request as packed.');
+      return res.redirect('/wholesale/supplier/requests');
+    }
+  },
+);
+
+/* =========================================================
+ * SUPPLIER: Ship a paid request
+ * POST /wholesale/supplier/requests/:id/ship
+ * Carrier + tracking number; Shippo and Courier Guy are tracked.
+ * ======================================================= */
+router.post(
+  '/supplier/requests/:id/ship',
+  requireBusiness,
+  requireVerifiedBusiness,
+  requireRole('supplier'),
+  async (req, res) => {
+    try {
+      const supplier = getBusiness(req);
+
+      await markSupplyRequestShipped({
+        requestId: req.params.id,
+        supplierId: supplier._id,
+        carrier: cleanString(req.body.carrier),
+        carrierLabel: cleanString(req.body.carrierLabel),
+        trackingNumber: cleanString(req.body.trackingNumber),
+      });
+
+      req.flash('success', 'Request marked as shipped. The seller was sent the tracking details.');
+      return res.redirect('/wholesale/supplier/requests');
+    } catch (err) {
+      if (!err?.status || err.status >= 500) console.error('❌ Ship supply request error:', err);
+      req.flash('error', err?.status ? err.message : 'Failed to mark request as shipped.');
+      return res.redirect('/wholesale/supplier/requests');
+    }
+  },
+);
+
+/* =========================================================
+ * SUPPLIER: Refresh carrier tracking
+ * POST /wholesale/supplier/requests/:id/tracking
+ * ======================================================= */
+router.post(
+  '/supplier/requests/:id/tracking',
+  requireBusiness,
+  requireVerifiedBusiness,
+  requireRole('supplier'),
+  async (req, res) => {
+    try {
+      const supplier = getBusiness(req);
+
+      const { refreshed } = await refreshSupplyRequestTracking({
+        requestId: req.params.id,
+        businessId: supplier._id,
+      });
+
+      req.flash(
+        refreshed ? 'success' : 'info',
+        refreshed ? 'Tracking updated.' : 'Tracking was checked a few minutes ago.',
+      );
+      return res.redirect('/wholesale/supplier/requests');
+    } catch (err) {
+      if (!err?.status || err.status >= 500) console.error('❌ Supply request tracking error:', err);
+      req.flash('error', err?.status ? err.message : 'Could not refresh tracking.');
+      return res.redirect('/wholesale/supplier/requests');
+    }
+  },
+);
+
 /* =========================================================
  * SUPPLIER: Track products imported by sellers
  * GET /wholesale/supplier/imported-sales
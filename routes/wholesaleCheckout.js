@@ -13,6 +13,13 @@ const Product = require('../models/Product');
 const requireBusiness = require('../middleware/requireBusiness');
 const requireVerifiedBusiness = require('../middleware/requireVerifiedBusiness');
 
+const { resolveWholesaleUnitPrice } = require('../utils/wholesale/priceTiers');
+const {
+  startSupplyRequestPayment,
+  captureSupplyRequestPayment,
+} = require('../utils/wholesale/supplyRequestPaymentService');
+const { importableQuantity } = require('../utils/wholesale/supplyFulfillment');
+
 const router = express.Router();
 
 const BASE_CURRENCY =
@@ -122,6 +129,17 @@ function getWholesaleCart(req) {
   return req.session.wholesaleCart;
 }
 
+function publicBaseUrlFromRequest(req) {
+  const configured = cleanString(
+    process.env.PUBLIC_BASE_URL || process.env.APP_URL || process.env.FRONTEND_URL,
+    2000,
+  );
+
+  if (configured) return configured.replace(/\/+$/, '');
+
+  return `${req.protocol}://${req.get('host')}`.replace(/\/+$/, '');
+}
+
 function saveSession(req) {
   return new Promise((resolve) => {
     if (req.session && typeof req.session.save === 'function') {
@@ -156,7 +174,7 @@ router.post(
         status: 'active',
       })
         .select(
-          '_id supplier name imageUrl wholesalePrice minimumOrderQuantity availableQuantity unit status',
+          '_id supplier name imageUrl wholesalePrice priceTiers minimumOrderQuantity availableQuantity unit status',
         )
         .lean();
 
@@ -200,6 +218,7 @@ router.post(
       }
 
       const cart = getWholesaleCart(req);
+      const pricing = resolveWholesaleUnitPrice(product, requestedQty);
 
       const existing = cart.items.find((item) => {
         return String(item.supplierProduct) === String(product._id);
@@ -207,13 +226,18 @@ router.post(
 
       if (existing) {
         existing.requestedQuantity = requestedQty;
+        existing.wholesalePrice = pricing.unitPrice;
+        existing.basePrice = pricing.basePrice;
+        existing.priceTierMinQuantity = pricing.minQuantity;
       } else {
         cart.items.push({
           supplier: String(product.supplier),
           supplierProduct: String(product._id),
           name: product.name || 'Wholesale Product',
           imageUrl: product.imageUrl || '',
-          wholesalePrice: Number(product.wholesalePrice || 0),
+          wholesalePrice: pricing.unitPrice,
+          basePrice: pricing.basePrice,
+          priceTierMinQuantity: pricing.minQuantity,
           minimumOrderQuantity,
           availableQuantity,
           unit: product.unit || 'units',
@@ -262,7 +286,7 @@ router.post(
         _id: supplierProductId,
         status: 'active',
       })
-        .select('_id minimumOrderQuantity availableQuantity unit')
+        .select('_id wholesalePrice priceTiers minimumOrderQuantity availableQuantity unit')
         .lean();
 
       if (!freshProduct) {
@@ -290,14 +314,27 @@ router.post(
         return res.redirect('/wholesale/checkout');
       }
 
+      const pricing = resolveWholesaleUnitPrice(freshProduct, quantity);
+      const previousPrice = Number(item.wholesalePrice || 0);
+
       item.requestedQuantity = quantity;
+      item.wholesalePrice = pricing.unitPrice;
+      item.basePrice = pricing.basePrice;
+      item.priceTierMinQuantity = pricing.minQuantity;
       item.minimumOrderQuantity = minimumOrderQuantity;
       item.availableQuantity = availableQuantity;
       item.unit = freshProduct.unit || item.unit || 'units';
 
       await saveSession(req);
 
-      req.flash('success', 'Wholesale quantity updated.');
+      if (pricing.unitPrice !== previousPrice) {
+        req.flash(
+          'success',
+          `Wholesale quantity updated. Unit price is now ${formatWholesaleMoney(pricing.unitPrice)}.`,
+        );
+      } else {
+        req.flash('success', 'Wholesale quantity updated.');
+      }
       return res.redirect('/wholesale/checkout');
     } catch (err) {
       console.error('❌ Update wholesale cart error:', err);
@@ -446,7 +483,9 @@ router.post(
           _id: item.supplierProduct,
           status: 'active',
         })
-          .select('_id supplier name minimumOrderQuantity availableQuantity unit status')
+          .select(
+            '_id supplier name wholesalePrice priceTiers minimumOrderQuantity availableQuantity unit leadTimeDays status',
+          )
           .lean();
 
         if (!product) {
@@ -478,6 +517,8 @@ router.post(
           supplier: product.supplier,
           supplierProduct: product._id,
           requestedQuantity,
+          unitPrice: resolveWholesaleUnitPrice(product, requestedQuantity).unitPrice,
+          leadTimeDays: product.leadTimeDays,
           message,
           contactName,
           contactEmail,
@@ -510,21 +551,122 @@ router.post(
   },
 );
 
+/* =========================================================
+ * POST /wholesale/pay/:requestId
+ * Seller pays the supplier for an approved request through PayPal
+ * ======================================================= */
+router.post(
+  '/pay/:requestId',
+  requireBusiness,
+  requireVerifiedBusiness,
+  requireSeller,
+  async (req, res) => {
+    try {
+      const seller = getBusiness(req);
+      const publicBaseUrl = publicBaseUrlFromRequest(req);
+
+      const { approvalUrl, paypalOrderId } = await startSupplyRequestPayment({
+        requestId: cleanString(req.params.requestId, 80),
+        sellerId: seller._id,
+        returnUrl: `${publicBaseUrl}/wholesale/pay/return`,
+        cancelUrl: `${publicBaseUrl}/wholesale/pay/cancel`,
+      });
+
+      req.session.wholesalePayment = {
+        requestId: cleanString(req.params.requestId, 80),
+        paypalOrderId,
+      };
+      await saveSession(req);
+
+      return res.redirect(approvalUrl);
+    } catch (err) {
+      if (!err?.status || err.status >= 500) console.error('❌ Start wholesale payment error:', err);
+      req.flash('error', err?.status ? err.message : 'Could not start the PayPal payment.');
+      return res.redirect('/wholesale/my-requests');
+    }
+  },
+);
+
+/* =========================================================
+ * GET /wholesale/pay/return?token=
+ * PayPal sends the seller back here after approving the payment
+ * ======================================================= */
+router.get(
+  '/pay/return',
+  requireBusiness,
+  requireVerifiedBusiness,
+  requireSeller,
+  async (req, res) => {
+    try {
+      const seller = getBusiness(req);
+      const token = cleanString(req.query.token, 128);
+      const pending = req.session.wholesalePayment || null;
+
+      // Only capture the PayPal order this session started.
+      if (!token || !pending || pending.paypalOrderId !== token) {
+        req.flash('error', 'This PayPal payment session has expired. Please try paying again.');
+        return res.redirect('/wholesale/my-requests');
+      }
+
+      const { alreadyPaid } = await captureSupplyRequestPayment({
+        sellerId: seller._id,
+        paypalOrderId: token,
+      });
+
+      delete req.session.wholesalePayment;
+      await saveSession(req);
+
+      req.flash(
+        alreadyPaid ? 'info' : 'success',
+        alreadyPaid
+          ? 'This supply request was already paid.'
+          : 'Payment received. You can now import this product into your store.',
+      );
+      return res.redirect('/wholesale/my-requests');
+    } catch (err) {
+      if (!err?.status || err.status >= 500) console.error('❌ Wholesale payment capture error:', err);
+      req.flash('error', err?.status ? err.message : 'Could not complete the PayPal payment.');
+      return res.redirect('/wholesale/my-requests');
+    }
+  },
+);
+
+/* =========================================================
+ * GET /wholesale/pay/cancel
+ * Seller backed out of PayPal; the request stays unpaid
+ * ======================================================= */
+router.get(
+  '/pay/cancel',
+  requireBusiness,
+  requireVerifiedBusiness,
+  requireSeller,
+  async (req, res) => {
+    delete req.session.wholesalePayment;
+    await saveSession(req);
+
+    req.flash('info', 'PayPal payment cancelled. You can pay for the request at any time.');
+    return res.redirect('/wholesale/my-requests');
+  },
+);
+
 /* =========================================================
  * POST /wholesale/import/:requestId
- * Seller imports approved supplier product into seller Product collection
+ * Seller imports received supplier stock into seller Product collection
+ *
+ * Only units the seller confirmed as received and has not imported yet
+ * are imported, so a request can be imported in several steps.
  *
  * Stock communication:
  * 1) If seller has never imported this supplier product:
  *    - create seller Product
- *    - Product.stock = approved quantity
+ *    - Product.stock = received quantity
  *
  * 2) If seller already imported this supplier product before:
  *    - do NOT create duplicate product
- *    - add approved quantity to existing Product.stock
+ *    - add received quantity to existing Product.stock
  *
  * 3) Always deduct the same quantity from SupplierProduct.availableQuantity.
- * 4) Mark SupplyRequest as imported so the same request cannot run twice.
+ * 4) Add it to SupplyRequest.importedQuantity so the same units cannot run twice.
  * 5) Roll back supplier stock if something fails.
  * ======================================================= */
 router.post(
@@ -555,13 +697,14 @@ router.post(
           _id: requestId,
           seller: seller._id,
           status: 'approved',
+          'payment.status': { $in: ['paid', 'partially_refunded'] },
+          $expr: {
+            $gt: [
+              { $ifNull: ['$fulfillment.receivedQuantity', 0] },
+              { $ifNull: ['$importedQuantity', 0] },
+            ],
+          },
           $and: [
-            {
-              $or: [
-                { importedAt: null },
-                { importedAt: { $exists: false } },
-              ],
-            },
             {
               $or: [
                 { importLockedAt: null },
@@ -590,14 +733,27 @@ router.post(
           .populate('importedProduct', 'name customId')
           .lean();
 
-        if (existingImported?.importedAt) {
+        if (
+          existingImported?.status === 'approved' &&
+          !['paid', 'partially_refunded'].includes(existingImported.payment?.status)
+        ) {
+          req.flash('error', 'Pay the supplier for this request before importing it.');
+          return res.redirect('/wholesale/my-requests');
+        }
+
+        if (existingImported?.importedAt && !importableQuantity(existingImported)) {
           const importedName =
             existingImported.importedProduct?.name || 'your seller product';
 
-          req.flash('info', `This supply request is already imported as "${importedName}".`);
+          req.flash('info', `All received stock from this supply request is already imported as "${importedName}".`);
           return res.redirect('/products/all');
         }
 
+        if (existingImported?.status === 'approved' && !importableQuantity(existingImported)) {
+          req.flash('error', 'Confirm the quantity you received from the supplier before importing it.');
+          return res.redirect('/wholesale/my-requests');
+        }
+
         req.flash(
           'error',
           'This request cannot be imported right now. It may already be importing, not approved, or unavailable.',
@@ -613,22 +769,29 @@ router.post(
         throw new Error('Supplier product was not found.');
       }
 
-      const approvedQuantity = toPositiveInt(supplyRequest.requestedQuantity, 0);
+      const approvedQuantity = importableQuantity(supplyRequest);
 
       if (approvedQuantity <= 0) {
-        throw new Error('Cannot import this product because the approved request quantity is invalid.');
+        throw new Error('Cannot import this product because no received stock is waiting to be imported.');
       }
 
-      const wholesalePrice = Number(supplierProduct.wholesalePrice || 0);
+      // Requests carry the tier price agreed at checkout; older ones fall back to the list price.
+      const wholesalePrice =
+        supplyRequest.unitPrice != null
+          ? Number(supplyRequest.unitPrice)
+          : Number(supplierProduct.wholesalePrice || 0);
       const supplierId = supplyRequest.supplier?._id || supplyRequest.supplier;
 
       // ✅ Stop the same request from being imported twice.
-      const sameRequestDuplicate = await Product.findOne({
-        business: seller._id,
-        sourceSupplyRequest: supplyRequest._id,
-      })
-        .select('_id customId name stock')
-        .lean();
+      // Later imports of a partially delivered request restock that product below.
+      const sameRequestDuplicate = supplyRequest.importedAt
+        ? null
+        : await Product.findOne({
+            business: seller._id,
+            sourceSupplyRequest: supplyRequest._id,
+          })
+            .select('_id customId name stock')
+            .lean();
 
       if (sameRequestDuplicate) {
         await SupplyRequest.updateOne(
@@ -636,7 +799,7 @@ router.post(
           {
             $set: {
               importedProduct: sameRequestDuplicate._id,
-              importedQuantity: Number(sameRequestDuplicate.stock || approvedQuantity || 0),
+              importedQuantity: approvedQuantity,
               importedAt: new Date(),
             },
             $unset: {
@@ -682,10 +845,13 @@ router.post(
       // ✅ IMPORTANT:
       // If seller already imported this supplier product before,
       // restock that existing seller product instead of creating a duplicate.
+      // Stock that is still unpaid (imported before wholesale payments) stays on
+      // its own product, because its sales still credit the supplier.
       const existingSellerProduct = await Product.findOne({
         business: seller._id,
         sourceType: 'wholesale_import',
         sourceSupplierProduct: supplierProduct._id,
+        $or: [{ wholesalePrepaid: true }, { stock: { $lte: 0 } }],
       })
         .select('_id customId name stock sourceSupplierProduct')
         .lean();
@@ -704,6 +870,7 @@ router.post(
             $set: {
               sourceSupplier: supplierId,
               wholesaleCostPrice: wholesalePrice,
+              wholesalePrepaid: true,
               importedAt: new Date(),
             },
           },
@@ -723,9 +890,11 @@ router.post(
           {
             $set: {
               importedProduct: restockedProduct._id,
-              importedQuantity: approvedQuantity,
               importedAt: new Date(),
             },
+            $inc: {
+              importedQuantity: approvedQuantity,
+            },
             $unset: {
               importLockedAt: '',
             },
@@ -816,6 +985,7 @@ router.post(
         sourceSupplierProduct: supplierProduct._id,
         sourceSupplyRequest: supplyRequest._id,
         wholesaleCostPrice: wholesalePrice,
+        wholesalePrepaid: true,
         importedAt: new Date(),
 
         isNewItem: true,
@@ -831,9 +1001,11 @@ router.post(
         {
           $set: {
             importedProduct: importedProduct._id,
-            importedQuantity: approvedQuantity,
             importedAt: new Date(),
           },
+          $inc: {
+            importedQuantity: approvedQuantity,
+          },
           $unset: {
             importLockedAt: '',
           },
@@ -8,6 +8,7 @@ const router = express.Router();
 
 const Wishlist = require('../models/Wishlist');
 const Product = require('../models/Product');
+const { ensureWishlistAlerts, removeWishlistAlert } = require('../utils/alerts/productAlertService');
 
 /* -----------------------------
  * Helpers
@@ -45,6 +46,16 @@ function requireAnyAccountApi(req, res, next) {
   next();
 }
 
+// Wishlisted products get back-in-stock / price-drop alerts; best effort.
+async function syncWishlistAlert(owner, productId, wished) {
+  try {
+    if (wished) await ensureWishlistAlerts([productId]);
+    else await removeWishlistAlert(owner, productId);
+  } catch (err) {
+    console.warn('⚠️ wishlist alert sync failed:', err?.message || String(err));
+  }
+}
+
 // Resolve either ObjectId string OR customId -> ObjectId string
 async function resolveProductObjectId(productIdOrCustomId) {
   const raw = String(productIdOrCustomId || '').trim();
@@ -161,6 +172,7 @@ router.post('/wishlist/add/:productId', requireAnyAccountPage, async (req, res)
       { $setOnInsert: { ownerType: req.principal.type, ownerId: req.principal.id, productId } },
       { upsert: true },
     );
+    await syncWishlistAlert(req.principal, productId, true);
 
     req.flash?.('success', 'Added to wishlist.');
     return res.redirect('/users/wishlist');
@@ -191,6 +203,7 @@ router.post('/wishlist/remove/:productId', requireAnyAccountPage, async (req, re
         ownerId: req.principal.id,
         productId: resolved,
       });
+      await syncWishlistAlert(req.principal, resolved, false);
     }
 
     // Also try deleting legacy string productId entries (no casting)
@@ -234,6 +247,7 @@ router.post('/wishlist/api/toggle', express.json(), requireAnyAccountApi, async
       await Wishlist.create(query);
       wished = true;
     }
+    await syncWishlistAlert(req.principal, resolvedId, wished);
 
     const count = await Wishlist.countDocuments({
       ownerType: req.principal.type,
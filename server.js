@@ -434,6 +434,20 @@ app.use('/api/admin/orders', sensitiveLimiter); // optional but solid
 app.use('/payment/refund', sensitiveLimiter);
 app.use('/payment/sync-refunds', sensitiveLimiter);
 app.use('/payment/reconcile-recent-refunds', sensitiveLimiter);
+
+// wishlist / product-page stock and price alert sign-ups
+app.use('/alerts/subscribe', sensitiveLimiter);
+
+// 7c) Typeahead fires on every keystroke, so it gets its own per-minute budget
+const suggestLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: process.env.NODE_ENV === 'production' ? 120 : 1000,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({ ok: false, error: 'Too many requests. Please try again later.' });
+  },
+});
 /* ---------------------------------------
    Session Configuration (STABLE)
    ✅ MUST be mounted BEFORE passport.session() and before req.flash usage
@@ -533,6 +547,17 @@ const currencyRoutes = require('./routes/currency');
 
 app.use('/currency', currencyRoutes);
 
+// Signed-in shoppers' carts follow the account across devices: the cart
+// pages pick up changes saved from another device before anything reads them.
+const {
+  trackSavedCart,
+  refreshSessionCart,
+  mergeSavedCartsIntoSession,
+} = require('./utils/cartRecovery/savedCartService');
+
+app.get('/store/cart', refreshSessionCart('internal'));
+app.get('/cj/cart', refreshSessionCart('cj'));
+
 // Store department and separate cart summaries.
 // This does not mix or modify either cart.
 const storeDepartment = require('./middleware/storeDepartment');
@@ -764,6 +789,13 @@ app.get(
       // Clear returnTo after using it
       delete req.session.returnTo;
 
+      // Bring in the account's saved carts (other devices, earlier visits)
+      try {
+        await mergeSavedCartsIntoSession(req);
+      } catch (e) {
+        console.warn('[Google callback] saved cart merge error:', e?.message);
+      }
+
       req.session.save(() => {
         req.flash('success', 'Logged in with Google.');
         return res.redirect(redirectTo);
@@ -793,6 +825,7 @@ app.use((req, res, next) => {
    Import and Register Routers
 --------------------------------------- */
 const productRatingsApiRoutes = require('./routes/productRatingsApi');
+const searchSuggestApiRoutes = require('./routes/searchSuggestApi');
 const adminStatsApi = require('./routes/adminStatsApi');
 const adminInventoryStatsApi = require('./routes/adminInventoryStatsApi');
 const adminAppUsersStatsApi = require('./routes/adminAppUsersStatsApi');
@@ -810,6 +843,7 @@ const sellerTopBestSellersApi = require('./routes/sellerTopBestSellersApi');
 const sellerFastestGrowingProductsApi = require('./routes/sellerFastestGrowingProductsApi');
 const sellerRecentOrdersCardApi = require('./routes/sellerRecentOrdersCardApi');
 const sellerTrendSummaryApi = require('./routes/sellerTrendSummaryApi');
+const sellerReturnsApi = require('./routes/sellerReturnsApi');
 const adminOrdersViewApi = require('./routes/adminOrdersViewApi');
 const adminDashboardRouter = require('./routes/admin/dashboard');
 const deliveryOptionsApi = require('./routes/deliveryOptionsApi');
@@ -825,11 +859,18 @@ const productsRouter = require('./routes/products');
 const wholesaleRoutes = require('./routes/wholesale');
 const wholesaleCheckoutRoutes = require('./routes/wholesaleCheckout');
 const contactRoutes = require('./routes/contact');
+const supportRoutes = require('./routes/support');
+const messagesRoutes = require('./routes/messages');
 const adminRoutes = require('./routes/admin');
 const adminHomeBannersRoutes = require('./routes/adminHomeBanners');
 const adminCjFeaturedBannerRoutes = require('./routes/adminCjFeaturedBanner');
 const adminCjHomePromoOffersRoutes = require('./routes/adminCjHomePromoOffers');
 const adminHomePromoOffersRoutes = require('./routes/adminHomePromoOffers');
+const adminCouponsRoutes = require('./routes/adminCoupons');
+const adminSearchInsightsRoutes = require('./routes/adminSearchInsights');
+const adminSupportRoutes = require('./routes/adminSupport');
+const adminDisputesRoutes = require('./routes/adminDisputes');
+const adminMessagesRoutes = require('./routes/adminMessages');
 const adminHomeMidBannersRoutes = require('./routes/adminHomeMidBanners');
 
 /*
@@ -933,6 +974,8 @@ const cjPaymentRoutes = require('./routes/cjPayment');
 const paymentRouter = require('./routes/payment');
 const usersRouter = require('./routes/users');
 const businessAuthRoutes = require('./routes/businessAuth');
+const sellerStatementsRoutes = require('./routes/sellerStatements');
+const sellerPayoutsRoutes = require('./routes/sellerPayouts');
 const businessSidebarApiRoutes = require('./routes/businessSidebarApi');
 const businessLogoApiRoutes = require('./routes/businessLogoApi');
 const staticPagesRoutes = require('./routes/staticPages');
@@ -943,6 +986,8 @@ const demandsRoutes = require('./routes/demands');
 const matchesRoutes = require('./routes/matches');
 const notificationsRoutes = require('./routes/notifications');
 const wishlistRoutes = require('./routes/wishlist');
+const productAlertsRoutes = require('./routes/productAlerts');
+const cartRecoveryRoutes = require('./routes/cartRecovery');
 const passwordResetRoutes = require('./routes/passwordReset');
 const ratingsRouter = require('./routes/productRatings');
 
@@ -968,6 +1013,9 @@ const publicCjOrderTrackingRoutes = require('./routes/publicCjOrderTracking');
 
 const adminBizVerifyRoutes = require('./routes/adminBusinessVerification');
 const adminPayoutsRoutes = require('./routes/adminPayouts');
+const adminCommissionRulesRoutes = require('./routes/adminCommissionRules');
+const adminSellerStatementsRoutes = require('./routes/adminSellerStatements');
+const adminLedgerAdjustmentsRoutes = require('./routes/adminLedgerAdjustments');
 const adminPlatformFeesMetricApi = require('./routes/adminPlatformFeesMetricApi');
 const adminRefundRateMetricApi = require('./routes/adminRefundRateMetricApi');
 const adminPayoutsPendingMetricApi = require('./routes/adminPayoutsPendingMetricApi');
@@ -975,6 +1023,7 @@ const adminPayoutsCompletedMetricApi = require('./routes/adminPayoutsCompletedMe
 const adminFailedPayoutsMetricApi = require('./routes/adminFailedPayoutsMetricApi');
 const adminAverageOrderValueMetricApi = require('./routes/adminAverageOrderValueMetricApi');
 const adminPendingOrdersMetricApi = require('./routes/adminPendingOrdersMetricApi');
+const adminCartRecoveryMetricApi = require('./routes/adminCartRecoveryMetricApi');
 const adminOrdersNeedingLabelsMetricApi = require('./routes/adminOrdersNeedingLabelsMetricApi');
 const adminNetRevenueMetricApi = require('./routes/adminNetRevenueMetricApi');
 const debugDangerRoutes = require('./routes/debugDanger');
@@ -1009,10 +1058,11 @@ app.use('/cj-ratings', cjRatingsRouter);
 // API first
 
 // Existing internal seller/supplier cart.
-app.use('/api/cart', cartRoutes);
+// Signed-in shoppers' carts are also saved server-side for cart recovery.
+app.use('/api/cart', trackSavedCart('internal'), cartRoutes);
 
 // Separate CJ cart. It never reads or writes req.session.cart.
-app.use('/api/cj-cart', cjCartRoutes);
+app.use('/api/cj-cart', trackSavedCart('cj'), cjCartRoutes);
 
 app.use('/api/seller', sellerStatsApi);
 app.use('/api/seller', sellerEarningsApi);
@@ -1025,6 +1075,7 @@ app.use('/api/seller', sellerTopBestSellersApi);
 app.use('/api/seller', sellerFastestGrowingProductsApi);
 app.use('/api/seller', sellerRecentOrdersCardApi);
 app.use('/api/seller', sellerTrendSummaryApi);
+app.use('/api/seller', sellerReturnsApi);
 
 app.use('/api/admin', adminStatsApi);
 app.use('/api/admin', adminInventoryStatsApi);
@@ -1041,6 +1092,7 @@ app.use('/api/admin', adminFailedPayoutsMetricApi);
 app.use('/api/admin', adminAverageOrderValueMetricApi);
 app.use('/api/admin', adminPendingOrdersMetricApi);
 app.use('/api/admin', adminOrdersNeedingLabelsMetricApi);
+app.use('/api/admin', adminCartRecoveryMetricApi);
 app.use('/admin/api/dashboard', adminDashboardRouter);
 app.use('/api/admin/charts', adminChartsApiRouter);
 // Public API for checkout
@@ -1049,9 +1101,15 @@ app.use('/api', deliveryOptionsApi);
 // rating API
 app.use('/api', productRatingsApiRoutes);
 
+// store header typeahead
+app.use('/api/search', suggestLimiter);
+app.use('/api', searchSuggestApiRoutes);
+
 // Auth & identity
 app.use('/users', usersRouter);
 app.use('/business', businessAuthRoutes);
+app.use('/business', sellerStatementsRoutes);
+app.use('/business', sellerPayoutsRoutes);
 app.use('/business/api', businessSidebarApiRoutes);
 app.use('/business/api', businessLogoApiRoutes);
 
@@ -1079,6 +1137,31 @@ app.use('/admin', adminCjHomePromoOffersRoutes);
  */
 app.use('/admin', adminHomePromoOffersRoutes);
 
+/*
+ * Internal cart / checkout coupon codes.
+ */
+app.use('/admin', adminCouponsRoutes);
+
+/*
+ * Storefront search insights: popular and zero-result searches.
+ */
+app.use('/admin', adminSearchInsightsRoutes);
+
+/*
+ * Support ticket inbox (support_admin).
+ */
+app.use('/admin', adminSupportRoutes);
+
+/*
+ * PayPal dispute queue and evidence (orders_admin, payout_admin read-only).
+ */
+app.use('/admin', adminDisputesRoutes);
+
+/*
+ * Buyer–seller conversations, read-only (support_admin).
+ */
+app.use('/admin', adminMessagesRoutes);
+
 /*
  * Existing Internal Kasyora Store homepage
  * Mid Banners admin flow.
@@ -1181,6 +1264,15 @@ app.use(adminCjOrdersRoutes);
 
 app.use('/admin', adminPayoutsRoutes);
 
+// Per-seller, category, type and new-seller commission overrides.
+app.use('/admin', adminCommissionRulesRoutes);
+
+// Monthly balance statements for any seller or supplier.
+app.use('/admin', adminSellerStatementsRoutes);
+
+// Manual seller balance credits/debits with second-admin approval.
+app.use('/admin', adminLedgerAdjustmentsRoutes);
+
 // Commerce / catalog
 app.use('/products', productsRouter);
 app.use('/wholesale', wholesaleRoutes);
@@ -1194,6 +1286,8 @@ app.use('/payment', paymentRouter);
 
 // Public pages
 app.use('/contact', contactRoutes);
+app.use('/support', supportRoutes);
+app.use('/messages', messagesRoutes);
 app.use('/links', someLinksRoutes);
 
 /*
@@ -1255,6 +1349,12 @@ app.set('view cache', false);
 // Wishlist under /users
 app.use('/users', wishlistRoutes);
 
+// Back-in-stock and price-drop alerts (subscribe + one-click unsubscribe)
+app.use('/alerts', productAlertsRoutes);
+
+// Abandoned cart reminder links (restore cart + marketing unsubscribe)
+app.use('/cart-recovery', cartRecoveryRoutes);
+
 // Password reset
 app.use('/users/password', passwordResetRoutes);
 // Tracking (separate namespace so it never conflicts)
@@ -1706,6 +1806,69 @@ async function startServer() {
     console.warn('⚠️ CJ shipment tracking worker not started:', error?.message || error);
   }
 
+  // =====================================================
+  // CJ imported product re-sync
+  //
+  // Refreshes inventory, source cost and selling price of
+  // active CjProduct records. Off-sale products are paused.
+  // =====================================================
+  try {
+    const { startCjProductSyncWorker } = require('./utils/cj/autoSyncCjProducts');
+
+    startCjProductSyncWorker();
+
+    console.log('✅ CJ product re-sync worker initialized');
+  } catch (error) {
+    console.warn('⚠️ CJ product re-sync worker not started:', error?.message || error);
+  }
+
+  // =====================================================
+  // Demand auto-matching sweep
+  //
+  // Re-scores products and open demands changed since the
+  // last sweep; product/demand routes queue their own runs.
+  // =====================================================
+  try {
+    const { startAutoRematchWorker } = require('./utils/matching/autoRematchWorker');
+
+    startAutoRematchWorker();
+
+    console.log('✅ Demand auto-matching worker initialized');
+  } catch (error) {
+    console.warn('⚠️ Demand auto-matching worker not started:', error?.message || error);
+  }
+
+  // =====================================================
+  // Wishlist back-in-stock and price-drop alerts
+  //
+  // Sweeps restocks (ProductStockHistory), price edits and
+  // CJ re-synced products for followed products.
+  // =====================================================
+  try {
+    const { startProductAlertWorker } = require('./utils/alerts/productAlertWorker');
+
+    startProductAlertWorker();
+
+    console.log('✅ Product alert worker initialized');
+  } catch (error) {
+    console.warn('⚠️ Product alert worker not started:', error?.message || error);
+  }
+
+  // =====================================================
+  // Abandoned cart reminders
+  //
+  // Emails opted-in shoppers whose saved cart went idle.
+  // =====================================================
+  try {
+    const { startCartRecoveryWorker } = require('./utils/cartRecovery/cartRecoveryWorker');
+
+    startCartRecoveryWorker();
+
+    console.log('✅ Cart recovery worker initialized');
+  } catch (error) {
+    console.warn('⚠️ Cart recovery worker not started:', error?.message || error);
+  }
+
   // Start the server
   app.listen(PORT, '0.0.0.0', () => {
     console.log(`🚀 Server running on port ${PORT}`);
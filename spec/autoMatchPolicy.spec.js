@@ -0,0 +1,46 @@
+// spec/autoMatchPolicy.spec.js
+const {
+  autoMatchDays,
+  autoMatchExpiresAt,
+  isAutoMatchOpen,
+  openDemandFilter,
+} = require('../utils/matching/autoMatchPolicy');
+
+describe('demand auto-match policy', () => {
+  const now = new Date('2026-03-01T12:00:00Z');
+  const DAY = 24 * 60 * 60 * 1000;
+
+  it('keeps open demands with a future window', () => {
+    const demand = { status: 'Open', autoMatchExpiresAt: new Date(now.getTime() + DAY) };
+    expect(isAutoMatchOpen(demand, now)).toBeTrue();
+  });
+
+  it('stops after the buyer opts out, the window expires or the demand closes', () => {
+    const future = new Date(now.getTime() + DAY);
+
+    expect(
+      isAutoMatchOpen({ status: 'Open', autoMatch: false, autoMatchExpiresAt: future }, now),
+    ).toBeFalse();
+    expect(
+      isAutoMatchOpen({ status: 'Open', autoMatchExpiresAt: new Date(now.getTime() - 1) }, now),
+    ).toBeFalse();
+    expect(isAutoMatchOpen({ status: 'Closed', autoMatchExpiresAt: future }, now)).toBeFalse();
+  });
+
+  it('gives demands saved before the window a window from createdAt', () => {
+    const createdAt = new Date(now.getTime() - (autoMatchDays() - 1) * DAY);
+    const legacy = { status: 'open', createdAt };
+
+    expect(autoMatchExpiresAt(legacy).getTime()).toBe(createdAt.getTime() + autoMatchDays() * DAY);
+    expect(isAutoMatchOpen(legacy, now)).toBeTrue();
+    expect(isAutoMatchOpen(legacy, new Date(now.getTime() + 2 * DAY))).toBeFalse();
+  });
+
+  it('builds the equivalent Mongo filter', () => {
+    const filter = openDemandFilter(now);
+
+    expect(filter.autoMatch).toEqual({ $ne: false });
+    expect(filter.$or[0]).toEqual({ autoMatchExpiresAt: { $gt: now } });
+    expect(filter.$or[1].createdAt.$gt.getTime()).toBe(now.getTime() - autoMatchDays() * DAY);
+  });
+});
@@ -0,0 +1,156 @@
+// spec/cartRecovery.spec.js
+const {
+  reminderScheduleHours,
+  cartFingerprint,
+  summarizeCart,
+  nextReminderAt,
+  isRecoveryAttributable,
+  mergeCartItems,
+  reconcileCartLine,
+  describeCartNotice,
+} = require('../utils/cartRecovery/cartRecovery');
+const { buildCartReminderEmail } = require('../utils/emails/cartReminderEmail');
+
+describe('cart recovery', () => {
+  it('reads the reminder schedule from the environment, sorted and bounded', () => {
+    expect(reminderScheduleHours('24, 2,junk,2')).toEqual([2, 24]);
+    expect(reminderScheduleHours('')).toEqual([4, 24, 72]);
+    expect(reminderScheduleHours('0,-3')).toEqual([4, 24, 72]);
+  });
+
+  it('fingerprints carts by line and quantity, ignoring order and variant key case', () => {
+    const a = [
+      { productId: 'p1', variants: { Size: 'M', color: 'Red' }, quantity: 2 },
+      { productId: 'p2', quantity: 1 },
+    ];
+    const b = [
+      { productId: 'p2', quantity: 1 },
+      { productId: 'p1', variants: { color: 'red', size: 'm' }, quantity: 2 },
+    ];
+
+    expect(cartFingerprint('internal', a)).toBe(cartFingerprint('internal', b));
+    expect(cartFingerprint('internal', [{ productId: 'p2', quantity: 2 }])).not.toBe(
+      cartFingerprint('internal', [{ productId: 'p2', quantity: 1 }]),
+    );
+    expect(cartFingerprint('cj', [])).toBe('');
+  });
+
+  it('summarizes item count and subtotal from the VAT-exclusive price', () => {
+    expect(
+      summarizeCart([
+        { productId: 'p1', price: 12, priceExVat: 10, quantity: 2 },
+        { productId: 'p2', price: 5.5, quantity: 1 },
+        { productId: 'p3', price: 3, quantity: 0 },
+      ]),
+    ).toEqual({ itemCount: 3, subtotal: 25.5 });
+  });
+
+  it('schedules each reminder from the last activity, spaced from the previous one', () => {
+    const schedule = [4, 24];
+    const lastActivityAt = new Date('2026-03-01T00:00:00Z');
+
+    expect(nextReminderAt({ lastActivityAt, step: 0 }, schedule).toISOString()).toBe(
+      '2026-03-01T04:00:00.000Z',
+    );
+    expect(
+      nextReminderAt(
+        { lastActivityAt, step: 1, lastReminderAt: new Date('2026-03-01T20:00:00Z') },
+        schedule,
+      ).toISOString(),
+    ).toBe('2026-03-02T16:00:00.000Z');
+    expect(nextReminderAt({ lastActivityAt, step: 2 }, schedule)).toBeNull();
+  });
+
+  it('credits a paid cart to a reminder only inside the attribution window', () => {
+    const now = new Date('2026-03-10T00:00:00Z');
+
+    expect(isRecoveryAttributable({ remindersSent: 0 }, now, 7)).toBe(false);
+    expect(
+      isRecoveryAttributable(
+        { remindersSent: 1, lastReminderAt: new Date('2026-03-05T00:00:00Z') },
+        now,
+        7,
+      ),
+    ).toBe(true);
+    expect(
+      isRecoveryAttributable(
+        { remindersSent: 2, lastReminderAt: new Date('2026-03-01T00:00:00Z') },
+        now,
+        7,
+      ),
+    ).toBe(false);
+  });
+
+  it('merges saved lines into the current cart without doubling shared lines', () => {
+    const merged = mergeCartItems(
+      'cj',
+      [{ cjVariantId: 'v1', quantity: 1 }],
+      [
+        { cjVariantId: 'v1', quantity: 3 },
+        { cjVariantId: 'v2', quantity: 1 },
+      ],
+    );
+
+    expect(merged.items.map((item) => [item.cjVariantId, item.quantity])).toEqual([
+      ['v1', 3],
+      ['v2', 1],
+    ]);
+    expect(merged.skipped).toEqual([]);
+  });
+
+  it('skips saved internal lines that would break the second-hand cart policy', () => {
+    const current = [
+      { productId: 'p1', category: 'second-hand-clothes', businessId: 'b1', quantity: 1 },
+    ];
+    const merged = mergeCartItems('internal', current, [
+      { productId: 'p2', category: 'second-hand-clothes', businessId: 'b1', quantity: 1 },
+      { productId: 'p3', category: 'second-hand-clothes', businessId: 'b2', quantity: 1 },
+      { productId: 'p4', category: 'kitchen', businessId: 'b1', quantity: 1 },
+    ]);
+
+    expect(merged.items.map((item) => item.productId)).toEqual(['p1', 'p2']);
+    expect(merged.skipped.map((item) => item.productId)).toEqual(['p3', 'p4']);
+  });
+
+  it('reconciles saved lines with current stock and price', () => {
+    const item = { name: 'Mug', quantity: 5, price: 10 };
+
+    expect(reconcileCartLine(item, { available: 0, unitPrice: 10 })).toEqual({
+      quantity: 0,
+      price: 10,
+      notices: [{ type: 'out_of_stock', name: 'Mug' }],
+    });
+
+    const reduced = reconcileCartLine(item, { available: 2, unitPrice: 12.5 });
+    expect(reduced.quantity).toBe(2);
+    expect(reduced.price).toBe(12.5);
+    expect(reduced.notices.map((n) => n.type)).toEqual(['quantity_reduced', 'price_changed']);
+
+    expect(reconcileCartLine(item, { available: null, unitPrice: 10 }).notices).toEqual([]);
+    expect(describeCartNotice(reduced.notices[1], 'zar')).toBe(
+      'The price of Mug changed from ZAR 10.00 to ZAR 12.50.',
+    );
+  });
+
+  it('links reminder emails to the restore and unsubscribe pages', () => {
+    const email = buildCartReminderEmail({
+      baseUrl: 'https://kasyora.test/',
+      step: 2,
+      isLast: true,
+      name: 'Sam',
+      cart: {
+        department: 'internal',
+        recoveryToken: 'abc',
+        subtotal: 20,
+        currency: 'zar',
+        items: [{ name: 'Mug <Blue>', quantity: 2 }],
+      },
+    });
+
+    expect(email.subject).toBe('Last reminder: items are still in your cart');
+    expect(email.restoreUrl).toBe('https://kasyora.test/cart-recovery/restore/abc');
+    expect(email.unsubscribeUrl).toBe('https://kasyora.test/cart-recovery/unsubscribe/abc');
+    expect(email.text).toContain('Subtotal: ZAR 20.00 excl. VAT');
+    expect(email.html).toContain('Mug &lt;Blue&gt;');
+  });
+});
@@ -0,0 +1,102 @@
+// spec/cjProductSync.spec.js
+const { planCjProductSync } = require('../utils/cj/cjProductSyncService');
+
+describe('planCjProductSync', () => {
+  const now = new Date('2026-01-01T00:00:00Z');
+
+  function variant(id, overrides = {}) {
+    return {
+      cjVariantId: id,
+      variantSku: `SKU-${id}`,
+      sourceCostUsd: { value: 10, currency: 'USD' },
+      convertedSourceCost: { value: 10, currency: 'USD' },
+      sellingPriceExVat: { value: 15, currency: 'USD' },
+      totalInventory: 5,
+      inventoryKnown: true,
+      isEnabled: true,
+      ...overrides,
+    };
+  }
+
+  function sourceVariant(id, overrides = {}) {
+    return {
+      cjVariantId: id,
+      variantSku: `SKU-${id}`,
+      sourceCostUsd: 10,
+      convertedSourceCost: { value: 10, currency: 'USD' },
+      inventory: [],
+      totalInventory: 5,
+      inventoryKnown: true,
+      ...overrides,
+    };
+  }
+
+  const product = {
+    status: 'active',
+    pricing: { defaultMarkupPercent: 30 },
+    variants: [variant('a'), variant('b')],
+  };
+
+  it('keeps manual prices when cost is unchanged and refreshes inventory', () => {
+    const plan = planCjProductSync(
+      product,
+      {
+        saleStatus: '3',
+        variants: [sourceVariant('a', { totalInventory: 2 }), sourceVariant('b')],
+      },
+      { now },
+    );
+
+    expect(plan.offSale).toBe(false);
+    expect(plan.variants[0].sellingPriceExVat.value).toBe(15);
+    expect(plan.variants[0].totalInventory).toBe(2);
+    expect(plan.variants[0].lastInventorySyncAt).toBe(now);
+    expect(plan.summary.inventoryChanged).toEqual([{ variantSku: 'SKU-a', from: 5, to: 2 }]);
+    expect(plan.summary.repriced).toEqual([]);
+  });
+
+  it('re-prices from the markup when the CJ cost changes', () => {
+    const plan = planCjProductSync(
+      product,
+      {
+        saleStatus: '3',
+        variants: [
+          sourceVariant('a', {
+            sourceCostUsd: 12,
+            convertedSourceCost: { value: 12, currency: 'USD' },
+          }),
+          sourceVariant('b'),
+        ],
+      },
+      { now },
+    );
+
+    expect(plan.variants[0].sellingPriceExVat.value).toBe(15.6);
+    expect(plan.variants[0].lastSourceCostChangeAt).toBe(now);
+    expect(plan.priceRange).toEqual({ minimum: 15, maximum: 15.6 });
+  });
+
+  it('disables missing variants and flags off-sale products', () => {
+    const missing = planCjProductSync(
+      product,
+      { saleStatus: '3', variants: [sourceVariant('a')] },
+      { now },
+    );
+
+    expect(missing.variants[1].isEnabled).toBe(false);
+    expect(missing.summary.missingVariants).toEqual(['SKU-b']);
+    expect(missing.offSale).toBe(false);
+
+    expect(
+      planCjProductSync(product, { saleStatus: '3', variants: [] }, { now }).offSaleReason,
+    ).toBe('NO_ENABLED_VARIANTS');
+
+    expect(
+      planCjProductSync(
+        product,
+        { saleStatus: '2', variants: [sourceVariant('a'), sourceVariant('b')] },
+        { now },
+      ).offSaleReason,
+    ).toBe('CJ_NOT_ON_SALE');
+  });
+});
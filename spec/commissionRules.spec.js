@@ -0,0 +1,87 @@
+// spec/commissionRules.spec.js
+const {
+  pickCommissionRule,
+  computeCommission,
+  isRuleLive,
+} = require('../utils/payouts/commissionRules');
+
+describe('commissionRules', () => {
+  const now = new Date('2026-06-15T12:00:00Z');
+  const sellerId = '64b000000000000000000001';
+
+  const rules = [
+    { _id: 'cat', name: 'Electronics 8%', scope: 'CATEGORY', category: 'electronics', feeBps: 800 },
+    { _id: 'type', name: 'Phones 6%', scope: 'TYPE', productType: 'phone', feeBps: 600 },
+    { _id: 'new', name: 'Launch promo', scope: 'NEW_SELLER', newSellerDays: 30, feeBps: 0 },
+    { _id: 'seller', name: 'Key account', scope: 'SELLER', business: sellerId, feeBps: 500 },
+  ];
+
+  const line = (extra = {}) => ({
+    businessId: '64b000000000000000000002',
+    category: 'electronics',
+    productType: 'laptop',
+    sellerSince: new Date('2025-01-01T00:00:00Z'),
+    ...extra,
+  });
+
+  it('prefers seller, then new seller, then product type, then category', () => {
+    expect(pickCommissionRule(rules, line(), now)._id).toBe('cat');
+    expect(pickCommissionRule(rules, line({ productType: 'Phone' }), now)._id).toBe('type');
+    expect(
+      pickCommissionRule(rules, line({ productType: 'phone', sellerSince: '2026-06-01' }), now)._id,
+    ).toBe('new');
+    expect(
+      pickCommissionRule(rules, line({ businessId: sellerId, sellerSince: '2026-06-01' }), now)._id,
+    ).toBe('seller');
+  });
+
+  it('ends the new seller promotion after its period', () => {
+    expect(pickCommissionRule(rules, line({ sellerSince: '2026-05-01' }), now)._id).toBe('cat');
+  });
+
+  it('ignores inactive rules and rules outside their window', () => {
+    expect(isRuleLive({ isActive: false }, now)).toBeFalse();
+    expect(isRuleLive({ startsAt: '2026-07-01' }, now)).toBeFalse();
+    expect(isRuleLive({ endsAt: '2026-06-01' }, now)).toBeFalse();
+    expect(pickCommissionRule(rules, line({ category: 'toys-games' }), now)).toBeNull();
+  });
+
+  it('falls back to the platform default rate', () => {
+    const out = computeCommission({ baseCents: 10000, qty: 2, defaultBps: 1000 });
+
+    expect(out.feeCents).toBe(1000);
+    expect(out.rule.scope).toBe('PLATFORM_DEFAULT');
+    expect(out.rule.feeBps).toBe(1000);
+  });
+
+  it('applies a per-item minimum but never more than the line', () => {
+    const rule = {
+      _id: 'r',
+      name: 'Min',
+      scope: 'CATEGORY',
+      feeBps: 500,
+      minFeePerItem: '2.00',
+      currency: 'USD',
+    };
+
+    const small = computeCommission({ baseCents: 1000, qty: 3, currency: 'USD', rule });
+    expect(small.feeCents).toBe(600);
+    expect(small.minFeeApplied).toBeTrue();
+
+    const tiny = computeCommission({ baseCents: 150, qty: 1, currency: 'USD', rule });
+    expect(tiny.feeCents).toBe(150);
+
+    const otherCcy = computeCommission({ baseCents: 1000, qty: 3, currency: 'ZAR', rule });
+    expect(otherCcy.feeCents).toBe(50);
+    expect(otherCcy.minFeeApplied).toBeFalse();
+  });
+
+  it('charges nothing during a zero fee promotion', () => {
+    const out = computeCommission({ baseCents: 5000, rule: rules[2] });
+
+    expect(out.feeCents).toBe(0);
+    expect(out.rule).toEqual(
+      jasmine.objectContaining({ id: 'new', name: 'Launch promo', scope: 'NEW_SELLER', feeBps: 0 }),
+    );
+  });
+});
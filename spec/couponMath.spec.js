@@ -0,0 +1,72 @@
+// spec/couponMath.spec.js
+const {
+  normalizeCouponCode,
+  checkCouponWindow,
+  apportionCents,
+  computeCouponDiscount,
+} = require('../utils/coupons/couponMath');
+const { computeTotalsFromSession } = require('../routes/payment');
+
+describe('couponMath', () => {
+  const lines = [
+    { businessId: 'sellerA', unitCents: 1000, quantity: 2 }, // 20.00
+    { businessId: 'sellerB', unitCents: 3333, quantity: 1 }, // 33.33
+  ];
+
+  it('normalizes codes', () => {
+    expect(normalizeCouponCode('  spring 10 ')).toBe('SPRING10');
+  });
+
+  it('splits a discount so the parts add up exactly', () => {
+    const parts = apportionCents(100, [1, 1, 1]);
+
+    expect(parts.reduce((s, p) => s + p, 0)).toBe(100);
+    expect(parts).toEqual([34, 33, 33]);
+  });
+
+  it('applies a percentage across all lines with a cap', () => {
+    const result = computeCouponDiscount({ type: 'PERCENT', value: 10, maxDiscount: '5.00' }, lines);
+
+    expect(result.ok).toBeTrue();
+    expect(result.discountCents).toBe(500);
+    expect(result.lineDiscounts.reduce((s, p) => s + p, 0)).toBe(500);
+  });
+
+  it('only discounts the scoped seller and never exceeds their lines', () => {
+    const result = computeCouponDiscount(
+      { type: 'FIXED', value: 50, sellerBusiness: 'sellerA' },
+      lines,
+    );
+
+    expect(result.discountCents).toBe(2000);
+    expect(result.lineDiscounts).toEqual([2000, 0]);
+  });
+
+  it('enforces the minimum basket on eligible lines', () => {
+    const result = computeCouponDiscount(
+      { type: 'FIXED', value: 5, minBasket: '25.00', sellerBusiness: 'sellerA' },
+      lines,
+    );
+
+    expect(result.ok).toBeFalse();
+    expect(result.code).toBe('COUPON_MIN_BASKET');
+  });
+
+  it('rejects expired and exhausted coupons', () => {
+    const now = new Date('2026-06-01T00:00:00Z');
+
+    expect(checkCouponWindow({ endsAt: new Date('2026-05-01') }, { now }).code).toBe('COUPON_EXPIRED');
+    expect(checkCouponWindow({ maxUses: 2, usedCount: 2 }, { now }).code).toBe('COUPON_EXHAUSTED');
+    expect(checkCouponWindow({ isActive: true }, { now }).ok).toBeTrue();
+  });
+
+  it('takes the discount off before VAT in checkout totals', () => {
+    const cart = { items: [{ name: 'apple', price: 100, quantity: 1 }] };
+    const result = computeTotalsFromSession(cart, 10, 0.15, 20);
+
+    expect(result.subTotal).toBeCloseTo(100);
+    expect(result.discountTotal).toBeCloseTo(20);
+    expect(result.vatTotal).toBeCloseTo(12);
+    expect(result.grandTotal).toBeCloseTo(102);
+  });
+});
@@ -0,0 +1,69 @@
+// spec/ledgerAdjustments.spec.js
+const {
+  MAX_ADJUSTMENT_CENTS,
+  normalizeAdjustmentInput,
+  signedAdjustmentCents,
+  adjustmentLedgerKey,
+  reviewBlockReason,
+  adminRef,
+} = require('../utils/payouts/ledgerAdjustmentRules');
+
+describe('ledger adjustments', () => {
+  it('normalizes a valid request', () => {
+    const { value, errors } = normalizeAdjustmentInput({
+      direction: 'debit',
+      amount: ' 12.5 ',
+      currency: 'usd',
+      reason: '  Duplicate   refund debit reversed ',
+      orderRef: 'ORD-1',
+    });
+
+    expect(errors).toEqual([]);
+    expect(value).toEqual({
+      direction: 'DEBIT',
+      amountCents: 1250,
+      currency: 'USD',
+      reason: 'Duplicate refund debit reversed',
+      orderRef: 'ORD-1',
+    });
+  });
+
+  it('requires a direction, a positive amount and a reason', () => {
+    expect(normalizeAdjustmentInput({}).errors.length).toBe(3);
+    expect(
+      normalizeAdjustmentInput({ direction: 'CREDIT', amount: '-5', reason: 'x'.repeat(10) })
+        .errors,
+    ).toEqual(['Enter an amount greater than zero.']);
+    expect(
+      normalizeAdjustmentInput({
+        direction: 'CREDIT',
+        amount: String(MAX_ADJUSTMENT_CENTS / 100 + 1),
+        reason: 'x'.repeat(10),
+      }).errors,
+    ).toEqual(['Amount is too large for a manual adjustment.']);
+    expect(
+      normalizeAdjustmentInput({ direction: 'CREDIT', amount: '5', reason: 'too short' }).errors
+        .length,
+    ).toBe(1);
+  });
+
+  it('signs the ledger amount by direction', () => {
+    expect(signedAdjustmentCents({ direction: 'CREDIT', amountCents: 500 })).toBe(500);
+    expect(signedAdjustmentCents({ direction: 'DEBIT', amountCents: 500 })).toBe(-500);
+    expect(adjustmentLedgerKey('abc')).toBe('adjustment:abc');
+  });
+
+  it('never lets the requester review their own adjustment', () => {
+    const requester = { _id: '64b0000000000000000000a1', email: 'A@x.com', role: 'payout_admin' };
+    const other = { _id: '64b0000000000000000000a2' };
+    const adjustment = { status: 'PENDING', requestedBy: adminRef(requester) };
+
+    expect(adjustment.requestedBy.email).toBe('a@x.com');
+    expect(reviewBlockReason(adjustment, requester)).toMatch(/different payout admin/);
+    expect(reviewBlockReason(adjustment, other)).toBe('');
+    expect(reviewBlockReason({ ...adjustment, status: 'APPROVED' }, other)).toMatch(
+      /already approved/,
+    );
+    expect(reviewBlockReason(null, other)).toBe('Adjustment not found.');
+  });
+});
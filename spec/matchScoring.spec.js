@@ -0,0 +1,111 @@
+// spec/matchScoring.spec.js
+const {
+  MATCH_WEIGHTS,
+  scoreMatch,
+  isRelevantCandidate,
+  tokenize,
+} = require('../utils/matching/matchScoring');
+
+describe('demand match scoring', () => {
+  const demand = {
+    title: 'Leather running shoes',
+    productType: 'shoes',
+    quantity: 100,
+    quality: 'high',
+    targetPrice: 500,
+    country: 'South Africa',
+    province: 'Gauteng',
+    city: 'Johannesburg',
+  };
+
+  const product = {
+    name: 'Running shoe',
+    description: 'Genuine leather upper',
+    type: 'shoes',
+    quality: 'premium',
+    price: 450,
+    stock: 150,
+  };
+
+  const supplier = { countryCode: 'ZA', state: 'Gauteng', city: 'Johannesburg' };
+
+  const points = (breakdown) => Object.fromEntries(breakdown.map((f) => [f.factor, f.points]));
+
+  it('weights add up to 100', () => {
+    expect(Object.values(MATCH_WEIGHTS).reduce((a, b) => a + b, 0)).toBe(100);
+  });
+
+  it('gives a perfect product a perfect score with a full breakdown', () => {
+    const { score, breakdown } = scoreMatch({ demand, product, supplier });
+
+    expect(score).toBe(100);
+    expect(breakdown.map((f) => f.factor)).toEqual(Object.keys(MATCH_WEIGHTS));
+    expect(breakdown.every((f) => typeof f.detail === 'string' && f.detail)).toBeTrue();
+  });
+
+  it('ranks worse offers lower, factor by factor', () => {
+    const pricey = scoreMatch({ demand, product: { ...product, price: 750 }, supplier });
+    expect(points(pricey.breakdown).price).toBe(10);
+
+    const lowStock = scoreMatch({ demand, product: { ...product, stock: 25 }, supplier });
+    expect(points(lowStock.breakdown).stock).toBe(2.5);
+
+    const farAway = scoreMatch({ demand, product, supplier: { countryCode: 'NG' } });
+    expect(points(farAway.breakdown).distance).toBe(0);
+
+    const sameCountry = scoreMatch({
+      demand,
+      product,
+      supplier: { country: 'ZA', state: 'Western Cape' },
+    });
+    expect(points(sameCountry.breakdown).distance).toBe(6);
+
+    const worseQuality = scoreMatch({
+      demand,
+      product: { ...product, quality: 'basic' },
+      supplier,
+    });
+    expect(points(worseQuality.breakdown).quality).toBe(0);
+
+    for (const worse of [pricey, lowStock, farAway, sameCountry, worseQuality]) {
+      expect(worse.score).toBeLessThan(100);
+    }
+  });
+
+  it('credits a category hit below an exact type hit', () => {
+    const byCategory = scoreMatch({
+      demand,
+      product: { ...product, type: 'sneaker', category: 'shoes' },
+      supplier,
+    });
+
+    expect(points(byCategory.breakdown).type).toBe(24);
+  });
+
+  it('stays neutral when the demand leaves a factor open', () => {
+    const open = scoreMatch({
+      demand: { productType: 'shoes', title: 'shoes' },
+      product,
+      supplier,
+    });
+    const p = points(open.breakdown);
+
+    expect(p.price).toBe(10);
+    expect(p.quality).toBe(5);
+    expect(p.distance).toBe(3);
+  });
+
+  it('treats unrelated products as irrelevant', () => {
+    const { breakdown } = scoreMatch({
+      demand,
+      product: { name: 'Office chair', type: 'furniture', price: 400, stock: 500 },
+      supplier,
+    });
+
+    expect(isRelevantCandidate(breakdown)).toBeFalse();
+  });
+
+  it('tokenizes without stopwords and with naive singulars', () => {
+    expect([...tokenize('Need 200 shoes for the store')]).toEqual(['200', 'shoe', 'store']);
+  });
+});
@@ -0,0 +1,69 @@
+// spec/messageThreads.spec.js
+const {
+  buildThreadKey,
+  partyForActor,
+  shouldEmailRecipient,
+} = require('../utils/messages/threadService');
+const { buildOrderMessageEmail } = require('../utils/emails/orderMessageEmail');
+
+describe('buyer-seller message threads', () => {
+  const sellerId = '64b000000000000000000001';
+  const userId = '64b000000000000000000002';
+  const buyerBizId = '64b000000000000000000003';
+
+  it('keys threads by subject, seller and buyer', () => {
+    expect(
+      buildThreadKey({ kind: 'order', orderId: 'o1', sellerId, buyer: { type: 'user', userId } }),
+    ).toBe(`order:o1:seller:${sellerId}:user:${userId}`);
+
+    expect(
+      buildThreadKey({
+        kind: 'product',
+        productId: 'SKU-1',
+        sellerId,
+        buyer: { type: 'business', businessId: buyerBizId },
+      }),
+    ).toBe(`product:SKU-1:seller:${sellerId}:business:${buyerBizId}`);
+  });
+
+  it('resolves which side of the thread a session is on', () => {
+    const thread = { seller: sellerId, buyer: { type: 'user', userId } };
+
+    expect(partyForActor(thread, { businessId: sellerId })).toBe('seller');
+    expect(partyForActor(thread, { userId })).toBe('buyer');
+    expect(partyForActor(thread, { businessId: buyerBizId })).toBeNull();
+    expect(partyForActor(thread, {})).toBeNull();
+  });
+
+  it('emails once per unread streak', () => {
+    expect(shouldEmailRecipient({ lastEmailedAt: {} }, 'seller')).toBeTrue();
+
+    const emailed = new Date('2026-01-01T10:00:00Z');
+    expect(shouldEmailRecipient({ lastEmailedAt: { seller: emailed } }, 'seller')).toBeFalse();
+
+    expect(
+      shouldEmailRecipient(
+        {
+          lastEmailedAt: { seller: emailed },
+          lastReadAt: { seller: new Date('2026-01-01T11:00:00Z') },
+        },
+        'seller',
+      ),
+    ).toBeTrue();
+  });
+
+  it('escapes the message and mentions attachments in the email', () => {
+    const email = buildOrderMessageEmail({
+      thread: { kind: 'order', orderRef: 'PAY-1', productName: 'Mug', sellerName: 'Acme' },
+      message: { authorName: 'Sam', body: '<i>Where</i> is it?', attachments: [{ key: 'k' }] },
+      recipient: 'seller',
+      url: '/messages/abc',
+      baseUrl: 'https://kasyora.test',
+    });
+
+    expect(email.subject).toContain('Order PAY-1');
+    expect(email.html).toContain('&lt;i&gt;Where&lt;/i&gt; is it?');
+    expect(email.text).toContain('1 attachment (open the thread to view)');
+    expect(email.text).toContain('https://kasyora.test/messages/abc');
+  });
+});
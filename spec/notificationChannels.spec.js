@@ -0,0 +1,50 @@
+// spec/notificationChannels.spec.js
+const {
+  NOTIFICATION_CATEGORIES,
+  NOTIFICATION_TYPES,
+  categoryForType,
+  resolveCategoryChannels,
+  resolveChannels,
+} = require('../utils/notifications/notificationTypes');
+const { buildNotificationEmail } = require('../utils/emails/notificationEmail');
+
+describe('notification channels', () => {
+  it('maps every type to a known category', () => {
+    for (const type of Object.keys(NOTIFICATION_TYPES)) {
+      expect(NOTIFICATION_CATEGORIES[categoryForType(type)]).toBeDefined();
+    }
+    expect(categoryForType('nope')).toBeNull();
+  });
+
+  it('falls back to category defaults without saved preferences', () => {
+    expect(resolveChannels({}, 'order.placed')).toEqual({ inApp: true, email: true });
+    expect(resolveChannels(null, 'rating.received')).toEqual({ inApp: true, email: false });
+    expect(resolveChannels({}, 'unknown.type')).toEqual({ inApp: false, email: false });
+  });
+
+  it('applies saved preferences per channel', () => {
+    const prefs = { orders: { inApp: false }, payouts: { email: false } };
+
+    expect(resolveChannels(prefs, 'order.placed')).toEqual({ inApp: false, email: true });
+    expect(resolveChannels(prefs, 'payout.failed')).toEqual({ inApp: true, email: false });
+  });
+
+  it('never emails categories without an email channel', () => {
+    expect(resolveCategoryChannels({ shipping: { email: true } }, 'shipping')).toEqual({
+      inApp: true,
+      email: false,
+    });
+  });
+
+  it('builds an escaped email with an absolute link', () => {
+    const email = buildNotificationEmail({
+      notification: { title: 'New order <A-1>', message: 'x & y', link: '/business/dashboard' },
+      baseUrl: 'https://shop.example/',
+    });
+
+    expect(email.subject).toBe('New order <A-1>');
+    expect(email.text).toContain('https://shop.example/business/dashboard');
+    expect(email.html).toContain('New order &lt;A-1&gt;');
+    expect(email.html).toContain('x &amp; y');
+  });
+});
@@ -0,0 +1,124 @@
+// spec/paymentDisputes.spec.js
+const {
+  isDisputeEventType,
+  parseDisputeResource,
+  disputeOutcome,
+  disputeRatio,
+  splitCentsByShare,
+  planSellerShares,
+  lessAlreadyDebited,
+  buildDisputeEvidence,
+} = require('../utils/disputes/disputeRules');
+
+describe('payment disputes', () => {
+  it('reads the PayPal dispute resource and links it by capture id', () => {
+    expect(isDisputeEventType('customer.dispute.created')).toBe(true);
+    expect(isDisputeEventType('PAYMENT.CAPTURE.REFUNDED')).toBe(false);
+
+    const parsed = parseDisputeResource({
+      dispute_id: 'PP-D-1',
+      disputed_transactions: [{ seller_transaction_id: 'CAP1' }, { seller_transaction_id: 'CAP1' }],
+      status: 'waiting_for_seller_response',
+      reason: 'MERCHANDISE_OR_SERVICE_NOT_RECEIVED',
+      dispute_amount: { currency_code: 'usd', value: '25' },
+      seller_response_due_date: '2026-10-30T10:00:00Z',
+      messages: [
+        { posted_by: 'BUYER', time_posted: '2026-10-19T10:00:00Z', content: 'Where is it?' },
+      ],
+    });
+
+    expect(parsed.disputeId).toBe('PP-D-1');
+    expect(parsed.captureIds).toEqual(['CAP1']);
+    expect(parsed.amount).toEqual({ value: '25.00', currency: 'USD' });
+    expect(parsed.sellerResponseDueAt.toISOString()).toBe('2026-10-30T10:00:00.000Z');
+    expect(parsed.messages[0].postedBy).toBe('BUYER');
+  });
+
+  it('treats only resolved disputes as won or lost', () => {
+    expect(disputeOutcome('UNDER_REVIEW', 'RESOLVED_BUYER_FAVOUR')).toBe('OPEN');
+    expect(disputeOutcome('RESOLVED', 'RESOLVED_BUYER_FAVOUR')).toBe('LOST');
+    expect(disputeOutcome('RESOLVED', 'ACCEPTED')).toBe('LOST');
+    expect(disputeOutcome('RESOLVED', 'CANCELED_BY_BUYER')).toBe('WON');
+    expect(disputeOutcome('RESOLVED', 'NONE')).toBe('CLOSED');
+  });
+
+  it('splits cents by share so the parts add up and never exceed a share', () => {
+    const parts = splitCentsByShare(100, [
+      { key: 'a', cents: 1 },
+      { key: 'b', cents: 1 },
+      { key: 'c', cents: 1 },
+    ]);
+    expect(parts.reduce((sum, p) => sum + p.cents, 0)).toBe(3);
+
+    const split = splitCentsByShare(10, [
+      { key: 'a', cents: 2000 },
+      { key: 'b', cents: 1000 },
+    ]);
+    expect(split).toEqual([
+      { key: 'a', cents: 7 },
+      { key: 'b', cents: 3 },
+    ]);
+  });
+
+  it('plans seller holds from the disputed share of their earnings, capped by what is left', () => {
+    const earnings = [
+      { businessId: 's1', currency: 'usd', amountCents: 6000 },
+      { businessId: 's2', currency: 'USD', amountCents: 2000 },
+      { businessId: 's2', currency: 'USD', amountCents: 2000 },
+    ];
+
+    expect(disputeRatio('25.00', '100.00')).toBe(0.25);
+    expect(disputeRatio('25.00', null)).toBe(1);
+
+    expect(planSellerShares(earnings, 0.25)).toEqual([
+      { businessId: 's1', currency: 'USD', amountCents: 1500 },
+      { businessId: 's2', currency: 'USD', amountCents: 1000 },
+    ]);
+
+    const left = new Map([
+      ['s1:USD', 0],
+      ['s2:USD', 400],
+    ]);
+    expect(planSellerShares(earnings, 1, left)).toEqual([
+      { businessId: 's2', currency: 'USD', amountCents: 400 },
+    ]);
+  });
+
+  it('takes refunds booked during the dispute off the lost-dispute debit', () => {
+    const plan = [
+      { businessId: 's1', currency: 'USD', amountCents: 3000 },
+      { businessId: 's2', currency: 'USD', amountCents: 1000 },
+    ];
+    const refunded = new Map([
+      ['s1:USD', 3000],
+      ['s2:USD', 250],
+    ]);
+
+    expect(lessAlreadyDebited(plan, refunded)).toEqual([
+      { businessId: 's2', currency: 'USD', amountCents: 750 },
+    ]);
+    expect(lessAlreadyDebited(plan, new Map())).toEqual(plan);
+  });
+
+  it('builds PayPal evidence from tracking, delivery events, messages and files', () => {
+    const { evidences } = buildDisputeEvidence({
+      tracking: [{ carrier: 'usps', trackingNumber: '9400' }],
+      deliveryEvents: [{ status: 'DELIVERED', occurredAt: '2026-10-10T08:00:00Z' }],
+      messages: [{ authorName: 'Shop', body: 'Shipped today' }],
+      fileNames: ['1-receipt.pdf'],
+    });
+
+    expect(evidences.map((e) => e.evidence_type)).toEqual([
+      'PROOF_OF_FULFILLMENT',
+      'OTHER',
+      'OTHER',
+    ]);
+    expect(evidences[0].evidence_info.tracking_info).toEqual([
+      { carrier_name: 'USPS', tracking_number: '9400' },
+    ]);
+    expect(evidences[0].notes).toContain('2026-10-10 08:00 · DELIVERED');
+    expect(evidences[2].documents).toEqual([{ name: '1-receipt.pdf' }]);
+
+    expect(buildDisputeEvidence({}).evidences).toEqual([]);
+  });
+});
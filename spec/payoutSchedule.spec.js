@@ -0,0 +1,111 @@
+// spec/payoutSchedule.spec.js
+const {
+  normalizePayoutSchedule,
+  nextScheduledPayoutAt,
+  payoutDecision,
+  withdrawalBlockReason,
+} = require('../utils/payouts/payoutScheduleRules');
+
+describe('payout schedule rules', () => {
+  // Wednesday
+  const now = new Date('2026-10-14T10:00:00Z');
+  const payouts = { enabled: true, paypalEmail: 'seller@example.com' };
+
+  it('defaults unknown schedules to weekly', () => {
+    expect(normalizePayoutSchedule('monthly')).toBe('MONTHLY');
+    expect(normalizePayoutSchedule('daily')).toBe('WEEKLY');
+    expect(normalizePayoutSchedule(undefined)).toBe('WEEKLY');
+  });
+
+  it('schedules the next payout at the start of the following week or month', () => {
+    const last = new Date('2026-10-13T18:00:00Z');
+
+    expect(
+      nextScheduledPayoutAt({ schedule: 'WEEKLY', lastPayoutAt: last }, now).toISOString(),
+    ).toBe('2026-10-19T00:00:00.000Z');
+    expect(
+      nextScheduledPayoutAt({ schedule: 'MONTHLY', lastPayoutAt: last }, now).toISOString(),
+    ).toBe('2026-11-01T00:00:00.000Z');
+    expect(nextScheduledPayoutAt({ schedule: 'WEEKLY' }, now)).toEqual(now);
+    expect(nextScheduledPayoutAt({ schedule: 'ON_DEMAND', lastPayoutAt: last }, now)).toBeNull();
+  });
+
+  it('includes sellers whose schedule is due', () => {
+    expect(
+      payoutDecision({
+        payouts: { ...payouts, schedule: 'WEEKLY', lastPayoutAt: '2026-10-09T09:00:00Z' },
+        availableCents: 5000,
+        now,
+      }),
+    ).toEqual({ eligible: true, reason: 'scheduled' });
+
+    expect(
+      payoutDecision({
+        payouts: { ...payouts, schedule: 'MONTHLY', lastPayoutAt: '2026-10-01T09:00:00Z' },
+        availableCents: 5000,
+        now,
+      }),
+    ).toEqual({ eligible: false, reason: 'not-due' });
+  });
+
+  it('pays on-demand sellers only when they ask', () => {
+    const onDemand = { ...payouts, schedule: 'ON_DEMAND' };
+
+    expect(payoutDecision({ payouts: onDemand, availableCents: 5000, now }).reason).toBe(
+      'on-demand',
+    );
+    expect(
+      payoutDecision({
+        payouts: { ...onDemand, withdrawalRequestedAt: now },
+        availableCents: 5000,
+        now,
+      }),
+    ).toEqual({ eligible: true, reason: 'requested' });
+  });
+
+  it('lets an admin review pay any seller above the minimum, whatever the schedule', () => {
+    const notDue = { ...payouts, schedule: 'WEEKLY', lastPayoutAt: '2026-10-13T09:00:00Z' };
+    const onDemand = { ...payouts, schedule: 'ON_DEMAND', minimumCents: 1000 };
+
+    expect(
+      payoutDecision({ payouts: notDue, availableCents: 5000, now, applySchedule: false }),
+    ).toEqual({ eligible: true, reason: 'manual' });
+    expect(
+      payoutDecision({ payouts: onDemand, availableCents: 5000, now, applySchedule: false })
+        .eligible,
+    ).toBeTrue();
+    expect(
+      payoutDecision({ payouts: onDemand, availableCents: 500, now, applySchedule: false }).reason,
+    ).toBe('below-minimum');
+  });
+
+  it('applies the higher of the reviewer and seller minimums', () => {
+    const seller = { ...payouts, minimumCents: 2500 };
+
+    expect(payoutDecision({ payouts: seller, availableCents: 2000, now }).reason).toBe(
+      'below-minimum',
+    );
+    expect(payoutDecision({ payouts, availableCents: 2000, minCents: 3000, now }).reason).toBe(
+      'below-minimum',
+    );
+    expect(payoutDecision({ payouts: seller, availableCents: 2500, now }).eligible).toBeTrue();
+    expect(
+      payoutDecision({ payouts: { ...payouts, enabled: false }, availableCents: 2500 }).reason,
+    ).toBe('disabled');
+  });
+
+  it('allows a withdrawal request only when the balance allows it', () => {
+    expect(withdrawalBlockReason({ payouts, availableCents: 100 })).toBe('');
+    expect(withdrawalBlockReason({ payouts, availableCents: 0 })).toMatch(/no available balance/);
+    expect(
+      withdrawalBlockReason({ payouts: { ...payouts, minimumCents: 500 }, availableCents: 100 }),
+    ).toMatch(/below your minimum/);
+    expect(
+      withdrawalBlockReason({
+        payouts: { ...payouts, withdrawalRequestedAt: now },
+        availableCents: 100,
+      }),
+    ).toMatch(/already have/);
+    expect(withdrawalBlockReason({ payouts: {}, availableCents: 100 })).toMatch(/PayPal email/);
+  });
+});
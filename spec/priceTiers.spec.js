@@ -0,0 +1,67 @@
+// spec/priceTiers.spec.js
+const {
+  priceTiersFromForm,
+  validatePriceTiers,
+  resolveWholesaleUnitPrice,
+  buildPriceTierTable,
+} = require('../utils/wholesale/priceTiers');
+
+describe('wholesale price tiers', () => {
+  const product = {
+    wholesalePrice: 10,
+    minimumOrderQuantity: 10,
+    priceTiers: [
+      { minQuantity: 100, unitPrice: 8 },
+      { minQuantity: 50, unitPrice: 9 },
+    ],
+  };
+
+  it('reads parallel form inputs and skips blank rows', () => {
+    const tiers = priceTiersFromForm({
+      tierMinQuantities: ['100', '', '50'],
+      tierUnitPrices: ['8', '', '9.005'],
+    });
+
+    expect(tiers).toEqual([
+      { minQuantity: 50, unitPrice: 9.01 },
+      { minQuantity: 100, unitPrice: 8 },
+    ]);
+  });
+
+  it('rejects tiers at or below the MOQ and prices that do not drop', () => {
+    expect(validatePriceTiers(product.priceTiers, product)).toBe('');
+
+    expect(validatePriceTiers([{ minQuantity: 10, unitPrice: 9 }], product)).toContain(
+      'minimum order quantity',
+    );
+
+    expect(
+      validatePriceTiers(
+        [
+          { minQuantity: 50, unitPrice: 9 },
+          { minQuantity: 100, unitPrice: 9 },
+        ],
+        product,
+      ),
+    ).toContain('100+');
+  });
+
+  it('picks the unit price as quantity crosses each band', () => {
+    expect(resolveWholesaleUnitPrice(product, 49)).toEqual({
+      unitPrice: 10,
+      basePrice: 10,
+      minQuantity: null,
+    });
+    expect(resolveWholesaleUnitPrice(product, 50).unitPrice).toBe(9);
+    expect(resolveWholesaleUnitPrice(product, 250).unitPrice).toBe(8);
+    expect(resolveWholesaleUnitPrice({ wholesalePrice: 4 }, 500).unitPrice).toBe(4);
+  });
+
+  it('builds the tier table from the MOQ upwards', () => {
+    expect(buildPriceTierTable(product)).toEqual([
+      { minQuantity: 10, maxQuantity: 49, unitPrice: 10, savingsPercent: 0 },
+      { minQuantity: 50, maxQuantity: 99, unitPrice: 9, savingsPercent: 10 },
+      { minQuantity: 100, maxQuantity: null, unitPrice: 8, savingsPercent: 20 },
+    ]);
+  });
+});
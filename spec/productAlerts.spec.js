@@ -0,0 +1,138 @@
+// spec/productAlerts.spec.js
+const {
+  normalizeAlertEmail,
+  subscriberKeyFor,
+  productStockTransition,
+  restockedProductIds,
+  cjAvailability,
+  isPriceDrop,
+  isAlertThrottled,
+} = require('../utils/alerts/productAlerts');
+const { buildProductAlertEmail } = require('../utils/emails/productAlertEmail');
+
+describe('product alerts', () => {
+  it('keys subscribers by account or normalized guest email', () => {
+    expect(normalizeAlertEmail('  Jane@Example.COM ')).toBe('jane@example.com');
+    expect(normalizeAlertEmail('not-an-email')).toBe('');
+    expect(subscriberKeyFor({ type: 'user', id: 'abc' })).toBe('user:abc');
+    expect(subscriberKeyFor({ type: 'guest', email: 'Jane@Example.com' })).toBe(
+      'guest:jane@example.com',
+    );
+  });
+
+  it('reads the product total from variant rows and skips old variant rows', () => {
+    expect(productStockTransition({ stockBefore: 0, stockAfter: 4 })).toEqual({
+      before: 0,
+      after: 4,
+    });
+    expect(
+      productStockTransition({
+        variant: { size: 'M', color: 'red' },
+        stockBefore: 0,
+        stockAfter: 2,
+        productStockBefore: 5,
+        productStockAfter: 7,
+      }),
+    ).toEqual({ before: 5, after: 7 });
+    expect(
+      productStockTransition({ variant: { size: 'M' }, stockBefore: 0, stockAfter: 2 }),
+    ).toBeNull();
+  });
+
+  it('finds products whose stock went from zero to positive, once each', () => {
+    const ids = restockedProductIds([
+      { product: 'a', stockBefore: 0, stockAfter: 3, reason: 'manual-update' },
+      { product: 'a', stockBefore: 0, stockAfter: 1, reason: 'return-restock' },
+      { product: 'b', stockBefore: 2, stockAfter: 5, reason: 'manual-update' },
+      { product: 'c', stockBefore: 0, stockAfter: 5, reason: 'create' },
+      {
+        product: 'd',
+        variant: { size: 'S' },
+        stockBefore: 0,
+        stockAfter: 1,
+        productStockBefore: 4,
+        productStockAfter: 5,
+      },
+    ]);
+
+    expect(ids).toEqual(['a']);
+  });
+
+  it('treats CJ variants with unknown inventory as available', () => {
+    const price = (value) => ({ value, currency: 'usd' });
+
+    expect(
+      cjAvailability({
+        variants: [
+          {
+            isEnabled: true,
+            inventoryKnown: true,
+            totalInventory: 0,
+            sellingPriceExVat: price(12),
+          },
+          {
+            isEnabled: false,
+            inventoryKnown: true,
+            totalInventory: 9,
+            sellingPriceExVat: price(5),
+          },
+          {
+            isEnabled: true,
+            inventoryKnown: false,
+            totalInventory: 0,
+            sellingPriceExVat: price(10),
+          },
+        ],
+      }),
+    ).toEqual({ inStock: true, price: 10, currency: 'USD' });
+
+    expect(
+      cjAvailability({
+        variants: [
+          {
+            isEnabled: true,
+            inventoryKnown: true,
+            totalInventory: 0,
+            sellingPriceExVat: price(12),
+          },
+        ],
+      }).inStock,
+    ).toBe(false);
+  });
+
+  it('only counts drops of at least the minimum percentage', () => {
+    expect(isPriceDrop(100, 94, 5)).toBe(true);
+    expect(isPriceDrop(100, 96, 5)).toBe(false);
+    expect(isPriceDrop(100, 120, 5)).toBe(false);
+    expect(isPriceDrop(null, 50, 5)).toBe(false);
+  });
+
+  it('throttles repeat alerts inside the window', () => {
+    const now = new Date('2026-01-02T12:00:00Z');
+
+    expect(isAlertThrottled(null, now, 24)).toBe(false);
+    expect(isAlertThrottled(new Date('2026-01-02T00:00:00Z'), now, 24)).toBe(true);
+    expect(isAlertThrottled(new Date('2026-01-01T11:00:00Z'), now, 24)).toBe(false);
+  });
+
+  it('puts the unsubscribe link in every alert email', () => {
+    const email = buildProductAlertEmail({
+      baseUrl: 'https://kasyora.test/',
+      alert: {
+        kind: 'priceDrop',
+        source: 'cj',
+        productName: 'Desk <Lamp>',
+        productPath: '/cj/product/123',
+        price: 8,
+        previousPrice: 10,
+        currency: 'usd',
+        unsubscribeToken: 'abc',
+      },
+    });
+
+    expect(email.subject).toBe('Price drop: Desk <Lamp>');
+    expect(email.unsubscribeUrl).toBe('https://kasyora.test/alerts/unsubscribe/abc');
+    expect(email.text).toContain('now USD 8.00 (was USD 10.00)');
+    expect(email.html).toContain('Desk &lt;Lamp&gt;');
+  });
+});
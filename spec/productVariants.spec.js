@@ -0,0 +1,80 @@
+// spec/productVariants.spec.js
+const {
+  getAvailableStock,
+  getVariantUnitPrice,
+  normalizeVariantMatrix,
+  variantMatrixFromForm,
+  diffVariantStock,
+  summarizeVariantStock,
+} = require('../utils/inventory/productVariants');
+
+describe('product variant matrix', () => {
+  const product = {
+    price: 20,
+    stock: 7,
+    sizes: ['S', 'M'],
+    colors: ['Red', 'Blue'],
+    variants: [
+      { size: 'S', color: 'Red', sku: 'TS-S-R', price: null, stock: 5 },
+      { size: 'M', color: 'Blue', sku: '', price: 24.5, stock: 2 },
+      { size: 'M', color: 'Red', sku: '', price: null, stock: 0 },
+    ],
+  };
+
+  it('reads stock for the selected size/color', () => {
+    expect(getAvailableStock(product, { size: 's', color: 'red' })).toBe(5);
+    expect(getAvailableStock(product, { size: 'S', color: 'Blue' })).toBe(0);
+    expect(getAvailableStock({ stock: 3 }, { size: 'S' })).toBe(3);
+  });
+
+  it('uses the variant price override when set', () => {
+    expect(getVariantUnitPrice(product, { size: 'M', color: 'Blue' })).toBe(24.5);
+    expect(getVariantUnitPrice(product, { size: 'S', color: 'Red' })).toBe(20);
+  });
+
+  it('drops rows outside the size/color lists and duplicates', () => {
+    const rows = normalizeVariantMatrix(
+      [
+        { size: 'm', color: 'RED', stock: '4.9', price: '' },
+        { size: 'M', color: 'Red', stock: '9' },
+        { size: 'XL', color: 'Red', stock: '3' },
+        { size: 'S', color: 'Blue', stock: '-2', price: '19.999' },
+      ],
+      product,
+    );
+
+    expect(rows).toEqual([
+      { size: 'M', color: 'Red', sku: '', price: null, stock: 4 },
+      { size: 'S', color: 'Blue', sku: '', price: 20, stock: 0 },
+    ]);
+
+    expect(
+      variantMatrixFromForm(
+        { variantSizes: 'S', variantColors: '', variantStocks: '6', variantSkus: 'A1' },
+        { sizes: ['S'], colors: [] },
+      ),
+    ).toEqual([{ size: 'S', color: '', sku: 'A1', price: null, stock: 6 }]);
+  });
+
+  it('diffs stock per variant for history rows', () => {
+    const after = [
+      { size: 'S', color: 'Red', stock: 3 },
+      { size: 'M', color: 'Blue', stock: 2 },
+      { size: 'S', color: 'Blue', stock: 4 },
+    ];
+
+    expect(diffVariantStock(product.variants, after)).toEqual([
+      { size: 'S', color: 'Red', sku: '', stockBefore: 5, stockAfter: 3, delta: -2 },
+      { size: 'S', color: 'Blue', sku: '', stockBefore: 0, stockAfter: 4, delta: 4 },
+    ]);
+  });
+
+  it('splits low and sold-out variants', () => {
+    const { lowStockVariants, outOfStockVariants } = summarizeVariantStock(product, {
+      threshold: 3,
+    });
+
+    expect(lowStockVariants.map((v) => v.label)).toEqual(['M / Blue']);
+    expect(outOfStockVariants.map((v) => v.label)).toEqual(['M / Red']);
+  });
+});
@@ -0,0 +1,111 @@
+// spec/quoteNegotiation.spec.js
+const {
+  parseQuoteTerms,
+  latestOffer,
+  allowedQuoteActions,
+  applyQuoteAction,
+} = require('../utils/matching/quoteNegotiation');
+
+describe('RFQ quote negotiation', () => {
+  const now = new Date('2026-05-01T10:00:00Z');
+  const listing = 'listing-1';
+  const supplierQuote = {
+    unitPrice: '12.5',
+    quantity: '100',
+    leadTimeDays: '7',
+    validUntil: '2026-05-15',
+    shippingTerms: 'fob',
+  };
+
+  function quotedMatch() {
+    const match = { status: 'pending', quoteStatus: 'none', quotes: [] };
+    applyQuoteAction(match, {
+      side: 'supplier',
+      action: 'quote',
+      input: supplierQuote,
+      supplierProduct: listing,
+      now,
+    });
+    return match;
+  }
+
+  it('parses and totals quote terms', () => {
+    const terms = parseQuoteTerms(supplierQuote, { now });
+
+    expect(terms.unitPrice).toBe(12.5);
+    expect(terms.total).toBe(1250);
+    expect(terms.shippingTerms).toBe('FOB');
+    expect(terms.validUntil.toISOString()).toBe('2026-05-15T23:59:59.999Z');
+  });
+
+  it('rejects bad terms', () => {
+    expect(() => parseQuoteTerms({ ...supplierQuote, unitPrice: '0' }, { now })).toThrow();
+    expect(() => parseQuoteTerms({ ...supplierQuote, quantity: '2.5' }, { now })).toThrow();
+    expect(() =>
+      parseQuoteTerms({ ...supplierQuote, validUntil: '2026-04-30' }, { now }),
+    ).toThrow();
+    expect(() => parseQuoteTerms({ ...supplierQuote, shippingTerms: 'XYZ' }, { now })).toThrow();
+  });
+
+  it('lets the buyer counter with partial terms and keeps every revision', () => {
+    const match = quotedMatch();
+
+    expect(allowedQuoteActions(match, 'buyer', now)).toEqual(['counter', 'accept', 'decline']);
+
+    applyQuoteAction(match, {
+      side: 'buyer',
+      action: 'counter',
+      input: { unitPrice: '11', message: 'Can you do 11?' },
+      expectedRevision: 1,
+      now,
+    });
+
+    const counter = latestOffer(match);
+    expect(match.quotes.length).toBe(2);
+    expect(match.quoteStatus).toBe('awaiting_supplier');
+    expect(counter.unitPrice).toBe(11);
+    expect(counter.quantity).toBe(100);
+    expect(counter.shippingTerms).toBe('FOB');
+    expect(counter.supplierProduct).toBe(listing);
+    expect(match.quotes[0].unitPrice).toBe(12.5);
+  });
+
+  it('locks the accepted terms into the accept revision', () => {
+    const match = quotedMatch();
+    applyQuoteAction(match, { side: 'buyer', action: 'counter', input: { unitPrice: '11' }, now });
+
+    const accepted = applyQuoteAction(match, { side: 'supplier', action: 'accept', now });
+
+    expect(match.quoteStatus).toBe('accepted');
+    expect(accepted.unitPrice).toBe(11);
+    expect(accepted.total).toBe(1100);
+    expect(accepted.supplierProduct).toBe(listing);
+    expect(allowedQuoteActions(match, 'buyer', now)).toEqual([]);
+  });
+
+  it('refuses stale, expired and out-of-turn actions', () => {
+    const match = quotedMatch();
+
+    expect(() =>
+      applyQuoteAction(match, { side: 'buyer', action: 'accept', expectedRevision: 0, now }),
+    ).toThrowMatching((err) => err.code === 'STALE_QUOTE');
+
+    expect(() =>
+      applyQuoteAction(match, { side: 'supplier', action: 'accept', now }),
+    ).toThrowMatching((err) => err.code === 'ACTION_NOT_ALLOWED');
+
+    const later = new Date('2026-05-16T00:00:00Z');
+    expect(() =>
+      applyQuoteAction(match, { side: 'buyer', action: 'accept', now: later }),
+    ).toThrowMatching((err) => err.code === 'QUOTE_EXPIRED');
+  });
+
+  it('requires a wholesale listing for supplier quotes', () => {
+    const match = { status: 'pending', quoteStatus: 'none', quotes: [] };
+
+    expect(() =>
+      applyQuoteAction(match, { side: 'supplier', action: 'quote', input: supplierQuote, now }),
+    ).toThrowMatching((err) => err.code === 'SUPPLIER_PRODUCT_REQUIRED');
+    expect(match.quotes.length).toBe(0);
+  });
+});
@@ -0,0 +1,111 @@
+// spec/returnPolicy.spec.js
+const {
+  checkOrderReturnable,
+  getReturnableQuantity,
+  computeReturnRefundCents,
+  computeReturnDebitCents,
+} = require('../utils/returns/returnPolicy');
+
+describe('returnPolicy', () => {
+  const paidOrder = {
+    status: 'COMPLETED',
+    paypal: { captureId: 'CAP-1' },
+    createdAt: new Date('2026-01-01T00:00:00Z'),
+    items: [
+      { productId: 'P1', quantity: 3, refundedQuantity: 1 },
+      { productId: 'P2', quantity: 1 },
+    ],
+  };
+
+  it('subtracts refunded and in-progress quantities', () => {
+    const open = [{ item: { itemIndex: 0 }, quantity: 1 }];
+
+    expect(getReturnableQuantity(paidOrder, 0, open)).toBe(1);
+    expect(getReturnableQuantity(paidOrder, 1, open)).toBe(1);
+    expect(getReturnableQuantity(paidOrder, 5, open)).toBe(0);
+  });
+
+  it('closes the window after RETURN_WINDOW_DAYS', () => {
+    const inside = checkOrderReturnable(paidOrder, { now: new Date('2026-01-20T00:00:00Z') });
+    const outside = checkOrderReturnable(paidOrder, { now: new Date('2026-03-01T00:00:00Z') });
+
+    expect(inside.ok).toBeTrue();
+    expect(outside.ok).toBeFalse();
+    expect(outside.code).toBe('WINDOW_CLOSED');
+  });
+
+  it('rejects unpaid orders', () => {
+    const result = checkOrderReturnable({ ...paidOrder, status: 'CREATED' });
+    expect(result.code).toBe('NOT_PAID');
+  });
+
+  it('caps the refund at the remaining captured amount', () => {
+    expect(
+      computeReturnRefundCents({
+        unitPrice: '12.50',
+        quantity: 2,
+        capturedCents: 3000,
+        refundedCents: 0,
+      }),
+    ).toBe(2500);
+
+    expect(
+      computeReturnRefundCents({
+        unitPrice: '12.50',
+        quantity: 2,
+        capturedCents: 3000,
+        refundedCents: 1000,
+      }),
+    ).toBe(2000);
+  });
+
+  it('debits only the returning seller on a two-seller order', () => {
+    const earnings = [
+      { businessId: 'seller-a', amountCents: 2700, meta: { productCustomId: 'P1', qty: 3 } },
+      { businessId: 'seller-b', amountCents: 5000, meta: { productCustomId: 'P2', qty: 1 } },
+      {
+        businessId: 'supplier-c',
+        amountCents: 600,
+        meta: { productCustomId: 'P1', qty: 3, payoutRole: 'supplier' },
+      },
+    ];
+
+    const balance = (rows) =>
+      rows.reduce((acc, r) => {
+        acc[r.businessId] = (acc[r.businessId] || 0) + r.amountCents;
+        return acc;
+      }, {});
+
+    const before = balance(earnings);
+    const debitCents = computeReturnDebitCents({
+      earnings,
+      sellerBusinessId: 'seller-a',
+      productId: 'P1',
+      quantity: 1,
+    });
+    const after = balance([...earnings, { businessId: 'seller-a', amountCents: -debitCents }]);
+
+    expect(debitCents).toBe(900);
+    expect(after['seller-a']).toBe(before['seller-a'] - 900);
+    expect(after['seller-b']).toBe(before['seller-b']);
+    expect(after['supplier-c']).toBe(before['supplier-c']);
+
+    expect(
+      computeReturnDebitCents({
+        earnings,
+        sellerBusinessId: 'seller-a',
+        productId: 'P1',
+        quantity: 3,
+        alreadyDebitedCents: 900,
+      }),
+    ).toBe(1800);
+    expect(
+      computeReturnDebitCents({
+        earnings,
+        sellerBusinessId: 'seller-b',
+        productId: 'P1',
+        quantity: 1,
+      }),
+    ).toBe(0);
+  });
+});
@@ -0,0 +1,82 @@
+// spec/searchSuggestions.spec.js
+const {
+  normalizeSuggestDepartment,
+  normalizeSearchQuery,
+  isTrackableQuery,
+  isPlainShopSearch,
+  buildPrefixMatch,
+  buildPopularQueryMatch,
+  matchCategories,
+  shopSearchUrl,
+} = require('../utils/search/searchSuggestions');
+
+describe('search suggestions', () => {
+  it('falls back to the session department and then to internal', () => {
+    expect(normalizeSuggestDepartment(' CJ ')).toBe('cj');
+    expect(normalizeSuggestDepartment('', 'cj')).toBe('cj');
+    expect(normalizeSuggestDepartment('bogus', 'bogus')).toBe('internal');
+  });
+
+  it('normalizes queries to a lowercase, single-spaced key', () => {
+    expect(normalizeSearchQuery('  Red\tSHOES \n ')).toBe('red shoes');
+    expect(normalizeSearchQuery(null)).toBe('');
+  });
+
+  it('does not track short, symbol-only or personal-looking searches', () => {
+    expect(isTrackableQuery('red shoes')).toBe(true);
+    expect(isTrackableQuery('usb 3.0')).toBe(true);
+    expect(isTrackableQuery('a')).toBe(false);
+    expect(isTrackableQuery('!!')).toBe(false);
+    expect(isTrackableQuery('jane@example.com')).toBe(false);
+    expect(isTrackableQuery('082 555 1234')).toBe(false);
+  });
+
+  it('counts only first-page keyword searches without filters', () => {
+    expect(isPlainShopSearch({ keyword: 'shoes', sort: 'newest' })).toBe(true);
+    expect(isPlainShopSearch({ keyword: 'shoes', page: '1', category: '' })).toBe(true);
+    expect(isPlainShopSearch({ keyword: ' ' })).toBe(false);
+    expect(isPlainShopSearch({ keyword: 'shoes', page: '2' })).toBe(false);
+    expect(isPlainShopSearch({ keyword: 'shoes', color: ['red'] })).toBe(false);
+    expect(isPlainShopSearch({ keyword: 'shoes', stock: 'all' })).toBe(false);
+  });
+
+  it('requires every term to start a word in one of the fields', () => {
+    const match = buildPrefixMatch(['red', 'sho'], ['name', 'keywords']);
+
+    expect(match.$and.length).toBe(2);
+    expect(match.$and[1].$or[0].name.test('Running Shoes')).toBe(true);
+    expect(match.$and[1].$or[0].name.test('Horseshoe')).toBe(false);
+    expect(buildPrefixMatch([], ['name'])).toBeNull();
+  });
+
+  it('suggests only visible popular searches that extend the typed text', () => {
+    const match = buildPopularQueryMatch('red (s', 'cj');
+
+    expect(match.department).toBe('cj');
+    expect(match.query.$regex).toBe('^red \\(s');
+    expect(match.query.$ne).toBe('red (s');
+    expect(match.hidden).toEqual({ $ne: true });
+    expect(match.lastResultCount).toEqual({ $gt: 0 });
+  });
+
+  it('ranks categories whose label starts with the first term first', () => {
+    const categories = [
+      { value: 'kids-shoes', label: 'Kids Shoes' },
+      { value: 'shoes', label: 'Shoes' },
+      { value: 'bags', label: 'Bags' },
+      { value: 'horseshoes', label: 'Horseshoes' },
+    ];
+
+    expect(matchCategories(categories, ['sho']).map((c) => c.value)).toEqual([
+      'shoes',
+      'kids-shoes',
+    ]);
+    expect(matchCategories(categories, [])).toEqual([]);
+  });
+
+  it('links suggestions to the shop in their department', () => {
+    expect(shopSearchUrl('cj', { keyword: 'red shoes', category: '' })).toBe(
+      '/store/shop?department=cj&keyword=red+shoes',
+    );
+  });
+});
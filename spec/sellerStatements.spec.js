@@ -0,0 +1,127 @@
+// spec/sellerStatements.spec.js
+const {
+  parseStatementMonth,
+  statementMonths,
+  buildSellerStatement,
+  statementToCsv,
+} = require('../utils/payouts/sellerStatementRules');
+const { renderSellerStatementPdf } = require('../utils/payouts/renderSellerStatementPdf');
+
+describe('seller statements', () => {
+  const month = parseStatementMonth('2026-05');
+  const now = new Date('2026-07-01T00:00:00Z');
+
+  const rows = [
+    {
+      _id: 'b',
+      type: 'REFUND_DEBIT',
+      amountCents: -500,
+      createdAt: '2026-05-10T09:00:00Z',
+      orderId: '64b0000000000000000000aa',
+      note: 'Refund debit (net) for order ORD-1 (R1)',
+    },
+    {
+      _id: 'a',
+      type: 'EARNING',
+      amountCents: 4500,
+      createdAt: '2026-05-03T12:00:00Z',
+      availableAt: '2026-05-05T12:00:00Z',
+      meta: { orderPublicId: 'ORD-1' },
+      note: 'Seller net earnings for order ORD-1 (P1)',
+    },
+    {
+      _id: 'c',
+      type: 'PAYOUT_DEBIT',
+      amountCents: -3000,
+      createdAt: '2026-05-20T08:00:00Z',
+      payoutId: '64b0000000000000000000bb',
+      meta: { batchId: 'BATCH-9' },
+      note: 'Payout initiated: BATCH-9',
+    },
+    {
+      _id: 'd',
+      type: 'EARNING',
+      amountCents: 2000,
+      createdAt: '2026-05-30T12:00:00Z',
+      availableAt: '2026-06-01T12:00:00Z',
+      meta: { orderPublicId: '=ORD-2' },
+      note: 'Seller net earnings for order =ORD-2 (P2)',
+    },
+  ];
+
+  it('parses UTC months and falls back to the current month', () => {
+    expect(month.start.toISOString()).toBe('2026-05-01T00:00:00.000Z');
+    expect(month.end.toISOString()).toBe('2026-06-01T00:00:00.000Z');
+    expect(month.label).toBe('May 2026');
+    expect(parseStatementMonth('nope', now).key).toBe('2026-07');
+    expect(parseStatementMonth('2026-13', now).key).toBe('2026-07');
+  });
+
+  it('lists months from the first ledger row, newest first', () => {
+    expect(statementMonths(new Date('2026-04-20T00:00:00Z'), now)).toEqual([
+      '2026-07',
+      '2026-06',
+      '2026-05',
+      '2026-04',
+    ]);
+  });
+
+  it('runs the balance from the opening balance in date order', () => {
+    const s = buildSellerStatement({
+      month,
+      currency: 'USD',
+      openingBalanceCents: 1000,
+      rows,
+      pendingAtCloseCents: 2000,
+      now,
+    });
+
+    expect(s.lines.map((l) => l.id)).toEqual(['a', 'b', 'c', 'd']);
+    expect(s.lines.map((l) => l.balanceCents)).toEqual([5500, 5000, 2000, 4000]);
+    expect(s.creditsCents).toBe(6500);
+    expect(s.debitsCents).toBe(-3500);
+    expect(s.closingBalanceCents).toBe(4000);
+    expect(s.pendingCents).toBe(2000);
+    expect(s.maturedCents).toBe(2000);
+    expect(s.isCurrentMonth).toBeFalse();
+  });
+
+  it('marks earnings that had not matured by the month end as pending', () => {
+    const s = buildSellerStatement({ month, currency: 'USD', rows, now });
+    const byId = Object.fromEntries(s.lines.map((l) => [l.id, l]));
+
+    expect(byId.a.pending).toBeFalse();
+    expect(byId.d.pending).toBeTrue();
+    expect(byId.a.orderRef).toBe('ORD-1');
+    expect(byId.b.orderRef).toBe('64b0000000000000000000aa');
+    expect(byId.c.payoutRef).toBe('BATCH-9');
+    expect(byId.a.payoutRef).toBe('');
+  });
+
+  it('exports CSV with a summary block and defused formulas', () => {
+    const s = buildSellerStatement({
+      month,
+      currency: 'USD',
+      openingBalanceCents: 1000,
+      rows,
+      now,
+    });
+    const csv = statementToCsv(s, { businessName: 'Acme, Inc' });
+    const lines = csv.trim().split('\r\n');
+
+    expect(lines[0]).toBe('Statement,2026-05');
+    expect(lines[1]).toBe('Business,"Acme, Inc"');
+    expect(lines).toContain('Closing balance,40.00');
+    expect(lines).toContain(
+      '2026-05-20 08:00:00,Payout,Payout initiated: BATCH-9,,BATCH-9,-30.00,,20.00',
+    );
+    expect(csv).toContain(",'=ORD-2,");
+  });
+
+  it('renders a PDF', async () => {
+    const s = buildSellerStatement({ month, currency: 'USD', rows, now });
+    const pdf = await renderSellerStatementPdf(s, { name: 'Acme', email: 'a@example.com' });
+
+    expect(pdf.subarray(0, 4).toString()).toBe('%PDF');
+  });
+});
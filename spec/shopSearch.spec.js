@@ -0,0 +1,157 @@
+// spec/shopSearch.spec.js
+const {
+  parseShopSearchParams,
+  shopFilterQueryString,
+  singularize,
+  editDistance,
+  correctTokens,
+  buildKeywordSearch,
+  buildFilterMatch,
+  buildShopSearchPipeline,
+  normalizeShopSearchResult,
+} = require('../utils/search/shopSearch');
+
+describe('shop search', () => {
+  it('parses repeated filters and converts shown prices back to base prices', () => {
+    const params = parseShopSearchParams(
+      {
+        keyword: '  red shoes ',
+        category: ['shoes', 'shoes', 'bags'],
+        color: 'red,blue',
+        priceMin: '230',
+        priceMax: '115',
+        rating: '4',
+        sale: '1',
+        sort: 'bogus',
+      },
+      { priceFactor: 1.15 },
+    );
+
+    expect(params.keyword).toBe('red shoes');
+    expect(params.sort).toBe('default');
+    expect(params.filters.category).toEqual(['shoes', 'bags']);
+    expect(params.filters.color).toEqual(['red', 'blue']);
+    expect(params.filters.priceMin).toBeCloseTo(100, 6);
+    expect(params.filters.priceMax).toBeCloseTo(200, 6);
+    expect(params.filters.rating).toBe(4);
+    expect(params.filters.inStockOnly).toBe(true);
+    expect(params.filters.onSaleOnly).toBe(true);
+  });
+
+  it('keeps the active filters in links, optionally without some facets', () => {
+    const params = parseShopSearchParams({
+      category: 'shoes',
+      size: ['9', '10'],
+      stock: 'all',
+      priceMax: '50',
+    });
+
+    expect(shopFilterQueryString(params, { except: ['category'] })).toBe(
+      'size=9&size=10&priceMax=50&stock=all',
+    );
+  });
+
+  it('measures typos including swapped letters', () => {
+    expect(editDistance('shirt', 'shirt')).toBe(0);
+    expect(editDistance('shrit', 'shirt')).toBe(1);
+    expect(editDistance('jaket', 'jacket')).toBe(1);
+    expect(editDistance('phone', 'laptop', 2)).toBe(3);
+  });
+
+  it('corrects unknown words to the most common close catalogue term', () => {
+    const vocabulary = new Map([
+      ['jacket', 12],
+      ['racket', 2],
+      ['shoe', 30],
+      ['sneaker', 4],
+    ]);
+
+    expect(singularize('dresses')).toBe('dress');
+    expect(singularize('batteries')).toBe('battery');
+
+    expect(correctTokens(['shoes', 'jaket'], vocabulary)).toEqual({
+      tokens: ['shoes', 'jacket'],
+      corrected: true,
+    });
+    expect(correctTokens(['sneakers', 'xyz'], vocabulary)).toEqual({
+      tokens: ['sneakers', 'xyz'],
+      corrected: false,
+    });
+  });
+
+  it('builds a text search and a word-prefix fallback from the keyword', () => {
+    const search = buildKeywordSearch(
+      'Leathr bag',
+      new Map([
+        ['leather', 3],
+        ['bag', 9],
+      ]),
+    );
+
+    expect(search.correctedKeyword).toBe('leather bag');
+    expect(search.textMatch).toEqual({ $text: { $search: 'leather bag' } });
+    expect(search.fallbackMatch.$and.length).toBe(2);
+    expect(search.fallbackMatch.$and[0].$or[0].name.test('Soft leather tote')).toBe(true);
+    expect(search.fallbackMatch.$and[0].$or[0].name.test('Unleathered')).toBe(false);
+
+    expect(buildKeywordSearch('  ', new Map())).toBeNull();
+  });
+
+  it('leaves a facet out of its own count', () => {
+    const { filters } = parseShopSearchParams({ category: 'shoes', color: 'red', sale: '1' });
+
+    expect(buildFilterMatch(filters, 'category')).toEqual({
+      $and: [
+        { $or: [{ color: { $in: ['red'] } }, { colors: { $in: ['red'] } }] },
+        { stock: { $gt: 0 } },
+        { isOnSale: true },
+      ],
+    });
+  });
+
+  it('ranks keyword results by relevance unless another sort is chosen', () => {
+    const { filters } = parseShopSearchParams({});
+    const pipeline = buildShopSearchPipeline({
+      searchMatch: { $text: { $search: 'bag' } },
+      scoreExpr: { $meta: 'textScore' },
+      filters,
+      sort: 'default',
+      skip: 12,
+      limit: 12,
+    });
+
+    expect(pipeline[0]).toEqual({ $match: { $text: { $search: 'bag' } } });
+    expect(pipeline[1]).toEqual({ $addFields: { _score: { $meta: 'textScore' } } });
+    expect(pipeline[2].$facet.products).toContain({
+      $sort: { _score: -1, soldCount: -1, createdAt: -1, _id: -1 },
+    });
+    expect(pipeline[2].$facet.products).toContain({ $skip: 12 });
+  });
+
+  it('normalizes facet output and keeps selected values visible', () => {
+    const { filters } = parseShopSearchParams({ type: ['boots', 'sandals'], rating: '3' });
+
+    const result = normalizeShopSearchResult(
+      {
+        products: [{ name: 'A' }],
+        total: [{ count: 31 }],
+        type: [{ _id: 'boots', count: 5 }],
+        price: [{ _id: null, min: 10, max: 90 }],
+        rating: [{ _id: null, r4: 2, r3: 6, r2: 7, r1: 7 }],
+        stock: [{ _id: null, inStock: 30, total: 34 }],
+        sale: [{ _id: null, onSale: 4 }],
+      },
+      filters,
+    );
+
+    expect(result.totalProducts).toBe(31);
+    expect(result.facets.type).toEqual([
+      { value: 'boots', count: 5, selected: true },
+      { value: 'sandals', count: 0, selected: true },
+    ]);
+    expect(result.facets.price).toEqual({ min: 10, max: 90 });
+    expect(result.facets.rating[1]).toEqual({ min: 3, count: 6, selected: true });
+    expect(result.facets.inStock).toEqual({ count: 30, total: 34 });
+    expect(result.facets.category).toEqual([]);
+  });
+});
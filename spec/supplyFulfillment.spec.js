@@ -0,0 +1,111 @@
+// spec/supplyFulfillment.spec.js
+const {
+  expectedArrivalDate,
+  markPacked,
+  markShipped,
+  outstandingQuantity,
+  recordReceipt,
+  closeShort,
+  unrefundedShortQuantity,
+  importableQuantity,
+} = require('../utils/wholesale/supplyFulfillment');
+
+describe('supply request fulfillment', () => {
+  function paidRequest(overrides = {}) {
+    return {
+      status: 'approved',
+      requestedQuantity: 10,
+      leadTimeDays: 5,
+      approvedAt: new Date('2026-06-01T08:00:00Z'),
+      payment: { status: 'paid', paidAt: new Date('2026-06-02T08:00:00Z'), refundedQuantity: 0 },
+      fulfillment: { stage: 'awaiting', receivedQuantity: 0 },
+      importedQuantity: 0,
+      ...overrides,
+    };
+  }
+
+  it('expects arrival a lead time after payment, falling back to the product lead time', () => {
+    expect(expectedArrivalDate(paidRequest())).toEqual(new Date('2026-06-07T08:00:00Z'));
+
+    const legacy = paidRequest({ leadTimeDays: null, supplierProduct: { leadTimeDays: 3 } });
+    legacy.payment.paidAt = null;
+    expect(expectedArrivalDate(legacy)).toEqual(new Date('2026-06-04T08:00:00Z'));
+
+    expect(expectedArrivalDate({ leadTimeDays: 3 })).toBeNull();
+  });
+
+  it('only lets paid requests be packed and shipped once', () => {
+    expect(() => markPacked(paidRequest({ payment: { status: 'pending' } }))).toThrowError(
+      /paid for/,
+    );
+
+    const request = paidRequest();
+    markPacked(request);
+    expect(request.fulfillment.stage).toBe('packed');
+
+    markShipped(request, { carrier: 'courier_guy', trackingNumber: ' TCG123 ' });
+    expect(request.fulfillment).toEqual(
+      jasmine.objectContaining({
+        stage: 'shipped',
+        carrier: 'courier_guy',
+        carrierLabel: 'The Courier Guy',
+        trackingNumber: 'TCG123',
+        shippedQuantity: 10,
+      }),
+    );
+
+    expect(() => markShipped(request, { carrier: 'ups', trackingNumber: '1Z' })).toThrowError(
+      /already been shipped/,
+    );
+  });
+
+  it('needs a known carrier and a tracking number unless the carrier is other', () => {
+    expect(() => markShipped(paidRequest(), { carrier: 'pigeon' })).toThrowError(/carrier/);
+    expect(() => markShipped(paidRequest(), { carrier: 'ups' })).toThrowError(/tracking number/);
+
+    const request = paidRequest();
+    markShipped(request, { carrier: 'other', carrierLabel: 'Own truck' });
+    expect(request.fulfillment.carrierLabel).toBe('Own truck');
+  });
+
+  it('records deliveries until everything shipped has arrived', () => {
+    const request = paidRequest({ fulfillment: { stage: 'shipped', receivedQuantity: 0 } });
+
+    expect(recordReceipt(request, 6)).toBe(6);
+    expect(request.fulfillment.stage).toBe('partially_delivered');
+    expect(outstandingQuantity(request)).toBe(4);
+
+    expect(() => recordReceipt(request, 5)).toThrowError(/between 1 and 4/);
+
+    recordReceipt(request, 4);
+    expect(request.fulfillment.stage).toBe('delivered');
+    expect(outstandingQuantity(request)).toBe(0);
+  });
+
+  it('closes a short delivery and reports the missing units until refunded', () => {
+    const request = paidRequest({
+      fulfillment: { stage: 'partially_delivered', receivedQuantity: 7 },
+    });
+
+    expect(closeShort(request)).toBe(3);
+    expect(request.fulfillment.stage).toBe('delivered');
+    expect(unrefundedShortQuantity(request)).toBe(3);
+
+    request.payment.refundedQuantity = 3;
+    expect(unrefundedShortQuantity(request)).toBe(0);
+
+    expect(() => closeShort(paidRequest())).toThrowError(/partially delivered/);
+  });
+
+  it('only imports received units that are not imported yet', () => {
+    expect(importableQuantity(paidRequest())).toBe(0);
+    expect(
+      importableQuantity(
+        paidRequest({
+          importedQuantity: 4,
+          fulfillment: { stage: 'partially_delivered', receivedQuantity: 6 },
+        }),
+      ),
+    ).toBe(2);
+  });
+});
@@ -0,0 +1,105 @@
+// spec/supplyRequestPayment.spec.js
+const {
+  supplyRequestAmountCents,
+  isSupplyRequestPayable,
+  planSupplyRequestRefund,
+  paymentStatusAfterRefund,
+  allocateReturnedQuantity,
+} = require('../utils/wholesale/supplyRequestPayment');
+
+describe('supply request payments', () => {
+  function paidRequest(overrides = {}) {
+    return {
+      status: 'approved',
+      requestedQuantity: 10,
+      unitPrice: 12.5,
+      importedAt: new Date('2026-05-01T10:00:00Z'),
+      payment: {
+        status: 'paid',
+        amountCents: 12500,
+        refundedCents: 0,
+        refundedQuantity: 0,
+        paypalAmount: { valueCents: 700, currency: 'USD' },
+        paypalRefundedCents: 0,
+      },
+      ...overrides,
+    };
+  }
+
+  it('totals the agreed unit price, falling back to the list price', () => {
+    expect(supplyRequestAmountCents({ requestedQuantity: 3, unitPrice: 9.99 })).toBe(2997);
+    expect(
+      supplyRequestAmountCents({
+        requestedQuantity: 2,
+        unitPrice: null,
+        supplierProduct: { wholesalePrice: 4 },
+      }),
+    ).toBe(800);
+  });
+
+  it('only lets approved, unimported, unpaid requests be paid', () => {
+    const approved = { status: 'approved', requestedQuantity: 1, unitPrice: 5 };
+
+    expect(isSupplyRequestPayable(approved)).toBe(true);
+    expect(isSupplyRequestPayable({ ...approved, payment: { status: 'pending' } })).toBe(true);
+    expect(isSupplyRequestPayable({ ...approved, payment: { status: 'paid' } })).toBe(false);
+    expect(isSupplyRequestPayable({ ...approved, payment: { status: 'capturing' } })).toBe(false);
+    expect(isSupplyRequestPayable({ ...approved, payment: { status: 'needs_review' } })).toBe(
+      false,
+    );
+    expect(isSupplyRequestPayable({ ...approved, status: 'pending' })).toBe(false);
+    expect(isSupplyRequestPayable({ ...approved, importedAt: new Date() })).toBe(false);
+  });
+
+  it('refunds returned units pro rata in the PayPal currency', () => {
+    const plan = planSupplyRequestRefund(paidRequest(), { quantity: 3 });
+
+    expect(plan).toEqual({ quantity: 3, refundCents: 3750, paypalRefundCents: 210 });
+  });
+
+  it('refunds whatever is left on the last refund so FX rounding never strands a cent', () => {
+    const request = paidRequest();
+    request.payment.paypalAmount.valueCents = 701;
+    request.payment.refundedCents = 3750;
+    request.payment.refundedQuantity = 3;
+    request.payment.paypalRefundedCents = 210;
+
+    const plan = planSupplyRequestRefund(request);
+
+    expect(plan).toEqual({ quantity: 7, refundCents: 8750, paypalRefundCents: 491 });
+  });
+
+  it('refunds nothing for unpaid or fully refunded requests', () => {
+    const none = { quantity: 0, refundCents: 0, paypalRefundCents: 0 };
+
+    expect(planSupplyRequestRefund({ requestedQuantity: 5, unitPrice: 1 })).toEqual(none);
+
+    const refunded = paidRequest();
+    refunded.payment.refundedCents = 12500;
+    refunded.payment.refundedQuantity = 10;
+    expect(planSupplyRequestRefund(refunded, { quantity: 1 })).toEqual(none);
+  });
+
+  it('marks partial and full refunds', () => {
+    expect(paymentStatusAfterRefund({ amountCents: 100, refundedCents: 40 })).toBe(
+      'partially_refunded',
+    );
+    expect(paymentStatusAfterRefund({ amountCents: 100, refundedCents: 100 })).toBe('refunded');
+  });
+
+  it('spreads returned stock over the newest paid requests first', () => {
+    const older = paidRequest({ importedAt: new Date('2026-04-01T00:00:00Z') });
+    const newer = paidRequest({
+      requestedQuantity: 4,
+      importedAt: new Date('2026-05-01T00:00:00Z'),
+    });
+    const unpaid = paidRequest({ payment: { status: 'unpaid' } });
+
+    const allocations = allocateReturnedQuantity([older, unpaid, newer], 6);
+
+    expect(allocations.map((a) => [a.request, a.quantity])).toEqual([
+      [newer, 4],
+      [older, 2],
+    ]);
+  });
+});
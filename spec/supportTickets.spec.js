@@ -0,0 +1,31 @@
+// spec/supportTickets.spec.js
+const { formatTicketNumber, requesterTicketUrl } = require('../utils/support/ticketService');
+const { buildSupportTicketEmail } = require('../utils/emails/supportTicketEmail');
+
+describe('support tickets', () => {
+  it('pads ticket numbers', () => {
+    expect(formatTicketNumber(7)).toBe('TKT-000007');
+  });
+
+  it('gives guests a token link and account holders a plain link', () => {
+    const guest = { ticketNumber: 'TKT-000001', requester: { type: 'guest' } };
+    const user = { ticketNumber: 'TKT-000002', requester: { type: 'user' } };
+
+    expect(requesterTicketUrl(guest, 'abc')).toBe('/support/tickets/TKT-000001?t=abc');
+    expect(requesterTicketUrl(user, 'abc')).toBe('/support/tickets/TKT-000002');
+  });
+
+  it('escapes the message in the reply email', () => {
+    const email = buildSupportTicketEmail({
+      ticket: { ticketNumber: 'TKT-000003', subject: 'Late parcel' },
+      event: 'REPLIED',
+      message: { authorName: 'Sam', body: '<b>Hi</b>\nOn its way' },
+      url: '/support/tickets/TKT-000003',
+      baseUrl: 'https://kasyora.test/',
+    });
+
+    expect(email.subject).toContain('TKT-000003');
+    expect(email.html).toContain('&lt;b&gt;Hi&lt;/b&gt;<br>On its way');
+    expect(email.text).toContain('https://kasyora.test/support/tickets/TKT-000003');
+  });
+});
@@ -0,0 +1,111 @@
+// spec/taxDocuments.spec.js
+const {
+  formatDocumentNumber,
+  supplierFromEnv,
+  buildInternalInvoice,
+  buildCjInvoice,
+  buildCreditNote,
+} = require('../utils/invoices/buildTaxDocuments');
+
+describe('buildTaxDocuments', () => {
+  const supplier = supplierFromEnv({
+    INVOICE_SELLER_NAME: 'Kasyora Ltd',
+    INVOICE_SELLER_VAT_NUMBER: '4123456789',
+    INVOICE_SELLER_ADDRESS: '1 Main Road|Cape Town',
+  });
+
+  it('pads document numbers', () => {
+    expect(formatDocumentNumber('INV', 42)).toBe('INV-000042');
+    expect(formatDocumentNumber('CN', 1234567)).toBe('CN-1234567');
+  });
+
+  it('reads multi-line supplier addresses from env', () => {
+    expect(supplier.addressLines).toEqual(['1 Main Road', 'Cape Town']);
+    expect(supplierFromEnv({}).name).toBe('Kasyora');
+  });
+
+  it('builds an internal invoice from the frozen breakdown and tax treatment', () => {
+    const invoice = buildInternalInvoice(
+      {
+        _id: 'o1',
+        orderId: 'PAYPAL-1',
+        items: [
+          {
+            name: 'Shirt',
+            productId: 'SKU-1',
+            quantity: 2,
+            price: { value: '50.00', currency: 'ZAR' },
+            discount: { value: '10.00', currency: 'ZAR' },
+            variants: { size: 'M', color: 'Red' },
+          },
+        ],
+        breakdown: {
+          itemTotal: { value: '100.00' },
+          discount: { value: '10.00' },
+          shipping: { value: '20.00' },
+          taxTotal: { value: '16.50' },
+        },
+        amount: { value: '126.50', currency: 'ZAR' },
+        taxTreatment: { vatRate: 0.15, label: 'South African VAT (15%)' },
+      },
+      { supplier },
+    );
+
+    expect(invoice.title).toBe('Tax Invoice');
+    expect(invoice.currency).toBe('ZAR');
+    expect(invoice.lines[0].description).toBe('Shirt (M / Red)');
+    expect(invoice.lines[0].lineTotalExVat).toBe('90.00');
+    expect(invoice.totals).toEqual({
+      subtotalExVat: '100.00',
+      discountExVat: '10.00',
+      shipping: '20.00',
+      vat: '16.50',
+      total: '126.50',
+    });
+    expect(invoice.vatRate).toBe(0.15);
+  });
+
+  it('never adds VAT to CJ invoices', () => {
+    const invoice = buildCjInvoice(
+      {
+        _id: 'c1',
+        cjOrderNumber: 'CJ-20260101-ABC',
+        currency: 'USD',
+        items: [
+          {
+            name: 'Lamp',
+            variantName: 'White',
+            quantity: 1,
+            unitPrice: { value: '30.00' },
+            lineTotal: { value: '30.00' },
+          },
+        ],
+        productTotal: { value: '30.00' },
+        shippingTotal: { value: '5.00' },
+        payableTotal: { value: '35.00', currency: 'USD' },
+        deliveryAddress: { firstName: 'Ada', lastName: 'Smith', countryCode: 'DE' },
+      },
+      { supplier },
+    );
+
+    expect(invoice.title).toBe('Invoice');
+    expect(invoice.customer.name).toBe('Ada Smith');
+    expect(invoice.totals.vat).toBe('0.00');
+    expect(invoice.totals.total).toBe('35.00');
+  });
+
+  it('splits the refunded amount with the invoice VAT rate', () => {
+    const note = buildCreditNote(
+      { _id: 'i1', number: 'INV-000001', vatRate: 0.15, currency: 'ZAR', orderRef: 'PAYPAL-1' },
+      { refundId: 'R1', amount: '115.00' },
+      { reason: 'Return RMA-1', items: [{ name: 'Shirt', quantity: 1, variants: { size: 'M' } }] },
+    );
+
+    expect(note.kind).toBe('CREDIT_NOTE');
+    expect(note.invoiceNumber).toBe('INV-000001');
+    expect(note.lines[0].description).toBe('Returned: 1 x Shirt (M)');
+    expect(note.totals.subtotalExVat).toBe('100.00');
+    expect(note.totals.vat).toBe('15.00');
+    expect(note.totals.total).toBe('115.00');
+  });
+});
@@ -0,0 +1,73 @@
+// spec/totp.spec.js
+const {
+  base32Encode,
+  base32Decode,
+  totpCodeForStep,
+  timeStep,
+  verifyTotp,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  encryptSecret,
+  decryptSecret,
+} = require('../utils/auth/totp');
+
+describe('TOTP two-factor helpers', () => {
+  // RFC 6238 appendix B secret ("12345678901234567890")
+  const secret = base32Encode(Buffer.from('12345678901234567890'));
+
+  it('round-trips base32', () => {
+    expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode(secret).toString()).toBe('12345678901234567890');
+  });
+
+  it('matches the RFC 6238 SHA-1 test vectors', () => {
+    expect(totpCodeForStep(secret, timeStep(59 * 1000))).toBe('287082');
+    expect(totpCodeForStep(secret, timeStep(1111111109 * 1000))).toBe('081804');
+    expect(totpCodeForStep(secret, timeStep(1234567890 * 1000))).toBe('005924');
+  });
+
+  it('accepts adjacent steps but rejects replays', () => {
+    const now = 1234567890 * 1000;
+    const step = timeStep(now);
+    const previous = totpCodeForStep(secret, step - 1);
+
+    expect(verifyTotp(secret, previous, { now })).toBe(step - 1);
+    expect(verifyTotp(secret, previous, { now, lastUsedStep: step - 1 })).toBeNull();
+    expect(verifyTotp(secret, '000000', { now })).toBeNull();
+    expect(verifyTotp(secret, 'abc', { now })).toBeNull();
+  });
+
+  it('builds an otpauth URL for authenticator apps', () => {
+    const url = buildOtpauthUrl({ issuer: 'Kasyora', account: 'a@b.co', secret });
+
+    expect(url.startsWith('otpauth://totp/Kasyora%3Aa%40b.co?')).toBeTrue();
+    expect(url).toContain(`secret=${secret}`);
+    expect(url).toContain('issuer=Kasyora');
+  });
+
+  it('hashes recovery codes independent of formatting', () => {
+    const codes = generateRecoveryCodes(4);
+
+    expect(codes.length).toBe(4);
+    expect(new Set(codes).size).toBe(4);
+    expect(codes[0]).toMatch(/^[a-f0-9]{5}-[a-f0-9]{5}$/);
+    expect(hashRecoveryCode(codes[0].toUpperCase().replace('-', ' '))).toBe(
+      hashRecoveryCode(codes[0]),
+    );
+  });
+
+  it('encrypts secrets at rest', () => {
+    const previous = process.env.TWO_FACTOR_ENCRYPTION_KEY;
+    process.env.TWO_FACTOR_ENCRYPTION_KEY = 'spec-key';
+
+    try {
+      const sealed = encryptSecret(secret);
+      expect(sealed).not.toContain(secret);
+      expect(decryptSecret(sealed)).toBe(secret);
+    } finally {
+      if (previous === undefined) delete process.env.TWO_FACTOR_ENCRYPTION_KEY;
+      else process.env.TWO_FACTOR_ENCRYPTION_KEY = previous;
+    }
+  });
+});
@@ -19,6 +19,8 @@ const ROLE_PERMISSIONS = {
     'orders.read',
     'orders.update',
     'orders.refund.read',
+    'disputes.read',
+    'disputes.respond',
   ],
 
   shipping_admin: [
@@ -43,6 +45,8 @@ const ROLE_PERMISSIONS = {
     'payouts.read',
     'payouts.approve',
     'payouts.reconcile',
+    'payouts.commission.manage',
+    'disputes.read',
   ],
 
   verification_admin: [
@@ -0,0 +1,415 @@
+// utils/alerts/productAlertService.js
+'use strict';
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const ProductAlert = require('../../models/ProductAlert');
+const Product = require('../../models/Product');
+const CjProduct = require('../../models/CjProduct');
+const Wishlist = require('../../models/Wishlist');
+const User = require('../../models/User');
+const Business = require('../../models/Business');
+const { notifySafely } = require('../notify');
+const { sendProductAlertEmail } = require('../emails/productAlertEmail');
+const {
+  ALERT_NOTIFICATION_TYPES,
+  alertThrottleHours,
+  normalizeAlertEmail,
+  subscriberKeyFor,
+  cjAvailability,
+  isPriceDrop,
+  isAlertThrottled,
+} = require('./productAlerts');
+
+const BASE_CURRENCY =
+  String(process.env.BASE_CURRENCY || '')
+    .trim()
+    .toUpperCase() || 'USD';
+
+const ACCOUNT_MODELS = { user: User, business: Business };
+
+function newUnsubscribeToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+/* -------------------------------------------------------
+ * Products
+ * ----------------------------------------------------- */
+
+// What a subscriber sees right now: availability, price and where to go.
+function internalSnapshot(product) {
+  return {
+    source: 'internal',
+    productKey: String(product._id),
+    productName: String(product.name || '').trim(),
+    productPath: `/store/product/${encodeURIComponent(product.customId || '')}`,
+    imageUrl: product.imageUrl || '',
+    inStock: Number(product.stock || 0) > 0,
+    price: Number.isFinite(Number(product.price)) ? Number(product.price) : null,
+    currency: BASE_CURRENCY,
+  };
+}
+
+function cjSnapshot(product) {
+  const cjProductId = String(product.cjProductId || '').trim();
+  const availability = cjAvailability(product);
+
+  return {
+    source: 'cj',
+    productKey: cjProductId,
+    productName: String(product.name || '').trim(),
+    productPath: `/cj/product/${encodeURIComponent(cjProductId)}`,
+    imageUrl: product.mainImageUrl || '',
+    inStock: product.status === 'active' && availability.inStock,
+    price: availability.price,
+    currency: availability.currency || BASE_CURRENCY,
+  };
+}
+
+async function findInternalProduct(ref) {
+  const raw = String(ref || '').trim();
+  if (!raw) return null;
+
+  const query = mongoose.isValidObjectId(raw) ? { _id: raw } : { customId: raw };
+  return Product.findOne(query).select('_id customId name imageUrl stock price').lean();
+}
+
+async function findCjProduct(ref) {
+  const cjProductId = String(ref || '')
+    .trim()
+    .slice(0, 300);
+  if (!cjProductId) return null;
+
+  return CjProduct.findOne({ cjProductId, status: 'active' })
+    .select('cjProductId name mainImageUrl status variants')
+    .lean();
+}
+
+function seenFromSnapshot(snapshot) {
+  return { price: snapshot.price, currency: snapshot.currency, inStock: snapshot.inStock };
+}
+
+/* -------------------------------------------------------
+ * Subscriptions
+ * ----------------------------------------------------- */
+
+/**
+ * Subscribes an account ({ type: 'user'|'business', id }) or a guest
+ * ({ type: 'guest', email }) to alerts for one product. Subscribing
+ * again updates the chosen alerts and restarts an unsubscribed alert.
+ *
+ * Returns { ok, alert } or { ok: false, code }.
+ */
+async function subscribeToProductAlert({
+  source,
+  productRef,
+  subscriber,
+  origin = 'product_page',
+  backInStock = true,
+  priceDrop = true,
+}) {
+  if (!backInStock && !priceDrop) return { ok: false, code: 'NO_ALERT_SELECTED' };
+
+  const isGuest = subscriber?.type === 'guest';
+  const email = isGuest ? normalizeAlertEmail(subscriber.email) : '';
+
+  if (isGuest && !email) return { ok: false, code: 'INVALID_EMAIL' };
+  if (!isGuest && (!ACCOUNT_MODELS[subscriber?.type] || !mongoose.isValidObjectId(subscriber.id))) {
+    return { ok: false, code: 'INVALID_SUBSCRIBER' };
+  }
+
+  const product =
+    source === 'cj' ? await findCjProduct(productRef) : await findInternalProduct(productRef);
+  if (!product) return { ok: false, code: 'PRODUCT_NOT_FOUND' };
+
+  const snapshot = source === 'cj' ? cjSnapshot(product) : internalSnapshot(product);
+
+  const filter = {
+    source: snapshot.source,
+    productKey: snapshot.productKey,
+    subscriberKey: subscriberKeyFor({ type: subscriber.type, id: subscriber.id, email }),
+  };
+
+  const alert = await ProductAlert.findOneAndUpdate(
+    filter,
+    {
+      $set: {
+        backInStock: Boolean(backInStock),
+        priceDrop: Boolean(priceDrop),
+        unsubscribedAt: null,
+        seen: seenFromSnapshot(snapshot),
+        // An explicit sign-up outlives the product leaving the wishlist.
+        origin,
+      },
+      $setOnInsert: {
+        product: snapshot.source === 'internal' ? product._id : null,
+        cjProductId: snapshot.source === 'cj' ? snapshot.productKey : '',
+        subscriberType: subscriber.type,
+        subscriberId: isGuest ? null : subscriber.id,
+        email,
+        unsubscribeToken: newUnsubscribeToken(),
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true },
+  );
+
+  return { ok: true, alert };
+}
+
+/**
+ * Gives every wishlist owner of these internal products an alert row,
+ * leaving existing rows (including unsubscribed ones) untouched.
+ */
+async function ensureWishlistAlerts(productIds) {
+  const ids = (Array.isArray(productIds) ? productIds : [productIds])
+    .map(String)
+    .filter((id) => mongoose.isValidObjectId(id));
+  if (!ids.length) return 0;
+
+  const [rows, products] = await Promise.all([
+    Wishlist.find({ productId: { $in: ids } })
+      .select('ownerType ownerId productId')
+      .lean(),
+    Product.find({ _id: { $in: ids } })
+      .select('_id customId name imageUrl stock price')
+      .lean(),
+  ]);
+
+  const byId = new Map(products.map((p) => [String(p._id), p]));
+
+  const ops = rows
+    .filter((row) => byId.has(String(row.productId)))
+    .map((row) => {
+      const snapshot = internalSnapshot(byId.get(String(row.productId)));
+
+      return {
+        updateOne: {
+          filter: {
+            source: 'internal',
+            productKey: snapshot.productKey,
+            subscriberKey: subscriberKeyFor({ type: row.ownerType, id: row.ownerId }),
+          },
+          update: {
+            $setOnInsert: {
+              product: row.productId,
+              subscriberType: row.ownerType,
+              subscriberId: row.ownerId,
+              origin: 'wishlist',
+              backInStock: true,
+              priceDrop: true,
+              seen: seenFromSnapshot(snapshot),
+              unsubscribeToken: newUnsubscribeToken(),
+            },
+          },
+          upsert: true,
+        },
+      };
+    });
+
+  if (!ops.length) return 0;
+
+  const result = await ProductAlert.bulkWrite(ops, { ordered: false });
+  return result.upsertedCount || 0;
+}
+
+/** Drops the automatic alert when a product leaves a wishlist. */
+async function removeWishlistAlert(owner, productId) {
+  if (!owner?.type || !mongoose.isValidObjectId(productId)) return;
+
+  await ProductAlert.deleteOne({
+    source: 'internal',
+    productKey: String(productId),
+    subscriberKey: subscriberKeyFor(owner),
+    origin: 'wishlist',
+  });
+}
+
+async function setUnsubscribed(token, unsubscribed) {
+  const value = String(token || '').trim();
+  if (!/^[a-f0-9]{48}$/.test(value)) return null;
+
+  return ProductAlert.findOneAndUpdate(
+    { unsubscribeToken: value },
+    { $set: { unsubscribedAt: unsubscribed ? new Date() : null } },
+    { new: true },
+  ).lean();
+}
+
+function unsubscribeProductAlert(token) {
+  return setUnsubscribed(token, true);
+}
+
+function resubscribeProductAlert(token) {
+  return setUnsubscribed(token, false);
+}
+
+/* -------------------------------------------------------
+ * Delivery
+ * ----------------------------------------------------- */
+
+async function subscriberEmail(alert) {
+  if (alert.subscriberType === 'guest') return alert.email;
+
+  const Model = ACCOUNT_MODELS[alert.subscriberType];
+  const doc = Model ? await Model.findById(alert.subscriberId).select('email').lean() : null;
+  return doc?.email || '';
+}
+
+async function deliverAlert(alert, kind, snapshot, previousPrice) {
+  const payload = {
+    kind,
+    source: snapshot.source,
+    productName: snapshot.productName,
+    productPath: snapshot.productPath,
+    imageUrl: snapshot.imageUrl,
+    price: snapshot.price,
+    previousPrice,
+    currency: snapshot.currency,
+    unsubscribeToken: alert.unsubscribeToken,
+  };
+
+  if (alert.subscriberType !== 'guest') {
+    await notifySafely({
+      recipientType: alert.subscriberType,
+      recipientId: alert.subscriberId,
+      type: ALERT_NOTIFICATION_TYPES[kind],
+      title:
+        kind === 'priceDrop'
+          ? `Price drop: ${snapshot.productName}`
+          : `Back in stock: ${snapshot.productName}`,
+      message:
+        kind === 'priceDrop'
+          ? `Now ${snapshot.currency} ${Number(snapshot.price).toFixed(2)}, down from ${snapshot.currency} ${Number(previousPrice).toFixed(2)}.`
+          : 'A product you are following is available again.',
+      link: snapshot.productPath,
+      productId: snapshot.source === 'internal' ? alert.product : undefined,
+    });
+  }
+
+  try {
+    await sendProductAlertEmail({ to: await subscriberEmail(alert), alert: payload });
+  } catch (err) {
+    console.warn('⚠️ Product alert email failed:', err?.message || String(err));
+  }
+}
+
+/**
+ * Works out which alert (if any) each active subscription of one product
+ * is due, claims it against the throttle and delivers it. Subscriptions
+ * that are not alerted still learn the new state: availability always,
+ * price only when it went up (so small drops can add up to an alert).
+ *
+ * `restocked` marks an internal product seen going from 0 to positive
+ * stock; CJ products compare against the availability last seen.
+ */
+async function dispatchAlertsForSnapshot(snapshot, { restocked = false, now = new Date() } = {}) {
+  const result = { backInStock: 0, priceDrop: 0, throttled: 0 };
+
+  const alerts = await ProductAlert.find({
+    source: snapshot.source,
+    productKey: snapshot.productKey,
+    unsubscribedAt: null,
+  }).lean();
+  if (!alerts.length) return result;
+
+  // Wishlist alerts only while the product is still on that wishlist.
+  let wishedBy = null;
+  if (snapshot.source === 'internal' && alerts.some((a) => a.origin === 'wishlist')) {
+    const rows = await Wishlist.find({ productId: snapshot.productKey })
+      .select('ownerType ownerId')
+      .lean();
+    wishedBy = new Set(
+      rows.map((row) => subscriberKeyFor({ type: row.ownerType, id: row.ownerId })),
+    );
+  }
+
+  const throttleMs = alertThrottleHours() * 60 * 60 * 1000;
+  const baselineOps = [];
+
+  for (const alert of alerts) {
+    if (alert.origin === 'wishlist' && wishedBy && !wishedBy.has(alert.subscriberKey)) continue;
+
+    const seenPrice = alert.seen?.price ?? null;
+    const cameBack =
+      snapshot.inStock &&
+      (snapshot.source === 'internal' ? restocked : alert.seen?.inStock === false);
+
+    let kind = null;
+    if (alert.backInStock && cameBack) kind = 'backInStock';
+    else if (alert.priceDrop && snapshot.inStock && isPriceDrop(seenPrice, snapshot.price)) {
+      kind = 'priceDrop';
+    }
+
+    if (kind && isAlertThrottled(alert.lastAlertedAt?.[kind], now)) {
+      result.throttled += 1;
+      kind = null;
+    }
+
+    if (!kind) {
+      const price =
+        seenPrice == null || (snapshot.price != null && snapshot.price > seenPrice)
+          ? snapshot.price
+          : seenPrice;
+
+      if (price !== seenPrice || snapshot.inStock !== alert.seen?.inStock) {
+        baselineOps.push({
+          updateOne: {
+            filter: { _id: alert._id },
+            update: { $set: { 'seen.price': price, 'seen.inStock': snapshot.inStock } },
+          },
+        });
+      }
+      continue;
+    }
+
+    // Claim first, so overlapping sweeps never send the same alert twice.
+    const claimed = await ProductAlert.updateOne(
+      {
+        _id: alert._id,
+        unsubscribedAt: null,
+        $or: [
+          { [`lastAlertedAt.${kind}`]: null },
+          { [`lastAlertedAt.${kind}`]: { $lt: new Date(now.getTime() - throttleMs) } },
+        ],
+      },
+      {
+        $set: { [`lastAlertedAt.${kind}`]: now, seen: seenFromSnapshot(snapshot) },
+        $inc: { alertCount: 1 },
+      },
+    );
+    if (!claimed.modifiedCount) continue;
+
+    await deliverAlert(alert, kind, snapshot, seenPrice);
+    result[kind] += 1;
+  }
+
+  if (baselineOps.length) {
+    await ProductAlert.bulkWrite(baselineOps, { ordered: false });
+  }
+
+  return result;
+}
+
+async function dispatchInternalProductAlerts(productId, options = {}) {
+  const product = await findInternalProduct(productId);
+  if (!product) return null;
+
+  return dispatchAlertsForSnapshot(internalSnapshot(product), options);
+}
+
+async function dispatchCjProductAlerts(product, options = {}) {
+  if (!product?.cjProductId) return null;
+
+  return dispatchAlertsForSnapshot(cjSnapshot(product), options);
+}
+
+module.exports = {
+  subscribeToProductAlert,
+  ensureWishlistAlerts,
+  removeWishlistAlert,
+  unsubscribeProductAlert,
+  resubscribeProductAlert,
+  dispatchInternalProductAlerts,
+  dispatchCjProductAlerts,
+};
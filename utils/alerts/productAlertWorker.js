@@ -0,0 +1,259 @@
+// utils/alerts/productAlertWorker.js
+'use strict';
+
+const Product = require('../../models/Product');
+const CjProduct = require('../../models/CjProduct');
+const ProductAlert = require('../../models/ProductAlert');
+const ProductStockHistory = require('../../models/ProductStockHistory');
+const Wishlist = require('../../models/Wishlist');
+
+const { restockedProductIds } = require('./productAlerts');
+const {
+  ensureWishlistAlerts,
+  dispatchInternalProductAlerts,
+  dispatchCjProductAlerts,
+} = require('./productAlertService');
+
+/*
+ * Sweeps what changed since the previous run: internal restocks from
+ * ProductStockHistory, internal price edits, and CJ products touched by
+ * the CJ re-sync. Only products somebody follows are looked at.
+ */
+let workerStarted = false;
+let workerRunning = false;
+let intervalHandle = null;
+let lastSweepAt = null;
+
+function booleanFromEnv(value, fallback = false) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+
+  const normalized = String(value).trim().toLowerCase();
+
+  if (['true', '1', 'yes', 'on'].includes(normalized)) {
+    return true;
+  }
+
+  if (['false', '0', 'no', 'off'].includes(normalized)) {
+    return false;
+  }
+
+  return fallback;
+}
+
+function boundedInteger(value, fallback, min, max) {
+  const parsed = Number.parseInt(String(value ?? '').trim(), 10);
+
+  if (!Number.isFinite(parsed)) {
+    return fallback;
+  }
+
+  return Math.max(min, Math.min(max, parsed));
+}
+
+function isEnabled() {
+  return booleanFromEnv(process.env.PRODUCT_ALERTS_ENABLED, true);
+}
+
+function getIntervalMs() {
+  return boundedInteger(
+    process.env.PRODUCT_ALERTS_INTERVAL_MS,
+    10 * 60 * 1000,
+    60 * 1000,
+    24 * 60 * 60 * 1000,
+  );
+}
+
+function getBatchLimit() {
+  return boundedInteger(process.env.PRODUCT_ALERTS_BATCH_LIMIT, 500, 10, 5000);
+}
+
+async function followedInternalIds(ids) {
+  if (!ids.length) return new Set();
+
+  const [wished, subscribed] = await Promise.all([
+    Wishlist.distinct('productId', { productId: { $in: ids } }),
+    ProductAlert.distinct('product', {
+      source: 'internal',
+      product: { $in: ids },
+      unsubscribedAt: null,
+    }),
+  ]);
+
+  return new Set([...wished, ...subscribed].map(String));
+}
+
+async function runProductAlerts({
+  since = lastSweepAt,
+  limit = getBatchLimit(),
+  source = 'manual',
+} = {}) {
+  if (workerRunning) {
+    return {
+      ok: true,
+      skipped: true,
+      reason: 'PRODUCT_ALERTS_ALREADY_RUNNING',
+      source,
+    };
+  }
+
+  workerRunning = true;
+
+  const startedAt = new Date();
+  const changedSince = since || new Date(startedAt.getTime() - getIntervalMs());
+
+  const result = {
+    ok: true,
+    source,
+    since: changedSince,
+    products: 0,
+    backInStock: 0,
+    priceDrop: 0,
+    throttled: 0,
+    failed: 0,
+  };
+
+  const tally = (totals) => {
+    if (!totals) return;
+    result.products += 1;
+    result.backInStock += totals.backInStock;
+    result.priceDrop += totals.priceDrop;
+    result.throttled += totals.throttled;
+  };
+
+  try {
+    const [historyRows, updatedProducts, followedCjIds] = await Promise.all([
+      ProductStockHistory.find({ createdAt: { $gt: changedSince }, stockAfter: { $gt: 0 } })
+        .select(
+          'product variant stockBefore stockAfter productStockBefore productStockAfter reason',
+        )
+        .sort({ createdAt: 1 })
+        .limit(limit)
+        .lean(),
+      Product.find({ updatedAt: { $gt: changedSince } })
+        .select('_id')
+        .sort({ updatedAt: 1 })
+        .limit(limit)
+        .lean(),
+      ProductAlert.distinct('cjProductId', { source: 'cj', unsubscribedAt: null }),
+    ]);
+
+    const restocked = new Set(restockedProductIds(historyRows));
+    const changedIds = [...new Set([...restocked, ...updatedProducts.map((p) => String(p._id))])];
+    const followed = await followedInternalIds(changedIds);
+    const internalIds = changedIds.filter((id) => followed.has(id));
+
+    await ensureWishlistAlerts(internalIds);
+
+    for (const id of internalIds) {
+      try {
+        tally(
+          await dispatchInternalProductAlerts(id, { restocked: restocked.has(id), now: startedAt }),
+        );
+      } catch (error) {
+        result.failed += 1;
+        console.error('[product-alerts] internal product failed:', id, error?.message || error);
+      }
+    }
+
+    const cjProducts = followedCjIds.length
+      ? await CjProduct.find({
+          cjProductId: { $in: followedCjIds },
+          updatedAt: { $gt: changedSince },
+        })
+          .select('cjProductId name mainImageUrl status variants')
+          .limit(limit)
+          .lean()
+      : [];
+
+    for (const product of cjProducts) {
+      try {
+        tally(await dispatchCjProductAlerts(product, { now: startedAt }));
+      } catch (error) {
+        result.failed += 1;
+        console.error(
+          '[product-alerts] CJ product failed:',
+          product.cjProductId,
+          error?.message || error,
+        );
+      }
+    }
+
+    lastSweepAt = startedAt;
+
+    return result;
+  } finally {
+    workerRunning = false;
+  }
+}
+
+function startProductAlertWorker() {
+  if (workerStarted) {
+    return {
+      ok: true,
+      started: false,
+      reason: 'PRODUCT_ALERTS_WORKER_ALREADY_STARTED',
+    };
+  }
+
+  workerStarted = true;
+
+  if (!isEnabled()) {
+    console.log('[product-alerts] Disabled. Set PRODUCT_ALERTS_ENABLED=true to enable.');
+
+    return {
+      ok: true,
+      started: false,
+      reason: 'PRODUCT_ALERTS_DISABLED',
+    };
+  }
+
+  const intervalMs = getIntervalMs();
+
+  console.log(`[product-alerts] Worker enabled. Interval: ${intervalMs}ms`);
+
+  intervalHandle = setInterval(() => {
+    runProductAlerts({
+      source: 'interval',
+    })
+      .then((result) => {
+        if (result.backInStock || result.priceDrop || result.failed) {
+          console.log('[product-alerts] Interval result:', result);
+        }
+
+        return result;
+      })
+      .catch((error) => {
+        console.error('[product-alerts] Interval failed:', error?.stack || error);
+
+        return null;
+      });
+  }, intervalMs);
+
+  return {
+    ok: true,
+    started: true,
+    intervalMs,
+  };
+}
+
+function stopProductAlertWorker() {
+  if (intervalHandle) {
+    clearInterval(intervalHandle);
+    intervalHandle = null;
+  }
+
+  workerStarted = false;
+
+  return {
+    ok: true,
+    stopped: true,
+  };
+}
+
+module.exports = {
+  runProductAlerts,
+  startProductAlertWorker,
+  stopProductAlertWorker,
+};
@@ -0,0 +1,140 @@
+// utils/alerts/productAlerts.js
+'use strict';
+
+/*
+ * Rules for wishlist back-in-stock and price-drop alerts: which stock
+ * history rows mean a product came back, what counts as a price drop,
+ * and when a subscriber was alerted too recently to be alerted again.
+ */
+
+const ALERT_KINDS = ['backInStock', 'priceDrop'];
+
+const ALERT_NOTIFICATION_TYPES = {
+  backInStock: 'product.back_in_stock',
+  priceDrop: 'product.price_drop',
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function boundedNumber(value, fallback, min, max) {
+  const parsed = Number(String(value ?? '').trim());
+  if (value === undefined || value === null || value === '' || !Number.isFinite(parsed)) {
+    return fallback;
+  }
+  return Math.max(min, Math.min(max, parsed));
+}
+
+/** Hours between two alerts of one kind to one subscriber. */
+function alertThrottleHours() {
+  return boundedNumber(process.env.PRODUCT_ALERT_THROTTLE_HOURS, 24, 1, 24 * 30);
+}
+
+/** Smallest drop, in percent of the price last seen, worth an alert. */
+function minPriceDropPercent() {
+  return boundedNumber(process.env.PRODUCT_ALERT_MIN_DROP_PERCENT, 5, 0, 90);
+}
+
+function normalizeAlertEmail(value) {
+  const email = String(value || '')
+    .trim()
+    .toLowerCase()
+    .slice(0, 254);
+  return EMAIL_PATTERN.test(email) ? email : '';
+}
+
+function subscriberKeyFor({ type, id, email }) {
+  return type === 'guest' ? `guest:${normalizeAlertEmail(email)}` : `${type}:${String(id)}`;
+}
+
+/**
+ * Product.stock before and after one ProductStockHistory row. Variant
+ * rows carry the product total separately; older variant rows without
+ * it return null.
+ */
+function productStockTransition(row) {
+  const isVariantRow = Boolean(row?.variant?.size || row?.variant?.color || row?.variant?.sku);
+
+  if (row?.productStockAfter != null) {
+    return {
+      before: Number(row.productStockBefore || 0),
+      after: Number(row.productStockAfter || 0),
+    };
+  }
+
+  if (isVariantRow) return null;
+
+  return { before: Number(row?.stockBefore || 0), after: Number(row?.stockAfter || 0) };
+}
+
+/** Product ids whose stock went from zero to positive in these rows. */
+function restockedProductIds(rows) {
+  const ids = new Set();
+
+  for (const row of Array.isArray(rows) ? rows : []) {
+    if (!row?.product || row.reason === 'create') continue;
+
+    const transition = productStockTransition(row);
+    if (transition && transition.before <= 0 && transition.after > 0) {
+      ids.add(String(row.product));
+    }
+  }
+
+  return [...ids];
+}
+
+/**
+ * Storefront availability and lowest price of a CJ product, using the
+ * same rules as the CJ product page: enabled variants with a price, in
+ * stock unless CJ reported no inventory.
+ */
+function cjAvailability(product) {
+  const variants = (Array.isArray(product?.variants) ? product.variants : []).filter(
+    (variant) => variant?.isEnabled && Number.isFinite(Number(variant?.sellingPriceExVat?.value)),
+  );
+
+  if (!variants.length) return { inStock: false, price: null, currency: '' };
+
+  const inStock = variants.some(
+    (variant) => variant.inventoryKnown !== true || Number(variant.totalInventory || 0) > 0,
+  );
+
+  const cheapest = variants.reduce((best, variant) =>
+    Number(variant.sellingPriceExVat.value) < Number(best.sellingPriceExVat.value) ? variant : best,
+  );
+
+  return {
+    inStock,
+    price: Number(cheapest.sellingPriceExVat.value),
+    currency: String(cheapest.sellingPriceExVat.currency || '').toUpperCase(),
+  };
+}
+
+function isPriceDrop(previousPrice, currentPrice, minPercent = minPriceDropPercent()) {
+  const previous = Number(previousPrice);
+  const current = Number(currentPrice);
+
+  if (previousPrice == null || currentPrice == null) return false;
+  if (!Number.isFinite(previous) || !Number.isFinite(current) || previous <= 0) return false;
+  if (current >= previous) return false;
+
+  return ((previous - current) / previous) * 100 >= minPercent;
+}
+
+function isAlertThrottled(lastAlertedAt, now = new Date(), hours = alertThrottleHours()) {
+  if (!lastAlertedAt) return false;
+  return now.getTime() - new Date(lastAlertedAt).getTime() < hours * 60 * 60 * 1000;
+}
+
+module.exports = {
+  ALERT_KINDS,
+  ALERT_NOTIFICATION_TYPES,
+  alertThrottleHours,
+  minPriceDropPercent,
+  normalizeAlertEmail,
+  subscriberKeyFor,
+  productStockTransition,
+  restockedProductIds,
+  cjAvailability,
+  isPriceDrop,
+  isAlertThrottled,
+};
@@ -0,0 +1,187 @@
+// utils/auth/totp.js
+'use strict';
+
+const crypto = require('crypto');
+
+/*
+ * RFC 6238 TOTP (SHA-1, 6 digits, 30 s steps) as used by Google
+ * Authenticator, 1Password, Authy and friends, plus recovery codes
+ * and at-rest encryption for the shared secrets.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return out;
+}
+
+function base32Decode(input) {
+  const clean = String(input || '')
+    .toUpperCase()
+    .replace(/[\s=-]/g, '');
+
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const ch of clean) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx === -1) throw new Error('Invalid base32 secret');
+
+    value = (value << 5) | idx;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+function generateSecret(bytes = 20) {
+  return base32Encode(crypto.randomBytes(bytes));
+}
+
+function timeStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+function totpCodeForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function normalizeCode(code) {
+  return String(code || '').replace(/[\s-]/g, '');
+}
+
+/**
+ * Returns the matched time step (so callers can reject replays of the
+ * same code via `lastUsedStep`), or null when the code does not match.
+ * `window` allows for clock drift of +/- that many steps.
+ */
+function verifyTotp(secret, code, { now = Date.now(), window = 1, lastUsedStep = 0 } = {}) {
+  const token = normalizeCode(code);
+  if (!secret || !/^\d{6}$/.test(token)) return null;
+
+  const current = timeStep(now);
+
+  for (let delta = -window; delta <= window; delta += 1) {
+    const step = current + delta;
+    if (step <= Number(lastUsedStep || 0)) continue;
+
+    const expected = totpCodeForStep(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+function buildOtpauthUrl({ issuer, account, secret }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/* ---------------------------------------------
+ * Recovery codes: shown once, stored as hashes
+ * ------------------------------------------- */
+function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+function hashRecoveryCode(code) {
+  const clean = String(code || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-f0-9]/g, '');
+  return crypto.createHash('sha256').update(clean).digest('hex');
+}
+
+/* ---------------------------------------------
+ * Secret encryption (AES-256-GCM)
+ * ------------------------------------------- */
+function encryptionKey() {
+  const source = String(
+    process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.SESSION_SECRET || '',
+  ).trim();
+
+  if (!source) throw new Error('TWO_FACTOR_ENCRYPTION_KEY or SESSION_SECRET is required for 2FA');
+
+  return crypto.createHash('sha256').update(source).digest();
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(String(secret), 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), data].map((b) => b.toString('base64')).join('.');
+}
+
+function decryptSecret(payload) {
+  const [iv, tag, data] = String(payload || '')
+    .split('.')
+    .map((part) => Buffer.from(part, 'base64'));
+
+  if (!iv || !tag || !data) return '';
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  totpCodeForStep,
+  verifyTotp,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  encryptSecret,
+  decryptSecret,
+};
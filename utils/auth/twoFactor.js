@@ -0,0 +1,307 @@
+// utils/auth/twoFactor.js
+'use strict';
+
+const mongoose = require('mongoose');
+const QRCode = require('qrcode');
+
+const { logAdminAction } = require('../logAdminAction');
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  encryptSecret,
+  decryptSecret,
+} = require('./totp');
+
+const TWO_FACTOR_ISSUER = String(process.env.TWO_FACTOR_ISSUER || 'Kasyora').trim() || 'Kasyora';
+
+// Roles that can move money must use 2FA.
+const TWO_FACTOR_REQUIRED_ADMIN_ROLES = ['super_admin', 'payout_admin'];
+
+const PENDING_LOGIN_TTL_MS = 10 * 60 * 1000;
+const REAUTH_WINDOW_MS = 5 * 60 * 1000;
+
+// Hidden by default; load with .select(TWO_FACTOR_SECRET_FIELDS).
+const TWO_FACTOR_SECRET_FIELDS =
+  '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes';
+
+const twoFactorSchema = new mongoose.Schema(
+  {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, default: '', select: false },
+    pendingSecret: { type: String, default: '', select: false },
+    recoveryCodes: { type: [String], default: [], select: false },
+    lastUsedStep: { type: Number, default: 0 },
+    enabledAt: { type: Date, default: null },
+    lastVerifiedAt: { type: Date, default: null },
+  },
+  { _id: false },
+);
+
+function twoFactorError(message, code, status = 400) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+function isTwoFactorRequiredForAdmin(role) {
+  return TWO_FACTOR_REQUIRED_ADMIN_ROLES.includes(String(role || '').trim());
+}
+
+function ensureTwoFactor(account) {
+  if (!account.twoFactor) account.twoFactor = {};
+  return account.twoFactor;
+}
+
+/**
+ * Returns the secret, otpauth:// URL and QR data URL for enrollment.
+ * The pending secret is reused until confirmed so a page refresh does
+ * not invalidate an already scanned QR code.
+ */
+async function enrollmentDetails(account, accountLabel) {
+  const tf = ensureTwoFactor(account);
+
+  if (tf.enabled) {
+    throw twoFactorError('Two-factor authentication is already enabled.', 'ALREADY_ENABLED', 409);
+  }
+
+  let secret = tf.pendingSecret ? decryptSecret(tf.pendingSecret) : '';
+  const created = !secret;
+
+  if (created) {
+    secret = generateSecret();
+    tf.pendingSecret = encryptSecret(secret);
+    await account.save();
+  }
+
+  const otpauthUrl = buildOtpauthUrl({
+    issuer: TWO_FACTOR_ISSUER,
+    account: accountLabel,
+    secret,
+  });
+
+  return {
+    created,
+    secret,
+    otpauthUrl,
+    qrDataUrl: await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 220 }),
+  };
+}
+
+/**
+ * Activates 2FA once the user proves the app is set up. Returns the
+ * plain recovery codes, which are only ever shown this once.
+ */
+async function confirmEnrollment(account, code) {
+  const tf = ensureTwoFactor(account);
+  const secret = tf.pendingSecret ? decryptSecret(tf.pendingSecret) : '';
+
+  if (!secret) {
+    throw twoFactorError('Start the setup again to get a new QR code.', 'NO_PENDING_SECRET');
+  }
+
+  const step = verifyTotp(secret, code);
+  if (step === null) {
+    throw twoFactorError(
+      'That code is not valid. Check your device clock and try again.',
+      'INVALID_CODE',
+      401,
+    );
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  tf.enabled = true;
+  tf.secret = tf.pendingSecret;
+  tf.pendingSecret = '';
+  tf.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  tf.lastUsedStep = step;
+  tf.enabledAt = new Date();
+  tf.lastVerifiedAt = new Date();
+
+  await account.save();
+
+  return recoveryCodes;
+}
+
+/**
+ * Accepts a 6-digit TOTP code or an unused recovery code.
+ * Recovery codes are single-use; TOTP steps cannot be replayed.
+ */
+async function verifySecondFactor(account, code) {
+  const tf = ensureTwoFactor(account);
+
+  if (!tf.enabled || !tf.secret) {
+    throw twoFactorError('Two-factor authentication is not enabled.', 'NOT_ENABLED', 409);
+  }
+
+  const input = String(code || '').trim();
+  const step = verifyTotp(decryptSecret(tf.secret), input, { lastUsedStep: tf.lastUsedStep });
+
+  const Model = account.constructor;
+  const now = new Date();
+
+  // Conditional updates, so two parallel submissions of the same code
+  // cannot both pass: only one of them modifies the document.
+  if (step !== null) {
+    const out = await Model.updateOne(
+      { _id: account._id, 'twoFactor.lastUsedStep': { $lt: step } },
+      { $set: { 'twoFactor.lastUsedStep': step, 'twoFactor.lastVerifiedAt': now } },
+    );
+
+    if (out.modifiedCount) {
+      tf.lastUsedStep = step;
+      tf.lastVerifiedAt = now;
+      return { method: 'totp', recoveryCodesLeft: (tf.recoveryCodes || []).length };
+    }
+
+    throw twoFactorError('Invalid authentication code.', 'INVALID_CODE', 401);
+  }
+
+  const hash = hashRecoveryCode(input);
+  const codes = Array.isArray(tf.recoveryCodes) ? tf.recoveryCodes : [];
+
+  if (input && codes.includes(hash)) {
+    const out = await Model.updateOne(
+      { _id: account._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash }, $set: { 'twoFactor.lastVerifiedAt': now } },
+    );
+
+    if (out.modifiedCount) {
+      tf.recoveryCodes = codes.filter((c) => c !== hash);
+      tf.lastVerifiedAt = now;
+      return { method: 'recovery_code', recoveryCodesLeft: tf.recoveryCodes.length };
+    }
+  }
+
+  throw twoFactorError('Invalid authentication code.', 'INVALID_CODE', 401);
+}
+
+async function regenerateRecoveryCodes(account) {
+  const tf = ensureTwoFactor(account);
+  const recoveryCodes = generateRecoveryCodes();
+
+  tf.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  await account.save();
+
+  return recoveryCodes;
+}
+
+async function disableTwoFactor(account) {
+  account.twoFactor = {
+    enabled: false,
+    secret: '',
+    pendingSecret: '',
+    recoveryCodes: [],
+    lastUsedStep: 0,
+    enabledAt: null,
+    lastVerifiedAt: null,
+  };
+  await account.save();
+}
+
+/* ---------------------------------------------
+ * Session helpers
+ * ------------------------------------------- */
+
+// Password accepted, second step outstanding.
+function startPendingLogin(req, kind, accountId) {
+  req.session.twoFactorLogin = { kind, id: String(accountId), at: Date.now() };
+}
+
+function readPendingLogin(req, kind) {
+  const pending = req.session?.twoFactorLogin;
+  if (!pending || pending.kind !== kind || !mongoose.isValidObjectId(pending.id)) return null;
+  if (Date.now() - Number(pending.at || 0) > PENDING_LOGIN_TTL_MS) return null;
+  return pending.id;
+}
+
+function clearPendingLogin(req) {
+  if (req.session) delete req.session.twoFactorLogin;
+}
+
+function markReauthenticated(req, kind) {
+  req.session.twoFactorReauth = { ...(req.session.twoFactorReauth || {}), [kind]: Date.now() };
+}
+
+function isRecentlyReauthenticated(req, kind) {
+  const at = Number(req.session?.twoFactorReauth?.[kind] || 0);
+  return at > 0 && Date.now() - at <= REAUTH_WINDOW_MS;
+}
+
+/* ---------------------------------------------
+ * Audit: every 2FA event lands in AdminAuditLog,
+ * for admins and businesses alike.
+ * ------------------------------------------- */
+async function logTwoFactorEvent(req, { kind, account, event, status = 'success', meta = null }) {
+  const identity =
+    kind === 'admin'
+      ? {
+          adminId: account?._id || null,
+          adminIdentifier: account?.username || account?.email || '',
+          adminName: account?.fullName || '',
+          adminEmail: account?.email || '',
+          adminRole: account?.role || '',
+          entityType: 'admin_auth',
+        }
+      : {
+          adminId: null,
+          adminIdentifier: account?.email || '',
+          adminName: account?.name || '',
+          adminEmail: account?.email || '',
+          adminRole: `business:${account?.role || ''}`,
+          entityType: 'business_auth',
+        };
+
+  await logAdminAction(req, {
+    ...identity,
+    action: `${kind}.2fa.${event}`,
+    entityId: String(account?._id || ''),
+    status,
+    meta,
+  });
+}
+
+/**
+ * Runs a 2FA step and records client-side failures (bad code, nothing
+ * pending, ...) before rethrowing, so routes only log the successes.
+ */
+async function auditedTwoFactorStep(req, { kind, account, event }, step) {
+  try {
+    return await step();
+  } catch (err) {
+    if (err?.status && err.status < 500) {
+      await logTwoFactorEvent(req, {
+        kind,
+        account,
+        event,
+        status: 'failure',
+        meta: { reason: err.code },
+      });
+    }
+    throw err;
+  }
+}
+
+module.exports = {
+  TWO_FACTOR_REQUIRED_ADMIN_ROLES,
+  TWO_FACTOR_SECRET_FIELDS,
+  REAUTH_WINDOW_MS,
+  twoFactorSchema,
+  isTwoFactorRequiredForAdmin,
+  enrollmentDetails,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  startPendingLogin,
+  readPendingLogin,
+  clearPendingLogin,
+  markReauthenticated,
+  isRecentlyReauthenticated,
+  logTwoFactorEvent,
+  auditedTwoFactorStep,
+};
@@ -0,0 +1,255 @@
+// utils/cartRecovery/cartRecovery.js
+'use strict';
+
+/*
+ * Rules for saved carts: how a cart line is identified, how a saved
+ * cart merges into a session cart and is re-checked against current
+ * stock and prices, when the next abandoned-cart reminder is due, and
+ * whether a paid cart counts as recovered by a reminder.
+ */
+
+const DEFAULT_REMINDER_HOURS = [4, 24, 72];
+const MAX_REMINDER_STEPS = 5;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+function boundedNumber(value, fallback, min, max) {
+  const parsed = Number(String(value ?? '').trim());
+  if (value === undefined || value === null || value === '' || !Number.isFinite(parsed)) {
+    return fallback;
+  }
+  return Math.max(min, Math.min(max, parsed));
+}
+
+/**
+ * Hours of cart inactivity before each reminder, e.g.
+ * CART_RECOVERY_REMINDER_HOURS="4,24,72". The first value is the idle
+ * period after which a cart counts as abandoned.
+ */
+function reminderScheduleHours(raw = process.env.CART_RECOVERY_REMINDER_HOURS) {
+  const hours = String(raw ?? '')
+    .split(',')
+    .map((part) => Number(part.trim()))
+    .filter((n) => Number.isFinite(n) && n >= 0.25 && n <= 24 * 30);
+
+  const unique = [...new Set(hours)].sort((a, b) => a - b).slice(0, MAX_REMINDER_STEPS);
+
+  return unique.length ? unique : DEFAULT_REMINDER_HOURS.slice();
+}
+
+/** Days after a reminder during which a paid cart counts as recovered. */
+function recoveryWindowDays() {
+  return boundedNumber(process.env.CART_RECOVERY_ATTRIBUTION_DAYS, 7, 1, 60);
+}
+
+/** Carts idle for longer than this get no further reminders. */
+function maxCartAgeDays() {
+  return boundedNumber(process.env.CART_RECOVERY_MAX_AGE_DAYS, 14, 1, 90);
+}
+
+function ownerKeyFor({ type, id }) {
+  return `${type}:${String(id)}`;
+}
+
+function normalizeVariants(variants) {
+  const out = {};
+  for (const [key, value] of Object.entries(variants || {})) {
+    const clean = String(value ?? '')
+      .trim()
+      .toLowerCase();
+    if (clean) out[String(key).trim().toLowerCase()] = clean;
+  }
+  return Object.keys(out)
+    .sort()
+    .map((key) => `${key}=${out[key]}`)
+    .join('&');
+}
+
+/** Identity of one cart line: CJ variant, or internal product + size/colour. */
+function cartLineKey(department, item) {
+  if (department === 'cj') return `cj:${String(item?.cjVariantId || '').trim()}`;
+  return `internal:${String(item?.productId || '').trim()}|${normalizeVariants(item?.variants)}`;
+}
+
+function lineQuantity(item) {
+  const qty = Math.floor(Number(item?.quantity || 0));
+  return Number.isFinite(qty) && qty > 0 ? qty : 0;
+}
+
+function lineUnitPrice(item) {
+  const price = Number(item?.priceExVat ?? item?.price ?? 0);
+  return Number.isFinite(price) && price > 0 ? price : 0;
+}
+
+function cartLines(items) {
+  return (Array.isArray(items) ? items : []).filter((item) => item && lineQuantity(item) > 0);
+}
+
+/** Order-independent summary of line keys and quantities; equal carts match. */
+function cartFingerprint(department, items) {
+  return cartLines(items)
+    .map((item) => `${cartLineKey(department, item)}x${lineQuantity(item)}`)
+    .sort()
+    .join(',');
+}
+
+function summarizeCart(items) {
+  let itemCount = 0;
+  let subtotal = 0;
+
+  for (const item of cartLines(items)) {
+    const qty = lineQuantity(item);
+    itemCount += qty;
+    subtotal += lineUnitPrice(item) * qty;
+  }
+
+  return { itemCount, subtotal: Math.round(subtotal * 100) / 100 };
+}
+
+/**
+ * When reminder `step` is due: `schedule[step]` hours after the last cart
+ * activity, and never sooner after the previous reminder than the gap
+ * between the two steps (so a backlog does not send several at once).
+ * Null once the sequence is used up.
+ */
+function nextReminderAt({ lastActivityAt, step, lastReminderAt = null }, schedule) {
+  const hours = Array.isArray(schedule) ? schedule : reminderScheduleHours();
+  if (!lastActivityAt || step >= hours.length) return null;
+
+  let due = new Date(lastActivityAt).getTime() + hours[step] * HOUR_MS;
+
+  if (lastReminderAt && step > 0) {
+    const gap = (hours[step] - hours[step - 1]) * HOUR_MS;
+    due = Math.max(due, new Date(lastReminderAt).getTime() + gap);
+  }
+
+  return new Date(due);
+}
+
+/** A reminder went out, recently enough to credit it with the sale. */
+function isRecoveryAttributable(cart, now = new Date(), days = recoveryWindowDays()) {
+  if (!cart?.lastReminderAt || Number(cart.remindersSent || 0) < 1) return false;
+  return now.getTime() - new Date(cart.lastReminderAt).getTime() <= days * DAY_MS;
+}
+
+// Same categories as the second-hand cart policy in routes/cart.js.
+const SECONDHAND_CATS = new Set(['second-hand-clothes', 'uncategorized-second-hand-things']);
+
+function isSecondhandLine(item) {
+  return SECONDHAND_CATS.has(
+    String(item?.category || '')
+      .trim()
+      .toLowerCase(),
+  );
+}
+
+/**
+ * Whether an internal line may join these lines under the second-hand
+ * policy: a second-hand cart holds only second-hand items from one
+ * business, a normal cart no second-hand items at all.
+ */
+function fitsInternalCart(lines, item) {
+  if (!lines.length) return true;
+
+  const secondhand = lines.find(isSecondhandLine);
+  if (!secondhand) return !isSecondhandLine(item);
+
+  return (
+    isSecondhandLine(item) && String(item?.businessId || '') === String(secondhand.businessId || '')
+  );
+}
+
+/**
+ * Adds saved lines to the current ones. A line in both keeps the larger
+ * quantity rather than doubling it; internal lines that would break the
+ * second-hand policy of the current cart are skipped.
+ */
+function mergeCartItems(department, current, saved) {
+  const merged = cartLines(current).map((item) => ({ ...item }));
+  const index = new Map(merged.map((item, i) => [cartLineKey(department, item), i]));
+  const skipped = [];
+
+  for (const item of cartLines(saved)) {
+    const key = cartLineKey(department, item);
+
+    if (index.has(key)) {
+      const existing = merged[index.get(key)];
+      existing.quantity = Math.max(lineQuantity(existing), lineQuantity(item));
+    } else if (department === 'internal' && !fitsInternalCart(merged, item)) {
+      skipped.push(item);
+    } else {
+      index.set(key, merged.length);
+      merged.push({ ...item });
+    }
+  }
+
+  return { items: merged, skipped };
+}
+
+function roundMoney(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+/**
+ * Checks one saved line against the current stock and price. Returns
+ * the quantity to keep (0 drops the line), the current unit price and
+ * notices for the shopper. `available` null means stock is unknown.
+ */
+function reconcileCartLine(item, { available, unitPrice }) {
+  const name = String(item?.name || 'An item').trim();
+  const quantity = lineQuantity(item);
+  const notices = [];
+
+  if (available !== null && available !== undefined && available <= 0) {
+    return { quantity: 0, price: lineUnitPrice(item), notices: [{ type: 'out_of_stock', name }] };
+  }
+
+  let keep = quantity;
+  if (available !== null && available !== undefined && quantity > available) {
+    keep = Math.floor(available);
+    notices.push({ type: 'quantity_reduced', name, from: quantity, to: keep });
+  }
+
+  const oldPrice = roundMoney(lineUnitPrice(item));
+  const newPrice = roundMoney(unitPrice);
+  if (oldPrice !== newPrice) {
+    notices.push({ type: 'price_changed', name, from: oldPrice, to: newPrice });
+  }
+
+  return { quantity: keep, price: newPrice, notices };
+}
+
+/** Sentence for one cart notice, as shown on the cart page. */
+function describeCartNotice(notice, currency = '') {
+  const money = (value) => `${String(currency).toUpperCase()} ${Number(value).toFixed(2)}`.trim();
+
+  switch (notice?.type) {
+    case 'price_changed':
+      return `The price of ${notice.name} changed from ${money(notice.from)} to ${money(notice.to)}.`;
+    case 'quantity_reduced':
+      return `Only ${notice.to} of ${notice.name} left in stock, so we reduced your quantity from ${notice.from}.`;
+    case 'out_of_stock':
+      return `${notice.name} is no longer available and was removed from your cart.`;
+    case 'not_merged':
+      return `${notice.name} from your saved cart could not be combined with the items in this cart and was left out.`;
+    default:
+      return '';
+  }
+}
+
+module.exports = {
+  DEFAULT_REMINDER_HOURS,
+  reminderScheduleHours,
+  recoveryWindowDays,
+  maxCartAgeDays,
+  ownerKeyFor,
+  cartLineKey,
+  cartFingerprint,
+  summarizeCart,
+  nextReminderAt,
+  isRecoveryAttributable,
+  mergeCartItems,
+  reconcileCartLine,
+  describeCartNotice,
+};
@@ -0,0 +1,196 @@
+// utils/cartRecovery/cartRecoveryWorker.js
+'use strict';
+
+const SavedCart = require('../../models/SavedCart');
+
+const { reminderScheduleHours, maxCartAgeDays } = require('./cartRecovery');
+const { dispatchCartReminder } = require('./savedCartService');
+
+/*
+ * Sends the next reminder of every open saved cart whose reminder is
+ * due. Carts idle for longer than CART_RECOVERY_MAX_AGE_DAYS drop out
+ * of the sequence.
+ */
+let workerStarted = false;
+let workerRunning = false;
+let intervalHandle = null;
+
+function booleanFromEnv(value, fallback = false) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+
+  const normalized = String(value).trim().toLowerCase();
+
+  if (['true', '1', 'yes', 'on'].includes(normalized)) {
+    return true;
+  }
+
+  if (['false', '0', 'no', 'off'].includes(normalized)) {
+    return false;
+  }
+
+  return fallback;
+}
+
+function boundedInteger(value, fallback, min, max) {
+  const parsed = Number.parseInt(String(value ?? '').trim(), 10);
+
+  if (!Number.isFinite(parsed)) {
+    return fallback;
+  }
+
+  return Math.max(min, Math.min(max, parsed));
+}
+
+function isEnabled() {
+  return booleanFromEnv(process.env.CART_RECOVERY_ENABLED, true);
+}
+
+function getIntervalMs() {
+  return boundedInteger(
+    process.env.CART_RECOVERY_INTERVAL_MS,
+    15 * 60 * 1000,
+    60 * 1000,
+    24 * 60 * 60 * 1000,
+  );
+}
+
+function getBatchLimit() {
+  return boundedInteger(process.env.CART_RECOVERY_BATCH_LIMIT, 200, 10, 5000);
+}
+
+async function runCartRecovery({
+  now = new Date(),
+  limit = getBatchLimit(),
+  source = 'manual',
+} = {}) {
+  if (workerRunning) {
+    return {
+      ok: true,
+      skipped: true,
+      reason: 'CART_RECOVERY_ALREADY_RUNNING',
+      source,
+    };
+  }
+
+  workerRunning = true;
+
+  const result = {
+    ok: true,
+    source,
+    due: 0,
+    sent: 0,
+    optedOut: 0,
+    expired: 0,
+    failed: 0,
+  };
+
+  try {
+    const schedule = reminderScheduleHours();
+    const oldestActivity = new Date(now.getTime() - maxCartAgeDays() * 24 * 60 * 60 * 1000);
+
+    const expired = await SavedCart.updateMany(
+      { status: 'open', nextReminderAt: { $ne: null }, lastActivityAt: { $lt: oldestActivity } },
+      { $set: { nextReminderAt: null } },
+    );
+    result.expired = expired.modifiedCount || 0;
+
+    const carts = await SavedCart.find({
+      status: 'open',
+      nextReminderAt: { $ne: null, $lte: now },
+    })
+      .sort({ nextReminderAt: 1 })
+      .limit(limit)
+      .lean();
+
+    result.due = carts.length;
+
+    for (const cart of carts) {
+      try {
+        const outcome = await dispatchCartReminder(cart, { now, schedule });
+
+        if (outcome.sent) result.sent += 1;
+        else if (outcome.reason === 'MARKETING_OPT_OUT') result.optedOut += 1;
+        else if (outcome.reason === 'EMAIL_FAILED') result.failed += 1;
+      } catch (error) {
+        result.failed += 1;
+        console.error('[cart-recovery] cart failed:', String(cart._id), error?.message || error);
+      }
+    }
+
+    return result;
+  } finally {
+    workerRunning = false;
+  }
+}
+
+function startCartRecoveryWorker() {
+  if (workerStarted) {
+    return {
+      ok: true,
+      started: false,
+      reason: 'CART_RECOVERY_WORKER_ALREADY_STARTED',
+    };
+  }
+
+  workerStarted = true;
+
+  if (!isEnabled()) {
+    console.log('[cart-recovery] Disabled. Set CART_RECOVERY_ENABLED=true to enable.');
+
+    return {
+      ok: true,
+      started: false,
+      reason: 'CART_RECOVERY_DISABLED',
+    };
+  }
+
+  const intervalMs = getIntervalMs();
+
+  console.log(`[cart-recovery] Worker enabled. Interval: ${intervalMs}ms`);
+
+  intervalHandle = setInterval(() => {
+    runCartRecovery({
+      source: 'interval',
+    })
+      .then((result) => {
+        if (result.sent || result.failed) {
+          console.log('[cart-recovery] Interval result:', result);
+        }
+
+        return result;
+      })
+      .catch((error) => {
+        console.error('[cart-recovery] Interval failed:', error?.stack || error);
+
+        return null;
+      });
+  }, intervalMs);
+
+  return {
+    ok: true,
+    started: true,
+    intervalMs,
+  };
+}
+
+function stopCartRecoveryWorker() {
+  if (intervalHandle) {
+    clearInterval(intervalHandle);
+    intervalHandle = null;
+  }
+
+  workerStarted = false;
+
+  return {
+    ok: true,
+    stopped: true,
+  };
+}
+
+module.exports = {
+  runCartRecovery,
+  startCartRecoveryWorker,
+  stopCartRecoveryWorker,
+};
@@ -0,0 +1,111 @@
+// utils/cartRecovery/cartRevalidation.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const Product = require('../../models/Product');
+const { getAvailableStock, getVariantUnitPrice } = require('../inventory/productVariants');
+const { loadSellableCjProductAndVariant, buildCjCartItem } = require('../cj/cjCart');
+const { reconcileCartLine } = require('./cartRecovery');
+
+// CJ loader errors that mean the line can no longer be bought.
+const CJ_UNAVAILABLE_CODES = new Set([
+  'CJ_PRODUCT_NOT_ACTIVE',
+  'CJ_VARIANT_NOT_AVAILABLE',
+  'CJ_VARIANT_PRICE_INVALID',
+  'CJ_PRODUCT_ID_REQUIRED',
+  'CJ_VARIANT_ID_REQUIRED',
+]);
+
+function outOfStock(item) {
+  return { type: 'out_of_stock', name: String(item?.name || 'An item').trim() };
+}
+
+/**
+ * Re-checks internal cart lines that may be days old (saved carts, other
+ * devices): drops deleted or sold-out products, caps quantities at the
+ * stock left and picks up the current VAT-exclusive price.
+ */
+async function revalidateInternalItems(items) {
+  const lines = Array.isArray(items) ? items : [];
+  const ids = lines.map((item) => String(item?.productId || '')).filter(mongoose.isValidObjectId);
+  const products = ids.length ? await Product.find({ _id: { $in: ids } }) : [];
+  const byId = new Map(products.map((p) => [String(p._id), p]));
+
+  const kept = [];
+  const notices = [];
+
+  for (const item of lines) {
+    const product = byId.get(String(item?.productId || ''));
+    if (!product) {
+      notices.push(outOfStock(item));
+      continue;
+    }
+
+    const variants = item.variants || {};
+    const result = reconcileCartLine(item, {
+      available: getAvailableStock(product, variants),
+      unitPrice: getVariantUnitPrice(product, variants),
+    });
+
+    notices.push(...result.notices);
+    if (result.quantity > 0) {
+      kept.push({
+        ...item,
+        name: product.name || item.name,
+        quantity: result.quantity,
+        price: result.price,
+        priceExVat: result.price,
+        vatIncluded: false,
+      });
+    }
+  }
+
+  return { items: kept, notices };
+}
+
+/**
+ * Same for CJ lines, rebuilt from the current CjProduct variant. Unknown
+ * CJ inventory keeps the quantity; checkout asks CJ again.
+ */
+async function revalidateCjItems(items) {
+  const kept = [];
+  const notices = [];
+
+  for (const item of Array.isArray(items) ? items : []) {
+    let loaded;
+    try {
+      loaded = await loadSellableCjProductAndVariant({
+        cjProductId: item?.cjProductId,
+        cjVariantId: item?.cjVariantId,
+      });
+    } catch (err) {
+      if (!CJ_UNAVAILABLE_CODES.has(err?.code)) throw err;
+      notices.push(outOfStock(item));
+      continue;
+    }
+
+    const result = reconcileCartLine(item, {
+      available: loaded.inventory.inventoryKnown ? loaded.inventory.totalInventory : null,
+      unitPrice: loaded.priceExVat,
+    });
+
+    notices.push(...result.notices);
+    if (result.quantity > 0) {
+      kept.push({
+        ...buildCjCartItem({ ...loaded, quantity: result.quantity }),
+        addedAt: item.addedAt || new Date().toISOString(),
+      });
+    }
+  }
+
+  return { items: kept, notices };
+}
+
+function revalidateCartItems(department, items) {
+  return department === 'cj' ? revalidateCjItems(items) : revalidateInternalItems(items);
+}
+
+module.exports = {
+  revalidateCartItems,
+};
@@ -0,0 +1,516 @@
+// utils/cartRecovery/savedCartService.js
+'use strict';
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const SavedCart = require('../../models/SavedCart');
+const User = require('../../models/User');
+const Business = require('../../models/Business');
+const { sendCartReminderEmail } = require('../emails/cartReminderEmail');
+const {
+  reminderScheduleHours,
+  ownerKeyFor,
+  cartFingerprint,
+  summarizeCart,
+  nextReminderAt,
+  isRecoveryAttributable,
+  mergeCartItems,
+  describeCartNotice,
+} = require('./cartRecovery');
+const { revalidateCartItems } = require('./cartRevalidation');
+
+const BASE_CURRENCY =
+  String(process.env.BASE_CURRENCY || '')
+    .trim()
+    .toUpperCase() || 'USD';
+
+const ACCOUNT_MODELS = { user: User, business: Business };
+
+const SESSION_CART_KEYS = { internal: 'cart', cj: 'cjCart' };
+
+const CART_PAGES = { internal: '/store/cart', cj: '/cj/cart' };
+
+const DEPARTMENTS = Object.keys(SESSION_CART_KEYS);
+
+const MAX_CART_NOTICES = 20;
+
+function newRecoveryToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function isRecoveryToken(token) {
+  return /^[a-f0-9]{48}$/.test(String(token || ''));
+}
+
+/* -------------------------------------------------------
+ * Session carts
+ * ----------------------------------------------------- */
+
+// Signed-in shoppers only; the user account wins when both are signed in.
+function cartOwnerFromSession(req) {
+  const userId = String(req.session?.user?._id || '');
+  if (mongoose.isValidObjectId(userId)) return { type: 'user', id: userId };
+
+  const businessId = String(req.session?.business?._id || '');
+  if (mongoose.isValidObjectId(businessId)) return { type: 'business', id: businessId };
+
+  return null;
+}
+
+function sessionCartItems(req, department) {
+  const items = req.session?.[SESSION_CART_KEYS[department]]?.items;
+  return Array.isArray(items) ? items : [];
+}
+
+// Replaces the lines of one session cart, keeping its other fields (coupon code, CJ metadata).
+function writeSessionCart(req, department, items) {
+  const key = SESSION_CART_KEYS[department];
+  const current = req.session[key] && typeof req.session[key] === 'object' ? req.session[key] : {};
+
+  req.session[key] = {
+    ...current,
+    items,
+    ...(department === 'cj'
+      ? {
+          source: 'CJ',
+          createdAt: current.createdAt || new Date().toISOString(),
+          updatedAt: new Date().toISOString(),
+        }
+      : null),
+  };
+}
+
+// When this session last caught up with the saved cart, per department.
+function markCartSynced(req, department, at = Date.now()) {
+  req.session.savedCartSyncedAt = { ...(req.session.savedCartSyncedAt || {}), [department]: at };
+}
+
+function addCartNotices(req, department, notices) {
+  if (!notices.length) return;
+
+  const existing = req.session.cartNotices?.[department] || [];
+  req.session.cartNotices = {
+    ...(req.session.cartNotices || {}),
+    [department]: [...existing, ...notices].slice(-MAX_CART_NOTICES),
+  };
+}
+
+/**
+ * Price, stock and merge notices for the cart page, as sentences. Shown
+ * once: reading them clears them.
+ */
+function takeCartNotices(req, department) {
+  const notices = req.session?.cartNotices?.[department] || [];
+  if (!notices.length) return [];
+
+  delete req.session.cartNotices[department];
+
+  const currency = cartCurrency(department, sessionCartItems(req, department));
+  return notices.map((notice) => describeCartNotice(notice, currency)).filter(Boolean);
+}
+
+function cartCurrency(department, items) {
+  if (department === 'cj') {
+    const first = items.find((item) => item?.currency);
+    return String(first?.currency || BASE_CURRENCY).toUpperCase();
+  }
+  return BASE_CURRENCY;
+}
+
+/**
+ * Mirrors one session cart into the owner's open SavedCart. A changed
+ * cart restarts the idle clock; an emptied one closes the cycle.
+ */
+async function syncSavedCart({ owner, department, items, now = new Date() }) {
+  if (!owner || !SESSION_CART_KEYS[department]) return null;
+
+  const ownerKey = ownerKeyFor(owner);
+  const fingerprint = cartFingerprint(department, items);
+  const open = await SavedCart.findOne({ ownerKey, department, status: 'open' })
+    .select('fingerprint reminderStep lastReminderAt')
+    .lean();
+
+  if (!fingerprint) {
+    if (!open) return null;
+    return SavedCart.updateOne(
+      { _id: open._id, status: 'open' },
+      { $set: { status: 'cleared', closedAt: now, nextReminderAt: null } },
+    );
+  }
+
+  if (open && open.fingerprint === fingerprint) return null;
+
+  const { itemCount, subtotal } = summarizeCart(items);
+  const step = open?.reminderStep || 0;
+
+  return SavedCart.updateOne(
+    { ownerKey, department, status: 'open' },
+    {
+      $set: {
+        items,
+        fingerprint,
+        itemCount,
+        subtotal,
+        currency: cartCurrency(department, items),
+        lastActivityAt: now,
+        nextReminderAt: nextReminderAt(
+          { lastActivityAt: now, step, lastReminderAt: open?.lastReminderAt },
+          reminderScheduleHours(),
+        ),
+      },
+      $setOnInsert: {
+        ownerType: owner.type,
+        ownerId: owner.id,
+        recoveryToken: newRecoveryToken(),
+      },
+    },
+    { upsert: true },
+  );
+}
+
+/* -------------------------------------------------------
+ * Cross-device carts
+ * ----------------------------------------------------- */
+
+/**
+ * Merges the owner's saved carts into the session carts at sign-in,
+ * so a cart started on another device (or before signing in) follows
+ * the account. Shared lines keep the larger quantity; every line is
+ * re-checked against current stock and prices.
+ */
+async function mergeSavedCartsIntoSession(req, owner = cartOwnerFromSession(req)) {
+  if (!owner) return;
+
+  const open = await SavedCart.find({ ownerKey: ownerKeyFor(owner), status: 'open' })
+    .select('department items')
+    .lean();
+
+  for (const department of DEPARTMENTS) {
+    const saved = open.find((cart) => cart.department === department)?.items || [];
+    const current = sessionCartItems(req, department);
+    if (!saved.length && !current.length) continue;
+
+    const merged = mergeCartItems(department, current, saved);
+    const checked = await revalidateCartItems(department, merged.items);
+
+    writeSessionCart(req, department, checked.items);
+    addCartNotices(req, department, [
+      ...merged.skipped.map((item) => ({ type: 'not_merged', name: item.name || 'An item' })),
+      ...checked.notices,
+    ]);
+
+    await syncSavedCart({ owner, department, items: checked.items });
+    markCartSynced(req, department);
+  }
+}
+
+/**
+ * Brings a signed-in session up to date when the saved cart changed
+ * after this session last synced (another device added items, paid or
+ * emptied the cart). The newer saved cart replaces the session cart.
+ */
+async function pullSavedCart(req, owner, department) {
+  const syncedAt = Number(req.session.savedCartSyncedAt?.[department] || 0);
+
+  const latest = await SavedCart.findOne({ ownerKey: ownerKeyFor(owner), department })
+    .sort({ updatedAt: -1 })
+    .select('status items fingerprint lastActivityAt closedAt')
+    .lean();
+  if (!latest) return;
+
+  const changedAt = latest.status === 'open' ? latest.lastActivityAt : latest.closedAt;
+  if (!changedAt || new Date(changedAt).getTime() <= syncedAt) return;
+
+  markCartSynced(req, department);
+
+  const current = sessionCartItems(req, department);
+
+  if (latest.status !== 'open') {
+    if (current.length) writeSessionCart(req, department, []);
+    return;
+  }
+
+  if (latest.fingerprint === cartFingerprint(department, current)) return;
+
+  const checked = await revalidateCartItems(department, latest.items);
+  writeSessionCart(req, department, checked.items);
+  addCartNotices(req, department, checked.notices);
+
+  if (checked.notices.length) {
+    await syncSavedCart({ owner, department, items: checked.items });
+  }
+}
+
+const READ_ONLY_PATHS = new Set(['/', '/items', '/count']);
+
+/**
+ * Express middleware for the cart APIs. For signed-in shoppers it first
+ * pulls in changes made on other devices, then mirrors the session cart
+ * once a request that may have changed it has finished.
+ */
+function trackSavedCart(department) {
+  return async function savedCartTracker(req, res, next) {
+    const owner = cartOwnerFromSession(req);
+    if (!owner) return next();
+
+    try {
+      await pullSavedCart(req, owner, department);
+    } catch (err) {
+      console.warn('⚠️ Saved cart pull failed:', err?.message || String(err));
+    }
+
+    if (!(req.method === 'GET' && READ_ONLY_PATHS.has(req.path))) {
+      markCartSynced(req, department);
+
+      res.on('finish', () => {
+        if (res.statusCode >= 400) return;
+
+        syncSavedCart({ owner, department, items: sessionCartItems(req, department) }).catch(
+          (err) => {
+            console.warn('⚠️ Saved cart sync failed:', err?.message || String(err));
+          },
+        );
+      });
+    }
+
+    return next();
+  };
+}
+
+/** Middleware for the cart pages: pull other devices' changes before rendering. */
+function refreshSessionCart(department) {
+  return async function sessionCartRefresher(req, res, next) {
+    const owner = cartOwnerFromSession(req);
+
+    if (owner) {
+      try {
+        await pullSavedCart(req, owner, department);
+      } catch (err) {
+        console.warn('⚠️ Saved cart pull failed:', err?.message || String(err));
+      }
+    }
+
+    return next();
+  };
+}
+
+/* -------------------------------------------------------
+ * Checkout attribution
+ * ----------------------------------------------------- */
+
+/**
+ * Closes the cart cycle a paid order came from: the signed-in owner's
+ * open cart, or the one this session restored from a reminder link.
+ * "recovered" when a reminder went out within the attribution window.
+ * Never throws; payment capture must not fail because of it.
+ */
+async function recordCartCheckout(
+  req,
+  { department, orderId, amount, currency, now = new Date() },
+) {
+  try {
+    const owner = cartOwnerFromSession(req);
+    const restoredId = String(req.session?.recoveredCarts?.[department] || '');
+
+    const or = [];
+    if (owner) or.push({ ownerKey: ownerKeyFor(owner) });
+    if (mongoose.isValidObjectId(restoredId)) or.push({ _id: restoredId });
+    if (!or.length) return null;
+
+    const cart = await SavedCart.findOne({ department, status: 'open', $or: or })
+      .sort({ lastReminderAt: -1 })
+      .select('remindersSent lastReminderAt')
+      .lean();
+
+    if (req.session?.recoveredCarts) delete req.session.recoveredCarts[department];
+    if (!cart) return null;
+
+    const value = Number(amount);
+    const status = isRecoveryAttributable(cart, now) ? 'recovered' : 'converted';
+
+    await SavedCart.updateOne(
+      { _id: cart._id, status: 'open' },
+      {
+        $set: {
+          status,
+          closedAt: now,
+          nextReminderAt: null,
+          order: {
+            orderId: String(orderId || ''),
+            amount: Number.isFinite(value) ? Math.round(value * 100) / 100 : null,
+            currency: String(currency || BASE_CURRENCY).toUpperCase(),
+            paidAt: now,
+          },
+        },
+      },
+    );
+
+    return { cartId: cart._id, status };
+  } catch (err) {
+    console.warn('⚠️ Saved cart checkout attribution failed:', err?.message || String(err));
+    return null;
+  }
+}
+
+/* -------------------------------------------------------
+ * Reminder links
+ * ----------------------------------------------------- */
+
+/**
+ * Deep link from a reminder email: puts the saved lines back into this
+ * browser's session cart (merged with anything already there) and
+ * remembers the cart so the order can be attributed to the reminder.
+ */
+async function restoreSavedCart(req, token) {
+  if (!isRecoveryToken(token)) return { ok: false, code: 'NOT_FOUND' };
+
+  const cart = await SavedCart.findOne({ recoveryToken: token })
+    .select('ownerKey department status items')
+    .lean();
+
+  if (!cart) return { ok: false, code: 'NOT_FOUND' };
+  if (cart.status !== 'open') {
+    return { ok: false, code: cart.status === 'cleared' ? 'CLEARED' : 'ALREADY_ORDERED' };
+  }
+
+  const { department } = cart;
+  const merged = mergeCartItems(department, sessionCartItems(req, department), cart.items);
+  const checked = await revalidateCartItems(department, merged.items);
+
+  writeSessionCart(req, department, checked.items);
+  addCartNotices(req, department, [
+    ...merged.skipped.map((item) => ({ type: 'not_merged', name: item.name || 'An item' })),
+    ...checked.notices,
+  ]);
+
+  const owner = cartOwnerFromSession(req);
+  if (owner && ownerKeyFor(owner) === cart.ownerKey) {
+    await syncSavedCart({ owner, department, items: checked.items });
+    markCartSynced(req, department);
+  }
+
+  req.session.storeDepartment = cart.department;
+  req.session.recoveredCarts = {
+    ...(req.session.recoveredCarts || {}),
+    [cart.department]: String(cart._id),
+  };
+
+  // restoredAt defaults to null, which $min would always keep.
+  await SavedCart.updateOne({ _id: cart._id }, { $inc: { restoreCount: 1 } });
+  await SavedCart.updateOne(
+    { _id: cart._id, restoredAt: null },
+    { $set: { restoredAt: new Date() } },
+  );
+
+  return { ok: true, department: cart.department, redirectTo: CART_PAGES[cart.department] };
+}
+
+/**
+ * Unsubscribe link in reminder emails: turns the owner's marketing
+ * emails off and stops the rest of their reminder sequences.
+ */
+async function unsubscribeCartReminders(token) {
+  if (!isRecoveryToken(token)) return null;
+
+  const cart = await SavedCart.findOne({ recoveryToken: token })
+    .select('ownerType ownerId ownerKey')
+    .lean();
+  if (!cart) return null;
+
+  const Model = ACCOUNT_MODELS[cart.ownerType];
+  await Promise.all([
+    Model.updateOne({ _id: cart.ownerId }, { $set: { 'emailPreferences.marketing': false } }),
+    SavedCart.updateMany(
+      { ownerKey: cart.ownerKey, status: 'open' },
+      { $set: { nextReminderAt: null } },
+    ),
+  ]);
+
+  return cart;
+}
+
+/* -------------------------------------------------------
+ * Reminder delivery
+ * ----------------------------------------------------- */
+
+async function reminderRecipient(cart) {
+  const Model = ACCOUNT_MODELS[cart.ownerType];
+  const doc = Model
+    ? await Model.findById(cart.ownerId).select('name email emailPreferences').lean()
+    : null;
+
+  if (!doc?.email || doc.emailPreferences?.marketing !== true) return null;
+  return { email: doc.email, name: doc.name || '' };
+}
+
+/**
+ * Claims the cart's next reminder step and emails it when the owner
+ * opted in to marketing emails. The step is used up either way, so an
+ * opted-out owner is not looked at again until the next step is due.
+ */
+async function dispatchCartReminder(
+  cart,
+  { now = new Date(), schedule = reminderScheduleHours() } = {},
+) {
+  const step = Number(cart.reminderStep || 0);
+  const recipient = await reminderRecipient(cart);
+  const sending = Boolean(recipient) && step < schedule.length;
+
+  const claimed = await SavedCart.updateOne(
+    { _id: cart._id, status: 'open', reminderStep: step, lastActivityAt: cart.lastActivityAt },
+    {
+      $set: {
+        reminderStep: step + 1,
+        nextReminderAt: nextReminderAt(
+          {
+            lastActivityAt: cart.lastActivityAt,
+            step: step + 1,
+            lastReminderAt: sending ? now : cart.lastReminderAt,
+          },
+          schedule,
+        ),
+      },
+    },
+  );
+
+  if (!claimed.modifiedCount) return { sent: false, reason: 'NOT_CLAIMED' };
+  if (!sending) return { sent: false, reason: 'MARKETING_OPT_OUT' };
+
+  try {
+    await sendCartReminderEmail({
+      to: recipient.email,
+      name: recipient.name,
+      cart,
+      step,
+      isLast: step === schedule.length - 1,
+    });
+  } catch (err) {
+    console.warn('⚠️ Cart reminder email failed:', err?.message || String(err));
+    return { sent: false, reason: 'EMAIL_FAILED' };
+  }
+
+  await SavedCart.updateOne(
+    { _id: cart._id },
+    { $set: { lastReminderAt: now }, $inc: { remindersSent: 1 } },
+  );
+  await SavedCart.updateOne(
+    { _id: cart._id, firstReminderAt: null },
+    { $set: { firstReminderAt: now } },
+  );
+
+  return { sent: true, step };
+}
+
+module.exports = {
+  cartOwnerFromSession,
+  syncSavedCart,
+  mergeSavedCartsIntoSession,
+  trackSavedCart,
+  refreshSessionCart,
+  takeCartNotices,
+  recordCartCheckout,
+  restoreSavedCart,
+  unsubscribeCartReminders,
+  dispatchCartReminder,
+};
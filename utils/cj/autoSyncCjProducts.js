@@ -0,0 +1,258 @@
+// utils/cj/autoSyncCjProducts.js
+'use strict';
+
+const crypto = require('crypto');
+
+const CjProduct = require('../../models/CjProduct');
+
+const { syncCjProductById, recordCjProductSyncFailure } = require('./cjProductSyncService');
+
+let workerStarted = false;
+let workerRunning = false;
+let intervalHandle = null;
+
+function booleanFromEnv(value, fallback = false) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+
+  const normalized = String(value).trim().toLowerCase();
+
+  if (['true', '1', 'yes', 'on'].includes(normalized)) {
+    return true;
+  }
+
+  if (['false', '0', 'no', 'off'].includes(normalized)) {
+    return false;
+  }
+
+  return fallback;
+}
+
+function boundedInteger(value, fallback, min, max) {
+  const parsed = Number.parseInt(String(value ?? '').trim(), 10);
+
+  if (!Number.isFinite(parsed)) {
+    return fallback;
+  }
+
+  return Math.max(min, Math.min(max, parsed));
+}
+
+function isEnabled() {
+  return booleanFromEnv(process.env.CJ_PRODUCT_SYNC_ENABLED, false);
+}
+
+function getIntervalMs() {
+  return boundedInteger(
+    process.env.CJ_PRODUCT_SYNC_INTERVAL_MS,
+    60 * 60 * 1000,
+    15 * 60 * 1000,
+    24 * 60 * 60 * 1000,
+  );
+}
+
+/*
+ * Each product costs two CJ calls (detail + variants), and every call
+ * waits its turn in the shared cjApiRateLimiter queue. Keep batches
+ * small so checkout and admin requests are not stuck behind a long run.
+ */
+function getBatchLimit() {
+  return boundedInteger(process.env.CJ_PRODUCT_SYNC_BATCH_LIMIT, 10, 1, 50);
+}
+
+function getMinimumAgeMs() {
+  return boundedInteger(
+    process.env.CJ_PRODUCT_SYNC_MIN_AGE_MS,
+    6 * 60 * 60 * 1000,
+    15 * 60 * 1000,
+    7 * 24 * 60 * 60 * 1000,
+  );
+}
+
+function eligibleProductQuery() {
+  const nextAllowedSync = new Date(Date.now() - getMinimumAgeMs());
+
+  return {
+    source: 'CJ',
+
+    status: 'active',
+
+    $or: [
+      {
+        lastFullSyncAt: null,
+      },
+
+      {
+        lastFullSyncAt: {
+          $exists: false,
+        },
+      },
+
+      {
+        lastFullSyncAt: {
+          $lte: nextAllowedSync,
+        },
+      },
+    ],
+  };
+}
+
+async function runCjProductSync({ limit = getBatchLimit(), source = 'manual' } = {}) {
+  if (workerRunning) {
+    return {
+      ok: true,
+      skipped: true,
+      reason: 'CJ_PRODUCT_SYNC_ALREADY_RUNNING',
+      source,
+    };
+  }
+
+  workerRunning = true;
+
+  const runId = crypto.randomUUID();
+
+  const result = {
+    ok: true,
+    source,
+    runId,
+    scanned: 0,
+    changed: 0,
+    unchanged: 0,
+    paused: 0,
+    failed: 0,
+    rows: [],
+  };
+
+  try {
+    const products = await CjProduct.find(eligibleProductQuery())
+      .select('_id cjProductId')
+      .sort({
+        lastFullSyncAt: 1,
+        importedAt: 1,
+      })
+      .limit(limit)
+      .lean();
+
+    result.scanned = products.length;
+
+    for (const product of products) {
+      try {
+        const row = await syncCjProductById(product._id, {
+          source,
+          runId,
+        });
+
+        result.rows.push(row);
+
+        if (row.autoPaused) {
+          result.paused += 1;
+        }
+
+        if (row.changed) {
+          result.changed += 1;
+        } else {
+          result.unchanged += 1;
+        }
+      } catch (error) {
+        result.failed += 1;
+
+        await recordCjProductSyncFailure(product, error, { source, runId }).catch(() => {});
+
+        result.rows.push({
+          ok: false,
+          cjProductId: product.cjProductId,
+          message: String(error?.message || error).slice(0, 1000),
+        });
+
+        console.error('[CJ product sync] Product failed:', {
+          cjProductId: product.cjProductId,
+          message: error?.message || error,
+        });
+      }
+    }
+
+    return result;
+  } finally {
+    workerRunning = false;
+  }
+}
+
+function startCjProductSyncWorker() {
+  if (workerStarted) {
+    return {
+      ok: true,
+      started: false,
+      reason: 'CJ_PRODUCT_WORKER_ALREADY_STARTED',
+    };
+  }
+
+  workerStarted = true;
+
+  if (!isEnabled()) {
+    console.log('[CJ product sync] Disabled. Set CJ_PRODUCT_SYNC_ENABLED=true to enable.');
+
+    return {
+      ok: true,
+      started: false,
+      reason: 'CJ_PRODUCT_SYNC_DISABLED',
+    };
+  }
+
+  const intervalMs = getIntervalMs();
+
+  console.log(`[CJ product sync] Worker enabled. Interval: ${intervalMs}ms`);
+
+  runCjProductSync({
+    source: 'startup',
+  }).catch((error) => {
+    console.error('[CJ product sync] Startup run failed:', error?.stack || error);
+  });
+
+  intervalHandle = setInterval(() => {
+    runCjProductSync({
+      source: 'interval',
+    })
+      .then((result) => {
+        if (result.scanned || result.failed) {
+          const { rows: _rows, ...totals } = result;
+
+          console.log('[CJ product sync] Interval result:', totals);
+        }
+
+        return result;
+      })
+      .catch((error) => {
+        console.error('[CJ product sync] Interval failed:', error?.stack || error);
+
+        return null;
+      });
+  }, intervalMs);
+
+  return {
+    ok: true,
+    started: true,
+    intervalMs,
+  };
+}
+
+function stopCjProductSyncWorker() {
+  if (intervalHandle) {
+    clearInterval(intervalHandle);
+    intervalHandle = null;
+  }
+
+  workerStarted = false;
+
+  return {
+    ok: true,
+    stopped: true,
+  };
+}
+
+module.exports = {
+  eligibleProductQuery,
+  runCjProductSync,
+  startCjProductSyncWorker,
+  stopCjProductSyncWorker,
+};
@@ -433,6 +433,8 @@ module.exports = {
   ensureCjCart,
   publicCjCart,
   calculateCjCartSummary,
+  loadSellableCjProductAndVariant,
+  buildCjCartItem,
   addCjItem,
   updateCjItemQuantity,
   removeCjItem,
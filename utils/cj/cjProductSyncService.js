@@ -0,0 +1,345 @@
+// utils/cj/cjProductSyncService.js
+'use strict';
+
+const CjProduct = require('../../models/CjProduct');
+const CjProductSyncLog = require('../../models/CjProductSyncLog');
+
+const {
+  BASE_CURRENCY,
+  getProductDetail,
+  calculateSellingPriceFromMarkup,
+  safeNonNegativeNumber,
+} = require('./cjProductService');
+
+/*
+ * CJ reports "3" for products that are on sale.
+ * Any other non-empty status means the product left the shelf.
+ */
+const DEFAULT_ON_SALE_STATUSES = ['3'];
+
+function safeString(value, max = 2000) {
+  return String(value ?? '')
+    .trim()
+    .slice(0, max);
+}
+
+function roundMoney(value) {
+  return Number(safeNonNegativeNumber(value, 0).toFixed(2));
+}
+
+function onSaleStatusesFromEnv() {
+  const configured = String(process.env.CJ_PRODUCT_ON_SALE_STATUSES || '')
+    .split(',')
+    .map((status) => status.trim().toUpperCase())
+    .filter(Boolean);
+
+  return configured.length ? configured : DEFAULT_ON_SALE_STATUSES;
+}
+
+function calculateProductPriceRange(variants) {
+  const prices = (Array.isArray(variants) ? variants : [])
+    .filter((variant) => variant.isEnabled)
+    .map((variant) => Number(variant?.sellingPriceExVat?.value))
+    .filter((price) => Number.isFinite(price));
+
+  if (!prices.length) {
+    return {
+      minimum: 0,
+      maximum: 0,
+    };
+  }
+
+  return {
+    minimum: Math.min(...prices),
+    maximum: Math.max(...prices),
+  };
+}
+
+/**
+ * Works out the changes a fresh CJ product detail makes to an imported
+ * CjProduct. Pure: takes plain objects and returns the new variant list.
+ *
+ * - Inventory and source cost are refreshed on every variant CJ still returns.
+ * - A variant is re-priced from the product markup when its USD cost changed,
+ *   or when its current price would fall below the converted cost.
+ *   Other manually entered prices are kept.
+ * - Enabled variants that CJ no longer returns are disabled.
+ * - offSale is set when CJ reports a non-sale status or no enabled variants remain.
+ */
+function planCjProductSync(
+  product,
+  sourceProduct,
+  { now = new Date(), onSaleStatuses = DEFAULT_ON_SALE_STATUSES } = {},
+) {
+  const markupPercent = safeNonNegativeNumber(product?.pricing?.defaultMarkupPercent, 30);
+
+  const sourceVariantsById = new Map(
+    (Array.isArray(sourceProduct?.variants) ? sourceProduct.variants : []).map((variant) => [
+      String(variant.cjVariantId),
+      variant,
+    ]),
+  );
+
+  const summary = {
+    inventoryChanged: [],
+    costChanged: [],
+    repriced: [],
+    missingVariants: [],
+  };
+
+  const existingVariants = Array.isArray(product?.variants) ? product.variants : [];
+
+  const variants = existingVariants.map((variant) => {
+    const sourceVariant = sourceVariantsById.get(String(variant.cjVariantId));
+
+    if (!sourceVariant) {
+      if (variant.isEnabled) {
+        summary.missingVariants.push(variant.variantSku);
+      }
+
+      return {
+        ...variant,
+        isEnabled: false,
+      };
+    }
+
+    const next = {
+      ...variant,
+      lastSyncedAt: now,
+    };
+
+    const previousCostUsd = roundMoney(variant?.sourceCostUsd?.value);
+    const nextCostUsd = roundMoney(sourceVariant.sourceCostUsd);
+    const convertedCost = roundMoney(sourceVariant?.convertedSourceCost?.value);
+    const currentPrice = roundMoney(variant?.sellingPriceExVat?.value);
+    const costChanged = previousCostUsd !== nextCostUsd;
+
+    next.sourceCostUsd = {
+      value: nextCostUsd,
+      currency: 'USD',
+    };
+
+    next.convertedSourceCost = {
+      value: convertedCost,
+      currency: BASE_CURRENCY,
+    };
+
+    next.fxSnapshot = sourceVariant.fxSnapshot || variant.fxSnapshot;
+
+    if (costChanged) {
+      next.lastSourceCostChangeAt = now;
+
+      summary.costChanged.push({
+        variantSku: variant.variantSku,
+        from: previousCostUsd,
+        to: nextCostUsd,
+      });
+    }
+
+    if (costChanged || currentPrice < convertedCost) {
+      const sellingPrice = calculateSellingPriceFromMarkup(convertedCost, markupPercent);
+
+      next.sellingPriceExVat = {
+        value: sellingPrice,
+        currency: BASE_CURRENCY,
+      };
+
+      if (sellingPrice !== currentPrice) {
+        summary.repriced.push({
+          variantSku: variant.variantSku,
+          from: currentPrice,
+          to: sellingPrice,
+        });
+      }
+    }
+
+    if (sourceVariant.inventoryKnown) {
+      const previousInventory = safeNonNegativeNumber(variant.totalInventory, 0);
+
+      next.inventory = sourceVariant.inventory;
+      next.totalInventory = sourceVariant.totalInventory;
+      next.inventoryKnown = true;
+      next.lastInventorySyncAt = now;
+
+      if (previousInventory !== sourceVariant.totalInventory) {
+        summary.inventoryChanged.push({
+          variantSku: variant.variantSku,
+          from: previousInventory,
+          to: sourceVariant.totalInventory,
+        });
+      }
+    }
+
+    return next;
+  });
+
+  const saleStatus = safeString(sourceProduct?.saleStatus, 100).toUpperCase();
+
+  let offSaleReason = '';
+
+  if (saleStatus && !onSaleStatuses.includes(saleStatus)) {
+    offSaleReason = 'CJ_NOT_ON_SALE';
+  } else if (
+    existingVariants.some((variant) => variant.isEnabled) &&
+    !variants.some((variant) => variant.isEnabled)
+  ) {
+    offSaleReason = 'NO_ENABLED_VARIANTS';
+  }
+
+  return {
+    variants,
+    priceRange: calculateProductPriceRange(variants),
+    offSale: Boolean(offSaleReason),
+    offSaleReason,
+    summary,
+  };
+}
+
+function syncSnapshot(product) {
+  return {
+    status: product.status,
+    cjSaleStatus: product.cjSaleStatus,
+    enabledVariantCount: product.variants.filter((variant) => variant.isEnabled).length,
+    minimumSellingPriceExVat: product.pricing.minimumSellingPriceExVat,
+    maximumSellingPriceExVat: product.pricing.maximumSellingPriceExVat,
+  };
+}
+
+async function writeAutomaticSyncLog(fields) {
+  try {
+    await CjProductSyncLog.create({
+      action: 'AUTOMATIC_SYNC',
+      admin: null,
+      ...fields,
+    });
+  } catch (error) {
+    console.error('[CJ product sync] Failed to write sync log:', error?.message || error);
+  }
+}
+
+/**
+ * Re-pulls one imported CJ product and applies planCjProductSync.
+ * Active products that went off-sale are paused; they are never
+ * re-activated automatically.
+ */
+async function syncCjProductById(productId, { source = 'manual', runId = '' } = {}) {
+  const product = await CjProduct.findById(productId);
+
+  if (!product) {
+    return {
+      ok: false,
+      reason: 'CJ_PRODUCT_NOT_FOUND',
+    };
+  }
+
+  const now = new Date();
+  const before = syncSnapshot(product);
+
+  const detailResult = await getProductDetail(product.cjProductId);
+  const sourceProduct = detailResult.product;
+  const requestId = detailResult.requestIds.detail || detailResult.requestIds.variants;
+
+  const plan = planCjProductSync(product.toObject(), sourceProduct, {
+    now,
+    onSaleStatuses: onSaleStatusesFromEnv(),
+  });
+
+  product.variants = plan.variants;
+  product.pricing.minimumSellingPriceExVat = plan.priceRange.minimum;
+  product.pricing.maximumSellingPriceExVat = plan.priceRange.maximum;
+
+  product.cjSaleStatus = sourceProduct.saleStatus;
+  product.cjListedNumber = sourceProduct.listedNumber;
+
+  const autoPaused = plan.offSale && product.status === 'active';
+
+  if (autoPaused) {
+    product.status = 'paused';
+  }
+
+  const status = plan.summary.missingVariants.length ? 'PARTIAL' : 'SUCCESS';
+
+  const message = [
+    autoPaused ? `Paused automatically (${plan.offSaleReason}).` : '',
+    plan.summary.missingVariants.length
+      ? `CJ no longer returns: ${plan.summary.missingVariants.join(', ')}.`
+      : '',
+  ]
+    .filter(Boolean)
+    .join(' ');
+
+  product.lastFullSyncAt = now;
+  product.lastSyncStatus = status;
+  product.lastSyncError = status === 'PARTIAL' ? safeString(message, 2000) : '';
+  product.lastCjRequestId = requestId;
+
+  await product.save();
+
+  const after = syncSnapshot(product);
+
+  await writeAutomaticSyncLog({
+    cjProduct: product._id,
+    cjProductId: product.cjProductId,
+    status,
+    requestId,
+    message: safeString(message, 2000),
+    before,
+    after,
+    meta: {
+      source,
+      runId,
+      offSaleReason: plan.offSaleReason,
+      ...plan.summary,
+    },
+  });
+
+  return {
+    ok: true,
+    cjProductId: product.cjProductId,
+    status,
+    autoPaused,
+    changed:
+      autoPaused ||
+      plan.summary.inventoryChanged.length > 0 ||
+      plan.summary.costChanged.length > 0 ||
+      plan.summary.repriced.length > 0 ||
+      plan.summary.missingVariants.length > 0,
+  };
+}
+
+async function recordCjProductSyncFailure(product, error, { source = 'manual', runId = '' } = {}) {
+  const message = safeString(error?.message || error, 2000);
+
+  await CjProduct.updateOne(
+    {
+      _id: product._id,
+    },
+    {
+      $set: {
+        lastFullSyncAt: new Date(),
+        lastSyncStatus: 'FAILED',
+        lastSyncError: message,
+      },
+    },
+  );
+
+  await writeAutomaticSyncLog({
+    cjProduct: product._id,
+    cjProductId: product.cjProductId,
+    status: 'FAILED',
+    requestId: safeString(error?.requestId, 200),
+    message,
+    meta: {
+      source,
+      runId,
+      code: safeString(error?.code, 100),
+    },
+  });
+}
+
+module.exports = {
+  DEFAULT_ON_SALE_STATUSES,
+  planCjProductSync,
+  syncCjProductById,
+  recordCjProductSyncFailure,
+};
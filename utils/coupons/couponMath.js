@@ -0,0 +1,154 @@
+// utils/coupons/couponMath.js
+'use strict';
+
+const { moneyToCents } = require('../money');
+
+function normalizeCouponCode(code) {
+  return String(code || '')
+    .trim()
+    .toUpperCase()
+    .replace(/\s+/g, '')
+    .slice(0, 40);
+}
+
+function toCents(value) {
+  const cents = moneyToCents(value);
+  return Number.isFinite(cents) && cents > 0 ? cents : 0;
+}
+
+/**
+ * Coupon-level checks that do not depend on the basket or buyer.
+ * Returns { ok, code, message }.
+ */
+function checkCouponWindow(coupon, { now = new Date() } = {}) {
+  if (!coupon || coupon.isActive === false) {
+    return { ok: false, code: 'COUPON_INVALID', message: 'This coupon code is not valid.' };
+  }
+
+  const at = new Date(now).getTime();
+
+  if (coupon.startsAt && at < new Date(coupon.startsAt).getTime()) {
+    return { ok: false, code: 'COUPON_NOT_STARTED', message: 'This coupon is not active yet.' };
+  }
+
+  if (coupon.endsAt && at > new Date(coupon.endsAt).getTime()) {
+    return { ok: false, code: 'COUPON_EXPIRED', message: 'This coupon has expired.' };
+  }
+
+  if (coupon.maxUses != null && Number(coupon.usedCount || 0) >= Number(coupon.maxUses)) {
+    return {
+      ok: false,
+      code: 'COUPON_EXHAUSTED',
+      message: 'This coupon has reached its usage limit.',
+    };
+  }
+
+  return { ok: true, code: 'OK', message: '' };
+}
+
+// Splits totalCents across weights so the parts always add up exactly
+// (largest remainder, ties go to the earlier line).
+function apportionCents(totalCents, weights) {
+  const sum = weights.reduce((s, w) => s + w, 0);
+  if (!sum || totalCents <= 0) return weights.map(() => 0);
+
+  const parts = weights.map((w, index) => {
+    const exact = (totalCents * w) / sum;
+    return { index, cents: Math.floor(exact), rest: exact - Math.floor(exact) };
+  });
+
+  let left = totalCents - parts.reduce((s, p) => s + p.cents, 0);
+
+  [...parts]
+    .sort((a, b) => b.rest - a.rest || a.index - b.index)
+    .forEach((p) => {
+      if (left > 0 && weights[p.index] > 0) {
+        parts[p.index].cents += 1;
+        left -= 1;
+      }
+    });
+
+  return parts.map((p) => p.cents);
+}
+
+/**
+ * Works out the VAT-exclusive discount for a basket.
+ *
+ * lines: [{ businessId, unitCents, quantity }] (VAT-exclusive BASE_CURRENCY)
+ *
+ * Returns { ok, code, message, discountCents, eligibleCents, lineDiscounts }
+ * where lineDiscounts[i] is the share of the discount on lines[i].
+ */
+function computeCouponDiscount(coupon, lines) {
+  const list = Array.isArray(lines) ? lines : [];
+  const scope = coupon?.sellerBusiness ? String(coupon.sellerBusiness?._id || coupon.sellerBusiness) : '';
+
+  const weights = list.map((line) => {
+    if (scope && String(line?.businessId || '') !== scope) return 0;
+
+    const unit = Math.max(0, Math.trunc(Number(line?.unitCents || 0)));
+    const qty = Math.max(0, Math.trunc(Number(line?.quantity || 0)));
+    return unit * qty;
+  });
+
+  const eligibleCents = weights.reduce((s, w) => s + w, 0);
+  const none = { discountCents: 0, eligibleCents, lineDiscounts: list.map(() => 0) };
+
+  if (!eligibleCents) {
+    return {
+      ok: false,
+      code: 'COUPON_NOT_APPLICABLE',
+      message: 'This coupon does not apply to the items in your cart.',
+      ...none,
+    };
+  }
+
+  const minBasketCents = toCents(coupon?.minBasket);
+  if (eligibleCents < minBasketCents) {
+    return {
+      ok: false,
+      code: 'COUPON_MIN_BASKET',
+      message: `Add ${((minBasketCents - eligibleCents) / 100).toFixed(2)} more to use this coupon.`,
+      ...none,
+    };
+  }
+
+  let discountCents = 0;
+
+  if (coupon?.type === 'PERCENT') {
+    const pct = Math.max(0, Math.min(100, Number(coupon.value || 0)));
+    discountCents = Math.round((eligibleCents * pct) / 100);
+
+    const capCents = toCents(coupon.maxDiscount);
+    if (capCents) discountCents = Math.min(discountCents, capCents);
+  } else if (coupon?.type === 'FIXED') {
+    discountCents = Math.round(Math.max(0, Number(coupon.value || 0)) * 100);
+  }
+
+  discountCents = Math.min(discountCents, eligibleCents);
+
+  if (discountCents <= 0) {
+    return {
+      ok: false,
+      code: 'COUPON_NOT_APPLICABLE',
+      message: 'This coupon does not apply to the items in your cart.',
+      ...none,
+    };
+  }
+
+  return {
+    ok: true,
+    code: 'OK',
+    message: '',
+    discountCents,
+    eligibleCents,
+    lineDiscounts: apportionCents(discountCents, weights),
+  };
+}
+
+module.exports = {
+  normalizeCouponCode,
+  checkCouponWindow,
+  apportionCents,
+  computeCouponDiscount,
+};
@@ -0,0 +1,259 @@
+// utils/coupons/couponService.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const Coupon = require('../../models/Coupon');
+const CouponRedemption = require('../../models/CouponRedemption');
+
+const { moneyToCents, centsToMoneyString } = require('../money');
+const { normalizeCouponCode, checkCouponWindow, computeCouponDiscount } = require('./couponMath');
+
+function getBaseCurrency() {
+  return String(process.env.BASE_CURRENCY || '').trim().toUpperCase() || 'USD';
+}
+
+function safeObjectId(value) {
+  const id = String(value?._id || value || '').trim();
+  return mongoose.isValidObjectId(id) ? id : null;
+}
+
+function isDupKey(err) {
+  return !!(err && (err.code === 11000 || String(err.message || '').includes('E11000')));
+}
+
+function buyerFilter(buyer = {}) {
+  const or = [];
+  const userId = safeObjectId(buyer.userId);
+  const businessBuyer = safeObjectId(buyer.businessBuyer);
+
+  if (userId) or.push({ userId });
+  if (businessBuyer) or.push({ businessBuyer });
+
+  return or.length ? { $or: or } : null;
+}
+
+/**
+ * Maps Internal cart items (VAT-exclusive) to the line shape used by
+ * computeCouponDiscount. Order of lines matches the cart order.
+ */
+function cartLinesForCoupon(items) {
+  return (Array.isArray(items) ? items : []).map((item) => {
+    const cents = moneyToCents(item?.priceExVat ?? item?.price ?? 0);
+
+    return {
+      businessId: String(item?.businessId || '').trim(),
+      unitCents: Number.isFinite(cents) && cents > 0 ? cents : 0,
+      quantity: Math.max(1, Math.trunc(Number(item?.quantity ?? item?.qty ?? 1)) || 1),
+    };
+  });
+}
+
+async function countBuyerRedemptions(couponId, buyer) {
+  const who = buyerFilter(buyer);
+  if (!who) return 0;
+
+  return CouponRedemption.countDocuments({
+    coupon: couponId,
+    status: { $in: ['RESERVED', 'REDEEMED'] },
+    ...who,
+  });
+}
+
+/**
+ * Validates `code` against the cart and buyer.
+ *
+ * Returns { ok, code, message, coupon, discountCents, lineDiscounts }.
+ */
+async function evaluateCoupon({ code, items, buyer = {}, now = new Date() }) {
+  const clean = normalizeCouponCode(code);
+  if (!clean) {
+    return { ok: false, code: 'COUPON_REQUIRED', message: 'Please enter a coupon code.' };
+  }
+
+  const coupon = await Coupon.findOne({ code: clean }).lean();
+
+  const window = checkCouponWindow(coupon, { now });
+  if (!window.ok) return { ...window, coupon: null };
+
+  const currency = String(coupon.currency || '').trim().toUpperCase();
+  if (currency && currency !== getBaseCurrency()) {
+    return { ok: false, code: 'COUPON_INVALID', message: 'This coupon code is not valid.', coupon: null };
+  }
+
+  if (coupon.maxUsesPerUser != null) {
+    if (!buyerFilter(buyer)) {
+      return {
+        ok: false,
+        code: 'COUPON_LOGIN_REQUIRED',
+        message: 'Please log in to use this coupon.',
+        coupon: null,
+      };
+    }
+
+    const used = await countBuyerRedemptions(coupon._id, buyer);
+    if (used >= Number(coupon.maxUsesPerUser)) {
+      return {
+        ok: false,
+        code: 'COUPON_USER_LIMIT',
+        message: 'You have already used this coupon.',
+        coupon: null,
+      };
+    }
+  }
+
+  const result = computeCouponDiscount(coupon, cartLinesForCoupon(items));
+  return { ...result, coupon: result.ok ? coupon : null };
+}
+
+/**
+ * Plain snapshot kept in the session / pending order and copied to the Order.
+ * lineDiscounts are VAT-exclusive cents per cart line.
+ */
+function couponSnapshot(coupon, result) {
+  return {
+    couponId: String(coupon._id),
+    code: coupon.code,
+    type: coupon.type,
+    value: Number(coupon.value || 0),
+    fundedBy: coupon.fundedBy === 'SELLER' ? 'SELLER' : 'PLATFORM',
+    sellerBusiness: coupon.sellerBusiness ? String(coupon.sellerBusiness) : null,
+    discount: centsToMoneyString(result.discountCents),
+    discountCents: result.discountCents,
+    lineDiscounts: Array.isArray(result.lineDiscounts) ? result.lineDiscounts : [],
+    currency: getBaseCurrency(),
+  };
+}
+
+/**
+ * Claims one use of the coupon for a PayPal order before it is captured.
+ * Safe to call again for the same PayPal order.
+ *
+ * Returns { ok, code, message, redemption }.
+ */
+async function reserveCoupon({ snapshot, paypalOrderId, buyer = {}, now = new Date() }) {
+  const couponId = safeObjectId(snapshot?.couponId);
+  if (!couponId || !paypalOrderId) {
+    return { ok: false, code: 'COUPON_INVALID', message: 'This coupon code is not valid.' };
+  }
+
+  const existing = await CouponRedemption.findOne({ paypalOrderId });
+  if (existing && existing.status !== 'RELEASED') return { ok: true, redemption: existing };
+
+  const coupon = await Coupon.findById(couponId).select('maxUsesPerUser').lean();
+
+  if (coupon?.maxUsesPerUser != null) {
+    const used = await countBuyerRedemptions(couponId, buyer);
+    if (used >= Number(coupon.maxUsesPerUser)) {
+      return { ok: false, code: 'COUPON_USER_LIMIT', message: 'You have already used this coupon.' };
+    }
+  }
+
+  // Same window checkCouponWindow applies, so a coupon that expired
+  // between create-order and capture cannot be claimed.
+  const claimed = await Coupon.findOneAndUpdate(
+    {
+      _id: couponId,
+      isActive: true,
+      $and: [
+        { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+        { $or: [{ endsAt: null }, { endsAt: { $gte: now } }] },
+        { $or: [{ maxUses: null }, { $expr: { $lt: ['$usedCount', '$maxUses'] } }] },
+      ],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true },
+  ).lean();
+
+  if (!claimed) {
+    const window = checkCouponWindow(await Coupon.findById(couponId).lean(), { now });
+    if (!window.ok && window.code !== 'COUPON_EXHAUSTED') {
+      return { ok: false, code: window.code, message: window.message };
+    }
+
+    return {
+      ok: false,
+      code: 'COUPON_EXHAUSTED',
+      message: 'This coupon is no longer available. Please remove it and try again.',
+    };
+  }
+
+  const fields = {
+    coupon: couponId,
+    code: snapshot.code,
+    paypalOrderId,
+    userId: safeObjectId(buyer.userId),
+    businessBuyer: safeObjectId(buyer.businessBuyer),
+    discount: String(snapshot.discount || '0.00'),
+    currency: snapshot.currency || getBaseCurrency(),
+    status: 'RESERVED',
+    releasedAt: null,
+  };
+
+  let redemption = existing;
+
+  try {
+    if (redemption) {
+      redemption.set(fields);
+      await redemption.save();
+    } else {
+      redemption = await CouponRedemption.create(fields);
+    }
+  } catch (err) {
+    // Lost a race with a parallel capture of the same PayPal order.
+    await Coupon.updateOne({ _id: couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+
+    if (!isDupKey(err)) throw err;
+
+    redemption = await CouponRedemption.findOne({ paypalOrderId });
+    return { ok: true, redemption };
+  }
+
+  // The per-buyer count above is only a fast path: parallel captures can
+  // both pass it. Each claim is written before this recount, so at least
+  // one of them sees the other and gives its use back.
+  if (coupon?.maxUsesPerUser != null) {
+    const used = await countBuyerRedemptions(couponId, buyer);
+    if (used > Number(coupon.maxUsesPerUser)) {
+      await releaseCouponReservation(paypalOrderId);
+      return { ok: false, code: 'COUPON_USER_LIMIT', message: 'You have already used this coupon.' };
+    }
+  }
+
+  return { ok: true, redemption };
+}
+
+// Gives the use back when PayPal did not capture the payment.
+async function releaseCouponReservation(paypalOrderId) {
+  const released = await CouponRedemption.findOneAndUpdate(
+    { paypalOrderId, status: 'RESERVED' },
+    { $set: { status: 'RELEASED', releasedAt: new Date() } },
+    { new: true },
+  ).lean();
+
+  if (released) {
+    await Coupon.updateOne(
+      { _id: released.coupon, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } },
+    );
+  }
+
+  return released;
+}
+
+async function markCouponRedeemed(paypalOrderId, order) {
+  return CouponRedemption.findOneAndUpdate(
+    { paypalOrderId, status: { $in: ['RESERVED', 'REDEEMED'] } },
+    { $set: { status: 'REDEEMED', order: order?._id || null } },
+    { new: true },
+  ).lean();
+}
+
+module.exports = {
+  cartLinesForCoupon,
+  evaluateCoupon,
+  couponSnapshot,
+  reserveCoupon,
+  releaseCouponReservation,
+  markCouponRedeemed,
+};
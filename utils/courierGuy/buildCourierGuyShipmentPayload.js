@@ -193,4 +193,5 @@ async function buildCourierGuyShipmentPayload(order) {
 
 module.exports = {
   buildCourierGuyShipmentPayload,
+  orderShippingInput,
 };
@@ -0,0 +1,117 @@
+// utils/courierGuy/createCourierGuyReturnShipment.js
+'use strict';
+
+const Warehouse = require('../../models/Warehouse');
+
+const { courierGuyRequest } = require('./courierGuyClient');
+
+const {
+  buildCourierGuyAddressFromWarehouse,
+  buildCourierGuyContactFromWarehouse,
+} = require('./buildCourierGuyAddressFromWarehouse');
+
+const {
+  buildCourierGuyDeliveryAddress,
+  buildCourierGuyDeliveryContact,
+} = require('./buildCourierGuyDeliveryAddress');
+
+const { orderShippingInput } = require('./buildCourierGuyShipmentPayload');
+
+const { normalizeCourierGuyShipment } = require('./normalizeCourierGuyShipment');
+
+function clean(value, max = 500) {
+  return String(value ?? '')
+    .trim()
+    .slice(0, max);
+}
+
+/**
+ * Books a reverse Courier Guy shipment: collected at the buyer's
+ * delivery address and delivered back to the warehouse that shipped the order.
+ */
+async function createCourierGuyReturnShipment(order, { parcels = [], reference = '' } = {}) {
+  if (!order) {
+    const error = new Error('Order is required.');
+    error.code = 'COURIER_GUY_ORDER_REQUIRED';
+    throw error;
+  }
+
+  if (!Array.isArray(parcels) || !parcels.length) {
+    const error = new Error('Return parcels are required to book a Courier Guy return.');
+    error.code = 'COURIER_GUY_RETURN_PARCELS_MISSING';
+    throw error;
+  }
+
+  const warehouseId = order?.courierGuy?.warehouseId;
+  const warehouse = warehouseId
+    ? await Warehouse.findOne({ _id: warehouseId, isActive: true }).lean()
+    : null;
+
+  if (!warehouse) {
+    const error = new Error('The original Courier Guy warehouse was not found or is inactive.');
+    error.code = 'COURIER_GUY_WAREHOUSE_NOT_FOUND';
+    throw error;
+  }
+
+  const shippingInput = orderShippingInput(order);
+
+  const payload = {
+    collection_address: buildCourierGuyDeliveryAddress(shippingInput),
+    collection_contact: buildCourierGuyDeliveryContact(shippingInput),
+    delivery_address: buildCourierGuyAddressFromWarehouse(warehouse),
+    delivery_contact: buildCourierGuyContactFromWarehouse(warehouse),
+    parcels,
+    customer_reference: clean(reference || `RETURN-${order.orderId || order._id}`, 120),
+    collection_min_date: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+  };
+
+  const serviceLevelCode = clean(
+    order?.courierGuy?.serviceCode || order?.courierGuy?.chosenRate?.serviceCode,
+    120,
+  );
+
+  const serviceLevelId = clean(
+    order?.courierGuy?.serviceLevelId || order?.courierGuy?.chosenRate?.serviceLevelId,
+    200,
+  );
+
+  if (serviceLevelCode) {
+    payload.service_level_code = serviceLevelCode;
+  } else if (serviceLevelId) {
+    payload.service_level_id = serviceLevelId;
+  } else {
+    const error = new Error('Courier Guy service level is missing on the original order.');
+    error.code = 'COURIER_GUY_SERVICE_LEVEL_MISSING';
+    throw error;
+  }
+
+  const response = await courierGuyRequest('/shipments', {
+    method: 'POST',
+    body: payload,
+    timeoutMs: 45000,
+  });
+
+  const shipment = normalizeCourierGuyShipment(response.data);
+
+  if (!shipment.shipmentId) {
+    const error = new Error(
+      'Shiplogic created a response but did not return a recognizable shipment ID.',
+    );
+
+    error.code = 'COURIER_GUY_SHIPMENT_ID_MISSING';
+
+    error.shiplogic = response.data;
+
+    throw error;
+  }
+
+  return {
+    shipment,
+    payload,
+    warehouse,
+  };
+}
+
+module.exports = {
+  createCourierGuyReturnShipment,
+};
@@ -44,6 +44,42 @@ async function getCourierGuyShipment(shipmentId) {
   );
 }
 
+/*
+ * Same lookup by the tracking reference printed on the waybill, for
+ * shipments booked outside this app (e.g. supplier deliveries).
+ */
+async function getCourierGuyShipmentByTrackingReference(trackingReference) {
+  const reference = String(trackingReference || '').trim();
+
+  if (!reference) {
+    const error = new Error(
+      'Courier Guy tracking reference is required.',
+    );
+
+    error.code = 'COURIER_GUY_TRACKING_REFERENCE_MISSING';
+
+    throw error;
+  }
+
+  const query = new URLSearchParams({
+    include_parcels: 'true',
+    tracking_reference: reference,
+  });
+
+  const response = await courierGuyRequest(
+    `/tracking/shipments?${query.toString()}`,
+    {
+      method: 'GET',
+      timeoutMs: 30000,
+    },
+  );
+
+  return normalizeCourierGuyShipment(
+    response.data,
+  );
+}
+
 module.exports = {
   getCourierGuyShipment,
+  getCourierGuyShipmentByTrackingReference,
 };
\ No newline at end of file
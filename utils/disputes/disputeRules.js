@@ -0,0 +1,288 @@
+// utils/disputes/disputeRules.js
+'use strict';
+
+/*
+ * Pure rules for PayPal disputes: reading the webhook resource, deciding
+ * whether a resolved dispute was won or lost, splitting held or debited
+ * seller earnings, and building the evidence payload PayPal expects.
+ */
+
+const { normalizePaypalCarrier } = require('../paypal/addTrackingToPaypalOrder');
+
+const DISPUTE_EVENT_TYPES = new Set([
+  'CUSTOMER.DISPUTE.CREATED',
+  'CUSTOMER.DISPUTE.UPDATED',
+  'CUSTOMER.DISPUTE.RESOLVED',
+]);
+
+// dispute_outcome.outcome_code values that cost us the disputed money.
+const LOST_OUTCOMES = new Set(['RESOLVED_BUYER_FAVOUR', 'ACCEPTED']);
+
+// Kept the money: won, withdrawn by the buyer, or paid out by PayPal itself.
+const WON_OUTCOMES = new Set([
+  'RESOLVED_SELLER_FAVOUR',
+  'CANCELED_BY_BUYER',
+  'DENIED',
+  'RESOLVED_WITH_PAYOUT',
+]);
+
+const MAX_NOTES_LENGTH = 2000;
+
+function safeStr(value, max = 200) {
+  return String(value ?? '')
+    .trim()
+    .slice(0, max);
+}
+
+function toDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function toMoney(raw) {
+  const value = Number(String(raw?.value ?? '').trim());
+  return {
+    value: Number.isFinite(value) ? value.toFixed(2) : '0.00',
+    currency: safeStr(raw?.currency_code || raw?.currency, 3).toUpperCase(),
+  };
+}
+
+function isDisputeEventType(eventType) {
+  return DISPUTE_EVENT_TYPES.has(safeStr(eventType, 128).toUpperCase());
+}
+
+/**
+ * Normalizes the dispute object PayPal sends as the webhook resource
+ * (and returns from GET /v1/customer/disputes/:id).
+ */
+function parseDisputeResource(resource) {
+  const r = resource || {};
+  const transactions = Array.isArray(r.disputed_transactions) ? r.disputed_transactions : [];
+
+  return {
+    disputeId: safeStr(r.dispute_id || r.id, 128),
+    captureIds: [
+      ...new Set(transactions.map((t) => safeStr(t?.seller_transaction_id, 128)).filter(Boolean)),
+    ],
+    status: safeStr(r.status, 64).toUpperCase(),
+    outcomeCode: safeStr(r.dispute_outcome?.outcome_code, 64).toUpperCase(),
+    reason: safeStr(r.reason, 64).toUpperCase(),
+    stage: safeStr(r.dispute_life_cycle_stage, 64).toUpperCase(),
+    channel: safeStr(r.dispute_channel, 64).toUpperCase(),
+    amount: toMoney(r.dispute_amount),
+    refundedAmount: toMoney(r.dispute_outcome?.amount_refunded),
+    sellerResponseDueAt: toDate(r.seller_response_due_date),
+    openedAt: toDate(r.create_time),
+    paypalUpdatedAt: toDate(r.update_time),
+    messages: (Array.isArray(r.messages) ? r.messages : []).map((m) => ({
+      postedBy: safeStr(m?.posted_by, 40).toUpperCase(),
+      postedAt: toDate(m?.time_posted),
+      content: safeStr(m?.content, 4000),
+    })),
+  };
+}
+
+/** OPEN until PayPal resolves it; then WON, LOST, or CLOSED when the outcome is unknown. */
+function disputeOutcome(status, outcomeCode) {
+  if (String(status || '').toUpperCase() !== 'RESOLVED') return 'OPEN';
+
+  const code = String(outcomeCode || '').toUpperCase();
+  if (LOST_OUTCOMES.has(code)) return 'LOST';
+  if (WON_OUTCOMES.has(code)) return 'WON';
+  return 'CLOSED';
+}
+
+/** Share of the captured payment at stake, 0..1. Unknown capture totals count as all of it. */
+function disputeRatio(disputedValue, capturedValue) {
+  const disputed = Number(disputedValue);
+  const captured = Number(capturedValue);
+
+  if (!Number.isFinite(disputed) || disputed <= 0) return 0;
+  if (!Number.isFinite(captured) || captured <= 0) return 1;
+  return Math.min(1, disputed / captured);
+}
+
+/**
+ * Splits `totalCents` across `shares` ({ key, cents }) in proportion to
+ * their cents, never giving a share more than it has. Rounding leftovers
+ * go to the largest remainders so the parts always add up.
+ */
+function splitCentsByShare(totalCents, shares) {
+  const rows = shares.filter((s) => Number(s.cents) > 0);
+  const pool = rows.reduce((sum, s) => sum + Number(s.cents), 0);
+  const target = Math.max(0, Math.min(Math.round(Number(totalCents) || 0), pool));
+
+  if (!target || !pool) return rows.map((s) => ({ key: s.key, cents: 0 }));
+
+  const parts = rows.map((s) => {
+    const exact = (target * Number(s.cents)) / pool;
+    return { key: s.key, cents: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+
+  let left = target - parts.reduce((sum, p) => sum + p.cents, 0);
+  const byRemainder = [...parts].sort(
+    (a, b) => b.remainder - a.remainder || String(a.key).localeCompare(String(b.key)),
+  );
+  for (const part of byRemainder) {
+    if (left <= 0) break;
+    part.cents += 1;
+    left -= 1;
+  }
+
+  return parts.map(({ key, cents }) => ({ key, cents }));
+}
+
+/**
+ * Seller amounts to hold (or debit) for a dispute: `ratio` of each
+ * seller's net earnings from the order, per seller and ledger currency.
+ * `earnings` are ledger rows ({ businessId, currency, amountCents });
+ * `capByKey` optionally limits a seller+currency to what is still there.
+ */
+function planSellerShares(earnings, ratio, capByKey = null) {
+  const totals = new Map();
+
+  for (const row of Array.isArray(earnings) ? earnings : []) {
+    const cents = Math.max(0, Math.trunc(Number(row?.amountCents || 0)));
+    const businessId = String(row?.businessId || '');
+    const currency = String(row?.currency || '').toUpperCase();
+    if (!cents || !businessId || !currency) continue;
+
+    const key = `${businessId}:${currency}`;
+    totals.set(key, (totals.get(key) || 0) + cents);
+  }
+
+  const byCurrency = new Map();
+  for (const [key, cents] of totals) {
+    const currency = key.split(':')[1];
+    if (!byCurrency.has(currency)) byCurrency.set(currency, []);
+    byCurrency.get(currency).push({ key, cents });
+  }
+
+  const plan = [];
+  const safeRatio = Math.max(0, Math.min(1, Number(ratio) || 0));
+
+  for (const [currency, shares] of byCurrency) {
+    const pool = shares.reduce((sum, s) => sum + s.cents, 0);
+    const parts = splitCentsByShare(Math.round(pool * safeRatio), shares);
+
+    for (const { key, cents } of parts) {
+      const cap = capByKey && capByKey.has(key) ? Math.max(0, capByKey.get(key)) : cents;
+      const amountCents = Math.min(cents, cap);
+      if (amountCents > 0) {
+        plan.push({ businessId: key.split(':')[0], currency, amountCents });
+      }
+    }
+  }
+
+  return plan.sort((a, b) =>
+    `${a.businessId}:${a.currency}`.localeCompare(`${b.businessId}:${b.currency}`),
+  );
+}
+
+/**
+ * Takes what each seller+currency already paid back for this dispute (e.g.
+ * refund debits booked while it was open) off a planned debit, so a refund
+ * and a lost dispute over the same money are not both charged.
+ */
+function lessAlreadyDebited(plan, debitedByKey) {
+  return (Array.isArray(plan) ? plan : [])
+    .map((row) => {
+      const paid = Math.max(0, Number(debitedByKey?.get(`${row.businessId}:${row.currency}`) || 0));
+      return { ...row, amountCents: row.amountCents - paid };
+    })
+    .filter((row) => row.amountCents > 0);
+}
+
+function eventLine(e) {
+  const when = e.occurredAt
+    ? new Date(e.occurredAt).toISOString().slice(0, 16).replace('T', ' ')
+    : '';
+  return [when, e.status, e.description, e.location].filter(Boolean).join(' · ');
+}
+
+function messageLine(m) {
+  const when = m.createdAt ? new Date(m.createdAt).toISOString().slice(0, 10) : '';
+  return `${when} ${m.authorName || m.authorType || 'Unknown'}: ${String(m.body || '').replace(/\s+/g, ' ')}`.trim();
+}
+
+function clipNotes(lines) {
+  let out = '';
+  for (const line of lines) {
+    const next = out ? `${out}\n${line}` : line;
+    if (next.length > MAX_NOTES_LENGTH) break;
+    out = next;
+  }
+  return out;
+}
+
+/**
+ * Body of POST /v1/customer/disputes/:id/provide-evidence. Tracking goes
+ * in as proof of fulfillment; delivery events, buyer–seller messages, the
+ * admin's note and uploaded files go in as notes and documents.
+ */
+function buildDisputeEvidence({
+  tracking = [],
+  deliveryEvents = [],
+  messages = [],
+  note = '',
+  fileNames = [],
+} = {}) {
+  const evidences = [];
+
+  const trackingInfo = tracking
+    .filter((t) => t?.trackingNumber)
+    .map((t) => {
+      const { carrier, carrier_name_other: other } = normalizePaypalCarrier(t.carrier);
+      return {
+        carrier_name: carrier,
+        ...(other ? { carrier_name_other: safeStr(other, 60) } : null),
+        tracking_number: safeStr(t.trackingNumber, 100),
+      };
+    });
+
+  if (trackingInfo.length) {
+    evidences.push({
+      evidence_type: 'PROOF_OF_FULFILLMENT',
+      evidence_info: { tracking_info: trackingInfo },
+      notes: clipNotes(['Delivery events:', ...deliveryEvents.map(eventLine)]) || undefined,
+    });
+  } else if (deliveryEvents.length) {
+    evidences.push({
+      evidence_type: 'OTHER',
+      notes: clipNotes(['Delivery events:', ...deliveryEvents.map(eventLine)]),
+    });
+  }
+
+  if (messages.length) {
+    evidences.push({
+      evidence_type: 'OTHER',
+      notes: clipNotes(['Messages between buyer and seller:', ...messages.map(messageLine)]),
+    });
+  }
+
+  const cleanNote = safeStr(note, MAX_NOTES_LENGTH);
+  const documents = fileNames.filter(Boolean).map((name) => ({ name: safeStr(name, 200) }));
+
+  if (cleanNote || documents.length) {
+    evidences.push({
+      evidence_type: 'OTHER',
+      notes: cleanNote || 'Supporting documents attached.',
+      ...(documents.length ? { documents } : null),
+    });
+  }
+
+  return { evidences };
+}
+
+module.exports = {
+  DISPUTE_EVENT_TYPES,
+  isDisputeEventType,
+  parseDisputeResource,
+  disputeOutcome,
+  disputeRatio,
+  splitCentsByShare,
+  planSellerShares,
+  lessAlreadyDebited,
+  buildDisputeEvidence,
+};
@@ -0,0 +1,188 @@
+// utils/emails/cartReminderEmail.js
+'use strict';
+
+const { sendMail, FROM } = require('../mailer');
+
+function esc(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function sanitizeBaseUrl(baseUrl) {
+  return String(
+    baseUrl || process.env.PUBLIC_BASE_URL || process.env.APP_URL || process.env.FRONTEND_URL || '',
+  )
+    .trim()
+    .replace(/\/+$/, '');
+}
+
+function priceText(value, currency) {
+  const amount = Number(value);
+  if (!Number.isFinite(amount)) return '';
+  return `${String(currency || '').toUpperCase()} ${amount.toFixed(2)}`.trim();
+}
+
+const MAX_LISTED_ITEMS = 5;
+
+const SUBJECTS = [
+  'You left something in your cart',
+  'Your cart is still waiting for you',
+  'Last reminder: items are still in your cart',
+];
+
+/*
+ * One email of the abandoned-cart reminder sequence. `step` is 0-based;
+ * a final step after the first uses the "last reminder" wording.
+ * Marketing email: the footer link turns marketing emails off.
+ */
+function buildCartReminderEmail({ cart, step = 0, isLast = false, name = '', baseUrl }) {
+  const c = cart || {};
+  const base = sanitizeBaseUrl(baseUrl);
+  const token = encodeURIComponent(c.recoveryToken || '');
+  const restoreUrl = `${base}/cart-recovery/restore/${token}`;
+  const unsubscribeUrl = `${base}/cart-recovery/unsubscribe/${token}`;
+  const vatNote = c.department === 'cj' ? '' : ' excl. VAT';
+
+  const items = (Array.isArray(c.items) ? c.items : []).filter(Boolean);
+  const listed = items.slice(0, MAX_LISTED_ITEMS);
+  const moreCount = items.length - listed.length;
+
+  const subject = isLast && step > 0 ? SUBJECTS[2] : SUBJECTS[Math.min(step, 1)];
+  const greeting = name ? `Hi ${name},` : 'Hi,';
+  const intro =
+    step === 0
+      ? 'You added these items to your Kasyora cart but did not check out. We saved them for you.'
+      : 'Your saved cart is still here. Prices and stock can change, so check out while the items are available.';
+
+  const lineText = (item) =>
+    `- ${item.name || 'Item'}${item.variantName ? ` (${item.variantName})` : ''} x ${Number(item.quantity || 1)}`;
+
+  const subtotal = priceText(c.subtotal, c.currency);
+
+  const text = `
+${greeting}
+
+${intro}
+
+${listed.map(lineText).join('\n')}
+${moreCount > 0 ? `...and ${moreCount} more item(s)` : ''}
+
+${subtotal ? `Subtotal: ${subtotal}${vatNote}` : ''}
+
+Return to your cart: ${restoreUrl}
+
+You are receiving this because you opted in to marketing emails from Kasyora.
+Stop marketing emails: ${unsubscribeUrl}
+`
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  const rows = listed
+    .map(
+      (item) => `
+            <tr>
+              <td style="padding:8px 0;width:64px;vertical-align:top;">
+                ${
+                  item.imageUrl
+                    ? `<img src="${esc(item.imageUrl)}" alt="" width="56" style="display:block;width:56px;border-radius:10px;">`
+                    : ''
+                }
+              </td>
+              <td style="padding:8px 0 8px 10px;vertical-align:top;color:#0F172A;font-size:14px;">
+                <div style="font-weight:700;">${esc(item.name || 'Item')}</div>
+                ${item.variantName ? `<div style="color:#64748B;font-size:12px;">${esc(item.variantName)}</div>` : ''}
+                <div style="color:#64748B;font-size:12px;">Qty ${esc(Number(item.quantity || 1))}</div>
+              </td>
+            </tr>`,
+    )
+    .join('');
+
+  const html = `
+<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width,initial-scale=1">
+</head>
+<body style="margin:0;padding:0;background:#F8FAFC;font-family:Arial,sans-serif;color:#0F172A;">
+  <div style="padding:18px 10px;">
+    <table role="presentation" width="640" cellspacing="0" cellpadding="0" style="width:640px;max-width:100%;margin:0 auto;background:#FFFFFF;border:1px solid rgba(124,58,237,0.16);border-radius:18px;overflow:hidden;">
+      <tr>
+        <td style="padding:26px 28px;background:#7C3AED;color:#FFFFFF;">
+          <div style="font-size:20px;font-weight:900;">Kasyora.com</div>
+          <div style="font-size:13px;margin-top:5px;color:rgba(255,255,255,0.88);">Your saved cart</div>
+        </td>
+      </tr>
+
+      <tr>
+        <td style="padding:24px 28px;">
+          <h1 style="margin:0 0 10px;font-size:22px;color:#7C3AED;">${esc(subject)}</h1>
+          <p style="margin:0 0 6px;color:#475569;line-height:1.6;">${esc(greeting)}</p>
+          <p style="margin:0 0 14px;color:#475569;line-height:1.6;">${esc(intro)}</p>
+
+          <table role="presentation" width="100%" cellspacing="0" cellpadding="0">${rows}
+          </table>
+          ${moreCount > 0 ? `<p style="margin:6px 0 0;color:#64748B;font-size:13px;">...and ${esc(moreCount)} more item(s)</p>` : ''}
+          ${subtotal ? `<p style="margin:14px 0 18px;font-weight:700;">Subtotal: ${esc(subtotal)}${esc(vatNote)}</p>` : ''}
+
+          <a href="${esc(restoreUrl)}" style="display:inline-block;background:#7C3AED;color:#FFFFFF;text-decoration:none;padding:12px 18px;border-radius:999px;font-weight:900;">
+            Return to my cart
+          </a>
+        </td>
+      </tr>
+
+      <tr>
+        <td style="padding:18px 28px;background:#0F172A;text-align:center;color:#94A3B8;font-size:11px;line-height:1.6;">
+          You are receiving this because you opted in to marketing emails from Kasyora.<br>
+          <a href="${esc(unsubscribeUrl)}" style="color:#C4B5FD;">Stop marketing emails</a><br>
+          © ${new Date().getFullYear()} Kasyora.com. All rights reserved.
+        </td>
+      </tr>
+    </table>
+  </div>
+</body>
+</html>
+`.trim();
+
+  return { subject, text, html, restoreUrl, unsubscribeUrl };
+}
+
+async function sendCartReminderEmail({ to, cart, step, isLast, name, baseUrl }) {
+  const recipient = String(to || '')
+    .trim()
+    .toLowerCase();
+
+  if (!recipient) {
+    return { skipped: true, reason: 'NO_RECIPIENT' };
+  }
+
+  const built = buildCartReminderEmail({ cart, step, isLast, name, baseUrl });
+
+  const res = await sendMail({
+    to: recipient,
+    subject: built.subject,
+    text: built.text,
+    html: built.html,
+    headers: {
+      'List-Unsubscribe': `<${built.unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+    },
+  });
+
+  console.log('📨 Cart reminder email sent:', {
+    to: recipient,
+    step,
+    from: FROM,
+  });
+
+  return res;
+}
+
+module.exports = {
+  buildCartReminderEmail,
+  sendCartReminderEmail,
+};
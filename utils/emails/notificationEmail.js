@@ -0,0 +1,130 @@
+// utils/emails/notificationEmail.js
+'use strict';
+
+const { sendMail, FROM } = require('../mailer');
+
+function esc(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function sanitizeBaseUrl(baseUrl) {
+  return String(
+    baseUrl || process.env.PUBLIC_BASE_URL || process.env.APP_URL || process.env.FRONTEND_URL || '',
+  )
+    .trim()
+    .replace(/\/+$/, '');
+}
+
+/*
+ * Generic email channel for notification center events that have no
+ * dedicated template (new orders, payouts, supply requests, ratings).
+ */
+function buildNotificationEmail({ notification, baseUrl }) {
+  const n = notification || {};
+  const title = String(n.title || 'Kasyora notification').trim();
+  const message = String(n.message || '').trim();
+  const link = n.link ? `${sanitizeBaseUrl(baseUrl)}${n.link}` : '';
+
+  const subject = title;
+
+  const text = `
+${title}
+
+${message}
+
+${link}
+
+You can change which emails you receive under Notifications > Preferences.
+`
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  const html = `
+<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width,initial-scale=1">
+</head>
+<body style="margin:0;padding:0;background:#F8FAFC;font-family:Arial,sans-serif;color:#0F172A;">
+  <div style="padding:18px 10px;">
+    <table role="presentation" width="640" cellspacing="0" cellpadding="0" style="width:640px;max-width:100%;margin:0 auto;background:#FFFFFF;border:1px solid rgba(124,58,237,0.16);border-radius:18px;overflow:hidden;">
+      <tr>
+        <td style="padding:26px 28px;background:#7C3AED;color:#FFFFFF;">
+          <div style="font-size:20px;font-weight:900;">Kasyora.com</div>
+          <div style="font-size:13px;margin-top:5px;color:rgba(255,255,255,0.88);">Notification</div>
+        </td>
+      </tr>
+
+      <tr>
+        <td style="padding:24px 28px;">
+          <h1 style="margin:0 0 10px;font-size:22px;color:#7C3AED;">${esc(title)}</h1>
+          ${
+            message
+              ? `<p style="margin:0 0 18px;color:#475569;line-height:1.6;">${esc(message).replace(/\n/g, '<br>')}</p>`
+              : ''
+          }
+
+          ${
+            link
+              ? `
+                <a href="${esc(link)}" style="display:inline-block;background:#7C3AED;color:#FFFFFF;text-decoration:none;padding:12px 18px;border-radius:999px;font-weight:900;">
+                  View Details
+                </a>
+              `
+              : ''
+          }
+        </td>
+      </tr>
+
+      <tr>
+        <td style="padding:18px 28px;background:#0F172A;text-align:center;color:#94A3B8;font-size:11px;line-height:1.6;">
+          You can change which emails you receive under Notifications &gt; Preferences.<br>
+          © ${new Date().getFullYear()} Kasyora.com. All rights reserved.
+        </td>
+      </tr>
+    </table>
+  </div>
+</body>
+</html>
+`.trim();
+
+  return { subject, text, html };
+}
+
+async function sendNotificationEmail({ to, notification, baseUrl }) {
+  const recipient = String(to || '')
+    .trim()
+    .toLowerCase();
+
+  if (!recipient) {
+    return { skipped: true, reason: 'NO_RECIPIENT' };
+  }
+
+  const built = buildNotificationEmail({ notification, baseUrl });
+
+  const res = await sendMail({
+    to: recipient,
+    subject: built.subject,
+    text: built.text,
+    html: built.html,
+  });
+
+  console.log('📨 Notification email sent:', {
+    to: recipient,
+    type: notification?.type || '',
+    from: FROM,
+  });
+
+  return res;
+}
+
+module.exports = {
+  buildNotificationEmail,
+  sendNotificationEmail,
+};
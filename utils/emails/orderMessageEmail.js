@@ -0,0 +1,167 @@
+// utils/emails/orderMessageEmail.js
+'use strict';
+
+const { sendMail, FROM } = require('../mailer');
+
+function esc(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function sanitizeBaseUrl(baseUrl) {
+  return String(
+    baseUrl || process.env.PUBLIC_BASE_URL || process.env.APP_URL || process.env.FRONTEND_URL || '',
+  )
+    .trim()
+    .replace(/\/+$/, '');
+}
+
+function threadTopic(thread) {
+  const t = thread || {};
+  if (t.kind === 'order') {
+    return `Order ${t.orderRef || ''}${t.productName ? ` · ${t.productName}` : ''}`.trim();
+  }
+  return t.productName || t.productId || 'Product question';
+}
+
+/*
+ * Sent to the party that did not write the message, when they have not
+ * opened the thread since the last email (see shouldEmailRecipient).
+ */
+function buildOrderMessageEmail({ thread, message, recipient, url, baseUrl }) {
+  const t = thread || {};
+  const topic = threadTopic(t);
+
+  const label = recipient === 'seller' ? 'New message from a buyer' : 'The seller replied';
+  const intro =
+    recipient === 'seller'
+      ? 'A buyer sent you a message on Kasyora. Reply from your messages inbox.'
+      : `${t.sellerName || 'The seller'} replied to your message on Kasyora.`;
+
+  const link = `${sanitizeBaseUrl(baseUrl)}${url || ''}`;
+  const body = String(message?.body || '').trim();
+  const author = String(message?.authorName || '').trim();
+  const files = Array.isArray(message?.attachments) ? message.attachments.length : 0;
+  const filesLine = files
+    ? `${files} attachment${files === 1 ? '' : 's'} (open the thread to view)`
+    : '';
+
+  const subject = `${label} - ${topic}`;
+
+  const text = `
+${label}
+
+${intro}
+
+About: ${topic}
+${author ? `From: ${author}` : ''}
+
+${body}
+${filesLine}
+
+${link}
+`
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  const html = `
+<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width,initial-scale=1">
+</head>
+<body style="margin:0;padding:0;background:#F8FAFC;font-family:Arial,sans-serif;color:#0F172A;">
+  <div style="padding:18px 10px;">
+    <table role="presentation" width="640" cellspacing="0" cellpadding="0" style="width:640px;max-width:100%;margin:0 auto;background:#FFFFFF;border:1px solid rgba(124,58,237,0.16);border-radius:18px;overflow:hidden;">
+      <tr>
+        <td style="padding:26px 28px;background:#7C3AED;color:#FFFFFF;">
+          <div style="font-size:20px;font-weight:900;">Kasyora.com</div>
+          <div style="font-size:13px;margin-top:5px;color:rgba(255,255,255,0.88);">${esc(label)}</div>
+        </td>
+      </tr>
+
+      <tr>
+        <td style="padding:24px 28px;">
+          <h1 style="margin:0 0 10px;font-size:22px;color:#7C3AED;">${esc(label)}</h1>
+          <p style="margin:0 0 18px;color:#475569;line-height:1.6;">${esc(intro)}</p>
+
+          <div style="border:1px solid #E2E8F0;border-radius:14px;padding:14px;margin-bottom:16px;">
+            <div style="font-size:12px;color:#64748B;font-weight:800;text-transform:uppercase;">About</div>
+            <div style="font-size:16px;font-weight:900;color:#0F172A;">${esc(topic)}</div>
+          </div>
+
+          ${
+            body || filesLine
+              ? `
+                <div style="border-left:4px solid #7C3AED;padding:8px 14px;margin-bottom:18px;color:#0F172A;line-height:1.6;">
+                  ${author ? `<div style="font-size:12px;color:#64748B;font-weight:800;">${esc(author)}</div>` : ''}
+                  ${esc(body).replace(/\n/g, '<br>')}
+                  ${filesLine ? `<div style="margin-top:6px;font-size:12px;color:#64748B;">${esc(filesLine)}</div>` : ''}
+                </div>
+              `
+              : ''
+          }
+
+          ${
+            url
+              ? `
+                <a href="${esc(link)}" style="display:inline-block;background:#7C3AED;color:#FFFFFF;text-decoration:none;padding:12px 18px;border-radius:999px;font-weight:900;">
+                  View and Reply
+                </a>
+              `
+              : ''
+          }
+        </td>
+      </tr>
+
+      <tr>
+        <td style="padding:18px 28px;background:#0F172A;text-align:center;color:#94A3B8;font-size:11px;line-height:1.6;">
+          © ${new Date().getFullYear()} Kasyora.com. All rights reserved.
+        </td>
+      </tr>
+    </table>
+  </div>
+</body>
+</html>
+`.trim();
+
+  return { subject, text, html };
+}
+
+async function sendOrderMessageEmail({ to, thread, message, recipient, url, baseUrl }) {
+  const address = String(to || '')
+    .trim()
+    .toLowerCase();
+
+  if (!address) {
+    return { skipped: true, reason: 'NO_RECIPIENT' };
+  }
+
+  const built = buildOrderMessageEmail({ thread, message, recipient, url, baseUrl });
+
+  const res = await sendMail({
+    to: address,
+    subject: built.subject,
+    text: built.text,
+    html: built.html,
+  });
+
+  console.log('📨 Order message email sent:', {
+    to: address,
+    threadId: String(thread?._id || ''),
+    recipient,
+    from: FROM,
+  });
+
+  return res;
+}
+
+module.exports = {
+  buildOrderMessageEmail,
+  sendOrderMessageEmail,
+};
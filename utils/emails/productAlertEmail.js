@@ -0,0 +1,150 @@
+// utils/emails/productAlertEmail.js
+'use strict';
+
+const { sendMail, FROM } = require('../mailer');
+
+function esc(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function sanitizeBaseUrl(baseUrl) {
+  return String(
+    baseUrl || process.env.PUBLIC_BASE_URL || process.env.APP_URL || process.env.FRONTEND_URL || '',
+  )
+    .trim()
+    .replace(/\/+$/, '');
+}
+
+function priceText(value, currency) {
+  const amount = Number(value);
+  if (!Number.isFinite(amount)) return '';
+  return `${String(currency || '').toUpperCase()} ${amount.toFixed(2)}`.trim();
+}
+
+/*
+ * Back-in-stock / price-drop email for a wishlist or product-page
+ * subscription. Every alert carries its own one-click unsubscribe link.
+ */
+function buildProductAlertEmail({ alert, baseUrl }) {
+  const a = alert || {};
+  const base = sanitizeBaseUrl(baseUrl);
+  const productName = String(a.productName || 'A product you follow').trim();
+  const productUrl = a.productPath ? `${base}${a.productPath}` : base;
+  const unsubscribeUrl = `${base}/alerts/unsubscribe/${encodeURIComponent(a.unsubscribeToken || '')}`;
+  const vatNote = a.source === 'internal' ? ' excl. VAT' : '';
+
+  const isDrop = a.kind === 'priceDrop';
+  const newPrice = priceText(a.price, a.currency);
+  const oldPrice = priceText(a.previousPrice, a.currency);
+
+  const subject = isDrop ? `Price drop: ${productName}` : `Back in stock: ${productName}`;
+
+  const headline = isDrop ? 'The price just dropped' : 'It is back in stock';
+
+  const detail = isDrop
+    ? `${productName} is now ${newPrice}${vatNote}${oldPrice ? ` (was ${oldPrice})` : ''}.`
+    : `${productName} is available again${newPrice ? ` at ${newPrice}${vatNote}` : ''}. Stock can run out quickly.`;
+
+  const text = `
+${headline}
+
+${detail}
+
+${productUrl}
+
+You are receiving this because you asked to hear about this product.
+Stop these alerts: ${unsubscribeUrl}
+`
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  const html = `
+<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width,initial-scale=1">
+</head>
+<body style="margin:0;padding:0;background:#F8FAFC;font-family:Arial,sans-serif;color:#0F172A;">
+  <div style="padding:18px 10px;">
+    <table role="presentation" width="640" cellspacing="0" cellpadding="0" style="width:640px;max-width:100%;margin:0 auto;background:#FFFFFF;border:1px solid rgba(124,58,237,0.16);border-radius:18px;overflow:hidden;">
+      <tr>
+        <td style="padding:26px 28px;background:#7C3AED;color:#FFFFFF;">
+          <div style="font-size:20px;font-weight:900;">Kasyora.com</div>
+          <div style="font-size:13px;margin-top:5px;color:rgba(255,255,255,0.88);">${isDrop ? 'Price drop alert' : 'Back in stock alert'}</div>
+        </td>
+      </tr>
+
+      <tr>
+        <td style="padding:24px 28px;">
+          <h1 style="margin:0 0 10px;font-size:22px;color:#7C3AED;">${esc(headline)}</h1>
+          ${
+            a.imageUrl
+              ? `<img src="${esc(a.imageUrl)}" alt="" width="160" style="display:block;max-width:160px;border-radius:12px;margin:0 0 14px;">`
+              : ''
+          }
+          <p style="margin:0 0 18px;color:#475569;line-height:1.6;">${esc(detail)}</p>
+
+          <a href="${esc(productUrl)}" style="display:inline-block;background:#7C3AED;color:#FFFFFF;text-decoration:none;padding:12px 18px;border-radius:999px;font-weight:900;">
+            View Product
+          </a>
+        </td>
+      </tr>
+
+      <tr>
+        <td style="padding:18px 28px;background:#0F172A;text-align:center;color:#94A3B8;font-size:11px;line-height:1.6;">
+          You are receiving this because you asked to hear about this product.<br>
+          <a href="${esc(unsubscribeUrl)}" style="color:#C4B5FD;">Stop alerts for this product</a><br>
+          © ${new Date().getFullYear()} Kasyora.com. All rights reserved.
+        </td>
+      </tr>
+    </table>
+  </div>
+</body>
+</html>
+`.trim();
+
+  return { subject, text, html, unsubscribeUrl };
+}
+
+async function sendProductAlertEmail({ to, alert, baseUrl }) {
+  const recipient = String(to || '')
+    .trim()
+    .toLowerCase();
+
+  if (!recipient) {
+    return { skipped: true, reason: 'NO_RECIPIENT' };
+  }
+
+  const built = buildProductAlertEmail({ alert, baseUrl });
+
+  // RFC 8058 one-click unsubscribe for mail clients that support it.
+  const res = await sendMail({
+    to: recipient,
+    subject: built.subject,
+    text: built.text,
+    html: built.html,
+    headers: {
+      'List-Unsubscribe': `<${built.unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+    },
+  });
+
+  console.log('📨 Product alert email sent:', {
+    to: recipient,
+    kind: alert?.kind || '',
+    from: FROM,
+  });
+
+  return res;
+}
+
+module.exports = {
+  buildProductAlertEmail,
+  sendProductAlertEmail,
+};
@@ -0,0 +1,190 @@
+// utils/emails/returnStatusEmail.js
+'use strict';
+
+const { sendMail, FROM } = require('../mailer');
+
+function esc(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function sanitizeBaseUrl(baseUrl) {
+  return String(
+    baseUrl ||
+      process.env.PUBLIC_BASE_URL ||
+      process.env.APP_URL ||
+      process.env.FRONTEND_URL ||
+      '',
+  )
+    .trim()
+    .replace(/\/+$/, '');
+}
+
+const STATUS_COPY = {
+  REQUESTED: {
+    label: 'Return requested',
+    intro: 'We received your return request. The seller will review it shortly.',
+  },
+  LABEL_ISSUED: {
+    label: 'Return approved',
+    intro:
+      'Your return was approved. Print the return label below, attach it to the parcel and hand it to the carrier.',
+  },
+  APPROVED: {
+    label: 'Return approved',
+    intro:
+      'Your return was approved. We could not create the return label automatically yet; our team will send it to you shortly.',
+  },
+  REJECTED: {
+    label: 'Return declined',
+    intro: 'The seller declined your return request.',
+  },
+  REFUNDED: {
+    label: 'Refund issued',
+    intro: 'We received your returned item and refunded it to your original payment method.',
+  },
+};
+
+function buildReturnStatusEmail({ returnRequest, order, baseUrl }) {
+  const r = returnRequest || {};
+  const copy = STATUS_COPY[r.status] || { label: r.status, intro: '' };
+
+  const safeBaseUrl = sanitizeBaseUrl(baseUrl);
+  const orderUrl = `${safeBaseUrl}/users/orders/${encodeURIComponent(String(order?._id || ''))}`;
+
+  const labelUrl = String(r.returnLabel?.labelUrl || '').trim();
+  const trackingNumber = String(r.returnLabel?.trackingNumber || '').trim();
+  const refundText =
+    r.status === 'REFUNDED' && r.refund?.amount
+      ? `${r.refund.currency || ''} ${r.refund.amount}`.trim()
+      : '';
+  const sellerNote = String(r.sellerNote || '').trim();
+
+  const subject = `${copy.label} - ${r.rmaNumber}`;
+
+  const text = `
+${copy.label}
+
+${copy.intro}
+
+RMA: ${r.rmaNumber}
+Order ID: ${order?.orderId || ''}
+Item: ${r.item?.name || ''} x ${r.quantity}
+${refundText ? `Refund: ${refundText}` : ''}
+${trackingNumber ? `Return tracking number: ${trackingNumber}` : ''}
+${labelUrl ? `Return label: ${labelUrl}` : ''}
+${sellerNote ? `Seller note: ${sellerNote}` : ''}
+
+View your order: ${orderUrl}
+`
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  const row = (title, value, color = '#0F172A') =>
+    value
+      ? `
+        <div style="height:12px;"></div>
+        <div style="font-size:12px;color:#64748B;font-weight:800;text-transform:uppercase;">${esc(title)}</div>
+        <div style="font-weight:900;color:${color};word-break:break-word;">${esc(value)}</div>
+      `
+      : '';
+
+  const html = `
+<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width,initial-scale=1">
+</head>
+<body style="margin:0;padding:0;background:#F8FAFC;font-family:Arial,sans-serif;color:#0F172A;">
+  <div style="padding:18px 10px;">
+    <table role="presentation" width="640" cellspacing="0" cellpadding="0" style="width:640px;max-width:100%;margin:0 auto;background:#FFFFFF;border:1px solid rgba(124,58,237,0.16);border-radius:18px;overflow:hidden;">
+      <tr>
+        <td style="padding:26px 28px;background:#7C3AED;color:#FFFFFF;">
+          <div style="font-size:20px;font-weight:900;">Kasyora.com</div>
+          <div style="font-size:13px;margin-top:5px;color:rgba(255,255,255,0.88);">${esc(copy.label)}</div>
+        </td>
+      </tr>
+
+      <tr>
+        <td style="padding:24px 28px;">
+          <h1 style="margin:0 0 10px;font-size:22px;color:#7C3AED;">${esc(copy.label)}</h1>
+          <p style="margin:0 0 18px;color:#475569;line-height:1.6;">${esc(copy.intro)}</p>
+
+          <div style="border:1px solid #E2E8F0;border-radius:14px;padding:14px;margin-bottom:16px;">
+            <div style="font-size:12px;color:#64748B;font-weight:800;text-transform:uppercase;">RMA</div>
+            <div style="font-size:18px;font-weight:900;color:#0F172A;">${esc(r.rmaNumber)}</div>
+            ${row('Order ID', order?.orderId || '')}
+            ${row('Item', `${r.item?.name || ''} x ${r.quantity}`)}
+            ${row('Refund', refundText, '#22C55E')}
+            ${row('Return tracking number', trackingNumber, '#22C55E')}
+            ${row('Seller note', sellerNote)}
+          </div>
+
+          ${
+            labelUrl
+              ? `
+                <div style="margin-bottom:14px;">
+                  <a href="${esc(labelUrl)}" style="display:inline-block;background:#22C55E;color:#FFFFFF;text-decoration:none;padding:12px 18px;border-radius:999px;font-weight:900;">
+                    Download Return Label
+                  </a>
+                </div>
+              `
+              : ''
+          }
+
+          <a href="${esc(orderUrl)}" style="display:inline-block;background:#7C3AED;color:#FFFFFF;text-decoration:none;padding:12px 18px;border-radius:999px;font-weight:900;">
+            View Order
+          </a>
+        </td>
+      </tr>
+
+      <tr>
+        <td style="padding:18px 28px;background:#0F172A;text-align:center;color:#94A3B8;font-size:11px;line-height:1.6;">
+          © ${new Date().getFullYear()} Kasyora.com. All rights reserved.
+        </td>
+      </tr>
+    </table>
+  </div>
+</body>
+</html>
+`.trim();
+
+  return { subject, text, html };
+}
+
+async function sendReturnStatusEmail({ to, returnRequest, order, baseUrl }) {
+  const recipient = String(to || order?.payer?.email || '').trim().toLowerCase();
+
+  if (!recipient) {
+    return { skipped: true, reason: 'NO_RECIPIENT' };
+  }
+
+  const built = buildReturnStatusEmail({ returnRequest, order, baseUrl });
+
+  const res = await sendMail({
+    to: recipient,
+    subject: built.subject,
+    text: built.text,
+    html: built.html,
+    replyTo: process.env.SUPPORT_INBOX || undefined,
+  });
+
+  console.log('📨 Return status email sent:', {
+    to: recipient,
+    rmaNumber: returnRequest?.rmaNumber || '',
+    status: returnRequest?.status || '',
+    from: FROM,
+  });
+
+  return res;
+}
+
+module.exports = {
+  buildReturnStatusEmail,
+  sendReturnStatusEmail,
+};
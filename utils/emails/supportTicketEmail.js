@@ -0,0 +1,175 @@
+// utils/emails/supportTicketEmail.js
+'use strict';
+
+const { sendMail, FROM } = require('../mailer');
+
+function esc(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function sanitizeBaseUrl(baseUrl) {
+  return String(
+    baseUrl || process.env.PUBLIC_BASE_URL || process.env.APP_URL || process.env.FRONTEND_URL || '',
+  )
+    .trim()
+    .replace(/\/+$/, '');
+}
+
+/*
+ * Requester events: RECEIVED (acknowledgement), REPLIED (support answered).
+ * Staff events: NEW_TICKET, REQUESTER_REPLIED.
+ */
+const EVENT_COPY = {
+  RECEIVED: {
+    label: 'We received your message',
+    intro: 'Thanks for contacting Kasyora Support. We will get back to you shortly.',
+    button: 'View Ticket',
+  },
+  REPLIED: {
+    label: 'Support replied to your ticket',
+    intro: 'Our support team replied to your ticket. You can answer from the ticket page.',
+    button: 'View and Reply',
+  },
+  NEW_TICKET: {
+    label: 'New support ticket',
+    intro: 'A new support ticket was opened.',
+    button: 'Open in Admin',
+  },
+  REQUESTER_REPLIED: {
+    label: 'Customer replied',
+    intro: 'The requester added a reply to this ticket.',
+    button: 'Open in Admin',
+  },
+};
+
+function buildSupportTicketEmail({ ticket, event, message, url, baseUrl }) {
+  const t = ticket || {};
+  const copy = EVENT_COPY[event] || { label: 'Support ticket update', intro: '', button: 'View' };
+
+  const link = `${sanitizeBaseUrl(baseUrl)}${url || ''}`;
+  const body = String(message?.body || '').trim();
+  const author = String(message?.authorName || '').trim();
+
+  const subject = `${copy.label} - ${t.ticketNumber} ${t.subject ? `(${t.subject})` : ''}`.trim();
+
+  const text = `
+${copy.label}
+
+${copy.intro}
+
+Ticket: ${t.ticketNumber}
+Subject: ${t.subject || ''}
+${t.orderRef ? `Order: ${t.orderRef}` : ''}
+${author ? `From: ${author}` : ''}
+
+${body}
+
+${link}
+`
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  const html = `
+<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width,initial-scale=1">
+</head>
+<body style="margin:0;padding:0;background:#F8FAFC;font-family:Arial,sans-serif;color:#0F172A;">
+  <div style="padding:18px 10px;">
+    <table role="presentation" width="640" cellspacing="0" cellpadding="0" style="width:640px;max-width:100%;margin:0 auto;background:#FFFFFF;border:1px solid rgba(124,58,237,0.16);border-radius:18px;overflow:hidden;">
+      <tr>
+        <td style="padding:26px 28px;background:#7C3AED;color:#FFFFFF;">
+          <div style="font-size:20px;font-weight:900;">Kasyora.com</div>
+          <div style="font-size:13px;margin-top:5px;color:rgba(255,255,255,0.88);">${esc(copy.label)}</div>
+        </td>
+      </tr>
+
+      <tr>
+        <td style="padding:24px 28px;">
+          <h1 style="margin:0 0 10px;font-size:22px;color:#7C3AED;">${esc(copy.label)}</h1>
+          <p style="margin:0 0 18px;color:#475569;line-height:1.6;">${esc(copy.intro)}</p>
+
+          <div style="border:1px solid #E2E8F0;border-radius:14px;padding:14px;margin-bottom:16px;">
+            <div style="font-size:12px;color:#64748B;font-weight:800;text-transform:uppercase;">Ticket</div>
+            <div style="font-size:18px;font-weight:900;color:#0F172A;">${esc(t.ticketNumber)}</div>
+            <div style="margin-top:6px;font-weight:700;">${esc(t.subject)}</div>
+            ${t.orderRef ? `<div style="margin-top:6px;color:#64748B;">Order: ${esc(t.orderRef)}</div>` : ''}
+          </div>
+
+          ${
+            body
+              ? `
+                <div style="border-left:4px solid #7C3AED;padding:8px 14px;margin-bottom:18px;color:#0F172A;line-height:1.6;">
+                  ${author ? `<div style="font-size:12px;color:#64748B;font-weight:800;">${esc(author)}</div>` : ''}
+                  ${esc(body).replace(/\n/g, '<br>')}
+                </div>
+              `
+              : ''
+          }
+
+          ${
+            url
+              ? `
+                <a href="${esc(link)}" style="display:inline-block;background:#7C3AED;color:#FFFFFF;text-decoration:none;padding:12px 18px;border-radius:999px;font-weight:900;">
+                  ${esc(copy.button)}
+                </a>
+              `
+              : ''
+          }
+        </td>
+      </tr>
+
+      <tr>
+        <td style="padding:18px 28px;background:#0F172A;text-align:center;color:#94A3B8;font-size:11px;line-height:1.6;">
+          © ${new Date().getFullYear()} Kasyora.com. All rights reserved.
+        </td>
+      </tr>
+    </table>
+  </div>
+</body>
+</html>
+`.trim();
+
+  return { subject, text, html };
+}
+
+async function sendSupportTicketEmail({ to, ticket, event, message, url, replyTo, baseUrl }) {
+  const recipient = String(to || '')
+    .trim()
+    .toLowerCase();
+
+  if (!recipient) {
+    return { skipped: true, reason: 'NO_RECIPIENT' };
+  }
+
+  const built = buildSupportTicketEmail({ ticket, event, message, url, baseUrl });
+
+  const res = await sendMail({
+    to: recipient,
+    subject: built.subject,
+    text: built.text,
+    html: built.html,
+    replyTo: replyTo || process.env.SUPPORT_INBOX || undefined,
+  });
+
+  console.log('📨 Support ticket email sent:', {
+    to: recipient,
+    ticketNumber: ticket?.ticketNumber || '',
+    event,
+    from: FROM,
+  });
+
+  return res;
+}
+
+module.exports = {
+  buildSupportTicketEmail,
+  sendSupportTicketEmail,
+};
@@ -0,0 +1,241 @@
+// utils/inventory/productVariants.js
+'use strict';
+
+/*
+ * Size × color stock matrix for internal Products.
+ *
+ * A product "has a matrix" when Product.variants is non-empty. Then each
+ * combination carries its own stock (and optional SKU / price override)
+ * and Product.stock is kept as the sum of the variant stocks.
+ * Products without a matrix keep using Product.stock on its own.
+ */
+
+function clean(value) {
+  return String(value ?? '').trim();
+}
+
+function toArrayField(value) {
+  if (Array.isArray(value)) return value;
+  if (value === undefined || value === null) return [];
+  return [value];
+}
+
+// Case-insensitive key for a size/color pair, e.g. "m|red".
+function variantKey(variant = {}) {
+  return `${clean(variant.size).toLowerCase()}|${clean(variant.color).toLowerCase()}`;
+}
+
+function variantLabel(variant = {}) {
+  return [clean(variant.size), clean(variant.color)].filter(Boolean).join(' / ') || 'Default';
+}
+
+function hasVariantMatrix(product) {
+  return Array.isArray(product?.variants) && product.variants.length > 0;
+}
+
+function findProductVariant(product, selected = {}) {
+  if (!hasVariantMatrix(product)) return null;
+
+  const key = variantKey(selected);
+  return product.variants.find((v) => variantKey(v) === key) || null;
+}
+
+function sumVariantStock(variants) {
+  return (Array.isArray(variants) ? variants : []).reduce(
+    (sum, v) => sum + Math.max(0, Math.trunc(Number(v?.stock || 0))),
+    0,
+  );
+}
+
+/**
+ * Units that can be sold for the selected size/color.
+ * A combination that is not in the matrix counts as sold out.
+ */
+function getAvailableStock(product, selected = {}) {
+  if (hasVariantMatrix(product)) {
+    const variant = findProductVariant(product, selected);
+    return variant ? Math.max(0, Math.trunc(Number(variant.stock || 0))) : 0;
+  }
+
+  return Math.max(0, Math.trunc(Number(product?.stock || 0)));
+}
+
+// Variant price override when set, otherwise Product.price (VAT-exclusive).
+function getVariantUnitPrice(product, selected = {}) {
+  const variant = findProductVariant(product, selected);
+  const override = variant?.price;
+
+  if (override !== null && override !== undefined && override !== '') {
+    const n = Number(override);
+    if (Number.isFinite(n) && n >= 0) return n;
+  }
+
+  return Number(product?.price || 0);
+}
+
+/**
+ * Cleans matrix rows against the product's current sizes/colors.
+ * Rows for combinations that no longer exist are dropped, duplicates keep
+ * the first row, and stock/price are coerced to safe numbers.
+ */
+function normalizeVariantMatrix(rows, { sizes = [], colors = [] } = {}) {
+  const sizeSet = new Map(toArrayField(sizes).map((s) => [clean(s).toLowerCase(), clean(s)]));
+  const colorSet = new Map(toArrayField(colors).map((c) => [clean(c).toLowerCase(), clean(c)]));
+  const seen = new Set();
+
+  return (Array.isArray(rows) ? rows : [])
+    .map((row) => {
+      const size = clean(row?.size);
+      const color = clean(row?.color);
+
+      if (sizeSet.size ? !sizeSet.has(size.toLowerCase()) : size) return null;
+      if (colorSet.size ? !colorSet.has(color.toLowerCase()) : color) return null;
+      if (!size && !color) return null;
+
+      const rawPrice = clean(row?.price);
+      const price = rawPrice === '' ? null : Number(rawPrice);
+
+      return {
+        // Use the spelling from the product's own lists so cart matching stays exact.
+        size: sizeSet.get(size.toLowerCase()) || '',
+        color: colorSet.get(color.toLowerCase()) || '',
+        sku: clean(row?.sku).slice(0, 64),
+        price: Number.isFinite(price) && price >= 0 ? Math.round(price * 100) / 100 : null,
+        stock: Math.max(0, Math.trunc(Number(row?.stock || 0)) || 0),
+      };
+    })
+    .filter((row) => {
+      if (!row) return false;
+      const key = variantKey(row);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Reads the edit form's parallel variantSizes / variantColors / variantStocks /
+ * variantSkus / variantPrices inputs.
+ */
+function variantMatrixFromForm(body = {}, lists = {}) {
+  const sizes = toArrayField(body.variantSizes);
+  const colors = toArrayField(body.variantColors);
+  const stocks = toArrayField(body.variantStocks);
+  const skus = toArrayField(body.variantSkus);
+  const prices = toArrayField(body.variantPrices);
+
+  const count = Math.max(sizes.length, colors.length);
+  const rows = [];
+
+  for (let i = 0; i < count; i += 1) {
+    rows.push({
+      size: sizes[i],
+      color: colors[i],
+      stock: stocks[i],
+      sku: skus[i],
+      price: prices[i],
+    });
+  }
+
+  return normalizeVariantMatrix(rows, lists);
+}
+
+/**
+ * Every size × color combination for the edit form, pre-filled from the
+ * saved matrix. Products with only sizes or only colors get a single axis.
+ */
+function buildVariantGrid(product) {
+  const sizes = toArrayField(product?.sizes).map(clean).filter(Boolean);
+  const colors = toArrayField(product?.colors).map(clean).filter(Boolean);
+  if (!sizes.length && !colors.length) return [];
+
+  const combos = [];
+  (sizes.length ? sizes : ['']).forEach((size) => {
+    (colors.length ? colors : ['']).forEach((color) => combos.push({ size, color }));
+  });
+
+  return combos.map((combo) => {
+    const saved = findProductVariant(product, combo);
+
+    return {
+      ...combo,
+      label: variantLabel(combo),
+      sku: saved?.sku || '',
+      price: saved?.price ?? null,
+      stock: saved ? Number(saved.stock || 0) : 0,
+    };
+  });
+}
+
+/**
+ * Per-variant stock changes between two matrices, used for stock history.
+ * Returns [{ size, color, sku, stockBefore, stockAfter, delta }].
+ */
+function diffVariantStock(before, after) {
+  const beforeByKey = new Map((before || []).map((v) => [variantKey(v), v]));
+  const afterByKey = new Map((after || []).map((v) => [variantKey(v), v]));
+  const keys = new Set([...beforeByKey.keys(), ...afterByKey.keys()]);
+  const changes = [];
+
+  keys.forEach((key) => {
+    const prev = beforeByKey.get(key);
+    const next = afterByKey.get(key);
+    const stockBefore = Math.max(0, Number(prev?.stock || 0));
+    const stockAfter = Math.max(0, Number(next?.stock || 0));
+
+    if (stockBefore === stockAfter) return;
+
+    const ref = next || prev;
+    changes.push({
+      size: clean(ref.size),
+      color: clean(ref.color),
+      sku: clean(ref.sku),
+      stockBefore,
+      stockAfter,
+      delta: stockAfter - stockBefore,
+    });
+  });
+
+  return changes;
+}
+
+/**
+ * Variants at or below `threshold` (but above zero) and variants at zero.
+ */
+function summarizeVariantStock(product, { threshold = 20 } = {}) {
+  const lowStockVariants = [];
+  const outOfStockVariants = [];
+
+  (hasVariantMatrix(product) ? product.variants : []).forEach((v) => {
+    const stock = Math.max(0, Number(v.stock || 0));
+    const row = {
+      size: clean(v.size),
+      color: clean(v.color),
+      sku: clean(v.sku),
+      label: variantLabel(v),
+      stock,
+    };
+
+    if (stock <= 0) outOfStockVariants.push(row);
+    else if (stock <= threshold) lowStockVariants.push(row);
+  });
+
+  lowStockVariants.sort((a, b) => a.stock - b.stock);
+
+  return { lowStockVariants, outOfStockVariants };
+}
+
+module.exports = {
+  variantKey,
+  variantLabel,
+  hasVariantMatrix,
+  findProductVariant,
+  sumVariantStock,
+  getAvailableStock,
+  getVariantUnitPrice,
+  normalizeVariantMatrix,
+  variantMatrixFromForm,
+  buildVariantGrid,
+  diffVariantStock,
+  summarizeVariantStock,
+};
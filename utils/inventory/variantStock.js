@@ -0,0 +1,104 @@
+// utils/inventory/variantStock.js
+'use strict';
+
+const Product = require('../../models/Product');
+const ProductStockHistory = require('../../models/ProductStockHistory');
+const { findProductVariant, hasVariantMatrix } = require('./productVariants');
+
+function pickProductKey(line) {
+  return String(line?.productId || line?.customId || line?.pid || line?.sku || '').trim();
+}
+
+function pickVariants(line) {
+  const v = line?.variants && typeof line.variants === 'object' ? line.variants : {};
+  return { size: String(v.size || '').trim(), color: String(v.color || '').trim() };
+}
+
+/**
+ * Moves stock for order/return lines that belong to a variant matrix.
+ *
+ * lines: [{ productId (Product.customId), quantity, variants: { size, color } }]
+ * deltaSign: -1 for a sale, +1 for a restock.
+ *
+ * Each matched line updates the variant stock and Product.stock in one
+ * atomic $inc and writes a ProductStockHistory row for that variant.
+ * Lines for products without a matrix are left to the caller.
+ *
+ * Returns { handled: Set<lineIndex>, changed }.
+ */
+async function applyVariantStockDelta(lines, deltaSign, { reason = 'manual-update' } = {}) {
+  const list = Array.isArray(lines) ? lines : [];
+  const handled = new Set();
+  let changed = 0;
+
+  const customIds = [...new Set(list.map(pickProductKey).filter(Boolean))];
+  if (!customIds.length) return { handled, changed };
+
+  const products = await Product.find({
+    customId: { $in: customIds },
+    'variants.0': { $exists: true },
+  })
+    .select('_id business customId name variants')
+    .lean();
+
+  const byCustomId = new Map(products.map((p) => [String(p.customId), p]));
+
+  for (let i = 0; i < list.length; i += 1) {
+    const line = list[i];
+    const product = byCustomId.get(pickProductKey(line));
+    if (!product || !hasVariantMatrix(product)) continue;
+
+    const qty = Math.trunc(Number(line?.quantity || 0));
+    if (!Number.isFinite(qty) || qty <= 0) continue;
+
+    const variant = findProductVariant(product, pickVariants(line));
+
+    // The line was bought before the matrix existed (or for a removed
+    // combination); the caller adjusts Product.stock as before.
+    if (!variant) continue;
+
+    const delta = deltaSign * qty;
+
+    const updated = await Product.findOneAndUpdate(
+      {
+        _id: product._id,
+        variants: { $elemMatch: { size: variant.size, color: variant.color } },
+      },
+      { $inc: { stock: delta, 'variants.$.stock': delta } },
+      { new: true },
+    )
+      .select('stock variants')
+      .lean();
+
+    if (!updated) continue;
+
+    handled.add(i);
+    changed += 1;
+
+    const after = Number(findProductVariant(updated, variant)?.stock || 0);
+
+    try {
+      await ProductStockHistory.create({
+        business: product.business,
+        product: product._id,
+        productCustomId: String(product.customId || '').trim(),
+        productName: String(product.name || '').trim(),
+        variant: { size: variant.size, color: variant.color, sku: variant.sku || '' },
+        stockBefore: Math.max(0, after - delta),
+        stockAfter: Math.max(0, after),
+        delta,
+        productStockBefore: Math.max(0, Number(updated.stock || 0) - delta),
+        productStockAfter: Math.max(0, Number(updated.stock || 0)),
+        reason,
+      });
+    } catch (err) {
+      console.error('❌ Failed to write variant stock history:', err);
+    }
+  }
+
+  return { handled, changed };
+}
+
+module.exports = {
+  applyVariantStockDelta,
+};
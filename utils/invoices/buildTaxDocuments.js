@@ -0,0 +1,295 @@
+// utils/invoices/buildTaxDocuments.js
+'use strict';
+
+const { moneyToCents, centsToMoneyString } = require('../money');
+
+/*
+ * Pure builders for TaxDocument fields.
+ *
+ * Internal invoices are built from the order's frozen `breakdown` and
+ * `taxTreatment`; CJ invoices from the CjOrder totals (Kasyora adds no VAT
+ * in the CJ department). Nothing here recalculates tax from current settings.
+ */
+
+function clean(value, max = 500) {
+  return String(value ?? '')
+    .trim()
+    .slice(0, max);
+}
+
+function moneyValue(value) {
+  if (value && typeof value === 'object') return moneyToCents(value.value);
+  return moneyToCents(value);
+}
+
+function money(cents) {
+  return centsToMoneyString(cents);
+}
+
+function formatDocumentNumber(prefix, seq) {
+  return `${prefix}-${String(Math.max(1, Math.trunc(Number(seq) || 0))).padStart(6, '0')}`;
+}
+
+function supplierFromEnv(env = process.env) {
+  return {
+    name: clean(env.INVOICE_SELLER_NAME || env.BRAND_NAME || 'Kasyora', 200),
+    email: clean(env.INVOICE_SELLER_EMAIL || env.SUPPORT_INBOX, 200),
+    vatNumber: clean(env.INVOICE_SELLER_VAT_NUMBER, 50),
+    registrationNumber: clean(env.INVOICE_SELLER_REGISTRATION_NUMBER, 50),
+    // "Line 1|Line 2|City" keeps multi-line addresses in a single env var.
+    addressLines: String(env.INVOICE_SELLER_ADDRESS || '')
+      .split('|')
+      .map((line) => clean(line, 200))
+      .filter(Boolean),
+  };
+}
+
+function variantSuffix(variants) {
+  const v = variants && typeof variants === 'object' ? variants : {};
+  const parts = [clean(v.size, 60), clean(v.color, 60)].filter(Boolean);
+  return parts.length ? ` (${parts.join(' / ')})` : '';
+}
+
+function internalCustomer(order) {
+  const ship = order?.shipping || {};
+  const payerName = [order?.payer?.name?.given, order?.payer?.name?.surname]
+    .map((part) => clean(part, 100))
+    .filter(Boolean)
+    .join(' ');
+
+  return {
+    name: clean(ship.name, 200) || payerName,
+    email: clean(order?.payer?.email || ship.email, 200),
+    addressLines: [
+      ship.address_line_1,
+      ship.address_line_2,
+      [ship.admin_area_2, ship.admin_area_1, ship.postal_code]
+        .map((x) => clean(x, 100))
+        .filter(Boolean)
+        .join(', '),
+      ship.country_code,
+    ]
+      .map((line) => clean(line, 200))
+      .filter(Boolean),
+  };
+}
+
+/**
+ * Invoice fields for an Internal Order (without number/issuedAt).
+ * The title is "Tax Invoice" only when a supplier VAT number is configured.
+ */
+function buildInternalInvoice(order, { supplier = supplierFromEnv() } = {}) {
+  const currency = clean(
+    order?.amount?.currency || order?.breakdown?.itemTotal?.currency,
+    3,
+  ).toUpperCase();
+
+  const lines = (Array.isArray(order?.items) ? order.items : []).map((item) => {
+    const quantity = Math.max(1, Math.trunc(Number(item?.quantity || 1)));
+    const unit = moneyValue(item?.price);
+    const discount = moneyValue(item?.discount);
+
+    return {
+      description: `${clean(item?.name, 300) || 'Item'}${variantSuffix(item?.variants)}`,
+      sku: clean(item?.productId, 100),
+      quantity,
+      unitPriceExVat: money(unit),
+      discountExVat: money(discount),
+      lineTotalExVat: money(unit * quantity - discount),
+    };
+  });
+
+  const lineSum = lines.reduce(
+    (sum, line) => sum + moneyToCents(line.unitPriceExVat) * line.quantity,
+    0,
+  );
+
+  const breakdown = order?.breakdown || {};
+  const treatment = order?.taxTreatment || {};
+  const subtotal = breakdown.itemTotal ? moneyValue(breakdown.itemTotal) : lineSum;
+  const discount = moneyValue(breakdown.discount);
+  const shipping = moneyValue(breakdown.shipping);
+  const vat = moneyValue(breakdown.taxTotal);
+  const total = order?.amount ? moneyValue(order.amount) : subtotal - discount + shipping + vat;
+
+  const vatRate = Number(treatment.vatRate);
+  const notes = [];
+
+  if (treatment.label) notes.push(clean(treatment.label, 300));
+  if (treatment.reason) notes.push(clean(treatment.reason, 500));
+  if (order?.coupon?.code) notes.push(`Coupon ${clean(order.coupon.code, 40)} applied.`);
+
+  return {
+    kind: 'INVOICE',
+    title: supplier.vatNumber ? 'Tax Invoice' : 'Invoice',
+    department: 'INTERNAL',
+    orderModel: 'Order',
+    order: order?._id,
+    orderRef: clean(order?.orderId || order?._id, 100),
+    orderDate: order?.createdAt || null,
+    currency: currency || 'USD',
+    supplier,
+    customer: internalCustomer(order),
+    lines,
+    totals: {
+      subtotalExVat: money(subtotal),
+      discountExVat: money(discount),
+      shipping: money(shipping),
+      vat: money(vat),
+      total: money(total),
+    },
+    vatRate: Number.isFinite(vatRate) && vatRate >= 0 && vatRate <= 1 ? vatRate : 0,
+    taxTreatment: {
+      treatmentCode: clean(treatment.treatmentCode, 100),
+      label: clean(treatment.label, 300),
+      destinationCountryCode: clean(treatment.destinationCountryCode, 2),
+      jurisdiction: clean(treatment.jurisdiction, 100),
+      reason: clean(treatment.reason, 500),
+    },
+    notes,
+  };
+}
+
+/**
+ * Invoice fields for a CjOrder. CJ prices are VAT-free, so VAT is always 0.
+ */
+function buildCjInvoice(order, { supplier = supplierFromEnv() } = {}) {
+  const address = order?.deliveryAddress || {};
+
+  const lines = (Array.isArray(order?.items) ? order.items : []).map((item) => {
+    const quantity = Math.max(1, Math.trunc(Number(item?.quantity || 1)));
+    const unit = moneyValue(item?.unitPrice || item?.unitPriceExVat);
+    const lineTotal = item?.lineTotal || item?.lineSubtotalExVat;
+
+    return {
+      description: [clean(item?.name, 300) || 'Item', clean(item?.variantName, 200)]
+        .filter(Boolean)
+        .join(' - '),
+      sku: clean(item?.variantSku, 100),
+      quantity,
+      unitPriceExVat: money(unit),
+      discountExVat: '0.00',
+      lineTotalExVat: money(lineTotal ? moneyValue(lineTotal) : unit * quantity),
+    };
+  });
+
+  const subtotal = moneyValue(order?.productTotal || order?.productSubtotalExVat);
+  const shipping = moneyValue(order?.shippingTotal);
+
+  return {
+    kind: 'INVOICE',
+    title: 'Invoice',
+    department: 'CJ',
+    orderModel: 'CjOrder',
+    order: order?._id,
+    orderRef: clean(order?.cjOrderNumber, 100),
+    orderDate: order?.paidAt || order?.createdAt || null,
+    currency: clean(order?.currency || order?.payableTotal?.currency, 3).toUpperCase() || 'USD',
+    supplier,
+    customer: {
+      name: [address.firstName, address.lastName]
+        .map((x) => clean(x, 100))
+        .filter(Boolean)
+        .join(' '),
+      email: clean(order?.customerEmail, 200),
+      vatNumber: clean(address.taxId, 50),
+      addressLines: [
+        address.companyName,
+        [address.houseNumber, address.addressLine1]
+          .map((x) => clean(x, 100))
+          .filter(Boolean)
+          .join(' '),
+        address.addressLine2,
+        address.suburb,
+        [address.city, address.province, address.postalCode]
+          .map((x) => clean(x, 100))
+          .filter(Boolean)
+          .join(', '),
+        address.countryCode,
+      ]
+        .map((line) => clean(line, 200))
+        .filter(Boolean),
+    },
+    lines,
+    totals: {
+      subtotalExVat: money(subtotal),
+      discountExVat: '0.00',
+      shipping: money(shipping),
+      vat: '0.00',
+      total: money(order?.payableTotal ? moneyValue(order.payableTotal) : subtotal + shipping),
+    },
+    vatRate: 0,
+    notes: [
+      `No VAT is charged by ${supplier.name} on this order.`,
+      'Import VAT, customs duties and carrier charges at the destination are not included.',
+    ],
+  };
+}
+
+/**
+ * Credit note fields for one refund against an issued invoice.
+ * The refunded (VAT-inclusive) amount is split with the invoice's VAT rate.
+ * `items` optionally lists returned lines: [{ name, quantity, variants }].
+ */
+function buildCreditNote(invoice, refund = {}, { reason = '', items = [] } = {}) {
+  const gross = Math.max(0, moneyValue(refund.amount));
+  const rate = Number(invoice?.vatRate || 0);
+  const vat = rate > 0 ? Math.round((gross * rate) / (1 + rate)) : 0;
+  const exVat = gross - vat;
+
+  const returned = (Array.isArray(items) ? items : [])
+    .filter((item) => item && item.name)
+    .map(
+      (item) =>
+        `${Math.max(1, Math.trunc(Number(item.quantity || 1)))} x ${clean(item.name, 200)}${variantSuffix(item.variants)}`,
+    );
+
+  const description = returned.length
+    ? `Returned: ${returned.join(', ')}`
+    : `Refund against invoice ${invoice?.number || ''}`.trim();
+
+  return {
+    kind: 'CREDIT_NOTE',
+    title: 'Credit Note',
+    department: invoice?.department,
+    orderModel: invoice?.orderModel,
+    order: invoice?.order,
+    orderRef: invoice?.orderRef || '',
+    orderDate: invoice?.orderDate || null,
+    invoice: invoice?._id || null,
+    invoiceNumber: invoice?.number || '',
+    refundId: clean(refund.refundId, 100),
+    reason: clean(reason || refund.reason, 500),
+    currency: clean(refund.currency || invoice?.currency, 3).toUpperCase() || invoice?.currency,
+    supplier: invoice?.supplier,
+    customer: invoice?.customer,
+    lines: [
+      {
+        description: clean(description, 1000),
+        sku: '',
+        quantity: 1,
+        unitPriceExVat: money(exVat),
+        discountExVat: '0.00',
+        lineTotalExVat: money(exVat),
+      },
+    ],
+    totals: {
+      subtotalExVat: money(exVat),
+      discountExVat: '0.00',
+      shipping: '0.00',
+      vat: money(vat),
+      total: money(gross),
+    },
+    vatRate: rate,
+    taxTreatment: invoice?.taxTreatment,
+    notes: [`Credits invoice ${invoice?.number || ''} for order ${invoice?.orderRef || ''}.`],
+  };
+}
+
+module.exports = {
+  formatDocumentNumber,
+  supplierFromEnv,
+  buildInternalInvoice,
+  buildCjInvoice,
+  buildCreditNote,
+};
@@ -0,0 +1,203 @@
+// utils/invoices/renderTaxDocumentPdf.js
+'use strict';
+
+const PDFDocument = require('pdfkit');
+
+const PAGE_MARGIN = 50;
+const BRAND_PURPLE = '#7C3AED';
+const MUTED = '#64748B';
+
+// Column layout for the line table (x offset, width, alignment).
+const COLUMNS = [
+  { key: 'description', label: 'Description', x: 0, width: 235, align: 'left' },
+  { key: 'quantity', label: 'Qty', x: 235, width: 40, align: 'right' },
+  { key: 'unitPriceExVat', label: 'Unit (excl. VAT)', x: 275, width: 80, align: 'right' },
+  { key: 'discountExVat', label: 'Discount', x: 355, width: 60, align: 'right' },
+  { key: 'lineTotalExVat', label: 'Total (excl. VAT)', x: 415, width: 80, align: 'right' },
+];
+
+function formatDate(value) {
+  const d = value ? new Date(value) : null;
+  return d && !Number.isNaN(d.getTime()) ? d.toISOString().slice(0, 10) : '';
+}
+
+function formatMoney(value, currency) {
+  return `${currency} ${String(value || '0.00')}`;
+}
+
+function partyBlock(pdf, heading, party, x, y, width) {
+  pdf.font('Helvetica-Bold').fontSize(9).fillColor(MUTED).text(heading, x, y, { width });
+  pdf
+    .font('Helvetica-Bold')
+    .fontSize(10)
+    .fillColor('#000')
+    .text(party?.name || '-', { width });
+  pdf.font('Helvetica').fontSize(9);
+
+  (party?.addressLines || []).forEach((line) => pdf.text(line, { width }));
+
+  if (party?.email) pdf.text(party.email, { width });
+  if (party?.vatNumber) pdf.text(`VAT No: ${party.vatNumber}`, { width });
+  if (party?.registrationNumber) pdf.text(`Reg No: ${party.registrationNumber}`, { width });
+
+  return pdf.y;
+}
+
+function tableHeader(pdf, left, y) {
+  pdf.rect(left, y, 495, 18).fill(BRAND_PURPLE);
+  pdf.font('Helvetica-Bold').fontSize(8).fillColor('#fff');
+
+  COLUMNS.forEach((col) => {
+    pdf.text(col.label, left + col.x + 4, y + 5, { width: col.width - 8, align: col.align });
+  });
+
+  pdf.fillColor('#000');
+  return y + 22;
+}
+
+/**
+ * Renders a TaxDocument (invoice or credit note) to a PDF Buffer.
+ * Only the frozen fields on the document are used.
+ */
+function renderTaxDocumentPdf(taxDocument) {
+  return new Promise((resolve, reject) => {
+    const doc = taxDocument || {};
+    const currency = doc.currency || '';
+    const pdf = new PDFDocument({
+      size: 'A4',
+      margin: PAGE_MARGIN,
+      info: {
+        Title: `${doc.title || 'Invoice'} ${doc.number || ''}`.trim(),
+        Author: doc.supplier?.name || '',
+      },
+    });
+
+    const chunks = [];
+    pdf.on('data', (chunk) => chunks.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+
+    const left = PAGE_MARGIN;
+    const bottom = pdf.page.height - PAGE_MARGIN;
+
+    // ---------- Heading ----------
+    pdf
+      .font('Helvetica-Bold')
+      .fontSize(20)
+      .fillColor(BRAND_PURPLE)
+      .text(String(doc.title || 'Invoice').toUpperCase(), left, PAGE_MARGIN);
+
+    const meta = [
+      ['Number', doc.number],
+      ['Date', formatDate(doc.issuedAt)],
+      ['Order', doc.orderRef],
+      ['Order date', formatDate(doc.orderDate)],
+    ];
+
+    if (doc.kind === 'CREDIT_NOTE') meta.push(['Invoice', doc.invoiceNumber]);
+
+    let metaY = PAGE_MARGIN;
+    meta
+      .filter(([, value]) => value)
+      .forEach(([label, value]) => {
+        pdf.font('Helvetica').fontSize(9).fillColor(MUTED).text(label, 345, metaY, { width: 70 });
+        pdf
+          .font('Helvetica-Bold')
+          .fillColor('#000')
+          .text(String(value), 415, metaY, { width: 130, align: 'right' });
+        metaY += 13;
+      });
+
+    // ---------- Parties ----------
+    const partiesTop = Math.max(metaY, PAGE_MARGIN + 30) + 16;
+    const fromBottom = partyBlock(pdf, 'FROM', doc.supplier, left, partiesTop, 230);
+    const toBottom = partyBlock(pdf, 'BILL TO', doc.customer, 315, partiesTop, 230);
+
+    // ---------- Lines ----------
+    let y = tableHeader(pdf, left, Math.max(fromBottom, toBottom) + 20);
+
+    (doc.lines || []).forEach((line) => {
+      pdf.font('Helvetica').fontSize(9);
+
+      const descriptionHeight = pdf.heightOfString(line.description || '', {
+        width: COLUMNS[0].width - 8,
+      });
+      const rowHeight = Math.max(14, descriptionHeight) + 6;
+
+      if (y + rowHeight > bottom - 120) {
+        pdf.addPage();
+        y = tableHeader(pdf, left, PAGE_MARGIN);
+        pdf.font('Helvetica').fontSize(9);
+      }
+
+      COLUMNS.forEach((col) => {
+        const raw = line[col.key];
+        const text =
+          col.key === 'description' || col.key === 'quantity'
+            ? String(raw ?? '')
+            : col.key === 'discountExVat' && String(raw) === '0.00'
+              ? '-'
+              : String(raw ?? '0.00');
+
+        pdf.text(text, left + col.x + 4, y, { width: col.width - 8, align: col.align });
+      });
+
+      y += rowHeight;
+      pdf
+        .moveTo(left, y - 3)
+        .lineTo(left + 495, y - 3)
+        .strokeColor('#E2E8F0')
+        .lineWidth(0.5)
+        .stroke();
+    });
+
+    // ---------- Totals ----------
+    const totals = doc.totals || {};
+    const vatLabel =
+      Number(doc.vatRate) > 0 ? `VAT (${Math.round(Number(doc.vatRate) * 10000) / 100}%)` : 'VAT';
+
+    const rows = [['Subtotal (excl. VAT)', totals.subtotalExVat]];
+    if (totals.discountExVat && totals.discountExVat !== '0.00') {
+      rows.push(['Discount (excl. VAT)', `-${totals.discountExVat}`]);
+    }
+    if (totals.shipping && totals.shipping !== '0.00') rows.push(['Shipping', totals.shipping]);
+    rows.push([vatLabel, totals.vat]);
+
+    y += 10;
+    rows.forEach(([label, value]) => {
+      pdf.font('Helvetica').fontSize(9).fillColor(MUTED).text(label, 315, y, { width: 130 });
+      pdf
+        .fillColor('#000')
+        .text(formatMoney(value, currency), 445, y, { width: 100, align: 'right' });
+      y += 14;
+    });
+
+    pdf.moveTo(315, y).lineTo(545, y).strokeColor(BRAND_PURPLE).lineWidth(1).stroke();
+    y += 6;
+
+    pdf
+      .font('Helvetica-Bold')
+      .fontSize(11)
+      .text(doc.kind === 'CREDIT_NOTE' ? 'Total credited' : 'Total', 315, y, { width: 130 });
+    pdf.text(formatMoney(totals.total, currency), 425, y, { width: 120, align: 'right' });
+    y += 28;
+
+    // ---------- Notes ----------
+    const notes = [...(doc.notes || [])];
+    if (doc.reason) notes.unshift(`Reason: ${doc.reason}`);
+
+    if (notes.length) {
+      pdf.font('Helvetica').fontSize(8).fillColor(MUTED);
+      notes.forEach((note) => {
+        pdf.text(note, left, y, { width: 495 });
+        y = pdf.y + 3;
+      });
+    }
+
+    pdf.end();
+  });
+}
+
+module.exports = {
+  renderTaxDocumentPdf,
+};
@@ -0,0 +1,277 @@
+// utils/invoices/taxDocumentService.js
+'use strict';
+
+const TaxDocument = require('../../models/TaxDocument');
+const DocumentSequence = require('../../models/DocumentSequence');
+
+const {
+  formatDocumentNumber,
+  buildInternalInvoice,
+  buildCjInvoice,
+  buildCreditNote,
+} = require('./buildTaxDocuments');
+
+const { renderTaxDocumentPdf } = require('./renderTaxDocumentPdf');
+
+const NUMBER_PREFIX = {
+  INVOICE: 'INV',
+  CREDIT_NOTE: 'CN',
+};
+
+const INTERNAL_INVOICEABLE_STATES = [
+  'COMPLETED',
+  'PAID',
+  'SHIPPED',
+  'DELIVERED',
+  'CAPTURED',
+  'REFUNDED',
+  'PARTIALLY_REFUNDED',
+];
+
+const CJ_INVOICEABLE_PAYMENT_STATES = ['COMPLETED', 'REFUNDED', 'PARTIALLY_REFUNDED'];
+
+function departmentOf(order) {
+  return order?.cjOrderNumber ? 'CJ' : 'INTERNAL';
+}
+
+function orderModelOf(order) {
+  return departmentOf(order) === 'CJ' ? 'CjOrder' : 'Order';
+}
+
+function isInvoiceable(order) {
+  if (!order?._id) return false;
+
+  if (departmentOf(order) === 'CJ') {
+    return CJ_INVOICEABLE_PAYMENT_STATES.includes(String(order.paymentStatus || '').toUpperCase());
+  }
+
+  const status = String(order.status || '').toUpperCase();
+  const paymentStatus = String(order.paymentStatus || '').toUpperCase();
+
+  return (
+    INTERNAL_INVOICEABLE_STATES.includes(status) ||
+    INTERNAL_INVOICEABLE_STATES.includes(paymentStatus)
+  );
+}
+
+// Same identity as the unique indexes: one invoice per order, one credit note per refund.
+function claimKeyOf(fields) {
+  return [
+    fields.orderModel,
+    String(fields.order),
+    fields.kind === 'CREDIT_NOTE' ? fields.refundId : '',
+  ]
+    .filter(Boolean)
+    .join(':');
+}
+
+// A claim this old belongs to a create that never finished (e.g. the
+// process died); nothing will settle it, so the sweep below does.
+const STALE_CLAIM_MS = 15 * 60 * 1000;
+
+async function releaseStaleClaims(kind) {
+  const row = await DocumentSequence.findById(kind).select('pending').lean();
+  const cutoff = Date.now() - STALE_CLAIM_MS;
+
+  for (const claim of row?.pending || []) {
+    if (claim.at && new Date(claim.at).getTime() > cutoff) continue;
+
+    const number = formatDocumentNumber(NUMBER_PREFIX[kind], claim.seq);
+    const used = await TaxDocument.exists({ number });
+    await DocumentSequence.settle(kind, claim.key, used ? null : claim.seq);
+  }
+}
+
+/**
+ * Saves a tax document under the next number without leaving gaps: a
+ * failed create or a lost race hands the number back for the next
+ * document, unless the winner saved it.
+ */
+async function issue(fields) {
+  await releaseStaleClaims(fields.kind);
+
+  const claimKey = claimKeyOf(fields);
+  const seq = await DocumentSequence.claim(fields.kind, claimKey);
+  const number = formatDocumentNumber(NUMBER_PREFIX[fields.kind], seq);
+
+  let doc;
+  try {
+    doc = await TaxDocument.create({ ...fields, number, issuedAt: new Date() });
+  } catch (err) {
+    // Lost race or failed create: the number goes back to the free list
+    // unless a document already carries it, so no claim is left hanging.
+    // If this cleanup fails too, the stale-claim sweep picks it up later.
+    try {
+      const used = await TaxDocument.exists({ number });
+      await DocumentSequence.settle(fields.kind, claimKey, used ? null : seq);
+    } catch (settleErr) {
+      console.error('❌ Could not release tax document number:', number, settleErr?.message);
+    }
+    throw err;
+  }
+
+  await DocumentSequence.settle(fields.kind, claimKey);
+  return doc;
+}
+
+/**
+ * Returns the order's invoice, issuing it the first time.
+ * Works for both Order and CjOrder; returns null for unpaid orders.
+ *
+ * A concurrent first call can lose the unique-index race; it then
+ * returns the winner's invoice.
+ */
+async function ensureInvoiceForOrder(order) {
+  if (!isInvoiceable(order)) return null;
+
+  const orderModel = orderModelOf(order);
+
+  const existing = await TaxDocument.findOne({ kind: 'INVOICE', orderModel, order: order._id });
+  if (existing) return existing;
+
+  const fields = orderModel === 'CjOrder' ? buildCjInvoice(order) : buildInternalInvoice(order);
+
+  try {
+    return await issue(fields);
+  } catch (err) {
+    if (err?.code !== 11000) throw err;
+
+    return TaxDocument.findOne({ kind: 'INVOICE', orderModel, order: order._id });
+  }
+}
+
+/**
+ * Issues one credit note per refund on the order that does not have one yet.
+ * Safe to call after every refund save; refunds without an id are skipped.
+ *
+ * options.reason / options.items describe the refund being recorded now
+ * (e.g. the RMA and the returned lines); with options.refundId they only
+ * apply to that refund.
+ */
+async function issueCreditNotesForOrder(
+  order,
+  { reason = '', items = [], refundId: target = '' } = {},
+) {
+  const refunds = (Array.isArray(order?.refunds) ? order.refunds : []).filter((refund) =>
+    String(refund?.refundId || '').trim(),
+  );
+
+  if (!refunds.length) return [];
+
+  const invoice = await ensureInvoiceForOrder(order);
+  if (!invoice) return [];
+
+  const existing = await TaxDocument.find({
+    kind: 'CREDIT_NOTE',
+    orderModel: invoice.orderModel,
+    order: invoice.order,
+  })
+    .select('refundId')
+    .lean();
+
+  const done = new Set(existing.map((doc) => doc.refundId));
+  const issued = [];
+
+  for (const refund of refunds) {
+    const refundId = String(refund.refundId).trim();
+    if (done.has(refundId)) continue;
+
+    // Internal refunds store amount/currency as strings, CJ refunds as Money.
+    const amount = refund.amount?.value ?? refund.amount;
+    const currency = refund.amount?.currency || refund.currency;
+
+    try {
+      const note = await issue(
+        buildCreditNote(
+          invoice,
+          { refundId, amount, currency, reason: refund.reason || '' },
+          !target || target === refundId ? { reason, items } : {},
+        ),
+      );
+
+      issued.push(note);
+      done.add(refundId);
+    } catch (err) {
+      if (err?.code !== 11000) throw err;
+    }
+  }
+
+  return issued;
+}
+
+/**
+ * Best-effort wrapper for payment and webhook paths: a failure to issue a
+ * document must never fail the refund itself.
+ */
+async function issueCreditNotesSafely(order, options = {}) {
+  try {
+    return await issueCreditNotesForOrder(order, options);
+  } catch (err) {
+    console.error('❌ Credit note issue failed:', {
+      order: String(order?.orderId || order?.cjOrderNumber || order?._id || ''),
+      message: err?.message || String(err),
+    });
+    return [];
+  }
+}
+
+async function ensureInvoiceSafely(order) {
+  try {
+    return await ensureInvoiceForOrder(order);
+  } catch (err) {
+    console.error('❌ Invoice issue failed:', {
+      order: String(order?.orderId || order?.cjOrderNumber || order?._id || ''),
+      message: err?.message || String(err),
+    });
+    return null;
+  }
+}
+
+async function listCreditNotesForOrder(order) {
+  if (!order?._id) return [];
+
+  return TaxDocument.find({
+    kind: 'CREDIT_NOTE',
+    orderModel: orderModelOf(order),
+    order: order._id,
+  })
+    .select('number issuedAt totals.total currency refundId')
+    .sort({ issuedAt: 1 })
+    .lean();
+}
+
+async function findCreditNoteForOrder(order, number) {
+  if (!order?._id) return null;
+
+  return TaxDocument.findOne({
+    kind: 'CREDIT_NOTE',
+    orderModel: orderModelOf(order),
+    order: order._id,
+    number: String(number || '').trim(),
+  }).lean();
+}
+
+async function sendTaxDocumentPdf(res, taxDocument, { inline = false } = {}) {
+  const buffer = await renderTaxDocumentPdf(taxDocument);
+  const filename = `${taxDocument.number}.pdf`;
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader(
+    'Content-Disposition',
+    `${inline ? 'inline' : 'attachment'}; filename="${filename}"`,
+  );
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  return res.send(buffer);
+}
+
+module.exports = {
+  isInvoiceable,
+  ensureInvoiceForOrder,
+  ensureInvoiceSafely,
+  issueCreditNotesForOrder,
+  issueCreditNotesSafely,
+  listCreditNotesForOrder,
+  findCreditNoteForOrder,
+  sendTaxDocumentPdf,
+};
@@ -8,7 +8,9 @@ async function logAdminAction(req, payload = {}) {
     const sessionAdmin = req?.admin || req?.session?.admin || null;
 
     await AdminAuditLog.create({
-      adminId: payload.adminId || sessionAdmin?._id || null,
+      // explicit null = not an admin actor (e.g. business 2FA events)
+      adminId:
+        payload.adminId === null ? null : payload.adminId || sessionAdmin?._id || null,
       adminIdentifier:
         String(
           payload.adminIdentifier ||
@@ -97,7 +97,7 @@ function assertEnvOrThrow() {
    SendGrid
 ====================================================== */
 
-async function sendWithSendgrid({ to, subject, text, html, replyTo }) {
+async function sendWithSendgrid({ to, subject, text, html, replyTo, headers }) {
   assertEnvOrThrow();
 
   const sgMail = require('@sendgrid/mail');
@@ -110,6 +110,7 @@ async function sendWithSendgrid({ to, subject, text, html, replyTo }) {
     text: text || '',
     html: html || '',
     ...(replyTo ? { replyTo } : {}),
+    ...(headers ? { headers } : {}),
   };
 
   try {
@@ -160,7 +161,7 @@ function buildSmtpTransporter() {
   });
 }
 
-async function sendWithSmtp({ to, subject, text, html, replyTo }) {
+async function sendWithSmtp({ to, subject, text, html, replyTo, headers }) {
   assertEnvOrThrow();
 
   if (!_smtpTransporter) {
@@ -174,6 +175,7 @@ async function sendWithSmtp({ to, subject, text, html, replyTo }) {
     text: text || '',
     html: html || '',
     ...(replyTo ? { replyTo } : {}),
+    ...(headers ? { headers } : {}),
   });
 
   // ✅ Useful logs for Render
@@ -0,0 +1,206 @@
+// utils/matching/autoMatch.js
+'use strict';
+
+const Demand = require('../../models/Demand');
+const DemandedProduct = require('../../models/DemandedProduct');
+const { tokenize } = require('./matchScoring');
+const { openDemandFilter } = require('./autoMatchPolicy');
+const {
+  demandOwnerId,
+  loadCandidate,
+  loadSuppliers,
+  upsertMatch,
+  runDemandMatching,
+} = require('./runDemandMatching');
+const { notifySafely } = require('../notify');
+
+/*
+ * Event-driven re-matching: product create/edit re-scores the product
+ * against every open demand, and a new demand is scored against the
+ * catalogue, so buyers hear about a fitting product listed after they
+ * posted. New matches notify both sides; existing ones are re-scored
+ * quietly. Routes only enqueue work, the response never waits for it.
+ */
+const DEMAND_LIMIT = 500;
+
+const DEMAND_MODELS = { Demand, DemandedProduct };
+
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Open demands related to the product by type, category or name; the
+ * reverse of findCandidateProducts().
+ */
+async function findOpenDemandsForProduct(candidate, now = new Date()) {
+  const or = [];
+
+  for (const value of [candidate.type, candidate.category]) {
+    const clean = String(value || '').trim();
+    if (!clean) continue;
+    const exact = new RegExp(`^${escapeRegex(clean)}$`, 'i');
+    or.push({ type: exact }, { productType: exact });
+  }
+
+  const tokens = [...tokenize(candidate.name, candidate.keywords || [])];
+  if (tokens.length) {
+    const anyToken = new RegExp(tokens.map(escapeRegex).join('|'), 'i');
+    or.push({ productName: anyToken }, { title: anyToken });
+  }
+
+  if (!or.length) return [];
+
+  const filter = { $and: [openDemandFilter(now), { $or: or }] };
+
+  const [demands, demandedProducts] = await Promise.all([
+    Demand.find(filter).limit(DEMAND_LIMIT).lean(),
+    DemandedProduct.find(filter).limit(DEMAND_LIMIT).lean(),
+  ]);
+
+  return [...demands, ...demandedProducts];
+}
+
+async function notifyNewMatch({ matchId, score, demand, buyerId, candidate, supplier }) {
+  const demandTitle = demand.title || demand.productName || demand.type || 'your demand';
+  const productName = candidate.name || 'A product';
+  const common = {
+    matchId,
+    demandId: demand._id,
+    productId: candidate._id,
+    supplierId: candidate.supplierId,
+  };
+
+  await notifySafely({
+    ...common,
+    recipientType: 'business',
+    recipientId: buyerId,
+    type: 'match.created',
+    title: `New match for "${demandTitle}"`,
+    message: `${productName}${supplier?.name ? ` from ${supplier.name}` : ''} scored ${score}/100.`,
+    link: `/matches/buyer?demand=${demand._id}`,
+    dedupeKey: `match.created:${matchId}:buyer`,
+  });
+
+  await notifySafely({
+    ...common,
+    recipientType: 'business',
+    recipientId: candidate.supplierId,
+    type: 'match.created',
+    title: `"${productName}" matches a buyer demand`,
+    message: `Demand: ${demandTitle}${demand.quantity ? ` (qty ${demand.quantity})` : ''}. Score ${score}/100.`,
+    link: '/matches/supplier',
+    dedupeKey: `match.created:${matchId}:supplier`,
+  });
+}
+
+/**
+ * Re-scores one Product / SupplierProduct against all open demands.
+ * Returns { created, updated, skipped }.
+ */
+async function rematchProduct(productModel, productId) {
+  const totals = { created: 0, updated: 0, skipped: 0 };
+
+  const candidate = await loadCandidate(productModel, productId);
+  // wholesale drafts and paused listings are not offered to buyers
+  if (!candidate || (productModel === 'SupplierProduct' && candidate.status !== 'active')) {
+    return totals;
+  }
+
+  const demands = await findOpenDemandsForProduct(candidate);
+  if (!demands.length) return totals;
+
+  const supplier = (await loadSuppliers([candidate])).get(String(candidate.supplierId)) || null;
+
+  for (const demand of demands) {
+    const buyerId = demandOwnerId(demand);
+    const result = buyerId
+      ? await upsertMatch({ demand, buyerId, candidate, supplier, source: 'auto' })
+      : null;
+
+    if (!result) {
+      totals.skipped++;
+    } else if (result.created) {
+      totals.created++;
+      await notifyNewMatch({ ...result, demand, buyerId, candidate, supplier });
+    } else {
+      totals.updated++;
+    }
+  }
+
+  return totals;
+}
+
+/**
+ * Scores a (new) demand against the catalogue when it is open for
+ * automatic matching. Returns { created, updated, skipped }.
+ */
+async function rematchDemand(demandModel, demandId) {
+  const Model = DEMAND_MODELS[demandModel];
+  const demand = Model
+    ? await Model.findOne({ $and: [{ _id: demandId }, openDemandFilter()] }).lean()
+    : null;
+
+  if (!demand || !demandOwnerId(demand)) return { created: 0, updated: 0, skipped: 0 };
+
+  const { createdMatches, ...totals } = await runDemandMatching(demand, { source: 'auto' });
+
+  for (const match of createdMatches) {
+    await notifyNewMatch(match);
+  }
+
+  return totals;
+}
+
+/* ---------------------------------------------
+ * In-process queue: one job at a time, the same
+ * product/demand is only queued once.
+ * ------------------------------------------- */
+const queue = new Map();
+let draining = false;
+
+async function drainQueue() {
+  if (draining) return;
+  draining = true;
+
+  try {
+    while (queue.size) {
+      const [key, job] = queue.entries().next().value;
+      queue.delete(key);
+
+      try {
+        await job();
+      } catch (err) {
+        console.error('[auto-match] job failed:', key, err?.message || err);
+      }
+    }
+  } finally {
+    draining = false;
+  }
+}
+
+function enqueue(key, job) {
+  if (!key || queue.has(key)) return;
+  queue.set(key, job);
+  setImmediate(() => {
+    drainQueue().catch((err) => console.error('[auto-match] queue failed:', err));
+  });
+}
+
+function queueProductRematch(productModel, productId) {
+  if (!productId) return;
+  enqueue(`${productModel}:${productId}`, () => rematchProduct(productModel, productId));
+}
+
+function queueDemandRematch(demandModel, demandId) {
+  if (!demandId) return;
+  enqueue(`${demandModel}:${demandId}`, () => rematchDemand(demandModel, demandId));
+}
+
+module.exports = {
+  findOpenDemandsForProduct,
+  rematchProduct,
+  rematchDemand,
+  queueProductRematch,
+  queueDemandRematch,
+};
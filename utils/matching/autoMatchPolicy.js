@@ -0,0 +1,57 @@
+// utils/matching/autoMatchPolicy.js
+'use strict';
+
+/*
+ * Which demands the automatic re-matcher still works for. A demand is
+ * re-evaluated while it is Open, the buyer has not opted out and its
+ * auto-match window has not expired. Demands saved before the window
+ * existed fall back to createdAt + AUTO_MATCH_DAYS.
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function autoMatchDays() {
+  const parsed = Number.parseInt(String(process.env.DEMAND_AUTO_MATCH_DAYS ?? '').trim(), 10);
+  return Number.isFinite(parsed) ? Math.max(1, Math.min(365, parsed)) : 30;
+}
+
+function autoMatchExpiry(from = new Date()) {
+  return new Date(new Date(from).getTime() + autoMatchDays() * DAY_MS);
+}
+
+function autoMatchExpiresAt(demand) {
+  if (demand?.autoMatchExpiresAt) return new Date(demand.autoMatchExpiresAt);
+  return demand?.createdAt ? autoMatchExpiry(demand.createdAt) : null;
+}
+
+function isOpenStatus(status) {
+  return /^open$/i.test(String(status || 'Open').trim());
+}
+
+function isAutoMatchOpen(demand, now = new Date()) {
+  if (!demand || demand.autoMatch === false || !isOpenStatus(demand.status)) return false;
+
+  const expiresAt = autoMatchExpiresAt(demand);
+  return !expiresAt || expiresAt > now;
+}
+
+/** Mongo filter equivalent of isAutoMatchOpen(). */
+function openDemandFilter(now = new Date()) {
+  const legacyCutoff = new Date(now.getTime() - autoMatchDays() * DAY_MS);
+
+  return {
+    status: { $in: [null, 'Open', 'open'] },
+    autoMatch: { $ne: false },
+    $or: [
+      { autoMatchExpiresAt: { $gt: now } },
+      { autoMatchExpiresAt: null, createdAt: { $gt: legacyCutoff } },
+    ],
+  };
+}
+
+module.exports = {
+  autoMatchDays,
+  autoMatchExpiry,
+  autoMatchExpiresAt,
+  isAutoMatchOpen,
+  openDemandFilter,
+};
@@ -0,0 +1,216 @@
+// utils/matching/autoRematchWorker.js
+'use strict';
+
+const Product = require('../../models/Product');
+const SupplierProduct = require('../../models/SupplierProduct');
+const Demand = require('../../models/Demand');
+const DemandedProduct = require('../../models/DemandedProduct');
+
+const { rematchProduct, rematchDemand } = require('./autoMatch');
+const { openDemandFilter } = require('./autoMatchPolicy');
+
+/*
+ * Routes enqueue re-matching as products and demands are saved. This
+ * sweep catches the changes that bypass those routes (wholesale
+ * imports, stock adjustments, scripts) by re-running everything
+ * touched since the previous sweep.
+ */
+let workerStarted = false;
+let workerRunning = false;
+let intervalHandle = null;
+let lastSweepAt = null;
+
+function booleanFromEnv(value, fallback = false) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+
+  const normalized = String(value).trim().toLowerCase();
+
+  if (['true', '1', 'yes', 'on'].includes(normalized)) {
+    return true;
+  }
+
+  if (['false', '0', 'no', 'off'].includes(normalized)) {
+    return false;
+  }
+
+  return fallback;
+}
+
+function boundedInteger(value, fallback, min, max) {
+  const parsed = Number.parseInt(String(value ?? '').trim(), 10);
+
+  if (!Number.isFinite(parsed)) {
+    return fallback;
+  }
+
+  return Math.max(min, Math.min(max, parsed));
+}
+
+function isEnabled() {
+  return booleanFromEnv(process.env.DEMAND_AUTO_MATCH_ENABLED, true);
+}
+
+function getIntervalMs() {
+  return boundedInteger(
+    process.env.DEMAND_AUTO_MATCH_INTERVAL_MS,
+    15 * 60 * 1000,
+    60 * 1000,
+    24 * 60 * 60 * 1000,
+  );
+}
+
+function getBatchLimit() {
+  return boundedInteger(process.env.DEMAND_AUTO_MATCH_BATCH_LIMIT, 200, 10, 2000);
+}
+
+async function runAutoRematch({
+  since = lastSweepAt,
+  limit = getBatchLimit(),
+  source = 'manual',
+} = {}) {
+  if (workerRunning) {
+    return {
+      ok: true,
+      skipped: true,
+      reason: 'AUTO_MATCH_ALREADY_RUNNING',
+      source,
+    };
+  }
+
+  workerRunning = true;
+
+  const startedAt = new Date();
+  const changedSince = since || new Date(startedAt.getTime() - getIntervalMs());
+
+  const result = {
+    ok: true,
+    source,
+    since: changedSince,
+    products: 0,
+    demands: 0,
+    created: 0,
+    updated: 0,
+    failed: 0,
+  };
+
+  const tally = (totals) => {
+    result.created += totals.created;
+    result.updated += totals.updated;
+  };
+
+  try {
+    const changed = { updatedAt: { $gt: changedSince } };
+
+    const [products, supplierProducts, demands, demandedProducts] = await Promise.all([
+      Product.find(changed).select('_id').sort({ updatedAt: 1 }).limit(limit).lean(),
+      SupplierProduct.find({ ...changed, status: 'active' })
+        .select('_id')
+        .sort({ updatedAt: 1 })
+        .limit(limit)
+        .lean(),
+      Demand.find({ $and: [changed, openDemandFilter(startedAt)] })
+        .select('_id')
+        .limit(limit)
+        .lean(),
+      DemandedProduct.find({ $and: [changed, openDemandFilter(startedAt)] })
+        .select('_id')
+        .limit(limit)
+        .lean(),
+    ]);
+
+    const jobs = [
+      ...products.map((p) => ['product', () => rematchProduct('Product', p._id)]),
+      ...supplierProducts.map((p) => ['product', () => rematchProduct('SupplierProduct', p._id)]),
+      ...demands.map((d) => ['demand', () => rematchDemand('Demand', d._id)]),
+      ...demandedProducts.map((d) => ['demand', () => rematchDemand('DemandedProduct', d._id)]),
+    ];
+
+    for (const [kind, job] of jobs) {
+      try {
+        tally(await job());
+        result[`${kind}s`] += 1;
+      } catch (error) {
+        result.failed += 1;
+        console.error(`[auto-match] ${kind} re-match failed:`, error?.message || error);
+      }
+    }
+
+    lastSweepAt = startedAt;
+
+    return result;
+  } finally {
+    workerRunning = false;
+  }
+}
+
+function startAutoRematchWorker() {
+  if (workerStarted) {
+    return {
+      ok: true,
+      started: false,
+      reason: 'AUTO_MATCH_WORKER_ALREADY_STARTED',
+    };
+  }
+
+  workerStarted = true;
+
+  if (!isEnabled()) {
+    console.log('[auto-match] Disabled. Set DEMAND_AUTO_MATCH_ENABLED=true to enable.');
+
+    return {
+      ok: true,
+      started: false,
+      reason: 'AUTO_MATCH_DISABLED',
+    };
+  }
+
+  const intervalMs = getIntervalMs();
+
+  console.log(`[auto-match] Worker enabled. Interval: ${intervalMs}ms`);
+
+  intervalHandle = setInterval(() => {
+    runAutoRematch({
+      source: 'interval',
+    })
+      .then((result) => {
+        if (result.created || result.failed) {
+          console.log('[auto-match] Interval result:', result);
+        }
+
+        return result;
+      })
+      .catch((error) => {
+        console.error('[auto-match] Interval failed:', error?.stack || error);
+
+        return null;
+      });
+  }, intervalMs);
+
+  return {
+    ok: true,
+    started: true,
+    intervalMs,
+  };
+}
+
+function stopAutoRematchWorker() {
+  if (intervalHandle) {
+    clearInterval(intervalHandle);
+    intervalHandle = null;
+  }
+
+  workerStarted = false;
+
+  return {
+    ok: true,
+    stopped: true,
+  };
+}
+
+module.exports = {
+  runAutoRematch,
+  startAutoRematchWorker,
+  stopAutoRematchWorker,
+};
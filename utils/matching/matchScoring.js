@@ -0,0 +1,241 @@
+// utils/matching/matchScoring.js
+'use strict';
+
+const COUNTRIES = require('../countries');
+
+/*
+ * Weighted demand ↔ product scoring. Each factor yields 0..1, is
+ * multiplied by its weight and the weights add up to 100, so the total
+ * is a 0–100 score. The per-factor breakdown is stored on the match so
+ * buyers can see why it ranked where it did.
+ */
+const MATCH_WEIGHTS = Object.freeze({
+  type: 30,
+  keywords: 20,
+  price: 20,
+  quality: 10,
+  stock: 10,
+  distance: 10,
+});
+
+const FACTOR_LABELS = Object.freeze({
+  type: 'Type / category',
+  keywords: 'Keywords',
+  price: 'Price vs target',
+  quality: 'Quality',
+  stock: 'Stock vs quantity',
+  distance: 'Distance',
+});
+
+// Matches below this are not worth a supplier's attention.
+const MIN_MATCH_SCORE = 40;
+
+const STOPWORDS = new Set(
+  'a an and for in of on or the to with need needed want looking buy bulk units unit pcs'.split(
+    ' ',
+  ),
+);
+
+const QUALITY_TIERS = ['low', 'basic', 'standard', 'good', 'high', 'premium'];
+
+const COUNTRY_CODE_BY_NAME = new Map(COUNTRIES.map((c) => [c.name.toLowerCase(), c.code]));
+
+function norm(value) {
+  return String(value || '')
+    .trim()
+    .toLowerCase();
+}
+
+function tokenize(...values) {
+  const tokens = new Set();
+
+  for (const value of values.flat()) {
+    for (const raw of norm(value).split(/[^a-z0-9]+/)) {
+      // crude singular form so "shoes" meets "shoe"
+      const token = raw.length > 3 && raw.endsWith('s') ? raw.slice(0, -1) : raw;
+      if (token.length >= 2 && !STOPWORDS.has(token)) tokens.add(token);
+    }
+  }
+
+  return tokens;
+}
+
+function overlapRatio(wanted, offered) {
+  if (!wanted.size) return 0;
+  let hits = 0;
+  for (const t of wanted) if (offered.has(t)) hits += 1;
+  return hits / wanted.size;
+}
+
+function clamp01(n) {
+  return Math.max(0, Math.min(1, n));
+}
+
+function countryCode(value) {
+  const v = norm(value);
+  if (!v) return '';
+  if (v.length === 2) return v.toUpperCase();
+  return COUNTRY_CODE_BY_NAME.get(v) || v.toUpperCase();
+}
+
+function demandType(demand) {
+  return norm(demand?.productType || demand?.type);
+}
+
+/* ---------------------------------------------
+ * Factors: each returns { score: 0..1, detail }
+ * ------------------------------------------- */
+function scoreType(demand, product) {
+  const wanted = demandType(demand);
+  const type = norm(product?.type);
+  const category = norm(product?.category);
+
+  if (!wanted) return { score: 0, detail: 'Demand has no type' };
+  if (type && type === wanted) return { score: 1, detail: `Same type "${product.type}"` };
+  if (category && category === wanted) {
+    return { score: 0.8, detail: `Category "${product.category}" matches the demanded type` };
+  }
+
+  const ratio = overlapRatio(tokenize(wanted), tokenize(type, category));
+  return {
+    score: ratio * 0.6,
+    detail: ratio ? 'Type partly overlaps' : 'Different type',
+  };
+}
+
+function scoreKeywords(demand, product) {
+  const wanted = tokenize(demand?.title, demand?.productName, demand?.notes);
+  if (!wanted.size) return { score: 0, detail: 'No demand keywords to compare' };
+
+  const offered = tokenize(
+    product?.name,
+    product?.description,
+    product?.keywords || [],
+    product?.category,
+    product?.type,
+  );
+  const ratio = overlapRatio(wanted, offered);
+
+  return {
+    score: ratio,
+    detail: `${Math.round(ratio * wanted.size)} of ${wanted.size} keyword(s) found`,
+  };
+}
+
+function scorePrice(demand, product) {
+  const target = Number(demand?.targetPrice);
+  const price = Number(product?.price);
+
+  if (!(target > 0) || !Number.isFinite(price)) {
+    return { score: 0.5, detail: 'No target price to compare' };
+  }
+
+  if (price <= target) return { score: 1, detail: `${price} is within target ${target}` };
+
+  // linear fall-off: 0 at double the target
+  const over = (price - target) / target;
+  return {
+    score: clamp01(1 - over),
+    detail: `${Math.round(over * 100)}% above target ${target}`,
+  };
+}
+
+function scoreQuality(demand, product) {
+  const wanted = norm(demand?.quality);
+  const offered = norm(product?.quality);
+
+  if (!wanted) return { score: 0.5, detail: 'No quality requirement' };
+  if (!offered) return { score: 0.3, detail: 'Product quality not stated' };
+  if (wanted === offered) return { score: 1, detail: `Quality "${product.quality}"` };
+
+  const wantedTier = QUALITY_TIERS.indexOf(wanted);
+  const offeredTier = QUALITY_TIERS.indexOf(offered);
+
+  if (wantedTier !== -1 && offeredTier !== -1) {
+    if (offeredTier >= wantedTier)
+      return { score: 1, detail: `"${product.quality}" meets "${demand.quality}"` };
+    return {
+      score: offeredTier === wantedTier - 1 ? 0.5 : 0,
+      detail: `"${product.quality}" is below "${demand.quality}"`,
+    };
+  }
+
+  const ratio = overlapRatio(tokenize(wanted), tokenize(offered));
+  return { score: ratio, detail: ratio ? 'Quality partly matches' : 'Different quality' };
+}
+
+function scoreStock(demand, product) {
+  const stock = Math.max(0, Number(product?.stock || 0));
+  const quantity = Math.max(0, Number(demand?.quantity || 0));
+
+  if (!quantity) return { score: stock > 0 ? 1 : 0, detail: `${stock} in stock` };
+
+  return {
+    score: clamp01(stock / quantity),
+    detail: `${stock} in stock for ${quantity} requested`,
+  };
+}
+
+function scoreDistance(demand, supplier) {
+  const dCountry = countryCode(demand?.country);
+  const sCountry = countryCode(supplier?.countryCode || supplier?.country);
+
+  if (!dCountry || !sCountry) return { score: 0.3, detail: 'Location unknown' };
+  if (dCountry !== sCountry)
+    return { score: 0, detail: `Supplier in ${sCountry}, demand in ${dCountry}` };
+
+  const dProvince = norm(demand?.province);
+  const sProvince = norm(supplier?.state);
+  const sameProvince = dProvince && sProvince && dProvince === sProvince;
+
+  if (sameProvince && norm(demand?.city) && norm(demand.city) === norm(supplier?.city)) {
+    return { score: 1, detail: `Same city (${supplier.city})` };
+  }
+  if (sameProvince) return { score: 0.8, detail: `Same province (${supplier.state})` };
+
+  return { score: 0.6, detail: `Same country (${sCountry})` };
+}
+
+/**
+ * Scores a product (and its supplier business) against a demand.
+ * Returns { score: 0–100, breakdown: [{ factor, label, weight, points, detail }] }.
+ */
+function scoreMatch({ demand, product, supplier = null }) {
+  const factors = {
+    type: scoreType(demand, product),
+    keywords: scoreKeywords(demand, product),
+    price: scorePrice(demand, product),
+    quality: scoreQuality(demand, product),
+    stock: scoreStock(demand, product),
+    distance: scoreDistance(demand, supplier),
+  };
+
+  const breakdown = Object.entries(MATCH_WEIGHTS).map(([factor, weight]) => ({
+    factor,
+    label: FACTOR_LABELS[factor],
+    weight,
+    points: Math.round(clamp01(factors[factor].score) * weight * 10) / 10,
+    detail: factors[factor].detail,
+  }));
+
+  const score = Math.round(breakdown.reduce((sum, f) => sum + f.points, 0));
+
+  return { score, breakdown };
+}
+
+/**
+ * Only products that are at least related by type or keywords are worth
+ * scoring; everything else would be noise in the candidate list.
+ */
+function isRelevantCandidate(breakdown) {
+  const points = Object.fromEntries(breakdown.map((f) => [f.factor, f.points]));
+  return points.type > 0 || points.keywords >= MATCH_WEIGHTS.keywords / 2;
+}
+
+module.exports = {
+  MATCH_WEIGHTS,
+  MIN_MATCH_SCORE,
+  tokenize,
+  scoreMatch,
+  isRelevantCandidate,
+};
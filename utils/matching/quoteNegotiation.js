@@ -0,0 +1,235 @@
+// utils/matching/quoteNegotiation.js
+'use strict';
+
+/*
+ * Request-for-quote loop on a MatchedDemand. The supplier quotes, the
+ * buyer counters or accepts, the supplier may accept a counter or send
+ * a revised quote, and either side can decline. Every step is appended
+ * to match.quotes as a revision; nothing is ever edited in place.
+ *
+ * These helpers only touch the in-memory match; saving it (and turning
+ * an accepted quote into a SupplyRequest) is up to the caller.
+ */
+const SHIPPING_TERMS = Object.freeze({
+  EXW: 'Ex works (buyer collects)',
+  FCA: 'Free carrier',
+  FOB: 'Free on board',
+  CIF: 'Cost, insurance and freight',
+  DAP: 'Delivered at place',
+  DDP: 'Delivered duty paid',
+});
+
+const QUOTE_STATUSES = ['none', 'awaiting_buyer', 'awaiting_supplier', 'accepted', 'declined'];
+const QUOTE_SIDES = ['supplier', 'buyer'];
+const QUOTE_ACTIONS = ['quote', 'counter', 'accept', 'decline'];
+
+const MAX_LEAD_TIME_DAYS = 365;
+
+function quoteError(message, code, status = 400) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+function roundMoney(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+// "YYYY-MM-DD" from a date input means the end of that day (UTC).
+function parseValidUntil(value) {
+  const raw = String(value || '').trim();
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(raw) ? new Date(`${raw}T23:59:59.999Z`) : new Date(raw);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Validates quote terms from a form. Blank fields fall back to `base`
+ * (the offer being countered); without a base every field is required.
+ */
+function parseQuoteTerms(input = {}, { base = null, now = new Date() } = {}) {
+  const pick = (field) => (isBlank(input[field]) ? base?.[field] : input[field]);
+
+  const unitPrice = Number(pick('unitPrice'));
+  if (!Number.isFinite(unitPrice) || unitPrice <= 0) {
+    throw quoteError('Enter a unit price above zero.', 'INVALID_UNIT_PRICE');
+  }
+
+  const quantity = Number(pick('quantity'));
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw quoteError('Quantity must be a whole number of at least 1.', 'INVALID_QUANTITY');
+  }
+
+  const leadTimeDays = Number(pick('leadTimeDays'));
+  if (!Number.isInteger(leadTimeDays) || leadTimeDays < 0 || leadTimeDays > MAX_LEAD_TIME_DAYS) {
+    throw quoteError(
+      `Lead time must be between 0 and ${MAX_LEAD_TIME_DAYS} days.`,
+      'INVALID_LEAD_TIME',
+    );
+  }
+
+  const rawValidUntil = pick('validUntil');
+  const validUntil = rawValidUntil instanceof Date ? rawValidUntil : parseValidUntil(rawValidUntil);
+  if (!validUntil || validUntil <= now) {
+    throw quoteError('The quote must be valid until a future date.', 'INVALID_VALID_UNTIL');
+  }
+
+  const shippingTerms = String(pick('shippingTerms') || '')
+    .trim()
+    .toUpperCase();
+  if (!SHIPPING_TERMS[shippingTerms]) {
+    throw quoteError('Choose the shipping terms.', 'INVALID_SHIPPING_TERMS');
+  }
+
+  return {
+    unitPrice: roundMoney(unitPrice),
+    quantity,
+    total: roundMoney(unitPrice * quantity),
+    leadTimeDays,
+    validUntil,
+    shippingTerms,
+  };
+}
+
+function quoteHistory(match) {
+  return Array.isArray(match?.quotes) ? match.quotes : [];
+}
+
+// The offer currently on the table: the last quote or counter.
+function latestOffer(match) {
+  const history = quoteHistory(match);
+  for (let i = history.length - 1; i >= 0; i -= 1) {
+    if (['quote', 'counter'].includes(history[i].action)) return history[i];
+  }
+  return null;
+}
+
+function isOfferExpired(offer, now = new Date()) {
+  return !offer?.validUntil || new Date(offer.validUntil) <= now;
+}
+
+/** What `side` may do next on this match. */
+function allowedQuoteActions(match, side, now = new Date()) {
+  if (match?.status === 'rejected') return [];
+
+  const status = match?.quoteStatus || 'none';
+  const expired = isOfferExpired(latestOffer(match), now);
+
+  if (side === 'supplier') {
+    if (status === 'none') return ['quote'];
+    if (status === 'awaiting_buyer') return ['quote', 'decline'];
+    if (status === 'awaiting_supplier') {
+      return expired ? ['quote', 'decline'] : ['quote', 'accept', 'decline'];
+    }
+  }
+
+  if (side === 'buyer') {
+    if (status === 'awaiting_buyer') {
+      return expired ? ['decline'] : ['counter', 'accept', 'decline'];
+    }
+    if (status === 'awaiting_supplier') return ['counter', 'decline'];
+  }
+
+  return [];
+}
+
+/**
+ * Applies one negotiation step to `match` and returns the new revision.
+ * `expectedRevision` (the revision count the form was rendered with)
+ * rejects actions taken on a stale view of the negotiation.
+ */
+function applyQuoteAction(
+  match,
+  { side, action, input = {}, supplierProduct = null, expectedRevision, now = new Date() },
+) {
+  if (!QUOTE_SIDES.includes(side) || !QUOTE_ACTIONS.includes(action)) {
+    throw quoteError('Unknown quote action.', 'INVALID_ACTION');
+  }
+
+  const history = quoteHistory(match);
+
+  if (!isBlank(expectedRevision) && Number(expectedRevision) !== history.length) {
+    throw quoteError(
+      'The quote changed while you were viewing it. Review the latest version.',
+      'STALE_QUOTE',
+      409,
+    );
+  }
+
+  if (!allowedQuoteActions(match, side, now).includes(action)) {
+    const offer = latestOffer(match);
+    if (action === 'accept' && offer && isOfferExpired(offer, now)) {
+      throw quoteError('This quote has expired and can no longer be accepted.', 'QUOTE_EXPIRED');
+    }
+    throw quoteError('That action is not available on this quote.', 'ACTION_NOT_ALLOWED', 409);
+  }
+
+  const offer = latestOffer(match);
+  const message = String(input.message || '')
+    .trim()
+    .slice(0, 1000);
+
+  let terms = {};
+  let nextStatus;
+
+  if (action === 'quote') {
+    if (!supplierProduct) {
+      throw quoteError(
+        'Choose the wholesale listing you are quoting.',
+        'SUPPLIER_PRODUCT_REQUIRED',
+      );
+    }
+    terms = { ...parseQuoteTerms(input, { now }), supplierProduct };
+    nextStatus = 'awaiting_buyer';
+  } else if (action === 'counter') {
+    terms = {
+      ...parseQuoteTerms(input, { base: offer, now }),
+      supplierProduct: offer.supplierProduct,
+    };
+    nextStatus = 'awaiting_supplier';
+  } else if (action === 'accept') {
+    terms = {
+      unitPrice: offer.unitPrice,
+      quantity: offer.quantity,
+      total: offer.total,
+      leadTimeDays: offer.leadTimeDays,
+      validUntil: offer.validUntil,
+      shippingTerms: offer.shippingTerms,
+      supplierProduct: offer.supplierProduct,
+    };
+    nextStatus = 'accepted';
+  } else {
+    nextStatus = 'declined';
+  }
+
+  const revision = {
+    revision: history.length + 1,
+    side,
+    action,
+    ...terms,
+    message,
+    createdAt: now,
+  };
+
+  if (!Array.isArray(match.quotes)) match.quotes = [];
+  match.quotes.push(revision);
+  match.quoteStatus = nextStatus;
+
+  return revision;
+}
+
+module.exports = {
+  SHIPPING_TERMS,
+  QUOTE_STATUSES,
+  QUOTE_SIDES,
+  QUOTE_ACTIONS,
+  parseQuoteTerms,
+  latestOffer,
+  isOfferExpired,
+  allowedQuoteActions,
+  applyQuoteAction,
+};
@@ -0,0 +1,193 @@
+// utils/matching/quoteService.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const MatchedDemand = require('../../models/MatchedDemand');
+const SupplierProduct = require('../../models/SupplierProduct');
+const SupplyRequest = require('../../models/SupplyRequest');
+const Business = require('../../models/Business');
+const { notifySafely } = require('../notify');
+const { SHIPPING_TERMS, applyQuoteAction } = require('./quoteNegotiation');
+
+const NOTIFY_TYPE_BY_ACTION = {
+  quote: 'quote.submitted',
+  counter: 'quote.countered',
+  accept: 'quote.accepted',
+  decline: 'quote.declined',
+};
+
+function quoteError(message, code, status = 400) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+function sideFor(match, businessId) {
+  const id = String(businessId || '');
+  if (String(match.supplierId?._id || match.supplierId) === id) return 'supplier';
+  if (String(match.buyerId?._id || match.buyerId) === id) return 'buyer';
+  return null;
+}
+
+/** Returns { match, side } for the buyer or supplier on the match, or null. */
+async function loadMatchForBusiness(matchId, businessId, { lean = false } = {}) {
+  if (!mongoose.isValidObjectId(matchId)) return null;
+
+  const query = MatchedDemand.findById(matchId);
+  const match = lean ? await query.lean() : await query;
+  const side = match ? sideFor(match, businessId) : null;
+
+  return side ? { match, side } : null;
+}
+
+// Active wholesale listings the supplier can quote from.
+async function quoteableSupplierProducts(supplierId) {
+  return SupplierProduct.find({ supplier: supplierId, status: 'active' })
+    .select('name wholesalePrice availableQuantity minimumOrderQuantity unit')
+    .sort({ name: 1 })
+    .lean();
+}
+
+function describeTerms(revision) {
+  return [
+    `${revision.quantity} unit(s) at ${revision.unitPrice.toFixed(2)} (total ${revision.total.toFixed(2)})`,
+    `${SHIPPING_TERMS[revision.shippingTerms] || revision.shippingTerms}`,
+    `lead time ${revision.leadTimeDays} day(s)`,
+  ].join(', ');
+}
+
+/**
+ * The accepted terms become an approved SupplyRequest, so the buyer can
+ * import the stock at the agreed unit price. The unique matchId index
+ * stops a second conversion of the same match.
+ */
+async function buildSupplyRequestFromQuote(match, revision) {
+  const buyer = await Business.findById(match.buyerId)
+    .select('name email phone country city')
+    .lean();
+
+  return new SupplyRequest({
+    seller: match.buyerId,
+    supplier: match.supplierId,
+    supplierProduct: revision.supplierProduct,
+    requestedQuantity: revision.quantity,
+    unitPrice: revision.unitPrice,
+    leadTimeDays: revision.leadTimeDays,
+    matchId: match._id,
+    quoteRevision: revision.revision,
+    message: `Agreed by quote (revision ${revision.revision}): ${describeTerms(revision)}.`,
+    contactName: buyer?.name || '',
+    contactEmail: buyer?.email || '',
+    contactPhone: buyer?.phone || '',
+    deliveryCountry: buyer?.country || '',
+    deliveryCity: buyer?.city || '',
+    status: 'approved',
+    supplierResponse: revision.message || 'Quote accepted.',
+    approvedAt: revision.createdAt,
+  });
+}
+
+async function notifyCounterparty(match, side, revision) {
+  const recipientId = side === 'supplier' ? match.buyerId : match.supplierId;
+  const productName = match.snapshot?.productName || 'your match';
+  const who = side === 'supplier' ? 'The supplier' : 'The buyer';
+
+  const titles = {
+    quote: `New quote for ${productName}`,
+    counter: `${who} countered your quote for ${productName}`,
+    accept: `${who} accepted the quote for ${productName}`,
+    decline: `${who} declined the quote for ${productName}`,
+  };
+
+  await notifySafely({
+    recipientType: 'business',
+    recipientId,
+    type: NOTIFY_TYPE_BY_ACTION[revision.action],
+    title: titles[revision.action],
+    message: revision.unitPrice ? describeTerms(revision) : revision.message,
+    link: `/matches/${match._id}/quote`,
+    matchId: match._id,
+    demandId: match.demandId,
+    productId: match.productId,
+    supplierId: match.supplierId,
+    dedupeKey: `quote.${revision.action}:${match._id}:${revision.revision}`,
+  });
+}
+
+/**
+ * Runs one negotiation step for `business` on the match.
+ * Returns { match, side, revision, supplyRequest }.
+ */
+async function submitQuoteAction({ matchId, business, action, body = {} }) {
+  const loaded = await loadMatchForBusiness(matchId, business?._id);
+  if (!loaded) throw quoteError('Match not found.', 'MATCH_NOT_FOUND', 404);
+
+  const { match, side } = loaded;
+  let supplierProduct = null;
+
+  if (action === 'quote' && side === 'supplier') {
+    const listing = mongoose.isValidObjectId(body.supplierProductId)
+      ? await SupplierProduct.exists({
+          _id: body.supplierProductId,
+          supplier: business._id,
+          status: 'active',
+        })
+      : null;
+    supplierProduct = listing?._id || null;
+  }
+
+  const revision = applyQuoteAction(match, {
+    side,
+    action,
+    input: body,
+    supplierProduct,
+    expectedRevision: body.revision,
+  });
+
+  let supplyRequest = null;
+
+  if (revision.action === 'accept') {
+    supplyRequest = await buildSupplyRequestFromQuote(match, revision);
+    match.status = 'accepted';
+    match.supplyRequestId = supplyRequest._id;
+
+    try {
+      await supplyRequest.save();
+    } catch (err) {
+      if (err?.code === 11000) {
+        throw quoteError('This quote was already accepted.', 'ALREADY_CONVERTED', 409);
+      }
+      throw err;
+    }
+  }
+
+  // version check: the other side may have acted in the meantime
+  match.increment();
+
+  try {
+    await match.save();
+  } catch (err) {
+    if (supplyRequest) await SupplyRequest.deleteOne({ _id: supplyRequest._id }).catch(() => {});
+
+    if (err instanceof mongoose.Error.VersionError) {
+      throw quoteError(
+        'The quote changed while you were viewing it. Review the latest version.',
+        'STALE_QUOTE',
+        409,
+      );
+    }
+    throw err;
+  }
+
+  await notifyCounterparty(match, side, revision);
+
+  return { match, side, revision, supplyRequest };
+}
+
+module.exports = {
+  loadMatchForBusiness,
+  quoteableSupplierProducts,
+  submitQuoteAction,
+};
@@ -0,0 +1,199 @@
+// utils/matching/runDemandMatching.js
+'use strict';
+
+const MatchedDemand = require('../../models/MatchedDemand');
+const Product = require('../../models/Product');
+const SupplierProduct = require('../../models/SupplierProduct');
+const Business = require('../../models/Business');
+const { MIN_MATCH_SCORE, tokenize, scoreMatch, isRelevantCandidate } = require('./matchScoring');
+
+const CANDIDATE_LIMIT = 1000;
+
+const PRODUCT_FIELDS =
+  'name description type category keywords quality price stock business businessId';
+const SUPPLIER_PRODUCT_FIELDS =
+  'name description type category keywords quality wholesalePrice availableQuantity supplier supplyLocation';
+
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function demandLocation(demand) {
+  return (
+    demand.location ||
+    [demand.country, demand.province, demand.city, demand.town].filter(Boolean).join(', ')
+  );
+}
+
+function demandOwnerId(demand) {
+  return demand?.buyerId || demand?.business || null;
+}
+
+/**
+ * Retail products and wholesale supplier products share one shape for
+ * scoring: { productModel, _id, price, stock, supplierId, ... }.
+ */
+function toCandidate(doc, productModel) {
+  if (productModel === 'SupplierProduct') {
+    return {
+      ...doc,
+      productModel,
+      price: doc.wholesalePrice,
+      stock: doc.availableQuantity,
+      supplierId: doc.supplier || null,
+    };
+  }
+
+  // tolerate both field names
+  return { ...doc, productModel: 'Product', supplierId: doc.business || doc.businessId || null };
+}
+
+/**
+ * Retail and active wholesale products related to the demand by type,
+ * category or keyword. Scoring then decides which of them are good
+ * enough to become matches.
+ */
+async function findCandidateProducts(demand) {
+  const type = String(demand.productType || demand.type || '').trim();
+  const tokens = [...tokenize(demand.title, demand.productName, type)];
+
+  const or = [];
+
+  if (type) {
+    const exact = new RegExp(`^${escapeRegex(type)}$`, 'i');
+    or.push({ type: exact }, { category: exact });
+  }
+
+  if (tokens.length) {
+    or.push({ keywords: { $in: tokens } });
+    or.push({ name: new RegExp(tokens.map(escapeRegex).join('|'), 'i') });
+  }
+
+  if (!or.length) return [];
+
+  const [products, supplierProducts] = await Promise.all([
+    Product.find({ $or: or }).select(PRODUCT_FIELDS).limit(CANDIDATE_LIMIT).lean(),
+    SupplierProduct.find({ status: 'active', $or: or })
+      .select(SUPPLIER_PRODUCT_FIELDS)
+      .limit(CANDIDATE_LIMIT)
+      .lean(),
+  ]);
+
+  return [
+    ...products.map((p) => toCandidate(p, 'Product')),
+    ...supplierProducts.map((p) => toCandidate(p, 'SupplierProduct')),
+  ];
+}
+
+async function loadCandidate(productModel, productId) {
+  const Model = productModel === 'SupplierProduct' ? SupplierProduct : Product;
+  const fields = productModel === 'SupplierProduct' ? SUPPLIER_PRODUCT_FIELDS : PRODUCT_FIELDS;
+
+  const doc = await Model.findById(productId).select(`${fields} status`).lean();
+  return doc ? toCandidate(doc, productModel) : null;
+}
+
+async function loadSuppliers(candidates) {
+  const supplierIds = [
+    ...new Set(candidates.map((c) => String(c.supplierId || '')).filter(Boolean)),
+  ];
+  const suppliers = await Business.find({ _id: { $in: supplierIds } })
+    .select('name email country countryCode state city')
+    .lean();
+  return new Map(suppliers.map((s) => [String(s._id), s]));
+}
+
+/**
+ * Scores one demand/product pair and upserts its MatchedDemand (status
+ * stays as the supplier left it). Returns null when the pair does not
+ * clear MIN_MATCH_SCORE, otherwise { created, matchId, score }.
+ */
+async function upsertMatch({ demand, buyerId, candidate, supplier, source = 'manual' }) {
+  const supplierId = candidate.supplierId;
+  if (!supplierId || String(supplierId) === String(buyerId)) return null;
+
+  const { score, breakdown } = scoreMatch({ demand, product: candidate, supplier });
+  if (score < MIN_MATCH_SCORE || !isRelevantCandidate(breakdown)) return null;
+
+  // wholesale listings carry their own supply location
+  const location = candidate.supplyLocation?.country
+    ? [candidate.supplyLocation.city, candidate.supplyLocation.country]
+    : [supplier?.city, supplier?.state, supplier?.countryCode || supplier?.country];
+
+  const snapshot = {
+    demandTitle: demand.title || demand.productName || demand.type || demand.productType,
+    demandQuantity: demand.quantity,
+    demandLocation: demandLocation(demand),
+    productName: candidate.name,
+    productType: candidate.type,
+    productPrice: candidate.price,
+    productLocation: location.filter(Boolean).join(', '),
+    scoreBreakdown: breakdown,
+    scoredAt: new Date(),
+  };
+
+  const resUpsert = await MatchedDemand.updateOne(
+    { demandId: demand._id, productId: candidate._id },
+    {
+      $set: {
+        demandId: demand._id,
+        buyerId,
+        supplierId,
+        productId: candidate._id,
+        productModel: candidate.productModel,
+        score,
+        snapshot,
+      },
+      $setOnInsert: { status: 'pending', source },
+    },
+    { upsert: true },
+  );
+
+  // count inserts reliably across Mongoose versions
+  const created = Boolean(resUpsert.upsertedId || resUpsert.upsertedCount > 0);
+
+  return { created, matchId: resUpsert.upsertedId || null, score };
+}
+
+/**
+ * Scores every candidate product against `demand` and upserts a
+ * MatchedDemand for those that clear MIN_MATCH_SCORE.
+ * Returns { created, updated, skipped, createdMatches }.
+ */
+async function runDemandMatching(
+  demand,
+  { buyerId = demandOwnerId(demand), source = 'manual' } = {},
+) {
+  const candidates = await findCandidateProducts(demand);
+  const supplierById = await loadSuppliers(candidates);
+
+  let created = 0;
+  let updated = 0;
+  let skipped = 0;
+  const createdMatches = [];
+
+  for (const candidate of candidates) {
+    const supplier = supplierById.get(String(candidate.supplierId || '')) || null;
+    const result = await upsertMatch({ demand, buyerId, candidate, supplier, source });
+
+    if (!result) {
+      skipped++;
+    } else if (result.created) {
+      created++;
+      createdMatches.push({ ...result, demand, buyerId, candidate, supplier });
+    } else {
+      updated++;
+    }
+  }
+
+  return { created, updated, skipped, createdMatches };
+}
+
+module.exports = {
+  demandOwnerId,
+  findCandidateProducts,
+  loadCandidate,
+  loadSuppliers,
+  upsertMatch,
+  runDemandMatching,
+};
@@ -0,0 +1,121 @@
+// utils/messages/messageAttachments.js
+'use strict';
+
+const path = require('path');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const { S3Client, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const AWS_REGION = process.env.AWS_REGION || 'us-east-1';
+const BUCKET = process.env.AWS_BUCKET_NAME;
+
+const MAX_ATTACHMENTS = 3;
+const MAX_ATTACHMENT_BYTES = 8 * 1024 * 1024;
+const DOWNLOAD_URL_TTL_SECONDS = 300;
+
+const ALLOWED_TYPES = /^(image\/(png|jpe?g|webp|gif)|application\/pdf)$/;
+
+const s3 = new S3Client({
+  region: AWS_REGION,
+  credentials: {
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+  },
+});
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: MAX_ATTACHMENTS },
+  fileFilter: (_req, file, cb) => {
+    if (!ALLOWED_TYPES.test(file.mimetype)) {
+      return cb(new Error('Only PNG/JPG/WEBP/GIF images and PDF files can be attached'));
+    }
+    cb(null, true);
+  },
+});
+
+/**
+ * multer for the message forms. Upload errors are turned into a flash +
+ * redirect back to the form instead of bubbling to the global handler.
+ */
+function acceptAttachments(field = 'attachments') {
+  const handler = upload.array(field, MAX_ATTACHMENTS);
+
+  return (req, res, next) =>
+    handler(req, res, (err) => {
+      if (!err) return next();
+
+      const message =
+        err instanceof multer.MulterError
+          ? err.code === 'LIMIT_FILE_SIZE'
+            ? 'Attachments must be 8 MB or smaller.'
+            : `You can attach up to ${MAX_ATTACHMENTS} files.`
+          : err.message || 'Attachment upload failed.';
+
+      req.flash('error', message);
+      return res.redirect(req.get('Referer') || '/messages');
+    });
+}
+
+function safeFileName(name) {
+  const base = path.basename(String(name || 'attachment'));
+  return base.replace(/[^\w.\- ]+/g, '_').slice(0, 120) || 'attachment';
+}
+
+/**
+ * Stores multer files under messages/<threadId>/ and returns attachment
+ * subdocuments for the thread message. The objects are never linked
+ * publicly; see attachmentDownloadUrl.
+ */
+async function storeMessageAttachments(threadId, files) {
+  const list = Array.isArray(files) ? files.slice(0, MAX_ATTACHMENTS) : [];
+  if (!list.length) return [];
+
+  if (!BUCKET) {
+    const err = new Error('Attachments are not available right now.');
+    err.code = 'ATTACHMENTS_DISABLED';
+    err.status = 503;
+    throw err;
+  }
+
+  const stored = [];
+
+  for (const file of list) {
+    const name = safeFileName(file.originalname);
+    const ext = path.extname(name).slice(1).toLowerCase() || 'bin';
+    const key = `messages/${String(threadId)}/${uuidv4()}.${ext}`;
+
+    await s3.send(
+      new PutObjectCommand({
+        Bucket: BUCKET,
+        Key: key,
+        Body: file.buffer,
+        ContentType: file.mimetype,
+      }),
+    );
+
+    stored.push({ key, name, contentType: file.mimetype, size: file.size || 0 });
+  }
+
+  return stored;
+}
+
+async function attachmentDownloadUrl(attachment) {
+  return getSignedUrl(
+    s3,
+    new GetObjectCommand({
+      Bucket: BUCKET,
+      Key: attachment.key,
+      ResponseContentDisposition: `attachment; filename="${safeFileName(attachment.name)}"`,
+    }),
+    { expiresIn: DOWNLOAD_URL_TTL_SECONDS },
+  );
+}
+
+module.exports = {
+  MAX_ATTACHMENTS,
+  acceptAttachments,
+  storeMessageAttachments,
+  attachmentDownloadUrl,
+};
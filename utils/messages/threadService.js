@@ -0,0 +1,352 @@
+// utils/messages/threadService.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const MessageThread = require('../../models/MessageThread');
+const Order = require('../../models/Order');
+const Product = require('../../models/Product');
+const Business = require('../../models/Business');
+const { storeMessageAttachments } = require('./messageAttachments');
+const { sendOrderMessageEmail } = require('../emails/orderMessageEmail');
+
+const MAX_MESSAGE_LENGTH = 5000;
+
+function threadError(message, code, status = 400) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+function safeText(value, max = 2000) {
+  return String(value ?? '')
+    .trim()
+    .slice(0, max);
+}
+
+function otherParty(party) {
+  return party === 'seller' ? 'buyer' : 'seller';
+}
+
+function buyerRef(buyer) {
+  return buyer?.type === 'business'
+    ? `business:${String(buyer.businessId || '')}`
+    : `user:${String(buyer?.userId || '')}`;
+}
+
+/**
+ * One thread per subject + seller + buyer. For order threads the subject is
+ * the order, so several items from the same seller share a conversation.
+ */
+function buildThreadKey({ kind, orderId, productId, sellerId, buyer }) {
+  const subject = kind === 'order' ? `order:${String(orderId)}` : `product:${String(productId)}`;
+  return `${subject}:seller:${String(sellerId)}:${buyerRef(buyer)}`;
+}
+
+/**
+ * Which side of the thread the session is on: 'buyer', 'seller' or null.
+ * `actor` is { userId, businessId } from the session.
+ */
+function partyForActor(thread, actor) {
+  const userId = String(actor?.userId || '');
+  const businessId = String(actor?.businessId || '');
+  const buyer = thread?.buyer || {};
+
+  if (businessId && String(thread?.seller?._id || thread?.seller || '') === businessId) {
+    return 'seller';
+  }
+
+  if (buyer.type === 'user' && userId && String(buyer.userId || '') === userId) return 'buyer';
+
+  if (buyer.type === 'business' && businessId && String(buyer.businessId || '') === businessId) {
+    return 'buyer';
+  }
+
+  return null;
+}
+
+/**
+ * Email fallback rule: email the recipient once per unread streak. A new
+ * email is due only when they have opened the thread since the last one.
+ */
+function shouldEmailRecipient(thread, recipient) {
+  const emailedAt = thread?.lastEmailedAt?.[recipient];
+  if (!emailedAt) return true;
+
+  const readAt = thread?.lastReadAt?.[recipient];
+  return !!readAt && new Date(readAt) > new Date(emailedAt);
+}
+
+function threadUrl(thread) {
+  return `/messages/${encodeURIComponent(String(thread._id))}`;
+}
+
+async function recipientEmail(thread, recipient) {
+  if (recipient === 'buyer') return thread.buyer?.email || '';
+
+  const seller = await Business.findById(thread.seller).select('email').lean();
+  return seller?.email || '';
+}
+
+// Best effort: a mail outage must never fail the message itself.
+async function notifyRecipient(thread, recipient, message) {
+  try {
+    await sendOrderMessageEmail({
+      to: await recipientEmail(thread, recipient),
+      thread,
+      message,
+      recipient,
+      url: threadUrl(thread),
+    });
+  } catch (err) {
+    console.warn('⚠️ Order message email failed:', err?.message || String(err));
+  }
+}
+
+/**
+ * Appends a message from `party` ('buyer' | 'seller'), bumps the other
+ * side's unread counter and emails them when the fallback rule allows.
+ * `author` is { _id, name }, `files` are multer files.
+ */
+async function addThreadMessage(thread, party, { author, message, files }) {
+  const body = safeText(message, MAX_MESSAGE_LENGTH);
+  const hasFiles = Array.isArray(files) && files.length > 0;
+
+  if (!body && !hasFiles) {
+    throw threadError('Please enter a message or attach a file.', 'MESSAGE_EMPTY');
+  }
+
+  const attachments = await storeMessageAttachments(thread._id, files);
+  const recipient = otherParty(party);
+
+  thread.messages.push({
+    authorType: party,
+    authorId: mongoose.isValidObjectId(author?._id) ? author._id : null,
+    authorName: safeText(author?.name, 200),
+    body,
+    attachments,
+  });
+
+  thread.unread[recipient] = Number(thread.unread?.[recipient] || 0) + 1;
+  thread.unread[party] = 0;
+  thread.lastReadAt[party] = new Date();
+  thread.lastMessageAt = new Date();
+  thread.lastMessageBy = party;
+
+  const emailDue = shouldEmailRecipient(thread, recipient);
+  if (emailDue) thread.lastEmailedAt[recipient] = new Date();
+
+  await thread.save();
+
+  if (emailDue) {
+    await notifyRecipient(thread, recipient, thread.messages[thread.messages.length - 1]);
+  }
+
+  return thread;
+}
+
+async function startOrContinue(init, buyer, { message, files }) {
+  const author = { _id: buyer.userId || buyer.businessId, name: buyer.name || buyer.email };
+  const existing = await MessageThread.findOne({ threadKey: init.threadKey });
+
+  try {
+    return await addThreadMessage(existing || new MessageThread(init), 'buyer', {
+      author,
+      message,
+      files,
+    });
+  } catch (err) {
+    // Two first messages at once: append to the thread that won.
+    if (existing || err?.code !== 11000) throw err;
+
+    const winner = await MessageThread.findOne({ threadKey: init.threadKey });
+    return addThreadMessage(winner, 'buyer', { author, message, files });
+  }
+}
+
+function assertNotOwnSeller(buyer, sellerId) {
+  if (buyer.type === 'business' && String(buyer.businessId) === String(sellerId)) {
+    throw threadError('You cannot message your own business.', 'MESSAGE_OWN_SELLER');
+  }
+}
+
+/**
+ * Buyer asks the seller of order item `itemIndex` about the order. Only
+ * the buyer who placed the order (user or business account) may do so.
+ */
+async function openOrderThread({ buyer, orderRef, itemIndex, message, files }) {
+  const ref = safeText(orderRef, 120);
+  const idFilters = [{ orderId: ref }];
+  if (mongoose.isValidObjectId(ref)) idFilters.push({ _id: ref });
+
+  const ownerFilter =
+    buyer.type === 'business' ? { businessBuyer: buyer.businessId } : { userId: buyer.userId };
+
+  const order = ref
+    ? await Order.findOne({ $and: [{ $or: idFilters }, ownerFilter] })
+        .select('_id orderId items')
+        .lean()
+    : null;
+
+  if (!order) throw threadError('Order not found.', 'MESSAGE_ORDER_NOT_FOUND', 404);
+
+  const index = Number.parseInt(String(itemIndex ?? 0), 10);
+  const item = Array.isArray(order.items) ? order.items[index] : null;
+
+  if (!item) throw threadError('Order item not found.', 'MESSAGE_ITEM_NOT_FOUND', 404);
+
+  const product = await Product.findOne({ customId: String(item.productId || '').trim() })
+    .select('business')
+    .populate('business', 'name')
+    .lean();
+
+  if (!product?.business?._id) {
+    throw threadError(
+      'This product is no longer listed, please contact support instead.',
+      'MESSAGE_SELLER_NOT_FOUND',
+      404,
+    );
+  }
+
+  assertNotOwnSeller(buyer, product.business._id);
+
+  return startOrContinue(
+    {
+      threadKey: buildThreadKey({
+        kind: 'order',
+        orderId: order._id,
+        sellerId: product.business._id,
+        buyer,
+      }),
+      kind: 'order',
+      order: order._id,
+      orderRef: String(order.orderId || order._id),
+      productId: String(item.productId || '').trim(),
+      productName: safeText(item.name, 200),
+      buyer,
+      seller: product.business._id,
+      sellerName: product.business.name || '',
+    },
+    buyer,
+    { message, files },
+  );
+}
+
+/**
+ * Pre-sale question about an Internal product.
+ */
+async function openProductThread({ buyer, productId, message, files }) {
+  const customId = safeText(productId, 120);
+
+  const product = customId
+    ? await Product.findOne({ customId })
+        .select('customId name business')
+        .populate('business', 'name')
+        .lean()
+    : null;
+
+  if (!product?.business?._id) {
+    throw threadError('Product not found.', 'MESSAGE_PRODUCT_NOT_FOUND', 404);
+  }
+
+  assertNotOwnSeller(buyer, product.business._id);
+
+  return startOrContinue(
+    {
+      threadKey: buildThreadKey({
+        kind: 'product',
+        productId: product.customId,
+        sellerId: product.business._id,
+        buyer,
+      }),
+      kind: 'product',
+      productId: product.customId,
+      productName: safeText(product.name, 200),
+      buyer,
+      seller: product.business._id,
+      sellerName: product.business.name || '',
+    },
+    buyer,
+    { message, files },
+  );
+}
+
+async function markThreadRead(thread, party) {
+  if (!party) return;
+
+  await MessageThread.updateOne(
+    { _id: thread._id },
+    { $set: { [`unread.${party}`]: 0, [`lastReadAt.${party}`]: new Date() } },
+  );
+}
+
+/**
+ * Threads where the session is the buyer or the seller.
+ */
+function threadFiltersForActor(actor) {
+  const filters = [];
+  const userId = String(actor?.userId || '');
+  const businessId = String(actor?.businessId || '');
+
+  if (mongoose.isValidObjectId(userId)) {
+    filters.push({ 'buyer.type': 'user', 'buyer.userId': new mongoose.Types.ObjectId(userId) });
+  }
+
+  if (mongoose.isValidObjectId(businessId)) {
+    const id = new mongoose.Types.ObjectId(businessId);
+    filters.push({ 'buyer.type': 'business', 'buyer.businessId': id });
+    filters.push({ seller: id });
+  }
+
+  return filters;
+}
+
+/**
+ * Unread messages across every thread of the session, for the badge.
+ */
+async function unreadMessageCount(actor) {
+  const userId = String(actor?.userId || '');
+  const businessId = String(actor?.businessId || '');
+  const counts = [];
+
+  if (mongoose.isValidObjectId(userId)) {
+    counts.push({
+      match: { 'buyer.type': 'user', 'buyer.userId': new mongoose.Types.ObjectId(userId) },
+      field: '$unread.buyer',
+    });
+  }
+
+  if (mongoose.isValidObjectId(businessId)) {
+    const id = new mongoose.Types.ObjectId(businessId);
+    counts.push({
+      match: { 'buyer.type': 'business', 'buyer.businessId': id },
+      field: '$unread.buyer',
+    });
+    counts.push({ match: { seller: id }, field: '$unread.seller' });
+  }
+
+  const totals = await Promise.all(
+    counts.map(({ match, field }) =>
+      MessageThread.aggregate([
+        { $match: match },
+        { $group: { _id: null, count: { $sum: field } } },
+      ]),
+    ),
+  );
+
+  return totals.reduce((sum, rows) => sum + Number(rows[0]?.count || 0), 0);
+}
+
+module.exports = {
+  buildThreadKey,
+  partyForActor,
+  shouldEmailRecipient,
+  threadUrl,
+  addThreadMessage,
+  openOrderThread,
+  openProductThread,
+  markThreadRead,
+  threadFiltersForActor,
+  unreadMessageCount,
+};
@@ -0,0 +1,133 @@
+// utils/notifications/notificationTypes.js
+'use strict';
+
+/*
+ * Every notification type belongs to a category; recipients choose the
+ * channels per category. `emailChannel: false` marks categories that
+ * already have their own dedicated emails (shipping status, verification
+ * result, accepted matches, wishlist alerts), so only the in-app channel
+ * is configurable.
+ */
+const NOTIFICATION_CATEGORIES = {
+  orders: {
+    label: 'New orders',
+    emailChannel: true,
+    defaults: { inApp: true, email: true },
+  },
+  shipping: {
+    label: 'Shipping updates',
+    emailChannel: false,
+    defaults: { inApp: true, email: false },
+  },
+  payouts: {
+    label: 'Payouts',
+    emailChannel: true,
+    defaults: { inApp: true, email: true },
+  },
+  supply_requests: {
+    label: 'Supply requests',
+    emailChannel: true,
+    defaults: { inApp: true, email: true },
+  },
+  ratings: {
+    label: 'Product ratings',
+    emailChannel: true,
+    defaults: { inApp: true, email: false },
+  },
+  matches: {
+    label: 'Demand matches and quotes',
+    emailChannel: false,
+    defaults: { inApp: true, email: false },
+  },
+  stock_alerts: {
+    label: 'Wishlist stock and price alerts',
+    emailChannel: false,
+    defaults: { inApp: true, email: false },
+  },
+  account: {
+    label: 'Account and verification',
+    emailChannel: false,
+    defaults: { inApp: true, email: false },
+  },
+};
+
+const NOTIFICATION_TYPES = {
+  'match.created': 'matches',
+  'match.accepted': 'matches',
+  'match.rejected': 'matches',
+  'match.pending': 'matches',
+
+  'quote.submitted': 'matches',
+  'quote.countered': 'matches',
+  'quote.accepted': 'matches',
+  'quote.declined': 'matches',
+
+  'order.placed': 'orders',
+
+  'shipping.shipped': 'shipping',
+  'shipping.delivered': 'shipping',
+
+  'payout.sent': 'payouts',
+  'payout.failed': 'payouts',
+  'payout.adjustment_requested': 'payouts',
+  'payout.withdrawal_requested': 'payouts',
+  'payout.review_ready': 'payouts',
+
+  'dispute.opened': 'payouts',
+  'dispute.resolved': 'payouts',
+  'dispute.lost': 'payouts',
+
+  'supply_request.created': 'supply_requests',
+  'supply_request.approved': 'supply_requests',
+  'supply_request.rejected': 'supply_requests',
+  'supply_request.paid': 'supply_requests',
+  'supply_request.cancelled': 'supply_requests',
+  'supply_request.refunded': 'supply_requests',
+  'supply_request.packed': 'supply_requests',
+  'supply_request.shipped': 'supply_requests',
+  'supply_request.delivered': 'supply_requests',
+  'supply_request.received': 'supply_requests',
+
+  'rating.received': 'ratings',
+
+  'product.back_in_stock': 'stock_alerts',
+  'product.price_drop': 'stock_alerts',
+
+  'verification.approved': 'account',
+  'verification.rejected': 'account',
+};
+
+const RECIPIENT_TYPES = ['user', 'business', 'admin'];
+
+function categoryForType(type) {
+  return NOTIFICATION_TYPES[type] || null;
+}
+
+/**
+ * Channels a recipient gets for a category, from their stored preferences
+ * ({ [category]: { inApp, email } }) falling back to category defaults.
+ */
+function resolveCategoryChannels(preferences, category) {
+  const config = NOTIFICATION_CATEGORIES[category];
+  if (!config) return { inApp: false, email: false };
+
+  const saved = preferences?.[category] || {};
+
+  const inApp = typeof saved.inApp === 'boolean' ? saved.inApp : config.defaults.inApp;
+  const email = typeof saved.email === 'boolean' ? saved.email : config.defaults.email;
+
+  return { inApp, email: config.emailChannel && email };
+}
+
+function resolveChannels(preferences, type) {
+  return resolveCategoryChannels(preferences, categoryForType(type));
+}
+
+module.exports = {
+  NOTIFICATION_CATEGORIES,
+  NOTIFICATION_TYPES,
+  RECIPIENT_TYPES,
+  categoryForType,
+  resolveCategoryChannels,
+  resolveChannels,
+};
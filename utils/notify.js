@@ -1,21 +1,142 @@
 // utils/notify.js
+'use strict';
+
+const mongoose = require('mongoose');
+
 const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const User = require('../models/User');
+const Business = require('../models/Business');
+const Admin = require('../models/Admin');
+const {
+  RECIPIENT_TYPES,
+  categoryForType,
+  resolveChannels,
+} = require('./notifications/notificationTypes');
+const { sendNotificationEmail } = require('./emails/notificationEmail');
+
+const RECIPIENT_FIELDS = {
+  user: 'recipientUser',
+  business: 'recipientBusiness',
+  admin: 'recipientAdmin',
+};
+
+const RECIPIENT_MODELS = { user: User, business: Business, admin: Admin };
+
+async function loadPreferences(recipientType, recipientId) {
+  const prefs = await NotificationPreference.findOne({ recipientType, recipientId })
+    .select('channels')
+    .lean();
+  return prefs?.channels || {};
+}
+
+async function recipientEmail(recipientType, recipientId) {
+  const doc = await RECIPIENT_MODELS[recipientType].findById(recipientId).select('email').lean();
+  return doc?.email || '';
+}
 
+/**
+ * Creates a notification for any recipient and emails it when the
+ * recipient's preferences allow. Input:
+ *   { recipientType: 'user'|'business'|'admin', recipientId, type, title,
+ *     message, link, dedupeKey, matchId, demandId, productId, supplierId, orderId }
+ * The legacy { buyerId } shape (match notifications) still works.
+ * Returns null when dedupeKey was already used.
+ */
 async function createNotification(input) {
-  const required = ['buyerId', 'type', 'title'];
-  for (const k of required) {
-    if (!input[k]) {throw new Error(`Missing ${k} for notification`);}
+  const recipientType = input.recipientType || (input.buyerId ? 'business' : '');
+  const recipientId = input.recipientId || input.buyerId;
+
+  const required = { recipientType, recipientId, type: input.type, title: input.title };
+  for (const [k, v] of Object.entries(required)) {
+    if (!v) {
+      throw new Error(`Missing ${k} for notification`);
+    }
+  }
+
+  if (!RECIPIENT_TYPES.includes(recipientType) || !mongoose.isValidObjectId(recipientId)) {
+    throw new Error(`Invalid notification recipient ${recipientType}:${recipientId}`);
+  }
+
+  const category = categoryForType(input.type);
+  if (!category) {
+    throw new Error(`Unknown notification type ${input.type}`);
+  }
+
+  const channels = resolveChannels(await loadPreferences(recipientType, recipientId), input.type);
+  if (!channels.inApp && !channels.email) return null;
+
+  let notification;
+
+  // Stored even when only emailed, so dedupeKey also guards the email.
+  try {
+    notification = await Notification.create({
+      recipientType,
+      [RECIPIENT_FIELDS[recipientType]]: recipientId,
+      buyerId: input.buyerId || null,
+      type: input.type,
+      category,
+      matchId: input.matchId || null,
+      demandId: input.demandId || null,
+      productId: input.productId || null,
+      supplierId: input.supplierId || null,
+      orderId: input.orderId || null,
+      title: input.title,
+      message: input.message || '',
+      link: input.link || '',
+      inApp: channels.inApp,
+      dedupeKey: input.dedupeKey || undefined,
+    });
+  } catch (err) {
+    if (err?.code === 11000 && input.dedupeKey) return null;
+    throw err;
+  }
+
+  if (channels.email) {
+    try {
+      await sendNotificationEmail({
+        to: await recipientEmail(recipientType, recipientId),
+        notification,
+      });
+      await Notification.updateOne({ _id: notification._id }, { $set: { emailedAt: new Date() } });
+    } catch (err) {
+      console.warn('⚠️ Notification email failed:', err?.message || String(err));
+    }
+  }
+
+  return notification;
+}
+
+// Best effort: a notification failure must never fail the action itself.
+async function notifySafely(input) {
+  try {
+    return await createNotification(input);
+  } catch (err) {
+    console.warn('⚠️ Notification failed:', input?.type, err?.message || String(err));
+    return null;
+  }
+}
+
+/**
+ * Notifies every active admin holding one of `roles`.
+ */
+async function notifyAdmins(roles, input) {
+  try {
+    const admins = await Admin.find({ role: { $in: roles }, isActive: { $ne: false } })
+      .select('_id')
+      .lean();
+
+    for (const admin of admins) {
+      await notifySafely({
+        ...input,
+        recipientType: 'admin',
+        recipientId: admin._id,
+        dedupeKey: input.dedupeKey ? `${input.dedupeKey}:admin:${admin._id}` : undefined,
+      });
+    }
+  } catch (err) {
+    console.warn('⚠️ Admin notification failed:', input?.type, err?.message || String(err));
   }
-  return Notification.create({
-    buyerId: input.buyerId,
-    type: input.type, // 'match.accepted' | 'match.rejected' | 'match.pending'
-    matchId: input.matchId || null,
-    demandId: input.demandId || null,
-    productId: input.productId || null,
-    supplierId: input.supplierId || null,
-    title: input.title,
-    message: input.message || '',
-  });
 }
 
-module.exports = { createNotification };
+module.exports = { createNotification, notifySafely, notifyAdmins };
@@ -0,0 +1,154 @@
+// utils/payouts/commissionRules.js
+'use strict';
+
+/*
+ * Pure commission rules: which CommissionRule applies to a sold line and
+ * what the platform keeps from it. No database access; the caller loads
+ * the active rules and the seller's start date.
+ */
+
+const { moneyToCents } = require('../money');
+
+// Most specific first. A seller's own rule beats a new-seller promotion,
+// which beats product type, which beats category.
+const SCOPE_PRECEDENCE = ['SELLER', 'NEW_SELLER', 'TYPE', 'CATEGORY'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function clampFeeBps(value, fallback = 0) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.max(0, Math.min(5000, Math.round(n)));
+}
+
+function lower(value) {
+  return String(value || '')
+    .trim()
+    .toLowerCase();
+}
+
+function toTime(value) {
+  if (!value) return null;
+  const t = new Date(value).getTime();
+  return Number.isFinite(t) ? t : null;
+}
+
+function isRuleLive(rule, now = new Date()) {
+  if (!rule || rule.isActive === false) return false;
+
+  const at = toTime(now) ?? Date.now();
+  const starts = toTime(rule.startsAt);
+  const ends = toTime(rule.endsAt);
+
+  if (starts != null && at < starts) return false;
+  if (ends != null && at > ends) return false;
+  return true;
+}
+
+/**
+ * Does `rule` cover a line sold by `line.businessId` at `now`?
+ * `line` is { businessId, category, productType, sellerSince }.
+ */
+function ruleMatches(rule, line, now = new Date()) {
+  if (!isRuleLive(rule, now)) return false;
+
+  switch (rule.scope) {
+    case 'SELLER':
+      return (
+        !!rule.business && String(rule.business?._id || rule.business) === String(line.businessId)
+      );
+
+    case 'NEW_SELLER': {
+      const since = toTime(line.sellerSince);
+      const days = Number(rule.newSellerDays || 0);
+      if (since == null || !(days > 0)) return false;
+      const at = toTime(now) ?? Date.now();
+      return at >= since && at - since < days * DAY_MS;
+    }
+
+    case 'TYPE':
+      return !!lower(rule.productType) && lower(rule.productType) === lower(line.productType);
+
+    case 'CATEGORY':
+      return !!lower(rule.category) && lower(rule.category) === lower(line.category);
+
+    default:
+      return false;
+  }
+}
+
+/** The matching rule with the highest precedence (newest wins a tie), or null. */
+function pickCommissionRule(rules, line, now = new Date()) {
+  const matches = (Array.isArray(rules) ? rules : []).filter((r) => ruleMatches(r, line, now));
+  if (!matches.length) return null;
+
+  return matches.sort(
+    (a, b) =>
+      SCOPE_PRECEDENCE.indexOf(a.scope) - SCOPE_PRECEDENCE.indexOf(b.scope) ||
+      (toTime(b.updatedAt) || 0) - (toTime(a.updatedAt) || 0),
+  )[0];
+}
+
+function minFeePerItemCents(rule, currency) {
+  if (!rule?.minFeePerItem) return 0;
+
+  // A minimum set in another currency cannot be compared; ignore it.
+  const ruleCcy = String(rule.currency || '').toUpperCase();
+  if (ruleCcy && currency && ruleCcy !== String(currency).toUpperCase()) return 0;
+
+  const cents = moneyToCents(rule.minFeePerItem);
+  return Number.isFinite(cents) && cents > 0 ? cents : 0;
+}
+
+/**
+ * Commission on `baseCents` (the part of the line the platform takes a cut
+ * of) for `qty` units. Uses `rule` when given, else `defaultBps`. The
+ * per-item minimum is applied after the rate and never exceeds the base.
+ */
+function computeCommission({ baseCents, qty = 1, currency = '', rule = null, defaultBps = 1000 }) {
+  const base = Math.max(0, Math.trunc(Number(baseCents) || 0));
+  const units = Math.max(1, Math.trunc(Number(qty) || 1));
+  const feeBps = rule ? clampFeeBps(rule.feeBps) : clampFeeBps(defaultBps, 1000);
+
+  const rateCents = Math.round((base * feeBps) / 10000);
+  const minCents = rule ? minFeePerItemCents(rule, currency) * units : 0;
+  const feeCents = Math.min(base, Math.max(rateCents, minCents));
+
+  return {
+    feeCents,
+    feeBps,
+    minFeeApplied: minCents > rateCents && feeCents > rateCents,
+    rule: describeCommissionRule(rule, feeBps),
+  };
+}
+
+/** What gets stored in ledger meta.commissionRule and reported back. */
+function describeCommissionRule(rule, defaultBps) {
+  if (!rule) {
+    return {
+      id: '',
+      name: 'Platform default',
+      scope: 'PLATFORM_DEFAULT',
+      feeBps: clampFeeBps(defaultBps, 1000),
+      minFeePerItem: '',
+    };
+  }
+
+  return {
+    id: String(rule._id || ''),
+    name: String(rule.name || ''),
+    scope: String(rule.scope || ''),
+    feeBps: clampFeeBps(rule.feeBps),
+    minFeePerItem: String(rule.minFeePerItem || ''),
+  };
+}
+
+module.exports = {
+  SCOPE_PRECEDENCE,
+  clampFeeBps,
+  isRuleLive,
+  ruleMatches,
+  pickCommissionRule,
+  computeCommission,
+  describeCommissionRule,
+};
@@ -0,0 +1,44 @@
+// utils/payouts/commissionService.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const CommissionRule = require('../../models/CommissionRule');
+const Business = require('../../models/Business');
+
+/** Active rules whose window includes `now` (the rules module re-checks per line). */
+async function loadActiveCommissionRules(now = new Date()) {
+  return CommissionRule.find({
+    isActive: true,
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gte: now } }] },
+    ],
+  })
+    .select(
+      'name scope business category productType newSellerDays feeBps minFeePerItem currency startsAt endsAt isActive updatedAt',
+    )
+    .lean();
+}
+
+/**
+ * When each seller started selling, for new-seller promotions:
+ * verification date, else account creation. Map of businessId -> Date.
+ */
+async function loadSellerStartDates(businessIds) {
+  const ids = [...new Set((businessIds || []).map(String))]
+    .filter((id) => mongoose.isValidObjectId(id))
+    .map((id) => new mongoose.Types.ObjectId(id));
+
+  if (!ids.length) return new Map();
+
+  const rows = await Business.find({ _id: { $in: ids } })
+    .select('_id createdAt verification.verifiedAt')
+    .lean();
+
+  return new Map(
+    rows.map((b) => [String(b._id), b.verification?.verifiedAt || b.createdAt || null]),
+  );
+}
+
+module.exports = { loadActiveCommissionRules, loadSellerStartDates };
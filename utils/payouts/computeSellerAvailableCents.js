@@ -48,7 +48,18 @@ async function fallbackCompute(businessId, currency = null) {
           { availableAt: { $lte: now } },
         ],
       },
-      { type: { $in: ['REFUND_DEBIT', 'PAYOUT_DEBIT', 'ADJUSTMENT'] } },
+      {
+        type: {
+          $in: [
+            'REFUND_DEBIT',
+            'PAYOUT_DEBIT',
+            'ADJUSTMENT',
+            'DISPUTE_HOLD',
+            'DISPUTE_RELEASE',
+            'DISPUTE_DEBIT',
+          ],
+        },
+      },
     ],
   };
 
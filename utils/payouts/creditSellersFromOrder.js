@@ -12,6 +12,9 @@ try {
 }
 
 const { moneyToCents } = require('../money');
+const { notifySafely } = require('../notify');
+const { pickCommissionRule, computeCommission } = require('./commissionRules');
+const { loadActiveCommissionRules, loadSellerStartDates } = require('./commissionService');
 
 function getBaseCurrency() {
   return (
@@ -129,6 +132,18 @@ function getItemUnitCents(item) {
   return Number.isFinite(cents) ? cents : NaN;
 }
 
+// Seller-funded coupons come out of the scoped seller's lines.
+// Platform-funded coupons leave seller earnings on the undiscounted price.
+function getSellerFundedDiscountCents(order, item, sellerBusinessIdStr) {
+  if (String(order?.coupon?.fundedBy || '').toUpperCase() !== 'SELLER') return 0;
+
+  const scope = safeId(order.coupon.sellerBusiness);
+  if (scope && scope !== String(sellerBusinessIdStr)) return 0;
+
+  const cents = moneyToCents(item?.discount?.value ?? 0);
+  return Number.isFinite(cents) && cents > 0 ? cents : 0;
+}
+
 function getWholesaleCostCents(product) {
   const cents = moneyToCents(product?.wholesaleCostPrice || 0);
   return Number.isFinite(cents) && cents > 0 ? cents : 0;
@@ -160,24 +175,57 @@ function addAggRow(agg, row) {
     role,
     qty: 0,
     grossCents: 0,
+    couponDiscountCents: 0,
     supplierCostCents: 0,
     marginCents: 0,
     feeCents: 0,
     netCents: 0,
+    commissionRule: row.commissionRule || null,
+    minFeeApplied: false,
     sourceSupplierProduct: row.sourceSupplierProduct || null,
     sourceSupplyRequest: row.sourceSupplyRequest || null,
   };
 
   prev.qty += Number(row.qty || 0);
   prev.grossCents += Number(row.grossCents || 0);
+  prev.couponDiscountCents += Number(row.couponDiscountCents || 0);
   prev.supplierCostCents += Number(row.supplierCostCents || 0);
   prev.marginCents += Number(row.marginCents || 0);
   prev.feeCents += Number(row.feeCents || 0);
   prev.netCents += Number(row.netCents || 0);
+  prev.minFeeApplied = prev.minFeeApplied || !!row.minFeeApplied;
 
   agg.set(key, prev);
 }
 
+// One "new order" notification per credited business (seller or supplier).
+async function notifyNewOrder(order, wanted, currency) {
+  const perBusiness = new Map();
+
+  for (const w of wanted) {
+    const key = String(w.businessId);
+    const row = perBusiness.get(key) || { businessId: w.businessId, qty: 0, netCents: 0 };
+    row.qty += Number(w.meta?.qty || 0);
+    row.netCents += Number(w.amountCents || 0);
+    perBusiness.set(key, row);
+  }
+
+  const publicId = String(order.orderId || order._id);
+
+  for (const row of perBusiness.values()) {
+    await notifySafely({
+      recipientType: 'business',
+      recipientId: row.businessId,
+      type: 'order.placed',
+      orderId: order._id,
+      title: `New order ${publicId}`,
+      message: `${row.qty} item(s) sold, ${currency} ${(row.netCents / 100).toFixed(2)} net earnings.`,
+      link: '/business/dashboard',
+      dedupeKey: `order.placed:${String(order._id)}:${String(row.businessId)}`,
+    });
+  }
+}
+
 async function creditSellersFromOrder(order, opts = {}) {
   const {
     platformFeeBps = 1000,
@@ -236,7 +284,8 @@ async function creditSellersFromOrder(order, opts = {}) {
       [
         '_id customId',
         'business businessId seller sellerId ownerBusiness ownerBusinessId',
-        'sourceType sourceSupplier sourceSupplierProduct sourceSupplyRequest wholesaleCostPrice',
+        'sourceType sourceSupplier sourceSupplierProduct sourceSupplyRequest wholesaleCostPrice wholesalePrepaid',
+        'category type',
       ].join(' ')
     )
     .lean();
@@ -259,6 +308,30 @@ async function creditSellersFromOrder(order, opts = {}) {
     if (p?._id) byKey.set(String(p._id), p);
   }
 
+  // Rule date windows (startsAt/endsAt) are checked against when the order
+  // was placed, so a late webhook does not miss a promotion that ended
+  // since. Rules an admin has switched off since then no longer apply.
+  const saleAt = order.createdAt ? new Date(order.createdAt) : new Date();
+  const commissionRules = await loadActiveCommissionRules(saleAt);
+  const sellerStartDates = commissionRules.some((r) => r.scope === 'NEW_SELLER')
+    ? await loadSellerStartDates(products.map(getProductOwnerBusinessId).filter(Boolean))
+    : new Map();
+
+  function lineCommission(product, sellerBusinessIdStr, baseCents, qty) {
+    const rule = pickCommissionRule(
+      commissionRules,
+      {
+        businessId: sellerBusinessIdStr,
+        category: product.category,
+        productType: product.type,
+        sellerSince: sellerStartDates.get(String(sellerBusinessIdStr)) || null,
+      },
+      saleAt,
+    );
+
+    return computeCommission({ baseCents, qty, currency: orderCurrency, rule, defaultBps: feeBps });
+  }
+
   const agg = new Map();
   let mixedCurrencyDetected = false;
   let importedLines = 0;
@@ -287,7 +360,13 @@ async function creditSellersFromOrder(order, opts = {}) {
       continue;
     }
 
-    const grossCents = unitCents * qty;
+    const listCents = unitCents * qty;
+    const couponDiscountCents = Math.min(
+      listCents,
+      getSellerFundedDiscountCents(order, item, sellerBusinessIdStr),
+    );
+
+    const grossCents = listCents - couponDiscountCents;
     if (!Number.isFinite(grossCents) || grossCents <= 0) continue;
 
     const productKey = String(product.customId || product._id);
@@ -302,7 +381,11 @@ async function creditSellersFromOrder(order, opts = {}) {
       const wantedSupplierCents = wholesaleCostUnitCents * qty;
 
       // Supplier must never receive more than this paid line can cover.
-      const supplierNetCents = Math.min(grossCents, wantedSupplierCents);
+      const supplierCostCents = Math.min(grossCents, wantedSupplierCents);
+
+      // Prepaid stock: the supplier was already credited by the supply request payment.
+      const prepaid = product.wholesalePrepaid === true;
+      const supplierNetCents = prepaid ? 0 : supplierCostCents;
 
       if (supplierBusinessObjId && supplierNetCents > 0) {
         addAggRow(agg, {
@@ -321,9 +404,13 @@ async function creditSellersFromOrder(order, opts = {}) {
         });
       }
 
-      const sellerMarginCents = Math.max(0, grossCents - supplierNetCents);
-      const sellerFeeCents = Math.round((sellerMarginCents * feeBps) / 10000);
-      const sellerNetCents = Math.max(0, sellerMarginCents - sellerFeeCents);
+      const sellerMarginCents = Math.max(0, grossCents - supplierCostCents);
+      const commission = lineCommission(product, sellerBusinessIdStr, sellerMarginCents, qty);
+      const sellerFeeCents = commission.feeCents;
+      const sellerNetCents = Math.max(
+        0,
+        sellerMarginCents + (prepaid ? supplierCostCents : 0) - sellerFeeCents,
+      );
 
       if (sellerNetCents > 0) {
         addAggRow(agg, {
@@ -333,10 +420,13 @@ async function creditSellersFromOrder(order, opts = {}) {
           productKey,
           qty,
           grossCents,
+          couponDiscountCents,
           supplierCostCents: supplierNetCents,
           marginCents: sellerMarginCents,
           feeCents: sellerFeeCents,
           netCents: sellerNetCents,
+          commissionRule: commission.rule,
+          minFeeApplied: commission.minFeeApplied,
           sourceSupplierProduct: product.sourceSupplierProduct || null,
           sourceSupplyRequest: product.sourceSupplyRequest || null,
         });
@@ -347,7 +437,8 @@ async function creditSellersFromOrder(order, opts = {}) {
 
     normalLines += 1;
 
-    const feeCents = Math.round((grossCents * feeBps) / 10000);
+    const commission = lineCommission(product, sellerBusinessIdStr, grossCents, qty);
+    const feeCents = commission.feeCents;
     const netCents = grossCents - feeCents;
     if (!Number.isFinite(netCents) || netCents <= 0) continue;
 
@@ -358,10 +449,13 @@ async function creditSellersFromOrder(order, opts = {}) {
       productKey,
       qty,
       grossCents,
+      couponDiscountCents,
       supplierCostCents: 0,
       marginCents: grossCents,
       feeCents,
       netCents,
+      commissionRule: commission.rule,
+      minFeeApplied: commission.minFeeApplied,
     });
   }
 
@@ -388,10 +482,14 @@ async function creditSellersFromOrder(order, opts = {}) {
         productCustomId: row.productKey,
         qty: row.qty,
         grossCents: Math.trunc(row.grossCents),
+        couponDiscountCents: Math.trunc(row.couponDiscountCents),
+        couponCode: row.couponDiscountCents > 0 ? String(order?.coupon?.code || '') : '',
         supplierCostCents: Math.trunc(row.supplierCostCents),
         marginCents: Math.trunc(row.marginCents),
         feeCents: Math.trunc(row.feeCents),
-        platformFeeBps: feeBps,
+        platformFeeBps: row.commissionRule ? row.commissionRule.feeBps : feeBps,
+        commissionRule: row.commissionRule,
+        minFeeApplied: !!row.minFeeApplied,
         sourceSupplierProduct: row.sourceSupplierProduct
           ? String(row.sourceSupplierProduct?._id || row.sourceSupplierProduct)
           : '',
@@ -465,6 +563,8 @@ async function creditSellersFromOrder(order, opts = {}) {
     };
   }
 
+  await notifyNewOrder(order, wanted, orderCurrency);
+
   return {
     credited: upsertedCount,
     currency: orderCurrency,
@@ -475,4 +575,4 @@ async function creditSellersFromOrder(order, opts = {}) {
   };
 }
 
-module.exports = { creditSellersFromOrder };
\ No newline at end of file
+module.exports = { creditSellersFromOrder, payoutDelayMs };
\ No newline at end of file
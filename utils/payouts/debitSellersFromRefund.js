@@ -4,6 +4,7 @@
 const mongoose = require('mongoose');
 const SellerBalanceLedger = require('../../models/SellerBalanceLedger');
 const { moneyToCents } = require('../money');
+const { computeReturnDebitCents } = require('../returns/returnPolicy');
 
 function getBaseCurrency() {
   return (
@@ -184,9 +185,15 @@ async function debitSellersFromRefund(order, opts = {}) {
     currency: ccy,
     'meta.uniqueKey': { $regex: `^${escapeRegex(refundKeyPrefix)}` },
   })
-    .select('businessId amountCents meta.uniqueKey')
+    .select('businessId amountCents meta.uniqueKey meta.returnId')
     .lean();
 
+  // A return refund already debited its own seller; the PayPal webhook for
+  // the same refund must not spread it over the other sellers on the order.
+  if (existingDebits.some((row) => row?.meta?.returnId)) {
+    return { debited: 0, currency: ccy, skipped: 'debited-by-return', feeBps };
+  }
+
   const existingBySeller = new Map();
   for (const row of existingDebits) {
     const bid = safeId(row.businessId);
@@ -338,4 +345,107 @@ async function debitSellersFromRefund(order, opts = {}) {
   };
 }
 
-module.exports = { debitSellersFromRefund };
\ No newline at end of file
+/**
+ * Debit for a refunded return. Only returnRequest.sellerBusiness is debited,
+ * for the returned units of that product line (see computeReturnDebitCents).
+ * Uses the same refunddebit uniqueKey as debitSellersFromRefund, so retries
+ * and the PayPal webhook for the same refundId never debit twice.
+ */
+async function debitSellerFromReturn(order, returnRequest, opts = {}) {
+  const { refundId = null, currency = null } = opts;
+
+  const orderId = safeId(order?._id);
+  if (!orderId) return { debited: 0, skipped: 'missing-order-_id' };
+
+  const refundIdStr = String(refundId || '').trim();
+  if (!refundIdStr) return { debited: 0, skipped: 'missing-refundId' };
+
+  const businessId = safeId(returnRequest?.sellerBusiness);
+  if (!businessId) return { debited: 0, skipped: 'missing-seller' };
+
+  const productId = String(returnRequest?.item?.productId || '').trim();
+  const ccy = toUpper(currency || order?.amount?.currency || getBaseCurrency());
+
+  const orderObjId = new mongoose.Types.ObjectId(orderId);
+  const businessObjId = new mongoose.Types.ObjectId(businessId);
+  const uniqueKey = `refunddebit:${String(orderId)}:${refundIdStr}:${businessId}:${ccy}`;
+
+  const [earnings, priorDebits] = await Promise.all([
+    SellerBalanceLedger.find({
+      type: { $in: CREDIT_TYPES },
+      businessId: businessObjId,
+      currency: ccy,
+      $or: [{ orderId: orderObjId }, { orderId: orderId }],
+    })
+      .select('businessId amountCents meta')
+      .lean(),
+    SellerBalanceLedger.find({
+      type: 'REFUND_DEBIT',
+      businessId: businessObjId,
+      currency: ccy,
+      $or: [{ orderId: orderObjId }, { orderId: orderId }],
+      'meta.productCustomId': productId,
+      'meta.returnId': { $exists: true },
+      'meta.uniqueKey': { $ne: uniqueKey },
+    })
+      .select('amountCents')
+      .lean(),
+  ]);
+
+  const item = Array.isArray(order.items) ? order.items[returnRequest?.item?.itemIndex] : null;
+
+  const debitCents = computeReturnDebitCents({
+    earnings,
+    sellerBusinessId: businessId,
+    productId,
+    quantity: returnRequest?.quantity,
+    orderedQuantity: item?.quantity,
+    alreadyDebitedCents: priorDebits.reduce(
+      (sum, row) => sum + Math.abs(Number(row.amountCents || 0)),
+      0
+    ),
+  });
+
+  if (debitCents <= 0) {
+    return { debited: 0, skipped: 'no-earnings-to-debit', currency: ccy, businessId };
+  }
+
+  let upserted = 0;
+  try {
+    const wr = await SellerBalanceLedger.updateOne(
+      {
+        businessId: businessObjId,
+        type: 'REFUND_DEBIT',
+        orderId: orderObjId,
+        'meta.uniqueKey': uniqueKey,
+      },
+      {
+        $setOnInsert: {
+          amountCents: -debitCents,
+          currency: ccy,
+          note: `Return ${returnRequest.rmaNumber || ''} debit (net) for order ${order.orderId || orderId} (${refundIdStr})`,
+          meta: {
+            uniqueKey,
+            refundId: refundIdStr,
+            returnId: String(returnRequest._id),
+            rmaNumber: String(returnRequest.rmaNumber || ''),
+            productCustomId: productId,
+            qty: Math.trunc(Number(returnRequest.quantity || 0)),
+          },
+        },
+      },
+      { upsert: true }
+    );
+    upserted = Number(wr?.upsertedCount || 0);
+  } catch (e) {
+    if (!isDupKey(e)) throw e;
+  }
+
+  if (!upserted) {
+    return { debited: 0, skipped: 'already-debited', currency: ccy, businessId };
+  }
+
+  return { debited: 1, currency: ccy, debitedCents: debitCents, businessId };
+}
+
+module.exports = { debitSellersFromRefund, debitSellerFromReturn };
\ No newline at end of file
@@ -41,7 +41,18 @@ async function getSellerAvailableCents(businessId, currency = null) {
           { availableAt: { $lte: now } },
         ],
       },
-      { type: { $in: ['REFUND_DEBIT', 'PAYOUT_DEBIT', 'ADJUSTMENT'] } },
+      {
+        type: {
+          $in: [
+            'REFUND_DEBIT',
+            'PAYOUT_DEBIT',
+            'ADJUSTMENT',
+            'DISPUTE_HOLD',
+            'DISPUTE_RELEASE',
+            'DISPUTE_DEBIT',
+          ],
+        },
+      },
     ],
   };
 
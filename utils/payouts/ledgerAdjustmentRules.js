@@ -0,0 +1,126 @@
+// utils/payouts/ledgerAdjustmentRules.js
+'use strict';
+
+/*
+ * Pure checks for manual ledger adjustments: validating a request and
+ * the four-eyes rule for reviewing one. Writes live in
+ * ledgerAdjustmentService.js.
+ */
+
+const { moneyToCents } = require('../money');
+
+// 1,000,000.00 per adjustment; anything larger should not be a manual fix.
+const MAX_ADJUSTMENT_CENTS = 100000000;
+const MIN_REASON_LENGTH = 10;
+
+function getBaseCurrency() {
+  return (
+    String(process.env.BASE_CURRENCY || '')
+      .trim()
+      .toUpperCase() || 'USD'
+  );
+}
+
+/**
+ * Form/JSON body -> { value, errors }. `value` is only usable when
+ * `errors` is empty.
+ */
+function normalizeAdjustmentInput(body = {}) {
+  const errors = [];
+
+  const direction = String(body.direction || '')
+    .trim()
+    .toUpperCase();
+  if (direction !== 'CREDIT' && direction !== 'DEBIT') {
+    errors.push('Choose whether this is a credit or a debit.');
+  }
+
+  const amountCents = moneyToCents(String(body.amount ?? '').trim());
+  if (!Number.isFinite(amountCents) || amountCents <= 0) {
+    errors.push('Enter an amount greater than zero.');
+  } else if (amountCents > MAX_ADJUSTMENT_CENTS) {
+    errors.push('Amount is too large for a manual adjustment.');
+  }
+
+  const currency =
+    String(body.currency || '')
+      .trim()
+      .toUpperCase() || getBaseCurrency();
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    errors.push('Currency must be a 3-letter code.');
+  }
+
+  const reason = String(body.reason || '')
+    .trim()
+    .replace(/\s+/g, ' ')
+    .slice(0, 500);
+  if (reason.length < MIN_REASON_LENGTH) {
+    errors.push(`Give a reason of at least ${MIN_REASON_LENGTH} characters.`);
+  }
+
+  return {
+    errors,
+    value: {
+      direction,
+      amountCents: Number.isFinite(amountCents) ? amountCents : 0,
+      currency,
+      reason,
+      orderRef: String(body.orderRef || '')
+        .trim()
+        .slice(0, 64),
+    },
+  };
+}
+
+/** Ledger amount for an adjustment: + for credits, - for debits. */
+function signedAdjustmentCents(adjustment) {
+  const cents = Math.abs(Math.trunc(Number(adjustment?.amountCents) || 0));
+  return adjustment?.direction === 'DEBIT' ? -cents : cents;
+}
+
+/** meta.uniqueKey of the ledger row, so approving twice never double-posts. */
+function adjustmentLedgerKey(adjustmentId) {
+  return `adjustment:${String(adjustmentId || '')}`;
+}
+
+/**
+ * Why `admin` may not approve or reject `adjustment` ('' when allowed).
+ * The requester can never review their own adjustment.
+ */
+function reviewBlockReason(adjustment, admin) {
+  if (!adjustment) return 'Adjustment not found.';
+  if (adjustment.status !== 'PENDING') {
+    return `This adjustment is already ${String(adjustment.status || '').toLowerCase()}.`;
+  }
+
+  const adminId = String(admin?._id || '');
+  if (!adminId) return 'Sign in again to review adjustments.';
+
+  if (String(adjustment.requestedBy?.adminId || '') === adminId) {
+    return 'A different payout admin must review an adjustment you requested.';
+  }
+
+  return '';
+}
+
+/** Snapshot of an admin for requestedBy/reviewedBy. */
+function adminRef(admin) {
+  return {
+    adminId: admin?._id || null,
+    name: String(admin?.fullName || admin?.name || '').trim(),
+    email: String(admin?.email || '')
+      .trim()
+      .toLowerCase(),
+    role: String(admin?.role || '').trim(),
+  };
+}
+
+module.exports = {
+  MAX_ADJUSTMENT_CENTS,
+  MIN_REASON_LENGTH,
+  normalizeAdjustmentInput,
+  signedAdjustmentCents,
+  adjustmentLedgerKey,
+  reviewBlockReason,
+  adminRef,
+};
@@ -0,0 +1,169 @@
+// utils/payouts/ledgerAdjustmentService.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const LedgerAdjustment = require('../../models/LedgerAdjustment');
+const SellerBalanceLedger = require('../../models/SellerBalanceLedger');
+const {
+  signedAdjustmentCents,
+  adjustmentLedgerKey,
+  reviewBlockReason,
+  adminRef,
+} = require('./ledgerAdjustmentRules');
+
+function adjustmentSnapshot(adj) {
+  if (!adj) return null;
+
+  return {
+    businessId: String(adj.businessId?._id || adj.businessId || ''),
+    direction: adj.direction,
+    amountCents: Number(adj.amountCents || 0),
+    currency: adj.currency || '',
+    reason: adj.reason || '',
+    orderRef: adj.orderRef || '',
+    status: adj.status,
+    requestedBy: adj.requestedBy?.email || '',
+    reviewedBy: adj.reviewedBy?.email || '',
+    reviewNote: adj.reviewNote || '',
+    ledgerEntryId: adj.ledgerEntryId ? String(adj.ledgerEntryId) : null,
+  };
+}
+
+async function loadPendingForReview(adjustmentId, admin) {
+  const adjustment = mongoose.isValidObjectId(adjustmentId)
+    ? await LedgerAdjustment.findById(adjustmentId).lean()
+    : null;
+
+  return { adjustment, blocked: reviewBlockReason(adjustment, admin) };
+}
+
+/*
+ * Moves a PENDING adjustment to APPROVED/REJECTED only if it is still
+ * pending and the reviewer is not the requester, so two admins clicking
+ * at once (or the requester themselves) cannot both win.
+ */
+function claimForReview(adjustment, admin, status, note) {
+  return LedgerAdjustment.findOneAndUpdate(
+    {
+      _id: adjustment._id,
+      status: 'PENDING',
+      'requestedBy.adminId': { $ne: new mongoose.Types.ObjectId(String(admin._id)) },
+    },
+    {
+      $set: {
+        status,
+        reviewedBy: adminRef(admin),
+        reviewedAt: new Date(),
+        reviewNote: String(note || '')
+          .trim()
+          .slice(0, 500),
+      },
+    },
+    { new: true },
+  );
+}
+
+/**
+ * Approves an adjustment and posts its ADJUSTMENT row. The row has no
+ * availableAt, so getSellerAvailableCents counts it straight away.
+ * Returns { ok, message, adjustment, before, entry }.
+ */
+async function approveLedgerAdjustment(adjustmentId, admin, note = '') {
+  const { adjustment: before, blocked } = await loadPendingForReview(adjustmentId, admin);
+  if (blocked) return { ok: false, message: blocked, adjustment: before };
+
+  const adjustment = await claimForReview(before, admin, 'APPROVED', note);
+  if (!adjustment) {
+    return { ok: false, message: 'This adjustment was already reviewed.', adjustment: before };
+  }
+
+  const uniqueKey = adjustmentLedgerKey(adjustment._id);
+
+  try {
+    const entry = await SellerBalanceLedger.findOneAndUpdate(
+      {
+        businessId: adjustment.businessId,
+        type: 'ADJUSTMENT',
+        'meta.uniqueKey': uniqueKey,
+      },
+      {
+        $setOnInsert: {
+          amountCents: signedAdjustmentCents(adjustment),
+          currency: adjustment.currency,
+          availableAt: null,
+          note: `Manual ${adjustment.direction.toLowerCase()}: ${adjustment.reason}`.slice(0, 600),
+          meta: {
+            uniqueKey,
+            adjustmentId: String(adjustment._id),
+            ...(adjustment.orderRef ? { orderRef: adjustment.orderRef } : {}),
+            requestedBy: adjustment.requestedBy?.email || '',
+            approvedBy: adjustment.reviewedBy?.email || '',
+          },
+        },
+      },
+      { upsert: true, new: true },
+    );
+
+    adjustment.ledgerEntryId = entry._id;
+    await adjustment.save();
+
+    return { ok: true, adjustment, before, entry };
+  } catch (err) {
+    // Put it back in the queue so it can be approved again.
+    await LedgerAdjustment.updateOne(
+      { _id: adjustment._id, status: 'APPROVED', ledgerEntryId: null },
+      { $set: { status: 'PENDING', reviewedBy: null, reviewedAt: null, reviewNote: '' } },
+    );
+    throw err;
+  }
+}
+
+/** Rejects a pending adjustment; nothing is written to the ledger. */
+async function rejectLedgerAdjustment(adjustmentId, admin, note = '') {
+  const { adjustment: before, blocked } = await loadPendingForReview(adjustmentId, admin);
+  if (blocked) return { ok: false, message: blocked, adjustment: before };
+
+  const adjustment = await claimForReview(before, admin, 'REJECTED', note);
+  if (!adjustment) {
+    return { ok: false, message: 'This adjustment was already reviewed.', adjustment: before };
+  }
+
+  return { ok: true, adjustment, before };
+}
+
+/** The requester withdraws their own pending adjustment. */
+async function cancelLedgerAdjustment(adjustmentId, admin) {
+  const before = mongoose.isValidObjectId(adjustmentId)
+    ? await LedgerAdjustment.findById(adjustmentId).lean()
+    : null;
+
+  if (!before) return { ok: false, message: 'Adjustment not found.', adjustment: null };
+
+  if (String(before.requestedBy?.adminId || '') !== String(admin?._id || '')) {
+    return {
+      ok: false,
+      message: 'Only the admin who requested an adjustment can cancel it.',
+      adjustment: before,
+    };
+  }
+
+  const adjustment = await LedgerAdjustment.findOneAndUpdate(
+    { _id: before._id, status: 'PENDING' },
+    { $set: { status: 'CANCELLED', reviewedAt: new Date() } },
+    { new: true },
+  );
+
+  if (!adjustment) {
+    return { ok: false, message: 'This adjustment was already reviewed.', adjustment: before };
+  }
+
+  return { ok: true, adjustment, before };
+}
+
+module.exports = {
+  adjustmentSnapshot,
+  approveLedgerAdjustment,
+  rejectLedgerAdjustment,
+  cancelLedgerAdjustment,
+};
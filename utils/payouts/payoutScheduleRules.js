@@ -0,0 +1,132 @@
+// utils/payouts/payoutScheduleRules.js
+'use strict';
+
+/*
+ * Seller payout preferences: which sellers a payout review (admin or the
+ * /payouts/auto-run cron) should include, and whether a seller may ask
+ * for an on-demand withdrawal. Pure; callers load balances and settings.
+ */
+
+const PAYOUT_SCHEDULES = ['WEEKLY', 'MONTHLY', 'ON_DEMAND'];
+const DEFAULT_PAYOUT_SCHEDULE = 'WEEKLY';
+
+const PAYOUT_SCHEDULE_LABELS = {
+  WEEKLY: 'Weekly',
+  MONTHLY: 'Monthly',
+  ON_DEMAND: 'On request',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function normalizePayoutSchedule(value) {
+  const s = String(value || '')
+    .trim()
+    .toUpperCase();
+  return PAYOUT_SCHEDULES.includes(s) ? s : DEFAULT_PAYOUT_SCHEDULE;
+}
+
+function toCents(value) {
+  const n = Math.trunc(Number(value) || 0);
+  return n > 0 ? n : 0;
+}
+
+// Monday 00:00 UTC of the week containing `date`.
+function weekStart(date) {
+  const d = new Date(date);
+  const start = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+  return new Date(start - ((d.getUTCDay() + 6) % 7) * DAY_MS);
+}
+
+function monthStart(date) {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1));
+}
+
+/**
+ * Start of the period the seller's next scheduled payout belongs to, or
+ * null for on-demand sellers. Weeks start Monday, months on the 1st (UTC),
+ * so a late cron run never pushes the next payout back.
+ */
+function nextScheduledPayoutAt({ schedule, lastPayoutAt } = {}, now = new Date()) {
+  const sched = normalizePayoutSchedule(schedule);
+  if (sched === 'ON_DEMAND') return null;
+
+  const last = lastPayoutAt ? new Date(lastPayoutAt) : null;
+  if (!last || Number.isNaN(last.getTime())) return new Date(now);
+
+  if (sched === 'WEEKLY') return new Date(weekStart(last).getTime() + 7 * DAY_MS);
+
+  const m = monthStart(last);
+  return new Date(Date.UTC(m.getUTCFullYear(), m.getUTCMonth() + 1, 1));
+}
+
+function isScheduledPayoutDue(payouts = {}, now = new Date()) {
+  const next = nextScheduledPayoutAt(payouts, now);
+  return !!next && next <= new Date(now);
+}
+
+/**
+ * Whether a seller belongs in a payout review right now.
+ * `payouts` is Business.payouts; `minCents` is the reviewer's minimum,
+ * raised to the seller's own minimum when that is higher.
+ * The schedule and withdrawal request only gate the auto-run; an admin
+ * review passes `applySchedule: false` and pays anyone above the minimum.
+ * Returns { eligible, reason } with reason one of: 'requested',
+ * 'scheduled', 'manual', 'disabled', 'no-paypal', 'no-balance',
+ * 'below-minimum', 'on-demand', 'not-due'.
+ */
+function payoutDecision({
+  payouts = {},
+  availableCents = 0,
+  minCents = 0,
+  now = new Date(),
+  applySchedule = true,
+}) {
+  const available = Math.trunc(Number(availableCents) || 0);
+
+  if (!payouts?.enabled) return { eligible: false, reason: 'disabled' };
+  if (!String(payouts?.paypalEmail || '').trim()) return { eligible: false, reason: 'no-paypal' };
+  if (available <= 0) return { eligible: false, reason: 'no-balance' };
+
+  if (available < Math.max(toCents(minCents), toCents(payouts?.minimumCents))) {
+    return { eligible: false, reason: 'below-minimum' };
+  }
+
+  if (payouts?.withdrawalRequestedAt) return { eligible: true, reason: 'requested' };
+  if (!applySchedule) return { eligible: true, reason: 'manual' };
+
+  if (normalizePayoutSchedule(payouts?.schedule) === 'ON_DEMAND') {
+    return { eligible: false, reason: 'on-demand' };
+  }
+
+  return isScheduledPayoutDue(payouts, now)
+    ? { eligible: true, reason: 'scheduled' }
+    : { eligible: false, reason: 'not-due' };
+}
+
+/** Why the seller cannot request a withdrawal now ('' when they can). */
+function withdrawalBlockReason({ payouts = {}, availableCents = 0 }) {
+  const available = Math.trunc(Number(availableCents) || 0);
+
+  if (payouts?.withdrawalRequestedAt) return 'You already have a withdrawal request in progress.';
+  if (!payouts?.enabled || !String(payouts?.paypalEmail || '').trim()) {
+    return 'Turn on payouts and add your PayPal email in your business details first.';
+  }
+  if (available <= 0) return 'You have no available balance to withdraw yet.';
+  if (available < toCents(payouts?.minimumCents)) {
+    return 'Your available balance is below your minimum payout amount.';
+  }
+
+  return '';
+}
+
+module.exports = {
+  PAYOUT_SCHEDULES,
+  DEFAULT_PAYOUT_SCHEDULE,
+  PAYOUT_SCHEDULE_LABELS,
+  normalizePayoutSchedule,
+  nextScheduledPayoutAt,
+  isScheduledPayoutDue,
+  payoutDecision,
+  withdrawalBlockReason,
+};
@@ -0,0 +1,209 @@
+// utils/payouts/renderSellerStatementPdf.js
+'use strict';
+
+const PDFDocument = require('pdfkit');
+const { centsToMoneyString } = require('../money');
+
+const PAGE_MARGIN = 50;
+const BRAND_PURPLE = '#7C3AED';
+const MUTED = '#64748B';
+
+// Column layout for the movement table (x offset, width, alignment).
+const COLUMNS = [
+  { key: 'date', label: 'Date', x: 0, width: 62, align: 'left' },
+  { key: 'label', label: 'Type', x: 62, width: 78, align: 'left' },
+  { key: 'reference', label: 'Order / payout', x: 140, width: 140, align: 'left' },
+  { key: 'available', label: 'Available', x: 280, width: 70, align: 'left' },
+  { key: 'amount', label: 'Amount', x: 350, width: 70, align: 'right' },
+  { key: 'balance', label: 'Balance', x: 420, width: 75, align: 'right' },
+];
+
+function formatDate(value) {
+  const d = value ? new Date(value) : null;
+  return d && !Number.isNaN(d.getTime()) ? d.toISOString().slice(0, 10) : '';
+}
+
+function tableHeader(pdf, left, y) {
+  pdf.rect(left, y, 495, 18).fill(BRAND_PURPLE);
+  pdf.font('Helvetica-Bold').fontSize(8).fillColor('#fff');
+
+  COLUMNS.forEach((col) => {
+    pdf.text(col.label, left + col.x + 4, y + 5, { width: col.width - 8, align: col.align });
+  });
+
+  pdf.fillColor('#000');
+  return y + 22;
+}
+
+function lineCells(line) {
+  return {
+    date: formatDate(line.at),
+    label: line.label,
+    reference: [
+      line.orderRef && `Order ${line.orderRef}`,
+      line.payoutRef && `Payout ${line.payoutRef}`,
+    ]
+      .filter(Boolean)
+      .join('\n'),
+    available:
+      line.type === 'EARNING'
+        ? `${formatDate(line.availableAt)}${line.pending ? ' (pending)' : ''}`
+        : '',
+    amount: centsToMoneyString(line.amountCents),
+    balance: centsToMoneyString(line.balanceCents),
+  };
+}
+
+/**
+ * Renders a statement from loadSellerStatement() to a PDF Buffer.
+ * `business` is { name, email } for the heading.
+ */
+function renderSellerStatementPdf(statement, business = {}) {
+  return new Promise((resolve, reject) => {
+    const currency = statement.currency || '';
+    const pdf = new PDFDocument({
+      size: 'A4',
+      margin: PAGE_MARGIN,
+      info: {
+        Title: `Statement ${statement.month.key} ${business.name || ''}`.trim(),
+        Author: 'Kasyora',
+      },
+    });
+
+    const chunks = [];
+    pdf.on('data', (chunk) => chunks.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+
+    const left = PAGE_MARGIN;
+    const bottom = pdf.page.height - PAGE_MARGIN;
+
+    // ---------- Heading ----------
+    pdf
+      .font('Helvetica-Bold')
+      .fontSize(20)
+      .fillColor(BRAND_PURPLE)
+      .text('SELLER STATEMENT', left, PAGE_MARGIN);
+
+    pdf
+      .font('Helvetica-Bold')
+      .fontSize(10)
+      .fillColor('#000')
+      .text(business.name || '-', left, PAGE_MARGIN + 30, { width: 280 });
+    if (business.email) {
+      pdf.font('Helvetica').fontSize(9).text(business.email, { width: 280 });
+    }
+
+    const meta = [
+      ['Period', statement.month.label],
+      ['From', formatDate(statement.month.start)],
+      ['To', formatDate(new Date(statement.month.end.getTime() - 1))],
+      ['Currency', currency],
+    ];
+
+    let metaY = PAGE_MARGIN;
+    meta.forEach(([label, value]) => {
+      pdf.font('Helvetica').fontSize(9).fillColor(MUTED).text(label, 345, metaY, { width: 70 });
+      pdf
+        .font('Helvetica-Bold')
+        .fillColor('#000')
+        .text(String(value || ''), 415, metaY, { width: 130, align: 'right' });
+      metaY += 13;
+    });
+
+    // ---------- Summary ----------
+    let y = Math.max(metaY, pdf.y) + 16;
+    const summary = [
+      ['Opening balance', statement.openingBalanceCents],
+      ['Credits', statement.creditsCents],
+      ['Debits', statement.debitsCents],
+      ['Closing balance', statement.closingBalanceCents],
+      [statement.isCurrentMonth ? 'Pending today' : 'Pending at month end', statement.pendingCents],
+      [
+        statement.isCurrentMonth ? 'Available today' : 'Available at month end',
+        statement.maturedCents,
+      ],
+    ];
+
+    summary.forEach(([label, cents], i) => {
+      const bold = i === 3;
+      pdf
+        .font(bold ? 'Helvetica-Bold' : 'Helvetica')
+        .fontSize(9)
+        .fillColor(bold ? '#000' : MUTED)
+        .text(label, left, y, { width: 200 });
+      pdf.fillColor('#000').text(`${currency} ${centsToMoneyString(cents)}`, left + 200, y, {
+        width: 100,
+        align: 'right',
+      });
+      y += 14;
+    });
+
+    // ---------- Movements ----------
+    y = tableHeader(pdf, left, y + 12);
+
+    if (!statement.lines.length) {
+      pdf.font('Helvetica').fontSize(9).fillColor(MUTED).text('No movements this month.', left, y);
+      y += 18;
+    }
+
+    statement.lines.forEach((line) => {
+      const cells = lineCells(line);
+      pdf.font('Helvetica').fontSize(8);
+
+      const rowHeight =
+        Math.max(
+          12,
+          pdf.heightOfString(cells.reference || ' ', { width: COLUMNS[2].width - 8 }),
+          pdf.heightOfString(cells.label, { width: COLUMNS[1].width - 8 }),
+        ) + 6;
+
+      if (y + rowHeight > bottom - 30) {
+        pdf.addPage();
+        y = tableHeader(pdf, left, PAGE_MARGIN);
+        pdf.font('Helvetica').fontSize(8);
+      }
+
+      COLUMNS.forEach((col) => {
+        pdf
+          .fillColor(col.key === 'available' && line.pending ? MUTED : '#000')
+          .text(String(cells[col.key] ?? ''), left + col.x + 4, y, {
+            width: col.width - 8,
+            align: col.align,
+          });
+      });
+
+      y += rowHeight;
+      pdf
+        .moveTo(left, y - 3)
+        .lineTo(left + 495, y - 3)
+        .strokeColor('#E2E8F0')
+        .lineWidth(0.5)
+        .stroke();
+    });
+
+    // ---------- Notes ----------
+    if (y > bottom - 40) {
+      pdf.addPage();
+      y = PAGE_MARGIN;
+    }
+
+    pdf
+      .font('Helvetica')
+      .fontSize(8)
+      .fillColor(MUTED)
+      .text(
+        'Times are UTC. Sale earnings become available for payout on their "Available" date; ' +
+          'until then they count as pending. Dispute holds are returned when the dispute closes.',
+        left,
+        y + 10,
+        { width: 495 },
+      );
+
+    pdf.end();
+  });
+}
+
+module.exports = {
+  renderSellerStatementPdf,
+};
@@ -0,0 +1,204 @@
+// utils/payouts/sellerStatementRules.js
+'use strict';
+
+/*
+ * Pure pieces of the monthly seller statement: month parsing, turning
+ * SellerBalanceLedger rows into statement lines with a running balance,
+ * and the CSV export. Loading rows lives in sellerStatementService.js.
+ */
+
+const { centsToMoneyString } = require('../money');
+
+const LEDGER_TYPE_LABELS = {
+  EARNING: 'Sale earnings',
+  REFUND_DEBIT: 'Refund',
+  ADJUSTMENT: 'Adjustment',
+  PAYOUT_DEBIT: 'Payout',
+  DISPUTE_HOLD: 'Dispute hold',
+  DISPUTE_RELEASE: 'Dispute hold released',
+  DISPUTE_DEBIT: 'Dispute lost',
+};
+
+const MONTH_RE = /^(\d{4})-(\d{2})$/;
+
+function monthKey(date) {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * 'YYYY-MM' (UTC) -> { key, label, start, end } with `end` exclusive.
+ * Anything unparseable falls back to the month containing `now`.
+ */
+function parseStatementMonth(value, now = new Date()) {
+  const m = MONTH_RE.exec(String(value || '').trim());
+  const year = m ? Number(m[1]) : new Date(now).getUTCFullYear();
+  const month = m && Number(m[2]) >= 1 && Number(m[2]) <= 12 ? Number(m[2]) - 1 : null;
+
+  const start =
+    month == null
+      ? new Date(Date.UTC(new Date(now).getUTCFullYear(), new Date(now).getUTCMonth(), 1))
+      : new Date(Date.UTC(year, month, 1));
+  const end = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+
+  return {
+    key: monthKey(start),
+    label: start.toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' }),
+    start,
+    end,
+  };
+}
+
+/** Month keys from `first` up to the month of `now`, newest first. */
+function statementMonths(first, now = new Date()) {
+  const last = parseStatementMonth(monthKey(now), now);
+  let cursor = parseStatementMonth(monthKey(first || now), now);
+  const out = [];
+
+  while (cursor.start <= last.start && out.length < 120) {
+    out.unshift(cursor.key);
+    cursor = parseStatementMonth(monthKey(cursor.end), now);
+  }
+
+  return out;
+}
+
+function orderRefOf(row) {
+  const meta = row?.meta || {};
+  return String(meta.orderPublicId || meta.orderRef || row?.orderId || '');
+}
+
+function payoutRefOf(row) {
+  const meta = row?.meta || {};
+  if (!row?.payoutId && !meta.batchId && !meta.senderBatchId) return '';
+  return String(meta.batchId || meta.senderBatchId || row.payoutId || '');
+}
+
+/**
+ * Builds the statement for one business, month and currency.
+ *
+ * `openingBalanceCents` is the sum of all rows before the month,
+ * `rows` the month's rows (any order) and `pendingAtCloseCents` the
+ * EARNING cents created before the month ended that had not matured by
+ * the close (or by `now` for the current month).
+ */
+function buildSellerStatement({
+  month,
+  currency,
+  openingBalanceCents = 0,
+  rows = [],
+  pendingAtCloseCents = 0,
+  now = new Date(),
+}) {
+  const closeAt = new Date(Math.min(month.end.getTime(), new Date(now).getTime()));
+  const byType = {};
+  let credits = 0;
+  let debits = 0;
+  let balance = Math.trunc(Number(openingBalanceCents) || 0);
+
+  const lines = [...rows]
+    .sort(
+      (a, b) =>
+        new Date(a.createdAt) - new Date(b.createdAt) || String(a._id).localeCompare(String(b._id)),
+    )
+    .map((row) => {
+      const amountCents = Math.trunc(Number(row.amountCents) || 0);
+      balance += amountCents;
+
+      if (amountCents >= 0) credits += amountCents;
+      else debits += amountCents;
+      byType[row.type] = (byType[row.type] || 0) + amountCents;
+
+      const availableAt = row.availableAt ? new Date(row.availableAt) : null;
+
+      return {
+        id: String(row._id || ''),
+        at: new Date(row.createdAt),
+        type: row.type,
+        label: LEDGER_TYPE_LABELS[row.type] || row.type,
+        note: String(row.note || ''),
+        orderRef: orderRefOf(row),
+        payoutRef: payoutRefOf(row),
+        amountCents,
+        availableAt,
+        pending: row.type === 'EARNING' && !!availableAt && availableAt > closeAt,
+        balanceCents: balance,
+      };
+    });
+
+  const closingBalanceCents = balance;
+  const pendingCents = Math.max(0, Math.trunc(Number(pendingAtCloseCents) || 0));
+
+  return {
+    month,
+    currency,
+    closeAt,
+    isCurrentMonth: month.end > new Date(now),
+    openingBalanceCents: Math.trunc(Number(openingBalanceCents) || 0),
+    creditsCents: credits,
+    debitsCents: debits,
+    byType,
+    lines,
+    closingBalanceCents,
+    pendingCents,
+    maturedCents: closingBalanceCents - pendingCents,
+  };
+}
+
+function csvCell(value) {
+  const s = String(value ?? '');
+  // Quote when needed and defuse spreadsheet formulas.
+  const safe = /^[=+\-@\t\r]/.test(s) && !/^-?\d+(\.\d+)?$/.test(s) ? `'${s}` : s;
+  return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+function dateCell(d) {
+  return d ? new Date(d).toISOString().replace('T', ' ').slice(0, 19) : '';
+}
+
+/** The statement as CSV text: a summary block, then one row per ledger movement. */
+function statementToCsv(statement, { businessName = '' } = {}) {
+  const money = (cents) => centsToMoneyString(cents);
+  const out = [
+    ['Statement', statement.month.key],
+    ['Business', businessName],
+    ['Currency', statement.currency],
+    ['Opening balance', money(statement.openingBalanceCents)],
+    ['Credits', money(statement.creditsCents)],
+    ['Debits', money(statement.debitsCents)],
+    ['Closing balance', money(statement.closingBalanceCents)],
+    ['Pending (not yet available)', money(statement.pendingCents)],
+    ['Available', money(statement.maturedCents)],
+    [],
+    [
+      'Date (UTC)',
+      'Type',
+      'Description',
+      'Order',
+      'Payout',
+      'Amount',
+      'Available from (UTC)',
+      'Balance',
+    ],
+    ...statement.lines.map((l) => [
+      dateCell(l.at),
+      l.label,
+      l.note,
+      l.orderRef,
+      l.payoutRef,
+      money(l.amountCents),
+      l.type === 'EARNING' ? dateCell(l.availableAt) : '',
+      money(l.balanceCents),
+    ]),
+  ];
+
+  return `${out.map((row) => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  LEDGER_TYPE_LABELS,
+  parseStatementMonth,
+  statementMonths,
+  buildSellerStatement,
+  statementToCsv,
+};
@@ -0,0 +1,102 @@
+// utils/payouts/sellerStatementService.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const SellerBalanceLedger = require('../../models/SellerBalanceLedger');
+const {
+  parseStatementMonth,
+  statementMonths,
+  buildSellerStatement,
+} = require('./sellerStatementRules');
+
+function getBaseCurrency() {
+  return (
+    String(process.env.BASE_CURRENCY || '')
+      .trim()
+      .toUpperCase() || 'USD'
+  );
+}
+
+function toObjectId(id) {
+  const s = String(id?._id || id || '').trim();
+  return mongoose.isValidObjectId(s) ? new mongoose.Types.ObjectId(s) : null;
+}
+
+async function sumCents(match) {
+  const [row] = await SellerBalanceLedger.aggregate([
+    { $match: match },
+    { $group: { _id: null, cents: { $sum: '$amountCents' } } },
+  ]);
+  return Math.trunc(Number(row?.cents || 0));
+}
+
+/**
+ * Months and currencies a business has ledger rows in, for the statement
+ * pickers. Always includes the current month and the base currency.
+ */
+async function loadStatementPeriods(businessId, now = new Date()) {
+  const businessObjId = toObjectId(businessId);
+  if (!businessObjId) return { months: statementMonths(now, now), currencies: [getBaseCurrency()] };
+
+  const [first, currencies] = await Promise.all([
+    SellerBalanceLedger.findOne({ businessId: businessObjId })
+      .sort({ createdAt: 1 })
+      .select('createdAt')
+      .lean(),
+    SellerBalanceLedger.distinct('currency', { businessId: businessObjId }),
+  ]);
+
+  return {
+    months: statementMonths(first?.createdAt || now, now),
+    currencies: [...new Set([getBaseCurrency(), ...currencies.filter(Boolean)])],
+  };
+}
+
+/**
+ * Statement for one business and month ('YYYY-MM', UTC) in one currency:
+ * opening balance, every ledger movement with its running balance, and
+ * the closing balance split into pending and matured funds.
+ */
+async function loadSellerStatement(businessId, { month, currency, now = new Date() } = {}) {
+  const businessObjId = toObjectId(businessId);
+  if (!businessObjId) {
+    const err = new Error('Invalid business id.');
+    err.status = 400;
+    throw err;
+  }
+
+  const period = parseStatementMonth(month, now);
+  const ccy = String(currency || getBaseCurrency())
+    .trim()
+    .toUpperCase()
+    .slice(0, 3);
+  const closeAt = new Date(Math.min(period.end.getTime(), new Date(now).getTime()));
+
+  const base = { businessId: businessObjId, currency: ccy };
+
+  const [openingBalanceCents, pendingAtCloseCents, rows] = await Promise.all([
+    sumCents({ ...base, createdAt: { $lt: period.start } }),
+    sumCents({
+      ...base,
+      type: 'EARNING',
+      createdAt: { $lt: period.end },
+      availableAt: { $gt: closeAt },
+    }),
+    SellerBalanceLedger.find({ ...base, createdAt: { $gte: period.start, $lt: period.end } })
+      .select('type amountCents currency availableAt orderId payoutId note meta createdAt')
+      .sort({ createdAt: 1, _id: 1 })
+      .lean(),
+  ]);
+
+  return buildSellerStatement({
+    month: period,
+    currency: ccy,
+    openingBalanceCents,
+    rows,
+    pendingAtCloseCents,
+    now,
+  });
+}
+
+module.exports = { loadSellerStatement, loadStatementPeriods };
@@ -0,0 +1,43 @@
+// utils/payouts/sendSellerStatementFile.js
+'use strict';
+
+const { statementToCsv } = require('./sellerStatementRules');
+const { renderSellerStatementPdf } = require('./renderSellerStatementPdf');
+
+function statementFileName(business, statement, ext) {
+  const slug =
+    String(business?.name || 'business')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 40) || 'business';
+  return `kasyora-statement-${slug}-${statement.month.key}-${statement.currency}.${ext}`;
+}
+
+/**
+ * Sends a statement as a CSV or PDF download. Used by both the seller
+ * and the admin statement routes so they hand out the same document.
+ */
+async function sendSellerStatementFile(res, { business, statement, format }) {
+  if (format === 'pdf') {
+    const pdf = await renderSellerStatementPdf(statement, {
+      name: business?.name || '',
+      email: business?.email || '',
+    });
+    res.set('Content-Type', 'application/pdf');
+    res.set(
+      'Content-Disposition',
+      `attachment; filename="${statementFileName(business, statement, 'pdf')}"`,
+    );
+    return res.send(pdf);
+  }
+
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set(
+    'Content-Disposition',
+    `attachment; filename="${statementFileName(business, statement, 'csv')}"`,
+  );
+  return res.send(statementToCsv(statement, { businessName: business?.name || '' }));
+}
+
+module.exports = { sendSellerStatementFile };
@@ -6,6 +6,7 @@ const mongoose = require('mongoose');
 const Payout = require('../../models/Payout');
 const SellerBalanceLedger = require('../../models/SellerBalanceLedger');
 const { getPayoutBatch } = require('./createPaypalPayoutBatch');
+const { notifySafely, notifyAdmins } = require('../notify');
 
 function getBaseCurrency() {
   return String(process.env.BASE_CURRENCY || '').trim().toUpperCase() || 'USD';
@@ -179,6 +180,41 @@ async function releaseSyncLock(payoutId, lockKey) {
   );
 }
 
+// Sellers hear about their own item; payout admins about any failure.
+async function notifyPayoutTransitions(payout, transitions) {
+  for (const t of transitions) {
+    const sent = t.status === 'SENT';
+
+    await notifySafely({
+      recipientType: 'business',
+      recipientId: t.businessId,
+      type: sent ? 'payout.sent' : 'payout.failed',
+      title: sent
+        ? `Payout of ${t.currency} ${t.value} sent`
+        : `Payout of ${t.currency} ${t.value} failed`,
+      message: sent
+        ? 'The payout was sent to your PayPal account.'
+        : 'The amount was returned to your available balance. Please check your PayPal payout email.',
+      link: '/business/dashboard',
+      dedupeKey: `${sent ? 'payout.sent' : 'payout.failed'}:${String(payout._id)}:${String(t.businessId)}`,
+    });
+  }
+
+  const failed = transitions.filter((t) => t.status === 'FAILED');
+
+  if (failed.length) {
+    await notifyAdmins(['super_admin', 'payout_admin'], {
+      type: 'payout.failed',
+      title: `Payout batch ${payout.batchId}: ${failed.length} item(s) failed`,
+      message: failed
+        .map((t) => `${t.currency} ${t.value}${t.error ? ` (${t.error})` : ''}`)
+        .join(', ')
+        .slice(0, 500),
+      dedupeKey: `payout.failed:${String(payout._id)}:${failed.map((t) => String(t.businessId)).join(',')}`,
+    });
+  }
+}
+
 async function runSyncPayoutById(payoutId, opts = {}) {
   const source = String(opts.source || 'manual').trim().toLowerCase() || 'manual';
   const webhookEventId = safeStr(opts.webhookEventId || '', 128);
@@ -245,6 +281,7 @@ async function runSyncPayoutById(payoutId, opts = {}) {
 
     const updates = [];
     const creditBacks = [];
+    const transitions = [];
 
     for (const local of payout.items || []) {
       const receiver = safeStr(local.receiver, 320).toLowerCase();
@@ -268,6 +305,16 @@ async function runSyncPayoutById(payoutId, opts = {}) {
           ? local.paidAt || new Date()
           : local.paidAt || null;
 
+      if (nextStatus !== local.status && (nextStatus === 'SENT' || nextStatus === 'FAILED')) {
+        transitions.push({
+          businessId: local.businessId,
+          status: nextStatus,
+          value,
+          currency,
+          error,
+        });
+      }
+
       updates.push({
         businessId: local.businessId,
         receiver: local.receiver,
@@ -342,6 +389,8 @@ async function runSyncPayoutById(payoutId, opts = {}) {
       }
     );
 
+    await notifyPayoutTransitions(payout, transitions);
+
     let credited = 0;
 
     const creditRows = creditBacks
@@ -135,4 +135,4 @@ async function addTrackingToPaypalOrder({
   return data;
 }
 
-module.exports = { addTrackingToPaypalOrder };
+module.exports = { addTrackingToPaypalOrder, normalizePaypalCarrier };
@@ -390,6 +390,149 @@ async function capturePaypalOrder({ paypalOrderId, requestId = '' }) {
   });
 }
 
+async function refundPaypalCapture({ captureId, amount, currency, note = '', requestId = '' }) {
+  const cleanCaptureId = safeString(captureId, 128);
+
+  if (!cleanCaptureId) {
+    const error = new Error('PayPal capture ID is required.');
+
+    error.code = 'PAYPAL_CAPTURE_ID_REQUIRED';
+
+    throw error;
+  }
+
+  const body = {};
+
+  // Omitting the amount asks PayPal for a full refund of the remaining capture.
+  if (amount !== undefined && amount !== null && amount !== '') {
+    const value = Number(amount);
+
+    if (!Number.isFinite(value) || value <= 0) {
+      const error = new Error('Refund amount must be a positive number.');
+
+      error.code = 'PAYPAL_REFUND_AMOUNT_INVALID';
+
+      throw error;
+    }
+
+    body.amount = {
+      value: value.toFixed(2),
+
+      currency_code: safeString(currency, 8).toUpperCase(),
+    };
+  }
+
+  const cleanNote = safeString(note, 255);
+
+  if (cleanNote) {
+    body.note_to_payer = cleanNote;
+  }
+
+  return paypalRequest(`/v2/payments/captures/${encodeURIComponent(cleanCaptureId)}/refund`, {
+    method: 'POST',
+
+    body,
+
+    requestId: requestId || createRequestId('paypal-refund'),
+  });
+}
+
+function requireDisputeId(disputeId) {
+  const cleanDisputeId = safeString(disputeId, 128);
+
+  if (!cleanDisputeId) {
+    const error = new Error('PayPal dispute ID is required.');
+
+    error.code = 'PAYPAL_DISPUTE_ID_REQUIRED';
+
+    throw error;
+  }
+
+  return cleanDisputeId;
+}
+
+async function getPaypalDispute(disputeId) {
+  return paypalRequest(`/v1/customer/disputes/${encodeURIComponent(requireDisputeId(disputeId))}`, {
+    method: 'GET',
+  });
+}
+
+// multipart/form-data body from { name, filename, contentType, data } parts.
+function buildMultipartBody(parts) {
+  const boundary = `----kasyora-${crypto.randomBytes(12).toString('hex')}`;
+
+  const chunks = [];
+
+  for (const part of parts) {
+    const filename = part.filename ? `; filename="${String(part.filename).replace(/"/g, '')}"` : '';
+
+    chunks.push(
+      Buffer.from(
+        `--${boundary}\r\n` +
+          `Content-Disposition: form-data; name="${String(part.name).replace(/"/g, '')}"${filename}\r\n` +
+          `Content-Type: ${part.contentType || 'application/octet-stream'}\r\n\r\n`,
+      ),
+      Buffer.isBuffer(part.data) ? part.data : Buffer.from(String(part.data ?? '')),
+      Buffer.from('\r\n'),
+    );
+  }
+
+  chunks.push(Buffer.from(`--${boundary}--\r\n`));
+
+  return {
+    body: Buffer.concat(chunks),
+
+    contentType: `multipart/form-data; boundary=${boundary}`,
+  };
+}
+
+/**
+ * POST /v1/customer/disputes/:id/provide-evidence. The endpoint takes
+ * multipart form data: the evidence JSON as "input", plus one part per
+ * file ({ name, contentType, buffer }) named after the document it backs.
+ */
+async function providePaypalDisputeEvidence({ disputeId, input, files = [] }) {
+  const path = `/v1/customer/disputes/${encodeURIComponent(requireDisputeId(disputeId))}/provide-evidence`;
+
+  const multipart = buildMultipartBody([
+    { name: 'input', contentType: 'application/json', data: JSON.stringify(input || {}) },
+
+    ...files.map((file) => ({
+      name: file.name,
+      filename: file.name,
+      contentType: file.contentType,
+      data: file.buffer,
+    })),
+  ]);
+
+  const send = async (accessToken) =>
+    fetchWithTimeout(`${getPaypalBaseUrl()}${path}`, {
+      method: 'POST',
+
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+
+        Accept: 'application/json',
+
+        'Content-Type': multipart.contentType,
+      },
+
+      body: multipart.body,
+    });
+
+  assertPaypalConfigured();
+
+  const response = await send(await getPaypalAccessToken());
+
+  if (response.status !== 401) {
+    return parsePaypalResponse(response);
+  }
+
+  clearPaypalAccessTokenCache();
+
+  return parsePaypalResponse(await send(await getPaypalAccessToken({ forceRefresh: true })));
+}
+
 function findPaypalLink(response, relation) {
   const wantedRelation = safeString(relation, 100).toLowerCase();
 
@@ -434,6 +577,10 @@ module.exports = {
   createPaypalOrder,
   getPaypalOrder,
   capturePaypalOrder,
+  refundPaypalCapture,
+
+  getPaypalDispute,
+  providePaypalDisputeEvidence,
 
   findPaypalLink,
   getPaypalApprovalUrl,
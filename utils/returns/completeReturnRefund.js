@@ -0,0 +1,269 @@
+// utils/returns/completeReturnRefund.js
+'use strict';
+
+const Order = require('../../models/Order');
+const Product = require('../../models/Product');
+const ProductStockHistory = require('../../models/ProductStockHistory');
+
+const { refundPaypalCapture } = require('../paypal/paypalClient');
+const { debitSellerFromReturn } = require('../payouts/debitSellersFromRefund');
+const { moneyToCents, centsToMoneyString } = require('../money');
+const { computeReturnRefundCents } = require('./returnPolicy');
+const { applyVariantStockDelta } = require('../inventory/variantStock');
+const { issueCreditNotesSafely } = require('../invoices/taxDocumentService');
+
+// refund.status while the PayPal refund for a return is in flight
+const RETURN_REFUND_SUBMITTING = 'SUBMITTING';
+
+function getCaptureId(order) {
+  return String(order?.paypal?.captureId || order?.captures?.[0]?.captureId || '').trim();
+}
+
+function getCapturedCents(order) {
+  const value = order?.amount?.value ?? order?.captures?.[0]?.amount?.value ?? null;
+  if (value === null || value === undefined || value === '') return null;
+
+  const cents = moneyToCents(value);
+  return Number.isFinite(cents) && cents > 0 ? cents : null;
+}
+
+function getRefundedCents(order) {
+  const refunds = Array.isArray(order?.refunds) ? order.refunds : [];
+  return refunds.reduce((sum, r) => {
+    const cents = moneyToCents(r?.amount ?? 0);
+    return sum + (Number.isFinite(cents) ? cents : 0);
+  }, 0);
+}
+
+// Mirrors the status logic in POST /payment/refund and the PayPal webhook.
+function applyOrderRefundStatus(order) {
+  const capturedCents = getCapturedCents(order);
+  const refundedCents = getRefundedCents(order);
+
+  order.refundedTotal = centsToMoneyString(refundedCents);
+  order.refundedAt = new Date();
+
+  if (capturedCents === null) {
+    order.status = 'REFUND_SUBMITTED';
+    order.paymentStatus = 'refund_submitted';
+  } else if (refundedCents >= capturedCents) {
+    order.status = 'REFUNDED';
+    order.paymentStatus = 'refunded';
+  } else if (refundedCents > 0) {
+    order.status = 'PARTIALLY_REFUNDED';
+    order.paymentStatus = 'partially_refunded';
+  }
+}
+
+function markOrderItemReturned(order, returnRequest) {
+  const item = Array.isArray(order.items) ? order.items[returnRequest.item.itemIndex] : null;
+  if (!item) return false;
+
+  const bought = Math.max(1, Number(item.quantity || 1));
+  const refundedQty = Math.min(
+    bought,
+    Number(item.refundedQuantity || 0) + Number(returnRequest.quantity || 0),
+  );
+
+  item.refundedQuantity = refundedQty;
+  item.refundStatus = refundedQty >= bought ? 'REFUNDED' : 'PARTIAL';
+  item.refundedAt = new Date();
+  item.refundReason = `Return ${returnRequest.rmaNumber}`;
+
+  return true;
+}
+
+/**
+ * Puts returned units back into Product.stock (atomic $inc) and records a
+ * 'return-restock' row in ProductStockHistory. Size/color items go back to
+ * their variant stock. Idempotent via returnRequest.restocked.
+ */
+async function restockReturnedItem(returnRequest) {
+  if (returnRequest.restocked) return { ok: true, skipped: 'already-restocked' };
+
+  const qty = Math.max(0, Math.trunc(Number(returnRequest.quantity || 0)));
+  const customId = String(returnRequest?.item?.productId || '').trim();
+  if (!qty || !customId) return { ok: false, skipped: 'nothing-to-restock' };
+
+  const variantOut = await applyVariantStockDelta(
+    [{ productId: customId, quantity: qty, variants: returnRequest?.item?.variants || {} }],
+    +1,
+    { reason: 'return-restock' },
+  );
+
+  if (variantOut.handled.size) {
+    returnRequest.restocked = true;
+    returnRequest.restockedAt = new Date();
+    return { ok: true, restocked: qty };
+  }
+
+  const product = await Product.findOneAndUpdate(
+    { customId },
+    { $inc: { stock: qty } },
+    { new: true },
+  ).select('_id business customId name stock');
+
+  if (!product) return { ok: false, skipped: 'product-not-found' };
+
+  // The Product findOneAndUpdate hook only records $set.stock, so write the row here.
+  try {
+    const after = Number(product.stock || 0);
+    await ProductStockHistory.create({
+      business: product.business,
+      product: product._id,
+      productCustomId: String(product.customId || '').trim(),
+      productName: String(product.name || '').trim(),
+      stockBefore: Math.max(0, after - qty),
+      stockAfter: after,
+      delta: qty,
+      reason: 'return-restock',
+    });
+  } catch (err) {
+    console.error('❌ Failed to write return restock history:', err);
+  }
+
+  returnRequest.restocked = true;
+  returnRequest.restockedAt = new Date();
+
+  return { ok: true, restocked: qty };
+}
+
+/**
+ * Refunds a received return through PayPal, records it on the Order,
+ * debits the returning seller's ledger and (optionally) restocks the product.
+ *
+ * Safe to retry: the PayPal request id is derived from the return id and an
+ * existing refundId on the return short-circuits the PayPal call. The
+ * refund is marked SUBMITTING before PayPal is called so the refund webhook
+ * leaves the order bookkeeping to this function.
+ */
+async function completeReturnRefund(returnRequest, { restock = true } = {}) {
+  const order = await Order.findById(returnRequest.order);
+  if (!order) {
+    const err = new Error('Order for this return no longer exists.');
+    err.code = 'RETURN_ORDER_NOT_FOUND';
+    throw err;
+  }
+
+  const captureId = getCaptureId(order);
+  if (!captureId) {
+    const err = new Error('Order has no PayPal capture to refund.');
+    err.code = 'RETURN_NO_CAPTURE';
+    throw err;
+  }
+
+  const currency = String(returnRequest.item?.currency || order?.amount?.currency || '')
+    .trim()
+    .toUpperCase();
+
+  let refundId = String(returnRequest.refund?.refundId || '').trim();
+  let amount = String(returnRequest.refund?.amount || '').trim();
+  let paypalStatus = String(returnRequest.refund?.status || '').trim();
+
+  if (!refundId) {
+    const refundCents = computeReturnRefundCents({
+      unitPrice: returnRequest.item?.unitPrice,
+      quantity: returnRequest.quantity,
+      capturedCents: getCapturedCents(order),
+      refundedCents: getRefundedCents(order),
+    });
+
+    if (refundCents <= 0) {
+      const err = new Error('Nothing left to refund on this order.');
+      err.code = 'RETURN_NOTHING_TO_REFUND';
+      throw err;
+    }
+
+    returnRequest.refund = {
+      status: RETURN_REFUND_SUBMITTING,
+      amount: centsToMoneyString(refundCents),
+      currency,
+    };
+    await returnRequest.save();
+
+    const refund = await refundPaypalCapture({
+      captureId,
+      amount: centsToMoneyString(refundCents),
+      currency,
+      note: `Refund for return ${returnRequest.rmaNumber}`,
+      requestId: `return-refund-${String(returnRequest._id)}`,
+    });
+
+    refundId = String(refund?.id || '').trim();
+    amount = String(refund?.amount?.value || centsToMoneyString(refundCents));
+    paypalStatus = String(refund?.status || 'COMPLETED');
+
+    // Persist the refundId right away so a failure below never refunds twice.
+    returnRequest.refund = { refundId, status: paypalStatus, amount, currency, refundedAt: new Date() };
+    await returnRequest.save();
+  }
+
+  order.refunds = Array.isArray(order.refunds) ? order.refunds : [];
+  const alreadyOnOrder = order.refunds.some((r) => String(r?.refundId || '') === refundId);
+
+  if (!alreadyOnOrder) {
+    order.refunds.push({
+      refundId,
+      status: paypalStatus,
+      amount,
+      currency,
+      createdAt: new Date(),
+      source: `return:${returnRequest.rmaNumber}`,
+    });
+
+    markOrderItemReturned(order, returnRequest);
+  }
+
+  applyOrderRefundStatus(order);
+
+  // Stock for returned units is handled per item below. Without this flag a
+  // later full-refund path (admin refund, PayPal webhook) would restore the
+  // whole order's stock a second time.
+  if (String(order.status || '').toUpperCase() === 'REFUNDED') {
+    order.inventoryRestored = true;
+  }
+
+  await order.save();
+
+  await issueCreditNotesSafely(order, {
+    refundId,
+    reason: `Return ${returnRequest.rmaNumber}`,
+    items: [
+      {
+        name: returnRequest.item?.name,
+        quantity: returnRequest.quantity,
+        variants: returnRequest.item?.variants,
+      },
+    ],
+  });
+
+  let ledger = null;
+  try {
+    ledger = await debitSellerFromReturn(order, returnRequest, { refundId, currency });
+  } catch (err) {
+    ledger = { ok: false, error: err?.message || String(err) };
+  }
+
+  let restockResult = null;
+  if (restock) {
+    restockResult = await restockReturnedItem(returnRequest);
+  }
+
+  returnRequest.refund = {
+    refundId,
+    status: paypalStatus,
+    amount,
+    currency,
+    refundedAt: returnRequest.refund?.refundedAt || new Date(),
+    lastError: '',
+    ledger,
+  };
+
+  return { order, refundId, amount, currency, ledger, restock: restockResult };
+}
+
+module.exports = {
+  RETURN_REFUND_SUBMITTING,
+  completeReturnRefund,
+  restockReturnedItem,
+};
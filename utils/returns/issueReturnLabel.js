@@ -0,0 +1,76 @@
+// utils/returns/issueReturnLabel.js
+'use strict';
+
+const Product = require('../../models/Product');
+
+const { buildShippoParcelsFromCart_Strict } = require('../payment/buildShippoParcelsFromCart');
+const { createReturnLabelForOrder } = require('../shippo/createLabelForOrder');
+
+const { buildCourierGuyParcelsFromCart } = require('../courierGuy/buildCourierGuyParcelsFromCart');
+const { createCourierGuyReturnShipment } = require('../courierGuy/createCourierGuyReturnShipment');
+
+function returnCart(returnRequest) {
+  return {
+    items: [
+      {
+        customId: String(returnRequest?.item?.productId || '').trim(),
+        quantity: Math.max(1, Number(returnRequest?.quantity || 1)),
+      },
+    ],
+  };
+}
+
+/**
+ * Buys a return label with the same provider the order shipped with and
+ * returns the fields to store on ReturnRequest.returnLabel.
+ * Throws on failure; the caller decides how to surface it.
+ */
+async function issueReturnLabel(returnRequest, order) {
+  if (!returnRequest || !order) {
+    const err = new Error('Return request and order are required.');
+    err.code = 'RETURN_LABEL_INPUT_MISSING';
+    throw err;
+  }
+
+  const provider = String(order.shippingProvider || 'SHIPPO').trim().toUpperCase();
+  const reference = String(returnRequest.rmaNumber || '').trim();
+  const cart = returnCart(returnRequest);
+
+  if (provider === 'COURIER_GUY') {
+    const parcels = await buildCourierGuyParcelsFromCart(cart, { Product });
+    const { shipment } = await createCourierGuyReturnShipment(order, { parcels, reference });
+
+    return {
+      provider: 'COURIER_GUY',
+      carrier: 'The Courier Guy',
+      service: String(order?.courierGuy?.chosenRate?.service || ''),
+      trackingNumber: shipment.trackingReference || shipment.waybillNumber || '',
+      trackingUrl: shipment.trackingUrl || '',
+      labelUrl: shipment.labelUrl || shipment.waybillUrl || shipment.stickerUrl || '',
+      shipmentId: shipment.shipmentId || '',
+      transactionId: '',
+      createdAt: new Date(),
+      lastError: '',
+    };
+  }
+
+  const parcels = await buildShippoParcelsFromCart_Strict(cart, { Product });
+  const label = await createReturnLabelForOrder(order, { parcels, reference });
+
+  return {
+    provider: 'SHIPPO',
+    carrier: String(label.chosenRate?.provider || ''),
+    service: String(label.chosenRate?.servicelevel?.name || ''),
+    trackingNumber: String(label.trackingNumber || ''),
+    trackingUrl: String(label.trackingUrl || ''),
+    labelUrl: String(label.labelUrl || ''),
+    shipmentId: String(label.shipment?.object_id || ''),
+    transactionId: String(label.transaction?.object_id || ''),
+    createdAt: new Date(),
+    lastError: '',
+  };
+}
+
+module.exports = {
+  issueReturnLabel,
+};
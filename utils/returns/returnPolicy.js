@@ -0,0 +1,190 @@
+// utils/returns/returnPolicy.js
+'use strict';
+
+const { moneyToCents, centsToMoneyString } = require('../money');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses where a return is still allowed even though the order
+// is no longer "paid-like" (an earlier return was already refunded).
+const RETURNABLE_EXTRA_STATUSES = ['PARTIALLY_REFUNDED'];
+
+function getBaseCurrency() {
+  return String(process.env.BASE_CURRENCY || '').trim().toUpperCase() || 'USD';
+}
+
+function getReturnWindowDays() {
+  const n = Number.parseInt(String(process.env.RETURN_WINDOW_DAYS || '30').trim(), 10);
+  if (!Number.isFinite(n)) return 30;
+  return Math.max(0, Math.min(365, n));
+}
+
+// Window starts at delivery when we know it, otherwise at purchase.
+function getReturnWindowStart(order) {
+  const delivered = order?.shippingTracking?.deliveredAt;
+  const start = delivered ? new Date(delivered) : new Date(order?.createdAt || 0);
+  return Number.isNaN(start.getTime()) ? null : start;
+}
+
+function isOrderPaidForReturns(order) {
+  if (!order) return false;
+
+  const status = String(order.status || '').trim().toUpperCase();
+  if (RETURNABLE_EXTRA_STATUSES.includes(status)) return true;
+
+  if (typeof order.isPaidLike === 'function') return order.isPaidLike();
+
+  const paymentStatus = String(order.paymentStatus || '').trim().toUpperCase();
+  return ['COMPLETED', 'PAID', 'SHIPPED', 'DELIVERED', 'CAPTURED'].some(
+    (s) => s === status || s === paymentStatus,
+  );
+}
+
+/**
+ * Order-level check. Returns { ok, code, message, windowEndsAt }.
+ */
+function checkOrderReturnable(order, { now = new Date() } = {}) {
+  if (!order) return { ok: false, code: 'NO_ORDER', message: 'Order not found.' };
+
+  if (!isOrderPaidForReturns(order)) {
+    return { ok: false, code: 'NOT_PAID', message: 'Only paid orders can be returned.' };
+  }
+
+  const captureId = String(order?.paypal?.captureId || order?.captures?.[0]?.captureId || '').trim();
+  if (!captureId) {
+    return {
+      ok: false,
+      code: 'NO_CAPTURE',
+      message: 'This order has no payment capture to refund against.',
+    };
+  }
+
+  const start = getReturnWindowStart(order);
+  if (!start) {
+    return { ok: false, code: 'NO_DATE', message: 'Order date is missing.' };
+  }
+
+  const windowEndsAt = new Date(start.getTime() + getReturnWindowDays() * DAY_MS);
+  if (new Date(now).getTime() > windowEndsAt.getTime()) {
+    return {
+      ok: false,
+      code: 'WINDOW_CLOSED',
+      message: `The ${getReturnWindowDays()}-day return window for this order has closed.`,
+      windowEndsAt,
+    };
+  }
+
+  return { ok: true, code: 'OK', message: '', windowEndsAt };
+}
+
+/**
+ * How many units of order.items[itemIndex] can still be returned.
+ * openReturns: ReturnRequest-like rows ({ item: { itemIndex }, quantity }) still in progress.
+ */
+function getReturnableQuantity(order, itemIndex, openReturns = []) {
+  const items = Array.isArray(order?.items) ? order.items : [];
+  const item = items[itemIndex];
+  if (!item) return 0;
+
+  const bought = Math.max(0, Math.trunc(Number(item.quantity || 1)));
+  const refunded = Math.max(0, Math.trunc(Number(item.refundedQuantity || 0)));
+
+  const pending = (Array.isArray(openReturns) ? openReturns : [])
+    .filter((r) => Number(r?.item?.itemIndex) === Number(itemIndex))
+    .reduce((sum, r) => sum + Math.max(0, Math.trunc(Number(r?.quantity || 0))), 0);
+
+  return Math.max(0, bought - refunded - pending);
+}
+
+/**
+ * GROSS unit price the buyer paid for an item (falls back to the net price),
+ * after the line's share of any coupon discount.
+ */
+function getItemUnitPrice(item, order) {
+  const money = item?.priceGross?.value != null ? item.priceGross : item?.price || {};
+  let cents = moneyToCents(money?.value ?? 0);
+
+  // item.discount is the NET discount for the whole line; scale it by the
+  // line's gross/net ratio so the VAT share comes off too.
+  const discountCents = moneyToCents(item?.discount?.value ?? 0);
+  const netUnitCents = moneyToCents(item?.price?.value ?? 0);
+  const qty = Math.max(1, Math.trunc(Number(item?.quantity || 1)));
+
+  if (Number.isFinite(cents) && discountCents > 0 && netUnitCents > 0) {
+    const lineNetCents = netUnitCents * qty;
+    const paidShare = Math.max(0, lineNetCents - discountCents) / lineNetCents;
+    cents = Math.round(cents * paidShare);
+  }
+
+  return {
+    value: centsToMoneyString(Number.isFinite(cents) ? cents : 0),
+    currency: String(money?.currency || order?.amount?.currency || getBaseCurrency())
+      .trim()
+      .toUpperCase(),
+  };
+}
+
+/**
+ * Refund amount (gross) for `quantity` units at `unitPrice`,
+ * capped at what is still refundable on the capture.
+ */
+function computeReturnRefundCents({ unitPrice, quantity, capturedCents, refundedCents }) {
+  const unitCents = moneyToCents(unitPrice);
+  const qty = Math.max(0, Math.trunc(Number(quantity || 0)));
+  const want = Number.isFinite(unitCents) ? unitCents * qty : 0;
+
+  if (!Number.isFinite(Number(capturedCents)) || capturedCents === null) return Math.max(0, want);
+
+  const remaining = Math.max(0, Number(capturedCents) - Math.max(0, Number(refundedCents || 0)));
+  return Math.max(0, Math.min(want, remaining));
+}
+
+/**
+ * Net cents to take back from the returning seller: the returned units'
+ * share of their EARNING rows for the product, less what earlier returns of
+ * the same product already debited. Earnings of other sellers (or the
+ * supplier's row on an imported product) are never touched.
+ */
+function computeReturnDebitCents({
+  earnings,
+  sellerBusinessId,
+  productId,
+  quantity,
+  orderedQuantity,
+  alreadyDebitedCents = 0,
+}) {
+  const seller = String(sellerBusinessId || '');
+  const product = String(productId || '').trim();
+
+  const rows = (Array.isArray(earnings) ? earnings : []).filter(
+    (e) =>
+      String(e?.businessId?._id || e?.businessId || '') === seller &&
+      String(e?.meta?.productCustomId || '').trim() === product &&
+      (e?.meta?.payoutRole || 'seller') === 'seller',
+  );
+
+  const netCents = rows.reduce((sum, e) => sum + Math.max(0, Number(e.amountCents || 0)), 0);
+  if (!product || netCents <= 0) return 0;
+
+  // meta.qty covers every line of this product; older rows lack it.
+  const soldQty =
+    rows.reduce((sum, e) => sum + Math.max(0, Math.trunc(Number(e?.meta?.qty || 0))), 0) ||
+    Math.max(1, Math.trunc(Number(orderedQuantity || 1)));
+
+  const qty = Math.min(soldQty, Math.max(0, Math.trunc(Number(quantity || 0))));
+  const want = Math.round((netCents * qty) / soldQty);
+  const left = netCents - Math.max(0, Math.trunc(Number(alreadyDebitedCents || 0)));
+
+  return Math.max(0, Math.min(want, left));
+}
+
+module.exports = {
+  getReturnWindowDays,
+  getReturnWindowStart,
+  isOrderPaidForReturns,
+  checkOrderReturnable,
+  getReturnableQuantity,
+  getItemUnitPrice,
+  computeReturnRefundCents,
+  computeReturnDebitCents,
+};
@@ -0,0 +1,270 @@
+// utils/returns/returnService.js
+'use strict';
+
+const crypto = require('crypto');
+
+const ReturnRequest = require('../../models/ReturnRequest');
+const Order = require('../../models/Order');
+const Product = require('../../models/Product');
+const User = require('../../models/User');
+
+const {
+  checkOrderReturnable,
+  getReturnableQuantity,
+  getItemUnitPrice,
+} = require('./returnPolicy');
+const { issueReturnLabel } = require('./issueReturnLabel');
+const { completeReturnRefund } = require('./completeReturnRefund');
+const { sendReturnStatusEmail } = require('../emails/returnStatusEmail');
+
+function returnError(message, code, status = 400) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+function safeText(value, max = 2000) {
+  return String(value ?? '')
+    .trim()
+    .slice(0, max);
+}
+
+function generateRmaNumber(now = new Date()) {
+  const d = new Date(now);
+  const ymd = [
+    String(d.getUTCFullYear()).slice(-2),
+    String(d.getUTCMonth() + 1).padStart(2, '0'),
+    String(d.getUTCDate()).padStart(2, '0'),
+  ].join('');
+
+  return `RMA-${ymd}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+}
+
+async function findOpenReturnsForOrder(orderId) {
+  return ReturnRequest.find({
+    order: orderId,
+    status: { $in: ReturnRequest.OPEN_RETURN_STATUSES },
+  })
+    .select('item.itemIndex quantity status')
+    .lean();
+}
+
+function assertStatus(returnRequest, allowed, action) {
+  if (!allowed.includes(returnRequest.status)) {
+    throw returnError(
+      `Cannot ${action} a return that is ${String(returnRequest.status).toLowerCase()}.`,
+      'RETURN_BAD_STATUS',
+      409,
+    );
+  }
+}
+
+// Best effort: a mail outage must never roll back a return transition.
+async function notifyBuyer(returnRequest, order) {
+  try {
+    let to = '';
+    if (returnRequest.userId) {
+      const user = await User.findById(returnRequest.userId).select('email').lean();
+      to = user?.email || '';
+    }
+
+    const orderDoc = order || (await Order.findById(returnRequest.order).lean());
+    await sendReturnStatusEmail({ to, returnRequest, order: orderDoc });
+  } catch (err) {
+    console.warn('⚠️ Return status email failed:', err?.message || String(err));
+  }
+}
+
+/**
+ * Buyer opens a return for `quantity` units of order.items[itemIndex].
+ */
+async function createReturnRequest({ order, itemIndex, quantity, reason, details, actor = {} }) {
+  const eligibility = checkOrderReturnable(order);
+  if (!eligibility.ok) throw returnError(eligibility.message, `RETURN_${eligibility.code}`);
+
+  const index = Number.parseInt(String(itemIndex), 10);
+  const item = Number.isInteger(index) && index >= 0 ? order.items?.[index] : null;
+  if (!item) throw returnError('Order item not found.', 'RETURN_ITEM_NOT_FOUND', 404);
+
+  if (!ReturnRequest.RETURN_REASONS.includes(reason)) {
+    throw returnError('Please choose a return reason.', 'RETURN_REASON_INVALID');
+  }
+
+  const qty = Number.parseInt(String(quantity), 10);
+  const openReturns = await findOpenReturnsForOrder(order._id);
+  const returnable = getReturnableQuantity(order, index, openReturns);
+
+  if (!Number.isInteger(qty) || qty < 1 || qty > returnable) {
+    throw returnError(
+      returnable > 0
+        ? `You can return between 1 and ${returnable} of this item.`
+        : 'This item has no units left to return.',
+      'RETURN_QUANTITY_INVALID',
+    );
+  }
+
+  const product = await Product.findOne({ customId: String(item.productId || '').trim() })
+    .select('business')
+    .lean();
+
+  if (!product?.business) {
+    throw returnError(
+      'This product is no longer listed, please contact support for a return.',
+      'RETURN_PRODUCT_NOT_FOUND',
+      404,
+    );
+  }
+
+  const unitPrice = getItemUnitPrice(item, order);
+
+  const returnRequest = new ReturnRequest({
+    rmaNumber: generateRmaNumber(),
+    order: order._id,
+    orderPublicId: String(order.orderId || ''),
+    userId: order.userId || null,
+    businessBuyer: order.businessBuyer || null,
+    sellerBusiness: product.business,
+    item: {
+      itemIndex: index,
+      productId: String(item.productId || '').trim(),
+      name: item.name || '',
+      imageUrl: item.imageUrl || '',
+      variants: { size: item.variants?.size, color: item.variants?.color },
+      unitPrice: unitPrice.value,
+      currency: unitPrice.currency,
+    },
+    quantity: qty,
+    reason,
+    details: safeText(details, 2000),
+  });
+
+  returnRequest.pushHistory('REQUESTED', { type: actor.type || 'buyer', id: actor.id }, '');
+  await returnRequest.save();
+
+  // Two requests for the same item can both pass the check above. Recount
+  // with only the returns opened before this one (ObjectIds sort by
+  // creation), so the earliest request wins and a late one is withdrawn.
+  const earlier = (await findOpenReturnsForOrder(order._id)).filter(
+    (r) => String(r._id) < String(returnRequest._id),
+  );
+
+  if (getReturnableQuantity(order, index, earlier) < qty) {
+    await ReturnRequest.deleteOne({ _id: returnRequest._id });
+
+    const left = getReturnableQuantity(order, index, earlier);
+    throw returnError(
+      left > 0
+        ? `You can return between 1 and ${left} of this item.`
+        : 'This item has no units left to return.',
+      'RETURN_QUANTITY_INVALID',
+    );
+  }
+
+  notifyBuyer(returnRequest, order);
+
+  return returnRequest;
+}
+
+async function cancelReturnRequest(returnRequest, actor = {}) {
+  assertStatus(returnRequest, ['REQUESTED'], 'cancel');
+
+  returnRequest.pushHistory('CANCELLED', actor, 'Cancelled by buyer');
+  await returnRequest.save();
+
+  return returnRequest;
+}
+
+async function rejectReturnRequest(returnRequest, actor = {}, note = '') {
+  assertStatus(returnRequest, ['REQUESTED'], 'reject');
+
+  const cleanNote = safeText(note, 1000);
+  if (!cleanNote) {
+    throw returnError('Please tell the buyer why the return was rejected.', 'RETURN_NOTE_REQUIRED');
+  }
+
+  returnRequest.sellerNote = cleanNote;
+  returnRequest.pushHistory('REJECTED', actor, cleanNote);
+  await returnRequest.save();
+
+  notifyBuyer(returnRequest);
+
+  return returnRequest;
+}
+
+/**
+ * Seller approves the return and we buy the return label.
+ * Calling it again on an APPROVED return retries the label purchase.
+ */
+async function approveReturnRequest(returnRequest, actor = {}, note = '') {
+  assertStatus(returnRequest, ['REQUESTED', 'APPROVED'], 'approve');
+
+  if (returnRequest.status === 'REQUESTED') {
+    returnRequest.sellerNote = safeText(note, 1000);
+    returnRequest.pushHistory('APPROVED', actor, returnRequest.sellerNote);
+    await returnRequest.save();
+  }
+
+  const order = await Order.findById(returnRequest.order);
+  if (!order) throw returnError('Order for this return no longer exists.', 'RETURN_ORDER_NOT_FOUND', 404);
+
+  try {
+    returnRequest.returnLabel = await issueReturnLabel(returnRequest, order);
+    returnRequest.pushHistory('LABEL_ISSUED', { type: 'system' }, returnRequest.returnLabel.trackingNumber);
+  } catch (err) {
+    console.error('❌ Return label purchase failed:', err?.message || err);
+    returnRequest.returnLabel = {
+      ...(returnRequest.returnLabel?.toObject?.() || {}),
+      lastError: safeText(err?.message || 'Label purchase failed.', 500),
+    };
+  }
+
+  await returnRequest.save();
+
+  notifyBuyer(returnRequest, order);
+
+  return returnRequest;
+}
+
+/**
+ * Seller confirms the goods arrived. Refunds the buyer, debits the seller
+ * ledger and restocks. A REFUND_FAILED return can be retried.
+ */
+async function receiveReturn(returnRequest, actor = {}, { restock = true } = {}) {
+  assertStatus(returnRequest, ['APPROVED', 'LABEL_ISSUED', 'RECEIVED', 'REFUND_FAILED'], 'receive');
+
+  if (returnRequest.status !== 'RECEIVED' && returnRequest.status !== 'REFUND_FAILED') {
+    returnRequest.receivedAt = new Date();
+    returnRequest.pushHistory('RECEIVED', actor, restock ? '' : 'Not restocked');
+    await returnRequest.save();
+  }
+
+  try {
+    const result = await completeReturnRefund(returnRequest, { restock });
+    returnRequest.pushHistory('REFUNDED', { type: 'system' }, result.refundId);
+    await returnRequest.save();
+
+    notifyBuyer(returnRequest, result.order);
+  } catch (err) {
+    console.error('❌ Return refund failed:', err?.message || err);
+
+    returnRequest.refund = {
+      ...(returnRequest.refund?.toObject?.() || {}),
+      lastError: safeText(err?.message || 'Refund failed.', 500),
+    };
+    returnRequest.pushHistory('REFUND_FAILED', { type: 'system' }, returnRequest.refund.lastError);
+    await returnRequest.save();
+  }
+
+  return returnRequest;
+}
+
+module.exports = {
+  generateRmaNumber,
+  findOpenReturnsForOrder,
+  createReturnRequest,
+  cancelReturnRequest,
+  rejectReturnRequest,
+  approveReturnRequest,
+  receiveReturn,
+};
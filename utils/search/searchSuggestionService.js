@@ -0,0 +1,175 @@
+// utils/search/searchSuggestionService.js
+'use strict';
+
+const Product = require('../../models/Product');
+const CjProduct = require('../../models/CjProduct');
+const SearchQuery = require('../../models/SearchQuery');
+const { CATEGORIES } = require('../category');
+const { loadSearchVocabulary } = require('./shopSearchService');
+const { correctTokens } = require('./shopSearch');
+const {
+  SUGGEST_MIN_LENGTH,
+  SUGGESTION_LIMITS,
+  normalizeSuggestDepartment,
+  normalizeSearchQuery,
+  isTrackableQuery,
+  suggestionTerms,
+  buildPrefixMatch,
+  buildPopularQueryMatch,
+  matchCategories,
+  shopSearchUrl,
+} = require('./searchSuggestions');
+
+// Same visibility rules as the CJ shop page.
+const CJ_ACTIVE_MATCH = {
+  status: 'active',
+  variants: {
+    $elemMatch: {
+      isEnabled: true,
+      'sellingPriceExVat.value': { $gte: 0 },
+    },
+  },
+};
+
+const CJ_CATEGORY_FIELDS = ['category.name', 'category.secondName', 'category.firstName'];
+
+async function internalProducts(terms) {
+  const match = buildPrefixMatch(terms, ['name', 'keywords', 'manufacturer']);
+
+  const rows = await Product.find({ stock: { $gt: 0 }, ...match })
+    .select('name customId imageUrl')
+    .sort({ soldCount: -1, createdAt: -1 })
+    .limit(SUGGESTION_LIMITS.products)
+    .lean();
+
+  return rows
+    .filter((p) => p.customId)
+    .map((p) => ({
+      name: p.name,
+      image: p.imageUrl || '',
+      url: `/store/product/${encodeURIComponent(p.customId)}`,
+    }));
+}
+
+async function cjProducts(terms) {
+  const match = buildPrefixMatch(terms, ['name', 'productType', 'category.name']);
+
+  const rows = await CjProduct.find({ ...CJ_ACTIVE_MATCH, ...match })
+    .select('name cjProductId mainImageUrl')
+    .sort({ cjListedNumber: -1, updatedAt: -1, _id: -1 })
+    .limit(SUGGESTION_LIMITS.products)
+    .lean();
+
+  return rows
+    .filter((p) => String(p.cjProductId || '').trim())
+    .map((p) => ({
+      name: p.name,
+      image: p.mainImageUrl || '',
+      url: `/cj/product/${encodeURIComponent(String(p.cjProductId).trim())}`,
+    }));
+}
+
+async function cjCategories(terms) {
+  const match = buildPrefixMatch(terms, CJ_CATEGORY_FIELDS);
+
+  const rows = await CjProduct.aggregate([
+    { $match: { ...CJ_ACTIVE_MATCH, ...match } },
+    { $project: { names: CJ_CATEGORY_FIELDS.map((field) => `$${field}`) } },
+    { $unwind: '$names' },
+    { $match: { names: { $nin: ['', null] } } },
+    { $group: { _id: { $toLower: '$names' }, label: { $first: '$names' } } },
+    { $limit: 50 },
+  ]);
+
+  // The CJ shop filters on the category name itself.
+  return rows.map((row) => ({ value: row.label, label: row.label }));
+}
+
+async function popularQueries(normalized, department) {
+  const rows = await SearchQuery.find(buildPopularQueryMatch(normalized, department))
+    .select('query')
+    .sort({ searchCount: -1, lastSearchedAt: -1 })
+    .limit(SUGGESTION_LIMITS.queries)
+    .lean();
+
+  return rows.map((row) => row.query);
+}
+
+/**
+ * Typeahead suggestions for the store header search, scoped to one
+ * department. Internal product matches forgive typos in the words
+ * already typed; the last word is always treated as a prefix.
+ *
+ * Returns { query, department, products, categories, queries }, each list
+ * item carrying the URL the shopper should be taken to.
+ */
+async function getSearchSuggestions({ query, department }) {
+  const dept = normalizeSuggestDepartment(department);
+  const normalized = normalizeSearchQuery(query);
+
+  const empty = { query: normalized, department: dept, products: [], categories: [], queries: [] };
+  if (normalized.length < SUGGEST_MIN_LENGTH) return empty;
+
+  let terms = suggestionTerms(normalized);
+  if (!terms.length) return empty;
+
+  if (dept === 'internal' && terms.length > 1) {
+    const { tokens } = correctTokens(terms.slice(0, -1), await loadSearchVocabulary());
+    terms = [...tokens, terms[terms.length - 1]];
+  }
+
+  const [products, categories, queries] = await Promise.all([
+    dept === 'cj' ? cjProducts(terms) : internalProducts(terms),
+    dept === 'cj' ? cjCategories(terms) : CATEGORIES,
+    isTrackableQuery(normalized) ? popularQueries(normalized, dept) : [],
+  ]);
+
+  return {
+    ...empty,
+    products,
+    categories: matchCategories(categories, terms).map((category) => ({
+      label: category.label,
+      url: shopSearchUrl(dept, { category: category.value }),
+    })),
+    queries: queries.map((text) => ({
+      query: text,
+      url: shopSearchUrl(dept, { keyword: text }),
+    })),
+  };
+}
+
+/**
+ * Counts a storefront search and how many products it found. Failures
+ * are logged, never thrown, so callers need not await it.
+ */
+async function recordSearchQuery({ query, department, resultCount }) {
+  const normalized = normalizeSearchQuery(query);
+  if (!isTrackableQuery(normalized)) return;
+
+  const results = Math.max(0, Math.floor(Number(resultCount) || 0));
+  const now = new Date();
+
+  const filter = { department: normalizeSuggestDepartment(department), query: normalized };
+  const update = {
+    $inc: { searchCount: 1, zeroResultCount: results === 0 ? 1 : 0 },
+    $set: { lastResultCount: results, lastSearchedAt: now },
+    $setOnInsert: { firstSearchedAt: now },
+  };
+
+  try {
+    await SearchQuery.updateOne(filter, update, { upsert: true });
+  } catch (err) {
+    // A concurrent first search of the same query wins the insert; count into its row.
+    try {
+      if (err?.code !== 11000) throw err;
+      await SearchQuery.updateOne(filter, update);
+    } catch (retryErr) {
+      console.error('❌ Search query tracking error:', retryErr);
+    }
+  }
+}
+
+module.exports = {
+  getSearchSuggestions,
+  recordSearchQuery,
+};
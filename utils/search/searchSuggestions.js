@@ -0,0 +1,177 @@
+// utils/search/searchSuggestions.js
+'use strict';
+
+/*
+ * Typeahead helpers for the store header search: query normalization,
+ * which searches may be tracked, and prefix matching of products,
+ * categories and earlier popular searches.
+ */
+
+const {
+  MAX_KEYWORD_LENGTH,
+  MAX_TOKENS,
+  escapeRegex,
+  tokenize,
+  wordStartRegex,
+} = require('./shopSearch');
+
+const SUGGEST_MIN_LENGTH = 2;
+
+// Other shoppers' searches are only suggested once this many were made.
+const POPULAR_MIN_SEARCHES = 3;
+
+const SUGGESTION_LIMITS = {
+  products: 6,
+  categories: 4,
+  queries: 5,
+};
+
+const SUGGEST_DEPARTMENTS = ['internal', 'cj'];
+
+// Shop query parameters that narrow a search beyond its keyword.
+const SHOP_FILTER_PARAMS = [
+  'category',
+  'type',
+  'made',
+  'size',
+  'color',
+  'priceMin',
+  'priceMax',
+  'rating',
+  'stock',
+  'sale',
+];
+
+function normalizeSuggestDepartment(value, fallback = 'internal') {
+  const department = String(value || '')
+    .trim()
+    .toLowerCase();
+
+  if (SUGGEST_DEPARTMENTS.includes(department)) return department;
+  return fallback === 'cj' ? 'cj' : 'internal';
+}
+
+/** Lowercase, single-spaced form used as the popular-query key. */
+function normalizeSearchQuery(value) {
+  return String(value ?? '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/\p{Cc}/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_KEYWORD_LENGTH)
+    .trim();
+}
+
+/*
+ * Searches that look like e-mail addresses, phone or card numbers are
+ * neither stored nor suggested to other shoppers.
+ */
+function isTrackableQuery(normalized) {
+  const query = String(normalized || '');
+
+  if (query.length < SUGGEST_MIN_LENGTH) return false;
+  if (!/[\p{L}\p{N}]/u.test(query)) return false;
+  if (/\S+@\S+/.test(query)) return false;
+  if (/\d/.test(query) && query.replace(/\D/g, '').length >= 7) return false;
+
+  return true;
+}
+
+/**
+ * Only the first page of an unfiltered keyword search is counted, so
+ * paging and sidebar refinements do not inflate or zero out a query.
+ */
+function isPlainShopSearch(query = {}) {
+  if (!String(query.keyword || '').trim()) return false;
+
+  const page = Number(query.page || 1);
+  if (Number.isFinite(page) && page > 1) return false;
+
+  return SHOP_FILTER_PARAMS.every((key) => {
+    const value = query[key];
+    return Array.isArray(value)
+      ? !value.some((v) => String(v).trim())
+      : !String(value ?? '').trim();
+  });
+}
+
+function suggestionTerms(query) {
+  return tokenize(query).slice(0, MAX_TOKENS);
+}
+
+/** Every term must start a word in at least one of `fields`. */
+function buildPrefixMatch(terms, fields) {
+  if (!terms.length) return null;
+
+  return {
+    $and: terms.map((term) => ({
+      $or: fields.map((field) => ({ [field]: wordStartRegex(term) })),
+    })),
+  };
+}
+
+/** Earlier searches that extend what the shopper has typed so far. */
+function buildPopularQueryMatch(normalized, department) {
+  return {
+    department,
+    query: { $regex: `^${escapeRegex(normalized)}`, $ne: normalized },
+    hidden: { $ne: true },
+    searchCount: { $gte: POPULAR_MIN_SEARCHES },
+    lastResultCount: { $gt: 0 },
+  };
+}
+
+/**
+ * Filters a [{ value, label }] category list to those whose label or
+ * value has a word starting with every term. Labels that start with the
+ * first term come first.
+ */
+function matchCategories(categories, terms, limit = SUGGESTION_LIMITS.categories) {
+  if (!terms.length) return [];
+
+  const patterns = terms.map((term) => wordStartRegex(term));
+  const first = terms[0];
+
+  return (Array.isArray(categories) ? categories : [])
+    .filter((category) => category && category.value && category.label)
+    .filter((category) => {
+      const text = `${category.label} ${category.value}`;
+      return patterns.every((pattern) => pattern.test(text));
+    })
+    .map((category) => ({
+      category,
+      leading: String(category.label).toLowerCase().startsWith(first) ? 0 : 1,
+    }))
+    .sort(
+      (a, b) => a.leading - b.leading || String(a.category.label).localeCompare(b.category.label),
+    )
+    .slice(0, limit)
+    .map(({ category }) => category);
+}
+
+function shopSearchUrl(department, params = {}) {
+  const search = new URLSearchParams();
+  search.set('department', normalizeSuggestDepartment(department));
+
+  for (const [key, value] of Object.entries(params)) {
+    if (value) search.set(key, value);
+  }
+
+  return `/store/shop?${search.toString()}`;
+}
+
+module.exports = {
+  SUGGEST_MIN_LENGTH,
+  POPULAR_MIN_SEARCHES,
+  SUGGESTION_LIMITS,
+  normalizeSuggestDepartment,
+  normalizeSearchQuery,
+  isTrackableQuery,
+  isPlainShopSearch,
+  suggestionTerms,
+  buildPrefixMatch,
+  buildPopularQueryMatch,
+  matchCategories,
+  shopSearchUrl,
+};
@@ -0,0 +1,474 @@
+// utils/search/shopSearch.js
+'use strict';
+
+/*
+ * Internal storefront search: query parsing, typo correction against the
+ * catalogue vocabulary and the aggregation pipeline that returns one page
+ * of products plus sidebar facet counts. Facets are disjunctive: each
+ * facet is counted with every other filter applied but not its own, so
+ * the sidebar shows what selecting another value would return.
+ */
+
+const MAX_KEYWORD_LENGTH = 120;
+const MAX_TOKENS = 8;
+const MAX_FILTER_VALUES = 20;
+const FACET_VALUE_LIMIT = 30;
+const RATING_STEPS = [4, 3, 2, 1];
+
+const SHOP_SORTS = ['default', 'popular', 'newest', 'rating', 'price_asc', 'price_desc'];
+
+// Query parameter -> Product field for the plain value facets.
+const VALUE_FACETS = {
+  category: 'category',
+  type: 'type',
+  made: 'made',
+};
+
+// Facets stored both as a single value and as a list on Product.
+const LIST_FACETS = {
+  size: { single: 'size', list: 'sizes' },
+  color: { single: 'color', list: 'colors' },
+};
+
+function cleanText(value, max) {
+  return String(value ?? '')
+    .trim()
+    .slice(0, max);
+}
+
+function toList(value) {
+  const raw = Array.isArray(value) ? value : value == null ? [] : String(value).split(',');
+
+  return [...new Set(raw.map((v) => cleanText(v, 80)).filter(Boolean))].slice(0, MAX_FILTER_VALUES);
+}
+
+function toPrice(value) {
+  if (value == null || String(value).trim() === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Matches `term` at the start of any word.
+function wordStartRegex(term) {
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(term)}`, 'iu');
+}
+
+/**
+ * Reads the shop query string. Prices arrive as shown to the shopper
+ * (display currency, VAT included) and are converted back to the stored
+ * VAT-exclusive base price with `priceFactor` (= (1 + vat) * displayRate).
+ */
+function parseShopSearchParams(query = {}, { priceFactor = 1 } = {}) {
+  const factor = Number(priceFactor) > 0 ? Number(priceFactor) : 1;
+  const requestedSort = cleanText(query.sort || 'default', 20);
+  const displayMin = toPrice(query.priceMin);
+  const displayMax = toPrice(query.priceMax);
+  const rating = Math.trunc(Number(query.rating));
+
+  const filters = {
+    category: toList(query.category),
+    type: toList(query.type),
+    made: toList(query.made),
+    size: toList(query.size),
+    color: toList(query.color),
+    priceMin: displayMin == null ? null : displayMin / factor,
+    priceMax: displayMax == null ? null : displayMax / factor,
+    rating: RATING_STEPS.includes(rating) ? rating : null,
+    // The shop has always hidden sold-out products; ?stock=all shows them.
+    inStockOnly: cleanText(query.stock, 10) !== 'all',
+    onSaleOnly: ['1', 'true', 'on'].includes(cleanText(query.sale, 10)),
+  };
+
+  if (filters.priceMin != null && filters.priceMax != null && filters.priceMin > filters.priceMax) {
+    [filters.priceMin, filters.priceMax] = [filters.priceMax, filters.priceMin];
+  }
+
+  return {
+    keyword: cleanText(query.keyword, MAX_KEYWORD_LENGTH),
+    sort: SHOP_SORTS.includes(requestedSort) ? requestedSort : 'default',
+    filters,
+    displayPrice: { min: displayMin, max: displayMax },
+  };
+}
+
+/**
+ * Query string for the active filters (not keyword, sort or page), so
+ * pagination and sorting links keep the sidebar selection. `except`
+ * leaves out value facets the caller adds itself.
+ */
+function shopFilterQueryString(params, { except = [] } = {}) {
+  const { filters, displayPrice } = params;
+  const search = new URLSearchParams();
+
+  for (const key of [...Object.keys(VALUE_FACETS), ...Object.keys(LIST_FACETS)]) {
+    if (except.includes(key)) continue;
+    for (const value of filters[key]) search.append(key, value);
+  }
+
+  if (displayPrice.min != null) search.set('priceMin', String(displayPrice.min));
+  if (displayPrice.max != null) search.set('priceMax', String(displayPrice.max));
+  if (filters.rating) search.set('rating', String(filters.rating));
+  if (!filters.inStockOnly) search.set('stock', 'all');
+  if (filters.onSaleOnly) search.set('sale', '1');
+
+  return search.toString();
+}
+
+/* -------------------------------------------------------
+ * Tokens and typo tolerance
+ * ----------------------------------------------------- */
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((token) => token.length > 1);
+}
+
+// Rough English singular, used only to match catalogue terms.
+function singularize(token) {
+  if (token.length > 4 && token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+  if (token.length > 4 && /(ches|shes|sses|xes|zes)$/.test(token)) return token.slice(0, -2);
+  if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+  return token;
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent swaps).
+ * Stops early and returns max + 1 once the distance exceeds `max`.
+ */
+function editDistance(a, b, max = 2) {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+
+  return prev[b.length];
+}
+
+function allowedTypos(token) {
+  if (token.length >= 8) return 2;
+  if (token.length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * Replaces query tokens that are not in the catalogue with the closest
+ * known term (most frequent on ties). `vocabulary` maps singular term ->
+ * count (see singularize), so "shoe" and "shoes" are both known words.
+ * Returns { tokens, corrected }.
+ */
+function correctTokens(tokens, vocabulary) {
+  let corrected = false;
+
+  const result = tokens.map((token) => {
+    const base = singularize(token);
+    if (!vocabulary?.size || vocabulary.has(base) || /^\d+$/.test(token)) return token;
+
+    const max = allowedTypos(base);
+    if (!max) return token;
+
+    let best = null;
+    let bestDistance = max + 1;
+    let bestCount = -1;
+
+    for (const [term, count] of vocabulary) {
+      const distance = editDistance(base, term, max);
+
+      if (distance < bestDistance || (distance === bestDistance && count > bestCount)) {
+        best = term;
+        bestDistance = distance;
+        bestCount = count;
+      }
+    }
+
+    if (!best || bestDistance > max) return token;
+
+    corrected = true;
+    return best;
+  });
+
+  return { tokens: result, corrected };
+}
+
+// Fields searched by the partial-word fallback, in relevance order.
+const FALLBACK_FIELDS = ['name', 'keywords', 'type', 'manufacturer', 'category'];
+
+/**
+ * Parses the keyword into search terms, fixing typos against the
+ * catalogue vocabulary. The $text stage (the text index stems plurals)
+ * ranks by textScore; the fallback matches word prefixes ("iph" finds
+ * "iPhone") for when the text search finds nothing.
+ */
+function buildKeywordSearch(keyword, vocabulary) {
+  const tokens = tokenize(keyword).slice(0, MAX_TOKENS);
+  if (!tokens.length) return null;
+
+  const { tokens: terms, corrected } = correctTokens(tokens, vocabulary);
+
+  return {
+    terms,
+    corrected,
+    correctedKeyword: corrected ? terms.join(' ') : '',
+    textMatch: { $text: { $search: terms.join(' ') } },
+    textScore: { $meta: 'textScore' },
+    fallbackMatch: {
+      $and: terms.map((term) => ({
+        $or: FALLBACK_FIELDS.map((field) => ({ [field]: wordStartRegex(term) })),
+      })),
+    },
+    // Name hits first, then the other fields.
+    fallbackScore: {
+      $cond: [
+        {
+          $regexMatch: {
+            input: { $ifNull: ['$name', ''] },
+            regex: escapeRegex(terms[0]),
+            options: 'i',
+          },
+        },
+        2,
+        1,
+      ],
+    },
+  };
+}
+
+/* -------------------------------------------------------
+ * Filters, sorting and the facet pipeline
+ * ----------------------------------------------------- */
+
+/** $match for the active filters, leaving out the facet named `except`. */
+function buildFilterMatch(filters, except = null) {
+  const and = [];
+
+  for (const [key, field] of Object.entries(VALUE_FACETS)) {
+    if (key !== except && filters[key].length) and.push({ [field]: { $in: filters[key] } });
+  }
+
+  for (const [key, { single, list }] of Object.entries(LIST_FACETS)) {
+    if (key !== except && filters[key].length) {
+      and.push({ $or: [{ [single]: { $in: filters[key] } }, { [list]: { $in: filters[key] } }] });
+    }
+  }
+
+  if (except !== 'price' && (filters.priceMin != null || filters.priceMax != null)) {
+    const price = {};
+    if (filters.priceMin != null) price.$gte = filters.priceMin;
+    if (filters.priceMax != null) price.$lte = filters.priceMax;
+    and.push({ price });
+  }
+
+  if (except !== 'rating' && filters.rating) and.push({ avgRating: { $gte: filters.rating } });
+  if (except !== 'stock' && filters.inStockOnly) and.push({ stock: { $gt: 0 } });
+  if (except !== 'sale' && filters.onSaleOnly) and.push({ isOnSale: true });
+
+  return and.length ? { $and: and } : {};
+}
+
+function buildShopSort(sort, { relevance = false } = {}) {
+  if (sort === 'popular') return { soldCount: -1, createdAt: -1, _id: -1 };
+  if (sort === 'newest') return { createdAt: -1, _id: -1 };
+  if (sort === 'rating') return { avgRating: -1, ratingsCount: -1, createdAt: -1, _id: -1 };
+  if (sort === 'price_asc') return { price: 1, createdAt: -1, _id: -1 };
+  if (sort === 'price_desc') return { price: -1, createdAt: -1, _id: -1 };
+
+  return relevance
+    ? { _score: -1, soldCount: -1, createdAt: -1, _id: -1 }
+    : { createdAt: -1, _id: -1 };
+}
+
+function valueFacet(filters, key, field) {
+  return [
+    { $match: buildFilterMatch(filters, key) },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $match: { _id: { $nin: [null, ''] } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: FACET_VALUE_LIMIT },
+  ];
+}
+
+function listFacet(filters, key, { single, list }) {
+  return [
+    { $match: buildFilterMatch(filters, key) },
+    {
+      $project: {
+        values: {
+          $setUnion: [
+            { $cond: [{ $eq: [{ $type: `$${single}` }, 'string'] }, [`$${single}`], []] },
+            { $cond: [{ $isArray: `$${list}` }, `$${list}`, []] },
+          ],
+        },
+      },
+    },
+    { $unwind: '$values' },
+    { $group: { _id: '$values', count: { $sum: 1 } } },
+    { $match: { _id: { $nin: [null, ''] } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: FACET_VALUE_LIMIT },
+  ];
+}
+
+/**
+ * Aggregation pipeline over Product. `searchMatch` is the keyword stage
+ * ({ $text } or a regex fallback, {} without a keyword) and `scoreExpr`
+ * its relevance expression; `$text` must be the first stage.
+ */
+function buildShopSearchPipeline({
+  searchMatch = {},
+  scoreExpr = null,
+  filters,
+  sort,
+  skip,
+  limit,
+}) {
+  const matchAll = buildFilterMatch(filters);
+
+  const ratingCounts = {};
+  for (const step of RATING_STEPS) {
+    ratingCounts[`r${step}`] = {
+      $sum: { $cond: [{ $gte: [{ $ifNull: ['$avgRating', 0] }, step] }, 1, 0] },
+    };
+  }
+
+  const facets = {
+    products: [
+      { $match: matchAll },
+      { $sort: buildShopSort(sort, { relevance: Boolean(scoreExpr) }) },
+      { $skip: skip },
+      { $limit: limit },
+    ],
+    total: [{ $match: matchAll }, { $count: 'count' }],
+    price: [
+      { $match: buildFilterMatch(filters, 'price') },
+      { $group: { _id: null, min: { $min: '$price' }, max: { $max: '$price' } } },
+    ],
+    rating: [
+      { $match: buildFilterMatch(filters, 'rating') },
+      { $group: { _id: null, ...ratingCounts } },
+    ],
+    stock: [
+      { $match: buildFilterMatch(filters, 'stock') },
+      {
+        $group: {
+          _id: null,
+          inStock: { $sum: { $cond: [{ $gt: ['$stock', 0] }, 1, 0] } },
+          total: { $sum: 1 },
+        },
+      },
+    ],
+    sale: [
+      { $match: buildFilterMatch(filters, 'sale') },
+      { $group: { _id: null, onSale: { $sum: { $cond: [{ $eq: ['$isOnSale', true] }, 1, 0] } } } },
+    ],
+  };
+
+  for (const [key, field] of Object.entries(VALUE_FACETS)) {
+    facets[key] = valueFacet(filters, key, field);
+  }
+
+  for (const [key, fields] of Object.entries(LIST_FACETS)) {
+    facets[key] = listFacet(filters, key, fields);
+  }
+
+  return [
+    { $match: searchMatch },
+    ...(scoreExpr ? [{ $addFields: { _score: scoreExpr } }] : []),
+    { $facet: facets },
+  ];
+}
+
+function facetValues(rows, selected) {
+  const values = (rows || []).map((row) => ({
+    value: String(row._id),
+    count: Number(row.count || 0),
+    selected: selected.includes(String(row._id)),
+  }));
+
+  // Keep selected values visible even when they no longer match anything.
+  for (const value of selected) {
+    if (!values.some((entry) => entry.value === value)) {
+      values.push({ value, count: 0, selected: true });
+    }
+  }
+
+  return values;
+}
+
+/** Turns the $facet output into { products, totalProducts, facets }. */
+function normalizeShopSearchResult(raw, filters) {
+  const result = raw || {};
+  const price = result.price?.[0] || {};
+  const rating = result.rating?.[0] || {};
+  const stock = result.stock?.[0] || {};
+  const sale = result.sale?.[0] || {};
+
+  const facets = {
+    price: {
+      min: Number.isFinite(price.min) ? price.min : null,
+      max: Number.isFinite(price.max) ? price.max : null,
+    },
+    rating: RATING_STEPS.map((step) => ({
+      min: step,
+      count: Number(rating[`r${step}`] || 0),
+      selected: filters.rating === step,
+    })),
+    inStock: { count: Number(stock.inStock || 0), total: Number(stock.total || 0) },
+    onSale: { count: Number(sale.onSale || 0), selected: filters.onSaleOnly },
+  };
+
+  for (const key of [...Object.keys(VALUE_FACETS), ...Object.keys(LIST_FACETS)]) {
+    facets[key] = facetValues(result[key], filters[key]);
+  }
+
+  return {
+    products: result.products || [],
+    totalProducts: Number(result.total?.[0]?.count || 0),
+    facets,
+  };
+}
+
+module.exports = {
+  SHOP_SORTS,
+  MAX_KEYWORD_LENGTH,
+  MAX_TOKENS,
+  escapeRegex,
+  wordStartRegex,
+  parseShopSearchParams,
+  shopFilterQueryString,
+  tokenize,
+  singularize,
+  editDistance,
+  correctTokens,
+  buildKeywordSearch,
+  buildFilterMatch,
+  buildShopSort,
+  buildShopSearchPipeline,
+  normalizeShopSearchResult,
+};
@@ -0,0 +1,154 @@
+// utils/search/shopSearchService.js
+'use strict';
+
+const Product = require('../../models/Product');
+const {
+  tokenize,
+  singularize,
+  buildKeywordSearch,
+  buildShopSearchPipeline,
+  normalizeShopSearchResult,
+} = require('./shopSearch');
+
+// The typo dictionary is rebuilt from the catalogue at most this often.
+const VOCABULARY_TTL_MS = 10 * 60 * 1000;
+const VOCABULARY_PRODUCT_LIMIT = 5000;
+const VOCABULARY_FIELDS = ['name', 'keywords', 'type', 'manufacturer', 'category'];
+
+const vocabularyCache = { terms: null, builtAt: 0, building: null };
+
+async function buildVocabulary() {
+  const products = await Product.find({ stock: { $gt: 0 } })
+    .select(VOCABULARY_FIELDS.join(' '))
+    .sort({ soldCount: -1, createdAt: -1 })
+    .limit(VOCABULARY_PRODUCT_LIMIT)
+    .lean();
+
+  const terms = new Map();
+
+  for (const product of products) {
+    for (const field of VOCABULARY_FIELDS) {
+      const value = Array.isArray(product[field]) ? product[field].join(' ') : product[field];
+
+      for (const token of tokenize(value)) {
+        const term = singularize(token);
+        terms.set(term, (terms.get(term) || 0) + 1);
+      }
+    }
+  }
+
+  return terms;
+}
+
+/** Term -> frequency map of the in-stock catalogue, cached in memory. */
+async function loadSearchVocabulary() {
+  if (vocabularyCache.terms && Date.now() - vocabularyCache.builtAt < VOCABULARY_TTL_MS) {
+    return vocabularyCache.terms;
+  }
+
+  if (!vocabularyCache.building) {
+    vocabularyCache.building = buildVocabulary()
+      .then((terms) => {
+        vocabularyCache.terms = terms;
+        vocabularyCache.builtAt = Date.now();
+        return terms;
+      })
+      .finally(() => {
+        vocabularyCache.building = null;
+      });
+  }
+
+  try {
+    return await vocabularyCache.building;
+  } catch (err) {
+    // Search still works without typo correction.
+    console.error('❌ Shop search vocabulary error:', err);
+    return vocabularyCache.terms || new Map();
+  }
+}
+
+async function runSearch({ searchMatch, scoreExpr, params, page, perPage }) {
+  const [raw] = await Product.aggregate(
+    buildShopSearchPipeline({
+      searchMatch,
+      scoreExpr,
+      filters: params.filters,
+      sort: params.sort,
+      skip: (page - 1) * perPage,
+      limit: perPage,
+    }),
+  );
+
+  return normalizeShopSearchResult(raw, params.filters);
+}
+
+function isMissingTextIndex(err) {
+  return err?.code === 27 || /text index required/i.test(String(err?.message || ''));
+}
+
+/**
+ * Searches internal Products for the shop page. `params` comes from
+ * parseShopSearchParams. Keyword searches use the text index (relevance
+ * ranked, plurals stemmed, typos corrected) and fall back to word-prefix
+ * matching when it finds nothing.
+ *
+ * Returns { products, totalProducts, facets, currentPage, totalPages,
+ * correctedKeyword, searchMode }.
+ */
+async function searchShopProducts(params, { page = 1, perPage = 12 } = {}) {
+  const keywordSearch = params.keyword
+    ? buildKeywordSearch(params.keyword, await loadSearchVocabulary())
+    : null;
+
+  const requestedPage = Number.isFinite(Number(page)) ? Math.max(1, Math.floor(Number(page))) : 1;
+
+  const attempts = keywordSearch
+    ? [
+        { mode: 'text', searchMatch: keywordSearch.textMatch, scoreExpr: keywordSearch.textScore },
+        {
+          mode: 'prefix',
+          searchMatch: keywordSearch.fallbackMatch,
+          scoreExpr: keywordSearch.fallbackScore,
+        },
+      ]
+    : [{ mode: 'all', searchMatch: {}, scoreExpr: null }];
+
+  let result = null;
+  let searchMode = 'all';
+
+  for (const attempt of attempts) {
+    try {
+      result = await runSearch({ ...attempt, params, page: requestedPage, perPage });
+    } catch (err) {
+      if (attempt.mode !== 'text' || !isMissingTextIndex(err)) throw err;
+      console.error('❌ Product text index missing, using prefix search:', err.message);
+      continue;
+    }
+
+    searchMode = attempt.mode;
+    if (result.totalProducts > 0) break;
+  }
+
+  const totalPages = Math.max(1, Math.ceil(result.totalProducts / perPage));
+  let currentPage = requestedPage;
+
+  // Past the last page (e.g. after narrowing the filters): show the last one.
+  if (requestedPage > totalPages) {
+    currentPage = totalPages;
+    const attempt = attempts.find((a) => a.mode === searchMode) || attempts[0];
+    result = await runSearch({ ...attempt, params, page: currentPage, perPage });
+  }
+
+  return {
+    ...result,
+    currentPage,
+    totalPages,
+    correctedKeyword: keywordSearch?.correctedKeyword || '',
+    searchMode,
+  };
+}
+
+module.exports = {
+  loadSearchVocabulary,
+  searchShopProducts,
+};
@@ -723,6 +723,118 @@ async function createLabelForOrder(order, opts = {}) {
   };
 }
 
+// ======================================================
+// ✅ createReturnLabelForOrder
+// Builds a return shipment from the order's saved outbound shipment and buys
+// the cheapest rate. Shippo swaps address_from/address_to itself when
+// extra.is_return is set, so the outbound addresses are passed unchanged.
+// ======================================================
+async function createReturnLabelForOrder(order, opts = {}) {
+  if (!order) throw new Error('Order is required');
+
+  const outboundShipmentId = String(
+    order?.shippo?.payerShipmentId || order?.shippo?.shipmentId || '',
+  ).trim();
+
+  if (!outboundShipmentId) {
+    const err = new Error('Missing saved Shippo shipmentId; cannot build a return label.');
+    err.code = 'SHIPPO_RETURN_MISSING_OUTBOUND_SHIPMENT';
+    throw err;
+  }
+
+  const outbound = await shippoFetch(`/shipments/${encodeURIComponent(outboundShipmentId)}/`, {
+    method: 'GET',
+    timeoutMs: 25000,
+    retries: 2,
+  });
+
+  const addressFrom = cleanShippoAddress(outbound?.address_from);
+  const addressTo = cleanShippoAddress(outbound?.address_to);
+
+  const parcels = (Array.isArray(opts.parcels) && opts.parcels.length ? opts.parcels : [])
+    .map(cleanShippoParcel)
+    .filter((p) => p.length && p.width && p.height && p.weight);
+
+  if (!parcels.length) {
+    const err = new Error('Return parcels are required to create a Shippo return label.');
+    err.code = 'SHIPPO_RETURN_NO_PARCELS';
+    throw err;
+  }
+
+  const customsDeclarationId = pickCustomsDeclarationId(outbound)
+    ? await createFreshCustomsDeclarationFromOldShipment(outbound, order)
+    : null;
+
+  const reference = String(opts.reference || '').trim();
+
+  const shipment = await shippoFetch('/shipments/', {
+    method: 'POST',
+    body: {
+      address_from: addressFrom,
+      address_to: addressTo,
+      parcels,
+      async: false,
+      extra: { is_return: true, ...(reference ? { reference_1: reference } : {}) },
+      ...(customsDeclarationId ? { customs_declaration: customsDeclarationId } : {}),
+      metadata: `return:${reference || order.orderId || order._id}`,
+    },
+    timeoutMs: 45000,
+    retries: 2,
+  });
+
+  const rates = (Array.isArray(shipment?.rates) ? shipment.rates : []).filter(
+    (r) => r?.object_id && Number.isFinite(Number(r?.amount)),
+  );
+
+  if (!rates.length) {
+    const err = new Error('Shippo returned no rates for the return shipment.');
+    err.code = 'SHIPPO_RETURN_NO_RATES';
+    err.shippo = { shipmentId: shipment?.object_id || null, messages: shipment?.messages || null };
+    throw err;
+  }
+
+  const chosenRate = rates.slice().sort((a, b) => Number(a.amount) - Number(b.amount))[0];
+
+  let tx = await shippoFetch('/transactions/', {
+    method: 'POST',
+    body: {
+      rate: String(chosenRate.object_id).trim(),
+      label_file_type: String(process.env.SHIPPO_LABEL_FILE_TYPE || 'PDF').trim() || 'PDF',
+      async: true,
+      metadata: `return:${reference || order.orderId || order._id}`,
+    },
+    timeoutMs: 20000,
+    retries: 2,
+  });
+
+  if (!tx?.label_url) tx = await pollTransactionUntilDone(tx);
+
+  if (!tx?.label_url) {
+    const failure = buildShippoLabelFailure(tx, chosenRate);
+    const err = new Error(failure.message);
+    err.code = failure.code;
+    err.shippo = {
+      messages: failure.messages,
+      transactionId: String(tx?.object_id || '').trim(),
+      shipmentId: String(shipment?.object_id || '').trim(),
+    };
+    throw err;
+  }
+
+  return {
+    shipment,
+    chosenRate,
+    transaction: tx,
+    trackingNumber: tx?.tracking_number || null,
+    trackingUrl: tx?.tracking_url_provider || null,
+    labelUrl: tx.label_url,
+    carrierToken:
+      providerToShippoCarrierToken(chosenRate?.provider) ||
+      providerToShippoCarrierToken(tx?.provider) ||
+      null,
+  };
+}
+
 // ======================================================
 // ✅ getRatesForOrder (NO shipment creation)
 // ONLY reads saved payerShipmentId/shipmentId and returns rates.
@@ -755,4 +867,5 @@ module.exports = {
   createLabelForOrder,
   getRatesForOrder,
   createFreshShipmentRatesForOrder,
+  createReturnLabelForOrder,
 };
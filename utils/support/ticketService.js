@@ -0,0 +1,292 @@
+// utils/support/ticketService.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const SupportTicket = require('../../models/SupportTicket');
+const DocumentSequence = require('../../models/DocumentSequence');
+const Order = require('../../models/Order');
+const Admin = require('../../models/Admin');
+const { sendSupportTicketEmail } = require('../emails/supportTicketEmail');
+
+const MAX_MESSAGE_LENGTH = 5000;
+
+function ticketError(message, code, status = 400) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+function safeText(value, max = 2000) {
+  return String(value ?? '')
+    .trim()
+    .slice(0, max);
+}
+
+function formatTicketNumber(seq) {
+  return `TKT-${String(Math.max(1, Math.trunc(Number(seq) || 0))).padStart(6, '0')}`;
+}
+
+function normalizeCategory(value) {
+  const category = safeText(value, 40).toUpperCase();
+  return SupportTicket.TICKET_CATEGORIES.includes(category) ? category : 'OTHER';
+}
+
+/**
+ * Where the requester opens the ticket. Guests get a token link because
+ * they have no session to prove ownership with.
+ */
+function requesterTicketUrl(ticket, accessToken = '') {
+  const base = `/support/tickets/${encodeURIComponent(ticket.ticketNumber)}`;
+  return ticket.requester?.type === 'guest' && accessToken
+    ? `${base}?t=${encodeURIComponent(accessToken)}`
+    : base;
+}
+
+function adminTicketUrl(ticket) {
+  return `/admin/support/tickets/${encodeURIComponent(String(ticket._id))}`;
+}
+
+/**
+ * Links the ticket to an Internal order only when the requester is allowed
+ * to see it: the logged-in owner, or a guest whose email paid for it.
+ */
+async function resolveOrderForRequester(orderRef, requester) {
+  const ref = safeText(orderRef, 120);
+  if (!ref) return null;
+
+  const idFilters = [{ orderId: ref }];
+  if (mongoose.isValidObjectId(ref)) idFilters.push({ _id: ref });
+
+  const ownerFilters = [];
+  if (requester.userId) ownerFilters.push({ userId: requester.userId });
+  if (requester.businessId) ownerFilters.push({ businessBuyer: requester.businessId });
+  if (requester.email) ownerFilters.push({ 'payer.email': requester.email });
+
+  if (!ownerFilters.length) return null;
+
+  return Order.findOne({ $and: [{ $or: idFilters }, { $or: ownerFilters }] })
+    .select('_id orderId')
+    .lean();
+}
+
+// Best effort: a mail outage must never fail the ticket action itself.
+async function notifySafely(payload) {
+  try {
+    await sendSupportTicketEmail(payload);
+  } catch (err) {
+    console.warn('⚠️ Support ticket email failed:', err?.message || String(err));
+  }
+}
+
+function supportInbox() {
+  return process.env.SUPPORT_INBOX || process.env.SMTP_FROM || '';
+}
+
+async function notifyStaff(ticket, event, message) {
+  let to = supportInbox();
+
+  if (event === 'REQUESTER_REPLIED' && ticket.assignedTo) {
+    const admin = await Admin.findById(ticket.assignedTo).select('email').lean();
+    to = admin?.email || to;
+  }
+
+  await notifySafely({
+    to,
+    ticket,
+    event,
+    message,
+    url: adminTicketUrl(ticket),
+    replyTo: ticket.requester?.email ? `${ticket.requester.name} <${ticket.requester.email}>` : '',
+  });
+}
+
+/**
+ * Opens a ticket. `requester` is { type, userId, businessId, name, email,
+ * phone, businessRole }. Returns the saved ticket (with accessToken).
+ */
+async function createTicket({ requester, subject, category, message, orderRef, source }) {
+  const body = safeText(message, MAX_MESSAGE_LENGTH);
+  const title = safeText(subject, 200);
+  const email = safeText(requester?.email, 200).toLowerCase();
+
+  if (!title || !body) {
+    throw ticketError('Please enter a subject and a message.', 'TICKET_MISSING_FIELDS');
+  }
+
+  if (!email) {
+    throw ticketError('Please enter your email address.', 'TICKET_MISSING_EMAIL');
+  }
+
+  const who = {
+    type: ['user', 'business'].includes(requester.type) ? requester.type : 'guest',
+    userId: requester.userId || null,
+    businessId: requester.businessId || null,
+    name: safeText(requester.name, 200),
+    email,
+    phone: safeText(requester.phone, 60),
+    businessRole: safeText(requester.businessRole, 120),
+  };
+
+  const order = await resolveOrderForRequester(orderRef, who);
+  const seq = await DocumentSequence.next('SUPPORT_TICKET');
+
+  const ticket = await SupportTicket.create({
+    ticketNumber: formatTicketNumber(seq),
+    source: source === 'account' ? 'account' : 'contact_form',
+    subject: title,
+    category: normalizeCategory(category || (order ? 'ORDER' : 'OTHER')),
+    requester: who,
+    order: order?._id || null,
+    orderRef: safeText(order?.orderId || orderRef, 120),
+    messages: [{ authorType: 'requester', authorName: who.name || who.email, body }],
+    lastMessageAt: new Date(),
+    lastMessageBy: 'requester',
+  });
+
+  const first = ticket.messages[0];
+
+  await notifyStaff(ticket, 'NEW_TICKET', first);
+
+  // Account tickets always get a copy; contact form acks stay behind MAIL_ACK.
+  if (who.type !== 'guest' || process.env.MAIL_ACK === '1') {
+    await notifySafely({
+      to: who.email,
+      ticket,
+      event: 'RECEIVED',
+      message: first,
+      url: requesterTicketUrl(ticket, ticket.accessToken),
+    });
+  }
+
+  return ticket;
+}
+
+/**
+ * Requester reply. Reopens AWAITING_CUSTOMER / RESOLVED tickets.
+ */
+async function addRequesterReply(ticket, { message }) {
+  const body = safeText(message, MAX_MESSAGE_LENGTH);
+
+  if (!body) throw ticketError('Please enter a message.', 'TICKET_EMPTY_REPLY');
+
+  if (ticket.status === 'CLOSED') {
+    throw ticketError('This ticket is closed. Please open a new one.', 'TICKET_CLOSED', 409);
+  }
+
+  ticket.messages.push({
+    authorType: 'requester',
+    authorName: ticket.requester?.name || ticket.requester?.email || '',
+    body,
+  });
+  ticket.status = 'OPEN';
+  ticket.resolvedAt = null;
+  ticket.lastMessageAt = new Date();
+  ticket.lastMessageBy = 'requester';
+
+  await ticket.save();
+
+  await notifyStaff(ticket, 'REQUESTER_REPLIED', ticket.messages[ticket.messages.length - 1]);
+
+  return ticket;
+}
+
+function applyStatus(ticket, status) {
+  ticket.status = status;
+  ticket.resolvedAt = status === 'RESOLVED' ? new Date() : null;
+  ticket.closedAt = status === 'CLOSED' ? new Date() : null;
+}
+
+/**
+ * Admin reply; emails the requester. `status` defaults to AWAITING_CUSTOMER.
+ * Replying also assigns an unassigned ticket to the replying admin.
+ */
+async function addAdminReply(ticket, admin, { message, status }) {
+  const body = safeText(message, MAX_MESSAGE_LENGTH);
+
+  if (!body) throw ticketError('Please enter a reply.', 'TICKET_EMPTY_REPLY');
+
+  const nextStatus = SupportTicket.TICKET_STATUSES.includes(status) ? status : 'AWAITING_CUSTOMER';
+  const adminName = safeText(admin?.fullName || admin?.name || admin?.email, 200) || 'Support';
+
+  ticket.messages.push({
+    authorType: 'admin',
+    authorId: mongoose.isValidObjectId(admin?._id) ? admin._id : null,
+    authorName: adminName,
+    body,
+  });
+  applyStatus(ticket, nextStatus);
+  ticket.lastMessageAt = new Date();
+  ticket.lastMessageBy = 'admin';
+
+  if (!ticket.assignedTo && mongoose.isValidObjectId(admin?._id)) {
+    ticket.assignedTo = admin._id;
+    ticket.assignedToName = adminName;
+  }
+
+  await ticket.save();
+
+  // accessToken is select:false; load it only for guest links.
+  const accessToken =
+    ticket.requester?.type === 'guest'
+      ? (await SupportTicket.findById(ticket._id).select('+accessToken').lean())?.accessToken
+      : '';
+
+  await notifySafely({
+    to: ticket.requester?.email,
+    ticket,
+    event: 'REPLIED',
+    message: ticket.messages[ticket.messages.length - 1],
+    url: requesterTicketUrl(ticket, accessToken),
+  });
+
+  return ticket;
+}
+
+async function setTicketStatus(ticket, status) {
+  if (!SupportTicket.TICKET_STATUSES.includes(status)) {
+    throw ticketError('Unknown ticket status.', 'TICKET_BAD_STATUS');
+  }
+
+  applyStatus(ticket, status);
+  await ticket.save();
+
+  return ticket;
+}
+
+/**
+ * Assigns to an active admin, or unassigns when adminId is empty.
+ */
+async function assignTicket(ticket, adminId) {
+  if (!adminId) {
+    ticket.assignedTo = null;
+    ticket.assignedToName = '';
+    await ticket.save();
+    return ticket;
+  }
+
+  const admin = mongoose.isValidObjectId(adminId)
+    ? await Admin.findOne({ _id: adminId, isActive: { $ne: false } })
+        .select('_id fullName email')
+        .lean()
+    : null;
+
+  if (!admin) throw ticketError('Admin not found.', 'TICKET_ADMIN_NOT_FOUND', 404);
+
+  ticket.assignedTo = admin._id;
+  ticket.assignedToName = admin.fullName || admin.email || '';
+  await ticket.save();
+
+  return ticket;
+}
+
+module.exports = {
+  formatTicketNumber,
+  requesterTicketUrl,
+  createTicket,
+  addRequesterReply,
+  addAdminReply,
+  setTicketStatus,
+  assignTicket,
+};
@@ -0,0 +1,140 @@
+// utils/wholesale/priceTiers.js
+'use strict';
+
+const MAX_PRICE_TIERS = 6;
+
+function roundMoney(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+function toArrayField(value) {
+  if (Array.isArray(value)) return value;
+  if (value === undefined || value === null) return [];
+  return [value];
+}
+
+/**
+ * Cleans price tiers from the model or a form and sorts them by quantity.
+ * Rows with a missing quantity or price are dropped; a repeated quantity
+ * keeps the last price entered.
+ */
+function normalizePriceTiers(tiers) {
+  const byQuantity = new Map();
+
+  (Array.isArray(tiers) ? tiers : []).forEach((tier) => {
+    const rawQty = String(tier?.minQuantity ?? '').trim();
+    const rawPrice = String(tier?.unitPrice ?? '').trim();
+    if (!rawQty || !rawPrice) return;
+
+    const minQuantity = Math.trunc(Number(rawQty));
+    const unitPrice = Number(rawPrice);
+
+    if (!Number.isFinite(minQuantity) || minQuantity < 1) return;
+    if (!Number.isFinite(unitPrice) || unitPrice < 0) return;
+
+    byQuantity.set(minQuantity, { minQuantity, unitPrice: roundMoney(unitPrice) });
+  });
+
+  return [...byQuantity.values()].sort((a, b) => a.minQuantity - b.minQuantity);
+}
+
+/**
+ * Reads the supplier form's parallel tierMinQuantities / tierUnitPrices inputs.
+ */
+function priceTiersFromForm(body = {}) {
+  const quantities = toArrayField(body.tierMinQuantities);
+  const prices = toArrayField(body.tierUnitPrices);
+
+  return normalizePriceTiers(
+    quantities.map((minQuantity, i) => ({ minQuantity, unitPrice: prices[i] })),
+  );
+}
+
+/**
+ * Returns an error message, or '' when the tiers are usable.
+ * Every band must start above the minimum order quantity and be cheaper
+ * than the band before it.
+ */
+function validatePriceTiers(tiers, { wholesalePrice, minimumOrderQuantity = 1 } = {}) {
+  const list = normalizePriceTiers(tiers);
+  const moq = Math.max(1, Math.trunc(Number(minimumOrderQuantity || 1)));
+
+  if (list.length > MAX_PRICE_TIERS) {
+    return `You can add up to ${MAX_PRICE_TIERS} price tiers.`;
+  }
+
+  let previousPrice = roundMoney(wholesalePrice);
+
+  for (const tier of list) {
+    if (tier.minQuantity <= moq) {
+      return `Price tier quantities must be above the minimum order quantity (${moq}).`;
+    }
+
+    if (tier.unitPrice >= previousPrice) {
+      return `The price for ${tier.minQuantity}+ must be lower than the price of the band before it.`;
+    }
+
+    previousPrice = tier.unitPrice;
+  }
+
+  return '';
+}
+
+/**
+ * Unit price a buyer pays for `quantity` of a supplier product.
+ *
+ * Returns { unitPrice, basePrice, minQuantity } where minQuantity is the
+ * start of the matching tier, or null when the base wholesale price applies.
+ */
+function resolveWholesaleUnitPrice(product, quantity) {
+  const basePrice = roundMoney(product?.wholesalePrice);
+  const qty = Math.max(0, Math.trunc(Number(quantity || 0)));
+
+  let match = null;
+  normalizePriceTiers(product?.priceTiers).forEach((tier) => {
+    if (qty >= tier.minQuantity) match = tier;
+  });
+
+  return {
+    unitPrice: match ? match.unitPrice : basePrice,
+    basePrice,
+    minQuantity: match ? match.minQuantity : null,
+  };
+}
+
+/**
+ * Rows for the tier table on the product page, starting with the base
+ * price from the minimum order quantity. maxQuantity is null on the last band.
+ */
+function buildPriceTierTable(product) {
+  const moq = Math.max(1, Math.trunc(Number(product?.minimumOrderQuantity || 1)));
+  const basePrice = roundMoney(product?.wholesalePrice);
+
+  const bands = [
+    { minQuantity: moq, unitPrice: basePrice },
+    ...normalizePriceTiers(product?.priceTiers).filter((tier) => tier.minQuantity > moq),
+  ];
+
+  return bands.map((band, i) => {
+    const next = bands[i + 1];
+
+    return {
+      minQuantity: band.minQuantity,
+      maxQuantity: next ? next.minQuantity - 1 : null,
+      unitPrice: band.unitPrice,
+      savingsPercent:
+        basePrice > 0 && band.unitPrice < basePrice
+          ? Math.round(((basePrice - band.unitPrice) / basePrice) * 100)
+          : 0,
+    };
+  });
+}
+
+module.exports = {
+  MAX_PRICE_TIERS,
+  normalizePriceTiers,
+  priceTiersFromForm,
+  validatePriceTiers,
+  resolveWholesaleUnitPrice,
+  buildPriceTierTable,
+};
@@ -0,0 +1,201 @@
+// utils/wholesale/supplyFulfillment.js
+'use strict';
+
+/*
+ * Fulfillment stages of a paid SupplyRequest. The supplier packs and
+ * ships the whole quantity; the seller confirms what actually arrived
+ * (possibly over several deliveries) and can only import received units.
+ */
+const FULFILLMENT_STAGES = ['awaiting', 'packed', 'shipped', 'partially_delivered', 'delivered'];
+
+// Shippo carrier tokens plus Courier Guy (tracked through its own API).
+const SUPPLY_CARRIERS = Object.freeze({
+  courier_guy: 'The Courier Guy',
+  usps: 'USPS',
+  ups: 'UPS',
+  fedex: 'FedEx',
+  dhl_express: 'DHL Express',
+  other: 'Other carrier',
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function fulfillmentError(message, code, status = 400) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+function stageOf(request) {
+  return request?.fulfillment?.stage || 'awaiting';
+}
+
+function wholeNumber(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.trunc(n) : 0;
+}
+
+function requestedQuantityOf(request) {
+  return Math.max(0, wholeNumber(request?.requestedQuantity));
+}
+
+function receivedQuantityOf(request) {
+  return Math.max(0, wholeNumber(request?.fulfillment?.receivedQuantity));
+}
+
+/** Lead time is counted from payment (or approval for requests paid outside the platform). */
+function expectedArrivalDate(request) {
+  const start = request?.payment?.paidAt || request?.approvedAt;
+  const leadTimeDays = request?.leadTimeDays ?? request?.supplierProduct?.leadTimeDays;
+
+  if (!start || leadTimeDays == null || !Number.isFinite(Number(leadTimeDays))) return null;
+
+  const date = new Date(new Date(start).getTime() + Math.max(0, Number(leadTimeDays)) * DAY_MS);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function assertSupplierCanFulfil(request) {
+  const paid = ['paid', 'partially_refunded'].includes(request?.payment?.status);
+
+  if (request?.status !== 'approved' || !paid) {
+    throw fulfillmentError(
+      'Only approved requests the seller has paid for can be packed or shipped.',
+      'FULFILLMENT_NOT_ALLOWED',
+      409,
+    );
+  }
+}
+
+/** Supplier marks the goods packed. */
+function markPacked(request, now = new Date()) {
+  assertSupplierCanFulfil(request);
+
+  if (stageOf(request) !== 'awaiting') {
+    throw fulfillmentError('This request is already packed or shipped.', 'FULFILLMENT_STAGE', 409);
+  }
+
+  request.fulfillment.stage = 'packed';
+  request.fulfillment.packedAt = now;
+}
+
+/** Supplier hands the goods to a carrier. */
+function markShipped(request, input = {}, now = new Date()) {
+  assertSupplierCanFulfil(request);
+
+  if (!['awaiting', 'packed'].includes(stageOf(request))) {
+    throw fulfillmentError('This request has already been shipped.', 'FULFILLMENT_STAGE', 409);
+  }
+
+  const carrier = String(input.carrier || '')
+    .trim()
+    .toLowerCase();
+  if (!SUPPLY_CARRIERS[carrier]) {
+    throw fulfillmentError('Choose the carrier.', 'INVALID_CARRIER');
+  }
+
+  const trackingNumber = String(input.trackingNumber || '')
+    .trim()
+    .slice(0, 120);
+  if (carrier !== 'other' && !trackingNumber) {
+    throw fulfillmentError('Enter the tracking number.', 'TRACKING_NUMBER_REQUIRED');
+  }
+
+  request.fulfillment.stage = 'shipped';
+  request.fulfillment.packedAt = request.fulfillment.packedAt || now;
+  request.fulfillment.shippedAt = now;
+  request.fulfillment.shippedQuantity = requestedQuantityOf(request);
+  request.fulfillment.carrier = carrier;
+  request.fulfillment.carrierLabel =
+    carrier === 'other'
+      ? String(input.carrierLabel || '')
+          .trim()
+          .slice(0, 80) || SUPPLY_CARRIERS.other
+      : SUPPLY_CARRIERS[carrier];
+  request.fulfillment.trackingNumber = trackingNumber;
+}
+
+/** Units the seller can still confirm as received. */
+function outstandingQuantity(request) {
+  if (!['shipped', 'partially_delivered'].includes(stageOf(request))) return 0;
+
+  const refunded = Math.max(0, wholeNumber(request?.payment?.refundedQuantity));
+  return Math.max(0, requestedQuantityOf(request) - refunded - receivedQuantityOf(request));
+}
+
+/** Seller confirms `quantity` more units arrived. */
+function recordReceipt(request, quantity, now = new Date()) {
+  const outstanding = outstandingQuantity(request);
+  const units = wholeNumber(quantity);
+
+  if (!outstanding) {
+    throw fulfillmentError(
+      'There is no shipped stock waiting to be received on this request.',
+      'NOTHING_OUTSTANDING',
+      409,
+    );
+  }
+
+  if (units < 1 || units > outstanding) {
+    throw fulfillmentError(
+      `Enter a received quantity between 1 and ${outstanding}.`,
+      'INVALID_RECEIVED_QUANTITY',
+    );
+  }
+
+  request.fulfillment.receivedQuantity = receivedQuantityOf(request) + units;
+  request.fulfillment.stage = units === outstanding ? 'delivered' : 'partially_delivered';
+  request.fulfillment.deliveredAt = now;
+
+  return units;
+}
+
+/** Undelivered units of a request closed short that are not refunded yet. */
+function unrefundedShortQuantity(request) {
+  if (!request?.fulfillment?.closedShortAt) return 0;
+
+  const refunded = Math.max(0, wholeNumber(request?.payment?.refundedQuantity));
+  return Math.max(0, requestedQuantityOf(request) - refunded - receivedQuantityOf(request));
+}
+
+/**
+ * Seller accepts a short delivery: the request is closed as delivered and
+ * the caller refunds the returned `missing` units.
+ */
+function closeShort(request, now = new Date()) {
+  if (stageOf(request) !== 'partially_delivered') {
+    throw fulfillmentError(
+      'Only partially delivered requests can be closed short.',
+      'FULFILLMENT_STAGE',
+      409,
+    );
+  }
+
+  const missing = outstandingQuantity(request);
+
+  request.fulfillment.stage = 'delivered';
+  request.fulfillment.closedShortAt = now;
+
+  return missing;
+}
+
+/** Received units not yet imported into the seller's store. */
+function importableQuantity(request) {
+  return Math.max(
+    0,
+    receivedQuantityOf(request) - Math.max(0, wholeNumber(request?.importedQuantity)),
+  );
+}
+
+module.exports = {
+  FULFILLMENT_STAGES,
+  SUPPLY_CARRIERS,
+  expectedArrivalDate,
+  markPacked,
+  markShipped,
+  outstandingQuantity,
+  recordReceipt,
+  closeShort,
+  unrefundedShortQuantity,
+  importableQuantity,
+};
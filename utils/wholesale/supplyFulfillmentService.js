@@ -0,0 +1,315 @@
+// utils/wholesale/supplyFulfillmentService.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const SupplyRequest = require('../../models/SupplyRequest');
+
+const { getShippoTracking } = require('../shippo/getShippoTracking');
+const { getCourierGuyShipmentByTrackingReference } = require('../courierGuy/getCourierGuyShipment');
+const { notifySafely } = require('../notify');
+const { refundSupplyRequestPayment } = require('./supplyRequestPaymentService');
+const {
+  expectedArrivalDate,
+  markPacked,
+  markShipped,
+  recordReceipt,
+  closeShort,
+  unrefundedShortQuantity,
+} = require('./supplyFulfillment');
+
+// Carrier APIs are rate limited; a refresh within this window reuses the last result.
+const TRACKING_REFRESH_MS = 5 * 60 * 1000;
+
+function fulfillmentError(message, code, status = 400) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+async function loadRequest(requestId, filter) {
+  if (!mongoose.isValidObjectId(requestId)) {
+    throw fulfillmentError('Invalid supply request.', 'SUPPLY_REQUEST_NOT_FOUND', 404);
+  }
+
+  const request = await SupplyRequest.findOne({ _id: requestId, ...filter }).populate(
+    'supplierProduct',
+    'name leadTimeDays',
+  );
+
+  if (!request) {
+    throw fulfillmentError('Supply request not found.', 'SUPPLY_REQUEST_NOT_FOUND', 404);
+  }
+
+  return request;
+}
+
+/**
+ * Writes request.fulfillment only if nobody changed the stage or the
+ * received quantity since it was loaded (double submits, both sides
+ * acting at once).
+ */
+async function saveFulfillment(request, before) {
+  // Requests created before fulfillment tracking have no stored fields yet.
+  const res = await SupplyRequest.updateOne(
+    {
+      _id: request._id,
+      'fulfillment.stage': before.stage === 'awaiting' ? { $in: ['awaiting', null] } : before.stage,
+      'fulfillment.receivedQuantity': before.receivedQuantity || { $in: [0, null] },
+    },
+    { $set: { fulfillment: request.toObject().fulfillment } },
+  );
+
+  if (!res.matchedCount) {
+    throw fulfillmentError(
+      'This request was updated by someone else. Reload the page and try again.',
+      'FULFILLMENT_CONFLICT',
+      409,
+    );
+  }
+}
+
+function snapshot(request) {
+  return {
+    stage: request.fulfillment.stage,
+    receivedQuantity: request.fulfillment.receivedQuantity,
+  };
+}
+
+function productNameOf(request) {
+  return request.supplierProduct?.name || 'your supply request';
+}
+
+async function markSupplyRequestPacked({ requestId, supplierId }) {
+  const request = await loadRequest(requestId, { supplier: supplierId });
+  const before = snapshot(request);
+
+  markPacked(request);
+  await saveFulfillment(request, before);
+
+  await notifySafely({
+    recipientType: 'business',
+    recipientId: request.seller,
+    type: 'supply_request.packed',
+    title: `Your order of ${productNameOf(request)} is packed`,
+    message: `${request.requestedQuantity} unit(s) are packed and waiting for the carrier.`,
+    link: '/wholesale/my-requests',
+    dedupeKey: `supply_request.packed:${request._id}`,
+  });
+
+  return request;
+}
+
+async function markSupplyRequestShipped({
+  requestId,
+  supplierId,
+  carrier,
+  carrierLabel,
+  trackingNumber,
+}) {
+  const request = await loadRequest(requestId, { supplier: supplierId });
+  const before = snapshot(request);
+
+  markShipped(request, { carrier, carrierLabel, trackingNumber });
+  await saveFulfillment(request, before);
+
+  const expected = expectedArrivalDate(request);
+  const via = [request.fulfillment.carrierLabel, request.fulfillment.trackingNumber]
+    .filter(Boolean)
+    .join(' ');
+
+  await notifySafely({
+    recipientType: 'business',
+    recipientId: request.seller,
+    type: 'supply_request.shipped',
+    title: `Your order of ${productNameOf(request)} has shipped`,
+    message: [
+      `${request.requestedQuantity} unit(s) shipped via ${via}.`,
+      expected ? `Expected by ${expected.toDateString()}.` : '',
+      'Confirm the quantity you receive to import it.',
+    ]
+      .filter(Boolean)
+      .join(' '),
+    link: '/wholesale/my-requests',
+    dedupeKey: `supply_request.shipped:${request._id}`,
+  });
+
+  // First tracking lookup; a carrier that does not know the parcel yet is not an error.
+  await refreshSupplyRequestTracking({ requestId, businessId: supplierId }).catch((err) => {
+    console.error('❌ Supply request initial tracking lookup failed:', err?.message || err);
+  });
+
+  return request;
+}
+
+async function fetchCarrierTracking(fulfillment) {
+  if (fulfillment.carrier === 'courier_guy') {
+    return getCourierGuyShipmentByTrackingReference(fulfillment.trackingNumber);
+  }
+
+  return getShippoTracking(fulfillment.carrier, fulfillment.trackingNumber);
+}
+
+/**
+ * Refreshes the carrier status of a shipped request for either side.
+ * When the carrier reports delivery the seller is asked to confirm
+ * the quantity that actually arrived.
+ */
+async function refreshSupplyRequestTracking({ requestId, businessId, force = false }) {
+  const request = await loadRequest(requestId, {
+    $or: [{ seller: businessId }, { supplier: businessId }],
+  });
+  const { fulfillment } = request;
+
+  if (!['shipped', 'partially_delivered'].includes(fulfillment.stage)) {
+    throw fulfillmentError('Only shipped requests can be tracked.', 'NOT_SHIPPED', 409);
+  }
+
+  if (fulfillment.carrier === 'other' || !fulfillment.trackingNumber) {
+    throw fulfillmentError(
+      'This shipment was sent with a carrier that cannot be tracked here.',
+      'CARRIER_NOT_TRACKABLE',
+      409,
+    );
+  }
+
+  const checkedAt = fulfillment.tracking?.checkedAt;
+  if (!force && checkedAt && Date.now() - new Date(checkedAt).getTime() < TRACKING_REFRESH_MS) {
+    return { request, refreshed: false };
+  }
+
+  let tracking;
+  try {
+    tracking = await fetchCarrierTracking(fulfillment);
+  } catch (err) {
+    await SupplyRequest.updateOne(
+      { _id: request._id },
+      {
+        $set: {
+          'fulfillment.tracking.checkedAt': new Date(),
+          'fulfillment.tracking.lastError': String(err?.message || 'Tracking lookup failed.').slice(
+            0,
+            500,
+          ),
+        },
+      },
+    );
+
+    throw fulfillmentError(
+      'The carrier did not return tracking for this shipment yet.',
+      'TRACKING_UNAVAILABLE',
+      502,
+    );
+  }
+
+  const events = Array.isArray(tracking?.events) ? tracking.events : [];
+  const lastEvent = events.length ? events[events.length - 1] : null;
+  const delivered = String(tracking?.status || '').toUpperCase() === 'DELIVERED';
+  const estimatedDelivery = tracking?.estimatedDelivery
+    ? new Date(tracking.estimatedDelivery)
+    : null;
+  const firstDelivery = delivered && !fulfillment.tracking?.carrierDeliveredAt;
+
+  const update = {
+    'fulfillment.tracking.status': String(tracking?.status || '').slice(0, 60),
+    'fulfillment.tracking.lastEvent': String(
+      lastEvent?.details || lastEvent?.rawStatus || '',
+    ).slice(0, 500),
+    'fulfillment.tracking.estimatedDelivery':
+      estimatedDelivery && !Number.isNaN(estimatedDelivery.getTime()) ? estimatedDelivery : null,
+    'fulfillment.tracking.checkedAt': new Date(),
+    'fulfillment.tracking.lastError': '',
+  };
+
+  if (firstDelivery) {
+    const deliveredAt = new Date(lastEvent?.date || Date.now());
+    update['fulfillment.tracking.carrierDeliveredAt'] = Number.isNaN(deliveredAt.getTime())
+      ? new Date()
+      : deliveredAt;
+  }
+
+  await SupplyRequest.updateOne({ _id: request._id }, { $set: update });
+
+  if (firstDelivery) {
+    await notifySafely({
+      recipientType: 'business',
+      recipientId: request.seller,
+      type: 'supply_request.delivered',
+      title: `${request.fulfillment.carrierLabel} delivered ${productNameOf(request)}`,
+      message: 'Count the stock and confirm how many units arrived so you can import them.',
+      link: '/wholesale/my-requests',
+      dedupeKey: `supply_request.delivered:${request._id}`,
+    });
+  }
+
+  return { request, refreshed: true, delivered };
+}
+
+/** Seller confirms units that arrived; they become importable. */
+async function receiveSupplyRequest({ requestId, sellerId, quantity }) {
+  const request = await loadRequest(requestId, { seller: sellerId });
+  const before = snapshot(request);
+
+  const units = recordReceipt(request, quantity);
+  await saveFulfillment(request, before);
+
+  await notifySafely({
+    recipientType: 'business',
+    recipientId: request.supplier,
+    type: 'supply_request.received',
+    title: `The seller received ${units} unit(s) of ${productNameOf(request)}`,
+    message:
+      request.fulfillment.stage === 'delivered'
+        ? 'The whole request has been delivered.'
+        : `${request.fulfillment.receivedQuantity} of ${request.requestedQuantity} unit(s) received so far.`,
+    link: '/wholesale/supplier/requests',
+    dedupeKey: `supply_request.received:${request._id}:${request.fulfillment.receivedQuantity}`,
+  });
+
+  return { request, units };
+}
+
+/**
+ * Seller accepts a short delivery: the request is closed as delivered
+ * and the units that never arrived are refunded. Calling it again on a
+ * closed request retries a refund that failed earlier.
+ */
+async function closeSupplyRequestShort({ requestId, sellerId }) {
+  const request = await loadRequest(requestId, { seller: sellerId });
+  let missing = unrefundedShortQuantity(request);
+
+  if (!request.fulfillment.closedShortAt) {
+    const before = snapshot(request);
+
+    missing = closeShort(request);
+    await saveFulfillment(request, before);
+  }
+
+  if (!missing) return { request, missing, refund: null };
+
+  try {
+    const refund = await refundSupplyRequestPayment(request, {
+      quantity: missing,
+      reason: `${missing} unit(s) were never delivered.`,
+      refundKey: 'short-delivery',
+    });
+
+    return { request, missing, refund };
+  } catch (err) {
+    console.error('❌ Supply request short delivery refund failed:', err);
+    throw fulfillmentError(
+      'The request was closed but the PayPal refund for the missing units failed. Close it short again to retry the refund.',
+      'SUPPLY_REFUND_FAILED',
+      502,
+    );
+  }
+}
+
+module.exports = {
+  markSupplyRequestPacked,
+  markSupplyRequestShipped,
+  refreshSupplyRequestTracking,
+  receiveSupplyRequest,
+  closeSupplyRequestShort,
+};
@@ -0,0 +1,147 @@
+// utils/wholesale/supplyRequestPayment.js
+'use strict';
+
+const { moneyToCents } = require('../money');
+
+/*
+ * Money rules for paying a supplier for an approved SupplyRequest.
+ * Amounts are integer cents in the base currency; the PayPal side may be
+ * in another currency, so refunds are converted pro rata to what was
+ * actually captured.
+ */
+// 'capturing' holds the request while a PayPal capture is in flight;
+// 'needs_review' means PayPal captured money that does not match the request.
+const PAYMENT_STATUSES = [
+  'unpaid',
+  'pending',
+  'capturing',
+  'needs_review',
+  'paid',
+  'partially_refunded',
+  'refunded',
+];
+const REFUNDABLE_STATUSES = ['paid', 'partially_refunded'];
+
+// Requests carry the tier price agreed at checkout; older ones fall back to the list price.
+function supplyRequestUnitCents(request) {
+  const unitPrice =
+    request?.unitPrice != null ? request.unitPrice : request?.supplierProduct?.wholesalePrice;
+  const cents = moneyToCents(unitPrice || 0);
+  return Number.isFinite(cents) && cents > 0 ? cents : 0;
+}
+
+function supplyRequestAmountCents(request) {
+  const quantity = Math.max(0, Math.trunc(Number(request?.requestedQuantity || 0)));
+  return supplyRequestUnitCents(request) * quantity;
+}
+
+function paymentStatusOf(request) {
+  return request?.payment?.status || 'unpaid';
+}
+
+function isSupplyRequestPaid(request) {
+  return REFUNDABLE_STATUSES.includes(paymentStatusOf(request));
+}
+
+/** Approved, not yet imported and not paid: the seller can (re)start checkout. */
+function isSupplyRequestPayable(request) {
+  return (
+    request?.status === 'approved' &&
+    !request.importedAt &&
+    ['unpaid', 'pending'].includes(paymentStatusOf(request)) &&
+    supplyRequestAmountCents(request) > 0
+  );
+}
+
+/**
+ * How much to refund for `quantity` units (null = everything left).
+ * Returns { quantity, refundCents, paypalRefundCents }; zeros when there
+ * is nothing left to refund.
+ */
+function planSupplyRequestRefund(request, { quantity = null } = {}) {
+  const payment = request?.payment || {};
+  const none = { quantity: 0, refundCents: 0, paypalRefundCents: 0 };
+
+  if (!isSupplyRequestPaid(request)) return none;
+
+  const paidCents = Math.max(0, Number(payment.amountCents || 0));
+  const refundedCents = Math.max(0, Number(payment.refundedCents || 0));
+  const remainingCents = paidCents - refundedCents;
+
+  const paidQuantity = Math.max(0, Math.trunc(Number(request.requestedQuantity || 0)));
+  const remainingQuantity = paidQuantity - Math.max(0, Number(payment.refundedQuantity || 0));
+
+  if (remainingCents <= 0 || remainingQuantity <= 0) return none;
+
+  const wanted =
+    quantity == null ? remainingQuantity : Math.max(0, Math.trunc(Number(quantity) || 0));
+  const units = Math.min(wanted, remainingQuantity);
+  if (!units) return none;
+
+  const refundCents =
+    units === remainingQuantity
+      ? remainingCents
+      : Math.min(remainingCents, supplyRequestUnitCents(request) * units);
+
+  const paypalPaidCents = Math.max(0, Number(payment.paypalAmount?.valueCents || 0));
+  const paypalRemainingCents =
+    paypalPaidCents - Math.max(0, Number(payment.paypalRefundedCents || 0));
+
+  // The last refund takes whatever is left so FX rounding never strands a cent.
+  const paypalRefundCents =
+    refundCents === remainingCents
+      ? paypalRemainingCents
+      : Math.min(paypalRemainingCents, Math.round((paypalPaidCents * refundCents) / paidCents));
+
+  if (paypalRefundCents <= 0) return none;
+
+  return { quantity: units, refundCents, paypalRefundCents };
+}
+
+function paymentStatusAfterRefund(payment) {
+  const refunded = Number(payment?.refundedCents || 0);
+  if (refunded <= 0) return payment?.status || 'paid';
+  return refunded >= Number(payment.amountCents || 0) ? 'refunded' : 'partially_refunded';
+}
+
+/**
+ * Spreads `returnedQuantity` units over the paid requests that stocked a
+ * product, newest first (the oldest stock is assumed sold first).
+ * Returns [{ request, quantity }].
+ */
+function allocateReturnedQuantity(requests, returnedQuantity) {
+  let left = Math.max(0, Math.trunc(Number(returnedQuantity) || 0));
+  const allocations = [];
+
+  const newestFirst = [...(requests || [])].sort(
+    (a, b) => new Date(b.importedAt || 0) - new Date(a.importedAt || 0),
+  );
+
+  for (const request of newestFirst) {
+    if (!left) break;
+    if (!isSupplyRequestPaid(request)) continue;
+
+    const open =
+      Math.trunc(Number(request.requestedQuantity || 0)) -
+      Math.trunc(Number(request.payment?.refundedQuantity || 0));
+    const quantity = Math.min(left, Math.max(0, open));
+
+    if (quantity > 0) {
+      allocations.push({ request, quantity });
+      left -= quantity;
+    }
+  }
+
+  return allocations;
+}
+
+module.exports = {
+  PAYMENT_STATUSES,
+  supplyRequestUnitCents,
+  supplyRequestAmountCents,
+  isSupplyRequestPaid,
+  isSupplyRequestPayable,
+  planSupplyRequestRefund,
+  paymentStatusAfterRefund,
+  allocateReturnedQuantity,
+};
@@ -0,0 +1,646 @@
+// utils/wholesale/supplyRequestPaymentService.js
+'use strict';
+
+const mongoose = require('mongoose');
+
+const SupplyRequest = require('../../models/SupplyRequest');
+const SellerBalanceLedger = require('../../models/SellerBalanceLedger');
+
+const {
+  createRequestId,
+  createPaypalOrder,
+  capturePaypalOrder,
+  refundPaypalCapture,
+  getPaypalApprovalUrl,
+  getPaypalCapture,
+} = require('../paypal/paypalClient');
+const { convertMoneyAmount } = require('../fx/getFxRate');
+const { moneyToCents, centsToMoneyString } = require('../money');
+const { notifySafely, notifyAdmins } = require('../notify');
+const { payoutDelayMs } = require('../payouts/creditSellersFromOrder');
+const {
+  supplyRequestAmountCents,
+  isSupplyRequestPaid,
+  isSupplyRequestPayable,
+  planSupplyRequestRefund,
+  paymentStatusAfterRefund,
+  allocateReturnedQuantity,
+} = require('./supplyRequestPayment');
+
+const BASE_CURRENCY =
+  String(process.env.BASE_CURRENCY || '')
+    .trim()
+    .toUpperCase() || 'USD';
+
+// Same setting as the retail and CJ checkouts: PayPal may not take BASE_CURRENCY (e.g. ZAR).
+const PAYPAL_CURRENCY =
+  String(process.env.PAYPAL_CHECKOUT_CURRENCY || 'USD')
+    .trim()
+    .toUpperCase() || 'USD';
+
+const BRAND_NAME =
+  String(process.env.BRAND_NAME || 'Kasyora')
+    .trim()
+    .slice(0, 127) || 'Kasyora';
+
+// A capture claim older than this is assumed abandoned (e.g. the process
+// died mid-request) and may be retried; PayPal dedupes the capture itself.
+const CAPTURE_STALE_MS = 2 * 60 * 1000;
+
+const REVIEW_ADMIN_ROLES = ['super_admin', 'payout_admin'];
+
+function paymentError(message, code, status = 400) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+function formatCents(cents, currency) {
+  return `${currency} ${centsToMoneyString(cents)}`;
+}
+
+async function paypalAmountFor(amountCents) {
+  const converted = await convertMoneyAmount(
+    centsToMoneyString(amountCents),
+    BASE_CURRENCY,
+    PAYPAL_CURRENCY,
+  );
+  const valueCents = moneyToCents(converted?.value);
+
+  if (!Number.isFinite(valueCents) || valueCents <= 0) {
+    throw paymentError(
+      'The wholesale total could not be converted into the PayPal checkout currency.',
+      'SUPPLY_PAYMENT_CONVERSION_FAILED',
+      500,
+    );
+  }
+
+  return {
+    valueCents,
+    currency: PAYPAL_CURRENCY,
+    fxRate: Number(converted?.fx?.rate || 1),
+  };
+}
+
+/**
+ * Creates a PayPal order for an approved supply request and marks the
+ * payment pending. Calling it again (e.g. after the seller abandoned
+ * PayPal) replaces the previous, uncaptured PayPal order.
+ * Returns { approvalUrl, paypalOrderId }.
+ */
+async function startSupplyRequestPayment({ requestId, sellerId, returnUrl, cancelUrl }) {
+  if (!mongoose.isValidObjectId(requestId)) {
+    throw paymentError('Invalid supply request.', 'SUPPLY_REQUEST_NOT_FOUND', 404);
+  }
+
+  const request = await SupplyRequest.findOne({ _id: requestId, seller: sellerId }).populate(
+    'supplierProduct',
+    'name wholesalePrice',
+  );
+
+  if (!request) {
+    throw paymentError('Supply request not found.', 'SUPPLY_REQUEST_NOT_FOUND', 404);
+  }
+
+  if (isSupplyRequestPaid(request)) {
+    throw paymentError('This supply request is already paid.', 'SUPPLY_REQUEST_ALREADY_PAID', 409);
+  }
+
+  if (!isSupplyRequestPayable(request)) {
+    throw paymentError(
+      'Only approved supply requests that are not imported yet can be paid.',
+      'SUPPLY_REQUEST_NOT_PAYABLE',
+      409,
+    );
+  }
+
+  const amountCents = supplyRequestAmountCents(request);
+  const paypalAmount = await paypalAmountFor(amountCents);
+  const productName = request.supplierProduct?.name || 'Wholesale stock';
+
+  const response = await createPaypalOrder({
+    payload: {
+      intent: 'CAPTURE',
+      application_context: {
+        brand_name: BRAND_NAME,
+        user_action: 'PAY_NOW',
+        shipping_preference: 'NO_SHIPPING',
+        return_url: returnUrl,
+        cancel_url: cancelUrl,
+      },
+      purchase_units: [
+        {
+          reference_id: 'SUPPLY_REQUEST',
+          custom_id: String(request._id),
+          description: `${request.requestedQuantity} x ${productName}`.slice(0, 127),
+          amount: {
+            currency_code: paypalAmount.currency,
+            value: centsToMoneyString(paypalAmount.valueCents),
+          },
+        },
+      ],
+    },
+    requestId: createRequestId('supply-request-order'),
+  });
+
+  const paypalOrderId = String(response?.id || '').trim();
+  const approvalUrl = getPaypalApprovalUrl(response);
+
+  if (!paypalOrderId || !approvalUrl) {
+    throw paymentError(
+      'PayPal did not return an approval link.',
+      'SUPPLY_PAYMENT_APPROVAL_MISSING',
+      502,
+    );
+  }
+
+  // Conditional so a capture that started meanwhile keeps its PayPal order.
+  const res = await SupplyRequest.updateOne(
+    {
+      _id: request._id,
+      status: 'approved',
+      importedAt: null,
+      'payment.status': { $in: ['unpaid', 'pending'] },
+    },
+    {
+      $set: {
+        'payment.status': 'pending',
+        'payment.amountCents': amountCents,
+        'payment.currency': BASE_CURRENCY,
+        'payment.paypalOrderId': paypalOrderId,
+        'payment.paypalAmount': paypalAmount,
+        'payment.lastError': '',
+      },
+    },
+  );
+
+  if (!res.matchedCount) {
+    throw paymentError(
+      'This supply request changed while PayPal was being set up. Reload and try again.',
+      'SUPPLY_REQUEST_NOT_PAYABLE',
+      409,
+    );
+  }
+
+  return { approvalUrl, paypalOrderId };
+}
+
+/**
+ * Credits the supplier's payout balance with the paid amount. Idempotent:
+ * one EARNING row per supply request.
+ */
+async function creditSupplierForSupplyRequest(request) {
+  const uniqueKey = `supply_request:${String(request._id)}`;
+
+  const res = await SellerBalanceLedger.updateOne(
+    {
+      businessId: request.supplier?._id || request.supplier,
+      type: 'EARNING',
+      orderId: null,
+      'meta.uniqueKey': uniqueKey,
+    },
+    {
+      $setOnInsert: {
+        amountCents: request.payment.amountCents,
+        currency: request.payment.currency,
+        availableAt: new Date(Date.now() + payoutDelayMs()),
+        note: `Supplier earnings for wholesale supply request ${String(request._id)}`,
+        meta: {
+          uniqueKey,
+          payoutRole: 'supplier',
+          supplyRequestId: String(request._id),
+          qty: request.requestedQuantity,
+          grossCents: request.payment.amountCents,
+          feeCents: 0,
+        },
+      },
+    },
+    { upsert: true },
+  );
+
+  return { credited: Number(res?.upsertedCount || 0) };
+}
+
+/**
+ * Moves the request to 'capturing' so a cancel cannot slip in while PayPal
+ * takes the money. Returns the claimed request, or null when the request
+ * is not pending on this PayPal order (or another capture holds it).
+ */
+async function claimSupplyRequestCapture(request, paypalOrderId) {
+  return SupplyRequest.findOneAndUpdate(
+    {
+      _id: request._id,
+      status: 'approved',
+      'payment.paypalOrderId': paypalOrderId,
+      $or: [
+        { 'payment.status': 'pending' },
+        {
+          'payment.status': 'capturing',
+          'payment.captureStartedAt': { $lt: new Date(Date.now() - CAPTURE_STALE_MS) },
+        },
+      ],
+    },
+    { $set: { 'payment.status': 'capturing', 'payment.captureStartedAt': new Date() } },
+    { new: true },
+  );
+}
+
+/**
+ * Captures the PayPal order the seller approved, marks the request paid
+ * and credits the supplier. Safe to retry: the capture request id is
+ * derived from the PayPal order id.
+ */
+async function captureSupplyRequestPayment({ sellerId, paypalOrderId }) {
+  const request = await SupplyRequest.findOne({
+    seller: sellerId,
+    'payment.paypalOrderId': paypalOrderId,
+  });
+
+  if (!request) {
+    throw paymentError(
+      'This PayPal payment does not match any of your supply requests.',
+      'SUPPLY_PAYMENT_NOT_FOUND',
+      404,
+    );
+  }
+
+  if (isSupplyRequestPaid(request)) return { request, alreadyPaid: true };
+
+  if (request.status !== 'approved') {
+    throw paymentError(
+      'This supply request is no longer approved, so it was not charged.',
+      'SUPPLY_REQUEST_NOT_PAYABLE',
+      409,
+    );
+  }
+
+  const claimed = await claimSupplyRequestCapture(request, paypalOrderId);
+
+  if (!claimed) {
+    const current = await SupplyRequest.findById(request._id).select('status payment').lean();
+
+    if (isSupplyRequestPaid(current)) return { request, alreadyPaid: true };
+
+    if (current?.payment?.status === 'capturing') {
+      throw paymentError(
+        'This payment is already being confirmed with PayPal. Check again shortly.',
+        'SUPPLY_PAYMENT_IN_PROGRESS',
+        409,
+      );
+    }
+
+    if (current?.payment?.status === 'needs_review') {
+      throw paymentError(
+        'This payment is being reviewed by our team.',
+        'SUPPLY_PAYMENT_NEEDS_REVIEW',
+        409,
+      );
+    }
+
+    throw paymentError(
+      'This supply request is no longer awaiting this PayPal payment, so it was not charged.',
+      'SUPPLY_REQUEST_NOT_PAYABLE',
+      409,
+    );
+  }
+
+  let response;
+  try {
+    response = await capturePaypalOrder({
+      paypalOrderId,
+      requestId: `supply-request-capture-${paypalOrderId}`,
+    });
+  } catch (err) {
+    // A 4xx means PayPal refused the capture, so nothing was taken. Otherwise
+    // the outcome is unknown and the claim stays until it goes stale.
+    const status = Number(err?.status || 0);
+    if (status >= 400 && status < 500) {
+      await releaseCaptureClaim(claimed, String(err?.message || 'PayPal capture failed.'));
+    }
+    throw err;
+  }
+
+  const capture = getPaypalCapture(response);
+  const captureStatus = String(capture?.status || '').toUpperCase();
+
+  if (!capture?.id || captureStatus !== 'COMPLETED') {
+    // PENDING means PayPal has the money on hold, so keep the claim and let
+    // a retry pick up the final status once it goes stale.
+    const lastError = `PayPal capture status: ${captureStatus || 'unknown'}`;
+    if (captureStatus === 'PENDING') {
+      claimed.payment.lastError = lastError;
+      await claimed.save();
+    } else {
+      await releaseCaptureClaim(claimed, lastError);
+    }
+
+    throw paymentError(
+      captureStatus === 'PENDING'
+        ? 'PayPal is still processing this payment. Check again shortly.'
+        : 'PayPal did not complete this payment.',
+      'SUPPLY_PAYMENT_NOT_COMPLETED',
+      409,
+    );
+  }
+
+  // Only credit the supplier with money that was actually collected. A
+  // mismatch parks the request in 'needs_review' with the captureId on
+  // file, so it cannot be paid again and an admin refunds or settles it.
+  const capturedCents = moneyToCents(capture.amount?.value);
+  const capturedCurrency = String(capture.amount?.currency_code || '').toUpperCase();
+  const expected = claimed.payment.paypalAmount;
+
+  if (capturedCents !== expected.valueCents || capturedCurrency !== expected.currency) {
+    console.error('❌ Supply request capture amount mismatch:', {
+      supplyRequestId: String(claimed._id),
+      expected: `${expected.valueCents} ${expected.currency}`,
+      captured: `${capturedCents} ${capturedCurrency}`,
+    });
+
+    claimed.payment.status = 'needs_review';
+    claimed.payment.captureId = String(capture.id);
+    claimed.payment.lastError = `PayPal captured ${capture.amount?.value} ${capturedCurrency}, expected ${centsToMoneyString(expected.valueCents)} ${expected.currency}.`;
+    await claimed.save();
+
+    await notifyAdmins(REVIEW_ADMIN_ROLES, {
+      type: 'supply_request.needs_review',
+      title: 'Supply request payment needs review',
+      message: `${claimed.payment.lastError} PayPal capture ${claimed.payment.captureId}.`,
+      link: '/admin/payouts',
+      dedupeKey: `supply_request.needs_review:${claimed._id}`,
+    });
+
+    throw paymentError(
+      'PayPal charged a different amount than this supply request. Our team will review it; the supplier was not credited.',
+      'SUPPLY_PAYMENT_AMOUNT_MISMATCH',
+      409,
+    );
+  }
+
+  claimed.payment.status = 'paid';
+  claimed.payment.captureId = String(capture.id);
+  claimed.payment.paidAt = new Date();
+  claimed.payment.lastError = '';
+  await claimed.save();
+
+  await creditSupplierForSupplyRequest(claimed);
+
+  await notifySafely({
+    recipientType: 'business',
+    recipientId: claimed.supplier,
+    type: 'supply_request.paid',
+    title: 'A seller paid for a supply request',
+    message: `${formatCents(claimed.payment.amountCents, claimed.payment.currency)} for ${claimed.requestedQuantity} unit(s) was added to your balance.`,
+    link: '/wholesale/supplier/requests',
+    dedupeKey: `supply_request.paid:${claimed._id}`,
+  });
+
+  return { request: claimed, alreadyPaid: false };
+}
+
+// Hands a claimed request back to 'pending' after PayPal took nothing.
+async function releaseCaptureClaim(request, lastError) {
+  await SupplyRequest.updateOne(
+    { _id: request._id, 'payment.status': 'capturing' },
+    {
+      $set: {
+        'payment.status': 'pending',
+        'payment.captureStartedAt': null,
+        'payment.lastError': lastError.slice(0, 500),
+      },
+    },
+  );
+}
+
+/**
+ * Refunds `quantity` units (null = everything still refundable) of a paid
+ * supply request through PayPal and debits the supplier's balance.
+ * `refundKey` makes the PayPal call idempotent for one refund reason
+ * (e.g. 'cancel' or 'return:<productId>').
+ */
+async function refundSupplyRequestPayment(request, { quantity = null, reason = '', refundKey }) {
+  const plan = planSupplyRequestRefund(request, { quantity });
+  if (!plan.refundCents) return { refundedCents: 0, skipped: 'nothing-to-refund' };
+
+  let refund;
+  try {
+    refund = await refundPaypalCapture({
+      captureId: request.payment.captureId,
+      amount: centsToMoneyString(plan.paypalRefundCents),
+      currency: request.payment.paypalAmount.currency,
+      note: reason,
+      requestId: `supply-request-refund-${String(request._id)}-${refundKey}`,
+    });
+  } catch (err) {
+    request.payment.lastError = String(err?.message || 'PayPal refund failed.').slice(0, 500);
+    await request.save();
+    throw err;
+  }
+
+  const refundId = String(refund?.id || '').trim();
+
+  request.payment.refunds.push({
+    refundId,
+    status: String(refund?.status || 'COMPLETED'),
+    amountCents: plan.refundCents,
+    paypalAmountCents: plan.paypalRefundCents,
+    quantity: plan.quantity,
+    reason,
+  });
+  request.payment.refundedCents += plan.refundCents;
+  request.payment.refundedQuantity += plan.quantity;
+  request.payment.paypalRefundedCents += plan.paypalRefundCents;
+  request.payment.status = paymentStatusAfterRefund(request.payment);
+  request.payment.lastError = '';
+  await request.save();
+
+  const uniqueKey = `supply_request_refund:${refundId || `${String(request._id)}:${refundKey}`}`;
+
+  await SellerBalanceLedger.updateOne(
+    {
+      businessId: request.supplier?._id || request.supplier,
+      type: 'REFUND_DEBIT',
+      orderId: null,
+      'meta.uniqueKey': uniqueKey,
+    },
+    {
+      $setOnInsert: {
+        amountCents: -plan.refundCents,
+        currency: request.payment.currency,
+        note: `Refund to seller for wholesale supply request ${String(request._id)}`,
+        meta: {
+          uniqueKey,
+          payoutRole: 'supplier',
+          supplyRequestId: String(request._id),
+          refundId,
+          qty: plan.quantity,
+        },
+      },
+    },
+    { upsert: true },
+  );
+
+  const amount = formatCents(plan.refundCents, request.payment.currency);
+
+  for (const [recipientId, side] of [
+    [request.seller, 'seller'],
+    [request.supplier, 'supplier'],
+  ]) {
+    await notifySafely({
+      recipientType: 'business',
+      recipientId: recipientId?._id || recipientId,
+      type: 'supply_request.refunded',
+      title: `Supply request refunded: ${amount}`,
+      message:
+        side === 'seller'
+          ? `${amount} for ${plan.quantity} unit(s) is on its way back to your PayPal account. ${reason}`
+          : `${amount} for ${plan.quantity} unit(s) was deducted from your balance. ${reason}`,
+      link: side === 'seller' ? '/wholesale/my-requests' : '/wholesale/supplier/requests',
+      dedupeKey: `supply_request.refunded:${refundId || request._id}:${side}`,
+    });
+  }
+
+  return { refundedCents: plan.refundCents, quantity: plan.quantity, refundId };
+}
+
+/**
+ * Seller cancels a request that has not shipped or been imported. A paid
+ * request is refunded in full; calling this again on a cancelled,
+ * still-paid request retries a refund that failed earlier. A request
+ * whose capture is in flight cannot be cancelled; one whose capture is
+ * under review is cancelled and flagged so an admin refunds it by hand.
+ */
+async function cancelSupplyRequest({ requestId, sellerId }) {
+  if (!mongoose.isValidObjectId(requestId)) {
+    throw paymentError('Invalid supply request.', 'SUPPLY_REQUEST_NOT_FOUND', 404);
+  }
+
+  const request = await SupplyRequest.findOneAndUpdate(
+    {
+      _id: requestId,
+      seller: sellerId,
+      importedAt: null,
+      importLockedAt: null,
+      'fulfillment.stage': { $nin: ['shipped', 'partially_delivered', 'delivered'] },
+      $or: [
+        {
+          status: { $in: ['pending', 'approved'] },
+          'payment.status': { $ne: 'capturing' },
+        },
+        { status: 'cancelled', 'payment.status': { $in: ['paid', 'partially_refunded'] } },
+      ],
+    },
+    { $set: { status: 'cancelled', cancelledAt: new Date() } },
+    { new: true },
+  );
+
+  if (!request) {
+    const capturing = await SupplyRequest.exists({
+      _id: requestId,
+      seller: sellerId,
+      'payment.status': 'capturing',
+    });
+
+    throw paymentError(
+      capturing
+        ? 'A PayPal payment for this request is still being confirmed. Try again shortly.'
+        : 'Only pending or approved requests that have not shipped can be cancelled.',
+      capturing ? 'SUPPLY_PAYMENT_IN_PROGRESS' : 'SUPPLY_REQUEST_NOT_CANCELLABLE',
+      409,
+    );
+  }
+
+  await notifySafely({
+    recipientType: 'business',
+    recipientId: request.supplier,
+    type: 'supply_request.cancelled',
+    title: 'A seller cancelled a supply request',
+    message: `${request.requestedQuantity} unit(s) will not be imported.`,
+    link: '/wholesale/supplier/requests',
+    dedupeKey: `supply_request.cancelled:${request._id}`,
+  });
+
+  if (request.payment?.status === 'needs_review') {
+    await notifyAdmins(REVIEW_ADMIN_ROLES, {
+      type: 'supply_request.needs_review',
+      title: 'Cancelled supply request has an unsettled PayPal capture',
+      message: `Refund PayPal capture ${request.payment.captureId} to the seller. ${request.payment.lastError}`,
+      link: '/admin/payouts',
+      dedupeKey: `supply_request.needs_review.cancelled:${request._id}`,
+    });
+
+    return { request, refund: null, needsReview: true };
+  }
+
+  if (!isSupplyRequestPaid(request)) return { request, refund: null };
+
+  try {
+    const refund = await refundSupplyRequestPayment(request, {
+      reason: 'Supply request cancelled by the seller.',
+      refundKey: 'cancel',
+    });
+
+    return { request, refund };
+  } catch (err) {
+    console.error('❌ Supply request cancel refund failed:', err);
+    throw paymentError(
+      'The request was cancelled but the PayPal refund failed. Cancel it again to retry the refund.',
+      'SUPPLY_REFUND_FAILED',
+      502,
+    );
+  }
+}
+
+/**
+ * Refunds the seller for unsold stock handed back to the supplier (the
+ * returnedQuantity recorded when an imported product is deleted). Errors
+ * are logged per request so one failed refund does not block the rest.
+ */
+async function refundReturnedSupplyStock({
+  sellerId,
+  productId,
+  supplyRequestId,
+  returnedQuantity,
+}) {
+  const or = [{ importedProduct: productId }];
+  if (supplyRequestId) or.push({ _id: supplyRequestId });
+
+  const requests = await SupplyRequest.find({
+    seller: sellerId,
+    importedAt: { $ne: null },
+    'payment.status': { $in: ['paid', 'partially_refunded'] },
+    $or: or,
+  });
+
+  let refundedCents = 0;
+  let failed = 0;
+
+  for (const { request, quantity } of allocateReturnedQuantity(requests, returnedQuantity)) {
+    try {
+      const result = await refundSupplyRequestPayment(request, {
+        quantity,
+        reason: `${quantity} unsold unit(s) returned to the supplier.`,
+        refundKey: `return-${String(productId)}`,
+      });
+      refundedCents += result.refundedCents;
+    } catch (err) {
+      failed += 1;
+      console.error('❌ Supply request return refund failed:', {
+        supplyRequestId: String(request._id),
+        message: err?.message,
+      });
+    }
+  }
+
+  return { refundedCents, failed, currency: BASE_CURRENCY };
+}
+
+module.exports = {
+  startSupplyRequestPayment,
+  captureSupplyRequestPayment,
+  creditSupplierForSupplyRequest,
+  refundSupplyRequestPayment,
+  cancelSupplyRequest,
+  refundReturnedSupplyStock,
+};